@@ -1,9 +1,11 @@
 // js/supabase/photo-storage-service.js
+// v1.1 - 10/19/26 - EXIF capture date, orientation and GPS place name stored with each photo record
 // CHANGE SUMMARY: Integrated PhotoFileProcessor for HEIC conversion, compression, and thumbnail generation; updated upload flow to handle both full-size and thumbnail uploads
 
 import { supabase } from './supabase-config.js';
 import { createClient } from 'https://cdn.skypack.dev/@supabase/supabase-js@2';
 import { createLogger } from '../utils/logger.js';
+import { reverseGeocodeToPlaceName } from '../utils/geocoding-helper.js';
 import { PhotoFileProcessor } from '../../widgets/photos/utils/photo-file-processor.js';
 
 const logger = createLogger('PhotoStorage');
@@ -402,6 +404,12 @@ export class PhotoStorageService {
         }
       }
 
+      // EXIF metadata (read from the original file before processing)
+      const exif = processed.metadata?.exif || null;
+      const placeName = exif?.latitude != null && exif?.longitude != null
+        ? await reverseGeocodeToPlaceName(exif.latitude, exif.longitude)
+        : null;
+
       // Record in database via edge function
       await this._callEdgeFunction('create_photo_record', {
         storage_path: storagePath,
@@ -409,7 +417,12 @@ export class PhotoStorageService {
         filename: processed.original.name,
         folder_name: folder,
         file_size: processed.original.size,
-        mime_type: processed.original.type
+        mime_type: processed.original.type,
+        taken_at: exif?.takenAt || null,
+        orientation: exif?.orientation || null,
+        latitude: exif?.latitude ?? null,
+        longitude: exif?.longitude ?? null,
+        place_name: placeName
       });
 
       // Update storage quota via edge function (include thumbnail size if exists)
@@ -545,62 +558,82 @@ export class PhotoStorageService {
   }
 
   /**
-   * Get photo URLs for display
+   * Get photos for display, with signed URLs and metadata
    * @param {string|null} folder - Folder to load from
-   * @param {boolean} shuffle - Whether to shuffle results
-   * @returns {Promise<Array<string>>}
+   * @returns {Promise<Array<{id, url, filename, folder, uploadedAt, takenAt, placeName}>>} Newest upload first;
+   *          folder is null for the default folder; takenAt/placeName come from EXIF (null if unknown)
    */
-  async getPhotoUrls(folder = null, shuffle = true) {
+  async getPhotos(folder = null) {
     try {
-      logger.debug('Getting photo URLs', { folder, shuffle });
+      logger.debug('Getting photos', { folder });
 
       // Get photo metadata from database
-      const photos = await this.listPhotos(folder, 100);
+      const records = await this.listPhotos(folder, 100);
 
       // Get authenticated client for signed URL generation
       const authClient = await this._getAuthenticatedClient();
 
       // Generate signed URLs for each photo
-      const urls = [];
-      for (const photo of photos) {
+      const photos = [];
+      for (const record of records) {
         try {
           const { data, error } = await authClient.storage
             .from(this.bucketName)
-            .createSignedUrl(photo.storage_path, 3600); // 1 hour expiry
+            .createSignedUrl(record.storage_path, 3600); // 1 hour expiry
 
           if (!error && data?.signedUrl) {
-            urls.push(data.signedUrl);
+            photos.push({
+              id: record.id,
+              url: data.signedUrl,
+              filename: record.filename || record.storage_path.split('/').pop(),
+              folder: record.folder_name && record.folder_name !== this.defaultFolder ? record.folder_name : null,
+              uploadedAt: record.uploaded_at || null,
+              takenAt: record.taken_at || null,
+              placeName: record.place_name || null
+            });
           } else {
             logger.warn('Failed to create signed URL', { 
-              path: photo.storage_path, 
+              path: record.storage_path, 
               error 
             });
           }
         } catch (urlError) {
           logger.warn('Error creating signed URL', { 
-            path: photo.storage_path, 
+            path: record.storage_path, 
             error: urlError 
           });
         }
       }
 
-      // Shuffle if requested
-      if (shuffle) {
-        for (let i = urls.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [urls[i], urls[j]] = [urls[j], urls[i]];
-        }
-      }
-
-      logger.success('Photo URLs generated', { count: urls.length });
-      return urls;
+      logger.success('Photo URLs generated', { count: photos.length });
+      return photos;
 
     } catch (error) {
-      logger.error('Failed to get photo URLs', error);
+      logger.error('Failed to get photos', error);
       throw error;
     }
   }
 
+  /**
+   * Get photo URLs for display
+   * @param {string|null} folder - Folder to load from
+   * @param {boolean} shuffle - Whether to shuffle results
+   * @returns {Promise<Array<string>>}
+   */
+  async getPhotoUrls(folder = null, shuffle = true) {
+    const urls = (await this.getPhotos(folder)).map(photo => photo.url);
+
+    // Shuffle if requested
+    if (shuffle) {
+      for (let i = urls.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [urls[i], urls[j]] = [urls[j], urls[i]];
+      }
+    }
+
+    return urls;
+  }
+
   // ==================== DELETE OPERATIONS ====================
 
   /**
@@ -1,4 +1,5 @@
 // js/utils/geocoding-helper.js
+// v1.5 - 10/19/26 - Added reverseGeocodeToPlaceName for photo GPS coordinates
 // v1.4 - 10/9/25 - Reduced logging noise: changed info logs to debug
 // v1.3 - 10/9/25 - Fixed getLocationName to use reverse geocoding for reliable city/state display
 // v1.2 - 10/9/25 - Added reverse geocoding and browser geolocation for automatic zip detection
@@ -388,3 +389,79 @@ export function getCachedLocationName(zipCode) {
   const cleanZip = zipCode?.trim().replace(/[\s-]/g, '').substring(0, 5);
   return locationNameCache.get(cleanZip) || null;
 }
+
+/**
+ * Cache for coordinate → place name lookups (key: coordinates rounded to ~1km)
+ * Photos from one outing share a lookup
+ */
+const placeNameCache = new Map();
+
+// Nominatim usage policy: at most 1 request per second
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+let lastNominatimRequest = 0;
+
+/**
+ * Reverse geocode coordinates to a short place name (worldwide)
+ * Used for photo GPS coordinates at upload time
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<string|null>} - "City, ST" (US) or "City, Country", or null
+ */
+export async function reverseGeocodeToPlaceName(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    return null;
+  }
+
+  const cacheKey = `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+  if (placeNameCache.has(cacheKey)) {
+    return placeNameCache.get(cacheKey);
+  }
+
+  try {
+    const wait = lastNominatimRequest + NOMINATIM_MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastNominatimRequest = Date.now();
+
+    const url = `https://nominatim.openstreetmap.org/reverse?lat=${latitude}&lon=${longitude}&format=json&addressdetails=1&zoom=10`;
+
+    const response = await fetch(url, {
+      headers: {
+        'User-Agent': 'Dashie/1.0 (Family Dashboard)'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const address = data?.address || {};
+
+    const city = address.city || address.town || address.village || address.hamlet || address.county;
+    const countryCode = address.country_code?.toUpperCase();
+
+    let placeName = null;
+    if (city && countryCode === 'US' && address.state) {
+      placeName = `${city}, ${getStateAbbreviation(address.state)}`;
+    } else if (city && address.country) {
+      placeName = `${city}, ${address.country}`;
+    } else {
+      placeName = city || address.state || address.country || null;
+    }
+
+    placeNameCache.set(cacheKey, placeName);
+
+    logger.debug('Place name resolved for coordinates', { latitude, longitude, placeName });
+    return placeName;
+
+  } catch (error) {
+    logger.warn('Failed to get place name for coordinates', {
+      latitude,
+      longitude,
+      error: error.message
+    });
+    return null;
+  }
+}
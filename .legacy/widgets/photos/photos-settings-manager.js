@@ -1,4 +1,5 @@
 // widgets/photos/photos-settings-manager.js
+// v1.3 - 10/19/26 - Initialization settings come from settingsStore
 // v1.2 - 10/12/25 9:35pm - FIXED: Changed handleAction to customHandler for proper modal manager integration
 // v1.1 - 10/12/25 8:30pm - FIXED: Register with modal manager to forward Fire TV back button (keycode 4) to iframe
 // CHANGE SUMMARY: Fixed property name from handleAction to customHandler to match modal manager API
@@ -207,8 +208,8 @@ export class PhotosSettingsManager {
     // Get theme from body class
     const theme = document.body.classList.contains('theme-dark') ? 'dark' : 'light';
 
-    // Get current settings from parent
-    const settings = window.parent?.settingsInstance?.controller?.getSettings() || {};
+    // Get current settings (the modal reads photos.* options from these)
+    const settings = window.settingsStore?.getAll() || {};
 
     // Send initialization message to iframe
     const initMessage = {
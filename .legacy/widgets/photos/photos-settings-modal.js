@@ -1,4 +1,7 @@
 // widgets/photos/photos-settings-modal.js
+// v1.5 - 10/19/26 - Removed Add Google Photos Album (Library API no longer lists albums the app didn't create)
+// v1.4 - 10/19/26 - Photo Sources screens: toggle/remove sources, add a Google Photos album or photo feed URL
+// v1.3 - 10/19/26 - Transition style, photo order and show info settings; saves through settingsStore
 // v1.2 - Integrated with new Settings architecture (hybrid approach)
 // v1.1 - 10/12/25 8:30pm - FIXED: Added message listener for navigation actions from modal manager (Fire TV back button)
 //
@@ -11,11 +14,12 @@
 // Message types supported:
 // - init-photos-modal: Initialize with userId, theme, settings
 // - trigger-file-picker: Open file picker for upload
-// - navigate-to: Navigate to specific screen (delete-photos-screen, transition-screen)
+// - navigate-to: Navigate to specific screen (delete-photos-screen, sources-screen or an option screen below)
 // - action: D-pad/keyboard navigation (up, down, enter, escape)
 
 import { createLogger } from '../../js/utils/logger.js';
 import { PhotoStorageService } from '../../js/supabase/photo-storage-service.js';
+import { PHOTO_SOURCE_TYPES, DEFAULT_PHOTO_SOURCES } from '../../../config.js';
 import {
   showUploadOverlay,
   hideUploadOverlay,
@@ -28,6 +32,39 @@ import {
 
 const logger = createLogger('PhotosSettingsModal');
 
+// Single-choice option screens: screen id → menu cell, setting and how the value is shown on the main screen
+const OPTION_SCREENS = {
+  'transition-screen': {
+    menuId: 'transition-menu',
+    valueId: 'transition-value',
+    title: 'Photo Transition',
+    path: 'photos.transitionTime',
+    defaultValue: 5,
+    parse: (value) => parseInt(value),
+    format: (value) => `${value} seconds`
+  },
+  'transition-style-screen': {
+    menuId: 'transition-style-menu',
+    valueId: 'transition-style-value',
+    title: 'Transition Style',
+    path: 'photos.transition',
+    defaultValue: 'crossfade'
+  },
+  'order-screen': {
+    menuId: 'order-menu',
+    valueId: 'order-value',
+    title: 'Photo Order',
+    path: 'photos.order',
+    defaultValue: 'shuffle'
+  }
+};
+
+// Source list titles for sources without their own (Dashie uploads has no config options)
+const SOURCE_TYPE_TITLES = {
+  [PHOTO_SOURCE_TYPES.SUPABASE]: 'Dashie Uploads',
+  [PHOTO_SOURCE_TYPES.FEED]: 'Photo Feed'
+};
+
 export class PhotosSettingsModal {
   constructor() {
     this.userId = null;
@@ -40,6 +77,8 @@ export class PhotosSettingsModal {
     this.errorContainer = document.getElementById('error-container');
     
     this.navigationStack = ['main-screen'];
+    this.screenTitles = { 'main-screen': 'Photos' };
+    this.selectedSourceId = null;
     this.focusableElements = [];
     this.currentFocusIndex = 0;
     
@@ -73,8 +112,10 @@ export class PhotosSettingsModal {
         // Map screen IDs to navigation
         if (targetScreen === 'delete-photos-screen') {
           this.navigateTo('delete-photos-screen', 'Delete Photos');
-        } else if (targetScreen === 'transition-screen') {
-          this.navigateTo('transition-screen', 'Photo Transition');
+        } else if (targetScreen === 'sources-screen') {
+          this.openSources();
+        } else if (OPTION_SCREENS[targetScreen]) {
+          this.navigateTo(targetScreen, OPTION_SCREENS[targetScreen].title);
         }
       } else if (event.data?.action) {
         // Handle navigation actions from modal manager (Fire TV remote, etc.)
@@ -176,16 +217,38 @@ export class PhotosSettingsModal {
       this.handleDeleteAllConfirmation();
     });
     
-    document.getElementById('transition-menu')?.addEventListener('click', () => {
-      this.navigateTo('transition-screen', 'Photo Transition');
+    Object.entries(OPTION_SCREENS).forEach(([screenId, option]) => {
+      document.getElementById(option.menuId)?.addEventListener('click', () => {
+        this.navigateTo(screenId, option.title);
+      });
+
+      document.querySelectorAll(`#${screenId} .selectable`).forEach(cell => {
+        cell.addEventListener('click', () => this.handleOptionSelection(screenId, cell));
+      });
     });
 
-    document.getElementById('file-input').addEventListener('change', (e) => {
-      this.handleFileSelection(e);
+    document.getElementById('show-info-toggle')?.addEventListener('click', () => {
+      const showInfo = !this.getSetting('photos.showInfo', false);
+      document.getElementById('show-info-value').textContent = showInfo ? 'On' : 'Off';
+      this.saveSettingToParent('photos.showInfo', showInfo);
+      logger.info('Show photo info toggled', { showInfo });
+    });
+
+    // Photo sources
+    document.getElementById('sources-menu')?.addEventListener('click', () => this.openSources());
+    document.getElementById('add-feed-btn')?.addEventListener('click', () => {
+      document.getElementById('feed-url-input').value = '';
+      this.navigateTo('add-feed-screen', 'Add Photo Feed');
     });
+    document.getElementById('feed-url-cell')?.addEventListener('click', () => {
+      document.getElementById('feed-url-input').focus();
+    });
+    document.getElementById('add-feed-submit')?.addEventListener('click', () => this.addFeedSource());
+    document.getElementById('source-enabled-toggle')?.addEventListener('click', () => this.toggleSelectedSource());
+    document.getElementById('source-remove-btn')?.addEventListener('click', () => this.removeSelectedSource());
 
-    document.querySelectorAll('#transition-screen .selectable').forEach(cell => {
-      cell.addEventListener('click', () => this.handleTransitionSelection(cell));
+    document.getElementById('file-input').addEventListener('change', (e) => {
+      this.handleFileSelection(e);
     });
 
     logger.debug('Event listeners attached');
@@ -200,6 +263,17 @@ export class PhotosSettingsModal {
       'Backspace': 'back'
     };
 
+    // Let typing through to text inputs; Enter submits, arrows/Escape leave the field
+    if (e.target.tagName === 'INPUT' && e.target.type !== 'file') {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.target.id === 'feed-url-input') this.addFeedSource();
+        return;
+      }
+      if (!['ArrowUp', 'ArrowDown', 'Escape'].includes(e.key)) return;
+      e.target.blur();
+    }
+
     const action = keyMap[e.key];
     if (!action) return;
 
@@ -239,7 +313,7 @@ export class PhotosSettingsModal {
     );
     
     const currentScreenId = this.getCurrentScreen();
-    if (currentScreenId === 'transition-screen') {
+    if (OPTION_SCREENS[currentScreenId]) {
       const selectedIndex = this.focusableElements.findIndex(el => el.classList.contains('selected'));
       if (selectedIndex !== -1) {
         this.currentFocusIndex = selectedIndex;
@@ -312,6 +386,7 @@ export class PhotosSettingsModal {
     }
 
     this.navigationStack.push(screenId);
+    this.screenTitles[screenId] = title;
     this.currentFocusIndex = 0;
 
     currentScreen.classList.remove('active');
@@ -339,8 +414,7 @@ export class PhotosSettingsModal {
     currentScreen.classList.remove('active');
     previousScreen.classList.add('active');
 
-    const title = previousScreenId === 'main-screen' ? 'Photos' : this.modalTitle.textContent;
-    this.modalTitle.textContent = title;
+    this.modalTitle.textContent = this.screenTitles[previousScreenId] || 'Photos';
     this.updateBackButton();
     this.updateFocusableElements();
 
@@ -361,65 +435,235 @@ export class PhotosSettingsModal {
     }
   }
 
-  handleTransitionSelection(cell) {
-    const value = parseInt(cell.dataset.value);
-    
-    // Remove selection from all cells
-    document.querySelectorAll('#transition-screen .selectable').forEach(c => {
-      c.classList.remove('selected');
-      const checkmark = c.querySelector('.cell-checkmark');
+  /**
+   * Select a value on an option screen and save it
+   * @param {string} screenId - OPTION_SCREENS key
+   * @param {HTMLElement} cell - Selected cell
+   */
+  handleOptionSelection(screenId, cell) {
+    const option = OPTION_SCREENS[screenId];
+    const value = option.parse ? option.parse(cell.dataset.value) : cell.dataset.value;
+
+    this.markSelectedOption(screenId, value);
+    this.saveSettingToParent(option.path, value);
+
+    logger.info('Photo option selected', { path: option.path, value });
+  }
+
+  /**
+   * Show the checkmark on the cell for a value and update the main screen value
+   * @param {string} screenId - OPTION_SCREENS key
+   * @param {*} value - Selected value
+   */
+  markSelectedOption(screenId, value) {
+    const option = OPTION_SCREENS[screenId];
+    let selectedLabel = null;
+
+    document.querySelectorAll(`#${screenId} .selectable`).forEach(cell => {
+      const cellValue = option.parse ? option.parse(cell.dataset.value) : cell.dataset.value;
+      const isSelected = cellValue === value;
+
+      cell.classList.toggle('selected', isSelected);
+      const checkmark = cell.querySelector('.cell-checkmark');
       if (checkmark) {
-        checkmark.style.visibility = 'hidden';
+        checkmark.style.visibility = isSelected ? 'visible' : 'hidden';
+      }
+
+      if (isSelected) {
+        selectedLabel = cell.querySelector('.cell-label')?.textContent;
       }
     });
 
-    // Add selection to clicked cell
-    cell.classList.add('selected');
-    const checkmark = cell.querySelector('.cell-checkmark');
-    if (checkmark) {
-      checkmark.style.visibility = 'visible';
+    document.getElementById(option.valueId).textContent = option.format
+      ? option.format(value)
+      : (selectedLabel || value);
+  }
+
+  /**
+   * Read a setting from the settings received at initialization (plus changes made here)
+   * @param {string} path - Dot path (e.g. 'photos.order')
+   * @param {*} defaultValue - Value when not set
+   */
+  getSetting(path, defaultValue) {
+    const value = path.split('.').reduce((obj, key) => obj?.[key], this.currentSettings);
+    return value ?? defaultValue;
+  }
+
+  saveSettingToParent(path, value) {
+    const keys = path.split('.');
+    let obj = this.currentSettings;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (!obj[keys[i]]) obj[keys[i]] = {};
+      obj = obj[keys[i]];
     }
+    obj[keys[keys.length - 1]] = value;
 
-    document.getElementById('transition-value').textContent = `${value} seconds`;
+    logger.info('Saving setting to parent', { path, value });
 
-    this.saveSettingToParent('photos.transitionTime', value);
+    // Saving publishes SETTINGS_CHANGED, which sends the new values to the photos widget
+    const settingsStore = window.parent !== window ? window.parent.settingsStore : null;
+    if (!settingsStore) {
+      logger.error('Settings store not available - photo setting not saved', { path });
+      return;
+    }
 
-    logger.info('Transition time selected', { value });
+    try {
+      settingsStore.set(path, value);
+      settingsStore.save(false).catch(error => {
+        logger.error('Failed to save photo setting', error);
+      });
+      logger.success('Setting saved via settingsStore');
+    } catch (error) {
+      logger.error('Failed to save photo setting', error);
+    }
   }
 
-  saveSettingToParent(path, value) {
-  const keys = path.split('.');
-  let obj = this.currentSettings;
-  for (let i = 0; i < keys.length - 1; i++) {
-    if (!obj[keys[i]]) obj[keys[i]] = {};
-    obj = obj[keys[i]];
-  }
-  obj[keys[keys.length - 1]] = value;
-
-  logger.info('Saving setting to parent', { path, value });
-
-  if (window.parent !== window) {
-    const settingsInstance = window.parent.settingsInstance;
-    if (settingsInstance && typeof settingsInstance.handleSettingChange === 'function') {
-      try {
-        // Call through the settings manager so events get fired
-        settingsInstance.handleSettingChange(path, value);
-        logger.success('Setting saved via settingsInstance.handleSettingChange');
-        return;
-      } catch (error) {
-        logger.warn('settingsInstance.handleSettingChange failed', error);
-      }
+  // =========================================================================
+  // PHOTO SOURCES
+  // =========================================================================
+
+  /**
+   * Configured photo sources (photos.sources setting)
+   * @returns {Array<Object>} Copy of the source configs
+   */
+  getSources() {
+    const sources = this.getSetting('photos.sources', null);
+    return (Array.isArray(sources) ? sources : DEFAULT_PHOTO_SOURCES).map(source => ({ ...source }));
+  }
+
+  saveSources(sources) {
+    this.saveSettingToParent('photos.sources', sources);
+    this.renderSourceList();
+  }
+
+  getSourceTitle(source) {
+    return source.title || SOURCE_TYPE_TITLES[source.type] || source.id;
+  }
+
+  /**
+   * Last load result for a source, from the main app's PhotoService
+   * @returns {string} e.g. "120 photos", "Error: ..." or '' if not loaded yet
+   */
+  getSourceStatusText(sourceId, detailed = false) {
+    const status = window.parent?.photoService?.getSourceStatus?.()?.find(s => s.id === sourceId);
+    if (!status || status.ok === null) return '';
+    if (!status.ok) return detailed ? `Error: ${status.error}` : 'Error';
+    return `${status.count} photo${status.count !== 1 ? 's' : ''}`;
+  }
+
+  openSources() {
+    this.renderSourceList();
+    this.navigateTo('sources-screen', 'Photo Sources');
+  }
+
+  renderSourceList() {
+    const sources = this.getSources();
+    const list = document.getElementById('source-list');
+
+    list.innerHTML = '';
+    sources.forEach(source => {
+      const enabled = source.enabled !== false;
+      const status = enabled ? this.getSourceStatusText(source.id) : '';
+
+      const cell = document.createElement('div');
+      cell.className = 'settings-cell';
+      cell.tabIndex = 0;
+      cell.innerHTML = `
+        <span class="cell-label"></span>
+        <span class="cell-value"></span>
+        <span class="cell-chevron">›</span>
+      `;
+      cell.querySelector('.cell-label').textContent = this.getSourceTitle(source);
+      cell.querySelector('.cell-value').textContent = enabled ? (status || 'On') : 'Off';
+      cell.addEventListener('click', () => this.openSourceDetail(source.id));
+      list.appendChild(cell);
+    });
+
+    const enabledCount = sources.filter(source => source.enabled !== false).length;
+    document.getElementById('sources-value').textContent = `${enabledCount} on`;
+  }
+
+  openSourceDetail(sourceId) {
+    const source = this.getSources().find(s => s.id === sourceId);
+    if (!source) return;
+
+    this.selectedSourceId = sourceId;
+    this.renderSourceDetail(source);
+    this.navigateTo('source-detail-screen', this.getSourceTitle(source));
+  }
+
+  renderSourceDetail(source) {
+    const enabled = source.enabled !== false;
+    document.getElementById('source-enabled-value').textContent = enabled ? 'On' : 'Off';
+
+    // Dashie uploads are managed with Add/Delete Photos; it can be turned off but not removed
+    document.getElementById('source-remove-btn').style.display =
+      source.type === PHOTO_SOURCE_TYPES.SUPABASE ? 'none' : '';
+
+    const details = [
+      source.url,
+      enabled ? this.getSourceStatusText(source.id, true) : ''
+    ].filter(Boolean);
+    document.getElementById('source-detail-status').textContent = details.join(' · ');
+  }
+
+  toggleSelectedSource() {
+    const sources = this.getSources();
+    const source = sources.find(s => s.id === this.selectedSourceId);
+    if (!source) return;
+
+    source.enabled = source.enabled === false;
+    this.saveSources(sources);
+    this.renderSourceDetail(source);
+
+    logger.info('Photo source toggled', { id: source.id, enabled: source.enabled });
+  }
+
+  removeSelectedSource() {
+    const sources = this.getSources();
+    const source = sources.find(s => s.id === this.selectedSourceId);
+    if (!source || source.type === PHOTO_SOURCE_TYPES.SUPABASE) return;
+
+    this.saveSources(sources.filter(s => s.id !== source.id));
+    this.selectedSourceId = null;
+    this.navigateBack();
+
+    logger.info('Photo source removed', { id: source.id });
+  }
+
+  addFeedSource() {
+    const input = document.getElementById('feed-url-input');
+    const value = input.value.trim();
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      url = null;
     }
-    
-    // Fallback to postMessage
-    window.parent.postMessage({
-      type: 'update-setting',
-      path: path,
-      value: value
-    }, '*');
-    logger.info('Setting sent via postMessage fallback');
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      this.showError('Enter a feed URL starting with http:// or https://');
+      return;
+    }
+
+    const sources = this.getSources();
+    if (!sources.some(source => source.url === url.href)) {
+      sources.push({
+        id: `feed-${Date.now()}`,
+        type: PHOTO_SOURCE_TYPES.FEED,
+        enabled: true,
+        url: url.href,
+        title: url.hostname
+      });
+      this.saveSources(sources);
+      logger.info('Photo feed added as photo source', { url: url.href });
+    }
+
+    input.value = '';
+    input.blur();
+    this.navigateBack();
   }
-}
 
   async initialize(userId, theme, settings = {}) {
     this.userId = userId;
@@ -532,24 +776,14 @@ export class PhotosSettingsModal {
   }
 
   populateCurrentSettings() {
-    const transitionTime = this.currentSettings.photos?.transitionTime || 5;
-    document.querySelectorAll('#transition-screen .selectable').forEach(cell => {
-      const value = parseInt(cell.dataset.value);
-      if (value === transitionTime) {
-        cell.classList.add('selected');
-        const checkmark = cell.querySelector('.cell-checkmark');
-        if (checkmark) {
-          checkmark.style.visibility = 'visible';
-        }
-      } else {
-        cell.classList.remove('selected');
-        const checkmark = cell.querySelector('.cell-checkmark');
-        if (checkmark) {
-          checkmark.style.visibility = 'hidden';
-        }
-      }
+    Object.entries(OPTION_SCREENS).forEach(([screenId, option]) => {
+      this.markSelectedOption(screenId, this.getSetting(option.path, option.defaultValue));
     });
-    document.getElementById('transition-value').textContent = `${transitionTime} seconds`;
+
+    document.getElementById('show-info-value').textContent =
+      this.getSetting('photos.showInfo', false) ? 'On' : 'Off';
+
+    this.renderSourceList();
   }
 
   async handleFileSelection(event) {
@@ -0,0 +1,219 @@
+// widgets/photos/utils/photo-exif-reader.js
+// v1.0 - 10/19/26 - Initial implementation (capture date, orientation, GPS)
+
+import { createLogger } from '../../../js/utils/logger.js';
+
+const logger = createLogger('PhotoExifReader');
+
+// EXIF data sits near the start of the file (JPEG APP1 is capped at 64KB; HEIC keeps it in an early item)
+const EXIF_SCAN_BYTES = 512 * 1024;
+
+const TAGS = {
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004
+};
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+
+/**
+ * Read EXIF metadata from an image file
+ * Must be called with the ORIGINAL file - HEIC conversion and compression strip EXIF.
+ *
+ * @param {File|Blob} file - JPEG or HEIC/HEIF image
+ * @returns {Promise<{takenAt: string|null, orientation: number|null, latitude: number|null, longitude: number|null}|null>}
+ *          null if the file has no readable EXIF block
+ */
+export async function readPhotoExif(file) {
+  try {
+    const buffer = await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer();
+    const view = new DataView(buffer);
+
+    const tiffStart = findTiffHeader(view);
+    if (tiffStart === null) {
+      logger.debug('No EXIF data found', { filename: file.name });
+      return null;
+    }
+
+    const exif = parseTiff(view, tiffStart);
+
+    logger.debug('EXIF data read', { filename: file.name, ...exif });
+    return exif;
+
+  } catch (error) {
+    // Corrupt or truncated metadata shouldn't block the upload
+    logger.warn('Failed to read EXIF data', { filename: file.name, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Find the start of the TIFF header inside the EXIF block
+ * @param {DataView} view - File start
+ * @returns {number|null} Byte offset of the TIFF header
+ */
+function findTiffHeader(view) {
+  // JPEG: walk the segments up to the APP1 "Exif" segment
+  if (view.byteLength > 4 && view.getUint16(0) === 0xFFD8) {
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Not a marker / start of image data
+
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xFFE1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+        return offset + 10;
+      }
+
+      offset += 2 + length;
+    }
+
+    return null;
+  }
+
+  // HEIC/HEIF: the Exif item starts with "Exif\0\0" followed by the TIFF header
+  for (let offset = 0; offset + 10 <= view.byteLength; offset++) {
+    if (view.getUint32(offset) === 0x45786966 && view.getUint16(offset + 4) === 0) { // "Exif\0\0"
+      const byteOrder = view.getUint16(offset + 6);
+      if (byteOrder === 0x4949 || byteOrder === 0x4D4D) {
+        return offset + 6;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the tags we use from IFD0, the Exif IFD and the GPS IFD
+ * @param {DataView} view - File start
+ * @param {number} tiffStart - TIFF header offset (all IFD offsets are relative to it)
+ */
+function parseTiff(view, tiffStart) {
+  const littleEndian = view.getUint16(tiffStart) === 0x4949;
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+
+  const exifIfd = ifd0.has(TAGS.EXIF_IFD)
+    ? readIfd(view, tiffStart, readValue(ifd0.get(TAGS.EXIF_IFD)), littleEndian)
+    : new Map();
+
+  const gpsIfd = ifd0.has(TAGS.GPS_IFD)
+    ? readIfd(view, tiffStart, readValue(ifd0.get(TAGS.GPS_IFD)), littleEndian)
+    : new Map();
+
+  const dateEntry = exifIfd.get(TAGS.DATE_TIME_ORIGINAL) || ifd0.get(TAGS.DATE_TIME);
+  const orientationEntry = ifd0.get(TAGS.ORIENTATION);
+
+  let latitude = readCoordinate(gpsIfd.get(TAGS.GPS_LATITUDE), gpsIfd.get(TAGS.GPS_LATITUDE_REF), 'S');
+  let longitude = readCoordinate(gpsIfd.get(TAGS.GPS_LONGITUDE), gpsIfd.get(TAGS.GPS_LONGITUDE_REF), 'W');
+
+  // Cameras without a fix often write 0/0
+  if (latitude === 0 && longitude === 0) {
+    latitude = null;
+    longitude = null;
+  }
+
+  return {
+    takenAt: dateEntry ? parseExifDate(readString(dateEntry)) : null,
+    orientation: orientationEntry ? readValue(orientationEntry) : null,
+    latitude,
+    longitude
+  };
+}
+
+/**
+ * Read an IFD's entries
+ * @returns {Map<number, Object>} tag → { view, tiffStart, littleEndian, type, count, entryOffset }
+ */
+function readIfd(view, tiffStart, ifdOffset, littleEndian) {
+  const entries = new Map();
+  const start = tiffStart + ifdOffset;
+  if (start + 2 > view.byteLength) return entries;
+
+  const count = view.getUint16(start, littleEndian);
+
+  for (let i = 0; i < count; i++) {
+    const entryOffset = start + 2 + i * 12;
+    if (entryOffset + 12 > view.byteLength) break;
+
+    entries.set(view.getUint16(entryOffset, littleEndian), {
+      view,
+      tiffStart,
+      littleEndian,
+      type: view.getUint16(entryOffset + 2, littleEndian),
+      count: view.getUint32(entryOffset + 4, littleEndian),
+      entryOffset
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * SHORT/LONG value stored in the entry itself
+ */
+function readValue({ view, type, entryOffset, littleEndian }) {
+  if (type === TYPE_SHORT) return view.getUint16(entryOffset + 8, littleEndian);
+  if (type === TYPE_LONG) return view.getUint32(entryOffset + 8, littleEndian);
+  return null;
+}
+
+/**
+ * ASCII value (stored inline when 4 bytes or less)
+ */
+function readString({ view, tiffStart, count, entryOffset, littleEndian }) {
+  const offset = count <= 4 ? entryOffset + 8 : tiffStart + view.getUint32(entryOffset + 8, littleEndian);
+  return readAscii(view, offset, count).replace(/\0+$/, '');
+}
+
+/**
+ * GPS coordinate: 3 RATIONALs (degrees, minutes, seconds) → signed decimal degrees
+ */
+function readCoordinate(entry, refEntry, negativeRef) {
+  if (!entry || entry.count !== 3) return null;
+
+  const { view, tiffStart, entryOffset, littleEndian } = entry;
+  const offset = tiffStart + view.getUint32(entryOffset + 8, littleEndian);
+
+  const parts = [0, 1, 2].map(i => {
+    const numerator = view.getUint32(offset + i * 8, littleEndian);
+    const denominator = view.getUint32(offset + i * 8 + 4, littleEndian);
+    return denominator ? numerator / denominator : 0;
+  });
+
+  const value = parts[0] + parts[1] / 60 + parts[2] / 3600;
+  const ref = refEntry ? readString(refEntry) : '';
+
+  return Math.round((ref === negativeRef ? -value : value) * 1e6) / 1e6;
+}
+
+/**
+ * EXIF dates are local wall-clock time: "YYYY:MM:DD HH:MM:SS"
+ * @returns {string|null} ISO string
+ */
+function parseExifDate(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  if (!year || !month || !day) return null; // "0000:00:00 00:00:00" means unknown
+
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+function readAscii(view, offset, length) {
+  let result = '';
+  for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return result;
+}
@@ -1,7 +1,9 @@
 // widgets/photos/utils/photo-file-processor.js
 // CHANGE SUMMARY: NEW FILE - Handles HEIC conversion and thumbnail generation for photo uploads
+// v1.1 - 10/19/26 - EXIF metadata (capture date, orientation, GPS) read from the original file
 
 import { createLogger } from '../../../js/utils/logger.js';
+import { readPhotoExif } from './photo-exif-reader.js';
 
 const logger = createLogger('PhotoFileProcessor');
 
@@ -9,7 +11,7 @@ const logger = createLogger('PhotoFileProcessor');
  * PhotoFileProcessor - Handles file processing before upload
  * - HEIC/HEIF to JPEG conversion
  * - Thumbnail generation
- * - File metadata extraction
+ * - File metadata extraction (including EXIF from the original file)
  */
 export class PhotoFileProcessor {
   constructor(options = {}) {
@@ -27,6 +29,7 @@ export class PhotoFileProcessor {
    * Process a file for upload
    * @param {File} file - Original file
    * @returns {Promise<{original: File, thumbnail: Blob|null, metadata: Object}>}
+   *          metadata.exif: { takenAt, orientation, latitude, longitude } or null
    */
   async processFile(file) {
     try {
@@ -36,6 +39,9 @@ export class PhotoFileProcessor {
         type: file.type 
       });
 
+      // Step 0: Read EXIF before conversion/compression strip it
+      const exif = await readPhotoExif(file);
+
       // Step 1: Convert HEIC/HEIF to JPEG if needed
       const convertedFile = await this.convertToJPEGIfNeeded(file);
 
@@ -46,7 +52,7 @@ export class PhotoFileProcessor {
       const thumbnail = await this.generateThumbnail(compressedFile);
 
       // Step 4: Extract metadata
-      const metadata = this.extractMetadata(compressedFile, file);
+      const metadata = this.extractMetadata(compressedFile, file, exif);
 
       logger.success('File processed successfully', {
         originalName: file.name,
@@ -341,9 +347,10 @@ export class PhotoFileProcessor {
    * @private
    * @param {File} processedFile - Processed file
    * @param {File} originalFile - Original file (before conversion)
+   * @param {Object|null} exif - EXIF data from readPhotoExif()
    * @returns {Object}
    */
-  extractMetadata(processedFile, originalFile) {
+  extractMetadata(processedFile, originalFile, exif = null) {
     return {
       originalFilename: originalFile.name,
       processedFilename: processedFile.name,
@@ -351,7 +358,8 @@ export class PhotoFileProcessor {
       processedSize: processedFile.size,
       mimeType: processedFile.type,
       wasConverted: originalFile.name !== processedFile.name,
-      uploadedAt: new Date().toISOString()
+      uploadedAt: new Date().toISOString(),
+      exif
     };
   }
 }
\ No newline at end of file
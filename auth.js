@@ -219,7 +219,7 @@ class PhoneAuthHandler {
 
       // Build OAuth URL
       const redirectUri = window.location.origin + '/oauth-callback.html';
-      const scope = 'openid email profile https://www.googleapis.com/auth/calendar.readonly';
+      const scope = 'openid email profile https://www.googleapis.com/auth/calendar.readonly https://www.googleapis.com/auth/calendar.events';
 
       const authUrl = 'https://accounts.google.com/o/oauth2/v2/auth?' + new URLSearchParams({
         client_id: GOOGLE_CLIENT_ID,
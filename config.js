@@ -75,7 +75,11 @@ export function getDefaultSettings(userEmail = 'unknown@example.com') {
   return {
     // Photo Widget Settings
     photos: {
-      transitionTime: DEFAULT_PHOTO_TRANSITION_TIME
+      transitionTime: DEFAULT_PHOTO_TRANSITION_TIME,
+      transition: DEFAULT_PHOTO_TRANSITION,
+      order: DEFAULT_PHOTO_ORDER,
+      showInfo: false,
+      sources: DEFAULT_PHOTO_SOURCES.map(source => ({ ...source }))
     },
 
     // Interface Settings
@@ -85,6 +89,10 @@ export function getDefaultSettings(userEmail = 'unknown@example.com') {
       wakeTime: DEFAULT_WAKE_TIME,
       reSleepDelay: DEFAULT_RESLEEP_DELAY,
       sleepTimerEnabled: DEFAULT_SLEEP_TIMER_ENABLED,
+      sleepSchedule: null, // { weekday: [{ sleep, wake }], weekend: [...] } - null uses sleepTime/wakeTime every day
+      vacation: null, // { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } - asleep all day, both dates included
+      presenceWake: DEFAULT_PRESENCE_WAKE,
+      ambient: { ...DEFAULT_AMBIENT_SETTINGS }, // Sleep screen: ambient clock/event/weather/photos instead of black
       theme: DEFAULT_THEME,
       dynamicGreeting: DEFAULT_DYNAMIC_GREETING
     },
@@ -99,7 +107,8 @@ export function getDefaultSettings(userEmail = 'unknown@example.com') {
     // Family Settings
     family: {
       familyName: DEFAULT_FAMILY_NAME,
-      members: [],
+      members: [], // [{ id, name, color, emoji, photoUrl, birthday, calendarIds }] - calendarIds are account-prefixed
+      colorEventsByMember: false, // Tint calendar/agenda events with the owning member's colour
       zipCode: '',
       latitude: null,
       longitude: null
@@ -107,7 +116,9 @@ export function getDefaultSettings(userEmail = 'unknown@example.com') {
 
     // Calendar Settings
     calendar: {
-      activeCalendarIds: [] // Account-prefixed IDs like 'primary-user@gmail.com'
+      activeCalendarIds: [], // Account-prefixed IDs like 'primary-user@gmail.com'
+      dcalViewMode: 'week', // 'monthly', 'week', or '1'-'7' (rolling N-day; '1' = day view)
+      collapseRecurringAllDay: false // Month view: show a repeating all-day series on consecutive days as one bar
     },
 
     // System Settings
@@ -130,7 +141,20 @@ export const DEFAULT_SIDEBAR_MODE = 'plus'; // 'core' or 'plus'
 export const DEFAULT_SLEEP_TIME = '22:00';
 export const DEFAULT_WAKE_TIME = '07:00';
 export const DEFAULT_RESLEEP_DELAY = 10; // minutes
+export const RESLEEP_DELAY_OPTIONS = [5, 10, 15, 30, 60]; // minutes
 export const DEFAULT_SLEEP_TIMER_ENABLED = false;
+export const DEFAULT_PRESENCE_WAKE = true; // Wake when the Android app reports motion/presence
+export const SLEEP_SCHEDULE_DAY_TYPES = ['weekday', 'weekend']; // Mon-Fri, Sat-Sun
+export const MAX_SLEEP_WINDOWS_PER_DAY = 4;
+export const AMBIENT_BRIGHTNESS_OPTIONS = [10, 20, 30, 40, 60]; // percent
+export const DEFAULT_AMBIENT_SETTINGS = {
+  enabled: true, // false = plain black sleep overlay
+  clock: true,
+  nextEvent: true, // Tomorrow's first calendar event
+  weather: true, // Tonight's low
+  photos: false, // Slow photo fade behind the clock
+  brightness: 20 // percent (AMBIENT_BRIGHTNESS_OPTIONS)
+};
 export const DEFAULT_DYNAMIC_GREETING = false;
 
 // =============================================================================
@@ -139,16 +163,46 @@ export const DEFAULT_DYNAMIC_GREETING = false;
 
 export const DEFAULT_FAMILY_NAME = 'Dashie';
 
+// Presets offered when editing a family member (Enter cycles through them)
+export const FAMILY_MEMBER_COLORS = ['#4285f4', '#ea4335', '#34a853', '#fbbc04', '#a142f4', '#ff6d01', '#24c1e0', '#f06292'];
+export const FAMILY_MEMBER_EMOJIS = ['🙂', '👩', '👨', '👧', '👦', '👶', '👵', '👴', '🐶', '🐱'];
+
 // =============================================================================
 // WIDGET DEFAULTS
 // =============================================================================
 
 export const DEFAULT_PHOTO_TRANSITION_TIME = 5; // seconds
 
-// Grid configuration
-export const GRID_ROWS = 2;
-export const GRID_COLS = 3;
-export const GRID_TOTAL_SLOTS = GRID_ROWS * GRID_COLS;
+// Photo slideshow options (photos.transition / photos.order settings)
+export const PHOTO_TRANSITIONS = {
+  CROSSFADE: 'crossfade',
+  SLIDE: 'slide',
+  KEN_BURNS: 'ken-burns'
+};
+
+export const PHOTO_ORDERS = {
+  SHUFFLE: 'shuffle',             // Every photo once, in random order, then reshuffle
+  CHRONOLOGICAL: 'chronological', // Oldest first
+  ON_THIS_DAY: 'on-this-day'      // Memories: photos taken on today's date in past years first ("3 years ago"), then shuffle
+};
+
+export const DEFAULT_PHOTO_TRANSITION = PHOTO_TRANSITIONS.CROSSFADE;
+export const DEFAULT_PHOTO_ORDER = PHOTO_ORDERS.SHUFFLE;
+
+// Photo sources (photos.sources setting) - the slideshow rotates across the enabled ones
+// Source config: { id, type, enabled, ...type options } - see js/data/services/photo-sources/
+export const PHOTO_SOURCE_TYPES = {
+  SUPABASE: 'supabase', // Photos uploaded to Dashie
+  FEED: 'feed'          // RSS/Atom media feed, JSON or plain list of image URLs - { url, title }
+};
+
+export const DEFAULT_PHOTO_SOURCES = [
+  { id: 'supabase', type: PHOTO_SOURCE_TYPES.SUPABASE, enabled: true }
+];
+
+// Grid layout: rows, columns and placement come from layout data
+// (js/modules/Dashboard/dashboard-layout-presets.js), this is the preset new dashboards start with
+export const DEFAULT_DASHBOARD_LAYOUT = 'classic';
 
 // =============================================================================
 // TIMING DEFAULTS
@@ -182,6 +236,12 @@ export const CALENDAR_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 // Default: 2 minutes (starts background refresh after 2 min, but still serves cached data)
 export const CALENDAR_CACHE_REFRESH_THRESHOLD_MS = 2 * 60 * 1000; // 2 minutes
 
+// Full calendar resync interval
+// Between full syncs, refreshes only download changes (Google syncTokens).
+// A full resync also happens when the event window moves (new month) or a token expires (410 Gone)
+// Default: 24 hours (picks up calendar color/name changes at least daily)
+export const CALENDAR_FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
 // CACHE BEHAVIOR SUMMARY:
 // - Age 0-2 min:  Serve cache, no refresh needed (fresh!)
 // - Age 2-5 min:  Serve cache, background refresh starts (keeping it fresh)
@@ -219,6 +279,59 @@ export const HEARTBEAT_OFFLINE_THRESHOLD_MINUTES = 5; // Mark offline after 5 mi
 export const HEARTBEAT_VERSION_CHECK_ENABLED = true;
 export const HEARTBEAT_AUTO_UPDATE_PROMPT = true; // Show update prompt automatically
 
+// =============================================================================
+// APP UPDATES
+// =============================================================================
+
+// "Later" on the update prompt asks again after this long
+export const UPDATE_REMIND_LATER_MS = 60 * 60 * 1000; // 1 hour
+
+// A scheduled ("tonight") update waits this long after the dashboard falls asleep
+// in its sleep window before reloading (waking it in the meantime puts it off)
+export const UPDATE_SLEEP_DELAY_MS = 5 * 60 * 1000; // 5 minutes
+
+// =============================================================================
+// DASHBOARD REMOTE (phone → dashboard commands)
+// =============================================================================
+
+// How long the phone waits for dashboards to acknowledge a command
+export const REMOTE_COMMAND_TIMEOUT_MS = 8000;
+
+// Longest message the phone can show on a dashboard
+export const REMOTE_MESSAGE_MAX_LENGTH = 200;
+
+// Calendar views the remote can switch to (calendar widget view modes)
+export const REMOTE_CALENDAR_VIEWS = [
+  { id: '1', label: 'Day' },
+  { id: '3', label: '3 Days' },
+  { id: 'week', label: 'Week' },
+  { id: 'monthly', label: 'Month' },
+  { id: 'timeline', label: 'Timeline' }
+];
+
+// =============================================================================
+// MESSAGE BOARD (notes shown on every dashboard)
+// =============================================================================
+
+// Note priorities, lowest first (urgent notes wake sleeping dashboards)
+export const MESSAGE_PRIORITIES = [
+  { id: 'normal', label: 'Normal' },
+  { id: 'high', label: 'Important' },
+  { id: 'urgent', label: 'Urgent' }
+];
+
+// Expiry choices when posting a note (0 = until dismissed)
+export const MESSAGE_EXPIRY_OPTIONS = [
+  { minutes: 0, label: 'Until dismissed' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 240, label: '4 hours' },
+  { minutes: 1440, label: '1 day' },
+  { minutes: 10080, label: '1 week' }
+];
+
+// Longest note (matches the family_messages check constraint)
+export const MESSAGE_MAX_LENGTH = 200;
+
 // =============================================================================
 // STORAGE KEYS
 // =============================================================================
@@ -243,7 +356,12 @@ export const STORAGE_KEYS = {
   // State
   APP_STATE: 'dashie-app-state',
   LAST_MODULE: 'dashie-last-module',
-  DASHBOARD_STATE: 'dashie-dashboard-state'
+  DASHBOARD_STATE: 'dashie-dashboard-state',
+  DASHBOARD_LAYOUT: 'dashie-dashboard-layout', // Layouts saved before they moved into DEVICE_PROFILE (read once to migrate)
+  WIDGET_PLUGINS: 'dashie-widget-plugins', // Installed widget plugin manifests (per device)
+  KEY_BINDINGS: 'dashie-key-bindings', // Remote/keyboard bindings (per device - each remote sends its own codes)
+  DEVICE_PROFILE: 'dashie-device-profile', // This dashboard's name, layout and setting overrides (see js/core/device-profile.js)
+  SCHEDULED_UPDATE: 'dashie-scheduled-update' // Update to install during the next sleep window (see js/services/app-update-service.js)
 };
 
 // =============================================================================
@@ -273,12 +391,18 @@ export const API_RATE_LIMIT_REQUESTS_PER_MINUTE = 60;
 // WIDGET CONFIGURATION
 // =============================================================================
 
+// Widget message protocol version (sent as `v` on every message; see js/core/widget-protocol.js)
+// Messages without `v` are read as version 1
+export const WIDGET_PROTOCOL_VERSION = 1;
+
 // Widget message types
 export const WIDGET_MESSAGE_TYPES = {
   COMMAND: 'command',
   DATA: 'data',
   CONFIG: 'config',
-  EVENT: 'event'
+  EVENT: 'event',
+  REQUEST: 'request',
+  RESPONSE: 'response'
 };
 
 // Widget commands
@@ -303,6 +427,16 @@ export const WIDGET_EVENT_TYPES = {
   DATA_REQUESTED: 'data-requested'
 };
 
+// Data types a widget plugin can subscribe to in its manifest
+// Delivered as { type: 'data', payload: { dataType, payload } }
+export const WIDGET_DATA_TYPES = {
+  CALENDAR: 'calendar',
+  PHOTOS: 'photos',
+  WEATHER: 'weather',
+  FORECAST: 'forecast',
+  FAMILY: 'family'
+};
+
 // =============================================================================
 // LOGGING CONFIGURATION
 // =============================================================================
@@ -344,6 +478,87 @@ export const DASHBOARD_MENU_ITEMS = [
   { id: 'logout', label: 'Logout', icon: '🚪' }
 ];
 
+// =============================================================================
+// INPUT CONFIGURATION
+// =============================================================================
+
+// Actions that can be bound to keys (Settings → System → Remote & Keyboard)
+export const BINDABLE_ACTIONS = [
+  { id: 'up', label: 'Up' },
+  { id: 'down', label: 'Down' },
+  { id: 'left', label: 'Left' },
+  { id: 'right', label: 'Right' },
+  { id: 'enter', label: 'Select' },
+  { id: 'escape', label: 'Back' },
+  { id: 'menu', label: 'Menu' },
+  { id: 'prev', label: 'Previous View' },
+  { id: 'next', label: 'Next View' },
+  { id: 'play-pause', label: 'Sleep / Wake' }
+];
+
+// Actions that must always keep at least one key (or the dashboard can't be navigated)
+export const REQUIRED_KEY_ACTIONS = ['up', 'down', 'enter', 'escape'];
+
+// Default key bindings
+// keyboard: KeyboardEvent.key (single characters lower-case) → action
+// android:  keycode passed to window.handleRemoteInput → action
+export const DEFAULT_KEY_BINDINGS = {
+  keyboard: {
+    'ArrowLeft': 'left',
+    'ArrowRight': 'right',
+    'ArrowUp': 'up',
+    'ArrowDown': 'down',
+    'Enter': 'enter',
+    'Escape': 'escape',
+    'm': 'menu',
+    ' ': 'space',
+    ',': 'prev',
+    '.': 'next'
+  },
+  android: {
+    38: 'up',           // KEYCODE_DPAD_UP
+    40: 'down',         // KEYCODE_DPAD_DOWN
+    37: 'left',         // KEYCODE_DPAD_LEFT
+    39: 'right',        // KEYCODE_DPAD_RIGHT
+    13: 'enter',        // KEYCODE_DPAD_CENTER / KEYCODE_ENTER
+    4: 'escape',        // KEYCODE_BACK (Android back button)
+    82: 'menu',         // KEYCODE_MENU
+    77: 'menu',         // M key for menu
+    227: 'prev',        // KEYCODE_MEDIA_REWIND
+    228: 'next',        // KEYCODE_MEDIA_FAST_FORWARD
+    188: 'prev',        // Alternative comma key
+    190: 'next',        // Alternative period key
+    87: 'next',         // KEYCODE_MEDIA_NEXT
+    88: 'prev',         // KEYCODE_MEDIA_PREVIOUS
+    179: 'play-pause',  // KEYCODE_MEDIA_PLAY_PAUSE
+    85: 'play-pause'    // Alternative play/pause
+  }
+};
+
+// Extra actions on a long press (keyboard only - needs key-up) or double press
+// { [action]: { long?: action, double?: action } } for the GESTURE_KEY_ACTIONS
+export const GESTURE_KEY_ACTIONS = ['enter', 'escape', 'play-pause'];
+export const DEFAULT_KEY_GESTURES = {};
+export const LONG_PRESS_MS = 600;
+export const DOUBLE_PRESS_MS = 350; // Single presses of a key with a double-press action wait this long
+
+// Gamepad (Gamepad API "standard" button layout → action)
+export const GAMEPAD_BUTTON_ACTIONS = {
+  0: 'enter',       // A / Cross
+  1: 'escape',      // B / Circle
+  4: 'prev',        // Left bumper
+  5: 'next',        // Right bumper
+  8: 'play-pause',  // Select / Back / Share
+  9: 'menu',        // Start / Options
+  12: 'up',         // D-pad
+  13: 'down',
+  14: 'left',
+  15: 'right'
+};
+export const GAMEPAD_STICK_DEADZONE = 0.5; // Stick/hat axis value that counts as a direction
+export const GAMEPAD_REPEAT_DELAY_MS = 400; // Holding a direction repeats after this long...
+export const GAMEPAD_REPEAT_INTERVAL_MS = 150; // ...then this often
+
 // =============================================================================
 // SETTINGS CONFIGURATION
 // =============================================================================
@@ -363,6 +578,30 @@ export const LOCAL_ONLY_SETTINGS = [
   'system.autoRedirect',
   'system.debugMode'
 ];
+// Key bindings are per device too, but live outside settings (STORAGE_KEYS.KEY_BINDINGS)
+
+// Settings a dashboard can keep for itself instead of using the account's
+// (Settings → System → My Dashboards). The layout is always per device; it's
+// saved on the dashboard's heartbeat row along with these (DeviceProfile).
+export const DEVICE_OVERRIDE_GROUPS = {
+  theme: {
+    label: 'Theme',
+    paths: ['interface.theme', 'interface.themeFamily', 'interface.themeMode', 'interface.themeAnimationsEnabled']
+  },
+  sleep: {
+    label: 'Sleep',
+    paths: [
+      'interface.sleepTimerEnabled',
+      'interface.sleepTime',
+      'interface.wakeTime',
+      'interface.sleepSchedule',
+      'interface.vacation',
+      'interface.reSleepDelay',
+      'interface.presenceWake',
+      'interface.ambient'
+    ]
+  }
+};
 
 // =============================================================================
 // SUPABASE CONFIGURATION
@@ -396,6 +635,7 @@ export const GOOGLE_API_CONFIG = {
   // Scopes
   scopes: [
     'https://www.googleapis.com/auth/calendar.readonly',
+    'https://www.googleapis.com/auth/calendar.events',
     'https://www.googleapis.com/auth/photoslibrary.readonly'
   ],
 
@@ -500,7 +740,13 @@ export default {
   DEFAULT_SLEEP_TIME,
   DEFAULT_WAKE_TIME,
   DEFAULT_RESLEEP_DELAY,
+  RESLEEP_DELAY_OPTIONS,
   DEFAULT_SLEEP_TIMER_ENABLED,
+  DEFAULT_PRESENCE_WAKE,
+  SLEEP_SCHEDULE_DAY_TYPES,
+  MAX_SLEEP_WINDOWS_PER_DAY,
+  AMBIENT_BRIGHTNESS_OPTIONS,
+  DEFAULT_AMBIENT_SETTINGS,
   DEFAULT_DYNAMIC_GREETING,
 
   // Family
@@ -508,9 +754,13 @@ export default {
 
   // Widgets
   DEFAULT_PHOTO_TRANSITION_TIME,
-  GRID_ROWS,
-  GRID_COLS,
-  GRID_TOTAL_SLOTS,
+  PHOTO_TRANSITIONS,
+  PHOTO_ORDERS,
+  DEFAULT_PHOTO_TRANSITION,
+  DEFAULT_PHOTO_ORDER,
+  PHOTO_SOURCE_TYPES,
+  DEFAULT_PHOTO_SOURCES,
+  DEFAULT_DASHBOARD_LAYOUT,
 
   // Timing
   DEFAULT_REFRESH_INTERVAL,
@@ -522,6 +772,7 @@ export default {
   // Cache
   CALENDAR_CACHE_TTL_MS,
   CALENDAR_CACHE_REFRESH_THRESHOLD_MS,
+  CALENDAR_FULL_SYNC_INTERVAL_MS,
 
   // JWT & Auth
   JWT_EXPIRY_HOURS,
@@ -536,6 +787,20 @@ export default {
   HEARTBEAT_VERSION_CHECK_ENABLED,
   HEARTBEAT_AUTO_UPDATE_PROMPT,
 
+  // App updates
+  UPDATE_REMIND_LATER_MS,
+  UPDATE_SLEEP_DELAY_MS,
+
+  // Dashboard remote
+  REMOTE_COMMAND_TIMEOUT_MS,
+  REMOTE_MESSAGE_MAX_LENGTH,
+  REMOTE_CALENDAR_VIEWS,
+
+  // Message board
+  MESSAGE_PRIORITIES,
+  MESSAGE_EXPIRY_OPTIONS,
+  MESSAGE_MAX_LENGTH,
+
   // Storage
   STORAGE_KEYS,
 
@@ -551,9 +816,11 @@ export default {
   API_RATE_LIMIT_REQUESTS_PER_MINUTE,
 
   // Widget
+  WIDGET_PROTOCOL_VERSION,
   WIDGET_MESSAGE_TYPES,
   WIDGET_COMMANDS,
   WIDGET_EVENT_TYPES,
+  WIDGET_DATA_TYPES,
 
   // Logging
   LOG_LEVELS,
@@ -563,9 +830,23 @@ export default {
   // Dashboard
   DASHBOARD_MENU_ITEMS,
 
+  // Input
+  BINDABLE_ACTIONS,
+  REQUIRED_KEY_ACTIONS,
+  DEFAULT_KEY_BINDINGS,
+  GESTURE_KEY_ACTIONS,
+  DEFAULT_KEY_GESTURES,
+  LONG_PRESS_MS,
+  DOUBLE_PRESS_MS,
+  GAMEPAD_BUTTON_ACTIONS,
+  GAMEPAD_STICK_DEADZONE,
+  GAMEPAD_REPEAT_DELAY_MS,
+  GAMEPAD_REPEAT_INTERVAL_MS,
+
   // Settings
   SETTINGS_CATEGORIES,
   LOCAL_ONLY_SETTINGS,
+  DEVICE_OVERRIDE_GROUPS,
 
   // Supabase
   SUPABASE_CONFIG,
@@ -261,6 +261,8 @@ appComms.events = {
   TOAST_SHOW: 'toast:show',                   // Request to show toast notification
   MODAL_OPEN: 'modal:open',                   // When modal opens
   MODAL_CLOSE: 'modal:close',                 // When modal closes
+  LAYOUT_CHANGED: 'dashboard:layout_changed', // When the Dashboard layout is edited or switched
+  WIDGET_PLUGINS_CHANGED: 'dashboard:widget_plugins_changed', // When a widget plugin is installed or removed
 
   // Data events
   DATA_UPDATED: 'data:updated',               // When any data is updated
@@ -268,6 +270,7 @@ appComms.events = {
   CALENDAR_UPDATED: 'calendar:updated',       // When calendar data updates
   PHOTOS_UPDATED: 'photos:updated',           // When photo data updates
   WEATHER_UPDATED: 'weather:updated',         // When weather data updates
+  MESSAGES_UPDATED: 'messages:updated',       // When message board notes are posted, dismissed or expire
 
   // Settings events
   SETTINGS_CHANGED: 'settings:changed',       // When settings are modified
@@ -1,6 +1,7 @@
 // js/core/app-state-manager.js
 // Global application state manager with localStorage persistence
 // v1.0 - 10/15/25 - Initial implementation for refactored architecture
+// v1.1 - 10/19/26 - SLEEP_MODE_CHANGED also carries isAsleep; no event when the state doesn't change
 
 import { createLogger } from '../utils/logger.js';
 import AppComms from './app-comms.js';
@@ -276,6 +277,7 @@ class AppStateManager {
    */
   setSleepMode(isSleeping) {
     const oldSleepState = this.state.isSleeping;
+    if (oldSleepState === isSleeping) return;
 
     this.setState({
       isSleeping
@@ -285,7 +287,8 @@ class AppStateManager {
 
     AppComms.publish(AppComms.events.SLEEP_MODE_CHANGED, {
       oldState: oldSleepState,
-      newState: isSleeping
+      newState: isSleeping,
+      isAsleep: isSleeping
     });
   }
 
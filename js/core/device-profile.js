@@ -0,0 +1,440 @@
+// js/core/device-profile.js
+// This dashboard's name, device fingerprint, layout and per-device setting overrides
+// v1.0 - 10/19/26 - Initial implementation (multiple dashboards per account)
+// v1.1 - 10/19/26 - Overrides saved with the dashboard's heartbeat row (HeartbeatService syncs them)
+// v1.2 - 10/19/26 - Dashboard layout kept here and synced with the overrides
+
+import { createLogger } from '../utils/logger.js';
+import { STORAGE_KEYS, DEVICE_OVERRIDE_GROUPS } from '../../config.js';
+
+const logger = createLogger('DeviceProfile');
+
+const MAX_NAME_LENGTH = 40;
+
+// Key the layout is saved under in device_overrides (next to the override groups)
+const LAYOUT_KEY = 'layout';
+
+/**
+ * DeviceProfile - What makes this dashboard different from the account's others
+ *
+ * Saved to localStorage under STORAGE_KEYS.DEVICE_PROFILE:
+ *   {
+ *     name: 'Kitchen TV',              // null → HeartbeatService's device type default
+ *     fingerprint: '3f9a…',           // Heartbeat device id, kept so browser updates don't change it
+ *     overrides: {                     // Only groups this dashboard keeps for itself
+ *       sleep: { 'interface.sleepTimerEnabled': true, 'interface.sleepSchedule': {...}, ... }
+ *     },
+ *     layout: { id, columns, rows, widgets, ... }, // DashboardLayoutManager's layout, null until changed
+ *     overridesSynced: true            // False until local override or layout changes reach the server
+ *   }
+ *
+ * The overrides and layout are also stored on this dashboard's
+ * dashboard_heartbeats row (device_overrides, with the layout under 'layout'),
+ * so they survive a cleared browser. HeartbeatService saves local changes
+ * (onOverridesChanged) and hands over the server's copy from each heartbeat
+ * (applyServerOverrides); localStorage is the copy used until the first heartbeat.
+ *
+ * Override groups are listed in DEVICE_OVERRIDE_GROUPS (config.js). While a
+ * group is overridden, SettingsStore reads and writes its paths here instead of
+ * in the shared account settings, so every settings screen edits this
+ * dashboard's copy without knowing about it.
+ *
+ * Uses singleton pattern (static methods only).
+ */
+class DeviceProfile {
+  static profile = null;
+  static onOverridesChanged = null; // () => void, set by HeartbeatService
+  static onLayoutChanged = null; // () => void, set by DashboardLayoutManager
+
+  /**
+   * Load the saved profile (empty if none)
+   */
+  static initialize() {
+    this.profile = this.loadSaved();
+    logger.verbose('Device profile loaded', {
+      name: this.profile.name,
+      overrides: Object.keys(this.profile.overrides)
+    });
+  }
+
+  // =============================================================================
+  // NAME & FINGERPRINT
+  // =============================================================================
+
+  /**
+   * @returns {string|null} Name given to this dashboard, or null if never named
+   */
+  static getName() {
+    return this.getProfile().name;
+  }
+
+  /**
+   * Name this dashboard (empty clears it)
+   * @param {string} name - New name
+   * @returns {string|null} Saved name
+   */
+  static setName(name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH) || null;
+    this.update({ name: trimmed });
+    logger.info('Dashboard renamed', { name: trimmed });
+    return trimmed;
+  }
+
+  /**
+   * @returns {string|null} Saved heartbeat fingerprint
+   */
+  static getFingerprint() {
+    return this.getProfile().fingerprint;
+  }
+
+  /**
+   * @param {string} fingerprint - Heartbeat fingerprint to keep for this device
+   */
+  static setFingerprint(fingerprint) {
+    if (fingerprint && fingerprint !== this.getProfile().fingerprint) {
+      this.update({ fingerprint });
+    }
+  }
+
+  // =============================================================================
+  // OVERRIDES
+  // =============================================================================
+
+  /**
+   * Whether this dashboard keeps its own copy of a group
+   * @param {string} group - DEVICE_OVERRIDE_GROUPS key
+   * @returns {boolean}
+   */
+  static isOverridden(group) {
+    return !!this.getProfile().overrides[group];
+  }
+
+  /**
+   * Start keeping a group for this dashboard, starting from the shared values
+   * @param {string} group - DEVICE_OVERRIDE_GROUPS key
+   * @param {Function} getShared - (path) → shared account value
+   */
+  static enableOverride(group, getShared) {
+    const config = DEVICE_OVERRIDE_GROUPS[group];
+    if (!config || this.isOverridden(group)) return;
+
+    const values = {};
+    config.paths.forEach(path => {
+      values[path] = clone(getShared(path) ?? null);
+    });
+
+    this.updateOverrides({ ...this.getProfile().overrides, [group]: values });
+    logger.info('Device override enabled', { group });
+  }
+
+  /**
+   * Go back to the shared account values for a group (this dashboard's copy is dropped)
+   * @param {string} group - DEVICE_OVERRIDE_GROUPS key
+   */
+  static disableOverride(group) {
+    if (!this.isOverridden(group)) return;
+
+    const overrides = { ...this.getProfile().overrides };
+    delete overrides[group];
+
+    this.updateOverrides(overrides);
+    logger.info('Device override disabled', { group });
+  }
+
+  /**
+   * Effective value of a settings path
+   * @param {string} path - Dot-notation path
+   * @param {*} sharedValue - Value in the shared account settings
+   * @returns {*} This dashboard's value where overridden, otherwise sharedValue
+   *              (objects containing overridden paths come back as merged copies)
+   */
+  static resolve(path, sharedValue) {
+    const entries = this.getOverrideEntries();
+    if (entries.length === 0) return sharedValue;
+
+    // The path is an overridden one, or inside one
+    for (const [overridePath, value] of entries) {
+      if (path === overridePath) return value;
+      if (path.startsWith(overridePath + '.')) {
+        return getPath(value, path.slice(overridePath.length + 1));
+      }
+    }
+
+    // The path contains overridden ones (e.g. 'interface')
+    let merged = sharedValue;
+    entries.forEach(([overridePath, value]) => {
+      if (!overridePath.startsWith(path + '.')) return;
+
+      if (merged === sharedValue) {
+        merged = clone(sharedValue) || {};
+      }
+      setPath(merged, overridePath.slice(path.length + 1), clone(value));
+    });
+
+    return merged;
+  }
+
+  /**
+   * Copy of a whole settings object with this dashboard's overrides applied
+   * @param {Object} settings - Shared account settings
+   * @returns {Object}
+   */
+  static applyTo(settings) {
+    const entries = this.getOverrideEntries();
+    if (!settings || entries.length === 0) return settings;
+
+    const merged = clone(settings);
+    entries.forEach(([path, value]) => setPath(merged, path, clone(value)));
+    return merged;
+  }
+
+  /**
+   * Write a value to this dashboard's copy if the path belongs to an overridden group
+   * @param {string} path - Dot-notation path
+   * @param {*} value - New value
+   * @returns {boolean} True if handled here (don't write the shared settings)
+   */
+  static trySet(path, value) {
+    const overrides = this.getProfile().overrides;
+
+    for (const [group, values] of Object.entries(overrides)) {
+      for (const overridePath of DEVICE_OVERRIDE_GROUPS[group]?.paths || []) {
+        if (path === overridePath) {
+          this.updateOverrides({ ...overrides, [group]: { ...values, [path]: clone(value) } });
+          return true;
+        }
+
+        if (path.startsWith(overridePath + '.')) {
+          const updated = clone(values[overridePath]) || {};
+          setPath(updated, path.slice(overridePath.length + 1), clone(value));
+          this.updateOverrides({ ...overrides, [group]: { ...values, [overridePath]: updated } });
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // =============================================================================
+  // LAYOUT
+  // =============================================================================
+
+  /**
+   * @returns {Object|null} This dashboard's saved layout, or null if it has never been changed
+   */
+  static getLayout() {
+    return clone(this.getProfile().layout);
+  }
+
+  /**
+   * Save this dashboard's layout (saved to the server with the overrides)
+   * @param {Object} layout - Layout data (DashboardLayoutManager has sanitized it)
+   */
+  static setLayout(layout) {
+    if (isEqual(layout, this.getProfile().layout)) return;
+
+    this.update({ layout: clone(layout), overridesSynced: false });
+    this.onOverridesChanged?.();
+  }
+
+  // =============================================================================
+  // SERVER SYNC
+  // =============================================================================
+
+  /**
+   * @returns {Object|null} device_overrides changed here and not saved to the server yet, else null
+   */
+  static getUnsyncedOverrides() {
+    const profile = this.getProfile();
+    return profile.overridesSynced ? null : this.getServerCopy();
+  }
+
+  /**
+   * Record that the server has these overrides
+   * @param {Object} overrides - device_overrides that were saved (ignored if they've changed since)
+   */
+  static markOverridesSynced(overrides) {
+    if (isEqual(this.getServerCopy(), overrides)) {
+      this.update({ overridesSynced: true });
+    }
+  }
+
+  /**
+   * Take the server's copy of this dashboard's overrides and layout (from a heartbeat)
+   * Local changes the server doesn't have yet win - they're saved instead.
+   * Calls onLayoutChanged if the layout changed.
+   * @param {Object} overrides - dashboard_heartbeats.device_overrides
+   * @returns {boolean} True if this dashboard's setting overrides changed
+   */
+  static applyServerOverrides(overrides) {
+    const profile = this.getProfile();
+    if (!profile.overridesSynced || !overrides || typeof overrides !== 'object') {
+      return false;
+    }
+
+    const { [LAYOUT_KEY]: layout = null, ...groups } = overrides;
+    const known = filterGroups(groups);
+
+    const overridesChanged = !isEqual(known, profile.overrides);
+    const layoutChanged = !isEqual(layout, profile.layout);
+    if (!overridesChanged && !layoutChanged) {
+      return false;
+    }
+
+    this.update({ overrides: known, layout });
+    logger.info('Device overrides updated from server', { groups: Object.keys(known), layout: layoutChanged });
+
+    if (layoutChanged) {
+      this.onLayoutChanged?.();
+    }
+    return overridesChanged;
+  }
+
+  // =============================================================================
+  // STORAGE
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  static getProfile() {
+    if (!this.profile) {
+      this.initialize();
+    }
+    return this.profile;
+  }
+
+  /**
+   * [path, value] for every overridden path
+   * @private
+   */
+  static getOverrideEntries() {
+    return Object.values(this.getProfile().overrides)
+      .flatMap(values => Object.entries(values));
+  }
+
+  /**
+   * What the server keeps for this dashboard (device_overrides)
+   * @private
+   */
+  static getServerCopy() {
+    const { overrides, layout } = this.getProfile();
+    return clone(layout ? { ...overrides, [LAYOUT_KEY]: layout } : overrides);
+  }
+
+  /**
+   * Change the overrides here (saved to the server by onOverridesChanged)
+   * @private
+   */
+  static updateOverrides(overrides) {
+    this.update({ overrides, overridesSynced: false });
+    this.onOverridesChanged?.();
+  }
+
+  /**
+   * @private
+   */
+  static update(changes) {
+    this.profile = { ...this.getProfile(), ...changes };
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.DEVICE_PROFILE, JSON.stringify(this.profile));
+    } catch (error) {
+      logger.error('Failed to save device profile', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static loadSaved() {
+    const empty = { name: null, fingerprint: null, overrides: {}, layout: null, overridesSynced: true };
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.DEVICE_PROFILE) || 'null');
+      if (saved && typeof saved === 'object') {
+        const overrides = filterGroups(saved.overrides || {});
+        const layout = saved.layout && typeof saved.layout === 'object' ? saved.layout : null;
+
+        // Profiles from before server sync have never been saved there
+        const overridesSynced = saved.overridesSynced ?? Object.keys(overrides).length === 0;
+
+        return {
+          ...empty,
+          name: saved.name || null,
+          fingerprint: saved.fingerprint || null,
+          overrides,
+          layout,
+          overridesSynced
+        };
+      }
+    } catch (error) {
+      logger.warn('Saved device profile unreadable, starting empty', error);
+    }
+    return empty;
+  }
+}
+
+/**
+ * Only the groups in DEVICE_OVERRIDE_GROUPS (saved data may be from another version)
+ */
+function filterGroups(overrides) {
+  return Object.fromEntries(
+    Object.entries(overrides).filter(([group]) => DEVICE_OVERRIDE_GROUPS[group])
+  );
+}
+
+/**
+ * Deep equality for JSON data, ignoring key order (jsonb doesn't keep it)
+ */
+function isEqual(a, b) {
+  return stableStringify(a ?? null) === stableStringify(b ?? null);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  let target = object;
+
+  parts.forEach(part => {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  });
+
+  target[last] = value;
+}
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.DeviceProfile = DeviceProfile;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default DeviceProfile;
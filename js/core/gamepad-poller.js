@@ -0,0 +1,244 @@
+// js/core/gamepad-poller.js
+// Polls USB/Bluetooth gamepads (Gamepad API) and turns them into normalized actions
+// v1.0 - 10/19/26 - Initial implementation
+
+import { createLogger } from '../utils/logger.js';
+import {
+  GAMEPAD_BUTTON_ACTIONS,
+  GAMEPAD_STICK_DEADZONE,
+  GAMEPAD_REPEAT_DELAY_MS,
+  GAMEPAD_REPEAT_INTERVAL_MS
+} from '../../config.js';
+
+const logger = createLogger('GamepadPoller');
+
+const REPEATING_ACTIONS = ['up', 'down', 'left', 'right'];
+
+// Axis pairs read as directions: left stick on every pad; on pads without the
+// standard mapping, axes 6/7 are usually the d-pad (Linux hat switch)
+const STANDARD_AXES = [[0, 1]];
+const NON_STANDARD_AXES = [[0, 1], [6, 7]];
+
+/**
+ * GamepadPoller - Gamepad → Normalized Actions
+ *
+ * Purpose:
+ * - D-pad, left stick, A/B, Start/Select and bumpers map to the same actions as
+ *   the keyboard and remote (GAMEPAD_BUTTON_ACTIONS in config.js)
+ * - Holding a direction (d-pad or stick past GAMEPAD_STICK_DEADZONE) repeats it
+ * - Hot-plugging: polling runs only while a pad is connected and starts/stops on
+ *   gamepadconnected/gamepaddisconnected (browsers only report a pad after its
+ *   first button press)
+ *
+ * Actions go to the onAction callback given to start() (InputHandler publishes them).
+ */
+class GamepadPoller {
+  constructor() {
+    this.onAction = null;
+    this.frameId = null;
+    this.padStates = new Map(); // gamepad index → Map(action → next repeat time, or Infinity)
+
+    this.handleConnected = this.handleConnected.bind(this);
+    this.handleDisconnected = this.handleDisconnected.bind(this);
+    this.poll = this.poll.bind(this);
+  }
+
+  /**
+   * Start listening for gamepads
+   * @param {Function} onAction - (action) → called for each press/repeat
+   */
+  start(onAction) {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+      logger.debug('Gamepad API not available');
+      return;
+    }
+
+    this.stop();
+    this.onAction = onAction;
+
+    window.addEventListener('gamepadconnected', this.handleConnected);
+    window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+
+    // Pads already connected before the page loaded
+    this.getGamepads().forEach(gamepad => this.addGamepad(gamepad));
+
+    logger.debug('Gamepad input initialized');
+  }
+
+  /**
+   * Stop polling and remove listeners
+   */
+  stop() {
+    window.removeEventListener('gamepadconnected', this.handleConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.padStates.clear();
+    this.onAction = null;
+  }
+
+  /**
+   * @returns {number} Connected gamepads
+   */
+  getConnectedCount() {
+    return this.padStates.size;
+  }
+
+  // =============================================================================
+  // HOT-PLUG
+  // =============================================================================
+
+  handleConnected(event) {
+    this.addGamepad(event.gamepad);
+  }
+
+  handleDisconnected(event) {
+    const { index, id } = event.gamepad;
+    if (!this.padStates.delete(index)) return;
+
+    logger.info('Gamepad disconnected', { index, id });
+
+    if (this.padStates.size === 0 && this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  addGamepad(gamepad) {
+    if (!gamepad || this.padStates.has(gamepad.index)) return;
+
+    this.padStates.set(gamepad.index, new Map());
+    logger.info('Gamepad connected', { index: gamepad.index, id: gamepad.id, mapping: gamepad.mapping || 'non-standard' });
+
+    if (!this.frameId) {
+      this.frameId = requestAnimationFrame(this.poll);
+    }
+  }
+
+  // =============================================================================
+  // POLLING
+  // =============================================================================
+
+  /**
+   * Read every connected pad once per frame
+   * @private
+   */
+  poll() {
+    this.frameId = null;
+    const now = performance.now();
+
+    this.getGamepads().forEach(gamepad => {
+      const held = this.padStates.get(gamepad.index);
+      if (!held) return;
+
+      const active = this.getActiveActions(gamepad);
+
+      // Released
+      held.forEach((_, action) => {
+        if (!active.has(action)) held.delete(action);
+      });
+
+      // Pressed or repeating
+      active.forEach(action => {
+        const nextRepeat = held.get(action);
+
+        if (nextRepeat === undefined) {
+          held.set(action, REPEATING_ACTIONS.includes(action) ? now + GAMEPAD_REPEAT_DELAY_MS : Infinity);
+          this.emit(action);
+        } else if (now >= nextRepeat) {
+          held.set(action, now + GAMEPAD_REPEAT_INTERVAL_MS);
+          this.emit(action);
+        }
+      });
+    });
+
+    if (this.padStates.size > 0) {
+      this.frameId = requestAnimationFrame(this.poll);
+    }
+  }
+
+  /**
+   * Actions currently held on a pad (buttons plus stick/hat directions)
+   * @private
+   * @param {Gamepad} gamepad - Gamepad snapshot
+   * @returns {Set<string>}
+   */
+  getActiveActions(gamepad) {
+    const active = new Set();
+
+    gamepad.buttons.forEach((button, index) => {
+      const action = GAMEPAD_BUTTON_ACTIONS[index];
+      if (action && (button.pressed || button.value > GAMEPAD_STICK_DEADZONE)) {
+        active.add(action);
+      }
+    });
+
+    const axisPairs = gamepad.mapping === 'standard' ? STANDARD_AXES : NON_STANDARD_AXES;
+    axisPairs.forEach(([xIndex, yIndex]) => {
+      const x = gamepad.axes[xIndex] || 0;
+      const y = gamepad.axes[yIndex] || 0;
+
+      // Only the stronger direction, so a diagonal doesn't move two ways
+      if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_STICK_DEADZONE) return;
+
+      if (Math.abs(x) > Math.abs(y)) {
+        active.add(x < 0 ? 'left' : 'right');
+      } else {
+        active.add(y < 0 ? 'up' : 'down');
+      }
+    });
+
+    return active;
+  }
+
+  /**
+   * @private
+   */
+  emit(action) {
+    logger.debug('Gamepad input', { action });
+
+    try {
+      this.onAction?.(action);
+    } catch (error) {
+      logger.error('Gamepad action handler failed', error);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Array<Gamepad>} Connected pads (getGamepads() has null holes)
+   */
+  getGamepads() {
+    try {
+      return Array.from(navigator.getGamepads() || []).filter(Boolean);
+    } catch (error) {
+      // Blocked by a permissions policy
+      logger.warn('Gamepads unavailable', { error: error.message });
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const gamepadPoller = new GamepadPoller();
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.GamepadPoller = gamepadPoller;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default gamepadPoller;
@@ -7,11 +7,13 @@ import AppStateManager from '../../core/app-state-manager.js';
 import InputHandler from '../../core/input-handler.js';
 import ActionRouter from '../../core/action-router.js';
 import WidgetMessenger from '../../core/widget-messenger.js';
+import widgetProtocol from '../../core/widget-protocol.js';
 import { getPlatformDetector } from '../../utils/platform-detector.js';
 import Dashboard from '../../modules/Dashboard/dashboard.js';
 import DashboardInputHandler from '../../modules/Dashboard/dashboard-input-handler.js';
 import Settings from '../../modules/Settings/settings.js';
 import modals from '../../modules/Modals/modals.js';
+import SleepScheduler from '../../core/sleep-scheduler.js';
 import welcome from '../../modules/Welcome/welcome.js';
 import themeApplier from '../../ui/theme-applier.js';
 import { initializeWidgets } from './widget-initializer.js';
@@ -78,6 +80,7 @@ export async function initializeCore(options = {}) {
     if (!isMobile) {
       await InputHandler.initialize();
       await ActionRouter.initialize();
+      widgetProtocol.initialize();
       await WidgetMessenger.initialize();
     }
 
@@ -130,6 +133,9 @@ export async function initializeCore(options = {}) {
       await modals.initialize();
       ActionRouter.registerModule('modals', modals);
 
+      // Sleep schedule, vacation and presence wake (uses the Modals sleep overlay)
+      await SleepScheduler.initialize();
+
       // Set Dashboard as active module and activate it (this creates the widget iframes!)
       AppStateManager.setCurrentModule('dashboard');
       Dashboard.activate();
@@ -162,6 +168,21 @@ export async function initializeCore(options = {}) {
       logger.verbose('Mobile mode: Settings and Modals initialized, skipping widgets');
     }
 
+    // Phone remote: dashboards run commands sent to them, the phone sends them
+    if (!bypassAuth) {
+      const { dashboardRemote } = await import('../../services/dashboard-remote-service.js');
+      // Household members share the owner's channel, so any adult's phone reaches the dashboards
+      // (viewers' dashboards run commands but viewers can't send them)
+      const userId = window.householdService?.getDataUserId() || window.edgeClient?.jwtUserId;
+      dashboardRemote.initialize({ userId, receiveCommands: !isMobile });
+      window.dashboardRemote = dashboardRemote;
+
+      // In-app updates reported by the heartbeat ("tonight" needs the sleep schedule - not on the phone)
+      const { appUpdate } = await import('../../services/app-update-service.js');
+      appUpdate.initialize({ allowSleepUpdates: !isMobile });
+      window.appUpdate = appUpdate;
+    }
+
     // STEP 5: Hide login screen after initialization
     // On desktop: wait for widgets to receive theme messages
     // On mobile: hide immediately
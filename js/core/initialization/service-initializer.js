@@ -9,6 +9,9 @@ import { initializePhotoService } from '../../data/services/photo-service.js';
 import { initializeWeatherService } from '../../data/services/weather-service.js';
 import settingsService from '../../data/services/settings-service.js';
 import heartbeatService from '../../data/services/heartbeat-service.js';
+import realtimeClient from '../../data/services/realtime-broadcast-client.js';
+import messageService from '../../data/services/message-service.js';
+import householdService from '../../data/services/household-service.js';
 import { PhotosSettingsManager } from '../../../.legacy/widgets/photos/photos-settings-manager.js';
 import { SUPABASE_CONFIG } from '../../data/auth/auth-config.js';
 
@@ -37,8 +40,21 @@ export async function initializeServices() {
     window.jwtAuth = edgeClient;
     logger.debug('EdgeClient exposed as window.edgeClient and window.jwtAuth (legacy compat)');
 
+    // Realtime broadcast channels (settings sync, dashboard remote commands, message board)
+    // Private channels - authorized with the user's JWT (read on each join, so refreshes are picked up)
+    realtimeClient.configure({
+      url: SUPABASE_CONFIG.url,
+      anonKey: SUPABASE_CONFIG.anonKey,
+      getAccessToken: () => edgeClient?.jwtToken || null
+    });
+
+    // Load the household first - shared data (settings sync, notes, photos) lives under its owner's id
+    await householdService.initialize(edgeClient);
+    window.householdService = householdService; // Expose for console debugging
+    const dataUserId = householdService.getDataUserId();
+
     // Initialize SettingsService with EdgeClient for database operations
-    settingsService.setEdgeClient(edgeClient);
+    settingsService.setEdgeClient(edgeClient, dataUserId);
 
     // Initialize CalendarService
     const calendarService = initializeCalendarService(edgeClient);
@@ -49,16 +65,21 @@ export async function initializeServices() {
     await heartbeatService.initialize(edgeClient);
     window.heartbeatService = heartbeatService; // Expose for console debugging
 
+    // Initialize MessageService (family message board notes)
+    await messageService.initialize(edgeClient, dataUserId);
+    window.messageService = messageService; // Expose for console debugging
+
     // Initialize WeatherService for clock widget
     const weatherService = initializeWeatherService();
     window.weatherService = weatherService; // Expose for console debugging
     logger.verbose('WeatherService initialized');
 
-    // Initialize PhotoService (refactored)
+    // Initialize PhotoService (refactored) - stores files under the household's folder
     const user = sessionManager.getUser();
     if (user && user.id) {
-      const photoService = initializePhotoService(user.id, edgeClient);
-      logger.verbose('PhotoService initialized', { userId: user.id });
+      const photoUserId = dataUserId || user.id;
+      const photoService = initializePhotoService(photoUserId, edgeClient);
+      logger.verbose('PhotoService initialized', { userId: photoUserId });
 
       // Expose globally as window.photoDataService for backward compatibility
       window.photoDataService = photoService;
@@ -4,6 +4,7 @@
 
 import { createLogger } from '../../utils/logger.js';
 import { initializeWidgetDataManager } from '../../core/widget-data-manager.js';
+import { widgetDefinitions } from '../../modules/Dashboard/dashboard-widget-config.js';
 
 const logger = createLogger('WidgetInitializer');
 
@@ -48,41 +49,20 @@ export async function initializeWidgets() {
     logger.verbose('🔍 DEBUG: Waiting for widget iframes to load...');
     await waitForWidgetIframes();
 
-    // Register widget iframes
+    // Register widget iframes (built-in widgets and installed widget plugins)
     // IMPORTANT: Widgets load AFTER Settings applies theme, so they get correct theme from localStorage
-    const clockIframe = document.getElementById('widget-clock');
-    const headerIframe = document.getElementById('widget-header');
-    const photosIframe = document.getElementById('widget-photos');
-    const calendarIframe = document.getElementById('widget-main');
-    const agendaIframe = document.getElementById('widget-agenda');
+    const found = {};
 
-    logger.verbose('🔍 DEBUG: Found widget iframes', {
-      clock: !!clockIframe,
-      header: !!headerIframe,
-      photos: !!photosIframe,
-      calendar: !!calendarIframe,
-      agenda: !!agendaIframe
-    });
+    widgetDefinitions.forEach(widget => {
+      const iframe = document.getElementById(`widget-${widget.id}`);
+      found[widget.id] = !!iframe;
 
-    if (clockIframe) {
-      widgetDataManager.registerWidget('clock', clockIframe);
-    }
-
-    if (headerIframe) {
-      widgetDataManager.registerWidget('header', headerIframe);
-    }
-
-    if (photosIframe) {
-      widgetDataManager.registerWidget('photos', photosIframe);
-    }
-
-    if (calendarIframe) {
-      widgetDataManager.registerWidget('main', calendarIframe);
-    }
+      if (iframe) {
+        widgetDataManager.registerWidget(widget.id, iframe);
+      }
+    });
 
-    if (agendaIframe) {
-      widgetDataManager.registerWidget('agenda', agendaIframe);
-    }
+    logger.verbose('🔍 DEBUG: Found widget iframes', found);
 
     logger.verbose('Widgets initialized');
 
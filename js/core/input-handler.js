@@ -1,10 +1,16 @@
 // js/core/input-handler.js
 // Normalizes raw input from keyboard, D-pad, touch, and remote controls
 // v1.0 - 10/15/25 - Initial implementation for refactored architecture
+// v1.1 - 10/19/26 - Widget messages moved to WidgetProtocol / WidgetMessenger
+// v1.2 - 10/19/26 - Key tables moved to KeyBindings (per device, rebindable); key capture; long/double press
+// v1.3 - 10/19/26 - Gamepad input (GamepadPoller)
 // Based on legacy events.js input normalization logic
 
 import { createLogger } from '../utils/logger.js';
 import AppComms from './app-comms.js';
+import KeyBindings from './key-bindings.js';
+import gamepadPoller from './gamepad-poller.js';
+import { LONG_PRESS_MS, DOUBLE_PRESS_MS } from '../../config.js';
 
 const logger = createLogger('InputHandler');
 
@@ -12,12 +18,21 @@ const logger = createLogger('InputHandler');
  * InputHandler - Raw Input Normalization
  *
  * Purpose:
- * - Listens to keyboard, D-pad, touch, and remote input
+ * - Listens to keyboard, D-pad, touch, remote and gamepad input
  * - Normalizes all input sources to unified action strings
  * - Forwards normalized actions to ActionRouter via AppComms
  *
  * Input Flow:
- *   Keyboard/D-pad/Touch → InputHandler → Normalized Action → ActionRouter → Module
+ *   Keyboard/D-pad/Touch/Gamepad → InputHandler → Normalized Action → ActionRouter → Module
+ *
+ * Keys map to actions through KeyBindings (per-device, editable in Settings → System).
+ * While KeyBindings is capturing a key to bind, raw keys go to it instead.
+ *
+ * Long/double press (KeyBindings.getGestures):
+ *   - Long press: holding a key LONG_PRESS_MS publishes the long action instead
+ *     (keyboard/DOM keys only - Android's handleRemoteInput has no key-up)
+ *   - Double press: a second press within DOUBLE_PRESS_MS publishes the double action;
+ *     single presses of that key wait DOUBLE_PRESS_MS before publishing
  *
  * Supported Actions:
  *   - Navigation: 'up', 'down', 'left', 'right'
@@ -34,11 +49,15 @@ class InputHandler {
     this.lastKeyTime = {};
     this.KEY_REPEAT_DELAY = 150; // milliseconds
 
+    // Long/double press state
+    this.heldPress = null; // { action, key, timer } - key down, waiting for key-up or long press
+    this.pendingPress = null; // { action, timer } - single press waiting for a possible second press
+
     // Store handler references to allow proper cleanup
     this.handlers = {
       keydown: null,
-      click: null,
-      message: null
+      keyup: null,
+      click: null
     };
 
     logger.verbose('InputHandler created');
@@ -53,18 +72,20 @@ class InputHandler {
     try {
       logger.verbose('Initializing InputHandler...');
 
+      KeyBindings.initialize();
+
       // Set up keyboard events
       this.initializeKeyboardEvents();
 
       // Set up mouse/touch events
       this.initializeMouseEvents();
 
-      // Set up widget message events
-      this.initializeWidgetMessages();
-
       // Set up Android remote input (if running in Android WebView)
       this.initializeAndroidInput();
 
+      // Set up USB/Bluetooth gamepads
+      this.initializeGamepadInput();
+
       this.isInitialized = true;
 
       logger.verbose('InputHandler initialized');
@@ -80,9 +101,10 @@ class InputHandler {
    * @private
    */
   initializeKeyboardEvents() {
-    // Remove old listener if exists
+    // Remove old listeners if they exist
     if (this.handlers.keydown) {
       document.removeEventListener('keydown', this.handlers.keydown);
+      document.removeEventListener('keyup', this.handlers.keyup);
       logger.debug('Removed existing keydown listener');
     }
 
@@ -93,6 +115,12 @@ class InputHandler {
         return;
       }
 
+      // Binding a key in Settings: the key goes to the capture, not to an action
+      if (KeyBindings.handleCapturedKey('keyboard', event.key)) {
+        event.preventDefault();
+        return;
+      }
+
       // Check for repeat protection
       const now = Date.now();
       const lastTime = this.lastKeyTime[event.key] || 0;
@@ -108,22 +136,39 @@ class InputHandler {
       if (action) {
         logger.debug('Keyboard input', { key: event.key, action });
 
-        // Publish normalized action
-        this.publishAction(action, event);
+        // Publish normalized action (possibly as a long/double press)
+        this.handlePress(action, event);
       }
     };
 
-    // Store handler reference
+    // Key-up ends a possible long press
+    const handleKeyUp = (event) => {
+      if (this.heldPress && this.heldPress.key === event.key) {
+        const { action, timer } = this.heldPress;
+        clearTimeout(timer);
+        this.heldPress = null;
+        this.handleSinglePress(action);
+      }
+    };
+
+    // Store handler references
     this.handlers.keydown = handleKeyDown;
+    this.handlers.keyup = handleKeyUp;
 
-    // Add new listener
+    // Add new listeners
     document.addEventListener('keydown', handleKeyDown);
+    document.addEventListener('keyup', handleKeyUp);
 
     this.activeListeners.push({
       type: 'keyboard',
       element: document,
       event: 'keydown',
       handler: handleKeyDown
+    }, {
+      type: 'keyboard',
+      element: document,
+      event: 'keyup',
+      handler: handleKeyUp
     });
 
     logger.debug('Keyboard events initialized');
@@ -165,61 +210,6 @@ class InputHandler {
     logger.debug('Mouse events initialized');
   }
 
-  /**
-   * Initialize widget message listeners
-   * @private
-   */
-  initializeWidgetMessages() {
-    // Remove old listener if exists
-    if (this.handlers.message) {
-      window.removeEventListener('message', this.handlers.message);
-      logger.debug('Removed existing message listener');
-    }
-
-    const handleWidgetMessage = (event) => {
-      if (!event.data || typeof event.data !== 'object') {
-        return;
-      }
-
-      // Widget ready messages
-      if (event.data.type === 'widget-ready') {
-        logger.debug('Widget ready message', { widget: event.data.widget });
-
-        AppComms.publish(AppComms.events.WIDGET_READY, {
-          widgetId: event.data.widget
-        });
-      }
-
-      // Widget return-to-menu messages
-      if (event.data.type === 'return-to-menu') {
-        logger.debug('Widget return-to-menu message');
-
-        AppComms.publish(AppComms.events.WIDGET_MESSAGE, {
-          type: 'return-to-menu'
-        });
-      }
-
-      // Other widget messages
-      if (event.data.type) {
-        AppComms.publish(AppComms.events.WIDGET_MESSAGE, event.data);
-      }
-    };
-
-    // Store handler reference
-    this.handlers.message = handleWidgetMessage;
-
-    window.addEventListener('message', handleWidgetMessage);
-
-    this.activeListeners.push({
-      type: 'widget-message',
-      element: window,
-      event: 'message',
-      handler: handleWidgetMessage
-    });
-
-    logger.debug('Widget message events initialized');
-  }
-
   /**
    * Initialize Android remote input
    * Exposes window.handleRemoteInput for Android WebView
@@ -230,10 +220,14 @@ class InputHandler {
     window.handleRemoteInput = (keyCode) => {
       logger.debug('Android remote input', { keyCode });
 
+      if (KeyBindings.handleCapturedKey('android', keyCode)) {
+        return;
+      }
+
       const action = this.getActionFromAndroidKeycode(keyCode);
 
       if (action) {
-        this.publishAction(action, null);
+        this.handlePress(action, null);
       } else {
         logger.debug('Unmapped Android keycode', { keyCode });
       }
@@ -242,6 +236,18 @@ class InputHandler {
     logger.debug('Android remote input initialized');
   }
 
+  /**
+   * Initialize gamepad input
+   * Gamepad buttons aren't rebindable and are ignored while a key is being captured
+   * @private
+   */
+  initializeGamepadInput() {
+    gamepadPoller.start((action) => {
+      if (KeyBindings.isCapturing()) return;
+      this.publishAction(action, null);
+    });
+  }
+
   /**
    * Map keyboard event to action string
    * @private
@@ -249,30 +255,7 @@ class InputHandler {
    * @returns {string|null} Action string or null if not mapped
    */
   getActionFromKeyboardEvent(event) {
-    const keyMap = {
-      // Arrow keys
-      'ArrowLeft': 'left',
-      'ArrowRight': 'right',
-      'ArrowUp': 'up',
-      'ArrowDown': 'down',
-
-      // Enter/Escape
-      'Enter': 'enter',
-      'Escape': 'escape',
-
-      // Menu
-      'm': 'menu',
-      'M': 'menu',
-
-      // Space
-      ' ': 'space',
-
-      // View cycling
-      ',': 'prev',
-      '.': 'next'
-    };
-
-    return keyMap[event.key] || null;
+    return KeyBindings.getAction('keyboard', event.key);
   }
 
   /**
@@ -282,33 +265,76 @@ class InputHandler {
    * @returns {string|null} Action string or null if not mapped
    */
   getActionFromAndroidKeycode(keyCode) {
-    const keyMap = {
-      // D-pad navigation
-      38: 'up',           // KEYCODE_DPAD_UP
-      40: 'down',         // KEYCODE_DPAD_DOWN
-      37: 'left',         // KEYCODE_DPAD_LEFT
-      39: 'right',        // KEYCODE_DPAD_RIGHT
-      13: 'enter',        // KEYCODE_DPAD_CENTER / KEYCODE_ENTER
-
-      // System keys
-      4: 'escape',        // KEYCODE_BACK (Android back button)
-      82: 'menu',         // KEYCODE_MENU
-      77: 'menu',         // M key for menu
-
-      // Media keys for view cycling
-      227: 'prev',   // KEYCODE_MEDIA_REWIND
-      228: 'next',   // KEYCODE_MEDIA_FAST_FORWARD
-      188: 'prev',   // Alternative comma key
-      190: 'next',   // Alternative period key
-      87: 'next',    // KEYCODE_MEDIA_NEXT
-      88: 'prev',    // KEYCODE_MEDIA_PREVIOUS
-
-      // Sleep toggle
-      179: 'play-pause', // KEYCODE_MEDIA_PLAY_PAUSE
-      85: 'play-pause'   // Alternative play/pause
-    };
+    return KeyBindings.getAction('android', keyCode);
+  }
+
+  // =============================================================================
+  // LONG / DOUBLE PRESS
+  // =============================================================================
+
+  /**
+   * Publish a key press, or start watching for a long/double press
+   * @private
+   * @param {string} action - Action the key is bound to
+   * @param {KeyboardEvent|null} originalEvent - Keyboard event (null for Android)
+   */
+  handlePress(action, originalEvent) {
+    const gestures = KeyBindings.getGestures(action);
+
+    if (!gestures.long && !gestures.double) {
+      this.publishAction(action, originalEvent);
+      return;
+    }
+
+    // The action is published later, so handle the browser default now
+    originalEvent?.preventDefault();
+
+    // Second press in time → double press
+    if (gestures.double && this.pendingPress?.action === action) {
+      clearTimeout(this.pendingPress.timer);
+      this.pendingPress = null;
+      logger.debug('Double press', { action, double: gestures.double });
+      this.publishAction(gestures.double, null);
+      return;
+    }
+
+    // Key-down with a long-press action: wait for key-up (or the long press)
+    if (gestures.long && originalEvent) {
+      clearTimeout(this.heldPress?.timer);
+      this.heldPress = {
+        action,
+        key: originalEvent.key,
+        timer: setTimeout(() => {
+          this.heldPress = null;
+          logger.debug('Long press', { action, long: gestures.long });
+          this.publishAction(gestures.long, null);
+        }, LONG_PRESS_MS)
+      };
+      return;
+    }
+
+    this.handleSinglePress(action);
+  }
 
-    return keyMap[keyCode] || null;
+  /**
+   * Publish a single press (after DOUBLE_PRESS_MS if the key has a double-press action)
+   * @private
+   * @param {string} action - Action
+   */
+  handleSinglePress(action) {
+    if (!KeyBindings.getGestures(action).double) {
+      this.publishAction(action, null);
+      return;
+    }
+
+    clearTimeout(this.pendingPress?.timer);
+    this.pendingPress = {
+      action,
+      timer: setTimeout(() => {
+        this.pendingPress = null;
+        this.publishAction(action, null);
+      }, DOUBLE_PRESS_MS)
+    };
   }
 
   /**
@@ -338,8 +364,9 @@ class InputHandler {
       activeListenerCount: this.activeListeners.length,
       handlers: {
         keydown: !!this.handlers.keydown,
+        keyup: !!this.handlers.keyup,
         click: !!this.handlers.click,
-        message: !!this.handlers.message
+        gamepads: gamepadPoller.getConnectedCount()
       },
       listeners: this.activeListeners.map(l => ({
         type: l.type,
@@ -370,6 +397,13 @@ class InputHandler {
 
     this.activeListeners = [];
 
+    clearTimeout(this.heldPress?.timer);
+    clearTimeout(this.pendingPress?.timer);
+    this.heldPress = null;
+    this.pendingPress = null;
+
+    gamepadPoller.stop();
+
     // Remove Android input handler
     if (window.handleRemoteInput) {
       delete window.handleRemoteInput;
@@ -0,0 +1,360 @@
+// js/core/key-bindings.js
+// Per-device remote/keyboard key bindings, key capture and long/double-press actions
+// v1.0 - 10/19/26 - Initial implementation (replaces InputHandler's fixed key tables)
+
+import { createLogger } from '../utils/logger.js';
+import {
+  STORAGE_KEYS,
+  BINDABLE_ACTIONS,
+  REQUIRED_KEY_ACTIONS,
+  DEFAULT_KEY_BINDINGS,
+  GESTURE_KEY_ACTIONS,
+  DEFAULT_KEY_GESTURES
+} from '../../config.js';
+
+const logger = createLogger('KeyBindings');
+
+const CAPTURE_TIMEOUT_MS = 10000;
+const IGNORED_CAPTURE_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'Unidentified', 'Dead'];
+
+const KEY_LABELS = {
+  'ArrowUp': '↑',
+  'ArrowDown': '↓',
+  'ArrowLeft': '←',
+  'ArrowRight': '→',
+  ' ': 'Space'
+};
+
+const ANDROID_KEY_LABELS = {
+  4: 'Back',
+  13: 'OK',
+  37: 'D-pad ←',
+  38: 'D-pad ↑',
+  39: 'D-pad →',
+  40: 'D-pad ↓',
+  82: 'Menu',
+  85: 'Play/Pause',
+  87: 'Next',
+  88: 'Previous',
+  179: 'Play/Pause',
+  227: 'Rewind',
+  228: 'Fast Forward'
+};
+
+/**
+ * KeyBindings - Which key does what
+ *
+ * Bindings (saved to localStorage under STORAGE_KEYS.KEY_BINDINGS, never synced -
+ * a Fire TV remote and a Bluetooth keypad on another dashboard send different codes):
+ *   {
+ *     keyboard: { 'ArrowUp': 'up', 'm': 'menu', ... },   // KeyboardEvent.key → action
+ *     android:  { 38: 'up', 179: 'play-pause', ... },    // window.handleRemoteInput keycode → action
+ *     gestures: { enter: { long: 'menu', double: 'play-pause' } }
+ *   }
+ * Nothing is saved until the first change, so devices on the defaults pick up
+ * new default bindings in later releases.
+ *
+ * Key capture: while captureNextKey() is waiting, InputHandler hands the next raw
+ * key to it instead of publishing an action.
+ *
+ * Uses singleton pattern (static methods only).
+ */
+class KeyBindings {
+  static bindings = null;
+  static capture = null; // { callback, timer } while waiting for a key
+
+  /**
+   * Load saved bindings (defaults if none)
+   */
+  static initialize() {
+    this.bindings = this.loadSaved();
+    logger.verbose('Key bindings loaded', {
+      keyboard: Object.keys(this.bindings.keyboard).length,
+      android: Object.keys(this.bindings.android).length,
+      customized: this.isCustomized()
+    });
+  }
+
+  // =============================================================================
+  // LOOKUP
+  // =============================================================================
+
+  /**
+   * Action for a key
+   * @param {string} source - 'keyboard' or 'android'
+   * @param {string|number} code - KeyboardEvent.key or Android keycode
+   * @returns {string|null} Action, or null if the key isn't bound
+   */
+  static getAction(source, code) {
+    const table = this.getBindings()[source] || {};
+    return table[this.normalizeCode(source, code)] || null;
+  }
+
+  /**
+   * Long/double press actions for an action
+   * @param {string} action - Base action
+   * @returns {{long: string|null, double: string|null}}
+   */
+  static getGestures(action) {
+    const gestures = this.getBindings().gestures[action] || {};
+    return { long: gestures.long || null, double: gestures.double || null };
+  }
+
+  /**
+   * Keys bound to an action, as display labels
+   * @param {string} action - Action
+   * @returns {Array<string>} e.g. ['↑', 'D-pad ↑']
+   */
+  static getKeyLabels(action) {
+    const bindings = this.getBindings();
+    return ['keyboard', 'android'].flatMap(source =>
+      Object.entries(bindings[source])
+        .filter(([, bound]) => bound === action)
+        .map(([code]) => this.describeKey(source, code))
+    );
+  }
+
+  /**
+   * Display label for a key
+   * @param {string} source - 'keyboard' or 'android'
+   * @param {string|number} code - Key
+   * @returns {string}
+   */
+  static describeKey(source, code) {
+    if (source === 'android') {
+      return ANDROID_KEY_LABELS[code] || `Remote ${code}`;
+    }
+    return KEY_LABELS[code] || (code.length === 1 ? code.toUpperCase() : code);
+  }
+
+  /**
+   * Whether bindings differ from the defaults
+   * @returns {boolean}
+   */
+  static isCustomized() {
+    return !!localStorage.getItem(STORAGE_KEYS.KEY_BINDINGS);
+  }
+
+  // =============================================================================
+  // CHANGES
+  // =============================================================================
+
+  /**
+   * Bind a key to an action (the key stops doing whatever it did before;
+   * the action keeps its other keys)
+   * @param {string} action - BINDABLE_ACTIONS id
+   * @param {string} source - 'keyboard' or 'android'
+   * @param {string|number} code - Key
+   * @returns {{success: boolean, error?: string}}
+   */
+  static bind(action, source, code) {
+    if (!BINDABLE_ACTIONS.some(a => a.id === action) || !['keyboard', 'android'].includes(source)) {
+      return { success: false, error: 'Unknown action or key source' };
+    }
+
+    const bindings = this.cloneBindings();
+    const key = this.normalizeCode(source, code);
+    const previous = bindings[source][key];
+
+    if (previous && previous !== action && this.isLastKey(bindings, previous)) {
+      const label = BINDABLE_ACTIONS.find(a => a.id === previous)?.label || previous;
+      return { success: false, error: `${this.describeKey(source, key)} is the only key for ${label}` };
+    }
+
+    bindings[source][key] = action;
+    this.save(bindings);
+
+    logger.info('Key bound', { action, source, key, previous });
+    return { success: true };
+  }
+
+  /**
+   * Set (or clear) the long/double press action of a key action
+   * @param {string} action - GESTURE_KEY_ACTIONS id
+   * @param {string} gesture - 'long' or 'double'
+   * @param {string|null} target - Action to run, or null for none
+   */
+  static setGesture(action, gesture, target) {
+    if (!GESTURE_KEY_ACTIONS.includes(action) || !['long', 'double'].includes(gesture)) return;
+
+    const bindings = this.cloneBindings();
+    const gestures = { ...bindings.gestures[action] };
+
+    if (target) {
+      gestures[gesture] = target;
+    } else {
+      delete gestures[gesture];
+    }
+
+    if (Object.keys(gestures).length > 0) {
+      bindings.gestures[action] = gestures;
+    } else {
+      delete bindings.gestures[action];
+    }
+
+    this.save(bindings);
+    logger.info('Key gesture set', { action, gesture, target });
+  }
+
+  /**
+   * Forget this device's bindings and go back to the defaults
+   */
+  static resetToDefaults() {
+    localStorage.removeItem(STORAGE_KEYS.KEY_BINDINGS);
+    this.bindings = this.getDefaults();
+    logger.info('Key bindings reset to defaults');
+  }
+
+  // =============================================================================
+  // KEY CAPTURE
+  // =============================================================================
+
+  /**
+   * Wait for the next key (any key, even bound ones)
+   * @param {Function} callback - ({source, code} | null) → called once; null if timed out or cancelled
+   * @param {number} timeoutMs - Give up after this long
+   */
+  static captureNextKey(callback, timeoutMs = CAPTURE_TIMEOUT_MS) {
+    this.cancelCapture();
+
+    this.capture = {
+      callback,
+      timer: setTimeout(() => this.finishCapture(null), timeoutMs)
+    };
+    logger.debug('Waiting for a key to bind');
+  }
+
+  static cancelCapture() {
+    if (this.capture) {
+      this.finishCapture(null);
+    }
+  }
+
+  static isCapturing() {
+    return !!this.capture;
+  }
+
+  /**
+   * Offer a raw key to a running capture (called by InputHandler)
+   * @param {string} source - 'keyboard' or 'android'
+   * @param {string|number} code - Key
+   * @returns {boolean} True if the key was captured (don't act on it)
+   */
+  static handleCapturedKey(source, code) {
+    if (!this.capture) return false;
+    if (source === 'keyboard' && IGNORED_CAPTURE_KEYS.includes(code)) return true;
+
+    this.finishCapture({ source, code: this.normalizeCode(source, code) });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  static finishCapture(result) {
+    const { callback, timer } = this.capture;
+    clearTimeout(timer);
+    this.capture = null;
+
+    try {
+      callback(result);
+    } catch (error) {
+      logger.error('Key capture callback failed', error);
+    }
+  }
+
+  // =============================================================================
+  // STORAGE
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  static getBindings() {
+    if (!this.bindings) {
+      this.initialize();
+    }
+    return this.bindings;
+  }
+
+  /**
+   * @private
+   */
+  static getDefaults() {
+    return {
+      keyboard: { ...DEFAULT_KEY_BINDINGS.keyboard },
+      android: { ...DEFAULT_KEY_BINDINGS.android },
+      gestures: JSON.parse(JSON.stringify(DEFAULT_KEY_GESTURES))
+    };
+  }
+
+  /**
+   * @private
+   */
+  static cloneBindings() {
+    return JSON.parse(JSON.stringify(this.getBindings()));
+  }
+
+  /**
+   * @private
+   */
+  static loadSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.KEY_BINDINGS) || 'null');
+      if (saved?.keyboard && saved?.android) {
+        return { keyboard: saved.keyboard, android: saved.android, gestures: saved.gestures || {} };
+      }
+    } catch (error) {
+      logger.warn('Saved key bindings unreadable, using defaults', error);
+    }
+    return this.getDefaults();
+  }
+
+  /**
+   * @private
+   */
+  static save(bindings) {
+    this.bindings = bindings;
+
+    try {
+      localStorage.setItem(STORAGE_KEYS.KEY_BINDINGS, JSON.stringify(bindings));
+    } catch (error) {
+      logger.error('Failed to save key bindings', error);
+    }
+  }
+
+  /**
+   * Whether the action would be left with no keys if this one moved away
+   * @private
+   */
+  static isLastKey(bindings, action) {
+    if (!REQUIRED_KEY_ACTIONS.includes(action)) return false;
+
+    const count = ['keyboard', 'android']
+      .reduce((total, source) => total + Object.values(bindings[source]).filter(a => a === action).length, 0);
+    return count <= 1;
+  }
+
+  /**
+   * Single characters bind case-insensitively ('M' and 'm' are one key)
+   * @private
+   */
+  static normalizeCode(source, code) {
+    if (source === 'android') return String(code);
+    return typeof code === 'string' && code.length === 1 ? code.toLowerCase() : code;
+  }
+}
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.KeyBindings = KeyBindings;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default KeyBindings;
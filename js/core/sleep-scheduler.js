@@ -0,0 +1,301 @@
+// js/core/sleep-scheduler.js
+// Puts the dashboard to sleep and wakes it on schedule, on vacation and on presence
+// v1.0 - 10/19/26 - Initial implementation (replaces legacy initializeSleepTimer/startResleepTimer)
+
+import { createLogger } from '../utils/logger.js';
+import AppComms from './app-comms.js';
+import AppStateManager from './app-state-manager.js';
+import { getSleepSchedule, isInSleepWindow, isVacationDay } from '../utils/sleep-schedule.js';
+import { DEFAULT_RESLEEP_DELAY, DEFAULT_PRESENCE_WAKE } from '../../config.js';
+
+const logger = createLogger('SleepScheduler');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * SleepScheduler - Automatic Sleep/Wake
+ *
+ * Purpose:
+ * - Sleeps when a schedule window starts (see utils/sleep-schedule.js) and
+ *   wakes when it ends, while interface.sleepTimerEnabled is on
+ * - Keeps the dashboard asleep on vacation days (interface.vacation)
+ * - Re-sleeps reSleepDelay minutes after someone wakes it during a sleep
+ *   window or vacation (input or presence restarts the countdown)
+ * - Handles the sleep toggle (play/pause) and wake-on-input requests from ActionRouter
+ *
+ * Windows are acted on when they start and end, so waking the dashboard by hand
+ * isn't undone by the next minute's check - only by the re-sleep countdown.
+ *
+ * Android presence API:
+ *   window.handlePresenceEvent(type)
+ *   - type 'motion' or 'presence' (default 'motion')
+ *   - Wakes the dashboard if interface.presenceWake is on (not on vacation days),
+ *     then re-sleeps after reSleepDelay minutes without further presence
+ *
+ * The sleep overlay itself belongs to the Modals module (window.modals).
+ */
+class SleepScheduler {
+  constructor() {
+    this.isInitialized = false;
+    this.checkInterval = null;
+    this.reSleepTimer = null;
+    this.unsubscribers = [];
+
+    this.wasScheduledAsleep = null; // Schedule state at the last check (null = not checked yet)
+    this.pendingReason = null; // Why the next sleep/wake change happened (set by sleep()/wake())
+    this.lastWakeReason = null;
+
+    logger.verbose('SleepScheduler created');
+  }
+
+  /**
+   * Initialize sleep scheduler
+   * Call after the Modals module is initialized
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    try {
+      logger.verbose('Initializing SleepScheduler...');
+
+      this.unsubscribers = [
+        AppComms.subscribe('system:sleep-requested', () => this.sleep('manual')),
+        AppComms.subscribe('system:wake-requested', () => this.wake('manual')),
+        AppComms.subscribe(AppComms.events.SLEEP_MODE_CHANGED, ({ newState }) => this.handleSleepModeChanged(newState)),
+        AppComms.subscribe(AppComms.events.SETTINGS_CHANGED, () => this.check()),
+        AppComms.subscribe('input:action', () => this.restartReSleepTimer())
+      ];
+
+      window.handlePresenceEvent = (type = 'motion') => this.handlePresence(type);
+
+      this.checkInterval = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+      this.check();
+
+      this.isInitialized = true;
+
+      logger.verbose('SleepScheduler initialized');
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize SleepScheduler', error);
+      return false;
+    }
+  }
+
+  // =============================================================================
+  // SCHEDULE
+  // =============================================================================
+
+  /**
+   * Compare the schedule with the last check and sleep/wake on a change
+   */
+  check() {
+    if (!this.isTimerEnabled()) {
+      this.wasScheduledAsleep = null;
+      return;
+    }
+
+    const scheduled = this.isScheduledAsleep();
+    if (scheduled === this.wasScheduledAsleep) return;
+
+    const isFirstCheck = this.wasScheduledAsleep === null;
+    this.wasScheduledAsleep = scheduled;
+
+    if (scheduled) {
+      logger.info('Sleep window started');
+      this.sleep('schedule');
+    } else if (!isFirstCheck) {
+      logger.info('Sleep window ended');
+      this.clearReSleepTimer();
+      this.wake('schedule');
+    }
+  }
+
+  /**
+   * Whether the schedule or a vacation says the dashboard should be asleep now
+   * @returns {boolean}
+   */
+  isScheduledAsleep() {
+    if (!this.isTimerEnabled()) return false;
+
+    const now = new Date();
+    return this.isVacation(now) || isInSleepWindow(getSleepSchedule(window.settingsStore), now);
+  }
+
+  isVacation(date = new Date()) {
+    return isVacationDay(window.settingsStore?.get('interface.vacation'), date);
+  }
+
+  isTimerEnabled() {
+    return window.settingsStore?.get('interface.sleepTimerEnabled') === true;
+  }
+
+  getReSleepDelayMs() {
+    const minutes = Number(window.settingsStore?.get('interface.reSleepDelay')) || DEFAULT_RESLEEP_DELAY;
+    return minutes * 60 * 1000;
+  }
+
+  // =============================================================================
+  // SLEEP / WAKE
+  // =============================================================================
+
+  /**
+   * Show the sleep overlay
+   * @param {string} reason - 'schedule', 'manual', 're-sleep'
+   */
+  sleep(reason) {
+    if (AppStateManager.isSleeping() || !window.modals) return;
+
+    logger.info('Going to sleep', { reason });
+    this.pendingReason = reason;
+    window.modals.showSleep();
+  }
+
+  /**
+   * Hide the sleep overlay
+   * @param {string} reason - 'schedule', 'manual', 'presence'
+   */
+  wake(reason) {
+    if (!AppStateManager.isSleeping() || !window.modals) return;
+
+    logger.info('Waking up', { reason });
+    this.pendingReason = reason;
+    window.modals.hideSleep();
+  }
+
+  /**
+   * Track wake-ups to start the re-sleep countdown
+   * (also covers wakes that didn't come through wake(), like clicking the overlay)
+   * @private
+   * @param {boolean} isSleeping - New sleep state
+   */
+  handleSleepModeChanged(isSleeping) {
+    const reason = this.pendingReason || 'manual';
+    this.pendingReason = null;
+
+    if (isSleeping) {
+      this.clearReSleepTimer();
+      return;
+    }
+
+    this.lastWakeReason = reason;
+    if (reason !== 'schedule') {
+      this.startReSleepTimer();
+    }
+  }
+
+  // =============================================================================
+  // RE-SLEEP
+  // =============================================================================
+
+  /**
+   * Start the re-sleep countdown if the dashboard should go back to sleep
+   * (inside a sleep window / vacation, or woken by presence)
+   * @private
+   */
+  startReSleepTimer() {
+    this.clearReSleepTimer();
+
+    if (!this.shouldReSleep()) return;
+
+    const delay = this.getReSleepDelayMs();
+    logger.debug('Re-sleep countdown started', { minutes: delay / 60000 });
+
+    this.reSleepTimer = setTimeout(() => {
+      this.reSleepTimer = null;
+
+      if (this.shouldReSleep()) {
+        this.sleep('re-sleep');
+      }
+    }, delay);
+  }
+
+  /**
+   * Restart a running re-sleep countdown (someone is still using the dashboard)
+   * @private
+   */
+  restartReSleepTimer() {
+    if (this.reSleepTimer) {
+      this.startReSleepTimer();
+    }
+  }
+
+  clearReSleepTimer() {
+    if (this.reSleepTimer) {
+      clearTimeout(this.reSleepTimer);
+      this.reSleepTimer = null;
+    }
+  }
+
+  shouldReSleep() {
+    return this.isScheduledAsleep() || this.lastWakeReason === 'presence';
+  }
+
+  // =============================================================================
+  // PRESENCE
+  // =============================================================================
+
+  /**
+   * Motion/presence reported by the Android app
+   * @param {string} type - 'motion' or 'presence'
+   */
+  handlePresence(type) {
+    logger.debug('Presence event', { type });
+
+    if (AppStateManager.isSleeping()) {
+      if (!this.isPresenceWakeEnabled()) return;
+
+      if (this.isTimerEnabled() && this.isVacation()) {
+        logger.debug('Vacation - presence does not wake the dashboard');
+        return;
+      }
+
+      this.wake('presence');
+      return;
+    }
+
+    // Awake: someone is still around, push back the re-sleep
+    this.restartReSleepTimer();
+  }
+
+  isPresenceWakeEnabled() {
+    const enabled = window.settingsStore?.get('interface.presenceWake');
+    return typeof enabled === 'boolean' ? enabled : DEFAULT_PRESENCE_WAKE;
+  }
+
+  /**
+   * Cleanup - stop timers and remove subscriptions
+   */
+  destroy() {
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+    this.clearReSleepTimer();
+
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (window.handlePresenceEvent) {
+      delete window.handlePresenceEvent;
+    }
+
+    this.wasScheduledAsleep = null;
+    this.isInitialized = false;
+
+    logger.info('SleepScheduler destroyed');
+  }
+}
+
+// Create singleton instance
+const sleepScheduler = new SleepScheduler();
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.SleepScheduler = sleepScheduler;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default sleepScheduler;
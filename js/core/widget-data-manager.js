@@ -1,11 +1,23 @@
 // js/core/widget-data-manager.js
 // Manages data flow between main app and widget iframes
 // Handles widget registration, postMessage communication, and data updates
+// Widget plugins receive the data types their manifest subscribes to (WIDGET_DATA_TYPES)
+// Widgets can also request data ('calendar.getEvents', 'data.get') through WidgetProtocol
 
 import { createLogger } from '../utils/logger.js';
 import { getCalendarService } from '../data/services/calendar-service.js';
 import { calendarCache } from '../utils/calendar-cache.js';
-import { CALENDAR_CACHE_REFRESH_THRESHOLD_MS } from '../../config.js';
+import {
+    CALENDAR_CACHE_REFRESH_THRESHOLD_MS,
+    WIDGET_DATA_TYPES,
+    DEFAULT_PHOTO_TRANSITION_TIME,
+    DEFAULT_PHOTO_TRANSITION,
+    DEFAULT_PHOTO_ORDER,
+    DEFAULT_PHOTO_SOURCES
+} from '../../config.js';
+import AppComms from './app-comms.js';
+import widgetProtocol, { WidgetRequestError, WIDGET_REQUEST_ERRORS } from './widget-protocol.js';
+import { getWidgetDefinition } from '../modules/Dashboard/dashboard-widget-config.js';
 
 const logger = createLogger('WidgetDataManager');
 
@@ -18,6 +30,18 @@ export class WidgetDataManager {
         // Cache for calendar data to avoid duplicate fetches
         this.calendarDataCache = null;
         this.calendarDataPromise = null; // Track in-flight requests
+        this.lastSentDisplaySettings = null; // JSON of family/calendar options last sent with calendar data
+        this.unsubscribeSettings = null;
+        this.unsubscribePlugins = null;
+        this.protocolUnsubscribers = [];
+
+        // Last photos/weather/forecast sent, for widget plugins that subscribe later
+        this.lastPhotosPayload = null;
+        this.lastWeatherPayload = null;
+        this.lastForecastPayload = null;
+        this.lastSentFamily = null; // JSON of family settings last sent to plugin subscribers
+        this.lastSentPhotosSettings = null; // JSON of slideshow settings last sent to the photos widget
+        this.lastPhotoSources = null; // JSON of photos.sources last loaded from
 
         logger.debug('WidgetDataManager constructed');
     }
@@ -36,26 +60,48 @@ export class WidgetDataManager {
             logger.warn('Failed to initialize calendar cache, will fallback to fetch-only', error);
         }
 
-        // Set up global message listener for all widgets
-        window.addEventListener('message', (event) => {
-            this.handleWidgetMessage(event.data);
-        });
+        // Widget messages arrive through WidgetProtocol (origin, version and schema already checked)
+        this.protocolUnsubscribers = [
+            widgetProtocol.on('widget-ready', (message, { widgetId }) => this.handleWidgetReady(widgetId, message.data)),
+            widgetProtocol.handleRequest('calendar.getEvents', (params, context) => this.handleGetEventsRequest(params, context)),
+            widgetProtocol.handleRequest('data.get', (params, context) => this.handleGetDataRequest(params, context))
+        ];
 
         // Set up listener for automatic photo refresh
         window.addEventListener('photo-data-updated', (event) => {
             const photoData = event.detail.photos;
-            if (photoData && this.widgets.has('photos')) {
-                logger.debug('Photo auto-refresh detected, updating photo widget');
-                this.sendToWidget('photos', 'data', {
-                    dataType: 'photos',
-                    payload: {
-                        urls: photoData.urls || [],
-                        folder: photoData.folder || null
-                    }
+            if (photoData) {
+                logger.debug('Photo auto-refresh detected, updating photo widgets');
+                this.sendPhotosPayload({
+                    urls: photoData.urls || [],
+                    photos: photoData.photos || [],
+                    folder: photoData.folder || null
                 });
             }
         });
 
+        // Re-send calendar data when family members or calendar display options change (local edit or remote sync)
+        this.unsubscribeSettings = AppComms.subscribe(AppComms.events.SETTINGS_CHANGED, () => {
+            this.handleCalendarDisplaySettingsChanged();
+            this.sendFamilyToSubscribers();
+            this.sendPhotosSettings();
+            this.handlePhotoSourcesChanged();
+        });
+
+        // Widget plugins installed/removed at runtime (Dashboard has already added/removed the iframe)
+        this.unsubscribePlugins = AppComms.subscribe(AppComms.events.WIDGET_PLUGINS_CHANGED, ({ action, widgetId }) => {
+            if (action === 'installed') {
+                const iframe = document.getElementById(`widget-${widgetId}`);
+                if (iframe) {
+                    this.registerWidget(widgetId, iframe);
+                } else {
+                    logger.warn('Installed widget plugin has no iframe', { widgetId });
+                }
+            } else if (action === 'removed') {
+                this.unregisterWidget(widgetId);
+            }
+        });
+
         logger.verbose('WidgetDataManager initialized');
     }
 
@@ -100,40 +146,6 @@ export class WidgetDataManager {
         logger.debug('Widget unregistered', { widgetId });
     }
 
-    /**
-     * Handle messages from widgets
-     * @param {object} message - Message from widget
-     */
-    async handleWidgetMessage(message) {
-        if (!message || !message.type) return;
-
-        // Handle widget events
-        if (message.type === 'event' && message.widgetId) {
-            const { widgetId, payload } = message;
-            const { eventType, data } = payload || {};
-
-            logger.debug('Widget event received', { widgetId, eventType });
-
-            switch (eventType) {
-                case 'widget-ready':
-                    await this.handleWidgetReady(widgetId, data);
-                    break;
-
-                case 'return-to-menu':
-                    this.handleReturnToMenu(widgetId);
-                    break;
-
-                case 'settings-requested':
-                    this.handleSettingsRequested(widgetId);
-                    break;
-
-                default:
-                    logger.debug('Unhandled widget event', { widgetId, eventType });
-                    break;
-            }
-        }
-    }
-
     /**
      * Handle widget ready event
      * @param {string} widgetId - Widget identifier
@@ -165,6 +177,11 @@ export class WidgetDataManager {
             switch (widgetId) {
                 case 'clock':
                     await this.loadClockData();
+
+                    // Keep current weather and the hourly forecast fresh (matches WeatherService cache TTL)
+                    if (!this.refreshIntervals.has('clock')) {
+                        this.startAutoRefresh('clock', 10 * 60 * 1000);
+                    }
                     break;
 
                 case 'main': // Calendar widget (id='main' in config)
@@ -173,15 +190,9 @@ export class WidgetDataManager {
 
                     // Send data to widgets (cache or fresh)
                     if (calendarData) {
-                        const payload = {
-                            dataType: 'calendar',
-                            calendars: calendarData.calendars || [],
-                            events: calendarData.events || [],
-                            lastUpdated: Date.now()
-                        };
+                        const payload = this.buildCalendarPayload(calendarData);
 
-                        this.sendToWidget('main', 'data', payload);
-                        this.sendToWidget('agenda', 'data', payload);
+                        this.sendCalendarPayload(payload);
 
                         logger.debug('Sent calendar data to widgets', {
                             widgetId,
@@ -192,6 +203,7 @@ export class WidgetDataManager {
                     break;
 
                 case 'photos':
+                    this.sendPhotosSettings(true);
                     await this.loadPhotosData();
                     break;
 
@@ -200,7 +212,11 @@ export class WidgetDataManager {
                     break;
 
                 default:
-                    logger.debug('No data loader for widget', { widgetId });
+                    if (getWidgetDefinition(widgetId)?.plugin) {
+                        await this.loadPluginData(widgetId);
+                    } else {
+                        logger.debug('No data loader for widget', { widgetId });
+                    }
                     break;
             }
 
@@ -320,15 +336,9 @@ export class WidgetDataManager {
                 await calendarCache.set('calendar-data', data);
 
                 // Send updated data to widgets
-                const payload = {
-                    dataType: 'calendar',
-                    calendars: data.calendars || [],
-                    events: data.events || [],
-                    lastUpdated: Date.now()
-                };
+                const payload = this.buildCalendarPayload(data);
 
-                this.sendToWidget('main', 'data', payload);
-                this.sendToWidget('agenda', 'data', payload);
+                this.sendCalendarPayload(payload);
 
                 logger.success('Background refresh completed and sent to widgets', {
                     calendars: payload.calendars.length,
@@ -346,6 +356,8 @@ export class WidgetDataManager {
     /**
      * Internal method to fetch calendar data (called by loadCalendarData)
      * Delegates to calendar-service for all fetching logic
+     * The returned data carries syncState (per-calendar sync tokens), so it is
+     * persisted with the events in calendarCache and survives page reloads
      * @private
      */
     async _fetchCalendarData() {
@@ -356,7 +368,11 @@ export class WidgetDataManager {
             logger.debug('Fetching calendar data from service');
 
             // Delegate to calendar service (handles all fetching, grouping, metadata, etc.)
-            const data = await calendarService.loadData({ forceRefresh: false });
+            // Passing the cached data lets the service download only changes (sync tokens)
+            const data = await calendarService.loadData({
+                forceRefresh: false,
+                previousData: this.calendarDataCache
+            });
 
             logger.success('Calendar data loaded', {
                 calendars: data.calendars.length,
@@ -387,10 +403,7 @@ export class WidgetDataManager {
             const urlParams = new URLSearchParams(window.location.search);
             if (urlParams.has('bypass-auth')) {
                 logger.debug('Bypass mode active - skipping photos data load');
-                this.sendToWidget('photos', 'data', {
-                    dataType: 'photos',
-                    payload: { urls: [], folder: null }
-                });
+                this.sendPhotosPayload({ urls: [], photos: [], folder: null });
                 return;
             }
 
@@ -400,25 +413,24 @@ export class WidgetDataManager {
             const photoDataService = window.photoDataService;
             if (!photoDataService || !photoDataService.isReady()) {
                 logger.warn('PhotoService not available or not ready');
-                this.sendToWidget('photos', 'data', {
-                    dataType: 'photos',
-                    payload: { urls: [], folder: null }
-                });
+                this.sendPhotosPayload({ urls: [], photos: [], folder: null });
                 return;
             }
 
-            // Load photos from service
+            // Load photos from the enabled sources
+            const sources = this.getPhotoSourceConfigs();
+            this.lastPhotoSources = JSON.stringify(sources);
+            photoDataService.setSourceConfigs?.(sources);
+
             const result = await photoDataService.loadPhotos(null, true); // folder=null, shuffle=true
 
             logger.success('Photos data loaded', { count: result?.urls?.length || 0 });
 
-            // Send photos to widget
-            this.sendToWidget('photos', 'data', {
-                dataType: 'photos',
-                payload: {
-                    urls: result?.urls || [],
-                    folder: result?.folder || null
-                }
+            // Send photos to widgets
+            this.sendPhotosPayload({
+                urls: result?.urls || [],
+                photos: result?.photos || [],
+                folder: result?.folder || null
             });
 
         } catch (error) {
@@ -427,15 +439,69 @@ export class WidgetDataManager {
             });
 
             // Send empty array on error
-            this.sendToWidget('photos', 'data', {
-                dataType: 'photos',
-                payload: { urls: [], folder: null }
-            });
+            this.sendPhotosPayload({ urls: [], photos: [], folder: null });
         }
     }
 
     /**
-     * Load clock data (fetch and send weather data)
+     * Photo sources the slideshow loads from (photos.sources setting)
+     * @returns {Array<object>} [{id, type, enabled, ...options}]
+     */
+    getPhotoSourceConfigs() {
+        const sources = window.settingsStore?.get('photos.sources');
+        return Array.isArray(sources) ? sources : DEFAULT_PHOTO_SOURCES;
+    }
+
+    /**
+     * Reload photos if sources were added, removed or toggled
+     */
+    handlePhotoSourcesChanged() {
+        if (this.lastPhotoSources === null || !this.widgets.has('photos')) return;
+        if (JSON.stringify(this.getPhotoSourceConfigs()) === this.lastPhotoSources) return;
+
+        logger.debug('Photo sources changed, reloading photos');
+        this.loadPhotosData();
+    }
+
+    /**
+     * Slideshow settings for the photos widget
+     * @returns {object} {transitionTime, transition, order, showInfo}
+     */
+    getPhotosSettings() {
+        const settingsStore = window.settingsStore;
+
+        return {
+            transitionTime: settingsStore?.get('photos.transitionTime') || DEFAULT_PHOTO_TRANSITION_TIME,
+            transition: settingsStore?.get('photos.transition') || DEFAULT_PHOTO_TRANSITION,
+            order: settingsStore?.get('photos.order') || DEFAULT_PHOTO_ORDER,
+            showInfo: settingsStore?.get('photos.showInfo') === true
+        };
+    }
+
+    /**
+     * Send slideshow settings to the photos widget (settings-update message)
+     * @param {boolean} force - Send even if unchanged (widget just loaded)
+     */
+    sendPhotosSettings(force = false) {
+        const iframe = this.widgets.get('photos');
+        if (!iframe?.contentWindow) return;
+
+        const settings = this.getPhotosSettings();
+        const json = JSON.stringify(settings);
+        if (!force && json === this.lastSentPhotosSettings) return;
+
+        this.lastSentPhotosSettings = json;
+        widgetProtocol.post(iframe.contentWindow, {
+            type: 'settings-update',
+            widgetId: 'photos',
+            ...settings
+        });
+
+        logger.debug('Sent slideshow settings to photos widget', settings);
+    }
+
+    /**
+     * Load clock data (fetch and send weather and forecast data)
      */
     async loadClockData() {
         try {
@@ -476,20 +542,27 @@ export class WidgetDataManager {
                 weatherCode: weatherData.weatherCode
             });
 
-            // Send weather data to clock widget
-            this.sendToWidget('clock', 'weather-data', {
+            // Send weather data to clock widget (and plugins subscribed to weather)
+            const weatherPayload = {
                 zipCode: zipCode,
                 temperature: weatherData.temperature,
                 weatherCode: weatherData.weatherCode,
                 icon: weatherData.icon,
                 timestamp: weatherData.timestamp
-            });
+            };
+
+            this.sendToWidget('clock', 'weather-data', weatherPayload);
+            this.lastWeatherPayload = weatherPayload;
+            this.sendToSubscribers(WIDGET_DATA_TYPES.WEATHER, weatherPayload);
 
             logger.success('Clock weather data sent', {
                 zipCode,
                 temperature: weatherData.temperature
             });
 
+            // Forecast for the clock's focused view (failure leaves current weather in place)
+            await this.loadForecastData(weatherService, zipCode);
+
         } catch (error) {
             logger.error('Failed to load clock data', {
                 error: error.message
@@ -497,6 +570,267 @@ export class WidgetDataManager {
         }
     }
 
+    /**
+     * Fetch the 7-day / 24-hour forecast and send it to the clock widget (and forecast subscribers)
+     * @param {WeatherService} weatherService - Ready weather service
+     * @param {string} zipCode - Zip code from settings
+     */
+    async loadForecastData(weatherService, zipCode) {
+        try {
+            const forecast = await weatherService.getForecastForZipCode(zipCode);
+
+            const forecastPayload = {
+                zipCode: zipCode,
+                current: forecast.current,
+                daily: forecast.daily,
+                hourly: forecast.hourly,
+                timezone: forecast.timezone,
+                timestamp: forecast.timestamp
+            };
+
+            this.sendToWidget('clock', 'forecast-data', forecastPayload);
+            this.lastForecastPayload = forecastPayload;
+            this.sendToSubscribers(WIDGET_DATA_TYPES.FORECAST, forecastPayload);
+
+            logger.debug('Clock forecast data sent', {
+                zipCode,
+                days: forecast.daily.length,
+                hours: forecast.hourly.length
+            });
+
+        } catch (error) {
+            logger.error('Failed to load forecast data', {
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Send a widget plugin the data types its manifest subscribes to
+     * Photos/weather/forecast reuse the last payload sent to the built-in widgets;
+     * if there is none yet, the full load runs and fans out to every subscriber.
+     * @param {string} widgetId - Plugin widget ID
+     */
+    async loadPluginData(widgetId) {
+        const { subscriptions = [], refreshMinutes } = getWidgetDefinition(widgetId) || {};
+
+        logger.debug('Loading widget plugin data', { widgetId, subscriptions });
+
+        for (const dataType of subscriptions) {
+            let payload = null;
+
+            switch (dataType) {
+                case WIDGET_DATA_TYPES.CALENDAR: {
+                    const calendarData = await this.loadCalendarData();
+                    if (calendarData) {
+                        const { dataType: _, ...calendar } = this.buildCalendarPayload(calendarData);
+                        payload = calendar;
+                    }
+                    break;
+                }
+
+                case WIDGET_DATA_TYPES.PHOTOS:
+                    payload = this.lastPhotosPayload;
+                    if (!payload) await this.loadPhotosData();
+                    break;
+
+                case WIDGET_DATA_TYPES.WEATHER:
+                case WIDGET_DATA_TYPES.FORECAST:
+                    payload = dataType === WIDGET_DATA_TYPES.WEATHER ? this.lastWeatherPayload : this.lastForecastPayload;
+                    if (!payload) await this.loadClockData();
+                    break;
+
+                case WIDGET_DATA_TYPES.FAMILY:
+                    payload = this.getFamilySettings();
+                    break;
+            }
+
+            if (payload) {
+                this.sendToWidget(widgetId, 'data', { dataType, payload });
+            }
+        }
+
+        if (refreshMinutes && !this.refreshIntervals.has(widgetId)) {
+            this.startAutoRefresh(widgetId, refreshMinutes * 60 * 1000);
+        }
+    }
+
+    /**
+     * Send data to every registered widget plugin subscribed to a data type
+     * @param {string} dataType - WIDGET_DATA_TYPES value
+     * @param {object} payload - Data
+     */
+    sendToSubscribers(dataType, payload) {
+        this.widgets.forEach((iframe, widgetId) => {
+            if (getWidgetDefinition(widgetId)?.subscriptions?.includes(dataType)) {
+                this.sendToWidget(widgetId, 'data', { dataType, payload });
+            }
+        });
+    }
+
+    /**
+     * Send calendar data to the calendar and agenda widgets and calendar subscribers
+     * @param {object} payload - From buildCalendarPayload()
+     */
+    sendCalendarPayload(payload) {
+        this.sendToWidget('main', 'data', payload);
+        this.sendToWidget('agenda', 'data', payload);
+
+        const { dataType, ...calendar } = payload;
+        this.sendToSubscribers(WIDGET_DATA_TYPES.CALENDAR, calendar);
+    }
+
+    /**
+     * Send photo URLs to the photos widget and photo subscribers
+     * @param {object} payload - {urls, photos, folder} (photos: [{id, url, filename, folder, uploadedAt, takenAt, placeName}])
+     */
+    sendPhotosPayload(payload) {
+        this.lastPhotosPayload = payload;
+
+        if (this.widgets.has('photos')) {
+            this.sendToWidget('photos', 'data', {
+                dataType: 'photos',
+                payload
+            });
+        }
+
+        this.sendToSubscribers(WIDGET_DATA_TYPES.PHOTOS, payload);
+    }
+
+    /**
+     * Send family settings to family subscribers when they changed since the last send
+     * @private
+     */
+    sendFamilyToSubscribers() {
+        const family = this.getFamilySettings();
+        const json = JSON.stringify(family);
+        if (json === this.lastSentFamily) return;
+
+        this.lastSentFamily = json;
+        this.sendToSubscribers(WIDGET_DATA_TYPES.FAMILY, family);
+    }
+
+    // =============================================================================
+    // WIDGET REQUESTS
+    // =============================================================================
+
+    /**
+     * 'calendar.getEvents' - events overlapping a date range
+     * @param {object} params - { start, end } (ISO strings or timestamps)
+     * @param {object} context - Request context from WidgetProtocol
+     * @returns {Promise<object>} { start, end, calendars, events }
+     */
+    async handleGetEventsRequest(params, { widgetId }) {
+        this.assertCanRead(widgetId, WIDGET_DATA_TYPES.CALENDAR);
+
+        const start = new Date(params.start);
+        const end = new Date(params.end);
+        if (isNaN(start) || isNaN(end) || start >= end) {
+            throw new WidgetRequestError(WIDGET_REQUEST_ERRORS.INVALID_REQUEST, '"start" and "end" must be dates, with start before end');
+        }
+
+        const calendarData = await this.loadCalendarData();
+        const events = (calendarData?.events || []).filter(event => {
+            const bounds = this.getEventBounds(event);
+            return bounds && bounds.start < end && bounds.end > start;
+        });
+
+        logger.debug('Events requested by widget', { widgetId, start, end, count: events.length });
+
+        return {
+            start: start.toISOString(),
+            end: end.toISOString(),
+            calendars: calendarData?.calendars || [],
+            events
+        };
+    }
+
+    /**
+     * 'data.get' - current payload of a data type (same shape as data messages)
+     * @param {object} params - { dataType } (WIDGET_DATA_TYPES value)
+     * @param {object} context - Request context from WidgetProtocol
+     * @returns {Promise<object|null>} Payload, or null if none is available
+     */
+    async handleGetDataRequest(params, { widgetId }) {
+        const { dataType } = params;
+        if (!Object.values(WIDGET_DATA_TYPES).includes(dataType)) {
+            throw new WidgetRequestError(WIDGET_REQUEST_ERRORS.INVALID_REQUEST, `Unknown data type: ${dataType}`);
+        }
+
+        this.assertCanRead(widgetId, dataType);
+
+        switch (dataType) {
+            case WIDGET_DATA_TYPES.CALENDAR: {
+                const calendarData = await this.loadCalendarData();
+                if (!calendarData) return null;
+                const { dataType: _, ...calendar } = this.buildCalendarPayload(calendarData);
+                return calendar;
+            }
+
+            case WIDGET_DATA_TYPES.PHOTOS:
+                if (!this.lastPhotosPayload) await this.loadPhotosData();
+                return this.lastPhotosPayload;
+
+            case WIDGET_DATA_TYPES.WEATHER:
+                if (!this.lastWeatherPayload) await this.loadClockData();
+                return this.lastWeatherPayload;
+
+            case WIDGET_DATA_TYPES.FORECAST:
+                if (!this.lastForecastPayload) await this.loadClockData();
+                return this.lastForecastPayload;
+
+            case WIDGET_DATA_TYPES.FAMILY:
+                return this.getFamilySettings();
+        }
+    }
+
+    /**
+     * Widget plugins may only read the data types their manifest subscribes to
+     * @private
+     * @param {string} widgetId - Requesting widget
+     * @param {string} dataType - WIDGET_DATA_TYPES value
+     * @throws {WidgetRequestError} If not allowed
+     */
+    assertCanRead(widgetId, dataType) {
+        const definition = getWidgetDefinition(widgetId);
+        if (definition?.plugin && !definition.subscriptions?.includes(dataType)) {
+            throw new WidgetRequestError(WIDGET_REQUEST_ERRORS.FORBIDDEN, `Widget is not subscribed to "${dataType}"`);
+        }
+    }
+
+    /**
+     * Start/end of a calendar event as a half-open range [start, end)
+     * All-day dates are local midnight. EventProcessor.cleanEventData has made
+     * date-only ends inclusive (last day of the event), so they're moved to the
+     * following midnight - and never end before the midnight after the first day,
+     * which also covers events cached while they were being normalized twice.
+     * @param {object} event - Calendar event ({ start: { dateTime|date }, end })
+     * @returns {{start: Date, end: Date}|null} Null if the event has no usable start
+     */
+    getEventBounds(event) {
+        const parse = (time, dayOffset = 0) => {
+            if (time?.dateTime) return new Date(time.dateTime);
+            if (time?.date) {
+                const [year, month, day] = time.date.split('-').map(Number);
+                return new Date(year, month - 1, day + dayOffset);
+            }
+            return null;
+        };
+
+        const start = parse(event.start);
+        if (!start || isNaN(start)) return null;
+
+        let end = parse(event.end, 1);
+        if (!end || isNaN(end) || end < start) end = start;
+
+        if (!event.start.dateTime) {
+            const firstDayEnd = parse(event.start, 1);
+            if (end < firstDayEnd) end = firstDayEnd;
+        }
+
+        return { start, end };
+    }
+
     /**
      * Load header data (placeholder)
      */
@@ -539,7 +873,7 @@ export class WidgetDataManager {
             payload
         };
 
-        iframe.contentWindow.postMessage(message, '*');
+        widgetProtocol.post(iframe.contentWindow, message);
 
         logger.debug('Message sent to widget', {
             widgetId,
@@ -597,28 +931,6 @@ export class WidgetDataManager {
         }
     }
 
-    /**
-     * Handle return-to-menu event from widget
-     * @param {string} widgetId - Widget identifier
-     */
-    handleReturnToMenu(widgetId) {
-        logger.debug('Widget requesting return to menu', { widgetId });
-
-        // TODO: Emit event for Dashboard to handle
-        // For now, just log
-    }
-
-    /**
-     * Handle settings-requested event from widget
-     * @param {string} widgetId - Widget identifier
-     */
-    handleSettingsRequested(widgetId) {
-        logger.debug('Widget requesting settings', { widgetId });
-
-        // TODO: Open Settings module
-        // For now, just log
-    }
-
     /**
      * Get widget state
      * @param {string} widgetId - Widget identifier
@@ -661,15 +973,9 @@ export class WidgetDataManager {
 
         // Send to widgets
         if (data) {
-            const payload = {
-                dataType: 'calendar',
-                calendars: data.calendars || [],
-                events: data.events || [],
-                lastUpdated: Date.now()
-            };
+            const payload = this.buildCalendarPayload(data);
 
-            this.sendToWidget('main', 'data', payload);
-            this.sendToWidget('agenda', 'data', payload);
+            this.sendCalendarPayload(payload);
 
             logger.debug('Sent refreshed calendar data to widgets', {
                 calendars: payload.calendars.length,
@@ -680,6 +986,130 @@ export class WidgetDataManager {
         return data;
     }
 
+    /**
+     * Apply a single event change (create/update/delete) to cached calendar data
+     * Called by CalendarService after a successful write so widgets update
+     * immediately instead of waiting for the next refresh
+     * @param {object} change - {action: 'created'|'updated'|'deleted', event, eventId, prefixedCalendarId}
+     * @returns {Promise<void>}
+     */
+    async applyCalendarEventChange(change) {
+        const { action, event, prefixedCalendarId } = change;
+        const eventId = event?.id || change.eventId;
+
+        let data = this.calendarDataCache;
+        if (!data) {
+            try {
+                data = await calendarCache.get('calendar-data', { allowStale: true });
+            } catch (error) {
+                logger.warn('Failed to read calendar cache for event change', error);
+            }
+        }
+
+        // Nothing cached yet - a full load picks up the change anyway
+        if (!data) {
+            logger.debug('No cached calendar data, refreshing after event change', { action });
+            await this.refreshCalendarData();
+            return;
+        }
+
+        // Remove the previous copy (same event on the same calendar), then add the new one
+        const events = (data.events || []).filter(e =>
+            !(e.id === eventId && e.prefixedCalendarId === prefixedCalendarId)
+        );
+
+        if (action !== 'deleted' && event) {
+            events.push(event);
+        }
+
+        const updatedData = { ...data, events };
+        this.calendarDataCache = updatedData;
+
+        try {
+            await calendarCache.set('calendar-data', updatedData);
+        } catch (error) {
+            logger.warn('Failed to persist calendar event change', error);
+        }
+
+        const payload = this.buildCalendarPayload(updatedData);
+
+        this.sendCalendarPayload(payload);
+
+        logger.success('Applied calendar event change', {
+            action,
+            eventId,
+            events: payload.events.length
+        });
+    }
+
+    /**
+     * Build the calendar data message sent to the calendar and agenda widgets
+     * Family members ride along so widgets can label/tint events by member,
+     * as do calendar display options the widgets apply to the merged events
+     * @param {object} data - Calendar data {calendars, events}
+     * @returns {object} Widget payload
+     */
+    buildCalendarPayload(data) {
+        const family = this.getFamilySettings();
+        const calendarOptions = this.getCalendarDisplayOptions();
+        this.lastSentDisplaySettings = JSON.stringify({ family, calendarOptions });
+
+        return {
+            dataType: 'calendar',
+            calendars: data.calendars || [],
+            events: data.events || [],
+            family,
+            calendarOptions,
+            lastUpdated: Date.now()
+        };
+    }
+
+    /**
+     * Family member settings relevant to calendar widgets
+     * @returns {object} {members, colorEventsByMember}
+     */
+    getFamilySettings() {
+        const settingsStore = window.settingsStore;
+
+        return {
+            members: settingsStore?.get('family.members') || [],
+            colorEventsByMember: settingsStore?.get('family.colorEventsByMember') === true
+        };
+    }
+
+    /**
+     * Calendar display options applied by the widgets (not by CalendarService)
+     * @returns {object} {collapseRecurringAllDay}
+     */
+    getCalendarDisplayOptions() {
+        return {
+            collapseRecurringAllDay: window.settingsStore?.get('calendar.collapseRecurringAllDay') === true
+        };
+    }
+
+    /**
+     * Re-send cached calendar data if family or calendar display settings changed since the last send
+     * @private
+     */
+    handleCalendarDisplaySettingsChanged() {
+        if (!this.calendarDataCache) return;
+
+        const current = JSON.stringify({
+            family: this.getFamilySettings(),
+            calendarOptions: this.getCalendarDisplayOptions()
+        });
+        if (current === this.lastSentDisplaySettings) return;
+
+        const payload = this.buildCalendarPayload(this.calendarDataCache);
+
+        this.sendCalendarPayload(payload);
+
+        logger.debug('Sent updated family/display settings to calendar widgets', {
+            members: payload.family.members.length,
+            calendarOptions: payload.calendarOptions
+        });
+    }
+
     /**
      * Get calendar cache metadata
      * @returns {Promise<object|null>} Cache metadata or null if not cached
@@ -742,6 +1172,19 @@ export class WidgetDataManager {
         this.refreshIntervals.forEach(interval => clearInterval(interval));
         this.refreshIntervals.clear();
 
+        if (this.unsubscribeSettings) {
+            this.unsubscribeSettings();
+            this.unsubscribeSettings = null;
+        }
+
+        if (this.unsubscribePlugins) {
+            this.unsubscribePlugins();
+            this.unsubscribePlugins = null;
+        }
+
+        this.protocolUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.protocolUnsubscribers = [];
+
         // Clear widget references
         this.widgets.clear();
         this.widgetStates.clear();
@@ -1,11 +1,14 @@
 // js/core/widget-messenger.js
 // Manages postMessage communication with widget iframes
 // v1.0 - 10/15/25 - Initial implementation for refactored architecture
+// v1.1 - 10/19/26 - setWidgetConfig() for focus menus declared in widget plugin manifests
+// v1.2 - 10/19/26 - Receives and sends through WidgetProtocol (versioned, validated messages)
 // Based on legacy widget-messenger.js
 
 import { createLogger } from '../utils/logger.js';
 import AppComms from './app-comms.js';
 import AppStateManager from './app-state-manager.js';
+import widgetProtocol from './widget-protocol.js';
 import { WIDGET_MESSAGE_TYPES, WIDGET_COMMANDS, WIDGET_EVENT_TYPES } from '../../config.js';
 
 const logger = createLogger('WidgetMessenger');
@@ -19,15 +22,16 @@ const logger = createLogger('WidgetMessenger');
  * - Receives events from widgets
  * - Maintains widget state and deduplicates broadcasts
  *
- * Message Protocol:
- *   To Widget: { type: 'command|data|config', action: string, payload: {} }
- *   From Widget: { type: 'event', eventType: string, data: {} }
+ * Message Protocol (see widget-protocol.js):
+ *   To Widget: { v, type: 'command|data|config', action: string, payload: {} }
+ *   From Widget: { v, type: 'widget-ready|widget-error|return-to-menu|widget-config|...', ... }
  */
 class WidgetMessenger {
   constructor() {
     this.isInitialized = false;
     this.widgets = new Map(); // widgetWindow → widgetInfo
     this.lastSentState = new Map(); // widgetWindow → lastState (for deduplication)
+    this.widgetConfigs = new Map(); // widgetId → last widget-config message (focus menu, etc.)
 
     // Current system state sent to widgets
     this.currentState = {
@@ -79,44 +83,18 @@ class WidgetMessenger {
   }
 
   /**
-   * Set up message listener for widget communications
+   * Subscribe to widget messages (WidgetProtocol has already checked origin and schema)
    * @private
    */
   setupMessageListener() {
-    window.addEventListener('message', (event) => {
-      if (!event.data || !event.data.type) {
-        return;
-      }
-
-      const messageData = event.data;
-
-      switch (messageData.type) {
-        case 'widget-ready':
-          this.handleWidgetReady(event, messageData);
-          break;
-
-        case 'widget-error':
-          this.handleWidgetError(event, messageData);
-          break;
-
-        case 'return-to-menu':
-          this.handleReturnToMenu(event, messageData);
-          break;
-
-        case 'settings-requested':
-          this.handleSettingsRequested(event, messageData);
-          break;
-
-        case 'data-requested':
-          this.handleDataRequested(event, messageData);
-          break;
-
-        default:
-          logger.debug('Unhandled widget message type', { type: messageData.type });
-      }
-    });
-
-    logger.debug('Widget message listener configured');
+    widgetProtocol.on('widget-ready', (message, context) => this.handleWidgetReady(message, context));
+    widgetProtocol.on('widget-error', (message, context) => this.handleWidgetError(message, context));
+    widgetProtocol.on('return-to-menu', (message, context) => this.handleReturnToMenu(message, context));
+    widgetProtocol.on('widget-config', (message, context) => this.handleWidgetConfig(message, context));
+    widgetProtocol.on('settings-requested', (message, context) => this.handleSettingsRequested(message, context));
+    widgetProtocol.on('data-requested', (message, context) => this.handleDataRequested(message, context));
+
+    logger.debug('Widget message handlers registered');
   }
 
   /**
@@ -192,17 +170,17 @@ class WidgetMessenger {
   /**
    * Handle widget ready notification
    * @private
-   * @param {MessageEvent} event - Message event
-   * @param {Object} messageData - Message data
+   * @param {Object} message - Validated message
+   * @param {Object} context - { widgetId, source, origin }
    */
-  handleWidgetReady(event, messageData) {
+  handleWidgetReady(message, context) {
     const widgetInfo = {
-      name: messageData.widget || 'unknown',
-      source: event.source,
+      name: context.widgetId,
+      source: context.source,
       readyAt: Date.now()
     };
 
-    this.widgets.set(event.source, widgetInfo);
+    this.widgets.set(context.source, widgetInfo);
 
     logger.info('Widget registered', {
       name: widgetInfo.name,
@@ -210,23 +188,23 @@ class WidgetMessenger {
     });
 
     // Send current state to the new widget
-    this.sendCurrentStateToWidget(event.source, widgetInfo.name);
+    this.sendCurrentStateToWidget(context.source, widgetInfo.name);
 
     // Broadcast widget ready event
     AppComms.publish(AppComms.events.WIDGET_READY, {
       widgetName: widgetInfo.name,
-      widgetWindow: event.source
+      widgetWindow: context.source
     });
   }
 
   /**
    * Handle widget error notification
    * @private
-   * @param {MessageEvent} event - Message event
-   * @param {Object} messageData - Message data
+   * @param {Object} messageData - Validated message
+   * @param {Object} context - { widgetId, source, origin }
    */
-  handleWidgetError(event, messageData) {
-    const widgetName = this.getWidgetName(event.source);
+  handleWidgetError(messageData, context) {
+    const widgetName = context.widgetId;
 
     logger.error(`Widget error from ${widgetName}`, {
       error: messageData.error,
@@ -243,11 +221,11 @@ class WidgetMessenger {
   /**
    * Handle return-to-menu request from widget
    * @private
-   * @param {MessageEvent} event - Message event
-   * @param {Object} messageData - Message data
+   * @param {Object} messageData - Validated message
+   * @param {Object} context - { widgetId, source, origin }
    */
-  handleReturnToMenu(event, messageData) {
-    const widgetName = this.getWidgetName(event.source);
+  handleReturnToMenu(messageData, context) {
+    const widgetName = context.widgetId;
 
     logger.info(`Widget ${widgetName} requested return to menu`);
 
@@ -258,21 +236,70 @@ class WidgetMessenger {
     });
   }
 
+  /**
+   * Handle widget-config message (focus menu definition)
+   * Stored by widget ID so the Dashboard can build the menu when the widget is focused
+   * @private
+   * @param {Object} messageData - Validated message
+   * @param {Object} context - { widgetId, source, origin }
+   */
+  handleWidgetConfig(messageData, context) {
+    const widgetId = context.widgetId;
+
+    this.widgetConfigs.set(widgetId, messageData);
+
+    logger.debug('Widget config received', {
+      widgetId,
+      hasFocusMenu: !!messageData.focusMenu?.enabled,
+      items: messageData.focusMenu?.items?.length || 0
+    });
+
+    AppComms.publish(AppComms.events.WIDGET_MESSAGE, {
+      type: 'widget-config',
+      widgetId,
+      data: messageData
+    });
+  }
+
+  /**
+   * Get the last widget-config sent by a widget
+   * @param {string} widgetId - Widget ID (e.g., 'main')
+   * @returns {Object|null} widget-config message or null
+   */
+  getWidgetConfig(widgetId) {
+    return this.widgetConfigs.get(widgetId) || null;
+  }
+
+  /**
+   * Set (or clear) a widget's config without a widget-config message
+   * Used for focus menus declared in widget plugin manifests; a widget-config
+   * message from the widget itself replaces it.
+   * @param {string} widgetId - Widget ID
+   * @param {Object|null} config - widget-config message shape, or null to clear
+   */
+  setWidgetConfig(widgetId, config) {
+    if (config) {
+      this.widgetConfigs.set(widgetId, config);
+    } else {
+      this.widgetConfigs.delete(widgetId);
+    }
+  }
+
   /**
    * Handle settings request from widget
    * @private
-   * @param {MessageEvent} event - Message event
-   * @param {Object} messageData - Message data
+   * @param {Object} messageData - Validated message
+   * @param {Object} context - { widgetId, source, origin }
    */
-  handleSettingsRequested(event, messageData) {
-    const widgetName = this.getWidgetName(event.source);
+  handleSettingsRequested(messageData, context) {
+    const widgetName = context.widgetId;
 
     logger.debug(`Widget ${widgetName} requested settings`, {
       settingPath: messageData.path
     });
 
     // Send settings to widget
-    this.sendMessage(event.source, {
+    this.sendMessage(context.source, {
       type: WIDGET_MESSAGE_TYPES.CONFIG,
       action: 'settings-response',
       payload: this.currentState.settings
@@ -282,18 +309,18 @@ class WidgetMessenger {
   /**
    * Handle data request from widget
    * @private
-   * @param {MessageEvent} event - Message event
-   * @param {Object} messageData - Message data
+   * @param {Object} messageData - Validated message
+   * @param {Object} context - { widgetId, source, origin }
    */
-  handleDataRequested(event, messageData) {
-    const widgetName = this.getWidgetName(event.source);
+  handleDataRequested(messageData, context) {
+    const widgetName = context.widgetId;
     const dataType = messageData.dataType;
 
     logger.debug(`Widget ${widgetName} requested data`, { dataType });
 
     const data = this.currentState[dataType];
 
-    this.sendMessage(event.source, {
+    this.sendMessage(context.source, {
       type: WIDGET_MESSAGE_TYPES.DATA,
       action: 'data-response',
       payload: {
@@ -311,12 +338,13 @@ class WidgetMessenger {
    * Send command to a specific widget
    * @param {Window} targetWindow - Target widget window
    * @param {string} command - Command to send (from WIDGET_COMMANDS)
+   * @param {Object|null} payload - Optional command payload (e.g., { itemId } for menu-item-selected)
    */
-  sendCommand(targetWindow, command) {
+  sendCommand(targetWindow, command, payload = null) {
     this.sendMessage(targetWindow, {
       type: WIDGET_MESSAGE_TYPES.COMMAND,
       action: command,
-      payload: null
+      payload
     });
 
     logger.widget('send', 'command', this.getWidgetName(targetWindow), { command });
@@ -326,13 +354,14 @@ class WidgetMessenger {
    * Send command to widget by ID
    * @param {string} widgetId - Widget ID (e.g., 'main', 'calendar')
    * @param {string} command - Command to send
+   * @param {Object|null} payload - Optional command payload
    */
-  sendCommandToWidget(widgetId, command) {
+  sendCommandToWidget(widgetId, command, payload = null) {
     // Iframe IDs are prefixed with 'widget-'
     const iframeId = `widget-${widgetId}`;
     const iframe = document.getElementById(iframeId);
     if (iframe && iframe.contentWindow) {
-      this.sendCommand(iframe.contentWindow, command);
+      this.sendCommand(iframe.contentWindow, command, payload);
     } else {
       logger.warn('Widget iframe not found', { widgetId, iframeId });
     }
@@ -394,19 +423,7 @@ class WidgetMessenger {
    * @param {Object} message - Message to send
    */
   sendMessage(targetWindow, message) {
-    if (!targetWindow) {
-      logger.warn('Cannot send message - no target window');
-      return;
-    }
-
-    try {
-      targetWindow.postMessage(message, '*');
-    } catch (error) {
-      logger.error('Failed to send message to widget', {
-        error: error.message,
-        messageType: message.type
-      });
-    }
+    widgetProtocol.post(targetWindow, message);
   }
 
   // =============================================================================
@@ -543,6 +560,7 @@ class WidgetMessenger {
 
     this.widgets.clear();
     this.lastSentState.clear();
+    this.widgetConfigs.clear();
     this.currentState = {
       calendar: null,
       photos: null,
@@ -0,0 +1,475 @@
+// js/core/widget-protocol.js
+// Single entry point for postMessage traffic between the Dashboard and widget iframes
+// v1.0 - 10/19/26 - Initial implementation (replaces the listeners in WidgetMessenger,
+//                   WidgetDataManager and InputHandler)
+// v1.1 - 10/19/26 - Opaque-origin (plugin) iframes: expect origin 'null', post with '*'
+
+import { createLogger } from '../utils/logger.js';
+import { WIDGET_PROTOCOL_VERSION, WIDGET_MESSAGE_TYPES } from '../../config.js';
+
+const logger = createLogger('WidgetProtocol');
+
+/**
+ * Message schemas (widget → Dashboard), by canonical type
+ * Field rules: 'string' | 'object' | 'array', '?' suffix = optional
+ */
+const MESSAGE_SCHEMAS = {
+  'widget-ready': { data: 'object?' },
+  'widget-error': { error: 'string', details: 'object?' },
+  'widget-config': { focusMenu: 'object' },
+  'return-to-menu': {},
+  'settings-requested': { path: 'string?' },
+  'data-requested': { dataType: 'string' },
+  'open-photos-settings': {},
+  [WIDGET_MESSAGE_TYPES.REQUEST]: { requestId: 'string', method: 'string', params: 'object?' }
+};
+
+/**
+ * Error codes sent in request responses
+ */
+export const WIDGET_REQUEST_ERRORS = {
+  INVALID_REQUEST: 'invalid-request',
+  UNKNOWN_METHOD: 'unknown-method',
+  FORBIDDEN: 'forbidden',
+  FAILED: 'failed'
+};
+
+/**
+ * Error thrown by request handlers to send a specific error code
+ */
+export class WidgetRequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WidgetRequestError';
+    this.code = code;
+  }
+}
+
+/**
+ * WidgetProtocol - Widget Message Protocol
+ *
+ * Purpose:
+ * - Owns the only window 'message' listener for widget traffic
+ * - Accepts messages only from widget iframes (iframe[id^="widget-"]) and only
+ *   from the origin the iframe was loaded from
+ * - Checks the protocol version and validates each message against its schema
+ * - Normalizes the legacy event envelope, so handlers see one shape
+ * - Correlates requests and responses so widgets can await data
+ * - Logs and rejects anything unknown or malformed
+ *
+ * Message Protocol (v1):
+ *   From Widget: { v: 1, type: 'widget-ready', widgetId, data: { hasMenu } }
+ *                { v: 1, type: 'request', requestId, method, params }
+ *   To Widget:   { v: 1, type: 'command|data|config|theme-change|...', ... }
+ *                { v: 1, type: 'response', requestId, ok: true, result }
+ *                { v: 1, type: 'response', requestId, ok: false, error: { code, message } }
+ *
+ *   Legacy (no v) is read as v1. The event envelope
+ *   { type: 'event', widgetId, payload: { eventType, data } } becomes { type: eventType, data }.
+ *
+ * Handlers:
+ *   widgetProtocol.on('widget-ready', (message, context) => { ... });
+ *   widgetProtocol.handleRequest('calendar.getEvents', async (params, context) => result);
+ *   context = { widgetId, source, origin }
+ */
+class WidgetProtocol {
+  constructor() {
+    this.isInitialized = false;
+    this.handlers = new Map(); // type → Set of handlers
+    this.requestHandlers = new Map(); // method → handler
+    this.messageListener = null;
+
+    logger.verbose('WidgetProtocol created');
+  }
+
+  /**
+   * Start listening for widget messages
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    this.messageListener = (event) => this.handleMessage(event);
+    window.addEventListener('message', this.messageListener);
+
+    this.isInitialized = true;
+    logger.verbose('WidgetProtocol initialized', { version: WIDGET_PROTOCOL_VERSION });
+  }
+
+  /**
+   * Subscribe to a widget message type
+   * @param {string} type - Canonical message type (see MESSAGE_SCHEMAS)
+   * @param {Function} handler - (message, context) => void
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (!MESSAGE_SCHEMAS[type]) {
+      throw new Error(`Unknown widget message type: ${type}`);
+    }
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Register the handler for a request method (one per method)
+   * Throw a WidgetRequestError to answer with a specific error code.
+   * @param {string} method - Method name (e.g. 'calendar.getEvents')
+   * @param {Function} handler - async (params, context) => result (must be cloneable)
+   * @returns {Function} Unregister function
+   */
+  handleRequest(method, handler) {
+    if (this.requestHandlers.has(method)) {
+      logger.warn('Replacing widget request handler', { method });
+    }
+    this.requestHandlers.set(method, handler);
+
+    return () => {
+      if (this.requestHandlers.get(method) === handler) {
+        this.requestHandlers.delete(method);
+      }
+    };
+  }
+
+  /**
+   * Send a message to a widget window (adds the protocol version)
+   * Posted to the origin the widget iframe was loaded from, so a widget that
+   * navigated elsewhere doesn't receive Dashboard data. Opaque-origin widgets
+   * (plugins) can't be targeted by origin and get '*'.
+   * @param {Window} targetWindow - Widget window
+   * @param {Object} message - Message
+   */
+  post(targetWindow, message) {
+    if (!targetWindow) {
+      logger.warn('Cannot send message - no target window');
+      return;
+    }
+
+    const iframe = this.getWidgetIframe(targetWindow);
+    const iframeOrigin = iframe ? this.getIframeOrigin(iframe) : null;
+    const targetOrigin = iframeOrigin && iframeOrigin !== 'null' ? iframeOrigin : '*';
+
+    try {
+      targetWindow.postMessage({ v: WIDGET_PROTOCOL_VERSION, ...message }, targetOrigin);
+    } catch (error) {
+      logger.error('Failed to send message to widget', {
+        error: error.message,
+        messageType: message.type
+      });
+    }
+  }
+
+  // =============================================================================
+  // INCOMING MESSAGES
+  // =============================================================================
+
+  /**
+   * Check, normalize and dispatch a message
+   * @private
+   * @param {MessageEvent} event - Message event
+   */
+  handleMessage(event) {
+    const iframe = this.getWidgetIframe(event.source);
+    if (!iframe) {
+      // Not from a widget (e.g. browser extensions, OAuth popups)
+      logger.debug('Ignoring message from non-widget window', { origin: event.origin });
+      return;
+    }
+
+    const widgetId = iframe.id.replace(/^widget-/, '');
+    const context = { widgetId, source: event.source, origin: event.origin };
+
+    if (event.origin !== this.getIframeOrigin(iframe)) {
+      this.reject(context, 'origin mismatch', { expected: this.getIframeOrigin(iframe) });
+      return;
+    }
+
+    const raw = event.data;
+    if (!raw || typeof raw !== 'object' || typeof raw.type !== 'string') {
+      this.reject(context, 'not a protocol message', { data: typeof raw === 'object' ? raw : String(raw) });
+      return;
+    }
+
+    if (raw.v !== undefined && (!Number.isInteger(raw.v) || raw.v < 1 || raw.v > WIDGET_PROTOCOL_VERSION)) {
+      this.reject(context, 'unsupported protocol version', { v: raw.v, supported: WIDGET_PROTOCOL_VERSION });
+      this.respondToInvalid(raw, context, `Protocol version ${raw.v} is not supported (max ${WIDGET_PROTOCOL_VERSION})`);
+      return;
+    }
+
+    const message = this.normalize(raw);
+    if (!message) {
+      this.reject(context, 'malformed event envelope', { type: raw.type });
+      return;
+    }
+
+    // A widget may only speak for its own iframe (plugins can't pose as 'main' etc.)
+    if (message.widgetId !== undefined && message.widgetId !== widgetId) {
+      this.reject(context, 'widgetId does not match iframe', { claimed: message.widgetId });
+      return;
+    }
+
+    const schema = MESSAGE_SCHEMAS[message.type];
+    if (!schema) {
+      this.reject(context, 'unknown message type', { type: message.type });
+      return;
+    }
+
+    const errors = this.validate(message, schema);
+    if (errors.length > 0) {
+      this.reject(context, 'invalid message', { type: message.type, errors });
+      this.respondToInvalid(message, context, errors.join('; '));
+      return;
+    }
+
+    if (message.type === WIDGET_MESSAGE_TYPES.REQUEST) {
+      this.handleRequestMessage(message, context);
+      return;
+    }
+
+    this.dispatch(message, context);
+  }
+
+  /**
+   * Convert legacy shapes to the canonical one
+   * @private
+   * @param {Object} raw - Message as received
+   * @returns {Object|null} Canonical message, or null if the envelope is malformed
+   */
+  normalize(raw) {
+    if (raw.type !== WIDGET_MESSAGE_TYPES.EVENT) {
+      return raw;
+    }
+
+    const eventType = raw.payload?.eventType;
+    if (typeof eventType !== 'string') {
+      return null;
+    }
+
+    return {
+      v: raw.v,
+      type: eventType,
+      widgetId: raw.widgetId,
+      data: raw.payload.data ?? {}
+    };
+  }
+
+  /**
+   * Validate message fields against a schema
+   * @private
+   * @param {Object} message - Canonical message
+   * @param {Object} schema - Field rules
+   * @returns {Array<string>} Problems found (empty if valid)
+   */
+  validate(message, schema) {
+    const errors = [];
+
+    if (message.widgetId !== undefined && typeof message.widgetId !== 'string') {
+      errors.push('"widgetId" must be a string');
+    }
+
+    Object.entries(schema).forEach(([field, rule]) => {
+      const optional = rule.endsWith('?');
+      const expected = optional ? rule.slice(0, -1) : rule;
+      const value = message[field];
+
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`"${field}" is required`);
+        return;
+      }
+
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (actual !== expected) {
+        errors.push(`"${field}" must be ${expected === 'array' ? 'an' : 'a'} ${expected}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Call handlers for a message (a failing handler doesn't stop the others)
+   * @private
+   */
+  dispatch(message, context) {
+    const handlers = this.handlers.get(message.type);
+    if (!handlers || handlers.size === 0) {
+      logger.debug('No handler for widget message', { type: message.type, widgetId: context.widgetId });
+      return;
+    }
+
+    logger.widget('receive', message.type, context.widgetId);
+
+    handlers.forEach(handler => {
+      Promise.resolve()
+        .then(() => handler(message, context))
+        .catch(error => logger.error(`Widget '${message.type}' handler failed`, error));
+    });
+  }
+
+  /**
+   * Log a rejected message
+   * @private
+   */
+  reject(context, reason, details = {}) {
+    logger.warn(`Rejected widget message: ${reason}`, { widgetId: context.widgetId, ...details });
+  }
+
+  // =============================================================================
+  // REQUESTS
+  // =============================================================================
+
+  /**
+   * Run a request handler and send the response
+   * @private
+   * @param {Object} message - Validated request message
+   * @param {Object} context - { widgetId, source, origin }
+   */
+  async handleRequestMessage(message, context) {
+    const { requestId, method, params = {} } = message;
+    const handler = this.requestHandlers.get(method);
+
+    if (!handler) {
+      logger.warn('Unknown widget request method', { widgetId: context.widgetId, method });
+      this.respond(context, requestId, null, new WidgetRequestError(
+        WIDGET_REQUEST_ERRORS.UNKNOWN_METHOD, `Unknown method: ${method}`
+      ));
+      return;
+    }
+
+    logger.debug('Widget request', { widgetId: context.widgetId, method, requestId });
+
+    try {
+      const result = await handler(params, context);
+      this.respond(context, requestId, result);
+    } catch (error) {
+      if (!(error instanceof WidgetRequestError)) {
+        logger.error('Widget request failed', { widgetId: context.widgetId, method, error: error.message });
+      }
+      this.respond(context, requestId, null, error);
+    }
+  }
+
+  /**
+   * Answer a request that failed validation (if it had a usable requestId)
+   * @private
+   */
+  respondToInvalid(message, context, reason) {
+    if (message.type === WIDGET_MESSAGE_TYPES.REQUEST && typeof message.requestId === 'string') {
+      this.respond(context, message.requestId, null, new WidgetRequestError(
+        WIDGET_REQUEST_ERRORS.INVALID_REQUEST, reason
+      ));
+    }
+  }
+
+  /**
+   * Send a response message
+   * @private
+   * @param {Object} context - Request context
+   * @param {string} requestId - Request ID from the widget
+   * @param {*} result - Result (when successful)
+   * @param {Error|null} error - Error (when failed)
+   */
+  respond(context, requestId, result, error = null) {
+    const response = error
+      ? {
+          type: WIDGET_MESSAGE_TYPES.RESPONSE,
+          requestId,
+          ok: false,
+          error: {
+            code: error.code || WIDGET_REQUEST_ERRORS.FAILED,
+            message: error.message || 'Request failed'
+          }
+        }
+      : {
+          type: WIDGET_MESSAGE_TYPES.RESPONSE,
+          requestId,
+          ok: true,
+          result: result ?? null
+        };
+
+    this.post(context.source, response);
+  }
+
+  // =============================================================================
+  // UTILITY METHODS
+  // =============================================================================
+
+  /**
+   * Find the widget iframe for a window
+   * @private
+   * @param {Window} windowSource - Window
+   * @returns {HTMLIFrameElement|null}
+   */
+  getWidgetIframe(windowSource) {
+    if (!windowSource) return null;
+
+    return Array.from(document.querySelectorAll('iframe[id^="widget-"]'))
+      .find(frame => frame.contentWindow === windowSource) || null;
+  }
+
+  /**
+   * Origin the iframe was loaded from
+   * Sandboxed without allow-same-origin (plugins), the page has an opaque origin,
+   * which messages report as 'null'.
+   * @private
+   * @param {HTMLIFrameElement} iframe - Widget iframe
+   * @returns {string|null}
+   */
+  getIframeOrigin(iframe) {
+    if (iframe.hasAttribute('sandbox') && !iframe.sandbox.contains('allow-same-origin')) {
+      return 'null';
+    }
+
+    try {
+      return new URL(iframe.getAttribute('src'), window.location.href).origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get status for debugging
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    return {
+      isInitialized: this.isInitialized,
+      version: WIDGET_PROTOCOL_VERSION,
+      messageTypes: Array.from(this.handlers.entries()).map(([type, set]) => ({ type, handlers: set.size })),
+      requestMethods: Array.from(this.requestHandlers.keys())
+    };
+  }
+
+  /**
+   * Stop listening (handlers stay registered)
+   */
+  destroy() {
+    if (this.messageListener) {
+      window.removeEventListener('message', this.messageListener);
+      this.messageListener = null;
+    }
+
+    this.isInitialized = false;
+    logger.info('WidgetProtocol destroyed');
+  }
+}
+
+// Create singleton instance
+const widgetProtocol = new WidgetProtocol();
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.widgetProtocol = widgetProtocol;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default widgetProtocol;
@@ -131,6 +131,27 @@ export class BaseCalendarAuth {
         return Object.keys(providerAccounts);
     }
 
+    /**
+     * Pick the next free account type for this provider
+     * ('<prefix>', then '<prefix>2', '<prefix>3', ...)
+     * Non-Google providers use their own prefix so prefixed calendar IDs stay unique
+     * @param {string} prefix - Account type prefix (defaults to provider name)
+     * @returns {Promise<string>} Account type
+     */
+    async getNextAccountType(prefix = this.providerName) {
+        const existing = await this.getConnectedAccounts();
+
+        if (!existing.includes(prefix)) {
+            return prefix;
+        }
+
+        let number = 2;
+        while (existing.includes(`${prefix}${number}`)) {
+            number++;
+        }
+        return `${prefix}${number}`;
+    }
+
     /**
      * Validate account tokens
      * Checks if tokens are valid and not expired
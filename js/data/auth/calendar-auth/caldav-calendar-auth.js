@@ -0,0 +1,495 @@
+// js/data/auth/calendar-auth/caldav-calendar-auth.js
+// CalDAV implementation of Layer 2 authentication: Apple iCloud, Fastmail, Nextcloud, etc.
+// Signs in with an app-specific password; all requests go through the database-operations proxy
+
+import { BaseCalendarAuth } from './base-calendar-auth.js';
+import { IcsParser } from '../../services/calendar-services/ics-parser.js';
+import { createLogger } from '../../../utils/logger.js';
+
+const logger = createLogger('CalDAVCalendarAuth');
+
+/**
+ * Account types for CalDAV accounts ('caldav', 'caldav2', ...)
+ * Kept distinct from Google's 'primary'/'accountN' so prefixed IDs stay unique
+ */
+export const CALDAV_ACCOUNT_PREFIX = 'caldav';
+
+/**
+ * Check if an account type belongs to a CalDAV account
+ * @param {string} accountType - Account type
+ * @returns {boolean}
+ */
+export function isCalDAVAccountType(accountType) {
+    return new RegExp(`^${CALDAV_ACCOUNT_PREFIX}\\d*$`).test(accountType || '');
+}
+
+/**
+ * Well-known servers offered in Settings (username + app password is all the user types)
+ */
+export const CALDAV_SERVER_PRESETS = [
+    { id: 'icloud', label: 'Apple iCloud', url: 'https://caldav.icloud.com/' },
+    { id: 'fastmail', label: 'Fastmail', url: 'https://caldav.fastmail.com/dav/' },
+    { id: 'nextcloud', label: 'Nextcloud / Other', url: '' }
+];
+
+const NS_DAV = 'DAV:';
+const NS_CALDAV = 'urn:ietf:params:xml:ns:caldav';
+const NS_APPLE = 'http://apple.com/ns/ical/';
+
+const DEFAULT_CALENDAR_COLOR = '#5484ed';
+
+/**
+ * CalDAVCalendarAuth - CalDAV Calendar Access (Layer 2)
+ *
+ * Flow:
+ * 1. connectAccount() stores {server_url, username, app_password} via the
+ *    jwt-auth store_tokens operation (the password never comes back to the browser)
+ * 2. Discovery: current-user-principal → calendar-home-set → calendar collections
+ * 3. Events: calendar-query REPORT with a time-range filter, expanded by IcsParser
+ *
+ * CalDAV servers rarely send CORS headers, so every request is made by the
+ * database-operations 'caldav_request' proxy, which attaches the stored credentials.
+ *
+ * Calendars and events are returned in Google Calendar API shape so they merge
+ * with Google data in CalendarFetcher. Calendars are read-only for now.
+ */
+export class CalDAVCalendarAuth extends BaseCalendarAuth {
+    constructor(tokenStore, edgeClient) {
+        super(tokenStore);
+        this.providerName = 'caldav'; // Match token storage key
+        this.edgeClient = edgeClient;
+        this.parser = new IcsParser();
+        this.homeUrls = new Map(); // accountType → calendar-home-set URL (discovered once per session)
+    }
+
+    /**
+     * Initialize CalDAV calendar access
+     */
+    async initialize() {
+        const accounts = await this.getConnectedAccounts();
+
+        this.isReady = true;
+
+        logger.info('CalDAVCalendarAuth initialized', {
+            connectedAccounts: accounts.length,
+            accounts
+        });
+    }
+
+    // =========================================================================
+    // ACCOUNT MANAGEMENT
+    // =========================================================================
+
+    /**
+     * Connect a CalDAV account
+     * Stores the credentials, then runs discovery to prove they work
+     * (credentials are removed again if discovery fails)
+     *
+     * @param {string} accountType - Account identifier (e.g., 'caldav', 'caldav2')
+     * @param {object} options - {serverUrl, username, password}
+     * @returns {Promise<object>} Account data {email, display_name, server_url, calendarCount}
+     */
+    async connectAccount(accountType, options = {}) {
+        const serverUrl = this.normalizeServerUrl(options.serverUrl);
+        const username = (options.username || '').trim();
+        const password = (options.password || '').trim();
+
+        if (!username || !password) {
+            throw new Error('Username and app-specific password are required');
+        }
+
+        logger.info('Connecting CalDAV account', { accountType, host: new URL(serverUrl).hostname });
+
+        const accountData = {
+            server_url: serverUrl,
+            username,
+            app_password: password,
+            email: username,
+            display_name: `${username} (${this.describeServer(serverUrl)})`,
+            provider_info: { type: 'caldav', server_url: serverUrl }
+        };
+
+        await this.edgeClient.storeTokens(this.providerName, accountType, accountData);
+
+        let calendars;
+        try {
+            this.homeUrls.delete(accountType);
+            calendars = await this.getCalendarList(accountType);
+        } catch (error) {
+            logger.warn('CalDAV discovery failed, removing credentials', { accountType, error: error.message });
+            await this.edgeClient.deleteTokens(this.providerName, accountType).catch(() => {});
+            throw new Error(error.status === 401
+                ? 'The server rejected the username or app-specific password'
+                : `Could not find calendars on this server: ${error.message}`);
+        }
+
+        // Pick up the new account's metadata (list_accounts never returns the password)
+        if (this.tokenStore) {
+            await this.tokenStore.refresh();
+        }
+
+        logger.success('CalDAV account connected', {
+            accountType,
+            email: username,
+            calendars: calendars.length
+        });
+
+        return {
+            email: username,
+            display_name: accountData.display_name,
+            server_url: serverUrl,
+            calendarCount: calendars.length
+        };
+    }
+
+    /**
+     * Disconnect a CalDAV account
+     * @param {string} accountType - Account identifier
+     */
+    async disconnectAccount(accountType) {
+        this.homeUrls.delete(accountType);
+
+        if (this.tokenStore) {
+            await this.tokenStore.removeAccountTokens(this.providerName, accountType);
+        } else {
+            await this.edgeClient.deleteTokens(this.providerName, accountType);
+        }
+
+        logger.info('CalDAV account disconnected', { accountType });
+    }
+
+    /**
+     * App-specific passwords don't expire - nothing to refresh
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<object>} Stored account metadata
+     */
+    async refreshToken(accountType) {
+        return this.tokenStore ? this.tokenStore.getAccountTokens(this.providerName, accountType) : null;
+    }
+
+    // =========================================================================
+    // CALENDARS & EVENTS
+    // =========================================================================
+
+    /**
+     * Get list of calendars (event collections) for an account
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<Array>} Google-shaped calendar objects (id = collection URL)
+     */
+    async getCalendarList(accountType) {
+        const homeUrl = await this.discoverCalendarHome(accountType);
+
+        const response = await this.request(accountType, 'PROPFIND', homeUrl, 1, `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>
+    <d:displayname/>
+    <d:resourcetype/>
+    <c:calendar-description/>
+    <c:supported-calendar-component-set/>
+    <a:calendar-color/>
+  </d:prop>
+</d:propfind>`);
+
+        const calendars = this.parseMultistatus(response)
+            .filter(entry => this.isEventCalendar(entry.prop))
+            .map(entry => this.normalizeCalendar({
+                url: entry.url,
+                name: this.childText(entry.prop, NS_DAV, 'displayname'),
+                description: this.childText(entry.prop, NS_CALDAV, 'calendar-description'),
+                color: this.childText(entry.prop, NS_APPLE, 'calendar-color')
+            }, accountType));
+
+        logger.success('Retrieved CalDAV calendar list', {
+            accountType,
+            calendarCount: calendars.length
+        });
+
+        return calendars;
+    }
+
+    /**
+     * Get events for a calendar within a time range
+     * Recurring events are expanded locally (servers differ in <c:expand> support)
+     *
+     * @param {string} calendarId - Calendar collection URL
+     * @param {{start: Date, end: Date}} timeRange - Time range
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<Array>} Raw Google-shaped events (not yet normalized)
+     */
+    async getCalendarEvents(calendarId, timeRange, accountType) {
+        const timer = logger.startTimer(`CalDAV events ${accountType}`);
+
+        try {
+            const response = await this.request(accountType, 'REPORT', calendarId, 1, `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${this.formatUtc(timeRange.start)}" end="${this.formatUtc(timeRange.end)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`);
+
+            // One VCALENDAR per event resource (master + its overrides)
+            const events = [];
+            for (const entry of this.parseMultistatus(response)) {
+                const data = this.childText(entry.prop, NS_CALDAV, 'calendar-data');
+                if (!data) continue;
+
+                try {
+                    events.push(...this.parser.parseFeed(data, timeRange).events);
+                } catch (error) {
+                    logger.warn('Skipping unreadable CalDAV event', { url: entry.url, error: error.message });
+                }
+            }
+
+            const duration = timer();
+
+            logger.success('Retrieved CalDAV events', {
+                accountType,
+                calendarId,
+                eventCount: events.length,
+                duration
+            });
+
+            return events;
+
+        } catch (error) {
+            timer();
+            logger.error('Failed to get CalDAV events', {
+                accountType,
+                calendarId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get provider capabilities
+     */
+    getCapabilities() {
+        return {
+            supportsMultipleAccounts: true,
+            supportsSharedCalendars: true,
+            supportsEventCreation: false, // Read-only for now
+            supportsEventModification: false,
+            supportsEventDeletion: false,
+            maxAccountsSupported: 5,
+            requiredScopes: []
+        };
+    }
+
+    /**
+     * Convert a discovered collection to the Google calendarList shape
+     * @param {object} rawCalendar - {url, name, description, color}
+     * @param {string} accountType - Account identifier
+     * @returns {object} Calendar object
+     */
+    normalizeCalendar(rawCalendar, accountType) {
+        return {
+            id: rawCalendar.url,
+            summary: rawCalendar.name || 'Untitled Calendar',
+            description: rawCalendar.description || '',
+            backgroundColor: this.normalizeColor(rawCalendar.color),
+            foregroundColor: '#ffffff',
+            accessRole: 'reader',
+            selected: true,
+            primary: false,
+            accountType: accountType,
+            provider: this.providerName
+        };
+    }
+
+    // =========================================================================
+    // DISCOVERY
+    // =========================================================================
+
+    /**
+     * Find the account's calendar home (RFC 6764 / RFC 4791 discovery)
+     * @private
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<string>} Calendar home URL
+     */
+    async discoverCalendarHome(accountType) {
+        if (this.homeUrls.has(accountType)) {
+            return this.homeUrls.get(accountType);
+        }
+
+        // Step 1: principal (a relative '' URL means the stored server URL)
+        const principalResponse = await this.request(accountType, 'PROPFIND', '', 0, `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:current-user-principal/>
+  </d:prop>
+</d:propfind>`);
+
+        const principalUrl = this.findHref(principalResponse, NS_DAV, 'current-user-principal') || principalResponse.url;
+
+        // Step 2: calendar home set
+        const homeResponse = await this.request(accountType, 'PROPFIND', principalUrl, 0, `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <c:calendar-home-set/>
+  </d:prop>
+</d:propfind>`);
+
+        const homeUrl = this.findHref(homeResponse, NS_CALDAV, 'calendar-home-set');
+        if (!homeUrl) {
+            throw new Error('Server did not report a calendar home');
+        }
+
+        logger.debug('CalDAV calendar home discovered', { accountType, homeUrl });
+
+        this.homeUrls.set(accountType, homeUrl);
+        return homeUrl;
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Send a WebDAV request through the proxy
+     * @private
+     * @returns {Promise<{status: number, url: string, body: string}>}
+     */
+    async request(accountType, method, url, depth, body) {
+        const response = await this.edgeClient.caldavRequest(accountType, { method, url, depth, body });
+
+        if (response.status === 401 || response.status === 403) {
+            const error = new Error(`CalDAV server denied access (HTTP ${response.status})`);
+            error.status = 401;
+            throw error;
+        }
+
+        if (response.status !== 207) {
+            const error = new Error(`CalDAV ${method} failed (HTTP ${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    /**
+     * Parse a 207 Multi-Status body into {url, prop} entries
+     * Only successful (2xx) propstats are kept; hrefs are resolved against the request URL
+     * @private
+     */
+    parseMultistatus(response) {
+        const doc = new DOMParser().parseFromString(response.body, 'application/xml');
+
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('CalDAV server returned invalid XML');
+        }
+
+        return Array.from(doc.getElementsByTagNameNS(NS_DAV, 'response')).map(node => {
+            const href = this.childText(node, NS_DAV, 'href');
+
+            const propstat = Array.from(node.getElementsByTagNameNS(NS_DAV, 'propstat'))
+                .find(stat => /\s2\d\d\s/.test(` ${this.childText(stat, NS_DAV, 'status')} `));
+
+            return {
+                url: new URL(href, response.url).toString(),
+                prop: propstat ? propstat.getElementsByTagNameNS(NS_DAV, 'prop')[0] : null
+            };
+        }).filter(entry => entry.prop);
+    }
+
+    /**
+     * Find the href inside a property (e.g. current-user-principal) of a multistatus response
+     * @private
+     */
+    findHref(response, namespace, propName) {
+        for (const entry of this.parseMultistatus(response)) {
+            const prop = entry.prop.getElementsByTagNameNS(namespace, propName)[0];
+            const href = prop ? this.childText(prop, NS_DAV, 'href') : '';
+            if (href) {
+                return new URL(href, response.url).toString();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * A collection is an event calendar if it's a calendar and supports VEVENT
+     * (servers that omit supported-calendar-component-set support everything)
+     * @private
+     */
+    isEventCalendar(prop) {
+        const resourceType = prop.getElementsByTagNameNS(NS_DAV, 'resourcetype')[0];
+        if (!resourceType || resourceType.getElementsByTagNameNS(NS_CALDAV, 'calendar').length === 0) {
+            return false;
+        }
+
+        const componentSet = prop.getElementsByTagNameNS(NS_CALDAV, 'supported-calendar-component-set')[0];
+        if (!componentSet) {
+            return true;
+        }
+
+        return Array.from(componentSet.getElementsByTagNameNS(NS_CALDAV, 'comp'))
+            .some(comp => (comp.getAttribute('name') || '').toUpperCase() === 'VEVENT');
+    }
+
+    /**
+     * @private
+     */
+    childText(node, namespace, name) {
+        const child = node ? node.getElementsByTagNameNS(namespace, name)[0] : null;
+        return child ? child.textContent.trim() : '';
+    }
+
+    /**
+     * Apple colors are #RRGGBBAA - drop the alpha
+     * @private
+     */
+    normalizeColor(color) {
+        const match = (color || '').trim().match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+        return match ? `#${match[1].toLowerCase()}` : DEFAULT_CALENDAR_COLOR;
+    }
+
+    /**
+     * Format a date as a CalDAV UTC timestamp (20261019T000000Z)
+     * @private
+     */
+    formatUtc(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Validate a server URL (https, or http for a local test server - the proxy
+     * only allows that with CALDAV_ALLOW_PRIVATE_HOSTS)
+     * @private
+     */
+    normalizeServerUrl(serverUrl) {
+        let parsed;
+        try {
+            parsed = new URL((serverUrl || '').trim());
+        } catch (error) {
+            throw new Error('Please enter a valid server URL');
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error('Server URL must start with https://');
+        }
+
+        return parsed.toString();
+    }
+
+    /**
+     * Short server name for display ("iCloud", "Fastmail" or the hostname)
+     * @private
+     */
+    describeServer(serverUrl) {
+        const host = new URL(serverUrl).hostname;
+        if (host.endsWith('icloud.com')) return 'iCloud';
+        if (host.endsWith('fastmail.com')) return 'Fastmail';
+        return host;
+    }
+}
@@ -248,12 +248,13 @@ export class GoogleCalendarAuth extends BaseCalendarAuth {
         return {
             supportsMultipleAccounts: true,
             supportsSharedCalendars: true,
-            supportsEventCreation: false, // Not implemented yet
-            supportsEventModification: false,
-            supportsEventDeletion: false,
+            supportsEventCreation: true, // calendar.events scope - see CalendarService.createEvent
+            supportsEventModification: true,
+            supportsEventDeletion: true,
             maxAccountsSupported: 10,
             requiredScopes: [
-                'https://www.googleapis.com/auth/calendar.readonly'
+                'https://www.googleapis.com/auth/calendar.readonly',
+                'https://www.googleapis.com/auth/calendar.events'
             ]
         };
     }
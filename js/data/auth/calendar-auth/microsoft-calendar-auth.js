@@ -0,0 +1,456 @@
+// js/data/auth/calendar-auth/microsoft-calendar-auth.js
+// Microsoft implementation of Layer 2 authentication: Microsoft 365 / Outlook calendars via Graph
+// Device-code sign-in; refresh tokens live in user_auth_tokens (jwt-auth store_tokens)
+
+import { BaseCalendarAuth } from './base-calendar-auth.js';
+import { MicrosoftDeviceFlowProvider } from '../providers/microsoft-device-flow.js';
+import { createLogger } from '../../../utils/logger.js';
+
+const logger = createLogger('MicrosoftCalendarAuth');
+
+/**
+ * Account types for Microsoft accounts ('microsoft', 'microsoft2', ...)
+ */
+export const MICROSOFT_ACCOUNT_PREFIX = 'microsoft';
+
+/**
+ * Check if an account type belongs to a Microsoft account
+ * @param {string} accountType - Account type
+ * @returns {boolean}
+ */
+export function isMicrosoftAccountType(accountType) {
+    return new RegExp(`^${MICROSOFT_ACCOUNT_PREFIX}\\d*$`).test(accountType || '');
+}
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const PAGE_SIZE = 250;
+const MAX_PAGES = 20;
+
+// The default calendar is exposed as 'primary' (like Google) and read from /me/calendarView
+const DEFAULT_CALENDAR_ID = 'primary';
+
+// Graph calendar color names → hex (used when hexColor is empty)
+const GRAPH_COLORS = {
+    lightBlue: '#0078d4',
+    lightGreen: '#498205',
+    lightOrange: '#ca5010',
+    lightGray: '#69797e',
+    lightYellow: '#c19c00',
+    lightTeal: '#038387',
+    lightPink: '#e3008c',
+    lightBrown: '#8e562e',
+    lightRed: '#d13438',
+    auto: '#0078d4'
+};
+
+const EVENT_FIELDS = [
+    'id', 'subject', 'bodyPreview', 'location', 'start', 'end', 'isAllDay', 'isCancelled',
+    'showAs', 'sensitivity', 'webLink', 'seriesMasterId', 'type', 'originalStart',
+    'attendees', 'organizer', 'iCalUId', 'createdDateTime', 'lastModifiedDateTime'
+].join(',');
+
+/**
+ * MicrosoftCalendarAuth - Microsoft Graph Calendar Access (Layer 2)
+ *
+ * Flow:
+ * 1. connectAccount() runs the device code flow (QR code + user code on the TV)
+ * 2. Tokens are stored via jwt-auth store_tokens (provider 'microsoft');
+ *    get_valid_token refreshes them server-side, like Google tokens
+ * 3. Calendars: /me/calendars. Events: /me/calendarView (default calendar)
+ *    or /me/calendars/{id}/calendarView, which expand recurring series
+ *
+ * Calendars and events are converted to the Google Calendar API shape so they go
+ * through EventProcessor and the calendar widgets unchanged. Read-only for now.
+ */
+export class MicrosoftCalendarAuth extends BaseCalendarAuth {
+    constructor(tokenStore, edgeClient) {
+        super(tokenStore);
+        this.providerName = 'microsoft'; // Match token storage key
+        this.edgeClient = edgeClient;
+        this.deviceFlow = null; // Created on demand (only needed while connecting)
+        this.accessTokens = new Map(); // accountType → {access_token, expires_at}
+    }
+
+    /**
+     * Initialize Microsoft calendar access
+     */
+    async initialize() {
+        const accounts = await this.getConnectedAccounts();
+
+        this.isReady = true;
+
+        logger.info('MicrosoftCalendarAuth initialized', {
+            connectedAccounts: accounts.length,
+            accounts
+        });
+    }
+
+    // =========================================================================
+    // ACCOUNT MANAGEMENT
+    // =========================================================================
+
+    /**
+     * Connect a Microsoft account using the device code flow
+     * @param {string} accountType - Account identifier (e.g., 'microsoft', 'microsoft2')
+     * @returns {Promise<object>} Account data {email, display_name}
+     */
+    async connectAccount(accountType, options = {}) {
+        logger.info('Connecting Microsoft account', { accountType });
+
+        this.deviceFlow = this.deviceFlow || new MicrosoftDeviceFlowProvider(this.edgeClient);
+        const result = await this.deviceFlow.signIn();
+
+        const tokens = result.tokens || {};
+        if (!tokens.access_token || !tokens.refresh_token) {
+            throw new Error('Microsoft sign-in did not return a refresh token');
+        }
+
+        const tokenData = {
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token,
+            expires_in: tokens.expires_in,
+            scope: tokens.scope,
+            email: result.user.email,
+            display_name: result.user.name || result.user.email,
+            provider_info: { type: 'microsoft' }
+        };
+
+        await this.edgeClient.storeTokens(this.providerName, accountType, tokenData);
+
+        // Pick up the new account's metadata
+        if (this.tokenStore) {
+            await this.tokenStore.refresh();
+        }
+
+        logger.success('Microsoft account connected', {
+            accountType,
+            email: tokenData.email
+        });
+
+        return {
+            email: tokenData.email,
+            display_name: tokenData.display_name
+        };
+    }
+
+    /**
+     * Disconnect a Microsoft account
+     * @param {string} accountType - Account identifier
+     */
+    async disconnectAccount(accountType) {
+        this.accessTokens.delete(accountType);
+
+        if (this.tokenStore) {
+            await this.tokenStore.removeAccountTokens(this.providerName, accountType);
+        } else {
+            await this.edgeClient.deleteTokens(this.providerName, accountType);
+        }
+
+        logger.info('Microsoft account disconnected', { accountType });
+    }
+
+    /**
+     * Get a valid access token (refreshed by jwt-auth when needed)
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<object>} {access_token, expires_at, scopes, refreshed}
+     */
+    async refreshToken(accountType) {
+        const tokenData = await this.edgeClient.getValidToken(this.providerName, accountType);
+        this.accessTokens.set(accountType, tokenData);
+        return tokenData;
+    }
+
+    /**
+     * Get an access token, reusing the cached one until 5 minutes before expiry
+     * @param {string} accountType - Account identifier
+     * @param {boolean} forceRefresh - Skip the cache
+     * @returns {Promise<string>} Access token
+     */
+    async getAccessToken(accountType, forceRefresh = false) {
+        const cached = this.accessTokens.get(accountType);
+        const bufferTime = 5 * 60 * 1000;
+
+        if (!forceRefresh && cached?.access_token &&
+            Date.parse(cached.expires_at) - bufferTime > Date.now()) {
+            return cached.access_token;
+        }
+
+        const { access_token: accessToken } = await this.refreshToken(accountType);
+
+        if (!accessToken) {
+            throw new Error(`No access token returned for microsoft/${accountType}`);
+        }
+
+        return accessToken;
+    }
+
+    // =========================================================================
+    // CALENDARS & EVENTS
+    // =========================================================================
+
+    /**
+     * Get list of calendars for an account
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<Array>} Google-shaped calendar objects
+     */
+    async getCalendarList(accountType) {
+        const rawCalendars = await this.getAllPages(
+            accountType,
+            `${GRAPH_BASE_URL}/me/calendars?$select=id,name,color,hexColor,canEdit,isDefaultCalendar`
+        );
+
+        const calendars = rawCalendars.map(cal => this.normalizeCalendar(cal, accountType));
+
+        logger.success('Retrieved Microsoft calendar list', {
+            accountType,
+            calendarCount: calendars.length
+        });
+
+        return calendars;
+    }
+
+    /**
+     * Get events for a calendar within a time range
+     * calendarView returns recurring events as individual occurrences
+     *
+     * @param {string} calendarId - Graph calendar ID ('primary' for the default calendar)
+     * @param {{start: Date, end: Date}} timeRange - Time range
+     * @param {string} accountType - Account identifier
+     * @returns {Promise<Array>} Raw Google-shaped events (not yet normalized)
+     */
+    async getCalendarEvents(calendarId, timeRange, accountType) {
+        const timer = logger.startTimer(`Microsoft events ${accountType}`);
+
+        const path = calendarId === DEFAULT_CALENDAR_ID
+            ? '/me/calendarView'
+            : `/me/calendars/${encodeURIComponent(calendarId)}/calendarView`;
+
+        const params = new URLSearchParams({
+            startDateTime: new Date(timeRange.start).toISOString(),
+            endDateTime: new Date(timeRange.end).toISOString(),
+            $select: EVENT_FIELDS,
+            $orderby: 'start/dateTime',
+            $top: String(PAGE_SIZE)
+        });
+
+        try {
+            const rawEvents = await this.getAllPages(accountType, `${GRAPH_BASE_URL}${path}?${params}`);
+
+            const events = rawEvents
+                .filter(event => !event.isCancelled)
+                .map(event => this.normalizeEvent(event));
+
+            const duration = timer();
+
+            logger.success('Retrieved Microsoft events', {
+                accountType,
+                calendarId,
+                eventCount: events.length,
+                duration
+            });
+
+            return events;
+
+        } catch (error) {
+            timer();
+            logger.error('Failed to get Microsoft events', {
+                accountType,
+                calendarId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get provider capabilities
+     */
+    getCapabilities() {
+        return {
+            supportsMultipleAccounts: true,
+            supportsSharedCalendars: true,
+            supportsEventCreation: false, // Read-only for now (Calendars.Read scope)
+            supportsEventModification: false,
+            supportsEventDeletion: false,
+            maxAccountsSupported: 5,
+            requiredScopes: ['offline_access', 'User.Read', 'Calendars.Read']
+        };
+    }
+
+    /**
+     * Convert a Graph calendar to the Google calendarList shape
+     * @param {object} rawCalendar - Graph calendar resource
+     * @param {string} accountType - Account identifier
+     * @returns {object} Calendar object
+     */
+    normalizeCalendar(rawCalendar, accountType) {
+        const hexColor = /^#[0-9a-f]{6}$/i.test(rawCalendar.hexColor || '') ? rawCalendar.hexColor : null;
+
+        return {
+            id: rawCalendar.isDefaultCalendar ? DEFAULT_CALENDAR_ID : rawCalendar.id,
+            summary: rawCalendar.name || 'Untitled Calendar',
+            description: '',
+            backgroundColor: hexColor || GRAPH_COLORS[rawCalendar.color] || GRAPH_COLORS.auto,
+            foregroundColor: '#ffffff',
+            accessRole: 'reader',
+            selected: true,
+            primary: !!rawCalendar.isDefaultCalendar,
+            accountType: accountType,
+            provider: this.providerName
+        };
+    }
+
+    /**
+     * Convert a Graph event to the Google Calendar API event shape
+     * Times are requested in UTC (Prefer header) and returned as local-offset strings
+     * @param {object} rawEvent - Graph event resource
+     * @returns {object} Google-shaped event
+     */
+    normalizeEvent(rawEvent) {
+        const event = {
+            id: rawEvent.id,
+            iCalUID: rawEvent.iCalUId,
+            summary: rawEvent.subject || '(No title)',
+            description: rawEvent.bodyPreview || '',
+            location: rawEvent.location?.displayName || '',
+            start: this.toGoogleTime(rawEvent.start, rawEvent.isAllDay),
+            end: this.toGoogleTime(rawEvent.end, rawEvent.isAllDay),
+            status: 'confirmed',
+            transparency: rawEvent.showAs === 'free' ? 'transparent' : 'opaque',
+            visibility: ['private', 'confidential'].includes(rawEvent.sensitivity) ? 'private' : 'default',
+            htmlLink: rawEvent.webLink || null,
+            created: rawEvent.createdDateTime,
+            updated: rawEvent.lastModifiedDateTime,
+            organizer: rawEvent.organizer?.emailAddress
+                ? {
+                    email: rawEvent.organizer.emailAddress.address,
+                    displayName: rawEvent.organizer.emailAddress.name
+                }
+                : null,
+            attendees: (rawEvent.attendees || []).map(attendee => ({
+                email: attendee.emailAddress?.address,
+                displayName: attendee.emailAddress?.name,
+                responseStatus: this.toGoogleResponseStatus(attendee.status?.response)
+            }))
+        };
+
+        // Occurrences and exceptions of a series
+        if (rawEvent.seriesMasterId) {
+            event.recurringEventId = rawEvent.seriesMasterId;
+            if (rawEvent.originalStart) {
+                event.originalStartTime = rawEvent.isAllDay
+                    ? { date: rawEvent.originalStart.substring(0, 10) }
+                    : { dateTime: this.formatDateTime(Date.parse(rawEvent.originalStart)) };
+            }
+        }
+
+        return event;
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * GET a Graph collection, following @odata.nextLink
+     * @private
+     */
+    async getAllPages(accountType, url) {
+        const items = [];
+        let nextUrl = url;
+
+        for (let page = 0; nextUrl && page < MAX_PAGES; page++) {
+            const data = await this.graphRequest(accountType, nextUrl);
+            items.push(...(data.value || []));
+            nextUrl = data['@odata.nextLink'] || null;
+        }
+
+        if (nextUrl) {
+            logger.warn('Stopped paging Microsoft results', { accountType, items: items.length });
+        }
+
+        return items;
+    }
+
+    /**
+     * Authenticated Graph GET (one retry with a re-fetched token after 401)
+     * @private
+     */
+    async graphRequest(accountType, url, isRetryAfter401 = false) {
+        const accessToken = await this.getAccessToken(accountType, isRetryAfter401);
+
+        const response = await fetch(url, {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Prefer': 'outlook.timezone="UTC"'
+            }
+        });
+
+        if (response.status === 401 && !isRetryAfter401) {
+            logger.warn('Graph returned 401, retrying with a re-fetched token', { accountType });
+            return this.graphRequest(accountType, url, true);
+        }
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(`Microsoft Graph error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Graph {dateTime, timeZone: 'UTC'} → Google {date} or {dateTime}
+     * All-day events keep their calendar date (Graph end dates are already exclusive)
+     * @private
+     */
+    toGoogleTime(graphTime, isAllDay) {
+        if (!graphTime?.dateTime) {
+            return null;
+        }
+
+        if (isAllDay) {
+            return { date: graphTime.dateTime.substring(0, 10) };
+        }
+
+        // Graph returns 7 fractional digits and no zone designator
+        const instant = Date.parse(`${graphTime.dateTime.substring(0, 19)}Z`);
+        return { dateTime: this.formatDateTime(instant) };
+    }
+
+    /**
+     * Format a timestamp as a local ISO string with offset (like the Google API)
+     * @private
+     */
+    formatDateTime(instant) {
+        const date = new Date(instant);
+        const pad = (value) => String(value).padStart(2, '0');
+        const offsetMinutes = -date.getTimezoneOffset();
+        const sign = offsetMinutes >= 0 ? '+' : '-';
+        const absOffset = Math.abs(offsetMinutes);
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+    }
+
+    /**
+     * Graph attendee response → Google responseStatus
+     * @private
+     */
+    toGoogleResponseStatus(response) {
+        switch (response) {
+            case 'accepted':
+            case 'organizer':
+                return 'accepted';
+            case 'declined':
+                return 'declined';
+            case 'tentativelyAccepted':
+                return 'tentative';
+            default:
+                return 'needsAction';
+        }
+    }
+}
@@ -614,17 +614,20 @@ export class EdgeClient {
     /**
      * Save calendar configuration to user_calendar_config table
      * @param {Array<string>} activeCalendarIds - Array of active calendar IDs (account-prefixed)
+     * @param {Array<object>} [icsFeeds] - Subscribed ICS feeds (left unchanged when omitted)
      * @returns {Promise<object>} Save result
      */
-    async saveCalendarConfig(activeCalendarIds) {
+    async saveCalendarConfig(activeCalendarIds, icsFeeds) {
         logger.verbose('🔍 DEBUG: Saving calendar config to user_calendar_config table', {
             count: activeCalendarIds.length,
-            ids: activeCalendarIds
+            ids: activeCalendarIds,
+            icsFeeds: icsFeeds?.length
         });
 
         const response = await this.databaseRequest({
             operation: 'save_calendar_config',
-            active_calendar_ids: activeCalendarIds
+            active_calendar_ids: activeCalendarIds,
+            ...(icsFeeds ? { ics_feeds: icsFeeds } : {})
         });
 
         logger.verbose('🔍 DEBUG: Successfully saved calendar config, response:', response);
@@ -649,4 +652,263 @@ export class EdgeClient {
 
         return response.active_calendar_ids || [];
     }
+
+    /**
+     * Load subscribed ICS feeds from user_calendar_config table
+     * @returns {Promise<Array<object>>} Feeds [{id, url, name, color, created_at}]
+     */
+    async loadIcsFeeds() {
+        logger.debug('Loading ICS feeds from user_calendar_config table');
+
+        const response = await this.databaseRequest({
+            operation: 'load_calendar_config'
+        });
+
+        return response.ics_feeds || [];
+    }
+
+    /**
+     * Download an ICS feed through the database-operations proxy
+     * (feed hosts rarely send CORS headers, so the browser can't fetch them directly)
+     * @param {string} url - Feed URL (http/https)
+     * @returns {Promise<string>} Raw iCalendar text
+     */
+    async fetchIcsFeed(url) {
+        logger.debug('Fetching ICS feed via proxy', { url });
+
+        const response = await this.databaseRequest({
+            operation: 'fetch_ics_feed',
+            url
+        });
+
+        return response.ics || '';
+    }
+
+    /**
+     * Download a photo media feed (RSS/Atom/JSON/URL list) through the database-operations proxy
+     * @param {string} url - Feed URL (http/https)
+     * @returns {Promise<{body: string, contentType: string}>} Raw feed text
+     */
+    async fetchMediaFeed(url) {
+        logger.debug('Fetching media feed via proxy', { url });
+
+        const response = await this.databaseRequest({
+            operation: 'fetch_media_feed',
+            url
+        });
+
+        return {
+            body: response.body || '',
+            contentType: response.content_type || ''
+        };
+    }
+
+    /**
+     * Send a WebDAV request to a connected CalDAV account through the database-operations proxy
+     * The proxy attaches the stored credentials (the app password never reaches the browser)
+     * @param {string} accountType - CalDAV account type (e.g., 'caldav', 'caldav2')
+     * @param {object} request - {method: 'PROPFIND'|'REPORT', url, depth, body}
+     *                           (url may be relative to the account's server URL)
+     * @returns {Promise<{status: number, url: string, body: string}>} Server response
+     */
+    async caldavRequest(accountType, request) {
+        logger.debug('CalDAV request via proxy', { accountType, method: request.method, depth: request.depth });
+
+        const response = await this.databaseRequest({
+            operation: 'caldav_request',
+            account_type: accountType,
+            data: request
+        });
+
+        return {
+            status: response.status,
+            url: response.url,
+            body: response.body || ''
+        };
+    }
+
+    /**
+     * List the account's dashboards with online status
+     * @param {string} deviceFingerprint - This device's fingerprint (marks its entry is_current)
+     * @returns {Promise<Array<object>>} [{id, dashboard_name, device_type, is_online, last_heartbeat_at, current_version, is_current}]
+     */
+    async listDashboards(deviceFingerprint) {
+        logger.debug('Listing dashboards');
+
+        const response = await this.databaseRequest({
+            operation: 'list_dashboards',
+            data: { device_fingerprint: deviceFingerprint }
+        });
+
+        return response.dashboards || [];
+    }
+
+    /**
+     * Forget a dashboard (it reappears if that device sends another heartbeat)
+     * @param {string} dashboardId - dashboard_heartbeats id
+     * @returns {Promise<void>}
+     */
+    async removeDashboard(dashboardId) {
+        logger.debug('Removing dashboard', { dashboardId });
+
+        await this.databaseRequest({
+            operation: 'remove_dashboard',
+            data: { dashboard_id: dashboardId }
+        });
+    }
+
+    /**
+     * Save the settings a dashboard keeps for itself (returned by its heartbeats)
+     * @param {string} dashboardId - dashboard_heartbeats id
+     * @param {object} overrides - {group: {settings path: value}}
+     * @returns {Promise<void>}
+     */
+    async saveDeviceOverrides(dashboardId, overrides) {
+        logger.debug('Saving device overrides', { dashboardId, groups: Object.keys(overrides) });
+
+        await this.databaseRequest({
+            operation: 'save_device_overrides',
+            data: { dashboard_id: dashboardId, overrides }
+        });
+    }
+
+    /**
+     * List active message board notes (newest first)
+     * @returns {Promise<Array<object>>} [{id, text, priority, author_name, expires_at, created_at}]
+     */
+    async listMessages() {
+        logger.debug('Listing messages');
+
+        const response = await this.databaseRequest({
+            operation: 'list_messages'
+        });
+
+        return response.messages || [];
+    }
+
+    /**
+     * Post a message board note
+     * @param {object} message - {text, priority, author_name, expires_in_minutes}
+     * @returns {Promise<object>} Posted note
+     */
+    async postMessage(message) {
+        logger.debug('Posting message', { priority: message.priority });
+
+        const response = await this.databaseRequest({
+            operation: 'post_message',
+            data: message
+        });
+
+        return response.message;
+    }
+
+    /**
+     * Dismiss a message board note on every dashboard
+     * @param {string} messageId - family_messages id
+     * @returns {Promise<void>}
+     */
+    async dismissMessage(messageId) {
+        logger.debug('Dismissing message', { messageId });
+
+        await this.databaseRequest({
+            operation: 'dismiss_message',
+            data: { message_id: messageId }
+        });
+    }
+
+    /**
+     * Load the user's household
+     * @returns {Promise<object>} {household, role, members, invitations, my_invitations}
+     *   (household and role are null without a household; invitations is only filled for the owner)
+     */
+    async getHousehold() {
+        logger.debug('Loading household');
+
+        const response = await this.databaseRequest({
+            operation: 'get_household'
+        });
+
+        return {
+            household: response.household || null,
+            role: response.role || null,
+            members: response.members || [],
+            invitations: response.invitations || [],
+            my_invitations: response.my_invitations || []
+        };
+    }
+
+    /**
+     * Invite someone to the household (creates the household on the first invitation)
+     * @param {object} invitation - {email, role: 'adult'|'viewer', inviter_name, household_name}
+     * @returns {Promise<object>} Created invitation
+     */
+    async inviteHouseholdMember(invitation) {
+        logger.debug('Inviting household member', { role: invitation.role });
+
+        const response = await this.databaseRequest({
+            operation: 'invite_household_member',
+            data: invitation
+        });
+
+        return response.invitation;
+    }
+
+    /**
+     * Accept or decline a household invitation addressed to the user
+     * @param {string} invitationId - household_invitations id
+     * @param {boolean} accept - true to join
+     * @param {string} [displayName] - Name shown to the other members
+     * @returns {Promise<object>} {accepted, household_id, role}
+     */
+    async respondHouseholdInvitation(invitationId, accept, displayName = null) {
+        logger.debug('Responding to household invitation', { invitationId, accept });
+
+        return this.databaseRequest({
+            operation: 'respond_household_invitation',
+            data: { invitation_id: invitationId, accept, display_name: displayName }
+        });
+    }
+
+    /**
+     * Withdraw a pending household invitation (owner)
+     * @param {string} invitationId - household_invitations id
+     * @returns {Promise<void>}
+     */
+    async revokeHouseholdInvitation(invitationId) {
+        logger.debug('Revoking household invitation', { invitationId });
+
+        await this.databaseRequest({
+            operation: 'revoke_household_invitation',
+            data: { invitation_id: invitationId }
+        });
+    }
+
+    /**
+     * Change a household member's role (owner)
+     * @param {string} authUserId - Member's user id
+     * @param {string} role - 'adult' or 'viewer'
+     * @returns {Promise<void>}
+     */
+    async updateHouseholdMember(authUserId, role) {
+        logger.debug('Updating household member', { authUserId, role });
+
+        await this.databaseRequest({
+            operation: 'update_household_member',
+            data: { auth_user_id: authUserId, role }
+        });
+    }
+
+    /**
+     * Remove a household member (owner), or leave the household when no id is given
+     * @param {string|null} [authUserId] - Member's user id
+     * @returns {Promise<object>} {removed, household_deleted}
+     */
+    async removeHouseholdMember(authUserId = null) {
+        logger.debug('Removing household member', { authUserId });
+
+        return this.databaseRequest({
+            operation: 'remove_household_member',
+            data: authUserId ? { auth_user_id: authUserId } : {}
+        });
+    }
 }
@@ -23,7 +23,14 @@ export class DeviceFlowProvider {
     this.config = {
       client_id: GOOGLE_DEVICE_CLIENT_ID,
       device_code_endpoint: 'https://oauth2.googleapis.com/device/code',
-      scope: 'openid email profile https://www.googleapis.com/auth/calendar.readonly'
+      scope: 'openid email profile https://www.googleapis.com/auth/calendar.readonly https://www.googleapis.com/auth/calendar.events'
+    };
+
+    // Overlay text (other device-code providers override this)
+    this.display = {
+      title: 'Sign in to Dashie with Google',
+      verificationHost: 'google.com/device',
+      defaultVerificationUrl: 'https://www.google.com/device'
     };
 
     this.isInitialized = false;
@@ -152,21 +159,21 @@ export class DeviceFlowProvider {
     const overlay = document.createElement('div');
     overlay.id = 'device-flow-overlay';
 
-    const verificationUrl = deviceData.verification_uri || 'https://www.google.com/device';
+    const verificationUrl = deviceData.verification_uri || this.display.defaultVerificationUrl;
     const userCode = deviceData.user_code;
 
     overlay.innerHTML = `
       <div class="device-flow-modal">
         <div class="logo-section">
           <img src="./artwork/Dashie_Full_Logo_Orange_Transparent.png" alt="Dashie" class="dashie-logo-signin">
-          <h2>Sign in to Dashie with Google</h2>
+          <h2>${this.display.title}</h2>
         </div>
 
         <div class="qr-wrapper">
           <div id="qr-code-container">
             <div class="qr-inner-wrapper"></div>
           </div>
-          <p class="qr-instruction">Scan QR code or go to <strong>google.com/device</strong></p>
+          <p class="qr-instruction">Scan QR code or go to <strong>${this.display.verificationHost}</strong></p>
         </div>
 
         <div class="code-entry">
@@ -0,0 +1,138 @@
+// js/data/auth/providers/microsoft-device-flow.js
+// Device Flow OAuth for Microsoft 365 / Outlook calendars (TV boxes without a keyboard)
+// Reuses the DeviceFlowProvider overlay; Microsoft endpoints are reached through jwt-auth
+
+import { createLogger } from '../../../utils/logger.js';
+import { DeviceFlowProvider } from './device-flow.js';
+
+const logger = createLogger('MicrosoftDeviceFlow');
+
+const GRAPH_ME_URL = 'https://graph.microsoft.com/v1.0/me?$select=id,displayName,mail,userPrincipalName';
+
+/**
+ * Microsoft identity platform device code flow
+ *
+ * Same UI and polling loop as DeviceFlowProvider (QR code + user code, Cancel button).
+ * The device code request and token polling go through the jwt-auth edge function
+ * ('microsoft_device_code' / 'microsoft_poll_device_code') because
+ * login.microsoftonline.com doesn't allow these calls from a browser origin.
+ *
+ * signIn() resolves with { success, user: {id, name, email}, tokens, refreshToken, expiresIn }
+ */
+export class MicrosoftDeviceFlowProvider extends DeviceFlowProvider {
+  constructor(edgeClient) {
+    super();
+
+    if (!edgeClient) {
+      throw new Error('EdgeClient is required for MicrosoftDeviceFlowProvider');
+    }
+
+    this.edgeClient = edgeClient;
+
+    this.config = {
+      scope: 'offline_access User.Read Calendars.Read'
+    };
+
+    this.display = {
+      title: 'Connect Microsoft Outlook',
+      verificationHost: 'microsoft.com/devicelogin',
+      defaultVerificationUrl: 'https://microsoft.com/devicelogin'
+    };
+  }
+
+  /**
+   * Get device code and user code from Microsoft (via jwt-auth)
+   * @returns {Promise<Object>} Device code response {device_code, user_code, verification_uri, expires_in, interval}
+   */
+  async getDeviceCode() {
+    logger.debug('Requesting Microsoft device code');
+
+    const response = await this.edgeClient.request({
+      operation: 'microsoft_device_code',
+      data: { scope: this.config.scope }
+    });
+
+    logger.success('Microsoft device code received', {
+      userCode: response.user_code,
+      verificationUri: response.verification_uri,
+      expiresIn: response.expires_in
+    });
+
+    return response;
+  }
+
+  /**
+   * Poll Microsoft for tokens (via jwt-auth)
+   * @param {string} deviceCode - Device code
+   * @returns {Promise<Object>} Token request result
+   */
+  async requestTokens(deviceCode) {
+    const data = await this.edgeClient.request({
+      operation: 'microsoft_poll_device_code',
+      data: { device_code: deviceCode }
+    });
+
+    if (data.tokens) {
+      logger.success('Microsoft device flow tokens received', {
+        hasAccessToken: !!data.tokens.access_token,
+        hasRefreshToken: !!data.tokens.refresh_token
+      });
+      return { success: true, tokens: data.tokens };
+    }
+
+    if (data.status === 'authorization_pending') {
+      return { success: false, pending: true };
+    }
+    if (data.status === 'slow_down') {
+      return { success: false, slowDown: true };
+    }
+
+    return {
+      success: false,
+      error: data.status,
+      error_description: data.error_description
+    };
+  }
+
+  /**
+   * Fetch the signed-in user's profile from Microsoft Graph
+   * @param {string} accessToken - Access token
+   * @returns {Promise<Object>} User information {id, name, email}
+   */
+  async fetchUserInfo(accessToken) {
+    const response = await fetch(GRAPH_ME_URL, {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Microsoft profile: ${response.status}`);
+    }
+
+    const profile = await response.json();
+
+    logger.success('Microsoft profile retrieved', {
+      userEmail: profile.mail || profile.userPrincipalName
+    });
+
+    return {
+      id: profile.id,
+      name: profile.displayName,
+      email: profile.mail || profile.userPrincipalName,
+      picture: null
+    };
+  }
+
+  /**
+   * Get provider information
+   * @returns {Object}
+   */
+  getProviderInfo() {
+    return {
+      name: 'microsoft_device_flow',
+      type: 'oauth2_device',
+      supportsRefreshTokens: true,
+      isInitialized: this.isInitialized,
+      hasTokens: !!this.currentTokens
+    };
+  }
+}
@@ -20,7 +20,7 @@ export class WebOAuthProvider {
   constructor() {
     this.config = {
       client_id: GOOGLE_CLIENT_ID,
-      scope: 'profile email https://www.googleapis.com/auth/calendar.readonly',
+      scope: 'profile email https://www.googleapis.com/auth/calendar.readonly https://www.googleapis.com/auth/calendar.events',
       redirect_uri: window.location.origin + window.location.pathname,
       response_type: 'code', // Using code flow for refresh tokens
       access_type: 'offline', // Required for refresh tokens
@@ -423,6 +423,17 @@ export class TokenStore {
         return !!(this.tokens[provider] && this.tokens[provider][accountType]);
     }
 
+    /**
+     * OAuth scopes granted to an account
+     * @param {string} provider - Provider name
+     * @param {string} accountType - Account identifier
+     * @returns {Array|null} Granted scopes, or null if unknown (no account or none recorded)
+     */
+    getAccountScopes(provider, accountType) {
+        const scopes = this.tokens?.[provider]?.[accountType]?.scopes;
+        return Array.isArray(scopes) && scopes.length > 0 ? scopes : null;
+    }
+
     /**
      * List all accounts across all providers
      * @returns {Array} Array of { provider, accountType, email, isActive }
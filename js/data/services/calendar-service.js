@@ -7,9 +7,17 @@ import { GoogleAPIClient } from './google/google-api-client.js';
 import { CalendarFetcher } from './calendar-services/calendar-fetcher.js';
 import { EventProcessor } from './calendar-services/event-processor.js';
 import { CalendarRefreshManager } from './calendar-services/calendar-refresh-manager.js';
+import { CalendarSyncManager } from './calendar-services/calendar-sync-manager.js';
+import { IcsFeedManager, ICS_ACCOUNT_TYPE } from './calendar-services/ics-feed-manager.js';
+import { CalDAVCalendarAuth, isCalDAVAccountType } from '../auth/calendar-auth/caldav-calendar-auth.js';
+import { MicrosoftCalendarAuth, isMicrosoftAccountType } from '../auth/calendar-auth/microsoft-calendar-auth.js';
 
 const logger = createLogger('CalendarService');
 
+// Needed for event writes - accounts signed in before it was requested only
+// have calendar.readonly
+export const CALENDAR_WRITE_SCOPE = 'https://www.googleapis.com/auth/calendar.events';
+
 /**
  * CalendarService - High-level calendar operations orchestrator
  *
@@ -17,12 +25,19 @@ const logger = createLogger('CalendarService');
  * - Delegates fetching to CalendarFetcher
  * - Delegates transformation to EventProcessor
  * - Delegates refresh to CalendarRefreshManager
+ * - Delegates incremental (sync token) updates to CalendarSyncManager
+ * - Delegates subscribed ICS feeds to IcsFeedManager
+ * - Delegates CalDAV accounts (iCloud, Fastmail, Nextcloud) to CalDAVCalendarAuth
+ * - Delegates Microsoft 365 / Outlook accounts to MicrosoftCalendarAuth
  * - Provides simple public API for application use
  *
  * Features:
  * - Automatic token refresh via EdgeClient
  * - Multi-account support (primary, account2, etc.)
  * - Account-prefixed calendar IDs for unique identification
+ * - Read-only ICS/iCal feed subscriptions (account type 'ics')
+ * - Read-only CalDAV accounts (account types 'caldav', 'caldav2', ...)
+ * - Read-only Microsoft accounts (account types 'microsoft', 'microsoft2', ...)
  * - Caching (managed by caller)
  * - Error handling and retry logic
  */
@@ -39,6 +54,16 @@ export class CalendarService {
         this.fetcher = new CalendarFetcher(this);
         this.processor = new EventProcessor();
         this.refreshManager = new CalendarRefreshManager(this);
+        this.syncManager = new CalendarSyncManager(this);
+        this.icsFeeds = new IcsFeedManager(this);
+        this.caldav = new CalDAVCalendarAuth(null, edgeClient); // Token store attached in initialize()
+        this.microsoft = new MicrosoftCalendarAuth(null, edgeClient);
+
+        // Last calendar list per account (colors/names for events written locally)
+        this.calendarListCache = new Map(); // accountType → calendars
+
+        // Accounts whose token was refused a write for missing calendar.events
+        this.writeScopeMissing = new Set();
 
         // Active calendar management
         this.activeCalendarIds = []; // Account-prefixed IDs (e.g., 'primary-user@gmail.com')
@@ -55,15 +80,31 @@ export class CalendarService {
      * Load all calendar data (main entry point for application)
      * Fetches calendars and events, processes them, returns ready-to-display data
      *
-     * @param {object} options - Options {forceRefresh, timeRange}
-     * @returns {Promise<{calendars: Array, events: Array}>}
+     * When previousData (the caller's cached result) is passed, only changed events
+     * are downloaded using each calendar's sync token. A full fetch is used when
+     * forceRefresh is set or the tokens can't be used (expired, new calendar, new window).
+     *
+     * @param {object} options - Options {forceRefresh, timeRange, previousData}
+     * @returns {Promise<{calendars: Array, events: Array, syncState: object|null}>}
      */
     async loadData(options = {}) {
-        const { forceRefresh = false, timeRange = {} } = options;
+        const { forceRefresh = false, timeRange = {}, previousData = null } = options;
 
         try {
             logger.debug('Loading calendar data', { forceRefresh, activeCalendars: this.activeCalendarIds.length });
 
+            // Fast path: apply deltas to previously loaded data
+            if (previousData && !forceRefresh) {
+                const synced = await this.syncManager.syncIncremental(this.activeCalendarIds, previousData);
+                if (synced) {
+                    // Changed instances were processed alone - re-derive series info over the full set
+                    return {
+                        ...synced,
+                        events: this.processor.annotateRecurringSeries(synced.events)
+                    };
+                }
+            }
+
             // Set default time range (next 30 days)
             const finalTimeRange = {
                 timeMin: timeRange.timeMin || new Date().toISOString(),
@@ -80,10 +121,11 @@ export class CalendarService {
             // Step 2: Transform events (delegated to EventProcessor)
             const processedEvents = this.processor.transformEvents(rawData.events);
 
-            // Step 3: Return ready-to-display data
+            // Step 3: Return ready-to-display data (sync tokens let the next load fetch deltas)
             const result = {
                 calendars: rawData.calendars,
-                events: processedEvents
+                events: processedEvents,
+                syncState: rawData.syncState || null
             };
 
             logger.success('Calendar data loaded and processed', {
@@ -97,7 +139,8 @@ export class CalendarService {
             logger.error('Failed to load calendar data', error);
             return {
                 calendars: [],
-                events: []
+                events: [],
+                syncState: null
             };
         }
     }
@@ -113,6 +156,19 @@ export class CalendarService {
     async initialize() {
         logger.debug('Initializing CalendarService with calendar config');
 
+        // Subscribed ICS feeds (handles its own localStorage fallback)
+        await this.icsFeeds.load();
+
+        // CalDAV and Microsoft accounts are listed in the same token store as Google accounts
+        for (const provider of [this.caldav, this.microsoft]) {
+            try {
+                provider.tokenStore = window.sessionManager?.getTokenStore() || null;
+                await provider.initialize();
+            } catch (error) {
+                logger.warn(`Failed to initialize ${provider.providerName} accounts`, error);
+            }
+        }
+
         try {
             // Try to load from database first
             this.activeCalendarIds = await this.edgeClient.loadCalendarConfig();
@@ -177,8 +233,18 @@ export class CalendarService {
     async getCalendars(accountType = 'primary') {
         logger.debug('Fetching calendars', { accountType });
 
+        // ICS feeds act as calendars of a pseudo-account
+        if (accountType === ICS_ACCOUNT_TYPE) {
+            const feedCalendars = this.icsFeeds.getFeedCalendars();
+            this.calendarListCache.set(accountType, feedCalendars);
+            return feedCalendars;
+        }
+
         try {
-            const rawCalendars = await this.googleClient.getCalendarList(accountType);
+            const provider = this.getAccountProvider(accountType);
+            const rawCalendars = provider
+                ? await provider.getCalendarList(accountType)
+                : await this.googleClient.getCalendarList(accountType);
 
             // Add prefixed IDs and metadata to each calendar
             const calendarsWithPrefix = rawCalendars.map(cal => ({
@@ -189,6 +255,8 @@ export class CalendarService {
                 isActive: this.isCalendarActive(accountType, cal.id)
             }));
 
+            this.calendarListCache.set(accountType, calendarsWithPrefix);
+
             logger.verbose('Calendars fetched successfully', {
                 accountType,
                 count: calendarsWithPrefix.length
@@ -215,6 +283,16 @@ export class CalendarService {
     async getEvents(accountType = 'primary', calendarId = 'primary', timeRange = {}) {
         logger.debug('Fetching events', { accountType, calendarId });
 
+        if (accountType === ICS_ACCOUNT_TYPE) {
+            const { events } = await this.getFeedEvents(calendarId, timeRange);
+            return events;
+        }
+
+        if (this.getAccountProvider(accountType)) {
+            const { events } = await this.getProviderEvents(accountType, calendarId, timeRange);
+            return events;
+        }
+
         try {
             const events = await this.googleClient.getCalendarEvents(
                 calendarId,
@@ -243,6 +321,129 @@ export class CalendarService {
         }
     }
 
+    /**
+     * Get events for a calendar along with a sync token for later incremental loads
+     * @param {string} accountType - Account type
+     * @param {string} calendarId - Calendar ID
+     * @param {object} timeRange - Optional time range
+     * @returns {Promise<{events: Array, nextSyncToken: string|null, timeWindow: {timeMin: string, timeMax: string}}>}
+     */
+    async getEventsWithSyncToken(accountType = 'primary', calendarId = 'primary', timeRange = {}) {
+        logger.debug('Fetching events with sync token', { accountType, calendarId });
+
+        // Feeds have no sync tokens - CalendarSyncManager re-downloads them
+        if (accountType === ICS_ACCOUNT_TYPE) {
+            return this.getFeedEvents(calendarId, timeRange);
+        }
+
+        // Neither do CalDAV (ctag/sync-collection support varies by server) or
+        // Microsoft accounts (calendarView delta queries can't change the window)
+        if (this.getAccountProvider(accountType)) {
+            return this.getProviderEvents(accountType, calendarId, timeRange);
+        }
+
+        try {
+            const { events, nextSyncToken, timeMin, timeMax } = await this.googleClient.listEvents(
+                calendarId,
+                { timeRange },
+                accountType
+            );
+
+            // Normalize all-day events (delegated to EventProcessor)
+            const normalizedEvents = this.processor.cleanEventData(events);
+
+            return {
+                events: normalizedEvents,
+                nextSyncToken,
+                timeWindow: {
+                    timeMin: timeMin.toISOString(),
+                    timeMax: timeMax.toISOString()
+                }
+            };
+
+        } catch (error) {
+            logger.error('Failed to fetch events', {
+                accountType,
+                calendarId,
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get events from a subscribed ICS feed
+     * Uses the same time window as Google calendars
+     * @param {string} feedId - Feed ID (unprefixed)
+     * @param {object} timeRange - Optional time range
+     * @returns {Promise<{events: Array, nextSyncToken: null, timeWindow: {timeMin: string, timeMax: string}}>}
+     */
+    async getFeedEvents(feedId, timeRange = {}) {
+        const { timeMin, timeMax } = this.googleClient.getEventTimeWindow(timeRange);
+
+        const events = await this.icsFeeds.fetchFeedEvents(feedId, { start: timeMin, end: timeMax });
+
+        return {
+            // Normalize all-day events (delegated to EventProcessor)
+            events: this.processor.cleanEventData(events),
+            nextSyncToken: null,
+            timeWindow: {
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString()
+            }
+        };
+    }
+
+    /**
+     * Get the calendar-auth provider for a non-Google account
+     * @param {string} accountType - Account type
+     * @returns {CalDAVCalendarAuth|MicrosoftCalendarAuth|null} Provider, or null for Google accounts and feeds
+     */
+    getAccountProvider(accountType) {
+        if (isCalDAVAccountType(accountType)) {
+            return this.caldav;
+        }
+        if (isMicrosoftAccountType(accountType)) {
+            return this.microsoft;
+        }
+        return null;
+    }
+
+    /**
+     * Get events from a CalDAV or Microsoft calendar
+     * Uses the same time window as Google calendars
+     * @param {string} accountType - CalDAV or Microsoft account type
+     * @param {string} calendarId - Calendar ID (CalDAV collection URL or Graph calendar ID)
+     * @param {object} timeRange - Optional time range
+     * @returns {Promise<{events: Array, nextSyncToken: null, timeWindow: {timeMin: string, timeMax: string}}>}
+     */
+    async getProviderEvents(accountType, calendarId, timeRange = {}) {
+        const { timeMin, timeMax } = this.googleClient.getEventTimeWindow(timeRange);
+
+        const provider = this.getAccountProvider(accountType);
+        const events = await provider.getCalendarEvents(calendarId, { start: timeMin, end: timeMax }, accountType);
+
+        return {
+            // Normalize all-day events (delegated to EventProcessor)
+            events: this.processor.cleanEventData(events),
+            nextSyncToken: null,
+            timeWindow: {
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString()
+            }
+        };
+    }
+
+    /**
+     * Check if a calendar's account supports Google sync tokens
+     * ICS feeds, CalDAV and Microsoft calendars are re-downloaded on every refresh instead
+     * @param {string} accountType - Account type
+     * @returns {boolean}
+     */
+    hasSyncTokens(accountType) {
+        return accountType !== ICS_ACCOUNT_TYPE && !this.getAccountProvider(accountType);
+    }
+
     /**
      * Get all events from all active calendars
      * @param {object} timeRange - Time range options
@@ -276,6 +477,162 @@ export class CalendarService {
         return allEvents;
     }
 
+    // =========================================================================
+    // EVENT WRITES (create / update / delete)
+    // =========================================================================
+
+    /**
+     * Create an event on a calendar
+     * The returned event is processed exactly like fetched events, and the
+     * widget data cache is patched so widgets update without a full refresh.
+     *
+     * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+     * @param {object} eventData - Google event resource (summary, start, end, location...)
+     * @returns {Promise<object>} Processed event ready for display
+     */
+    async createEvent(prefixedCalendarId, eventData) {
+        const { accountType, calendarId } = this.parsePrefixedId(prefixedCalendarId);
+
+        logger.info('Creating event', { prefixedCalendarId, summary: eventData.summary });
+
+        const rawEvent = await this.runWrite(accountType,
+            () => this.googleClient.insertEvent(calendarId, eventData, accountType));
+        const [event] = await this.prepareEvents([rawEvent], prefixedCalendarId);
+
+        await this.notifyEventChange({ action: 'created', event, prefixedCalendarId });
+        return event;
+    }
+
+    /**
+     * Update an existing event (only the supplied fields change)
+     *
+     * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+     * @param {string} eventId - Google event ID
+     * @param {object} changes - Partial Google event resource
+     * @returns {Promise<object>} Processed event ready for display
+     */
+    async updateEvent(prefixedCalendarId, eventId, changes) {
+        const { accountType, calendarId } = this.parsePrefixedId(prefixedCalendarId);
+
+        logger.info('Updating event', { prefixedCalendarId, eventId });
+
+        const rawEvent = await this.runWrite(accountType,
+            () => this.googleClient.patchEvent(calendarId, eventId, changes, accountType));
+        const [event] = await this.prepareEvents([rawEvent], prefixedCalendarId);
+
+        await this.notifyEventChange({ action: 'updated', event, eventId, prefixedCalendarId });
+        return event;
+    }
+
+    /**
+     * Delete an event
+     *
+     * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+     * @param {string} eventId - Google event ID
+     * @returns {Promise<void>}
+     */
+    async deleteEvent(prefixedCalendarId, eventId) {
+        const { accountType, calendarId } = this.parsePrefixedId(prefixedCalendarId);
+
+        logger.info('Deleting event', { prefixedCalendarId, eventId });
+
+        await this.runWrite(accountType,
+            () => this.googleClient.deleteEvent(calendarId, eventId, accountType));
+
+        await this.notifyEventChange({ action: 'deleted', eventId, prefixedCalendarId });
+    }
+
+    /**
+     * Whether an account's token may write events (has calendar.events)
+     * Accounts without recorded scopes count as allowed until Google refuses a write.
+     * @param {string} accountType - Account type (e.g., 'primary')
+     * @returns {boolean}
+     */
+    hasWriteScope(accountType) {
+        const scopes = window.sessionManager?.getTokenStore()?.getAccountScopes('google', accountType);
+        if (scopes) {
+            return scopes.includes(CALENDAR_WRITE_SCOPE);
+        }
+
+        return !this.writeScopeMissing.has(accountType);
+    }
+
+    /**
+     * Run a write for an account, failing with code 'CALENDAR_SCOPE_REQUIRED'
+     * when the account has to sign in again to grant calendar.events
+     * @private
+     */
+    async runWrite(accountType, write) {
+        if (!this.hasWriteScope(accountType)) {
+            throw this.createScopeError(accountType);
+        }
+
+        try {
+            return await write();
+        } catch (error) {
+            // Google: 403 "Request had insufficient authentication scopes"
+            if (error.status === 403 && /insufficient.*scopes|ACCESS_TOKEN_SCOPE_INSUFFICIENT/i.test(error.message)) {
+                logger.warn('Account is missing the calendar.events scope', { accountType });
+                this.writeScopeMissing.add(accountType);
+                throw this.createScopeError(accountType);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     */
+    createScopeError(accountType) {
+        const error = new Error(`Calendar editing not allowed for ${accountType} - sign in again to grant access`);
+        error.code = 'CALENDAR_SCOPE_REQUIRED';
+        error.accountType = accountType;
+        return error;
+    }
+
+    /**
+     * Run raw events from one calendar (write results, sync deltas) through the
+     * same pipeline as fetched events (all-day normalization, calendar metadata, display fields)
+     * @param {Array} rawEvents - Raw Google events
+     * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+     * @returns {Promise<Array>} Processed events
+     */
+    async prepareEvents(rawEvents, prefixedCalendarId) {
+        const { accountType, calendarId } = this.parsePrefixedId(prefixedCalendarId);
+
+        let calendarList = this.calendarListCache.get(accountType);
+        if (!calendarList) {
+            try {
+                calendarList = await this.getCalendars(accountType);
+            } catch (error) {
+                logger.warn('Calendar list unavailable, using default colors', error);
+                calendarList = [];
+            }
+        }
+
+        const cleaned = this.processor.cleanEventData(rawEvents);
+        const withMetadata = this.fetcher.addCalendarMetadata(cleaned, accountType, calendarId, calendarList)
+            .map(event => ({ ...event, prefixedCalendarId }));
+
+        return this.processor.transformEvents(withMetadata);
+    }
+
+    /**
+     * Push a local event change into the widget data cache
+     * @private
+     */
+    async notifyEventChange(change) {
+        if (!window.widgetDataManager) {
+            return;
+        }
+
+        try {
+            await window.widgetDataManager.applyCalendarEventChange(change);
+        } catch (error) {
+            logger.warn('Failed to apply event change to widget cache', error);
+        }
+    }
+
     // =========================================================================
     // ACTIVE CALENDAR MANAGEMENT
     // =========================================================================
@@ -316,6 +673,69 @@ export class CalendarService {
         }
     }
 
+    /**
+     * Subscribe to an ICS feed and show it on the dashboard
+     * @param {string} url - Feed URL (http, https or webcal)
+     * @param {string} name - Optional display name (defaults to the feed's name)
+     * @returns {Promise<object>} New feed record
+     */
+    async addIcsFeed(url, name = '') {
+        const feed = await this.icsFeeds.addFeed(url, name);
+
+        this.activeCalendarIds.push(this.createPrefixedId(ICS_ACCOUNT_TYPE, feed.id));
+        await this.saveActiveCalendars();
+
+        return feed;
+    }
+
+    /**
+     * Unsubscribe from an ICS feed
+     * @param {string} feedId - Feed ID (unprefixed)
+     */
+    async removeIcsFeed(feedId) {
+        const prefixedId = this.createPrefixedId(ICS_ACCOUNT_TYPE, feedId);
+
+        this.icsFeeds.removeFeed(feedId);
+        this.activeCalendarIds = this.activeCalendarIds.filter(id => id !== prefixedId);
+        await this.saveActiveCalendars();
+    }
+
+    /**
+     * Connect a CalDAV or Microsoft account and show all of its calendars on the dashboard
+     * @param {string} providerName - 'caldav' or 'microsoft'
+     * @param {object} options - Provider options (CalDAV: {serverUrl, username, password})
+     * @returns {Promise<object>} Account data {accountType, email, display_name, ...}
+     */
+    async connectProviderAccount(providerName, options = {}) {
+        const provider = providerName === 'microsoft' ? this.microsoft : this.caldav;
+        const accountType = await provider.getNextAccountType();
+        const account = await provider.connectAccount(accountType, options);
+
+        const calendars = await this.getCalendars(accountType);
+        for (const calendar of calendars) {
+            if (!this.activeCalendarIds.includes(calendar.prefixedId)) {
+                this.activeCalendarIds.push(calendar.prefixedId);
+            }
+        }
+
+        await this.saveActiveCalendars();
+        return { accountType, calendarCount: calendars.length, ...account };
+    }
+
+    /**
+     * Disconnect a CalDAV or Microsoft account and hide its calendars
+     * @param {string} accountType - CalDAV or Microsoft account type
+     */
+    async removeProviderAccount(accountType) {
+        await this.getAccountProvider(accountType).disconnectAccount(accountType);
+
+        const prefix = `${accountType}-`;
+        this.activeCalendarIds = this.activeCalendarIds.filter(id => !id.startsWith(prefix));
+        this.calendarListCache.delete(accountType);
+
+        await this.saveActiveCalendars();
+    }
+
     /**
      * Get active calendar IDs
      */
@@ -331,8 +751,8 @@ export class CalendarService {
             // Save to localStorage first (instant)
             this.saveToLocalStorage();
 
-            // Save to database (async)
-            await this.edgeClient.saveCalendarConfig(this.activeCalendarIds);
+            // Save to database (async) - feeds are stored in the same row
+            await this.edgeClient.saveCalendarConfig(this.activeCalendarIds, this.icsFeeds.getFeeds());
 
             // Refresh calendar data in widgets (clears cache + sends fresh data)
             if (window.widgetDataManager) {
@@ -15,6 +15,10 @@ const logger = createLogger('CalendarFetcher');
  * - Group calendars by account type
  * - Add calendar metadata (colors, names) to events
  * - Aggregate data from all accounts
+ * - Collect sync tokens from full syncs (used by CalendarSyncManager)
+ * - ICS feeds come through the same path as account type 'ics' (see IcsFeedManager)
+ * - CalDAV accounts come through the same path as 'caldav', 'caldav2', ... (see CalDAVCalendarAuth)
+ * - Microsoft accounts come through the same path as 'microsoft', 'microsoft2', ... (see MicrosoftCalendarAuth)
  *
  * Does NOT:
  * - Transform or clean event data (that's EventProcessor's job)
@@ -35,9 +39,12 @@ export class CalendarFetcher {
    * Fetch all calendar data for active calendars
    * This is the main entry point for loading calendar data
    *
+   * Also collects each calendar's nextSyncToken so later refreshes can
+   * download only changes (see CalendarSyncManager)
+   *
    * @param {Array<string>} activeCalendarIds - Account-prefixed calendar IDs
    * @param {object} timeRange - Time range options (timeMin, timeMax, etc.)
-   * @returns {Promise<{calendars: Array, events: Array}>}
+   * @returns {Promise<{calendars: Array, events: Array, syncState: object|null}>}
    */
   async fetchAllCalendarData(activeCalendarIds, timeRange = {}) {
     try {
@@ -50,7 +57,8 @@ export class CalendarFetcher {
         logger.info('No active calendars, returning empty data');
         return {
           calendars: [],
-          events: []
+          events: [],
+          syncState: null
         };
       }
 
@@ -78,10 +86,12 @@ export class CalendarFetcher {
       // Fetch data for each account
       const allCalendars = [];
       const allEvents = [];
+      const syncTokens = {};
+      let timeWindow = null;
 
       for (const [accountType, calendars] of Object.entries(calendarsByAccount)) {
         try {
-          const { accountCalendars, accountEvents } = await this.fetchAccountData(
+          const { accountCalendars, accountEvents, accountSyncTokens, accountTimeWindow } = await this.fetchAccountData(
             accountType,
             calendars,
             finalTimeRange
@@ -89,6 +99,8 @@ export class CalendarFetcher {
 
           allCalendars.push(...accountCalendars);
           allEvents.push(...accountEvents);
+          Object.assign(syncTokens, accountSyncTokens);
+          timeWindow = timeWindow || accountTimeWindow;
 
         } catch (error) {
           logger.error('Failed to fetch data for account', {
@@ -101,12 +113,18 @@ export class CalendarFetcher {
 
       logger.success('All calendar data fetched', {
         calendars: allCalendars.length,
-        events: allEvents.length
+        events: allEvents.length,
+        syncTokens: Object.keys(syncTokens).length
       });
 
       return {
         calendars: allCalendars,
-        events: allEvents
+        events: allEvents,
+        syncState: timeWindow ? {
+          ...timeWindow,
+          tokens: syncTokens,
+          fullSyncAt: Date.now()
+        } : null
       };
 
     } catch (error) {
@@ -115,7 +133,8 @@ export class CalendarFetcher {
       // Return empty data on error
       return {
         calendars: [],
-        events: []
+        events: [],
+        syncState: null
       };
     }
   }
@@ -126,12 +145,14 @@ export class CalendarFetcher {
    * @param {string} accountType - Account type (e.g., 'primary', 'account2')
    * @param {Array} calendars - Array of {prefixedId, calendarId}
    * @param {object} timeRange - Time range options
-   * @returns {Promise<{accountCalendars: Array, accountEvents: Array}>}
+   * @returns {Promise<{accountCalendars: Array, accountEvents: Array, accountSyncTokens: Object, accountTimeWindow: Object|null}>}
    * @private
    */
   async fetchAccountData(accountType, calendars, timeRange) {
     const accountCalendars = [];
     const accountEvents = [];
+    const accountSyncTokens = {}; // prefixedId → nextSyncToken
+    let accountTimeWindow = null;
 
     try {
       // Step 1: Fetch calendar list for this account (to get colors/names)
@@ -142,13 +163,18 @@ export class CalendarFetcher {
       // Step 2: Fetch events for each active calendar in this account
       for (const { prefixedId, calendarId } of calendars) {
         try {
-          const events = await this.fetchCalendarEvents(
+          const { events, nextSyncToken, timeWindow } = await this.fetchCalendarEvents(
             accountType,
             calendarId,
             timeRange,
             calendarList
           );
 
+          if (nextSyncToken) {
+            accountSyncTokens[prefixedId] = nextSyncToken;
+          }
+          accountTimeWindow = accountTimeWindow || timeWindow;
+
           // Add prefixed calendar ID to events for tracking
           const eventsWithPrefixedId = events.map(event => ({
             ...event,
@@ -175,7 +201,9 @@ export class CalendarFetcher {
 
       return {
         accountCalendars,
-        accountEvents
+        accountEvents,
+        accountSyncTokens,
+        accountTimeWindow
       };
 
     } catch (error) {
@@ -194,22 +222,40 @@ export class CalendarFetcher {
    * @param {string} calendarId - Calendar ID
    * @param {object} timeRange - Time range options
    * @param {Array} calendarList - Calendar list for this account (for colors/names)
-   * @returns {Promise<Array>} Events with calendar metadata
+   * @returns {Promise<{events: Array, nextSyncToken: string|null, timeWindow: Object}>} Events with calendar metadata
    * @private
    */
   async fetchCalendarEvents(accountType, calendarId, timeRange, calendarList) {
-    // Fetch raw events from Google API
-    const events = await this.calendarService.getEvents(
+    // Fetch raw events from Google API (full sync - also returns a sync token)
+    const { events, nextSyncToken, timeWindow } = await this.calendarService.getEventsWithSyncToken(
       accountType,
       calendarId,
       timeRange
     );
 
+    return {
+      events: this.addCalendarMetadata(events, accountType, calendarId, calendarList),
+      nextSyncToken,
+      timeWindow
+    };
+  }
+
+  /**
+   * Add calendar metadata (colors, names) to events
+   * Also used for single events returned by create/update calls
+   *
+   * @param {Array} events - Events from a single calendar
+   * @param {string} accountType - Account type
+   * @param {string} calendarId - Calendar ID
+   * @param {Array} calendarList - Calendar list for this account (for colors/names)
+   * @returns {Array} Events with calendar metadata
+   */
+  addCalendarMetadata(events, accountType, calendarId, calendarList = []) {
     // Find the calendar object to get color info
     const calendarObj = calendarList.find(cal => cal.id === calendarId);
 
     // Add calendar metadata to each event (needed for rendering and split colors)
-    const eventsWithMetadata = events.map(event => ({
+    return events.map(event => ({
       ...event,
       calendarId: calendarId,
       accountType: accountType,
@@ -217,8 +263,6 @@ export class CalendarFetcher {
       foregroundColor: calendarObj?.foregroundColor || '#ffffff',
       calendarName: calendarObj?.summary || 'Calendar'
     }));
-
-    return eventsWithMetadata;
   }
 
   /**
@@ -0,0 +1,264 @@
+// js/data/services/calendar-services/calendar-sync-manager.js
+// Incremental calendar sync using Google Calendar sync tokens
+// Applies event deltas (inserts/updates/cancellations) to previously loaded data
+
+import { createLogger } from '../../../utils/logger.js';
+import { CALENDAR_FULL_SYNC_INTERVAL_MS } from '../../../../config.js';
+
+const logger = createLogger('CalendarSyncManager');
+
+/**
+ * CalendarSyncManager - Bring cached calendar data up to date with deltas
+ *
+ * Responsibilities:
+ * - Decide whether previously loaded data can be synced incrementally
+ * - Fetch only changed events per calendar (nextSyncToken from the last sync)
+ * - Apply inserts/updates/cancellations to the cached event set
+ * - Signal a full resync when a token expires (410 Gone) or the window moves
+ * - Re-download ICS feed, CalDAV and Microsoft calendars, which have no sync tokens
+ *
+ * Sync state lives next to the data it describes ({calendars, events, syncState}),
+ * so it is persisted atomically by the caller's calendarCache:
+ *   syncState = {
+ *     timeMin, timeMax,        // ISO window of the full sync the tokens belong to
+ *     tokens: {prefixedId → nextSyncToken},
+ *     fullSyncAt               // timestamp of the last full sync
+ *   }
+ *
+ * Does NOT:
+ * - Perform full syncs (that's CalendarFetcher's job)
+ * - Cache data (that's handled by caller)
+ */
+export class CalendarSyncManager {
+  constructor(calendarService) {
+    if (!calendarService) {
+      throw new Error('CalendarService is required for CalendarSyncManager');
+    }
+
+    this.calendarService = calendarService;
+    logger.verbose('CalendarSyncManager constructed');
+  }
+
+  /**
+   * Check whether previously loaded data can be brought up to date with deltas
+   *
+   * @param {Array<string>} activeCalendarIds - Account-prefixed calendar IDs
+   * @param {object} previousData - Previously loaded {calendars, events, syncState}
+   * @returns {boolean} True if every active calendar has a usable sync token
+   */
+  canSyncIncrementally(activeCalendarIds, previousData) {
+    const syncState = previousData?.syncState;
+
+    if (!syncState || !syncState.tokens) {
+      logger.debug('No sync state, full sync required');
+      return false;
+    }
+
+    if (activeCalendarIds.length === 0) {
+      return false;
+    }
+
+    if (Date.now() - (syncState.fullSyncAt || 0) > CALENDAR_FULL_SYNC_INTERVAL_MS) {
+      logger.debug('Full sync interval elapsed, full sync required');
+      return false;
+    }
+
+    // Tokens only cover the window of the full sync that produced them
+    const { timeMin, timeMax } = this.calendarService.googleClient.getEventTimeWindow();
+    if (timeMin.toISOString() !== syncState.timeMin || timeMax.toISOString() !== syncState.timeMax) {
+      logger.debug('Event window moved, full sync required', {
+        cached: `${syncState.timeMin} → ${syncState.timeMax}`
+      });
+      return false;
+    }
+
+    const missing = activeCalendarIds.filter(id =>
+      !syncState.tokens[id] && this.calendarService.hasSyncTokens(this.calendarService.parsePrefixedId(id).accountType)
+    );
+    if (missing.length > 0) {
+      logger.debug('Calendars without sync token, full sync required', { missing });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Bring previously loaded data up to date using sync tokens
+   *
+   * @param {Array<string>} activeCalendarIds - Account-prefixed calendar IDs
+   * @param {object} previousData - Previously loaded {calendars, events, syncState}
+   * @returns {Promise<object|null>} Updated data, or null when a full sync is required
+   */
+  async syncIncremental(activeCalendarIds, previousData) {
+    if (!this.canSyncIncrementally(activeCalendarIds, previousData)) {
+      return null;
+    }
+
+    const timer = logger.startTimer('Incremental sync');
+    const syncState = previousData.syncState;
+    const window = {
+      start: new Date(syncState.timeMin),
+      end: new Date(syncState.timeMax)
+    };
+
+    const tokens = {};
+    const stats = { changes: 0, upserted: 0, cancelled: 0 };
+
+    // Drop events from calendars that are no longer active
+    let events = (previousData.events || []).filter(e => activeCalendarIds.includes(e.prefixedCalendarId));
+
+    for (const prefixedId of activeCalendarIds) {
+      const { accountType, calendarId } = this.calendarService.parsePrefixedId(prefixedId);
+
+      if (!this.calendarService.hasSyncTokens(accountType)) {
+        events = await this.replaceCalendarEvents(events, accountType, calendarId, prefixedId, window, stats);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await this.calendarService.googleClient.listEvents(
+          calendarId,
+          { syncToken: syncState.tokens[prefixedId] },
+          accountType
+        );
+      } catch (error) {
+        timer();
+        if (error.status === 410) {
+          logger.warn('Sync token expired (410 Gone), falling back to full sync', { prefixedId });
+        } else {
+          logger.warn('Incremental sync failed, falling back to full sync', {
+            prefixedId,
+            error: error.message
+          });
+        }
+        return null;
+      }
+
+      events = await this.applyChanges(events, result.events, prefixedId, window, stats);
+      tokens[prefixedId] = result.nextSyncToken || syncState.tokens[prefixedId];
+    }
+
+    events.sort((a, b) => {
+      const aTime = new Date(a.start?.dateTime || a.start?.date);
+      const bTime = new Date(b.start?.dateTime || b.start?.date);
+      return aTime - bTime;
+    });
+
+    const duration = timer();
+
+    logger.success('Incremental sync completed', {
+      calendars: activeCalendarIds.length,
+      ...stats,
+      events: events.length,
+      duration
+    });
+
+    return {
+      calendars: previousData.calendars || [],
+      events,
+      syncState: {
+        ...syncState,
+        tokens
+      }
+    };
+  }
+
+  /**
+   * Apply one calendar's changes to the event set
+   *
+   * @param {Array} events - Current processed events (all calendars)
+   * @param {Array} changes - Raw changed events from Google (may be cancelled)
+   * @param {string} prefixedId - Calendar the changes belong to
+   * @param {{start: Date, end: Date}} window - Sync window (changes outside it are ignored)
+   * @param {object} stats - Counters updated in place
+   * @returns {Promise<Array>} Updated events
+   * @private
+   */
+  async applyChanges(events, changes, prefixedId, window, stats) {
+    if (changes.length === 0) {
+      return events;
+    }
+
+    stats.changes += changes.length;
+
+    const changedIds = new Set(changes.map(change => change.id));
+
+    // A cancelled recurring series also removes all of its instances
+    const cancelledIds = new Set(
+      changes.filter(change => change.status === 'cancelled').map(change => change.id)
+    );
+    stats.cancelled += cancelledIds.size;
+
+    // Remove old copies of every changed event (updates are re-added below)
+    const remaining = events.filter(event => {
+      if (event.prefixedCalendarId !== prefixedId) return true;
+      if (changedIds.has(event.id)) return false;
+      return !(event.recurringEventId && cancelledIds.has(event.recurringEventId));
+    });
+
+    const upserts = changes.filter(change =>
+      change.status !== 'cancelled' && this.overlapsWindow(change, window)
+    );
+
+    if (upserts.length === 0) {
+      return remaining;
+    }
+
+    // Same pipeline as a full fetch (normalize, calendar metadata, display fields)
+    const processed = await this.calendarService.prepareEvents(upserts, prefixedId);
+    stats.upserted += processed.length;
+
+    return [...remaining, ...processed];
+  }
+
+  /**
+   * Replace one ICS feed's, CalDAV or Microsoft calendar's events with a fresh download
+   * A failed download keeps the previous events (feeds are often flaky)
+   *
+   * @param {Array} events - Current processed events (all calendars)
+   * @param {string} accountType - 'ics', a CalDAV or a Microsoft account type
+   * @param {string} calendarId - Feed ID, CalDAV collection URL or Graph calendar ID (unprefixed)
+   * @param {string} prefixedId - Calendar ID
+   * @param {{start: Date, end: Date}} window - Sync window
+   * @param {object} stats - Counters updated in place
+   * @returns {Promise<Array>} Updated events
+   * @private
+   */
+  async replaceCalendarEvents(events, accountType, calendarId, prefixedId, window, stats) {
+    let rawEvents;
+    try {
+      rawEvents = this.calendarService.icsFeeds.isFeedCalendar(prefixedId)
+        ? await this.calendarService.icsFeeds.fetchFeedEvents(calendarId, window)
+        : await this.calendarService.getAccountProvider(accountType).getCalendarEvents(calendarId, window, accountType);
+    } catch (error) {
+      logger.warn('Calendar refresh failed, keeping previous events', { prefixedId, error: error.message });
+      return events;
+    }
+
+    const processed = await this.calendarService.prepareEvents(rawEvents, prefixedId);
+    stats.upserted += processed.length;
+
+    return [
+      ...events.filter(event => event.prefixedCalendarId !== prefixedId),
+      ...processed
+    ];
+  }
+
+  /**
+   * Check if a raw event overlaps the sync window
+   * Deltas cover all time, but the cached set only holds the window
+   * @private
+   */
+  overlapsWindow(event, window) {
+    const start = event.start?.dateTime || event.start?.date;
+    const end = event.end?.dateTime || event.end?.date || start;
+
+    if (!start) {
+      return false;
+    }
+
+    return new Date(start) < window.end && new Date(end) > window.start;
+  }
+}
@@ -1,11 +1,17 @@
 // js/data/services/calendar-services/event-processor.js
 // Handles all event data transformation, cleaning, and normalization
 // Extracted from legacy calendar-service for single responsibility
+// v1.1 - 10/19/26 - Recurring series awareness (series identity for dedup, series grouping, "repeats" summary)
+// v1.2 - 10/19/26 - transformEvents no longer re-cleans (all-day ends were shifted back twice)
 
 import { createLogger } from '../../../utils/logger.js';
 
 const logger = createLogger('EventProcessor');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 /**
  * EventProcessor - Transform and normalize calendar events
  *
@@ -15,6 +21,15 @@ const logger = createLogger('EventProcessor');
  * - Deduplicate events across calendars
  * - Add computed fields for display (displayTitle, isAllDay, etc.)
  * - Format event descriptions safely
+ * - Group recurring instances into series
+ *
+ * Recurring events:
+ * Providers expand series into single instances (Google singleEvents=true, Outlook
+ * calendarView, ICS expansion), each carrying recurringEventId (and originalStartTime).
+ * Those are kept, and annotateRecurringSeries() adds to every instance:
+ *   seriesId           - '<calendar>::<recurringEventId>' (stable across refreshes)
+ *   seriesInstanceCount - instances of the series in the loaded window
+ *   recurrenceSummary  - e.g. 'Repeats weekly on Tue', inferred from the loaded instances
  */
 export class EventProcessor {
   constructor() {
@@ -25,7 +40,11 @@ export class EventProcessor {
    * Transform raw calendar events for widget consumption
    * This is the main entry point - it orchestrates all transformations
    *
-   * @param {Array} events - Raw events from Google API
+   * Events must already have been through cleanEventData (every CalendarService
+   * fetch path does that). Cleaning isn't idempotent - a second pass would move
+   * all-day ends back another day - so it isn't repeated here.
+   *
+   * @param {Array} events - Cleaned events from CalendarService
    * @returns {Array} Fully transformed events ready for display
    */
   transformEvents(events) {
@@ -35,14 +54,11 @@ export class EventProcessor {
 
     logger.debug('Transforming events', { count: events.length });
 
-    // Step 1: Clean the events (normalize structure, format descriptions)
-    const cleanedEvents = this.cleanEventData(events);
+    // Step 1: Deduplicate based on content (not just IDs)
+    const deduplicated = this.deduplicateEvents(events);
 
-    // Step 2: Deduplicate based on content (not just IDs)
-    const deduplicated = this.deduplicateEvents(cleanedEvents);
-
-    // Step 3: Add computed fields for display
-    const transformed = deduplicated.map(event => ({
+    // Step 2: Add computed fields for display
+    const withDisplayFields = deduplicated.map(event => ({
       ...event,
       displayTitle: event.summary || '(No title)',
       isAllDay: !!event.start.date,
@@ -50,6 +66,9 @@ export class EventProcessor {
       endTime: new Date(event.end.dateTime || event.end.date)
     }));
 
+    // Step 3: Link recurring instances to their series
+    const transformed = this.annotateRecurringSeries(withDisplayFields);
+
     logger.success('Events transformed', {
       original: events.length,
       final: transformed.length,
@@ -153,6 +172,9 @@ export class EventProcessor {
    * Deduplicate events based on content (title, start, end, calendar)
    * Catches duplicate events with different Google IDs (e.g., same event in multiple calendars)
    *
+   * Recurring instances use series identity instead (series + original start), so an
+   * instance is never merged with a one-off event that happens to share its title and time.
+   *
    * @param {Array} events - Events to deduplicate
    * @returns {Array} Deduplicated events
    */
@@ -165,8 +187,10 @@ export class EventProcessor {
       const endTime = event.end?.dateTime || event.end?.date || '';
       const calendarId = event.calendarId || '';
 
-      // Create unique identifier based on content, not ID
-      const identifier = `${calendarId}::${title}::${startTime}::${endTime}`;
+      // Create unique identifier based on content, not ID (series instance identity for recurring events)
+      const identifier = event.recurringEventId
+        ? `${calendarId}::series::${event.recurringEventId}::${this.getOriginalStart(event)}`
+        : `${calendarId}::${title}::${startTime}::${endTime}`;
 
       if (!eventMap.has(identifier)) {
         eventMap.set(identifier, event);
@@ -182,6 +206,171 @@ export class EventProcessor {
     return Array.from(eventMap.values());
   }
 
+  // =========================================================================
+  // RECURRING SERIES
+  // =========================================================================
+
+  /**
+   * Series key for an event, or null for one-off events
+   * Calendar-scoped because recurringEventId is only unique within a calendar
+   *
+   * @param {Object} event - Calendar event
+   * @returns {string|null} Series key
+   */
+  getSeriesKey(event) {
+    if (!event.recurringEventId) {
+      return null;
+    }
+
+    const calendarId = event.prefixedCalendarId || event.calendarId || '';
+    return `${calendarId}::${event.recurringEventId}`;
+  }
+
+  /**
+   * Group recurring instances by series
+   *
+   * @param {Array} events - Events (one-off events are ignored)
+   * @returns {Map<string, Array>} seriesKey → instances sorted by start
+   */
+  groupBySeries(events) {
+    const series = new Map();
+
+    for (const event of events) {
+      const key = this.getSeriesKey(event);
+      if (!key) continue;
+
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      series.get(key).push(event);
+    }
+
+    series.forEach(instances => {
+      instances.sort((a, b) => this.getStartDate(a) - this.getStartDate(b));
+    });
+
+    return series;
+  }
+
+  /**
+   * Add series fields (seriesId, seriesInstanceCount, recurrenceSummary) to recurring instances
+   * Run over the full event set - the summary is inferred from every loaded instance
+   *
+   * @param {Array} events - Events to annotate
+   * @returns {Array} Events (recurring instances replaced with annotated copies)
+   */
+  annotateRecurringSeries(events) {
+    const series = this.groupBySeries(events);
+    if (series.size === 0) {
+      return events;
+    }
+
+    const seriesInfo = new Map();
+    series.forEach((instances, key) => {
+      seriesInfo.set(key, {
+        seriesId: key,
+        seriesInstanceCount: instances.length,
+        recurrenceSummary: this.describeRecurrence(instances)
+      });
+    });
+
+    logger.debug('Recurring series annotated', { series: series.size });
+
+    return events.map(event => {
+      const info = seriesInfo.get(this.getSeriesKey(event));
+      return info ? { ...event, ...info } : event;
+    });
+  }
+
+  /**
+   * Describe a series' repeat pattern from its instances
+   * Instances come pre-expanded without the RRULE, so the pattern is inferred
+   * from the spacing of the loaded instances (sorted by start)
+   *
+   * @param {Array} instances - Instances of one series, sorted by start
+   * @returns {string} e.g. 'Repeats daily', 'Repeats weekly on Tue', 'Repeats monthly on the 3rd'
+   */
+  describeRecurrence(instances) {
+    if (instances.length < 2) {
+      return 'Repeats';
+    }
+
+    const dates = instances.map(event => this.getStartDate(event));
+    const gaps = dates.slice(1).map((date, i) => Math.round((date - dates[i]) / DAY_MS));
+    const weekdays = [...new Set(dates.map(date => date.getDay()))].sort((a, b) => a - b);
+    const weekdayList = weekdays.map(day => WEEKDAY_NAMES[day]).join(', ');
+
+    if (gaps.every(gap => gap === 1)) {
+      return 'Repeats daily';
+    }
+
+    // Same spacing throughout (multiples of the smallest gap allow for cancelled instances)
+    const gap = Math.min(...gaps);
+    if (gap > 1 && gaps.every(g => g % gap === 0)) {
+      if (gap === 7) return `Repeats weekly on ${weekdayList}`;
+      if (gap % 7 === 0) return `Repeats every ${gap / 7} weeks on ${weekdayList}`;
+      if (gap < 28) return `Repeats every ${gap} days`;
+    }
+
+    // Same day of the month, one month apart
+    const sameDayOfMonth = dates.every(date => date.getDate() === dates[0].getDate());
+    if (sameDayOfMonth && dates.slice(1).every((date, i) => this.monthsBetween(dates[i], date) === 1)) {
+      return `Repeats monthly on the ${this.formatOrdinal(dates[0].getDate())}`;
+    }
+
+    // Same date, one year apart
+    if (sameDayOfMonth && dates.slice(1).every((date, i) => this.monthsBetween(dates[i], date) === 12)) {
+      return `Repeats yearly on ${MONTH_NAMES[dates[0].getMonth()]} ${dates[0].getDate()}`;
+    }
+
+    // Several days a week (e.g. Mon/Wed/Fri): gaps stay within a week
+    if (gaps.every(gap => gap >= 1 && gap <= 7) && weekdays.length > 1) {
+      const isWeekdays = weekdays.length === 5 && weekdays.every(day => day >= 1 && day <= 5);
+      return isWeekdays ? 'Repeats every weekday' : `Repeats weekly on ${weekdayList}`;
+    }
+
+    return 'Repeats';
+  }
+
+  /**
+   * Original (unmodified) start of a recurring instance - stable even if the instance was moved
+   * @private
+   */
+  getOriginalStart(event) {
+    const original = event.originalStartTime || event.start || {};
+    return original.dateTime || original.date || '';
+  }
+
+  /**
+   * Start as a local Date (all-day dates parsed at midnight local time)
+   * @private
+   */
+  getStartDate(event) {
+    if (event.start?.date) {
+      const [year, month, day] = event.start.date.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    }
+    return new Date(event.start?.dateTime);
+  }
+
+  /**
+   * Whole calendar months from one date to another
+   * @private
+   */
+  monthsBetween(from, to) {
+    return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+  }
+
+  /**
+   * 1 → '1st', 2 → '2nd', 11 → '11th', 23 → '23rd'
+   * @private
+   */
+  formatOrdinal(day) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = (day % 100 >= 11 && day % 100 <= 13) ? 'th' : (suffixes[day % 10] || 'th');
+    return `${day}${suffix}`;
+  }
+
   // =========================================================================
   // HELPER METHODS
   // =========================================================================
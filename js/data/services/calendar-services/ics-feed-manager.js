@@ -0,0 +1,273 @@
+// js/data/services/calendar-services/ics-feed-manager.js
+// Manages subscribed ICS/iCal feeds as a calendar source
+// Feeds live next to the Google calendar IDs in user_calendar_config
+
+import { createLogger } from '../../../utils/logger.js';
+import { IcsParser } from './ics-parser.js';
+
+const logger = createLogger('IcsFeedManager');
+
+/**
+ * Account type used in prefixed IDs for feed calendars ("ics-<feedId>")
+ */
+export const ICS_ACCOUNT_TYPE = 'ics';
+
+const STORAGE_KEY = 'dashie-ics-feeds'; // localStorage fallback
+
+// Feed colors (cycled as feeds are added)
+const FEED_COLORS = ['#0b8043', '#f4511e', '#8e24aa', '#039be5', '#e67c73', '#f6bf26', '#33b679', '#7986cb'];
+
+/**
+ * IcsFeedManager - Subscribed .ics feeds
+ *
+ * Responsibilities:
+ * - Keep the list of subscribed feeds ({id, url, name, color, created_at})
+ * - Download feeds (through the database-operations proxy - most feed hosts don't allow CORS)
+ * - Expand feed events into Google-shaped events via IcsParser
+ * - Expose feeds as read-only calendars so the rest of CalendarService treats them like any other
+ *
+ * Does NOT:
+ * - Persist feeds (CalendarService saves them with the active calendar IDs)
+ * - Transform events for display (that's EventProcessor's job)
+ */
+export class IcsFeedManager {
+  constructor(calendarService) {
+    if (!calendarService) {
+      throw new Error('CalendarService is required for IcsFeedManager');
+    }
+
+    this.calendarService = calendarService;
+    this.parser = new IcsParser();
+    this.feeds = [];
+    logger.verbose('IcsFeedManager constructed');
+  }
+
+  // ===========================================================================
+  // FEED LIST
+  // ===========================================================================
+
+  /**
+   * Load feeds from user_calendar_config (localStorage fallback)
+   * @returns {Promise<Array>} Feeds
+   */
+  async load() {
+    try {
+      this.feeds = await this.calendarService.edgeClient.loadIcsFeeds();
+      this.saveToLocalStorage();
+    } catch (error) {
+      logger.warn('Failed to load ICS feeds from database, using localStorage', error);
+      this.feeds = this.loadFromLocalStorage();
+    }
+
+    logger.debug('ICS feeds loaded', { count: this.feeds.length });
+    return this.getFeeds();
+  }
+
+  /**
+   * Get all subscribed feeds
+   * @returns {Array} Copies of feed records
+   */
+  getFeeds() {
+    return this.feeds.map(feed => ({ ...feed }));
+  }
+
+  /**
+   * Get a feed by ID
+   * @param {string} feedId - Feed ID (unprefixed)
+   * @returns {object|null}
+   */
+  getFeed(feedId) {
+    return this.feeds.find(feed => feed.id === feedId) || null;
+  }
+
+  /**
+   * Check if a prefixed calendar ID belongs to a feed
+   * @param {string} prefixedId - Account-prefixed calendar ID
+   * @returns {boolean}
+   */
+  isFeedCalendar(prefixedId) {
+    return prefixedId.startsWith(`${ICS_ACCOUNT_TYPE}-`);
+  }
+
+  /**
+   * Subscribe to a feed
+   * Downloads it once to validate the URL and pick up the feed's own name
+   *
+   * @param {string} url - Feed URL (http, https or webcal)
+   * @param {string} name - Optional display name
+   * @returns {Promise<object>} New feed record
+   */
+  async addFeed(url, name = '') {
+    const normalizedUrl = this.normalizeUrl(url);
+
+    if (this.feeds.some(feed => feed.url === normalizedUrl)) {
+      throw new Error('This feed is already subscribed');
+    }
+
+    const text = await this.downloadFeed(normalizedUrl);
+    const { calendarName } = this.parser.parse(text);
+
+    const feed = {
+      id: this.generateFeedId(),
+      url: normalizedUrl,
+      name: name.trim() || calendarName || new URL(normalizedUrl).hostname,
+      color: FEED_COLORS[this.feeds.length % FEED_COLORS.length],
+      created_at: new Date().toISOString()
+    };
+
+    this.feeds.push(feed);
+    this.saveToLocalStorage();
+
+    logger.success('ICS feed added', { id: feed.id, name: feed.name });
+    return { ...feed };
+  }
+
+  /**
+   * Unsubscribe from a feed
+   * @param {string} feedId - Feed ID (unprefixed)
+   * @returns {boolean} True if a feed was removed
+   */
+  removeFeed(feedId) {
+    const originalLength = this.feeds.length;
+    this.feeds = this.feeds.filter(feed => feed.id !== feedId);
+
+    if (this.feeds.length === originalLength) {
+      return false;
+    }
+
+    this.saveToLocalStorage();
+    logger.info('ICS feed removed', { feedId });
+    return true;
+  }
+
+  // ===========================================================================
+  // CALENDARS & EVENTS
+  // ===========================================================================
+
+  /**
+   * Feeds as calendar objects (same fields CalendarService.getCalendars adds)
+   * Feeds are read-only, so the event editor never offers them as a target
+   * @returns {Array} Calendar objects
+   */
+  getFeedCalendars() {
+    return this.feeds.map(feed => ({
+      id: feed.id,
+      summary: feed.name,
+      description: feed.url,
+      backgroundColor: feed.color,
+      foregroundColor: '#ffffff',
+      accessRole: 'reader',
+      prefixedId: this.calendarService.createPrefixedId(ICS_ACCOUNT_TYPE, feed.id),
+      rawId: feed.id,
+      accountType: ICS_ACCOUNT_TYPE,
+      isActive: this.calendarService.isCalendarActive(ICS_ACCOUNT_TYPE, feed.id)
+    }));
+  }
+
+  /**
+   * Download and expand a feed's events
+   *
+   * @param {string} feedId - Feed ID (unprefixed)
+   * @param {{start: Date, end: Date}} window - Expansion window
+   * @returns {Promise<Array>} Raw Google-shaped events (not yet normalized)
+   */
+  async fetchFeedEvents(feedId, window) {
+    const feed = this.getFeed(feedId);
+    if (!feed) {
+      throw new Error(`Unknown ICS feed: ${feedId}`);
+    }
+
+    const timer = logger.startTimer(`ICS feed ${feed.name}`);
+
+    try {
+      const text = await this.downloadFeed(feed.url);
+      const { events } = this.parser.parseFeed(text, window);
+      const duration = timer();
+
+      logger.success('ICS feed events retrieved', {
+        feedId,
+        name: feed.name,
+        totalEvents: events.length,
+        duration
+      });
+
+      return events;
+
+    } catch (error) {
+      timer();
+      logger.error('Failed to fetch ICS feed', { feedId, error: error.message });
+      throw error;
+    }
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Download a feed through the database-operations proxy
+   * @private
+   */
+  async downloadFeed(url) {
+    const response = await this.calendarService.edgeClient.fetchIcsFeed(url);
+
+    if (!response || !response.includes('BEGIN:VCALENDAR')) {
+      throw new Error('URL did not return an iCalendar feed');
+    }
+
+    return response;
+  }
+
+  /**
+   * Normalize a feed URL (webcal:// → https://) and validate it
+   * @private
+   */
+  normalizeUrl(url) {
+    const trimmed = (url || '').trim().replace(/^webcals?:\/\//i, 'https://');
+
+    let parsed;
+    try {
+      parsed = new URL(trimmed);
+    } catch (error) {
+      throw new Error('Please enter a valid feed URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Feed URL must start with http, https or webcal');
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * @private
+   */
+  generateFeedId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+  }
+
+  /**
+   * @private
+   */
+  saveToLocalStorage() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.feeds));
+    } catch (error) {
+      logger.warn('Failed to save ICS feeds to localStorage', error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  loadFromLocalStorage() {
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      const feeds = stored ? JSON.parse(stored) : [];
+      return Array.isArray(feeds) ? feeds : [];
+    } catch (error) {
+      logger.warn('Failed to load ICS feeds from localStorage', error);
+      return [];
+    }
+  }
+}
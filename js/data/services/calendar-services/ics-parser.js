@@ -0,0 +1,996 @@
+// js/data/services/calendar-services/ics-parser.js
+// Parses iCalendar (RFC 5545) feeds and expands them into Google-shaped events
+// Used for subscribed .ics feeds (school districts, sports leagues, etc.)
+
+import { createLogger } from '../../../utils/logger.js';
+
+const logger = createLogger('IcsParser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limits for badly formed or unbounded rules
+const MAX_RECURRENCE_PERIODS = 5000;
+const MAX_INSTANCES_PER_EVENT = 2000;
+
+// Windows zone names still show up in Outlook/Exchange exports
+const WINDOWS_TIMEZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'E. Europe Standard Time': 'Europe/Bucharest',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'India Standard Time': 'Asia/Kolkata',
+  'UTC': 'UTC'
+};
+
+/**
+ * IcsParser - RFC 5545 parsing and recurrence expansion
+ *
+ * Supports:
+ * - VEVENT components (VALARM and other nested components are skipped)
+ * - DTSTART/DTEND/DURATION with UTC, TZID and floating times
+ * - All-day events (VALUE=DATE)
+ * - RRULE (DAILY/WEEKLY/MONTHLY/YEARLY with INTERVAL, COUNT, UNTIL,
+ *   BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, WKST)
+ * - EXDATE, RDATE and RECURRENCE-ID overrides
+ *
+ * Time zones are resolved by IANA name through Intl (embedded VTIMEZONE
+ * rules are not interpreted). Unknown zones fall back to the feed's
+ * X-WR-TIMEZONE, then to the device's local time.
+ *
+ * Output events use the Google Calendar API shape (exclusive all-day end
+ * dates, start/end {date|dateTime}), so they go through the same
+ * EventProcessor pipeline as Google events.
+ */
+export class IcsParser {
+  constructor() {
+    this.formatters = new Map(); // IANA zone → Intl.DateTimeFormat
+  }
+
+  // ===========================================================================
+  // PUBLIC API
+  // ===========================================================================
+
+  /**
+   * Parse a feed and expand its events within a time window
+   *
+   * @param {string} text - Raw .ics content
+   * @param {{start: Date, end: Date}} window - Expansion window
+   * @returns {{calendarName: string|null, events: Array}} Google-shaped events
+   */
+  parseFeed(text, window) {
+    const calendar = this.parse(text);
+    const events = this.expandEvents(calendar.events, window, calendar.timezone);
+
+    return {
+      calendarName: calendar.calendarName,
+      events
+    };
+  }
+
+  /**
+   * Parse raw iCalendar text into VEVENT property maps
+   *
+   * @param {string} text - Raw .ics content
+   * @returns {{calendarName: string|null, timezone: string|null, events: Array<Object>}}
+   */
+  parse(text) {
+    if (!text || !text.includes('BEGIN:VCALENDAR')) {
+      throw new Error('Not an iCalendar feed');
+    }
+
+    const lines = this.unfoldLines(text);
+    const events = [];
+    const stack = [];
+    let current = null;
+    let calendarName = null;
+    let timezone = null;
+
+    for (const line of lines) {
+      const property = this.parseContentLine(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN') {
+        stack.push(property.value.toUpperCase());
+        if (property.value.toUpperCase() === 'VEVENT') {
+          current = {};
+        }
+        continue;
+      }
+
+      if (property.name === 'END') {
+        const component = stack.pop();
+        if (component === 'VEVENT' && current) {
+          events.push(current);
+          current = null;
+        }
+        continue;
+      }
+
+      const component = stack[stack.length - 1];
+
+      if (component === 'VEVENT' && current) {
+        if (!current[property.name]) {
+          current[property.name] = [];
+        }
+        current[property.name].push(property);
+      } else if (component === 'VCALENDAR') {
+        if (property.name === 'X-WR-CALNAME') {
+          calendarName = this.unescapeText(property.value);
+        } else if (property.name === 'X-WR-TIMEZONE') {
+          timezone = this.resolveTimeZone(property.value);
+        }
+      }
+    }
+
+    logger.debug('Feed parsed', { events: events.length, calendarName, timezone });
+
+    return { calendarName, timezone, events };
+  }
+
+  /**
+   * Expand parsed VEVENTs into individual Google-shaped events
+   *
+   * @param {Array<Object>} vevents - Property maps from parse()
+   * @param {{start: Date, end: Date}} window - Expansion window
+   * @param {string|null} defaultTimeZone - Zone for floating times
+   * @returns {Array} Events overlapping the window
+   */
+  expandEvents(vevents, window, defaultTimeZone = null) {
+    const masters = new Map(); // UID → definition
+    const overrides = [];      // RECURRENCE-ID definitions
+    const singles = [];
+
+    for (const vevent of vevents) {
+      let definition;
+      try {
+        definition = this.toDefinition(vevent, defaultTimeZone);
+      } catch (error) {
+        logger.warn('Skipping invalid VEVENT', { error: error.message });
+        continue;
+      }
+
+      if (definition.recurrenceId) {
+        overrides.push(definition);
+      } else if (definition.rrule || definition.rdates.length > 0) {
+        masters.set(definition.uid, definition);
+      } else {
+        singles.push(definition);
+      }
+    }
+
+    const events = [];
+
+    for (const definition of singles) {
+      if (definition.status === 'cancelled') continue;
+      const event = this.buildEvent(definition, definition.start, null);
+      if (this.overlapsWindow(event, window)) {
+        events.push(event);
+      }
+    }
+
+    // Overrides replace the generated instance they point at
+    const overridesByUid = new Map();
+    for (const override of overrides) {
+      if (!overridesByUid.has(override.uid)) {
+        overridesByUid.set(override.uid, new Map());
+      }
+      overridesByUid.get(override.uid).set(this.instanceKey(override.recurrenceId, override.start.isDate), override);
+    }
+
+    for (const master of masters.values()) {
+      if (master.status === 'cancelled') continue;
+
+      const instanceOverrides = overridesByUid.get(master.uid) || new Map();
+      const starts = this.expandRecurrence(master, window);
+
+      for (const start of starts) {
+        const key = this.instanceKey(start, master.start.isDate);
+        if (master.exdates.has(key) || instanceOverrides.has(key)) continue;
+
+        const event = this.buildEvent(master, start, master.uid);
+        if (this.overlapsWindow(event, window)) {
+          events.push(event);
+        }
+      }
+    }
+
+    for (const override of overrides) {
+      if (override.status === 'cancelled') continue;
+
+      const master = masters.get(override.uid);
+      const event = this.buildEvent(
+        master ? { ...master, ...this.pickDefined(override) } : override,
+        override.start,
+        override.uid,
+        override.recurrenceId
+      );
+
+      if (this.overlapsWindow(event, window)) {
+        events.push(event);
+      }
+    }
+
+    logger.debug('Feed events expanded', {
+      definitions: vevents.length,
+      recurring: masters.size,
+      overrides: overrides.length,
+      events: events.length
+    });
+
+    return events;
+  }
+
+  // ===========================================================================
+  // LINE PARSING
+  // ===========================================================================
+
+  /**
+   * Unfold continuation lines (CRLF followed by a space or tab)
+   * @private
+   */
+  unfoldLines(text) {
+    return text
+      .replace(/\r\n/g, '\n')
+      .replace(/\r/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .filter(line => line.trim().length > 0);
+  }
+
+  /**
+   * Parse "NAME;PARAM=VALUE;PARAM="QUOTED":value"
+   * @private
+   */
+  parseContentLine(line) {
+    let inQuotes = false;
+    let colonIndex = -1;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ':' && !inQuotes) {
+        colonIndex = i;
+        break;
+      }
+    }
+
+    if (colonIndex === -1) {
+      return null;
+    }
+
+    const head = line.substring(0, colonIndex);
+    const value = line.substring(colonIndex + 1);
+    const parts = head.match(/("[^"]*"|[^;])+/g) || [];
+    const name = (parts.shift() || '').toUpperCase();
+    const params = {};
+
+    for (const part of parts) {
+      const eqIndex = part.indexOf('=');
+      if (eqIndex === -1) continue;
+      const paramName = part.substring(0, eqIndex).toUpperCase();
+      params[paramName] = part.substring(eqIndex + 1).replace(/^"|"$/g, '');
+    }
+
+    return { name, params, value };
+  }
+
+  /**
+   * Unescape TEXT values (\n, \, \; \\)
+   * @private
+   */
+  unescapeText(value) {
+    return (value || '')
+      .replace(/\\[nN]/g, '\n')
+      .replace(/\\([,;\\])/g, '$1');
+  }
+
+  // ===========================================================================
+  // EVENT DEFINITIONS
+  // ===========================================================================
+
+  /**
+   * Convert a VEVENT property map into a normalized definition
+   * @private
+   */
+  toDefinition(vevent, defaultTimeZone) {
+    const first = (name) => vevent[name]?.[0];
+    const text = (name) => first(name) ? this.unescapeText(first(name).value) : '';
+
+    const dtstart = first('DTSTART');
+    if (!dtstart) {
+      throw new Error('VEVENT without DTSTART');
+    }
+
+    const start = this.parseDateValue(dtstart.value, dtstart.params, defaultTimeZone);
+    let durationMs;
+
+    const dtend = first('DTEND');
+    const duration = first('DURATION');
+
+    if (dtend) {
+      const end = this.parseDateValue(dtend.value, dtend.params, start.timeZone);
+      durationMs = this.toInstant(end) - this.toInstant(start);
+    } else if (duration) {
+      durationMs = this.parseDuration(duration.value);
+    } else {
+      // RFC 5545: all-day defaults to one day, timed events end at their start
+      durationMs = start.isDate ? DAY_MS : 0;
+    }
+
+    const exdates = new Set();
+    for (const property of vevent.EXDATE || []) {
+      for (const value of property.value.split(',')) {
+        const exdate = this.parseDateValue(value, property.params, start.timeZone);
+        exdates.add(this.instanceKey(exdate, start.isDate));
+      }
+    }
+
+    const rdates = [];
+    for (const property of vevent.RDATE || []) {
+      if (property.params.VALUE === 'PERIOD') continue;
+      for (const value of property.value.split(',')) {
+        rdates.push(this.parseDateValue(value, property.params, start.timeZone));
+      }
+    }
+
+    const recurrenceIdProperty = first('RECURRENCE-ID');
+    const status = (first('STATUS')?.value || 'CONFIRMED').toLowerCase();
+
+    return {
+      uid: first('UID')?.value || this.fallbackUid(vevent),
+      summary: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      url: first('URL')?.value || null,
+      status,
+      start,
+      durationMs: Math.max(0, durationMs),
+      rrule: first('RRULE') ? this.parseRRule(first('RRULE').value, start) : null,
+      exdates,
+      rdates,
+      recurrenceId: recurrenceIdProperty
+        ? this.parseDateValue(recurrenceIdProperty.value, recurrenceIdProperty.params, start.timeZone)
+        : null
+    };
+  }
+
+  /**
+   * Keep only the fields an override actually sets
+   * @private
+   */
+  pickDefined(override) {
+    const picked = { start: override.start, durationMs: override.durationMs, status: override.status };
+    for (const field of ['summary', 'description', 'location', 'url']) {
+      if (override[field]) {
+        picked[field] = override[field];
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Stable UID for events that don't provide one
+   * @private
+   */
+  fallbackUid(vevent) {
+    const seed = `${vevent.DTSTART?.[0]?.value || ''}|${vevent.SUMMARY?.[0]?.value || ''}`;
+    let hash = 0;
+    for (let i = 0; i < seed.length; i++) {
+      hash = ((hash << 5) - hash + seed.charCodeAt(i)) | 0;
+    }
+    return `ics-${Math.abs(hash).toString(36)}`;
+  }
+
+  /**
+   * Build a Google-shaped event for one occurrence
+   *
+   * @param {Object} definition - Event definition
+   * @param {Object} start - Occurrence start (wall-clock parts)
+   * @param {string|null} recurringEventId - Series UID for instances
+   * @param {Object|null} originalStart - RECURRENCE-ID for overrides
+   * @returns {Object} Google Calendar API style event
+   * @private
+   */
+  buildEvent(definition, start, recurringEventId, originalStart = null) {
+    const seriesStart = originalStart || start;
+    const id = recurringEventId
+      ? `${definition.uid}_${this.formatInstanceSuffix(seriesStart)}`
+      : definition.uid;
+
+    const event = {
+      id,
+      iCalUID: definition.uid,
+      status: 'confirmed',
+      summary: definition.summary,
+      description: definition.description,
+      location: definition.location,
+      htmlLink: definition.url,
+      start: null,
+      end: null
+    };
+
+    if (start.isDate) {
+      const days = Math.max(1, Math.round(definition.durationMs / DAY_MS));
+      const endParts = this.addDays(start, days);
+      event.start = { date: this.formatDate(start) };
+      event.end = { date: this.formatDate(endParts) };
+    } else {
+      const startInstant = this.toInstant(start);
+      event.start = { dateTime: this.formatDateTime(startInstant) };
+      event.end = { dateTime: this.formatDateTime(startInstant + definition.durationMs) };
+      if (start.timeZone) {
+        event.start.timeZone = start.timeZone;
+        event.end.timeZone = start.timeZone;
+      }
+    }
+
+    if (recurringEventId) {
+      event.recurringEventId = recurringEventId;
+      event.originalStartTime = seriesStart.isDate
+        ? { date: this.formatDate(seriesStart) }
+        : { dateTime: this.formatDateTime(this.toInstant(seriesStart)) };
+    }
+
+    return event;
+  }
+
+  /**
+   * Check if a Google-shaped event overlaps the window
+   * @private
+   */
+  overlapsWindow(event, window) {
+    const start = this.eventBoundary(event.start);
+    const end = Math.max(this.eventBoundary(event.end), start + 1);
+    return start < window.end.getTime() && end > window.start.getTime();
+  }
+
+  /**
+   * @private
+   */
+  eventBoundary(boundary) {
+    if (boundary.dateTime) {
+      return new Date(boundary.dateTime).getTime();
+    }
+    const [year, month, day] = boundary.date.split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+  }
+
+  // ===========================================================================
+  // DATE VALUES
+  // ===========================================================================
+
+  /**
+   * Parse DATE or DATE-TIME values into wall-clock parts
+   *
+   * @param {string} value - e.g. "20250115", "20250115T090000", "20250115T140000Z"
+   * @param {Object} params - Property parameters (TZID, VALUE)
+   * @param {string|null} fallbackTimeZone - Zone for floating times
+   * @returns {{year, month, day, hour, minute, second, isDate, isUtc, timeZone}}
+   * @private
+   */
+  parseDateValue(value, params = {}, fallbackTimeZone = null) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec((value || '').trim());
+    if (!match) {
+      throw new Error(`Invalid date value: ${value}`);
+    }
+
+    const isDate = params.VALUE === 'DATE' || match[4] === undefined;
+    const isUtc = !isDate && match[7] === 'Z';
+
+    return {
+      year: parseInt(match[1], 10),
+      month: parseInt(match[2], 10),
+      day: parseInt(match[3], 10),
+      hour: isDate ? 0 : parseInt(match[4], 10),
+      minute: isDate ? 0 : parseInt(match[5], 10),
+      second: isDate ? 0 : parseInt(match[6] || '0', 10),
+      isDate,
+      isUtc,
+      timeZone: isDate || isUtc ? null : (this.resolveTimeZone(params.TZID) || fallbackTimeZone)
+    };
+  }
+
+  /**
+   * Parse a DURATION value (e.g. "PT1H30M", "P1D", "P2W", "-PT15M")
+   * @private
+   */
+  parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+    if (!match) {
+      return 0;
+    }
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((parseInt(weeks || '0', 10) * 7 + parseInt(days || '0', 10)) * DAY_MS) +
+      (parseInt(hours || '0', 10) * 3600 + parseInt(minutes || '0', 10) * 60 + parseInt(seconds || '0', 10)) * 1000;
+
+    return sign === '-' ? -ms : ms;
+  }
+
+  /**
+   * Map a TZID to an IANA zone Intl understands
+   * Handles Windows names and prefixed ids like "/mozilla.org/20050126_1/America/New_York"
+   *
+   * @param {string} tzid - TZID parameter value
+   * @returns {string|null} IANA zone or null
+   * @private
+   */
+  resolveTimeZone(tzid) {
+    if (!tzid) {
+      return null;
+    }
+
+    const candidates = [tzid, WINDOWS_TIMEZONES[tzid]];
+    const ianaMatch = /([A-Za-z_]+\/[A-Za-z_+\-0-9]+(?:\/[A-Za-z_+\-0-9]+)?)$/.exec(tzid);
+    if (ianaMatch) {
+      candidates.push(ianaMatch[1]);
+    }
+
+    for (const candidate of candidates) {
+      if (candidate && this.getFormatter(candidate)) {
+        return candidate;
+      }
+    }
+
+    logger.debug('Unknown time zone, using fallback', { tzid });
+    return null;
+  }
+
+  /**
+   * Cached Intl formatter for a zone (null if the zone is unknown)
+   * @private
+   */
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      let formatter = null;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: '2-digit',
+          day: '2-digit',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit'
+        });
+      } catch (error) {
+        formatter = null;
+      }
+      this.formatters.set(timeZone, formatter);
+    }
+    return this.formatters.get(timeZone);
+  }
+
+  /**
+   * Offset (ms) of a zone from UTC at a given instant
+   * @private
+   */
+  getTimeZoneOffset(instant, timeZone) {
+    const parts = {};
+    for (const part of this.getFormatter(timeZone).formatToParts(new Date(instant))) {
+      parts[part.type] = part.value;
+    }
+
+    const asUtc = Date.UTC(
+      parseInt(parts.year, 10),
+      parseInt(parts.month, 10) - 1,
+      parseInt(parts.day, 10),
+      parseInt(parts.hour, 10) % 24,
+      parseInt(parts.minute, 10),
+      parseInt(parts.second, 10)
+    );
+
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  }
+
+  /**
+   * Convert wall-clock parts to a UTC timestamp
+   * @private
+   */
+  toInstant(parts) {
+    if (parts.isDate) {
+      return new Date(parts.year, parts.month - 1, parts.day).getTime();
+    }
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+    if (parts.isUtc) {
+      return wallClock;
+    }
+
+    if (!parts.timeZone) {
+      // Floating time - interpret in the dashboard's local zone
+      return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second).getTime();
+    }
+
+    // Two passes settle the offset across DST transitions
+    const firstOffset = this.getTimeZoneOffset(wallClock, parts.timeZone);
+    let instant = wallClock - firstOffset;
+    const secondOffset = this.getTimeZoneOffset(instant, parts.timeZone);
+    if (secondOffset !== firstOffset) {
+      instant = wallClock - secondOffset;
+    }
+
+    return instant;
+  }
+
+  /**
+   * Key used to match EXDATE/RECURRENCE-ID against generated instances
+   * @private
+   */
+  instanceKey(parts, isAllDay) {
+    return isAllDay || parts.isDate ? this.formatDate(parts) : String(this.toInstant(parts));
+  }
+
+  // ===========================================================================
+  // RECURRENCE
+  // ===========================================================================
+
+  /**
+   * Parse an RRULE value
+   * @private
+   */
+  parseRRule(value, start) {
+    const rule = {};
+    for (const part of value.split(';')) {
+      const [key, ruleValue] = part.split('=');
+      if (key && ruleValue !== undefined) {
+        rule[key.toUpperCase()] = ruleValue;
+      }
+    }
+
+    const parseList = (list) => (list ? list.split(',').map(v => parseInt(v, 10)).filter(v => !isNaN(v)) : []);
+
+    return {
+      freq: (rule.FREQ || '').toUpperCase(),
+      interval: Math.max(1, parseInt(rule.INTERVAL || '1', 10)),
+      count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+      until: rule.UNTIL ? this.parseDateValue(rule.UNTIL, {}, start.timeZone) : null,
+      byDay: rule.BYDAY
+        ? rule.BYDAY.split(',').map(entry => {
+          const match = /^([+-]?\d+)?([A-Z]{2})$/.exec(entry.trim().toUpperCase());
+          return match ? { ordinal: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+        }).filter(entry => entry && entry.weekday !== -1)
+        : [],
+      byMonthDay: parseList(rule.BYMONTHDAY),
+      byMonth: parseList(rule.BYMONTH),
+      bySetPos: parseList(rule.BYSETPOS),
+      weekStart: WEEKDAYS.indexOf((rule.WKST || 'MO').toUpperCase())
+    };
+  }
+
+  /**
+   * Generate occurrence starts (wall-clock parts) for a recurring definition
+   *
+   * Days are computed on wall-clock dates and converted afterwards, so a
+   * 9:00 AM meeting stays at 9:00 AM across DST changes.
+   *
+   * @param {Object} definition - Definition with rrule/rdates
+   * @param {{start: Date, end: Date}} window - Expansion window
+   * @returns {Array<Object>} Occurrence start parts
+   * @private
+   */
+  expandRecurrence(definition, window) {
+    const { start, rrule } = definition;
+    const occurrences = [start];
+    const windowEnd = window.end.getTime();
+
+    if (rrule) {
+      if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rrule.freq)) {
+        logger.debug('Unsupported RRULE frequency, using first occurrence only', { freq: rrule.freq, uid: definition.uid });
+      } else {
+        const untilInstant = rrule.until ? this.toInstant(rrule.until) : Infinity;
+        const startKey = this.dayNumber(start);
+        const firstPeriod = this.firstRelevantPeriod(rrule, start, window);
+        let generated = 1; // DTSTART counts as the first instance
+
+        for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS; period++) {
+          const days = this.candidateDays(rrule, start, period);
+          let pastEnd = false;
+
+          for (const day of days) {
+            if (this.dayNumber(day) <= startKey) continue;
+
+            const occurrence = { ...start, year: day.year, month: day.month, day: day.day };
+            const instant = this.toInstant(occurrence);
+
+            if (instant > untilInstant || instant > windowEnd) {
+              pastEnd = true;
+              break;
+            }
+
+            occurrences.push(occurrence);
+            generated++;
+
+            if ((rrule.count && generated >= rrule.count) || occurrences.length >= MAX_INSTANCES_PER_EVENT) {
+              pastEnd = true;
+              break;
+            }
+          }
+
+          if (pastEnd) break;
+        }
+      }
+    }
+
+    for (const rdate of definition.rdates) {
+      // Date-only RDATEs on timed events keep the series' time of day
+      occurrences.push(rdate.isDate && !start.isDate
+        ? { ...start, year: rdate.year, month: rdate.month, day: rdate.day }
+        : rdate);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * First period worth generating for a rule
+   * Long-running series skip straight to the window; COUNT rules must be
+   * counted from DTSTART, so they always start at period 0.
+   * @private
+   */
+  firstRelevantPeriod(rule, start, window) {
+    if (rule.count) {
+      return 0;
+    }
+
+    const windowStart = window.start;
+    const target = { year: windowStart.getFullYear(), month: windowStart.getMonth() + 1, day: windowStart.getDate() };
+    let elapsed;
+
+    switch (rule.freq) {
+      case 'DAILY':
+        elapsed = this.dayNumber(target) - this.dayNumber(start);
+        break;
+      case 'WEEKLY':
+        elapsed = Math.floor((this.dayNumber(target) - this.dayNumber(start)) / 7);
+        break;
+      case 'MONTHLY':
+        elapsed = (target.year - start.year) * 12 + (target.month - start.month);
+        break;
+      case 'YEARLY':
+        elapsed = target.year - start.year;
+        break;
+      default:
+        elapsed = 0;
+    }
+
+    // Back off one period so events spanning into the window aren't lost
+    return Math.max(0, Math.floor(elapsed / rule.interval) - 1);
+  }
+
+  /**
+   * Candidate days for one period of a rule, sorted, with BYSETPOS applied
+   * @private
+   */
+  candidateDays(rule, start, period) {
+    let days = [];
+
+    switch (rule.freq) {
+      case 'DAILY': {
+        const day = this.addDays(start, period * rule.interval);
+        const matchesDay = rule.byDay.length === 0 || rule.byDay.some(entry => entry.weekday === this.weekday(day));
+        const matchesMonthDay = rule.byMonthDay.length === 0 || this.matchesMonthDay(day, rule.byMonthDay);
+        if (matchesDay && matchesMonthDay) {
+          days = [day];
+        }
+        break;
+      }
+
+      case 'WEEKLY': {
+        const offset = (this.weekday(start) - rule.weekStart + 7) % 7;
+        const weekStart = this.addDays(start, period * rule.interval * 7 - offset);
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(entry => entry.weekday) : [this.weekday(start)];
+        for (let i = 0; i < 7; i++) {
+          const day = this.addDays(weekStart, i);
+          if (weekdays.includes(this.weekday(day))) {
+            days.push(day);
+          }
+        }
+        break;
+      }
+
+      case 'MONTHLY': {
+        const monthIndex = (start.month - 1) + period * rule.interval;
+        const year = start.year + Math.floor(monthIndex / 12);
+        const month = (monthIndex % 12) + 1;
+        days = this.daysInMonthMatching(rule, start, year, month);
+        break;
+      }
+
+      case 'YEARLY': {
+        const year = start.year + period * rule.interval;
+        if (rule.byMonth.length > 0) {
+          for (const month of rule.byMonth) {
+            days.push(...this.daysInMonthMatching(rule, start, year, month));
+          }
+        } else if (rule.byDay.length > 0 && rule.byMonthDay.length === 0) {
+          days = this.weekdaysInRange(rule.byDay, { year, month: 1, day: 1 }, this.isLeapYear(year) ? 366 : 365);
+        } else {
+          days = this.daysInMonthMatching(rule, start, year, start.month);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    if (rule.byMonth.length > 0 && rule.freq !== 'YEARLY') {
+      days = days.filter(day => rule.byMonth.includes(day.month));
+    }
+
+    days.sort((a, b) => this.dayNumber(a) - this.dayNumber(b));
+
+    if (rule.bySetPos.length > 0) {
+      days = rule.bySetPos
+        .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+        .filter(Boolean)
+        .sort((a, b) => this.dayNumber(a) - this.dayNumber(b));
+    }
+
+    return days;
+  }
+
+  /**
+   * Days in a month matching BYMONTHDAY/BYDAY (or DTSTART's day)
+   * @private
+   */
+  daysInMonthMatching(rule, start, year, month) {
+    const length = this.daysInMonth(year, month);
+    const first = { year, month, day: 1 };
+
+    let byDayDays = null;
+    if (rule.byDay.length > 0) {
+      byDayDays = this.weekdaysInRange(rule.byDay, first, length);
+    }
+
+    let byMonthDayDays = null;
+    if (rule.byMonthDay.length > 0) {
+      byMonthDayDays = rule.byMonthDay
+        .map(day => (day > 0 ? day : length + day + 1))
+        .filter(day => day >= 1 && day <= length)
+        .map(day => ({ year, month, day }));
+    }
+
+    if (byDayDays && byMonthDayDays) {
+      const allowed = new Set(byMonthDayDays.map(day => day.day));
+      return byDayDays.filter(day => allowed.has(day.day));
+    }
+
+    if (byDayDays) return byDayDays;
+    if (byMonthDayDays) return byMonthDayDays;
+
+    // Months without DTSTART's day (e.g. the 31st) are skipped per RFC 5545
+    return start.day <= length ? [{ year, month, day: start.day }] : [];
+  }
+
+  /**
+   * Weekdays within a range, honoring ordinals (2MO = second Monday, -1FR = last Friday)
+   * @private
+   */
+  weekdaysInRange(byDay, first, length) {
+    const days = [];
+
+    for (const { weekday, ordinal } of byDay) {
+      const matches = [];
+      const offset = (weekday - this.weekday(first) + 7) % 7;
+      for (let i = offset; i < length; i += 7) {
+        matches.push(this.addDays(first, i));
+      }
+
+      if (ordinal === 0) {
+        days.push(...matches);
+      } else {
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (match) days.push(match);
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * @private
+   */
+  matchesMonthDay(day, byMonthDay) {
+    const length = this.daysInMonth(day.year, day.month);
+    return byMonthDay.some(value => (value > 0 ? value : length + value + 1) === day.day);
+  }
+
+  // ===========================================================================
+  // CALENDAR MATH (wall-clock dates, no time zone involved)
+  // ===========================================================================
+
+  /**
+   * @private
+   */
+  dayNumber(parts) {
+    return Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / DAY_MS);
+  }
+
+  /**
+   * @private
+   */
+  addDays(parts, days) {
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+
+  /**
+   * @private
+   */
+  weekday(parts) {
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  }
+
+  /**
+   * @private
+   */
+  daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  /**
+   * @private
+   */
+  isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  // ===========================================================================
+  // FORMATTING
+  // ===========================================================================
+
+  /**
+   * Format parts as YYYY-MM-DD
+   * @private
+   */
+  formatDate(parts) {
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Format a timestamp as a local ISO string with offset (like the Google API)
+   * @private
+   */
+  formatDateTime(instant) {
+    const date = new Date(instant);
+    const pad = (value) => String(value).padStart(2, '0');
+    const offsetMinutes = -date.getTimezoneOffset();
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+    const absOffset = Math.abs(offsetMinutes);
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+      `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+  }
+
+  /**
+   * Google-style instance id suffix (20250115 or 20250115T140000Z)
+   * @private
+   */
+  formatInstanceSuffix(parts) {
+    if (parts.isDate) {
+      return this.formatDate(parts).replace(/-/g, '');
+    }
+    return new Date(this.toInstant(parts)).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+}
+
+// Export singleton instance for convenience
+export const icsParser = new IcsParser();
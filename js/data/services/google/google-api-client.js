@@ -110,7 +110,8 @@ export class GoogleAPIClient {
     this.lastRequestTime = Date.now();
 
     // Retry logic
-    for (let attempt = 1; attempt <= this.config.retryConfig.maxRetries; attempt++) {
+    let attempt;
+    for (attempt = 1; attempt <= this.config.retryConfig.maxRetries; attempt++) {
       try {
         logger.debug(`Making API request (attempt ${attempt})`, {
           method,
@@ -151,10 +152,13 @@ export class GoogleAPIClient {
 
         if (!response.ok) {
           const errorText = await response.text();
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
+          const httpError = new Error(`HTTP ${response.status}: ${errorText}`);
+          httpError.status = response.status;
+          throw httpError;
         }
 
-        const data = await response.json();
+        // DELETE (and some PATCH variants) return 204 No Content
+        const data = response.status === 204 ? null : await response.json();
         const duration = timer();
 
         logger.success(`API request completed`, {
@@ -181,6 +185,18 @@ export class GoogleAPIClient {
           break;
         }
 
+        // POST isn't idempotent - a timeout after Google created the event would
+        // create it again
+        if (method === 'POST') {
+          break;
+        }
+
+        // Other 4xx (bad request, no permission, 404 / 410 expired sync token)
+        // won't change on retry - only 429 Too Many Requests is worth waiting for
+        if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+          break;
+        }
+
         // Calculate exponential backoff delay
         const delay = Math.min(
           this.config.retryConfig.baseDelay * Math.pow(2, attempt - 1),
@@ -194,7 +210,7 @@ export class GoogleAPIClient {
 
     // All retries failed
     const duration = timer();
-    logger.error(`All ${this.config.retryConfig.maxRetries} attempts failed`, {
+    logger.error(`API request failed after ${attempt} attempt(s)`, {
       endpoint,
       accountType,
       totalDuration: duration,
@@ -246,9 +262,7 @@ export class GoogleAPIClient {
     const timer = logger.startTimer('Calendar Events');
 
     try {
-      const now = new Date();
-      const timeMin = timeRange.start || new Date(now.getFullYear(), now.getMonth() - this.config.calendar.monthsBack, 1);
-      const timeMax = timeRange.end || new Date(now.getFullYear(), now.getMonth() + this.config.calendar.monthsAhead + 1, 0);
+      const { timeMin, timeMax } = this.getEventTimeWindow(timeRange);
 
       const params = new URLSearchParams({
         timeMin: timeMin.toISOString(),
@@ -278,4 +292,173 @@ export class GoogleAPIClient {
       throw error;
     }
   }
+
+  /**
+   * Resolve the event time window (defaults to monthsBack..monthsAhead around today)
+   * @param {Object} timeRange - Optional {start, end} Date objects
+   * @returns {{timeMin: Date, timeMax: Date}}
+   */
+  getEventTimeWindow(timeRange = {}) {
+    const now = new Date();
+    const timeMin = timeRange.start || new Date(now.getFullYear(), now.getMonth() - this.config.calendar.monthsBack, 1);
+    const timeMax = timeRange.end || new Date(now.getFullYear(), now.getMonth() + this.config.calendar.monthsAhead + 1, 0);
+    return { timeMin, timeMax };
+  }
+
+  /**
+   * List events with paging and sync token support
+   *
+   * Full sync (no syncToken): lists the time window and returns a nextSyncToken.
+   * Incremental sync (syncToken): returns only events changed since the token,
+   * including deleted ones (status: 'cancelled'). Google answers 410 Gone when
+   * the token has expired - the caller must fall back to a full sync.
+   *
+   * orderBy is deliberately not used: it isn't compatible with sync tokens.
+   *
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} options - {syncToken, timeRange}
+   * @param {string} accountType - Account type (e.g., 'primary', 'account2')
+   * @returns {Promise<{events: Array, nextSyncToken: string|null, timeMin: Date, timeMax: Date}>}
+   */
+  async listEvents(calendarId, options = {}, accountType = 'primary') {
+    const { syncToken = null, timeRange = {} } = options;
+    const { timeMin, timeMax } = this.getEventTimeWindow(timeRange);
+    const mode = syncToken ? 'incremental' : 'full';
+
+    logger.debug('Listing calendar events', { calendarId, accountType, mode });
+    const timer = logger.startTimer(`Calendar Events (${mode})`);
+
+    const events = [];
+    let pageToken = null;
+    let nextSyncToken = null;
+    let pages = 0;
+
+    try {
+      do {
+        const params = new URLSearchParams({
+          maxResults: this.config.calendar.maxResults,
+          singleEvents: 'true'
+        });
+
+        if (syncToken) {
+          params.set('syncToken', syncToken);
+        } else {
+          params.set('timeMin', timeMin.toISOString());
+          params.set('timeMax', timeMax.toISOString());
+        }
+
+        if (pageToken) {
+          params.set('pageToken', pageToken);
+        }
+
+        const data = await this.makeRequest(`/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events?${params}`, {}, false, accountType);
+
+        events.push(...(data.items || []));
+        pageToken = data.nextPageToken || null;
+        nextSyncToken = data.nextSyncToken || nextSyncToken; // Only present on the last page
+        pages++;
+      } while (pageToken);
+
+      const duration = timer();
+
+      logger.success('Calendar events listed', {
+        calendarId,
+        accountType,
+        mode,
+        totalEvents: events.length,
+        pages,
+        hasSyncToken: !!nextSyncToken,
+        duration
+      });
+
+      return { events, nextSyncToken, timeMin, timeMax };
+
+    } catch (error) {
+      timer();
+      logger.error('Failed to list calendar events', { calendarId, accountType, mode, status: error.status, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new event on a calendar
+   * Requires the calendar.events scope
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} eventData - Google Calendar event resource (summary, start, end, ...)
+   * @param {string} accountType - Account type (e.g., 'primary', 'account2')
+   * @returns {Promise<Object>} Created event resource
+   */
+  async insertEvent(calendarId, eventData, accountType = 'primary') {
+    logger.debug('Creating calendar event', { calendarId, accountType });
+
+    try {
+      const event = await this.makeRequest(
+        `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events`,
+        { method: 'POST', body: eventData },
+        false,
+        accountType
+      );
+
+      logger.success('Calendar event created', { calendarId, eventId: event?.id });
+      return event;
+
+    } catch (error) {
+      logger.error('Failed to create calendar event', { calendarId, accountType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields of an existing event (PATCH semantics - only supplied fields change)
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {Object} changes - Partial Google Calendar event resource
+   * @param {string} accountType - Account type (e.g., 'primary', 'account2')
+   * @returns {Promise<Object>} Updated event resource
+   */
+  async patchEvent(calendarId, eventId, changes, accountType = 'primary') {
+    logger.debug('Updating calendar event', { calendarId, eventId, accountType });
+
+    try {
+      const event = await this.makeRequest(
+        `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`,
+        { method: 'PATCH', body: changes },
+        false,
+        accountType
+      );
+
+      logger.success('Calendar event updated', { calendarId, eventId });
+      return event;
+
+    } catch (error) {
+      logger.error('Failed to update calendar event', { calendarId, eventId, accountType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an event from a calendar
+   * @param {string} calendarId - Calendar ID
+   * @param {string} eventId - Event ID
+   * @param {string} accountType - Account type (e.g., 'primary', 'account2')
+   * @returns {Promise<void>}
+   */
+  async deleteEvent(calendarId, eventId, accountType = 'primary') {
+    logger.debug('Deleting calendar event', { calendarId, eventId, accountType });
+
+    try {
+      await this.makeRequest(
+        `/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`,
+        { method: 'DELETE' },
+        false,
+        accountType
+      );
+
+      logger.success('Calendar event deleted', { calendarId, eventId });
+
+    } catch (error) {
+      logger.error('Failed to delete calendar event', { calendarId, eventId, accountType, error: error.message });
+      throw error;
+    }
+  }
 }
@@ -3,13 +3,20 @@
 // ============================================================================
 // Sends periodic heartbeats to track:
 // - Dashboard online/offline status
-// - Version checking for auto-updates
+// - Version checking for auto-updates (prompt and install: AppUpdateService)
 // - User activity tracking
 //
 // Frequency configured in config.js (easy to adjust without code changes)
+//
+// Each dashboard on an account has its own heartbeat row, keyed by the device
+// fingerprint (kept in DeviceProfile so it survives browser updates). The row
+// also holds the settings and layout the dashboard keeps for itself
+// (device_overrides): heartbeats return them, local changes are saved back to the row.
 // ============================================================================
 
 import { createLogger } from '../../utils/logger.js';
+import DeviceProfile from '../../core/device-profile.js';
+import { appUpdate } from '../../services/app-update-service.js';
 import {
   APP_VERSION,
   HEARTBEAT_FREQUENCY_MS,
@@ -25,12 +32,15 @@ class HeartbeatService {
     this.heartbeatFrequency = HEARTBEAT_FREQUENCY_MS; // From config.js
     this.currentVersion = APP_VERSION;
     this.deviceFingerprint = null;
+    this.dashboardId = null; // dashboard_heartbeats id, known after the first heartbeat
     this.isRunning = false;
     this.edgeClient = null;
 
     // Track failures for error handling
     this.consecutiveFailures = 0;
     this.maxConsecutiveFailures = 3;
+
+    this.overridesSaveTimer = null;
   }
 
   /**
@@ -48,8 +58,12 @@ class HeartbeatService {
       return;
     }
 
-    // Generate device fingerprint
-    this.deviceFingerprint = await this.generateDeviceFingerprint();
+    // Device fingerprint: the saved one, or generate it on first run
+    this.deviceFingerprint = DeviceProfile.getFingerprint() || await this.generateDeviceFingerprint();
+    DeviceProfile.setFingerprint(this.deviceFingerprint);
+
+    // Settings screens change overrides one value at a time - save once they settle
+    DeviceProfile.onOverridesChanged = () => this.scheduleOverridesSave();
 
     // Start heartbeat loop
     this.startHeartbeat();
@@ -163,14 +177,25 @@ class HeartbeatService {
 
       // Reset failure counter on success
       this.consecutiveFailures = 0;
+      this.dashboardId = data.dashboard_id || this.dashboardId;
 
-      // Check for version updates
+      await this.syncDeviceOverrides(data.device_overrides);
+
+      // Check for version updates (the heartbeat function picks the version for
+      // this dashboard - staged rollouts, pins and rollbacks)
       if (HEARTBEAT_VERSION_CHECK_ENABLED && data.needs_update) {
-        logger.warn(`Update available: ${this.currentVersion} → ${data.latest_version}`);
+        logger.warn(`${data.is_rollback ? 'Rollback' : 'Update'} available: ${this.currentVersion} → ${data.latest_version}`);
 
         if (HEARTBEAT_AUTO_UPDATE_PROMPT) {
-          this.handleUpdateAvailable(data.latest_version);
+          appUpdate.handleUpdateAvailable({
+            version: data.latest_version,
+            releaseNotes: data.release_notes || null,
+            isRollback: !!data.is_rollback,
+            url: data.app_url || null
+          });
         }
+      } else if (HEARTBEAT_VERSION_CHECK_ENABLED) {
+        appUpdate.handleUpToDate();
       }
 
       // Log first heartbeat
@@ -208,10 +233,16 @@ class HeartbeatService {
   }
 
   /**
-   * Get dashboard name (user can customize this later)
+   * Get dashboard name (set in Settings → System → My Dashboards)
    */
   getDashboardName() {
-    // TODO: Allow user to set custom dashboard name in settings
+    return DeviceProfile.getName() || this.getDefaultDashboardName();
+  }
+
+  /**
+   * Name used until the dashboard is given one
+   */
+  getDefaultDashboardName() {
     const deviceType = this.getDeviceType();
     switch (deviceType) {
       case 'fire_tv':
@@ -226,126 +257,92 @@ class HeartbeatService {
   }
 
   /**
-   * Handle update available notification
+   * Rename this dashboard (sends a heartbeat so other dashboards see the new name)
+   * @param {string} name - New name (empty goes back to the default)
+   * @returns {Promise<string>} Name now in use
    */
-  handleUpdateAvailable(latestVersion) {
-    // Only prompt once per session
-    if (this.updatePromptShown) {
-      return;
-    }
+  async renameDashboard(name) {
+    DeviceProfile.setName(name);
 
-    this.updatePromptShown = true;
-
-    const shouldUpdate = confirm(
-      `🎉 New version ${latestVersion} available!\n\n` +
-      `You're running v${this.currentVersion}.\n\n` +
-      `Update now? (Recommended)`
-    );
-
-    if (shouldUpdate) {
-      this.performUpdate(latestVersion);
-    } else {
-      logger.info('User declined update');
-
-      // Ask again in 1 hour
-      setTimeout(() => {
-        this.updatePromptShown = false;
-      }, 60 * 60 * 1000);
+    if (this.isRunning) {
+      await this.sendHeartbeat();
     }
+
+    return this.getDashboardName();
   }
 
   /**
-   * Perform app update (reload with cache clear)
+   * List the account's dashboards with online status
+   * @returns {Promise<Array<object>>} [{id, dashboard_name, device_type, is_online, last_heartbeat_at, current_version, is_current}]
    */
-  async performUpdate(latestVersion) {
-    logger.info(`Updating to version ${latestVersion}...`);
+  async listDashboards() {
+    if (!this.edgeClient) {
+      throw new Error('Heartbeat service not initialized');
+    }
 
-    // Stop heartbeat
-    this.stopHeartbeat();
+    return this.edgeClient.listDashboards(this.deviceFingerprint);
+  }
 
-    // Show loading indicator
-    const dashboardContainer = document.getElementById('dashboard-container');
-    if (dashboardContainer) {
-      dashboardContainer.innerHTML = `
-        <div style="
-          display: flex;
-          flex-direction: column;
-          justify-content: center;
-          align-items: center;
-          height: 100vh;
-          font-size: 24px;
-          font-family: system-ui, -apple-system, sans-serif;
-          background: var(--bg-primary, #222);
-          color: var(--text-primary, #fff);
-        ">
-          <div style="font-size: 48px; margin-bottom: 20px;">🔄</div>
-          <div>Updating Dashie to v${latestVersion}...</div>
-          <div style="font-size: 16px; opacity: 0.7; margin-top: 10px;">
-            Clearing cache and refreshing...
-          </div>
-        </div>
-      `;
+  /**
+   * Forget another dashboard on the account
+   * @param {string} dashboardId - dashboard_heartbeats id
+   */
+  async removeDashboard(dashboardId) {
+    if (!this.edgeClient) {
+      throw new Error('Heartbeat service not initialized');
     }
 
-    // Clear all caches before reloading
-    await this.clearAllCaches();
-
-    // Reload after brief delay (modern approach - no deprecated 'true' parameter)
-    setTimeout(() => {
-      // Modern cache-busting reload: Add timestamp to force fresh fetch
-      const timestamp = new Date().getTime();
-      window.location.href = window.location.pathname + '?v=' + timestamp + window.location.hash;
-    }, 1500);
+    await this.edgeClient.removeDashboard(dashboardId);
+    logger.info('Dashboard removed', { dashboardId });
   }
 
+  // =============================================================================
+  // DEVICE OVERRIDES
+  // =============================================================================
+
   /**
-   * Clear all browser caches (localStorage, sessionStorage, Cache API)
+   * Reconcile this dashboard's overrides with its heartbeat row
+   * Unsaved local changes are saved; otherwise the row's copy is used.
+   * @param {Object} serverOverrides - device_overrides from the heartbeat response
    */
-  async clearAllCaches() {
-    logger.info('Clearing all caches for update...');
-
-    try {
-      // 1. Clear Cache API (if available - not on all Fire TV browsers)
-      if ('caches' in window) {
-        try {
-          const cacheNames = await caches.keys();
-          await Promise.all(
-            cacheNames.map(cacheName => {
-              logger.debug(`Deleting cache: ${cacheName}`);
-              return caches.delete(cacheName);
-            })
-          );
-          logger.success(`Cleared ${cacheNames.length} caches from Cache API`);
-        } catch (error) {
-          logger.warn('Cache API clearing failed (may not be supported)', error);
-        }
-      }
+  async syncDeviceOverrides(serverOverrides) {
+    if (DeviceProfile.getUnsyncedOverrides()) {
+      await this.saveDeviceOverrides();
+      return;
+    }
 
-      // 2. Clear localStorage (except JWT - we want to stay logged in)
-      const jwtData = localStorage.getItem('dashie-supabase-jwt');
-      const authTokens = localStorage.getItem('dashie-auth-tokens');
+    if (DeviceProfile.applyServerOverrides(serverOverrides)) {
+      window.settingsStore?.refreshDeviceOverrides();
+    }
+  }
 
-      localStorage.clear();
+  /**
+   * @private
+   */
+  scheduleOverridesSave() {
+    clearTimeout(this.overridesSaveTimer);
+    this.overridesSaveTimer = setTimeout(() => this.saveDeviceOverrides(), 2000);
+  }
 
-      // Restore JWT and auth tokens so user stays logged in
-      if (jwtData) {
-        localStorage.setItem('dashie-supabase-jwt', jwtData);
-        logger.debug('Preserved JWT token');
-      }
-      if (authTokens) {
-        localStorage.setItem('dashie-auth-tokens', authTokens);
-        logger.debug('Preserved auth tokens');
-      }
+  /**
+   * Save local override changes to this dashboard's heartbeat row
+   * Left unsaved (retried after the next heartbeat) if there's no row or connection yet.
+   */
+  async saveDeviceOverrides() {
+    clearTimeout(this.overridesSaveTimer);
 
-      logger.success('LocalStorage cleared (except auth data)');
+    const overrides = DeviceProfile.getUnsyncedOverrides();
+    if (!overrides || !this.dashboardId || !this.edgeClient?.jwtToken) return;
 
-      // 3. Clear sessionStorage
-      sessionStorage.clear();
-      logger.debug('SessionStorage cleared');
+    // Household viewers can't change the household's dashboards
+    if (window.householdService && !window.householdService.canEdit()) return;
 
-      logger.success('All caches cleared successfully');
+    try {
+      await this.edgeClient.saveDeviceOverrides(this.dashboardId, overrides);
+      DeviceProfile.markOverridesSynced(overrides);
+      logger.debug('Device overrides saved', { groups: Object.keys(overrides) });
     } catch (error) {
-      logger.error('Cache clearing failed (continuing anyway)', error);
+      logger.error('Failed to save device overrides', error);
     }
   }
 
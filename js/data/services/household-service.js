@@ -0,0 +1,185 @@
+// ============================================================================
+// HouseholdService - Household Sharing
+// ============================================================================
+// Several adults use one family's dashboards, each with their own Google login.
+//
+// - Roles: owner (manages members), adult (changes shared data), viewer (read-only)
+// - Shared settings, photos, dashboards and message board notes are stored
+//   under the owner's user id (getDataUserId()) - the edge functions resolve
+//   it server-side, the client uses it for broadcast channels and photo paths
+// - Linked calendar accounts stay per user
+// - Invitations go to an email address and are accepted in Settings → Account
+//   → Household after signing in with it
+// ============================================================================
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('HouseholdService');
+
+class HouseholdService {
+  constructor() {
+    this.edgeClient = null;
+    this.state = {
+      household: null,
+      role: null,
+      members: [],
+      invitations: [],
+      my_invitations: []
+    };
+  }
+
+  /**
+   * Load the user's household
+   * Failures leave the user on their own data (same as having no household)
+   * @param {EdgeClient} edgeClient - EdgeClient instance for database operations
+   */
+  async initialize(edgeClient) {
+    this.edgeClient = edgeClient;
+
+    await this.refresh();
+    logger.verbose('HouseholdService initialized', {
+      householdId: this.state.household?.id || null,
+      role: this.state.role
+    });
+  }
+
+  /**
+   * Reload household, members and invitations
+   * @returns {Promise<object>} {household, role, members, invitations, my_invitations}
+   */
+  async refresh() {
+    if (!this.edgeClient?.jwtToken) return this.state;
+
+    try {
+      this.state = await this.edgeClient.getHousehold();
+    } catch (error) {
+      logger.error('Failed to load household', error);
+    }
+
+    return this.state;
+  }
+
+  /**
+   * @returns {object} Last loaded {household, role, members, invitations, my_invitations}
+   */
+  getHousehold() {
+    return this.state;
+  }
+
+  /**
+   * User id the shared data is stored under (the household owner, or the user)
+   * @returns {string|null}
+   */
+  getDataUserId() {
+    return this.state.household?.owner_user_id || this.edgeClient?.jwtUserId || null;
+  }
+
+  /**
+   * @returns {string|null} 'owner', 'adult', 'viewer', or null without a household
+   */
+  getRole() {
+    return this.state.role;
+  }
+
+  /**
+   * Whether the user may change shared settings, photos, dashboards and notes
+   * @returns {boolean}
+   */
+  canEdit() {
+    return this.state.role !== 'viewer';
+  }
+
+  /**
+   * @returns {boolean} Whether the user owns their household (or has none yet)
+   */
+  canManage() {
+    return !this.state.role || this.state.role === 'owner';
+  }
+
+  /**
+   * Invite an email address (creates the household on the first invitation)
+   * @param {string} email - Invitee's Google account email
+   * @param {string} role - 'adult' or 'viewer'
+   * @returns {Promise<object>} Created invitation
+   */
+  async invite(email, role) {
+    const user = window.sessionManager?.getUser();
+    const firstName = user?.name?.split(' ')[0] || null;
+
+    const invitation = await this.edgeClient.inviteHouseholdMember({
+      email,
+      role,
+      inviter_name: user?.name || null,
+      household_name: firstName ? `${firstName}'s Household` : null
+    });
+
+    logger.info('Household invitation sent', { role });
+    await this.refresh();
+    return invitation;
+  }
+
+  /**
+   * Accept or decline an invitation addressed to the user
+   * Joining switches to the household's data - the caller should reload the app
+   * @param {string} invitationId - household_invitations id
+   * @param {boolean} accept - true to join
+   */
+  async respond(invitationId, accept) {
+    await this.edgeClient.respondHouseholdInvitation(
+      invitationId,
+      accept,
+      window.sessionManager?.getUser()?.name || null
+    );
+
+    logger.info(`Household invitation ${accept ? 'accepted' : 'declined'}`);
+    await this.refresh();
+  }
+
+  /**
+   * Withdraw a pending invitation (owner)
+   * @param {string} invitationId - household_invitations id
+   */
+  async revoke(invitationId) {
+    await this.edgeClient.revokeHouseholdInvitation(invitationId);
+
+    logger.info('Household invitation revoked');
+    await this.refresh();
+  }
+
+  /**
+   * Change a member's role (owner)
+   * @param {string} authUserId - Member's user id
+   * @param {string} role - 'adult' or 'viewer'
+   */
+  async setRole(authUserId, role) {
+    await this.edgeClient.updateHouseholdMember(authUserId, role);
+
+    logger.info('Household member role changed', { role });
+    await this.refresh();
+  }
+
+  /**
+   * Remove a member (owner)
+   * @param {string} authUserId - Member's user id
+   */
+  async removeMember(authUserId) {
+    await this.edgeClient.removeHouseholdMember(authUserId);
+
+    logger.info('Household member removed');
+    await this.refresh();
+  }
+
+  /**
+   * Leave the household (the owner can only leave once everyone else has)
+   * Leaving switches back to the user's own data - the caller should reload the app
+   */
+  async leave() {
+    await this.edgeClient.removeHouseholdMember();
+
+    logger.info('Left household');
+    await this.refresh();
+  }
+}
+
+// Export singleton instance
+export default new HouseholdService();
@@ -0,0 +1,176 @@
+// ============================================================================
+// MessageService - Family Message Board
+// ============================================================================
+// Notes posted from the phone ("Dog fed already", "Pizza night!") and shown on
+// every dashboard until dismissed or expired.
+//
+// - Stored in family_messages (database-operations list/post/dismiss_message)
+// - Changes are pushed to the other devices with a 'messages-changed' broadcast
+//   on the per-user channel (shared with settings sync and the remote)
+// - Publishes AppComms MESSAGES_UPDATED with the active notes, most important first
+// ============================================================================
+
+import { createLogger } from '../../utils/logger.js';
+import AppComms from '../../core/app-comms.js';
+import realtimeClient from './realtime-broadcast-client.js';
+import { MESSAGE_PRIORITIES } from '../../../config.js';
+
+const logger = createLogger('MessageService');
+
+const CHANGED_EVENT = 'messages-changed';
+
+class MessageService {
+  constructor() {
+    this.edgeClient = null;
+    this.channel = null;
+    this.messages = [];
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Load the active notes and listen for changes from other devices
+   * @param {EdgeClient} edgeClient - EdgeClient instance for database operations
+   * @param {string} userId - Authenticated user id (broadcast channel)
+   */
+  async initialize(edgeClient, userId) {
+    this.edgeClient = edgeClient;
+
+    if (userId && realtimeClient.isConfigured()) {
+      this.channel = realtimeClient
+        .channel(`user_settings_${userId}`)
+        .on('broadcast', { event: CHANGED_EVENT }, () => {
+          logger.debug('Messages changed on another device');
+          this.refresh();
+        })
+        .subscribe();
+    } else {
+      logger.warn('Message board updates from other devices disabled - missing userId or realtime client');
+    }
+
+    await this.refresh();
+    logger.verbose('MessageService initialized', { count: this.messages.length });
+  }
+
+  /**
+   * @returns {Array<object>} Active notes, most important first, newest first within a priority
+   */
+  getMessages() {
+    return this.messages;
+  }
+
+  /**
+   * Reload the active notes
+   */
+  async refresh() {
+    if (!this.edgeClient) return;
+
+    try {
+      this.setMessages(await this.edgeClient.listMessages());
+    } catch (error) {
+      logger.error('Failed to load messages', error);
+    }
+  }
+
+  /**
+   * Post a note to every dashboard
+   * @param {object} note
+   * @param {string} note.text - Note text
+   * @param {string} [note.priority='normal'] - MESSAGE_PRIORITIES id
+   * @param {number} [note.expiresInMinutes=0] - 0 keeps it until dismissed
+   * @param {string} [note.authorName] - Shown under the note
+   * @returns {Promise<object>} Posted note
+   */
+  async post({ text, priority = 'normal', expiresInMinutes = 0, authorName = null }) {
+    const message = await this.edgeClient.postMessage({
+      text,
+      priority,
+      author_name: authorName,
+      expires_in_minutes: expiresInMinutes
+    });
+
+    logger.info('Message posted', { id: message.id, priority });
+
+    this.setMessages([message, ...this.messages]);
+    this.broadcastChange();
+    return message;
+  }
+
+  /**
+   * Dismiss a note on every dashboard
+   * @param {string} messageId - family_messages id
+   */
+  async dismiss(messageId) {
+    await this.edgeClient.dismissMessage(messageId);
+
+    logger.info('Message dismissed', { id: messageId });
+
+    this.setMessages(this.messages.filter(message => message.id !== messageId));
+    this.broadcastChange();
+  }
+
+  /**
+   * Keep unexpired notes (sorted), wake for new urgent ones, and notify listeners
+   * @private
+   */
+  setMessages(messages) {
+    const now = Date.now();
+    const known = new Set(this.messages.map(message => message.id));
+
+    this.messages = messages
+      .filter(message => !message.expires_at || new Date(message.expires_at).getTime() > now)
+      .sort((a, b) => priorityRank(b.priority) - priorityRank(a.priority)
+        || new Date(b.created_at) - new Date(a.created_at));
+
+    if (this.messages.some(message => message.priority === 'urgent' && !known.has(message.id))) {
+      AppComms.publish('system:wake-requested', {});
+    }
+
+    this.scheduleExpiry();
+    AppComms.publish(AppComms.events.MESSAGES_UPDATED, { messages: this.messages });
+  }
+
+  /**
+   * Drop the next note to expire when it does
+   * @private
+   */
+  scheduleExpiry() {
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+
+    const next = Math.min(...this.messages
+      .filter(message => message.expires_at)
+      .map(message => new Date(message.expires_at).getTime()));
+
+    if (Number.isFinite(next)) {
+      // setTimeout can't wait longer than ~24.8 days
+      const delay = Math.min(Math.max(next - Date.now(), 0) + 1000, 2 ** 31 - 1);
+      this.expiryTimer = setTimeout(() => this.setMessages(this.messages), delay);
+    }
+  }
+
+  /**
+   * Tell the other devices to reload
+   * @private
+   */
+  async broadcastChange() {
+    if (!this.channel) return;
+
+    try {
+      await this.channel.send({
+        type: 'broadcast',
+        event: CHANGED_EVENT,
+        payload: { timestamp: Date.now() }
+      });
+    } catch (error) {
+      logger.warn('Failed to broadcast message change', error);
+      // Don't throw - other devices catch up on their next refresh
+    }
+  }
+}
+
+function priorityRank(priority) {
+  return MESSAGE_PRIORITIES.findIndex(({ id }) => id === priority);
+}
+
+// Export singleton instance
+export default new MessageService();
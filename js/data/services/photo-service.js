@@ -1,9 +1,14 @@
 // js/data/services/photo-service.js
 // Photo service for managing Supabase photo storage with automatic URL refresh
 // Ported from .legacy/js/services/photo-data-service.js with refactoring
+// v1.1 - 10/19/26 - Pluggable photo sources (Supabase, Google Photos album, media feed), rotated in the slideshow
+// v1.2 - 10/19/26 - Removed the Google Photos album source (Library API no longer lists albums the app didn't create)
 
 import { createLogger } from '../../utils/logger.js';
 import { PhotoStorageService } from '../../../.legacy/js/supabase/photo-storage-service.js';
+import { SupabasePhotoSource } from './photo-sources/supabase-photo-source.js';
+import { FeedPhotoSource } from './photo-sources/feed-photo-source.js';
+import { DEFAULT_PHOTO_SOURCES } from '../../../config.js';
 
 const logger = createLogger('PhotoService');
 
@@ -11,6 +16,8 @@ const logger = createLogger('PhotoService');
  * PhotoService - Manages photo data with Supabase storage
  *
  * Features:
+ * - Photo sources: Dashie uploads and media feeds (registerSource() adds more);
+ *   enabled sources are loaded together and interleaved so the slideshow rotates across them
  * - Automatic signed URL refresh (50 minutes) to prevent expiration
  * - JWT client cache clearing to get fresh signed URLs
  * - Dual timer strategy (setInterval + setTimeout) for reliability
@@ -19,7 +26,8 @@ const logger = createLogger('PhotoService');
  * - Folder/album management
  *
  * Architecture:
- * - Uses PhotoStorageService for Supabase operations
+ * - Uses PhotoStorageService for Supabase operations (upload/delete/storage are Supabase-only)
+ * - Source configs come from the photos.sources setting (see setSourceConfigs)
  * - Broadcasts updates via CustomEvents for widget consumption
  * - Manages photo state and refresh timers
  */
@@ -33,6 +41,11 @@ export class PhotoService {
     this.refreshInterval = null; // Primary timer (setInterval)
     this.refreshTimeout = null; // Backup timer (setTimeout)
 
+    // Photo sources
+    this.sources = new Map(); // type → source implementation
+    this.sourceConfigs = DEFAULT_PHOTO_SOURCES;
+    this.sourceStatus = new Map(); // source id → { ok, count, error, lastLoaded }
+
     logger.verbose('PhotoService constructed');
   }
 
@@ -60,6 +73,10 @@ export class PhotoService {
     try {
       this.userId = userId;
       this.storage = new PhotoStorageService(userId, jwtService);
+
+      this.registerSource(new SupabasePhotoSource(this.storage));
+      this.registerSource(new FeedPhotoSource(jwtService));
+
       this.isInitialized = true;
 
       logger.success('Photo service initialized', { userId });
@@ -70,17 +87,54 @@ export class PhotoService {
     }
   }
 
+  // =========================================================================
+  // PHOTO SOURCES
+  // =========================================================================
+
+  /**
+   * Register a photo source implementation (replaces one of the same type)
+   * @param {Object} source - { type, loadPhotos(config, options) }
+   */
+  registerSource(source) {
+    this.sources.set(source.type, source);
+    logger.verbose('Photo source registered', { type: source.type });
+  }
+
+  /**
+   * Set which sources to load from (photos.sources setting)
+   * Takes effect on the next load.
+   * @param {Array<Object>} configs - [{ id, type, enabled, ...options }]
+   */
+  setSourceConfigs(configs) {
+    this.sourceConfigs = Array.isArray(configs) ? configs : DEFAULT_PHOTO_SOURCES;
+  }
+
+  /**
+   * Load status of each configured source (for the photos settings page)
+   * @returns {Array<{id, type, enabled, ok, count, error, lastLoaded}>}
+   */
+  getSourceStatus() {
+    return this.sourceConfigs.map(config => ({
+      id: config.id,
+      type: config.type,
+      enabled: config.enabled !== false,
+      ...(this.sourceStatus.get(config.id) || { ok: null, count: 0, error: null, lastLoaded: null })
+    }));
+  }
+
   // =========================================================================
   // PHOTO LOADING
   // =========================================================================
 
   /**
-   * Load photos from storage
-   * CRITICAL: Clears JWT client cache to force fresh signed URLs
+   * Load photos from all enabled sources
+   * A failing source is skipped (its error shows in getSourceStatus); if every
+   * enabled source fails, the first error is thrown.
    *
-   * @param {string|null} folder - Folder to load from, or null for all
-   * @param {boolean} shuffle - Whether to shuffle photo order
-   * @returns {Promise<Object>} Photo data object {urls, folder, count, lastUpdated}
+   * @param {string|null} folder - Folder to load Dashie uploads from, or null for all
+   * @param {boolean} shuffle - Whether to shuffle photo order (within each source)
+   * @returns {Promise<Object>} Photo data object {urls, photos, folder, count, lastUpdated}
+   *          (photos: [{id, url, filename, folder, uploadedAt, takenAt, placeName, source}], same order as urls)
    */
   async loadPhotos(folder = null, shuffle = true) {
     if (!this.isInitialized) {
@@ -88,21 +142,50 @@ export class PhotoService {
     }
 
     try {
-      logger.debug('Loading photos', { folder, shuffle });
-
-      // CRITICAL: Clear cached authenticated client to force fresh JWT
-      // This ensures signed URLs are generated with a fresh JWT token
-      // Without this, old signed URLs expire after ~1 hour
-      if (this.storage.authenticatedClient) {
-        logger.debug('🔄 Clearing cached authenticated client to get fresh JWT');
-        this.storage.authenticatedClient = null;
+      const configs = this.sourceConfigs.filter(config => config.enabled !== false && this.sources.has(config.type));
+
+      logger.debug('Loading photos', { folder, shuffle, sources: configs.map(config => config.id) });
+
+      const results = await Promise.allSettled(
+        configs.map(config => this.sources.get(config.type).loadPhotos(config, { folder }))
+      );
+
+      const perSource = [];
+      const errors = [];
+
+      results.forEach((result, index) => {
+        const config = configs[index];
+
+        if (result.status === 'fulfilled') {
+          const photos = result.value;
+          if (shuffle) {
+            shuffleInPlace(photos);
+          }
+          perSource.push(photos);
+          this.sourceStatus.set(config.id, { ok: true, count: photos.length, error: null, lastLoaded: Date.now() });
+        } else {
+          errors.push(result.reason);
+          this.sourceStatus.set(config.id, {
+            ok: false,
+            count: 0,
+            error: result.reason?.message || 'Failed to load',
+            lastLoaded: Date.now()
+          });
+          logger.warn('Photo source failed', { source: config.id, error: result.reason?.message });
+        }
+      });
+
+      if (configs.length > 0 && errors.length === configs.length) {
+        throw errors[0];
       }
 
-      // Fetch photos with fresh signed URLs
-      const urls = await this.storage.getPhotoUrls(folder, shuffle);
+      // Rotate across sources: one photo from each in turn
+      const photos = interleave(perSource);
+      const urls = photos.map(photo => photo.url);
 
       this.currentPhotos = {
         urls: urls,
+        photos: photos,
         folder: folder,
         count: urls.length,
         lastUpdated: Date.now()
@@ -110,6 +193,7 @@ export class PhotoService {
 
       logger.success('Photos loaded', {
         count: urls.length,
+        sources: perSource.length,
         folder: folder || 'all',
         lastUpdated: new Date(this.currentPhotos.lastUpdated).toLocaleTimeString()
       });
@@ -434,6 +518,35 @@ export class PhotoService {
   }
 }
 
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items
+ */
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+}
+
+/**
+ * Merge lists by taking one item from each in turn
+ * @param {Array<Array>} lists - Lists
+ * @returns {Array} Merged list
+ */
+function interleave(lists) {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(list => {
+      if (i < list.length) merged.push(list[i]);
+    });
+  }
+
+  return merged;
+}
+
 // Export singleton instance
 let photoServiceInstance = null;
 
@@ -0,0 +1,161 @@
+// js/data/services/photo-sources/feed-photo-source.js
+// Photo source: RSS/Atom media feed, JSON feed or plain list of image URLs
+// v1.0 - 10/19/26 - Initial implementation
+
+import { createLogger } from '../../../utils/logger.js';
+import { PHOTO_SOURCE_TYPES } from '../../../../config.js';
+
+const logger = createLogger('FeedPhotoSource');
+
+const MAX_FEED_PHOTOS = 500;
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|bmp)(\?|#|$)/i;
+
+/**
+ * FeedPhotoSource - Photos listed at a URL
+ *
+ * Config: { id, type: 'feed', url, title }
+ * The feed is downloaded through the database-operations proxy (most hosts don't
+ * allow CORS); the images themselves load directly in the widget.
+ *
+ * Supported formats (see parseMediaFeed):
+ * - RSS 2.0 with <enclosure type="image/..."> or Media RSS <media:content>
+ * - Atom with <link rel="enclosure" type="image/...">
+ * - JSON: array of URLs / { url, title, date } objects, or JSON Feed (items[].image)
+ * - Plain text: one image URL per line
+ */
+export class FeedPhotoSource {
+  /**
+   * @param {EdgeClient} edgeClient - Edge client (feed proxy)
+   */
+  constructor(edgeClient) {
+    this.edgeClient = edgeClient;
+    this.type = PHOTO_SOURCE_TYPES.FEED;
+  }
+
+  /**
+   * Download and parse the feed
+   * @param {Object} config - Source config
+   * @returns {Promise<Array>} Photos
+   */
+  async loadPhotos(config) {
+    if (!config.url) {
+      throw new Error('Feed source has no URL');
+    }
+
+    const { body, contentType } = await this.edgeClient.fetchMediaFeed(config.url);
+    const entries = parseMediaFeed(body, contentType).slice(0, MAX_FEED_PHOTOS);
+
+    logger.debug('Photo feed loaded', { title: config.title, count: entries.length });
+
+    return entries.map(entry => ({
+      id: `${config.id}:${entry.url}`,
+      url: entry.url,
+      filename: entry.title || null,
+      folder: config.title || null,
+      uploadedAt: entry.date || null,
+      takenAt: null,
+      placeName: null,
+      source: config.id
+    }));
+  }
+}
+
+/**
+ * Extract image entries from a feed
+ * @param {string} text - Feed body
+ * @param {string} contentType - Response content type (hint only)
+ * @returns {Array<{url: string, title: string|null, date: string|null}>} Unique http(s) image URLs, feed order
+ */
+export function parseMediaFeed(text, contentType = '') {
+  const body = (text || '').trim();
+  let entries;
+
+  if (body.startsWith('{') || body.startsWith('[') || contentType.includes('json')) {
+    entries = parseJsonFeed(body);
+  } else if (body.startsWith('<')) {
+    entries = parseXmlFeed(body);
+  } else {
+    entries = body.split(/\r?\n/).map(line => ({ url: line.trim(), title: null, date: null }));
+  }
+
+  const seen = new Set();
+  return entries.filter(entry => {
+    if (!isHttpUrl(entry.url) || seen.has(entry.url)) return false;
+    seen.add(entry.url);
+    return true;
+  });
+}
+
+function parseJsonFeed(body) {
+  const data = JSON.parse(body);
+
+  // JSON Feed (jsonfeed.org) or { items | photos | images: [...] }
+  const list = Array.isArray(data) ? data : (data.items || data.photos || data.images || []);
+
+  return list.map(item => {
+    if (typeof item === 'string') {
+      return { url: item, title: null, date: null };
+    }
+
+    const attachment = (item.attachments || []).find(a => a.mime_type?.startsWith('image/'));
+    return {
+      url: item.url && IMAGE_EXTENSION.test(item.url)
+        ? item.url
+        : (item.image || item.src || attachment?.url || item.banner_image || item.url),
+      title: item.title || null,
+      date: toIsoDate(item.date || item.date_published || item.taken_at)
+    };
+  });
+}
+
+function parseXmlFeed(body) {
+  const doc = new DOMParser().parseFromString(body, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Feed is not valid XML');
+  }
+
+  const items = [...doc.getElementsByTagName('item'), ...doc.getElementsByTagName('entry')];
+
+  return items.flatMap(item => {
+    const title = childText(item, 'title');
+    const date = toIsoDate(childText(item, 'pubDate') || childText(item, 'published') ||
+      childText(item, 'updated') || childText(item, 'date'));
+
+    const urls = [
+      // RSS <enclosure url type>
+      ...[...item.getElementsByTagName('enclosure')]
+        .filter(el => isImage(el.getAttribute('type'), el.getAttribute('url')))
+        .map(el => el.getAttribute('url')),
+      // Media RSS <media:content url medium|type>
+      ...[...item.getElementsByTagNameNS('*', 'content')]
+        .filter(el => el.getAttribute('url') &&
+          (el.getAttribute('medium') === 'image' || isImage(el.getAttribute('type'), el.getAttribute('url'))))
+        .map(el => el.getAttribute('url')),
+      // Atom <link rel="enclosure" href type>
+      ...[...item.getElementsByTagName('link')]
+        .filter(el => el.getAttribute('rel') === 'enclosure' && isImage(el.getAttribute('type'), el.getAttribute('href')))
+        .map(el => el.getAttribute('href'))
+    ];
+
+    return urls.map(url => ({ url, title, date }));
+  });
+}
+
+function childText(item, localName) {
+  const el = [...item.children].find(child => child.localName === localName);
+  return el?.textContent?.trim() || null;
+}
+
+function isImage(type, url) {
+  return type ? type.startsWith('image/') : IMAGE_EXTENSION.test(url || '');
+}
+
+function isHttpUrl(value) {
+  return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
@@ -0,0 +1,44 @@
+// js/data/services/photo-sources/supabase-photo-source.js
+// Photo source: photos uploaded to Dashie (Supabase storage bucket)
+// v1.0 - 10/19/26 - Initial implementation (moved out of PhotoService.loadPhotos)
+
+import { createLogger } from '../../../utils/logger.js';
+import { PHOTO_SOURCE_TYPES } from '../../../../config.js';
+
+const logger = createLogger('SupabasePhotoSource');
+
+/**
+ * SupabasePhotoSource - Dashie uploads with signed URLs (valid 1 hour)
+ *
+ * Photo sources all implement:
+ * - type: PHOTO_SOURCE_TYPES value (matches the source config's type)
+ * - loadPhotos(config, options): [{ id, url, filename, folder, uploadedAt, takenAt, placeName, source }]
+ */
+export class SupabasePhotoSource {
+  /**
+   * @param {PhotoStorageService} storage - Storage service for the signed-in user
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.type = PHOTO_SOURCE_TYPES.SUPABASE;
+  }
+
+  /**
+   * Load photos with fresh signed URLs
+   * @param {Object} config - Source config ({ id })
+   * @param {Object} options - { folder } (null for all folders)
+   * @returns {Promise<Array>} Photos
+   */
+  async loadPhotos(config, { folder = null } = {}) {
+    // CRITICAL: Clear cached authenticated client to force fresh JWT
+    // This ensures signed URLs are generated with a fresh JWT token
+    // Without this, old signed URLs expire after ~1 hour
+    if (this.storage.authenticatedClient) {
+      logger.debug('🔄 Clearing cached authenticated client to get fresh JWT');
+      this.storage.authenticatedClient = null;
+    }
+
+    const photos = await this.storage.getPhotos(folder);
+    return photos.map(photo => ({ ...photo, source: config.id }));
+  }
+}
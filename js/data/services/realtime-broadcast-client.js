@@ -0,0 +1,403 @@
+// js/data/services/realtime-broadcast-client.js
+// Minimal Supabase Realtime client for broadcast channels (no supabase-js dependency)
+// v1.0 - 10/19/26 - Initial implementation (settings sync and dashboard remote commands)
+// v1.1 - 10/19/26 - Private channels: joins and REST sends carry the user's JWT (Realtime Authorization)
+
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('RealtimeBroadcast');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * RealtimeBroadcastClient - Supabase Realtime broadcast over one WebSocket
+ *
+ * Implements the part of the supabase-js channel API this app uses:
+ *
+ *   const channel = realtimeClient.channel('user_settings_123')
+ *     .on('broadcast', { event: 'settings-changed' }, (message) => { ... message.payload ... })
+ *     .subscribe();
+ *   await channel.send({ type: 'broadcast', event: 'settings-changed', payload: {...} });
+ *   channel.unsubscribe();
+ *
+ * - Every channel() call returns its own handle; handles on the same topic share
+ *   one join, and the topic is left when its last handle unsubscribes
+ * - send() goes over the socket once the topic is joined, otherwise through the
+ *   REST broadcast endpoint (so a one-off send needs no subscription)
+ * - The socket connects on the first subscribe(), reconnects with backoff and
+ *   rejoins its topics
+ * - Own messages are not echoed back (broadcast.self = false)
+ * - Channels are private: Supabase checks the user's JWT against the RLS policies
+ *   on realtime.messages (migrations/20261019100500_realtime_authorization.sql), so only
+ *   the signed-in user can send to or listen on their user_settings_<id> topic.
+ *   A refreshed JWT is passed to the joined topics with the next heartbeat.
+ */
+class RealtimeBroadcastClient {
+  constructor() {
+    this.url = null;
+    this.apiKey = null;
+    this.getAccessToken = null;
+    this.accessToken = null; // Token the joined topics were last authorized with
+    this.socket = null;
+    this.topics = new Map(); // topic name → { joined, joinRef, handles: Set }
+    this.ref = 0;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+  }
+
+  /**
+   * Set the Supabase project to connect to
+   * @param {Object} config
+   * @param {string} config.url - Supabase project URL (SUPABASE_CONFIG)
+   * @param {string} config.anonKey - Anon key (SUPABASE_CONFIG)
+   * @param {Function} config.getAccessToken - Returns the user's current JWT (private channels)
+   */
+  configure({ url, anonKey, getAccessToken }) {
+    this.url = url;
+    this.apiKey = anonKey;
+    this.getAccessToken = getAccessToken;
+    logger.verbose('Realtime broadcast configured', { url });
+  }
+
+  /**
+   * @returns {boolean} Whether configure() has been called with a way to get the user's JWT
+   */
+  isConfigured() {
+    return !!(this.url && this.apiKey && this.getAccessToken);
+  }
+
+  /**
+   * Get a handle on a broadcast channel
+   * @param {string} name - Channel (topic) name
+   * @returns {Object} Channel handle ({ on, subscribe, send, unsubscribe })
+   */
+  channel(name) {
+    const client = this;
+    const listeners = [];
+    let subscribed = false;
+
+    const handle = {
+      on(type, filter, callback) {
+        if (type === 'broadcast') {
+          listeners.push({ event: filter?.event, callback });
+        }
+        return handle;
+      },
+
+      subscribe() {
+        if (!subscribed) {
+          subscribed = true;
+          client.addHandle(name, { listeners });
+        }
+        return handle;
+      },
+
+      send(message) {
+        return client.send(name, message.event, message.payload);
+      },
+
+      unsubscribe() {
+        if (subscribed) {
+          subscribed = false;
+          client.removeHandle(name, listeners);
+        }
+      }
+    };
+
+    return handle;
+  }
+
+  // =============================================================================
+  // TOPICS
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  addHandle(name, handle) {
+    let topic = this.topics.get(name);
+    if (!topic) {
+      topic = { joined: false, joinRef: null, handles: new Set() };
+      this.topics.set(name, topic);
+    }
+    topic.handles.add(handle);
+
+    if (this.isOpen()) {
+      if (!topic.joinRef) this.join(name);
+    } else {
+      this.connect();
+    }
+  }
+
+  /**
+   * @private
+   */
+  removeHandle(name, listeners) {
+    const topic = this.topics.get(name);
+    if (!topic) return;
+
+    topic.handles.forEach(handle => {
+      if (handle.listeners === listeners) topic.handles.delete(handle);
+    });
+
+    if (topic.handles.size > 0) return;
+
+    this.topics.delete(name);
+    if (this.isOpen()) {
+      this.push(`realtime:${name}`, 'phx_leave', {});
+    }
+    logger.debug('Left channel', { name });
+
+    if (this.topics.size === 0) {
+      this.disconnect();
+    }
+  }
+
+  /**
+   * @private
+   */
+  join(name) {
+    const topic = this.topics.get(name);
+    if (!topic) return;
+
+    const accessToken = this.getAccessToken();
+    if (!accessToken) {
+      logger.warn('Not joining channel without a signed-in user', { name });
+      return;
+    }
+
+    this.accessToken = accessToken;
+    topic.joined = false;
+    topic.joinRef = this.push(`realtime:${name}`, 'phx_join', {
+      config: {
+        broadcast: { self: false, ack: false },
+        presence: { key: '' },
+        postgres_changes: [],
+        private: true
+      },
+      access_token: accessToken
+    });
+  }
+
+  /**
+   * Pass a refreshed JWT to the joined topics (they close when the old one expires)
+   * @private
+   */
+  refreshAccessToken() {
+    const accessToken = this.getAccessToken();
+    if (!accessToken || accessToken === this.accessToken) return;
+
+    this.accessToken = accessToken;
+    this.topics.forEach((topic, name) => {
+      if (topic.joined) {
+        this.push(`realtime:${name}`, 'access_token', { access_token: accessToken });
+      }
+    });
+    logger.debug('Realtime access token refreshed');
+  }
+
+  // =============================================================================
+  // SENDING
+  // =============================================================================
+
+  /**
+   * Broadcast a message to everyone else on a channel
+   * @private
+   * @returns {Promise<string>} 'ok' or 'error' (like supabase-js)
+   */
+  async send(name, event, payload) {
+    const topic = this.topics.get(name);
+
+    if (topic?.joined && this.isOpen()) {
+      this.push(`realtime:${name}`, 'broadcast', { type: 'broadcast', event, payload });
+      return 'ok';
+    }
+
+    const accessToken = this.isConfigured() ? this.getAccessToken() : null;
+    if (!accessToken) {
+      logger.warn('Realtime broadcast not configured or not signed in, message dropped', { name, event });
+      return 'error';
+    }
+
+    // Not joined: REST broadcast endpoint (authorized like a join)
+    try {
+      const response = await fetch(`${this.url}/realtime/v1/api/broadcast`, {
+        method: 'POST',
+        headers: {
+          'apikey': this.apiKey,
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ messages: [{ topic: name, event, payload, private: true }] })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Broadcast failed: ${response.status}`);
+      }
+      return 'ok';
+    } catch (error) {
+      logger.warn('REST broadcast failed', { name, event, error: error.message });
+      return 'error';
+    }
+  }
+
+  // =============================================================================
+  // SOCKET
+  // =============================================================================
+
+  /**
+   * @private
+   */
+  connect() {
+    if (this.socket || this.reconnectTimer) return;
+
+    if (!this.isConfigured() || typeof WebSocket === 'undefined') {
+      logger.warn('Realtime broadcast unavailable (not configured or no WebSocket support)');
+      return;
+    }
+
+    const socketUrl = `${this.url.replace(/^http/, 'ws')}/realtime/v1/websocket?apikey=${encodeURIComponent(this.apiKey)}&vsn=1.0.0`;
+    const socket = new WebSocket(socketUrl);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      logger.debug('Realtime socket connected');
+      this.reconnectAttempt = 0;
+      this.heartbeatTimer = setInterval(() => {
+        this.push('phoenix', 'heartbeat', {});
+        this.refreshAccessToken();
+      }, HEARTBEAT_INTERVAL_MS);
+      this.topics.forEach((_, name) => this.join(name));
+    };
+
+    socket.onmessage = (event) => this.handleMessage(event.data);
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.handleClose();
+    };
+
+    socket.onerror = () => {
+      logger.debug('Realtime socket error');
+    };
+  }
+
+  /**
+   * @private
+   */
+  disconnect() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+      logger.debug('Realtime socket closed');
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleClose() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.socket = null;
+
+    this.topics.forEach(topic => {
+      topic.joined = false;
+      topic.joinRef = null;
+    });
+
+    if (this.topics.size === 0) return;
+
+    const delay = RECONNECT_DELAYS_MS[Math.min(this.reconnectAttempt, RECONNECT_DELAYS_MS.length - 1)];
+    this.reconnectAttempt++;
+    logger.debug('Realtime socket closed, reconnecting', { delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return;
+    }
+
+    const name = message.topic?.replace(/^realtime:/, '');
+    const topic = this.topics.get(name);
+    if (!topic) return;
+
+    switch (message.event) {
+      case 'phx_reply':
+        if (message.ref === topic.joinRef) {
+          topic.joined = message.payload?.status === 'ok';
+          if (topic.joined) {
+            logger.debug('Joined channel', { name });
+          } else {
+            logger.warn('Channel join refused', { name, response: message.payload?.response });
+          }
+        }
+        break;
+
+      case 'phx_error':
+      case 'phx_close':
+        topic.joined = false;
+        topic.joinRef = null;
+        setTimeout(() => {
+          if (this.topics.get(name) === topic && !topic.joinRef && this.isOpen()) this.join(name);
+        }, RECONNECT_DELAYS_MS[0]);
+        break;
+
+      case 'broadcast': {
+        const { event, payload } = message.payload || {};
+        topic.handles.forEach(handle => {
+          handle.listeners
+            .filter(listener => !listener.event || listener.event === event)
+            .forEach(listener => {
+              try {
+                listener.callback({ type: 'broadcast', event, payload });
+              } catch (error) {
+                logger.error('Broadcast listener failed', { name, event, error: error.message });
+              }
+            });
+        });
+        break;
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {string} Message ref
+   */
+  push(topic, event, payload) {
+    const ref = String(++this.ref);
+    this.socket.send(JSON.stringify({ topic, event, payload, ref }));
+    return ref;
+  }
+
+  /**
+   * @private
+   */
+  isOpen() {
+    return this.socket?.readyState === 1; // WebSocket.OPEN
+  }
+}
+
+// Export singleton
+const realtimeClient = new RealtimeBroadcastClient();
+export default realtimeClient;
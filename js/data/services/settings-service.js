@@ -4,6 +4,7 @@
 
 import { createLogger } from '../../utils/logger.js';
 import { getDefaultSettings, STORAGE_KEYS } from '../../../config.js';
+import realtimeClient from './realtime-broadcast-client.js';
 
 const logger = createLogger('SettingsService');
 
@@ -28,14 +29,15 @@ export class SettingsService {
     /**
      * Set the EdgeClient for database operations
      * @param {EdgeClient} edgeClient - EdgeClient instance
+     * @param {string} [dataUserId] - User id the settings belong to (household owner; defaults to the signed-in user)
      */
-    setEdgeClient(edgeClient) {
+    setEdgeClient(edgeClient, dataUserId = null) {
         this.edgeClient = edgeClient;
-        this.userId = edgeClient?.userId;
+        this.userId = dataUserId || edgeClient?.jwtUserId || null;
 
-        // Get Supabase client for broadcast channels
-        if (window.supabase) {
-            this.supabase = window.supabase;
+        // Broadcast channels (configured in service-initializer)
+        if (realtimeClient.isConfigured()) {
+            this.supabase = realtimeClient;
         }
 
         logger.verbose('EdgeClient set for settings service', { userId: this.userId });
@@ -63,6 +65,8 @@ export class SettingsService {
                             lastModified: dbSettings.lastModified
                         });
 
+                        this._normalizeFamilyMembers(dbSettings);
+
                         // Also update localStorage cache
                         this._saveToLocalStorage(dbSettings);
 
@@ -83,7 +87,7 @@ export class SettingsService {
                 logger.info('Settings loaded from localStorage', {
                     version: localSettings.version
                 });
-                return localSettings;
+                return this._normalizeFamilyMembers(localSettings);
             }
 
             // 3. Fall back to defaults
@@ -132,8 +136,10 @@ export class SettingsService {
                 // Don't throw - try database anyway
             }
 
-            // 2. Try to save to database if authenticated
-            if (this.edgeClient && this.edgeClient.jwtToken) {
+            // 2. Try to save to database if authenticated (household viewers keep changes on this device)
+            if (window.householdService && !window.householdService.canEdit()) {
+                logger.debug('Household viewer, skipping database save');
+            } else if (this.edgeClient && this.edgeClient.jwtToken) {
                 try {
                     logger.debug('Saving to database (authenticated)');
                     await this.edgeClient.saveSettings(settings);
@@ -255,6 +261,35 @@ export class SettingsService {
         }
     }
 
+    /**
+     * Ensure family.members is a list of complete member profiles
+     * Settings saved before member profiles existed (or by older clients) may lack fields
+     * @private
+     * @param {object} settings - Settings object (modified in place)
+     * @returns {object} The same settings object
+     */
+    _normalizeFamilyMembers(settings) {
+        if (!settings.family || typeof settings.family !== 'object') {
+            settings.family = {};
+        }
+
+        const members = Array.isArray(settings.family.members) ? settings.family.members : [];
+
+        settings.family.members = members
+            .filter(member => member && typeof member === 'object')
+            .map((member, index) => ({
+                id: member.id || `member-${index + 1}`,
+                name: member.name || '',
+                color: member.color || null,
+                emoji: member.emoji || '',
+                photoUrl: member.photoUrl || '',
+                birthday: member.birthday || '',
+                calendarIds: Array.isArray(member.calendarIds) ? member.calendarIds : []
+            }));
+
+        return settings;
+    }
+
     /**
      * Clear all settings from localStorage and optionally from database
      * @param {boolean} clearDatabase - Whether to also clear database
@@ -1,6 +1,7 @@
 // js/data/services/weather-service.js
 // Weather service for fetching weather data with caching
 // Extracted from clock widget for proper service architecture
+// v1.1 - 10/19/26 - 7-day / 24-hour forecast (highs/lows, precipitation, sunrise/sunset)
 
 import { createLogger } from '../../utils/logger.js';
 import { geocodeZipCodeCached } from '../../utils/geocoding-helper.js';
@@ -13,6 +14,7 @@ const logger = createLogger('WeatherService');
  * Features:
  * - Zip code to coordinates conversion (Nominatim API)
  * - Weather data fetching (Open-Meteo API)
+ * - 7-day and next-24-hour forecast (Open-Meteo API)
  * - Caching to reduce API calls
  * - Temperature and weather code mapping
  *
@@ -150,6 +152,156 @@ export class WeatherService {
     }
   }
 
+  // =========================================================================
+  // FORECAST
+  // =========================================================================
+
+  /**
+   * Get forecast for a zip code (cached with the same TTL as current weather)
+   *
+   * @param {string} zipCode - US zip code
+   * @returns {Promise<Object>} Forecast {current, daily, hourly, timezone, coordinates, timestamp}
+   */
+  async getForecastForZipCode(zipCode) {
+    if (!zipCode) {
+      throw new Error('Zip code is required');
+    }
+
+    try {
+      const cacheKey = `forecast-${zipCode}`;
+      const cached = this._getFromCache(cacheKey);
+      if (cached) {
+        logger.debug('Forecast from cache', { zipCode });
+        return cached;
+      }
+
+      const coords = await this.zipToCoordinates(zipCode);
+      const forecast = await this.getForecastForCoordinates(coords.latitude, coords.longitude);
+
+      const result = {
+        ...forecast,
+        coordinates: coords
+      };
+
+      this._setCache(cacheKey, result);
+
+      logger.success('Forecast fetched', {
+        zipCode,
+        days: result.daily.length,
+        hours: result.hourly.length
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to get forecast for zip code', { zipCode, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Get forecast for coordinates
+   * Times are local to the location (Open-Meteo timezone=auto), as 'YYYY-MM-DDTHH:mm' strings
+   *
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Promise<Object>} Forecast
+   *   current: {temperature, weatherCode, icon}
+   *   daily:   [{date, high, low, weatherCode, icon, precipitationProbability, sunrise, sunset}] (7 days from today)
+   *   hourly:  [{time, temperature, weatherCode, icon, precipitationProbability}] (next 24 hours)
+   */
+  async getForecastForCoordinates(latitude, longitude) {
+    try {
+      logger.debug('Fetching forecast for coordinates', { latitude, longitude });
+
+      const params = [
+        `latitude=${latitude}`,
+        `longitude=${longitude}`,
+        'current_weather=true',
+        'daily=weathercode,temperature_2m_max,temperature_2m_min,precipitation_probability_max,sunrise,sunset',
+        'hourly=temperature_2m,weathercode,precipitation_probability',
+        'temperature_unit=fahrenheit',
+        'timezone=auto',
+        'forecast_days=7'
+      ].join('&');
+
+      const response = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`);
+
+      if (!response.ok) {
+        throw new Error(`Weather API returned ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const weatherCode = data.current_weather?.weathercode;
+      const temp = Math.round(data.current_weather?.temperature);
+
+      if (typeof temp !== 'number' || isNaN(temp) || !data.daily || !data.hourly) {
+        throw new Error('Invalid forecast data received');
+      }
+
+      const result = {
+        current: {
+          temperature: temp,
+          weatherCode,
+          icon: this.getWeatherIcon(weatherCode)
+        },
+        daily: this._parseDailyForecast(data.daily),
+        hourly: this._parseHourlyForecast(data.hourly, data.current_weather.time),
+        timezone: data.timezone,
+        timestamp: Date.now()
+      };
+
+      logger.debug('Forecast fetched successfully', {
+        days: result.daily.length,
+        hours: result.hourly.length
+      });
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to fetch forecast data', { latitude, longitude, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Map Open-Meteo daily arrays to one object per day
+   * @private
+   */
+  _parseDailyForecast(daily) {
+    return (daily.time || []).map((date, i) => ({
+      date,
+      high: Math.round(daily.temperature_2m_max[i]),
+      low: Math.round(daily.temperature_2m_min[i]),
+      weatherCode: daily.weathercode[i],
+      icon: this.getWeatherIcon(daily.weathercode[i]),
+      precipitationProbability: daily.precipitation_probability_max?.[i] ?? null,
+      sunrise: daily.sunrise?.[i] || null,
+      sunset: daily.sunset?.[i] || null
+    }));
+  }
+
+  /**
+   * Map Open-Meteo hourly arrays to the 24 hours starting with the current hour
+   * Both hourly times and currentTime are location-local strings, so they compare directly
+   * @private
+   */
+  _parseHourlyForecast(hourly, currentTime) {
+    const times = hourly.time || [];
+    const currentHour = (currentTime || '').slice(0, 13); // 'YYYY-MM-DDTHH'
+    const startIndex = Math.max(0, times.findIndex(time => time.slice(0, 13) >= currentHour));
+
+    return times.slice(startIndex, startIndex + 24).map((time, offset) => {
+      const i = startIndex + offset;
+      return {
+        time,
+        temperature: Math.round(hourly.temperature_2m[i]),
+        weatherCode: hourly.weathercode[i],
+        icon: this.getWeatherIcon(hourly.weathercode[i]),
+        precipitationProbability: hourly.precipitation_probability?.[i] ?? null
+      };
+    });
+  }
+
   // =========================================================================
   // GEOCODING (Zip Code → Coordinates)
   // =========================================================================
@@ -239,6 +391,7 @@ export class WeatherService {
    */
   clearCacheForZipCode(zipCode) {
     this.cache.delete(`weather-${zipCode}`);
+    this.cache.delete(`forecast-${zipCode}`);
     this.cache.delete(`coords-${zipCode}`);
     logger.debug('Cache cleared for zip code', { zipCode });
   }
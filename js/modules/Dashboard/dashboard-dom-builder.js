@@ -1,9 +1,13 @@
 // js/modules/Dashboard/dashboard-dom-builder.js
 // Dashboard DOM creation functions
 // v1.0 - 10/16/25 - Extracted from dashboard-ui-renderer.js
+// v1.1 - 10/19/26 - One cell per widget definition; placement comes from the layout (VisualEffects.applyLayout)
+// v1.2 - 10/19/26 - Widget plugin cells (no referrer, no device permissions)
+// v1.3 - 10/19/26 - Plugin iframes drop allow-same-origin (opaque origin)
+// v1.3 - 10/19/26 - Message board banner
 
 import { createLogger } from '../../utils/logger.js';
-import { widgetConfig } from './dashboard-widget-config.js';
+import { widgetDefinitions } from './dashboard-widget-config.js';
 
 const logger = createLogger('DashboardDOMBuilder');
 
@@ -17,6 +21,7 @@ const logger = createLogger('DashboardDOMBuilder');
  * - Create sidebar structure
  * - Create grid structure
  * - Create menu items
+ * - Create message board banner
  *
  * Does NOT:
  * - Attach event listeners (handled by event-handlers.js)
@@ -124,45 +129,35 @@ class DOMBuilder {
 
   /**
    * Create widget grid
+   * Every defined widget gets a cell (and iframe); widgets the layout doesn't
+   * place stay hidden, so switching layouts never reloads widgets.
+   * Grid tracks and cell positions are applied by VisualEffects.applyLayout().
    * @returns {HTMLElement} Grid element
    */
   static createGrid() {
     const grid = document.createElement('main');
     grid.className = 'dashboard-grid';
 
-    // Create widgets from configuration (3 rows × 2 columns with varying spans)
-    widgetConfig.forEach(widget => {
+    widgetDefinitions.forEach(widget => {
       const cell = this.createGridCell(widget);
       grid.appendChild(cell);
     });
 
-    logger.debug('Grid created', { widgetCount: widgetConfig.length });
+    logger.debug('Grid created', { widgetCount: widgetDefinitions.length });
     return grid;
   }
 
   /**
    * Create a single grid cell for a widget
-   * @param {Object} widget - Widget configuration
+   * @param {Object} widget - Widget definition
    * @returns {HTMLElement} Cell element
    */
   static createGridCell(widget) {
     const cell = document.createElement('div');
     cell.className = 'dashboard-grid__cell';
 
-    // Add span classes if needed
-    if (widget.rowSpan > 1) {
-      cell.classList.add(`dashboard-grid__cell--rowspan-${widget.rowSpan}`);
-    }
-    if (widget.colSpan > 1) {
-      cell.classList.add(`dashboard-grid__cell--colspan-${widget.colSpan}`);
-    }
-
-    // Set data attributes
-    cell.dataset.row = widget.row;
-    cell.dataset.col = widget.col;
+    // Set data attributes (row/col/spans are set from the layout)
     cell.dataset.widgetId = widget.id;
-    cell.dataset.rowSpan = widget.rowSpan;
-    cell.dataset.colSpan = widget.colSpan;
     cell.dataset.noCenter = widget.noCenter || false;
     cell.dataset.focusScale = widget.focusScale || 1.2;
     cell.dataset.selectable = widget.selectable !== false;
@@ -176,6 +171,16 @@ class DOMBuilder {
       iframe.sandbox = 'allow-scripts allow-same-origin';
       iframe.title = widget.label || widget.id;
 
+      // Plugins are third-party pages: no allow-same-origin (a plugin served from
+      // the dashboard's origin could otherwise reach into the parent), don't leak
+      // the dashboard URL or grant device features
+      if (widget.plugin) {
+        cell.dataset.plugin = true;
+        iframe.sandbox = 'allow-scripts';
+        iframe.referrerPolicy = 'no-referrer';
+        iframe.allow = '';
+      }
+
       cell.appendChild(iframe);
     } else {
       // Fallback placeholder if no widget path provided
@@ -188,6 +193,20 @@ class DOMBuilder {
     return cell;
   }
 
+  /**
+   * Create message board banner (filled and shown by VisualEffects.updateMessageBanner)
+   * @returns {HTMLElement} Banner element
+   */
+  static createMessageBanner() {
+    const banner = document.createElement('div');
+    banner.className = 'dashboard-message-banner';
+    banner.innerHTML = `
+      <div class="dashboard-message-banner__text"></div>
+      <div class="dashboard-message-banner__meta"></div>
+    `;
+    return banner;
+  }
+
   /**
    * Create sidebar wrapper
    * @returns {HTMLElement} Wrapper element
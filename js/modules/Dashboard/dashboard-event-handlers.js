@@ -1,6 +1,7 @@
 // js/modules/Dashboard/dashboard-event-handlers.js
 // Dashboard event handling and user interaction
 // v1.0 - 10/16/25 - Extracted from dashboard-ui-renderer.js
+// v1.1 - 10/19/26 - Per-cell attach (plugin cells added at runtime); positions read at event time
 
 import { createLogger } from '../../utils/logger.js';
 import DashboardStateManager from './dashboard-state-manager.js';
@@ -33,28 +34,33 @@ class GridEventHandler {
   static attach(grid) {
     const cells = grid.querySelectorAll('.dashboard-grid__cell');
 
-    cells.forEach(cell => {
-      const row = parseInt(cell.dataset.row);
-      const col = parseInt(cell.dataset.col);
-      const widgetId = cell.dataset.widgetId;
+    cells.forEach(cell => this.attachCell(cell));
 
-      // Hover handler - show selected state
-      cell.addEventListener('mouseenter', () => {
-        this.handleHover(row, col, widgetId);
-      });
+    logger.debug('Grid event listeners attached', { cellCount: cells.length });
+  }
 
-      // Mouseleave handler - return to idle state
-      cell.addEventListener('mouseleave', () => {
-        this.handleLeave(row, col, widgetId);
-      });
+  /**
+   * Attach event listeners to one grid cell
+   * Row/col are read when the event fires - the layout can move cells at any time
+   * @param {HTMLElement} cell - Grid cell element
+   */
+  static attachCell(cell) {
+    const position = () => [parseInt(cell.dataset.row), parseInt(cell.dataset.col), cell.dataset.widgetId];
 
-      // Click handler - enter focus/active state
-      cell.addEventListener('click', (e) => {
-        this.handleClick(e, row, col, widgetId);
-      });
+    // Hover handler - show selected state
+    cell.addEventListener('mouseenter', () => {
+      this.handleHover(...position());
     });
 
-    logger.debug('Grid event listeners attached', { cellCount: cells.length });
+    // Mouseleave handler - return to idle state
+    cell.addEventListener('mouseleave', () => {
+      this.handleLeave(...position());
+    });
+
+    // Click handler - enter focus/active state
+    cell.addEventListener('click', (e) => {
+      this.handleClick(e, ...position());
+    });
   }
 
   /**
@@ -0,0 +1,213 @@
+// js/modules/Dashboard/dashboard-focus-menu.js
+// Widget focus menu - Panel of actions/views shown beside a focused widget
+// v1.0 - 10/19/26 - Initial implementation (menus come from widget-config messages)
+
+import { createLogger } from '../../utils/logger.js';
+import widgetMessenger from '../../core/widget-messenger.js';
+
+const logger = createLogger('DashboardFocusMenu');
+
+/**
+ * Focus Menu
+ *
+ * Widgets describe their menu with a widget-config message:
+ *   { type: 'widget-config', focusMenu: { enabled, defaultIndex, currentView, items: [{ id, label, type }] } }
+ *
+ * WidgetMessenger stores the latest config per widget ID; this module renders it.
+ *
+ * States (see NavigationManager):
+ * - Menu active: UP/DOWN move the selection, ENTER selects, RIGHT hands control to the widget
+ * - Widget active: menu stays visible but dimmed until the widget sends return-to-menu
+ *
+ * Uses singleton pattern (static methods only).
+ */
+class FocusMenu {
+  static element = null;
+  static widgetId = null;
+  static items = [];
+  static selectedIndex = 0;
+  static currentView = null;
+  static isActive = false; // true = menu has D-pad control, false = widget has control
+
+  /**
+   * Check if a widget has an enabled focus menu
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} True if widget sent an enabled menu with items
+   */
+  static hasMenu(widgetId) {
+    const focusMenu = widgetMessenger.getWidgetConfig(widgetId)?.focusMenu;
+    return !!(focusMenu?.enabled && focusMenu.items?.length);
+  }
+
+  /**
+   * Show menu for a widget (menu starts active)
+   * @param {string} widgetId - Widget ID
+   */
+  static show(widgetId) {
+    const focusMenu = widgetMessenger.getWidgetConfig(widgetId)?.focusMenu;
+    if (!focusMenu) {
+      logger.warn('No focus menu config for widget', { widgetId });
+      return;
+    }
+
+    this.widgetId = widgetId;
+    this.items = focusMenu.items || [];
+    this.currentView = focusMenu.currentView || null;
+    this.selectedIndex = this.clampIndex(focusMenu.defaultIndex || 0);
+    this.isActive = true;
+
+    this.render();
+    this.positionBesideWidget();
+
+    logger.info('Focus menu shown', { widgetId, items: this.items.length });
+  }
+
+  /**
+   * Hide and remove menu
+   */
+  static hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    this.widgetId = null;
+    this.items = [];
+    this.isActive = false;
+
+    logger.debug('Focus menu hidden');
+  }
+
+  /**
+   * Re-read config after the widget sends a new one (e.g., view changed)
+   * Keeps the current selection
+   * @param {string} widgetId - Widget ID that sent the config
+   */
+  static refresh(widgetId) {
+    if (!this.element || widgetId !== this.widgetId) return;
+
+    const focusMenu = widgetMessenger.getWidgetConfig(widgetId)?.focusMenu;
+    if (!focusMenu?.enabled) {
+      return;
+    }
+
+    this.items = focusMenu.items || [];
+    this.currentView = focusMenu.currentView || null;
+    this.selectedIndex = this.clampIndex(this.selectedIndex);
+
+    this.render();
+  }
+
+  /**
+   * Move selection up/down (wraps around)
+   * @param {number} direction - -1 for up, 1 for down
+   * @returns {Object|null} Newly selected item
+   */
+  static moveSelection(direction) {
+    if (this.items.length === 0) return null;
+
+    this.selectedIndex = (this.selectedIndex + direction + this.items.length) % this.items.length;
+    this.updateSelection();
+
+    return this.getSelectedItem();
+  }
+
+  /**
+   * Get currently selected item
+   * @returns {Object|null} Menu item
+   */
+  static getSelectedItem() {
+    return this.items[this.selectedIndex] || null;
+  }
+
+  /**
+   * Switch D-pad control between menu and widget
+   * @param {boolean} active - True when the menu has control
+   */
+  static setActive(active) {
+    this.isActive = active;
+    this.element?.classList.toggle('focus-menu--dimmed', !active);
+  }
+
+  /**
+   * Build menu DOM
+   * @private
+   */
+  static render() {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = 'focus-menu';
+
+      const container = document.querySelector('.dashboard') || document.body;
+      container.appendChild(this.element);
+    }
+
+    this.element.innerHTML = this.items.map((item, index) => {
+      const classes = ['focus-menu__item', `focus-menu__item--${item.type || 'action'}`];
+      if (index === this.selectedIndex) classes.push('focus-menu__item--selected');
+      if (item.id === this.currentView) classes.push('focus-menu__item--current');
+
+      return `<div class="${classes.join(' ')}" data-menu-index="${index}">${item.label}</div>`;
+    }).join('');
+
+    this.element.classList.toggle('focus-menu--dimmed', !this.isActive);
+  }
+
+  /**
+   * Update selected item highlight
+   * @private
+   */
+  static updateSelection() {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.focus-menu__item').forEach(itemEl => {
+      const index = parseInt(itemEl.dataset.menuIndex, 10);
+      itemEl.classList.toggle('focus-menu__item--selected', index === this.selectedIndex);
+    });
+  }
+
+  /**
+   * Place menu to the left of the focused widget once its focus transition settles
+   * @private
+   */
+  static positionBesideWidget() {
+    const widgetId = this.widgetId;
+
+    setTimeout(() => {
+      if (!this.element || this.widgetId !== widgetId) return;
+
+      const cell = document.querySelector(`.dashboard-grid__cell[data-widget-id="${widgetId}"]`);
+      if (!cell) return;
+
+      const rect = cell.getBoundingClientRect();
+      const menuWidth = this.element.offsetWidth;
+      const left = Math.max(16, rect.left - menuWidth - 16);
+
+      this.element.style.left = `${left}px`;
+      this.element.style.top = `${Math.max(16, rect.top)}px`;
+    }, 450); // Focus transform transition is 0.4s
+  }
+
+  /**
+   * Clamp index into item range
+   * @private
+   */
+  static clampIndex(index) {
+    if (this.items.length === 0) return 0;
+    return Math.min(Math.max(0, index), this.items.length - 1);
+  }
+}
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.FocusMenu = FocusMenu;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default FocusMenu;
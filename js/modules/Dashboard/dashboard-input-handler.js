@@ -1,12 +1,14 @@
 // js/modules/Dashboard/dashboard-input-handler.js
 // Dashboard input handler - Routes actions to navigation manager
 // v1.0 - 10/16/25 - Initial implementation for Phase 2
+// v1.1 - 10/19/26 - Arrows go to the widget focus menu while it has control
 
 import { createLogger } from '../../utils/logger.js';
 import NavigationManager from './dashboard-navigation-manager.js';
 import DashboardTimers from './dashboard-timers.js';
 import DashboardStateManager from './dashboard-state-manager.js';
 import widgetMessenger from '../../core/widget-messenger.js';
+import FocusMenu from './dashboard-focus-menu.js';
 
 const logger = createLogger('DashboardInput');
 
@@ -58,9 +60,9 @@ class DashboardInputHandler {
     logger.debug('Handling UP action');
     DashboardTimers.reset(); // Reset timer on any input
 
-    // If widget is focused, send command to widget
+    // If widget is focused (and its focus menu doesn't have control), send command to widget
     const state = DashboardStateManager.getState();
-    if (state.focusedWidget) {
+    if (state.focusedWidget && !FocusMenu.isActive) {
       logger.debug('Forwarding UP to focused widget', { widgetId: state.focusedWidget });
       widgetMessenger.sendCommandToWidget(state.focusedWidget, 'up');
       return true;
@@ -80,9 +82,9 @@ class DashboardInputHandler {
     logger.debug('Handling DOWN action');
     DashboardTimers.reset(); // Reset timer on any input
 
-    // If widget is focused, send command to widget
+    // If widget is focused (and its focus menu doesn't have control), send command to widget
     const state = DashboardStateManager.getState();
-    if (state.focusedWidget) {
+    if (state.focusedWidget && !FocusMenu.isActive) {
       logger.debug('Forwarding DOWN to focused widget', { widgetId: state.focusedWidget });
       widgetMessenger.sendCommandToWidget(state.focusedWidget, 'down');
       return true;
@@ -102,9 +104,9 @@ class DashboardInputHandler {
     logger.debug('Handling LEFT action');
     DashboardTimers.reset(); // Reset timer on any input
 
-    // If widget is focused, send command to widget
+    // If widget is focused (and its focus menu doesn't have control), send command to widget
     const state = DashboardStateManager.getState();
-    if (state.focusedWidget) {
+    if (state.focusedWidget && !FocusMenu.isActive) {
       logger.debug('Forwarding LEFT to focused widget', { widgetId: state.focusedWidget });
       widgetMessenger.sendCommandToWidget(state.focusedWidget, 'left');
       return true;
@@ -124,9 +126,9 @@ class DashboardInputHandler {
     logger.debug('Handling RIGHT action');
     DashboardTimers.reset(); // Reset timer on any input
 
-    // If widget is focused, send command to widget
+    // If widget is focused (and its focus menu doesn't have control), send command to widget
     const state = DashboardStateManager.getState();
-    if (state.focusedWidget) {
+    if (state.focusedWidget && !FocusMenu.isActive) {
       logger.debug('Forwarding RIGHT to focused widget', { widgetId: state.focusedWidget });
       widgetMessenger.sendCommandToWidget(state.focusedWidget, 'right');
       return true;
@@ -0,0 +1,355 @@
+// js/modules/Dashboard/dashboard-layout-manager.js
+// Active Dashboard layout - persistence, widget placement lookups and grid navigation
+// v1.0 - 10/19/26 - Initial implementation (replaces the hard-coded widgetConfig grid)
+// v1.1 - 10/19/26 - Layout saved in DeviceProfile, so it's kept on the dashboard's heartbeat row
+
+import { createLogger } from '../../utils/logger.js';
+import AppComms from '../../core/app-comms.js';
+import DeviceProfile from '../../core/device-profile.js';
+import { STORAGE_KEYS, DEFAULT_DASHBOARD_LAYOUT } from '../../../config.js';
+import { widgetDefinitions, getWidgetDefinition } from './dashboard-widget-config.js';
+import {
+  LAYOUT_PRESETS,
+  MAX_GRID_TRACKS,
+  getLayoutPreset,
+  getPlacementAt,
+  isPlacementValid
+} from './dashboard-layout-presets.js';
+
+const logger = createLogger('DashboardLayout');
+
+/**
+ * Layout Manager
+ *
+ * Owns the layout this dashboard displays (see dashboard-layout-presets.js for the format).
+ * The layout is saved in DeviceProfile rather than synced settings, so every
+ * device keeps its own arrangement (e.g. a portrait kitchen tablet and a TV).
+ * DeviceProfile also saves it on the dashboard's heartbeat row, and a different
+ * copy from there (e.g. after a cleared browser) is shown via reload().
+ *
+ * Provides the placement lookups the grid and navigation are built from:
+ * - getPlacedWidgets() / getWidgetAtPosition() / getWidgetById()
+ * - findNeighbor() for D-pad moves (skips empty cells and the widget you're on)
+ *
+ * Publishes AppComms.events.LAYOUT_CHANGED when the layout changes.
+ *
+ * Uses singleton pattern (static methods only).
+ */
+class DashboardLayoutManager {
+  static layout = null;
+
+  /**
+   * Get the active layout (loads it on first use)
+   * @returns {Object} Copy of the active layout
+   */
+  static getLayout() {
+    if (!this.layout) {
+      this.layout = this.loadLayout();
+    }
+
+    return {
+      ...this.layout,
+      columns: [...this.layout.columns],
+      rows: [...this.layout.rows],
+      widgets: this.layout.widgets.map(w => ({ ...w }))
+    };
+  }
+
+  /**
+   * Get built-in presets
+   * @returns {Array<{id, name, description}>}
+   */
+  static getPresets() {
+    return LAYOUT_PRESETS.map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  /**
+   * Switch to a built-in preset (discards custom edits)
+   * @param {string} presetId - Preset ID
+   * @returns {boolean} True if the preset exists
+   */
+  static applyPreset(presetId) {
+    const preset = getLayoutPreset(presetId);
+    if (!preset) {
+      logger.warn('Unknown layout preset', { presetId });
+      return false;
+    }
+
+    this.setLayout(preset);
+    return true;
+  }
+
+  /**
+   * Replace the active layout, persist it and notify the Dashboard
+   * Invalid parts (unknown widgets, out-of-bounds or overlapping placements) are dropped
+   * @param {Object} layout - Layout data
+   */
+  static setLayout(layout) {
+    this.layout = this.sanitizeLayout(layout);
+    this.persist();
+
+    logger.info('Layout changed', {
+      id: this.layout.id,
+      custom: this.layout.custom,
+      grid: `${this.layout.rows.length}×${this.layout.columns.length}`,
+      widgets: this.layout.widgets.map(w => w.id)
+    });
+
+    AppComms.publish(AppComms.events.LAYOUT_CHANGED, { layout: this.getLayout() });
+  }
+
+  /**
+   * Show the saved layout again after DeviceProfile got a new one from the server
+   */
+  static reload() {
+    if (!this.layout) return; // Not loaded yet - the first getLayout() reads the new one
+
+    this.layout = this.loadLayout();
+    logger.info('Layout updated from server', { id: this.layout.id, custom: this.layout.custom });
+
+    AppComms.publish(AppComms.events.LAYOUT_CHANGED, { layout: this.getLayout() });
+  }
+
+  // =============================================================================
+  // PLACEMENT LOOKUPS
+  // =============================================================================
+
+  /**
+   * Widgets placed in the active layout, merged with their definitions
+   * @returns {Array<Object>} [{ id, label, path, noCenter, focusScale, selectable, row, col, rowSpan, colSpan }]
+   */
+  static getPlacedWidgets() {
+    return this.getLayout().widgets.map(placement => ({
+      ...getWidgetDefinition(placement.id),
+      ...placement
+    }));
+  }
+
+  /**
+   * Get placed widget by ID
+   * @param {string} widgetId - Widget ID
+   * @returns {Object|null} Placed widget or null if not in the layout
+   */
+  static getWidgetById(widgetId) {
+    return this.getPlacedWidgets().find(w => w.id === widgetId) || null;
+  }
+
+  /**
+   * Get widget at grid position
+   * @param {number} row - Row (1-indexed)
+   * @param {number} col - Column (1-indexed)
+   * @returns {Object|null} Placed widget or null if the cell is empty
+   */
+  static getWidgetAtPosition(row, col) {
+    const placement = getPlacementAt(this.getLayout(), row, col);
+    return placement ? this.getWidgetById(placement.id) : null;
+  }
+
+  /**
+   * Check if widget is selectable (placed and not marked unselectable)
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} True if selectable
+   */
+  static isWidgetSelectable(widgetId) {
+    const widget = this.getWidgetById(widgetId);
+    return widget ? widget.selectable !== false : false;
+  }
+
+  /**
+   * Check if widget can be centered
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} True if can be centered
+   */
+  static canWidgetCenter(widgetId) {
+    const widget = getWidgetDefinition(widgetId);
+    return widget ? widget.noCenter !== true : true;
+  }
+
+  /**
+   * Get widget focus scale
+   * @param {string} widgetId - Widget ID
+   * @returns {number} Focus scale multiplier
+   */
+  static getWidgetFocusScale(widgetId) {
+    const widget = getWidgetDefinition(widgetId);
+    return widget ? (widget.focusScale || 1.2) : 1.2;
+  }
+
+  /**
+   * Grid dimensions of the active layout
+   * @returns {{rows: number, cols: number}}
+   */
+  static getGridSize() {
+    const layout = this.getLayout();
+    return { rows: layout.rows.length, cols: layout.columns.length };
+  }
+
+  // =============================================================================
+  // NAVIGATION
+  // =============================================================================
+
+  /**
+   * Find the next selectable widget from a position in a direction
+   * Steps cell by cell, skipping empty cells and cells of the widget we start on,
+   * so spanning widgets are left in one press.
+   * @param {number} row - Current row
+   * @param {number} col - Current column
+   * @param {number} rowStep - -1 up, 1 down, 0 horizontal
+   * @param {number} colStep - -1 left, 1 right, 0 vertical
+   * @returns {{row: number, col: number}|null} New position, or null at the grid edge
+   */
+  static findNeighbor(row, col, rowStep, colStep) {
+    const { rows, cols } = this.getGridSize();
+    const startWidget = this.getWidgetAtPosition(row, col);
+
+    let r = row + rowStep;
+    let c = col + colStep;
+
+    while (r >= 1 && r <= rows && c >= 1 && c <= cols) {
+      const widget = this.getWidgetAtPosition(r, c);
+      if (widget && widget.id !== startWidget?.id && widget.selectable !== false) {
+        return { row: r, col: c };
+      }
+      r += rowStep;
+      c += colStep;
+    }
+
+    return null;
+  }
+
+  /**
+   * Return the position if it holds a selectable widget, otherwise the top-left-most one
+   * @param {number} row - Row
+   * @param {number} col - Column
+   * @returns {{row: number, col: number}}
+   */
+  static getValidPosition(row, col) {
+    const widget = this.getWidgetAtPosition(row, col);
+    if (widget && widget.selectable !== false) {
+      return { row, col };
+    }
+
+    const first = this.getPlacedWidgets()
+      .filter(w => w.selectable !== false)
+      .sort((a, b) => a.row - b.row || a.col - b.col)[0];
+
+    return first ? { row: first.row, col: first.col } : { row: 1, col: 1 };
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  /**
+   * Clean up layout data (from storage or the editor)
+   * @private
+   * @param {Object} layout - Layout data
+   * @returns {Object} Valid layout (default preset if nothing usable remains)
+   */
+  static sanitizeLayout(layout) {
+    const fallback = getLayoutPreset(DEFAULT_DASHBOARD_LAYOUT);
+
+    const validTracks = (tracks) => Array.isArray(tracks) &&
+      tracks.length >= 1 && tracks.length <= MAX_GRID_TRACKS &&
+      tracks.every(size => typeof size === 'string' && size.trim());
+
+    if (!layout || !validTracks(layout.columns) || !validTracks(layout.rows) || !Array.isArray(layout.widgets)) {
+      return fallback;
+    }
+
+    const result = {
+      id: layout.id || 'custom',
+      name: layout.name || 'Custom',
+      custom: layout.custom === true,
+      columns: [...layout.columns],
+      rows: [...layout.rows],
+      widgets: []
+    };
+
+    layout.widgets.forEach(w => {
+      const placement = {
+        id: w?.id,
+        row: parseInt(w?.row, 10),
+        col: parseInt(w?.col, 10),
+        rowSpan: parseInt(w?.rowSpan, 10) || 1,
+        colSpan: parseInt(w?.colSpan, 10) || 1
+      };
+
+      const known = widgetDefinitions.some(def => def.id === placement.id);
+      const duplicate = result.widgets.some(existing => existing.id === placement.id);
+
+      if (known && !duplicate && isPlacementValid(result, placement)) {
+        result.widgets.push(placement);
+      } else {
+        logger.warn('Dropping invalid widget placement', { placement });
+      }
+    });
+
+    return result.widgets.length > 0 ? result : fallback;
+  }
+
+  /**
+   * Load layout from DeviceProfile (default preset if none saved)
+   * @private
+   * @returns {Object} Layout
+   */
+  static loadLayout() {
+    const saved = DeviceProfile.getLayout() || this.migrateStoredLayout();
+    if (saved) {
+      const layout = this.sanitizeLayout(saved);
+      logger.verbose('Layout loaded', { id: layout.id, custom: layout.custom });
+      return layout;
+    }
+
+    logger.verbose('No saved layout, using default preset', { id: DEFAULT_DASHBOARD_LAYOUT });
+    return getLayoutPreset(DEFAULT_DASHBOARD_LAYOUT);
+  }
+
+  /**
+   * Move a layout saved by earlier versions (own localStorage key) into DeviceProfile
+   * @private
+   * @returns {Object|null} The layout, or null if there was none
+   */
+  static migrateStoredLayout() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEYS.DASHBOARD_LAYOUT);
+      if (!saved) return null;
+
+      const layout = this.sanitizeLayout(JSON.parse(saved));
+      DeviceProfile.setLayout(layout);
+      localStorage.removeItem(STORAGE_KEYS.DASHBOARD_LAYOUT);
+
+      logger.info('Layout moved into device profile', { id: layout.id });
+      return layout;
+    } catch (error) {
+      logger.error('Failed to read layout from localStorage', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save layout to DeviceProfile (which saves it to the server)
+   * @private
+   */
+  static persist() {
+    DeviceProfile.setLayout(this.layout);
+    logger.debug('Layout saved to device profile');
+  }
+}
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.DashboardLayoutManager = DashboardLayoutManager;
+}
+
+// Layout from the dashboard's heartbeat row (see DeviceProfile.applyServerOverrides)
+DeviceProfile.onLayoutChanged = () => DashboardLayoutManager.reload();
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default DashboardLayoutManager;
@@ -0,0 +1,159 @@
+// js/modules/Dashboard/dashboard-layout-presets.js
+// Built-in Dashboard layouts and pure layout helpers
+// v1.0 - 10/19/26 - Initial implementation (replaces the hard-coded widgetConfig grid)
+
+/**
+ * Layout Format
+ *
+ * A layout is plain data, so it can be saved, edited and shared:
+ *   {
+ *     id: 'classic',              // Preset the layout came from
+ *     name: 'Classic',
+ *     custom: false,              // true once edited in the layout editor
+ *     columns: ['70%', '30%'],    // CSS grid track sizes, left to right
+ *     rows: ['10%', '45%', '45%'],// CSS grid track sizes, top to bottom
+ *     widgets: [{ id, row, col, rowSpan, colSpan }] // 1-indexed placements
+ *   }
+ *
+ * Widget ids refer to widgetDefinitions (dashboard-widget-config.js).
+ * Widgets not listed in a layout are hidden, not destroyed.
+ */
+
+export const MAX_GRID_TRACKS = 4;
+
+export const LAYOUT_PRESETS = [
+  {
+    id: 'classic',
+    name: 'Classic',
+    description: 'Header and clock on top, calendar left, agenda and photos right',
+    columns: ['70%', '30%'],
+    rows: ['10%', '45%', '45%'],
+    widgets: [
+      { id: 'header', row: 1, col: 1, rowSpan: 1, colSpan: 1 },
+      { id: 'clock', row: 1, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'main', row: 2, col: 1, rowSpan: 2, colSpan: 1 },
+      { id: 'agenda', row: 2, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'photos', row: 3, col: 2, rowSpan: 1, colSpan: 1 }
+    ]
+  },
+  {
+    id: 'calendar-first',
+    name: 'Calendar First',
+    description: 'Full-height calendar with clock, agenda and photos alongside',
+    columns: ['75%', '25%'],
+    rows: ['10%', '45%', '45%'],
+    widgets: [
+      { id: 'main', row: 1, col: 1, rowSpan: 3, colSpan: 1 },
+      { id: 'clock', row: 1, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'agenda', row: 2, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'photos', row: 3, col: 2, rowSpan: 1, colSpan: 1 }
+    ]
+  },
+  {
+    id: 'photo-frame',
+    name: 'Photo Frame',
+    description: 'Large photo slideshow with clock and agenda',
+    columns: ['75%', '25%'],
+    rows: ['15%', '85%'],
+    widgets: [
+      { id: 'photos', row: 1, col: 1, rowSpan: 2, colSpan: 1 },
+      { id: 'clock', row: 1, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'agenda', row: 2, col: 2, rowSpan: 1, colSpan: 1 }
+    ]
+  },
+  {
+    id: 'portrait',
+    name: 'Portrait',
+    description: 'For vertical screens: calendar across the middle',
+    columns: ['50%', '50%'],
+    rows: ['8%', '52%', '40%'],
+    widgets: [
+      { id: 'header', row: 1, col: 1, rowSpan: 1, colSpan: 1 },
+      { id: 'clock', row: 1, col: 2, rowSpan: 1, colSpan: 1 },
+      { id: 'main', row: 2, col: 1, rowSpan: 1, colSpan: 2 },
+      { id: 'agenda', row: 3, col: 1, rowSpan: 1, colSpan: 1 },
+      { id: 'photos', row: 3, col: 2, rowSpan: 1, colSpan: 1 }
+    ]
+  }
+];
+
+/**
+ * Track size choices offered by the layout editor, by track count
+ * (used for both columns and rows)
+ */
+export const TRACK_SIZE_OPTIONS = {
+  1: [['100%']],
+  2: [['50%', '50%'], ['60%', '40%'], ['70%', '30%'], ['75%', '25%'], ['25%', '75%'], ['30%', '70%'], ['40%', '60%'], ['15%', '85%']],
+  3: [['33.33%', '33.33%', '33.34%'], ['10%', '45%', '45%'], ['8%', '52%', '40%'], ['50%', '25%', '25%'], ['25%', '50%', '25%'], ['25%', '25%', '50%']],
+  4: [['25%', '25%', '25%', '25%'], ['10%', '30%', '30%', '30%'], ['40%', '20%', '20%', '20%']]
+};
+
+/**
+ * Get a preset by ID
+ * @param {string} presetId - Preset ID
+ * @returns {Object|null} Deep copy of the preset layout (safe to edit) or null
+ */
+export function getLayoutPreset(presetId) {
+  const preset = LAYOUT_PRESETS.find(p => p.id === presetId);
+  if (!preset) return null;
+
+  return {
+    id: preset.id,
+    name: preset.name,
+    custom: false,
+    columns: [...preset.columns],
+    rows: [...preset.rows],
+    widgets: preset.widgets.map(w => ({ ...w }))
+  };
+}
+
+/**
+ * Check that a placement fits the grid and doesn't overlap other widgets
+ * @param {Object} layout - Layout
+ * @param {Object} placement - { id, row, col, rowSpan, colSpan }
+ * @returns {boolean}
+ */
+export function isPlacementValid(layout, placement) {
+  const { row, col, rowSpan, colSpan } = placement;
+
+  if (row < 1 || col < 1 || rowSpan < 1 || colSpan < 1) return false;
+  if (row + rowSpan - 1 > layout.rows.length) return false;
+  if (col + colSpan - 1 > layout.columns.length) return false;
+
+  return !layout.widgets.some(other => other.id !== placement.id && placementsOverlap(other, placement));
+}
+
+/**
+ * Find the first empty 1×1 cell (reading order)
+ * @param {Object} layout - Layout
+ * @returns {{row: number, col: number}|null}
+ */
+export function findFreeCell(layout) {
+  for (let row = 1; row <= layout.rows.length; row++) {
+    for (let col = 1; col <= layout.columns.length; col++) {
+      if (!getPlacementAt(layout, row, col)) {
+        return { row, col };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the placement covering a grid position
+ * @param {Object} layout - Layout
+ * @param {number} row - Row (1-indexed)
+ * @param {number} col - Column (1-indexed)
+ * @returns {Object|null} Placement or null if the cell is empty
+ */
+export function getPlacementAt(layout, row, col) {
+  return layout.widgets.find(w =>
+    row >= w.row && row < w.row + w.rowSpan &&
+    col >= w.col && col < w.col + w.colSpan
+  ) || null;
+}
+
+function placementsOverlap(a, b) {
+  return a.row < b.row + b.rowSpan && b.row < a.row + a.rowSpan &&
+         a.col < b.col + b.colSpan && b.col < a.col + a.colSpan;
+}
@@ -1,13 +1,19 @@
 // js/modules/Dashboard/dashboard-navigation-manager.js
 // Dashboard navigation logic - Grid, menu, and widget focus
 // v1.0 - 10/16/25 - Initial implementation for Phase 2
+// v1.1 - 10/19/26 - Widget focus menus (menu active ↔ widget active, return-to-menu)
+// v1.2 - 10/19/26 - Grid navigation follows the active layout (DashboardLayoutManager)
+// v1.3 - 10/19/26 - Escape dismisses the message board note on show
+// v1.4 - 10/19/26 - Ask before dismissing the note (Back is also pressed just to clear the selection)
 
 import { createLogger } from '../../utils/logger.js';
 import DashboardStateManager from './dashboard-state-manager.js';
 import UIRenderer from './dashboard-ui-renderer.js';
-import { getWidgetAtPosition, canWidgetCenter } from './dashboard-widget-config.js';
+import DashboardLayoutManager from './dashboard-layout-manager.js';
 import AppStateManager from '../../core/app-state-manager.js';
 import WidgetMessenger from '../../core/widget-messenger.js';
+import FocusMenu from './dashboard-focus-menu.js';
+import messageService from '../../data/services/message-service.js';
 
 const logger = createLogger('DashboardNav');
 
@@ -15,16 +21,14 @@ const logger = createLogger('DashboardNav');
  * Navigation Manager
  *
  * Handles all Dashboard navigation:
- * - Grid navigation (3 rows × 2 columns)
+ * - Grid navigation (rows/columns of the active layout)
  * - Sidebar menu navigation (7 items)
  * - Widget focus/defocus
+ * - Widget focus menu (menu active vs. widget active)
  *
- * Grid Layout (1-indexed to match config):
- *   Row 1: [Header][Clock]           (10% height)
- *   Row 2: [Calendar][Agenda]        (45% height)
- *   Row 3: [Calendar][Photos]        (45% height - Calendar spans rows 2-3)
- *
- * Columns: 70% / 30% width split
+ * Grid positions are 1-indexed (row, col) cells of the active layout.
+ * Moves jump to the next widget in that direction, skipping empty cells and
+ * the rest of a spanning widget. LEFT with no widget to the left opens the menu.
  *
  * Menu Items (0-6):
  *   0: Calendar
@@ -43,10 +47,9 @@ class NavigationManager {
   static moveUp() {
     const state = DashboardStateManager.getState();
 
-    // If widget is focused, don't handle navigation
+    // If widget is focused, only its focus menu (when it has control) navigates here
     if (state.focusedWidget) {
-      logger.debug('Widget focused, ignoring navigation');
-      return false;
+      return FocusMenu.isActive ? this.navigateFocusMenu(-1) : false;
     }
 
     // Wake from idle state on any navigation
@@ -61,13 +64,13 @@ class NavigationManager {
 
     // Navigate grid up
     const { row, col } = state.gridPosition;
+    const target = DashboardLayoutManager.findNeighbor(row, col, -1, 0);
 
-    if (row > 1) { // Row 1 is top
-      const newRow = row - 1;
-      DashboardStateManager.setGridPosition(newRow, col);
+    if (target) {
+      DashboardStateManager.setGridPosition(target.row, target.col);
       UIRenderer.updateFocus();
 
-      logger.debug('Moved grid up', { from: [row, col], to: [newRow, col] });
+      logger.debug('Moved grid up', { from: [row, col], to: [target.row, target.col] });
       return true;
     }
 
@@ -84,9 +87,9 @@ class NavigationManager {
   static moveDown() {
     const state = DashboardStateManager.getState();
 
-    // If widget is focused, don't handle navigation
+    // If widget is focused, only its focus menu (when it has control) navigates here
     if (state.focusedWidget) {
-      return false;
+      return FocusMenu.isActive ? this.navigateFocusMenu(1) : false;
     }
 
     // Wake from idle state on any navigation
@@ -101,13 +104,13 @@ class NavigationManager {
 
     // Navigate grid down
     const { row, col } = state.gridPosition;
+    const target = DashboardLayoutManager.findNeighbor(row, col, 1, 0);
 
-    if (row < 3) { // Row 3 is bottom
-      const newRow = row + 1;
-      DashboardStateManager.setGridPosition(newRow, col);
+    if (target) {
+      DashboardStateManager.setGridPosition(target.row, target.col);
       UIRenderer.updateFocus();
 
-      logger.debug('Moved grid down', { from: [row, col], to: [newRow, col] });
+      logger.debug('Moved grid down', { from: [row, col], to: [target.row, target.col] });
       return true;
     }
 
@@ -126,11 +129,9 @@ class NavigationManager {
 
     // If widget is focused/active, handle LEFT arrow for widget states
     if (state.focusedWidget) {
-      // TODO: When focus menus are implemented, LEFT will:
-      // - If active (controlling widget): return to focused (menu visible)
-      // - If focused (menu visible): stay in menu
-      // For now, LEFT arrow is not handled (widget handles it)
-      return false;
+      // Menu has control: stay in menu
+      // Widget has control: widget handles LEFT (sends return-to-menu at its home position)
+      return FocusMenu.isActive;
     }
 
     // Wake from idle state on any navigation
@@ -146,18 +147,18 @@ class NavigationManager {
 
     // Navigate grid left
     const { row, col } = state.gridPosition;
+    const target = DashboardLayoutManager.findNeighbor(row, col, 0, -1);
 
-    if (col > 1) { // Col 1 is leftmost
-      const newCol = col - 1;
-      DashboardStateManager.setGridPosition(row, newCol);
+    if (target) {
+      DashboardStateManager.setGridPosition(target.row, target.col);
       UIRenderer.updateFocus();
 
-      logger.debug('Moved grid left', { from: [row, col], to: [row, newCol] });
+      logger.debug('Moved grid left', { from: [row, col], to: [target.row, target.col] });
       return true;
     }
 
-    // At leftmost column (col 1) - open menu
-    logger.debug('At leftmost column, opening menu');
+    // No widget to the left - open menu
+    logger.debug('At leftmost widget, opening menu');
     this.openMenu();
     return true;
   }
@@ -171,10 +172,12 @@ class NavigationManager {
 
     // If widget is focused/active, handle RIGHT arrow for widget states
     if (state.focusedWidget) {
-      // TODO: When focus menus are implemented, RIGHT will:
-      // - If focused (menu visible): activate widget (menu dims, scale 1.08)
-      // - If active: stay active
-      // For now, RIGHT arrow is not handled (widget handles it)
+      // Menu has control: activate widget (menu dims, full focus scale)
+      // Widget has control: widget handles RIGHT
+      if (FocusMenu.isActive) {
+        this.activateFocusedWidget();
+        return true;
+      }
       return false;
     }
 
@@ -200,13 +203,13 @@ class NavigationManager {
 
     // Navigate grid right
     const { row, col } = state.gridPosition;
+    const target = DashboardLayoutManager.findNeighbor(row, col, 0, 1);
 
-    if (col < 2) { // Col 2 is rightmost
-      const newCol = col + 1;
-      DashboardStateManager.setGridPosition(row, newCol);
+    if (target) {
+      DashboardStateManager.setGridPosition(target.row, target.col);
       UIRenderer.updateFocus();
 
-      logger.debug('Moved grid right', { from: [row, col], to: [row, newCol] });
+      logger.debug('Moved grid right', { from: [row, col], to: [target.row, target.col] });
       return true;
     }
 
@@ -228,10 +231,14 @@ class NavigationManager {
       return this.selectMenuItem(state.selectedMenuItem);
     }
 
-    // If widget is focused, send enter command to it
+    // If widget is focused, send enter command to it (or select its focus menu item)
     if (state.focusedWidget) {
       const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
 
+      if (FocusMenu.isActive) {
+        return this.selectFocusMenuItem();
+      }
+
       if (widgetMessenger) {
         widgetMessenger.sendCommandToWidget(state.focusedWidget, 'enter');
         logger.debug('Sent enter command to focused widget', { widgetId: state.focusedWidget });
@@ -263,6 +270,13 @@ class NavigationManager {
       return true;
     }
 
+    // A message board note is showing - dismiss it (on every dashboard) once confirmed
+    const [message] = messageService.getMessages();
+    if (message && window.modals) {
+      this.confirmDismissMessage(message);
+      return true;
+    }
+
     // NEW: If nothing focused or open, return to idle state (no visual selection)
     logger.info('Escape pressed with nothing focused - returning to idle state');
     DashboardStateManager.setState({ isIdle: true });
@@ -271,6 +285,26 @@ class NavigationManager {
     return true; // Handled
   }
 
+  /**
+   * Ask before dismissing a message board note - it's removed on every dashboard
+   * The dialog message is HTML, so it doesn't repeat the note text (still shown in the banner)
+   * @private
+   * @param {Object} message - Note shown in the banner
+   */
+  static confirmDismissMessage(message) {
+    window.modals.showConfirmation({
+      title: 'Dismiss Note?',
+      message: 'The note will be removed from every dashboard.',
+      confirmLabel: 'Dismiss',
+      cancelLabel: 'Keep',
+      onConfirm: () => {
+        messageService.dismiss(message.id).catch(error => {
+          logger.error('Failed to dismiss message', error);
+        });
+      }
+    });
+  }
+
   /**
    * Navigate menu up
    * @private
@@ -420,7 +454,7 @@ class NavigationManager {
     const { row, col } = state.gridPosition;
 
     // Get widget at current position
-    const widget = getWidgetAtPosition(row, col);
+    const widget = DashboardLayoutManager.getWidgetAtPosition(row, col);
 
     if (!widget) {
       logger.warn('No widget at position', { row, col });
@@ -429,12 +463,16 @@ class NavigationManager {
 
     // All widgets can be focused (show overlay, border)
     // Only widgets with canWidgetCenter=true will be moved/centered
-    const shouldCenter = canWidgetCenter(widget.id);
-    const hasFocusMenu = false; // TODO: Check widget config for focus menu
+    const shouldCenter = DashboardLayoutManager.canWidgetCenter(widget.id);
+    const hasFocusMenu = FocusMenu.hasMenu(widget.id);
 
     DashboardStateManager.setFocusedWidget(widget.id);
     UIRenderer.focusWidget(widget.id, hasFocusMenu, shouldCenter);
 
+    if (hasFocusMenu) {
+      FocusMenu.show(widget.id);
+    }
+
     // Get WidgetMessenger instance
     const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
 
@@ -451,6 +489,9 @@ class NavigationManager {
           centered: shouldCenter
         });
       } else {
+        widgetMessenger.sendCommandToWidget(widget.id, 'menu-active', {
+          selectedItem: FocusMenu.getSelectedItem()?.id
+        });
         logger.info('Widget focused (has focus menu)', {
           widgetId: widget.id,
           position: [row, col],
@@ -462,6 +503,93 @@ class NavigationManager {
     }
   }
 
+  /**
+   * Move focus menu selection
+   * @private
+   * @param {number} direction - -1 for up, 1 for down
+   * @returns {boolean} True if handled
+   */
+  static navigateFocusMenu(direction) {
+    const state = DashboardStateManager.getState();
+    const item = FocusMenu.moveSelection(direction);
+
+    const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
+    if (widgetMessenger && item) {
+      widgetMessenger.sendCommandToWidget(state.focusedWidget, 'menu-selection-changed', {
+        selectedItem: item.id
+      });
+    }
+
+    logger.debug('Focus menu navigate', { direction, item: item?.id });
+    return true;
+  }
+
+  /**
+   * Send selected focus menu item to widget (widget switches view / runs action)
+   * @private
+   * @returns {boolean} True if handled
+   */
+  static selectFocusMenuItem() {
+    const state = DashboardStateManager.getState();
+    const item = FocusMenu.getSelectedItem();
+
+    if (!item) {
+      return false;
+    }
+
+    const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
+    if (widgetMessenger) {
+      widgetMessenger.sendCommandToWidget(state.focusedWidget, 'menu-item-selected', {
+        itemId: item.id
+      });
+    }
+
+    logger.info('Focus menu item selected', { widgetId: state.focusedWidget, itemId: item.id });
+    return true;
+  }
+
+  /**
+   * Hand D-pad control from focus menu to widget
+   */
+  static activateFocusedWidget() {
+    const state = DashboardStateManager.getState();
+
+    FocusMenu.setActive(false);
+    UIRenderer.setWidgetActive();
+
+    const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
+    if (widgetMessenger) {
+      widgetMessenger.sendCommandToWidget(state.focusedWidget, 'enter-active');
+    }
+
+    logger.info('Widget activated from focus menu', { widgetId: state.focusedWidget });
+  }
+
+  /**
+   * Return D-pad control from widget to its focus menu
+   * Called on widget return-to-menu; safe to call repeatedly (message may arrive more than once)
+   */
+  static returnToFocusMenu() {
+    const state = DashboardStateManager.getState();
+
+    if (!state.focusedWidget || !FocusMenu.widgetId || FocusMenu.isActive) {
+      return;
+    }
+
+    FocusMenu.setActive(true);
+    UIRenderer.setWidgetFocused();
+
+    const widgetMessenger = window.widgetMessenger || AppStateManager.widgetMessenger;
+    if (widgetMessenger) {
+      widgetMessenger.sendCommandToWidget(state.focusedWidget, 'exit-active');
+      widgetMessenger.sendCommandToWidget(state.focusedWidget, 'menu-active', {
+        selectedItem: FocusMenu.getSelectedItem()?.id
+      });
+    }
+
+    logger.info('Returned to widget focus menu', { widgetId: state.focusedWidget });
+  }
+
   /**
    * Defocus current widget
    */
@@ -487,6 +615,7 @@ class NavigationManager {
     }
 
     DashboardStateManager.setFocusedWidget(null);
+    FocusMenu.hide();
     UIRenderer.defocusWidget();
 
     // Restore grid selection highlighting
@@ -1,9 +1,11 @@
 // js/modules/Dashboard/dashboard-state-manager.js
 // Dashboard state management with localStorage persistence
 // v1.0 - 10/16/25 - Initial implementation for Phase 2
+// v1.1 - 10/19/26 - Grid position bounds and starting cell come from the active layout
 
 import { createLogger } from '../../utils/logger.js';
 import { STORAGE_KEYS } from '../../../config.js';
+import DashboardLayoutManager from './dashboard-layout-manager.js';
 
 const logger = createLogger('DashboardState');
 
@@ -21,7 +23,7 @@ const logger = createLogger('DashboardState');
  */
 class DashboardStateManager {
   static state = {
-    gridPosition: { row: 1, col: 1 }, // Current position (always set): rows 1-3, cols 1-2
+    gridPosition: { row: 1, col: 1 }, // Current position (always set), 1-indexed cell of the active layout
     focusedWidget: null,
     menuOpen: false,
     selectedMenuItem: 0,
@@ -43,6 +45,9 @@ class DashboardStateManager {
       // Load persisted state
       this.loadState();
 
+      // Start on a cell that holds a widget in this dashboard's layout
+      this.state.gridPosition = DashboardLayoutManager.getValidPosition(1, 1);
+
       this.isInitialized = true;
 
       logger.verbose('Dashboard state initialized', { state: this.state });
@@ -87,12 +92,13 @@ class DashboardStateManager {
 
   /**
    * Update grid position
-   * @param {number} row - Row index (1-3)
-   * @param {number} col - Column index (1-2)
+   * @param {number} row - Row index (1-indexed, within the layout's rows)
+   * @param {number} col - Column index (1-indexed, within the layout's columns)
    */
   static setGridPosition(row, col) {
     // Validate bounds (1-indexed)
-    if (row < 1 || row > 3 || col < 1 || col > 2) {
+    const { rows, cols } = DashboardLayoutManager.getGridSize();
+    if (row < 1 || row > rows || col < 1 || col > cols) {
       logger.warn('Invalid grid position', { row, col });
       return;
     }
@@ -137,7 +143,7 @@ class DashboardStateManager {
     logger.info('Resetting Dashboard state to defaults');
 
     this.state = {
-      gridPosition: { row: 1, col: 1 }, // 1-indexed
+      gridPosition: DashboardLayoutManager.getValidPosition(1, 1), // 1-indexed
       focusedWidget: null,
       menuOpen: false,
       selectedMenuItem: 0,
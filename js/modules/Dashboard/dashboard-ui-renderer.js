@@ -1,10 +1,14 @@
 // js/modules/Dashboard/dashboard-ui-renderer.js
 // Dashboard UI rendering and visual updates
 // v2.0 - 10/16/25 - Refactored into modular architecture
+// v2.1 - 10/19/26 - Grid laid out from DashboardLayoutManager (applyLayout on render and on change)
+// v2.2 - 10/19/26 - Add/remove widget cells at runtime (widget plugins)
+// v2.3 - 10/19/26 - Message board banner
 
 import { createLogger } from '../../utils/logger.js';
 import DOMBuilder from './dashboard-dom-builder.js';
 import VisualEffects from './dashboard-visual-effects.js';
+import DashboardLayoutManager from './dashboard-layout-manager.js';
 import {
   GridEventHandler,
   MenuEventHandler,
@@ -89,6 +93,9 @@ class UIRenderer {
     focusOverlay.className = 'focus-overlay';
     this.container.appendChild(focusOverlay);
 
+    // Message board banner (hidden until there's a note)
+    this.container.appendChild(DOMBuilder.createMessageBanner());
+
     // Attach to dashboard container (not body)
     const dashboardContainer = document.getElementById('dashboard-container');
     if (dashboardContainer) {
@@ -102,6 +109,9 @@ class UIRenderer {
     // Initialize visual effects module with container reference
     VisualEffects.initialize(this.container);
 
+    // Place widgets according to the saved layout
+    VisualEffects.applyLayout(DashboardLayoutManager.getLayout());
+
     // Initialize event handlers with UI renderer reference
     GridEventHandler.initialize(this);
     MenuEventHandler.initialize(this);
@@ -225,6 +235,56 @@ class UIRenderer {
     VisualEffects.updateMenuSelection();
   }
 
+  /**
+   * Show the most important message board note (or hide the banner)
+   * @param {Array<Object>} messages - Active notes, most important first
+   * @see VisualEffects.updateMessageBanner()
+   */
+  static updateMessageBanner(messages) {
+    VisualEffects.updateMessageBanner(messages);
+  }
+
+  /**
+   * Re-apply grid layout (after the layout is edited or switched)
+   * @param {Object} layout - Layout data
+   * @see VisualEffects.applyLayout()
+   */
+  static applyLayout(layout) {
+    VisualEffects.applyLayout(layout);
+  }
+
+  /**
+   * Add a grid cell (and iframe) for a widget defined after render (widget plugins)
+   * The cell stays hidden until the layout places the widget.
+   * @param {Object} widget - Widget definition
+   */
+  static addWidgetCell(widget) {
+    const grid = this.container?.querySelector('.dashboard-grid');
+    if (!grid || !widget || grid.querySelector(`[data-widget-id="${widget.id}"]`)) {
+      return;
+    }
+
+    const cell = DOMBuilder.createGridCell(widget);
+    grid.appendChild(cell);
+    GridEventHandler.attachCell(cell);
+
+    VisualEffects.applyLayout(DashboardLayoutManager.getLayout());
+
+    logger.debug('Widget cell added', { widgetId: widget.id });
+  }
+
+  /**
+   * Remove a widget's grid cell (widget plugin uninstalled)
+   * @param {string} widgetId - Widget ID
+   */
+  static removeWidgetCell(widgetId) {
+    const cell = this.container?.querySelector(`.dashboard-grid__cell[data-widget-id="${widgetId}"]`);
+    if (!cell) return;
+
+    cell.remove();
+    logger.debug('Widget cell removed', { widgetId });
+  }
+
   /**
    * Focus a widget (center and overlay)
    * @param {string} widgetId - Widget ID to focus
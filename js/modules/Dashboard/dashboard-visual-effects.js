@@ -1,6 +1,8 @@
 // js/modules/Dashboard/dashboard-visual-effects.js
 // Dashboard visual updates and CSS class manipulation
 // v1.0 - 10/16/25 - Extracted from dashboard-ui-renderer.js
+// v1.1 - 10/19/26 - applyLayout(): grid tracks and cell placement from layout data
+// v1.2 - 10/19/26 - updateMessageBanner(): message board note over the grid
 
 import { createLogger } from '../../utils/logger.js';
 import DashboardStateManager from './dashboard-state-manager.js';
@@ -11,11 +13,13 @@ const logger = createLogger('DashboardVisualEffects');
  * Dashboard Visual Effects
  *
  * Handles all visual state changes and CSS class manipulation:
+ * - Grid layout (track sizes, cell placement, hidden widgets)
  * - Grid focus indicators
  * - Menu selection highlights
  * - Widget focus/defocus animations
  * - Sidebar expand/collapse
  * - Overlay visibility
+ * - Message board banner
  *
  * Does NOT:
  * - Handle events (handled by event-handlers.js)
@@ -33,6 +37,52 @@ class VisualEffects {
     this.container = container;
   }
 
+  // =============================================================================
+  // GRID LAYOUT
+  // =============================================================================
+
+  /**
+   * Apply a layout to the grid: track sizes, cell positions and visibility
+   * Cells keep their iframes; widgets the layout doesn't place are hidden.
+   * @param {Object} layout - Layout (see dashboard-layout-presets.js)
+   */
+  static applyLayout(layout) {
+    if (!this.container) return;
+
+    const grid = this.container.querySelector('.dashboard-grid');
+    if (!grid) return;
+
+    grid.style.gridTemplateColumns = layout.columns.join(' ');
+    grid.style.gridTemplateRows = layout.rows.join(' ');
+
+    grid.querySelectorAll('.dashboard-grid__cell').forEach(cell => {
+      const placement = layout.widgets.find(w => w.id === cell.dataset.widgetId);
+
+      if (!placement) {
+        cell.classList.add('dashboard-grid__cell--hidden');
+        cell.dataset.row = 0;
+        cell.dataset.col = 0;
+        cell.style.gridRow = '';
+        cell.style.gridColumn = '';
+        return;
+      }
+
+      cell.classList.remove('dashboard-grid__cell--hidden');
+      cell.dataset.row = placement.row;
+      cell.dataset.col = placement.col;
+      cell.dataset.rowSpan = placement.rowSpan;
+      cell.dataset.colSpan = placement.colSpan;
+      cell.style.gridRow = `${placement.row} / span ${placement.rowSpan}`;
+      cell.style.gridColumn = `${placement.col} / span ${placement.colSpan}`;
+    });
+
+    logger.debug('Layout applied', {
+      id: layout.id,
+      columns: layout.columns,
+      rows: layout.rows
+    });
+  }
+
   // =============================================================================
   // GRID FOCUS EFFECTS
   // =============================================================================
@@ -358,6 +408,38 @@ class VisualEffects {
     logger.info('Widget returned to focused state', { focusScale, scale: focusedScale });
   }
 
+  // =============================================================================
+  // MESSAGE BANNER
+  // =============================================================================
+
+  /**
+   * Show the most important message board note, or hide the banner if none
+   * @param {Array<Object>} messages - Active notes, most important first (MessageService)
+   */
+  static updateMessageBanner(messages) {
+    const banner = this.container?.querySelector('.dashboard-message-banner');
+    if (!banner) return;
+
+    const [message] = messages;
+    if (!message) {
+      banner.classList.remove('dashboard-message-banner--visible');
+      return;
+    }
+
+    const details = [
+      message.author_name ? `From ${message.author_name}` : null,
+      messages.length > 1 ? `+${messages.length - 1} more` : null,
+      'Back to dismiss'
+    ].filter(Boolean);
+
+    banner.querySelector('.dashboard-message-banner__text').textContent = message.text;
+    banner.querySelector('.dashboard-message-banner__meta').textContent = details.join(' · ');
+    banner.dataset.priority = message.priority;
+    banner.classList.add('dashboard-message-banner--visible');
+
+    logger.debug('Message banner updated', { id: message.id, priority: message.priority, count: messages.length });
+  }
+
   // =============================================================================
   // UTILITY METHODS
   // =============================================================================
@@ -1,39 +1,33 @@
 // js/modules/Dashboard/dashboard-widget-config.js
-// Widget configuration for Dashboard grid
+// Widget definitions for the Dashboard grid
+// v2.1 - 10/19/26 - Runtime registration for widget plugins (dashboard-widget-plugins.js)
+// v2.0 - 10/19/26 - Placement moved to layouts (dashboard-layout-presets.js / dashboard-layout-manager.js)
+// v1.1 - 10/19/26 - Larger clock focus scale for its forecast view
 // v1.0 - 10/16/25 - Initial implementation for Phase 2
 
 /**
- * Widget Configuration
+ * Widget Definitions
  *
- * Defines the layout and behavior of widgets in the Dashboard grid.
- *
- * Grid Layout: 3 rows × 2 columns
- *   Row 1: 10% height - [Header][Clock]
- *   Row 2: 45% height - [Calendar (spans rows 2-3)][Agenda]
- *   Row 3: 45% height - [Calendar continues][Photos]
- *
- * Columns: 70% / 30% width split
+ * Describes each widget that can appear on the Dashboard. Where a widget sits
+ * (row, col, spans) is NOT defined here - it comes from the active layout,
+ * see DashboardLayoutManager.
  *
  * Widget Properties:
- * - id: Unique widget identifier
- * - row: Grid row (1-3)
- * - col: Grid column (1-2)
- * - rowSpan: Number of rows to span (default 1)
- * - colSpan: Number of columns to span (default 1)
+ * - id: Unique widget identifier (also the iframe id suffix: widget-<id>)
  * - label: Display name
- * - url: Widget URL (for iframes)
+ * - path: Widget URL (for iframes)
  * - noCenter: If true, widget cannot be centered/focused
  * - focusScale: Scale multiplier when focused (default 1.2)
  * - selectable: If false, widget cannot be highlighted (navigation skips it)
+ *
+ * Widget plugins are added at runtime with registerWidgetDefinition() and also carry:
+ * - plugin: true
+ * - manifestUrl, version, subscriptions, menuItems, defaultSize, refreshMinutes (from the manifest)
  */
 
-export const widgetConfig = [
+export const widgetDefinitions = [
   {
     id: 'header',
-    row: 1,
-    col: 1,
-    rowSpan: 1,
-    colSpan: 1,
     label: 'Header',
     path: 'js/widgets/header/header.html',
     noCenter: true,
@@ -42,22 +36,14 @@ export const widgetConfig = [
   },
   {
     id: 'clock',
-    row: 1,
-    col: 2,
-    rowSpan: 1,
-    colSpan: 1,
     label: 'Clock',
     path: 'js/widgets/clock/clock.html',
     noCenter: false,
-    focusScale: 1.05,
+    focusScale: 1.5, // Focused clock shows the forecast
     selectable: true
   },
   {
     id: 'main',
-    row: 2,
-    col: 1,
-    rowSpan: 2, // SPANS 2 ROWS!
-    colSpan: 1,
     label: 'Calendar',
     path: 'js/widgets/calendar/calendar.html',
     noCenter: false,
@@ -66,10 +52,6 @@ export const widgetConfig = [
   },
   {
     id: 'agenda',
-    row: 2,
-    col: 2,
-    rowSpan: 1,
-    colSpan: 1,
     label: 'Agenda',
     path: 'js/widgets/agenda/agenda.html',
     noCenter: false,
@@ -78,10 +60,6 @@ export const widgetConfig = [
   },
   {
     id: 'photos',
-    row: 3,
-    col: 2,
-    rowSpan: 1,
-    colSpan: 1,
     label: 'Photos',
     path: 'js/widgets/photos/photos.html',
     noCenter: false,
@@ -91,57 +69,41 @@ export const widgetConfig = [
 ];
 
 /**
- * Get widget configuration by ID
+ * Get widget definition by ID
  * @param {string} widgetId - Widget ID
- * @returns {Object|null} Widget config or null if not found
+ * @returns {Object|null} Widget definition or null if not found
  */
-export function getWidgetById(widgetId) {
-  return widgetConfig.find(w => w.id === widgetId) || null;
+export function getWidgetDefinition(widgetId) {
+  return widgetDefinitions.find(w => w.id === widgetId) || null;
 }
 
 /**
- * Get widget at grid position
- * @param {number} row - Row (1-3)
- * @param {number} col - Column (1-2)
- * @returns {Object|null} Widget config or null if not found
+ * Add a widget definition at runtime (widget plugins)
+ * @param {Object} definition - Widget definition (id must be unused)
+ * @returns {boolean} True if added
  */
-export function getWidgetAtPosition(row, col) {
-  return widgetConfig.find(w => {
-    // Check if position is within widget's span
-    const rowInRange = row >= w.row && row < (w.row + w.rowSpan);
-    const colInRange = col >= w.col && col < (w.col + w.colSpan);
-    return rowInRange && colInRange;
-  }) || null;
-}
+export function registerWidgetDefinition(definition) {
+  if (!definition?.id || getWidgetDefinition(definition.id)) {
+    return false;
+  }
 
-/**
- * Check if widget is selectable
- * @param {string} widgetId - Widget ID
- * @returns {boolean} True if selectable
- */
-export function isWidgetSelectable(widgetId) {
-  const widget = getWidgetById(widgetId);
-  return widget ? widget.selectable !== false : false;
+  widgetDefinitions.push(definition);
+  return true;
 }
 
 /**
- * Check if widget can be centered
+ * Remove a runtime widget definition (built-in widgets can't be removed)
  * @param {string} widgetId - Widget ID
- * @returns {boolean} True if can be centered
+ * @returns {boolean} True if removed
  */
-export function canWidgetCenter(widgetId) {
-  const widget = getWidgetById(widgetId);
-  return widget ? widget.noCenter !== true : true;
-}
+export function unregisterWidgetDefinition(widgetId) {
+  const index = widgetDefinitions.findIndex(w => w.id === widgetId && w.plugin);
+  if (index === -1) {
+    return false;
+  }
 
-/**
- * Get widget focus scale
- * @param {string} widgetId - Widget ID
- * @returns {number} Focus scale multiplier
- */
-export function getWidgetFocusScale(widgetId) {
-  const widget = getWidgetById(widgetId);
-  return widget ? (widget.focusScale || 1.2) : 1.2;
+  widgetDefinitions.splice(index, 1);
+  return true;
 }
 
 // =============================================================================
@@ -150,11 +112,9 @@ export function getWidgetFocusScale(widgetId) {
 
 if (typeof window !== 'undefined') {
   window.DashboardWidgetConfig = {
-    widgetConfig,
-    getWidgetById,
-    getWidgetAtPosition,
-    isWidgetSelectable,
-    canWidgetCenter,
-    getWidgetFocusScale
+    widgetDefinitions,
+    getWidgetDefinition,
+    registerWidgetDefinition,
+    unregisterWidgetDefinition
   };
 }
@@ -0,0 +1,384 @@
+// js/modules/Dashboard/dashboard-widget-plugins.js
+// Widget plugins - install third-party widgets from a manifest URL
+// v1.0 - 10/19/26 - Initial implementation
+
+import { createLogger } from '../../utils/logger.js';
+import AppComms from '../../core/app-comms.js';
+import widgetMessenger from '../../core/widget-messenger.js';
+import { STORAGE_KEYS, WIDGET_DATA_TYPES } from '../../../config.js';
+import {
+  getWidgetDefinition,
+  registerWidgetDefinition,
+  unregisterWidgetDefinition
+} from './dashboard-widget-config.js';
+import DashboardLayoutManager from './dashboard-layout-manager.js';
+import { MAX_GRID_TRACKS, isPlacementValid } from './dashboard-layout-presets.js';
+
+const logger = createLogger('DashboardWidgetPlugins');
+
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9-]{1,30}$/;
+const MAX_MENU_ITEMS = 10;
+
+/**
+ * Widget Plugins
+ *
+ * A plugin is a web page shown in a widget iframe, described by a JSON manifest:
+ *   {
+ *     "id": "lunch-menu",                  // a-z, 0-9, '-' (becomes iframe id widget-lunch-menu)
+ *     "name": "Lunch Menu",
+ *     "version": "1.0.0",                  // optional
+ *     "entry": "lunch-menu.html",          // relative to the manifest URL
+ *     "subscriptions": ["calendar"],       // WIDGET_DATA_TYPES the widget receives
+ *     "menuItems": [{ "id": "today", "label": "Today" }], // optional focus menu
+ *     "defaultSize": { "rowSpan": 1, "colSpan": 1 },      // cells taken when installed
+ *     "focusScale": 1.3,                   // optional
+ *     "refreshMinutes": 15                 // optional: re-send subscribed data
+ *   }
+ *
+ * Installed manifests are saved to localStorage (per dashboard, like the layout)
+ * so plugins load at startup without a network round trip. Reinstall to update.
+ *
+ * The iframe side of the protocol is js/widgets/shared/widget-client.js.
+ * See js/widgets/WIDGETS_README.md ("Widget Plugins").
+ *
+ * Publishes AppComms.events.WIDGET_PLUGINS_CHANGED: { action: 'installed'|'removed', widgetId }
+ *
+ * Uses singleton pattern (static methods only).
+ */
+class DashboardWidgetPlugins {
+  static plugins = []; // [{ manifestUrl, manifest }]
+  static isInitialized = false;
+
+  /**
+   * Register saved plugins (before the Dashboard grid and layout are built)
+   */
+  static initialize() {
+    if (this.isInitialized) return;
+
+    this.plugins = this.loadSaved();
+    this.plugins.forEach(plugin => this.registerPlugin(plugin));
+
+    this.isInitialized = true;
+    logger.verbose('Widget plugins initialized', { count: this.plugins.length });
+  }
+
+  /**
+   * Install a plugin from its manifest URL and place it in the layout if there's room
+   * @param {string} manifestUrl - URL of the manifest JSON
+   * @returns {Promise<{definition: Object, placed: boolean}>}
+   * @throws {Error} If the manifest can't be loaded or is invalid
+   */
+  static async install(manifestUrl) {
+    const url = this.resolveUrl(manifestUrl, window.location.href);
+    if (!url) {
+      throw new Error('Enter a full http:// or https:// link to the widget manifest.');
+    }
+
+    logger.info('Installing widget plugin', { manifestUrl: url });
+
+    let response;
+    try {
+      response = await fetch(url, { cache: 'no-store' });
+    } catch (error) {
+      throw new Error(`Couldn't reach the manifest: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Manifest request failed (HTTP ${response.status}).`);
+    }
+
+    let json;
+    try {
+      json = await response.json();
+    } catch (error) {
+      throw new Error('The manifest is not valid JSON.');
+    }
+
+    const manifest = this.validateManifest(json, url);
+
+    if (getWidgetDefinition(manifest.id)) {
+      throw new Error(`A widget with id "${manifest.id}" is already installed.`);
+    }
+
+    const plugin = { manifestUrl: url, manifest };
+    const definition = this.registerPlugin(plugin);
+
+    this.plugins.push(plugin);
+    this.persist();
+
+    // Cell and iframe first (hidden), then place it
+    AppComms.publish(AppComms.events.WIDGET_PLUGINS_CHANGED, { action: 'installed', widgetId: manifest.id });
+    const placed = this.placeInLayout(definition);
+
+    logger.success('Widget plugin installed', { id: manifest.id, version: manifest.version, placed });
+    return { definition, placed };
+  }
+
+  /**
+   * Remove an installed plugin (and its place in the layout)
+   * @param {string} widgetId - Plugin widget ID
+   * @returns {boolean} True if removed
+   */
+  static uninstall(widgetId) {
+    const index = this.plugins.findIndex(p => p.manifest.id === widgetId);
+    if (index === -1) {
+      logger.warn('Widget plugin not installed', { widgetId });
+      return false;
+    }
+
+    const layout = DashboardLayoutManager.getLayout();
+    if (layout.widgets.some(w => w.id === widgetId)) {
+      DashboardLayoutManager.setLayout({
+        ...layout,
+        custom: true,
+        widgets: layout.widgets.filter(w => w.id !== widgetId)
+      });
+    }
+
+    unregisterWidgetDefinition(widgetId);
+    widgetMessenger.setWidgetConfig(widgetId, null);
+
+    this.plugins.splice(index, 1);
+    this.persist();
+
+    AppComms.publish(AppComms.events.WIDGET_PLUGINS_CHANGED, { action: 'removed', widgetId });
+
+    logger.info('Widget plugin removed', { widgetId });
+    return true;
+  }
+
+  /**
+   * Installed plugins
+   * @returns {Array<Object>} Widget definitions of installed plugins
+   */
+  static getInstalled() {
+    return this.plugins
+      .map(p => getWidgetDefinition(p.manifest.id))
+      .filter(Boolean);
+  }
+
+  // =============================================================================
+  // MANIFEST
+  // =============================================================================
+
+  /**
+   * Validate a manifest and fill in defaults
+   * @param {Object} json - Parsed manifest
+   * @param {string} manifestUrl - Absolute manifest URL (entry is resolved against it)
+   * @returns {Object} Normalized manifest
+   * @throws {Error} Listing every problem found
+   */
+  static validateManifest(json, manifestUrl) {
+    const errors = [];
+    const knownDataTypes = Object.values(WIDGET_DATA_TYPES);
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+      throw new Error('The manifest must be a JSON object.');
+    }
+
+    if (typeof json.id !== 'string' || !PLUGIN_ID_PATTERN.test(json.id)) {
+      errors.push('"id" must be 2-31 characters: lowercase letters, digits and "-", starting with a letter');
+    }
+
+    const name = typeof json.name === 'string' ? json.name.trim() : '';
+    if (!name) {
+      errors.push('"name" is required');
+    }
+
+    const entry = typeof json.entry === 'string' ? this.resolveUrl(json.entry, manifestUrl) : null;
+    if (!entry) {
+      errors.push('"entry" must be a link to the widget page (http or https)');
+    }
+
+    const subscriptions = json.subscriptions ?? [];
+    if (!Array.isArray(subscriptions) || subscriptions.some(type => !knownDataTypes.includes(type))) {
+      errors.push(`"subscriptions" may only contain: ${knownDataTypes.join(', ')}`);
+    }
+
+    const menuItems = json.menuItems ?? [];
+    if (!Array.isArray(menuItems) || menuItems.length > MAX_MENU_ITEMS ||
+        menuItems.some(item => typeof item?.id !== 'string' || typeof item?.label !== 'string')) {
+      errors.push(`"menuItems" must be up to ${MAX_MENU_ITEMS} { "id", "label" } entries`);
+    }
+
+    const size = json.defaultSize ?? {};
+    const rowSpan = size.rowSpan ?? 1;
+    const colSpan = size.colSpan ?? 1;
+    const validSpan = (span) => Number.isInteger(span) && span >= 1 && span <= MAX_GRID_TRACKS;
+    if (!validSpan(rowSpan) || !validSpan(colSpan)) {
+      errors.push(`"defaultSize" rowSpan/colSpan must be whole numbers from 1 to ${MAX_GRID_TRACKS}`);
+    }
+
+    const focusScale = json.focusScale ?? 1.2;
+    if (typeof focusScale !== 'number' || focusScale < 1 || focusScale > 2) {
+      errors.push('"focusScale" must be a number from 1 to 2');
+    }
+
+    const refreshMinutes = json.refreshMinutes ?? null;
+    if (refreshMinutes !== null && (typeof refreshMinutes !== 'number' || refreshMinutes < 1)) {
+      errors.push('"refreshMinutes" must be at least 1');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid widget manifest:\n- ${errors.join('\n- ')}`);
+    }
+
+    return {
+      id: json.id,
+      name,
+      version: typeof json.version === 'string' ? json.version : null,
+      entry,
+      subscriptions: [...new Set(subscriptions)],
+      menuItems: menuItems.map(item => ({ id: item.id, label: item.label })),
+      defaultSize: { rowSpan, colSpan },
+      focusScale,
+      refreshMinutes
+    };
+  }
+
+  /**
+   * Resolve a (possibly relative) URL, allowing only http(s)
+   * @private
+   * @param {string} value - URL or path
+   * @param {string} base - Base URL
+   * @returns {string|null} Absolute URL or null if invalid
+   */
+  static resolveUrl(value, base) {
+    try {
+      const url = new URL(String(value).trim(), base);
+      return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // =============================================================================
+  // REGISTRATION
+  // =============================================================================
+
+  /**
+   * Add a plugin's widget definition and focus menu
+   * @private
+   * @param {Object} plugin - { manifestUrl, manifest }
+   * @returns {Object} Widget definition
+   */
+  static registerPlugin({ manifestUrl, manifest }) {
+    const definition = {
+      id: manifest.id,
+      label: manifest.name,
+      path: manifest.entry,
+      noCenter: false,
+      focusScale: manifest.focusScale,
+      selectable: true,
+      plugin: true,
+      manifestUrl,
+      version: manifest.version,
+      subscriptions: manifest.subscriptions,
+      menuItems: manifest.menuItems,
+      defaultSize: manifest.defaultSize,
+      refreshMinutes: manifest.refreshMinutes
+    };
+
+    if (!registerWidgetDefinition(definition)) {
+      logger.warn('Widget plugin id clashes with an existing widget, skipping', { id: manifest.id });
+      return getWidgetDefinition(manifest.id);
+    }
+
+    if (manifest.menuItems.length > 0) {
+      widgetMessenger.setWidgetConfig(manifest.id, {
+        type: 'widget-config',
+        widget: manifest.id,
+        focusMenu: {
+          enabled: true,
+          defaultIndex: 0,
+          items: manifest.menuItems.map(item => ({ ...item, type: 'action' }))
+        }
+      });
+    }
+
+    return definition;
+  }
+
+  /**
+   * Place a newly installed widget in the first free spot (default size, else 1×1)
+   * @private
+   * @param {Object} definition - Plugin widget definition
+   * @returns {boolean} True if placed
+   */
+  static placeInLayout(definition) {
+    const layout = DashboardLayoutManager.getLayout();
+    const sizes = [definition.defaultSize, { rowSpan: 1, colSpan: 1 }];
+
+    for (const size of sizes) {
+      for (let row = 1; row <= layout.rows.length; row++) {
+        for (let col = 1; col <= layout.columns.length; col++) {
+          const placement = { id: definition.id, row, col, ...size };
+
+          if (isPlacementValid(layout, placement)) {
+            layout.widgets.push(placement);
+            DashboardLayoutManager.setLayout({ ...layout, custom: true });
+            return true;
+          }
+        }
+      }
+    }
+
+    logger.info('No room for widget plugin in the layout - place it from the layout editor', { id: definition.id });
+    return false;
+  }
+
+  // =============================================================================
+  // PERSISTENCE
+  // =============================================================================
+
+  /**
+   * Load installed plugins from localStorage (re-validated, bad entries dropped)
+   * @private
+   * @returns {Array<Object>} [{ manifestUrl, manifest }]
+   */
+  static loadSaved() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEYS.WIDGET_PLUGINS) || '[]');
+      if (!Array.isArray(saved)) return [];
+
+      return saved.filter(plugin => {
+        try {
+          plugin.manifest = this.validateManifest(plugin.manifest, plugin.manifestUrl);
+          return true;
+        } catch (error) {
+          logger.warn('Dropping saved widget plugin', { manifestUrl: plugin?.manifestUrl, error: error.message });
+          return false;
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to load widget plugins from localStorage', error);
+      return [];
+    }
+  }
+
+  /**
+   * Persist installed plugins to localStorage
+   * @private
+   */
+  static persist() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.WIDGET_PLUGINS, JSON.stringify(this.plugins));
+    } catch (error) {
+      logger.error('Failed to persist widget plugins', error);
+    }
+  }
+}
+
+// =============================================================================
+// EXPOSE GLOBALLY FOR DEBUGGING
+// =============================================================================
+
+if (typeof window !== 'undefined') {
+  window.DashboardWidgetPlugins = DashboardWidgetPlugins;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+export default DashboardWidgetPlugins;
@@ -1,6 +1,10 @@
 // js/modules/Dashboard/dashboard.js
-// Dashboard module - Main view with 2x3 widget grid and sidebar navigation
+// Dashboard module - Main view with widget grid (layout-driven) and sidebar navigation
 // v1.0 - 10/16/25 - Initial implementation for Phase 2
+// v1.1 - 10/19/26 - Widget focus menu wiring (widget-config, return-to-menu)
+// v1.2 - 10/19/26 - Re-layout the grid when the layout is edited in Settings
+// v1.3 - 10/19/26 - Widget plugins (registered before the grid is built, cells added/removed at runtime)
+// v1.4 - 10/19/26 - Message board banner (MessageService notes)
 
 import { createLogger } from '../../utils/logger.js';
 import AppComms from '../../core/app-comms.js';
@@ -8,6 +12,12 @@ import DashboardStateManager from './dashboard-state-manager.js';
 import DashboardInputHandler from './dashboard-input-handler.js';
 import UIRenderer from './dashboard-ui-renderer.js';
 import DashboardTimers from './dashboard-timers.js';
+import NavigationManager from './dashboard-navigation-manager.js';
+import FocusMenu from './dashboard-focus-menu.js';
+import DashboardLayoutManager from './dashboard-layout-manager.js';
+import DashboardWidgetPlugins from './dashboard-widget-plugins.js';
+import { getWidgetDefinition } from './dashboard-widget-config.js';
+import messageService from '../../data/services/message-service.js';
 
 const logger = createLogger('Dashboard');
 
@@ -27,11 +37,18 @@ const logger = createLogger('Dashboard');
  * - dashboard-input-handler.js: Routes input actions to navigation-manager
  * - dashboard-navigation-manager.js: Grid + menu navigation logic
  * - dashboard-ui-renderer.js: DOM rendering and visual updates
+ * - dashboard-focus-menu.js: Focus menu beside a focused widget
+ * - dashboard-layout-manager.js: Active layout (grid tracks, widget placement)
+ * - dashboard-widget-plugins.js: Third-party widgets installed from a manifest URL
  */
 class Dashboard {
   constructor() {
     this.isInitialized = false;
     this.isActive = false;
+    this.unsubscribeWidgetMessages = null;
+    this.unsubscribeLayoutChanges = null;
+    this.unsubscribePluginChanges = null;
+    this.unsubscribeMessages = null;
 
     logger.verbose('Dashboard module created');
   }
@@ -45,6 +62,9 @@ class Dashboard {
     try {
       logger.verbose('Initializing Dashboard module...');
 
+      // Plugin widget definitions must exist before the layout is loaded (state manager)
+      DashboardWidgetPlugins.initialize();
+
       // Initialize state manager
       await DashboardStateManager.initialize();
       logger.debug('State manager initialized');
@@ -57,6 +77,30 @@ class Dashboard {
       DashboardTimers.initialize();
       logger.debug('Timer system initialized');
 
+      // Widget focus menu messages
+      this.unsubscribeWidgetMessages = AppComms.subscribe(AppComms.events.WIDGET_MESSAGE, (data) => {
+        if (data?.type === 'return-to-menu') {
+          NavigationManager.returnToFocusMenu();
+        } else if (data?.type === 'widget-config' && data.widgetId) {
+          FocusMenu.refresh(data.widgetId);
+        }
+      });
+
+      // Layout edits (Settings layout editor) re-place widgets without reloading them
+      this.unsubscribeLayoutChanges = AppComms.subscribe(AppComms.events.LAYOUT_CHANGED, ({ layout }) => {
+        this.handleLayoutChanged(layout);
+      });
+
+      // Widget plugins installed/removed from Settings
+      this.unsubscribePluginChanges = AppComms.subscribe(AppComms.events.WIDGET_PLUGINS_CHANGED, (data) => {
+        this.handleWidgetPluginsChanged(data);
+      });
+
+      // Message board notes posted, dismissed or expired
+      this.unsubscribeMessages = AppComms.subscribe(AppComms.events.MESSAGES_UPDATED, ({ messages }) => {
+        UIRenderer.updateMessageBanner(messages);
+      });
+
       this.isInitialized = true;
 
       logger.verbose('Dashboard module initialized');
@@ -83,6 +127,7 @@ class Dashboard {
 
     // Show UI
     UIRenderer.render();
+    UIRenderer.updateMessageBanner(messageService.getMessages());
 
     // Enable input handler
     DashboardInputHandler.enable();
@@ -125,6 +170,40 @@ class Dashboard {
     AppComms.publish('module:deactivated', { module: 'dashboard' });
   }
 
+  /**
+   * Apply a changed layout and move the grid selection onto a widget that still exists
+   * @param {Object} layout - New layout
+   */
+  handleLayoutChanged(layout) {
+    if (DashboardStateManager.getState().focusedWidget) {
+      NavigationManager.defocusWidget();
+    }
+
+    UIRenderer.applyLayout(layout);
+
+    const { row, col } = DashboardStateManager.getState().gridPosition;
+    const position = DashboardLayoutManager.getValidPosition(row, col);
+    DashboardStateManager.setGridPosition(position.row, position.col);
+    UIRenderer.updateFocus();
+
+    logger.info('Dashboard layout updated', { id: layout.id, custom: layout.custom });
+  }
+
+  /**
+   * Add or remove the grid cell of an installed/removed widget plugin
+   * @param {Object} data - { action: 'installed'|'removed', widgetId }
+   */
+  handleWidgetPluginsChanged({ action, widgetId }) {
+    if (action === 'installed') {
+      UIRenderer.addWidgetCell(getWidgetDefinition(widgetId));
+    } else if (action === 'removed') {
+      if (DashboardStateManager.getState().focusedWidget === widgetId) {
+        NavigationManager.defocusWidget();
+      }
+      UIRenderer.removeWidgetCell(widgetId);
+    }
+  }
+
   /**
    * Get current Dashboard state
    * @returns {Object} Current state
@@ -149,7 +228,28 @@ class Dashboard {
 
     this.deactivate();
 
+    if (this.unsubscribeWidgetMessages) {
+      this.unsubscribeWidgetMessages();
+      this.unsubscribeWidgetMessages = null;
+    }
+
+    if (this.unsubscribeLayoutChanges) {
+      this.unsubscribeLayoutChanges();
+      this.unsubscribeLayoutChanges = null;
+    }
+
+    if (this.unsubscribePluginChanges) {
+      this.unsubscribePluginChanges();
+      this.unsubscribePluginChanges = null;
+    }
+
+    if (this.unsubscribeMessages) {
+      this.unsubscribeMessages();
+      this.unsubscribeMessages = null;
+    }
+
     // Cleanup UI
+    FocusMenu.hide();
     UIRenderer.destroy();
 
     this.isInitialized = false;
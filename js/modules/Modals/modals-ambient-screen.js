@@ -0,0 +1,299 @@
+// js/modules/Modals/modals-ambient-screen.js
+// Ambient sleep screen - dim clock, tomorrow's first event, tonight's low and photo fade
+// v1.0 - 10/19/26 - Initial implementation
+
+import { createLogger } from '../../utils/logger.js';
+import AppComms from '../../core/app-comms.js';
+import { getAmbientSettings, toDateKey } from '../../utils/sleep-schedule.js';
+
+const logger = createLogger('ModalsAmbientScreen');
+
+const DRIFT_INTERVAL_MS = 2 * 60 * 1000; // Move the content every 2 minutes
+const DRIFT_MAX_PX = 40; // ...up to this far from center in each direction
+const PHOTO_INTERVAL_MS = 60 * 1000; // Next photo every minute
+const DATA_REFRESH_MS = 30 * 60 * 1000; // Re-read event/weather every 30 minutes
+const TONIGHT_ENDS_HOUR = '09'; // Tonight's low covers the hours until 9 AM tomorrow
+
+/**
+ * ModalsAmbientScreen - Content of the sleep overlay
+ *
+ * Shows (each optional, see interface.ambient):
+ * - Large clock
+ * - Tomorrow's first event, from the calendar data WidgetDataManager already holds
+ * - Tonight's low, from the WeatherService forecast (cached by the service)
+ * - Slow crossfade through the photos WidgetDataManager last loaded
+ *
+ * Everything is drawn at the configured brightness, and the content drifts a
+ * little every few minutes so nothing stays on the same pixels all night.
+ * With interface.ambient.enabled off the overlay stays plain black.
+ */
+class ModalsAmbientScreen {
+  constructor() {
+    this.container = null;
+    this.clockTimer = null;
+    this.driftTimer = null;
+    this.photoTimer = null;
+    this.dataTimer = null;
+    this.unsubscribeSettings = null;
+    this.photoIndex = 0;
+    this.lastSettings = null; // JSON of the ambient settings last rendered
+  }
+
+  /**
+   * Fill the sleep overlay and start the timers
+   * @param {HTMLElement} overlay - Sleep overlay element
+   */
+  start(overlay) {
+    this.stop();
+
+    const settings = getAmbientSettings(window.settingsStore);
+    if (!settings.enabled) return;
+
+    this.container = document.createElement('div');
+    this.container.className = 'ambient-screen';
+    overlay.appendChild(this.container);
+
+    this.render(settings);
+
+    this.unsubscribeSettings = AppComms.subscribe(AppComms.events.SETTINGS_CHANGED, () => {
+      const updated = getAmbientSettings(window.settingsStore);
+      if (!updated.enabled) {
+        this.stop();
+      } else if (JSON.stringify(updated) !== this.lastSettings) {
+        this.render(updated);
+      }
+    });
+
+    logger.debug('Ambient sleep screen started', settings);
+  }
+
+  /**
+   * Stop the timers and remove the content
+   */
+  stop() {
+    clearTimeout(this.clockTimer);
+    clearInterval(this.driftTimer);
+    clearInterval(this.photoTimer);
+    clearInterval(this.dataTimer);
+    this.clockTimer = this.driftTimer = this.photoTimer = this.dataTimer = null;
+
+    if (this.unsubscribeSettings) {
+      this.unsubscribeSettings();
+      this.unsubscribeSettings = null;
+    }
+
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+      logger.debug('Ambient sleep screen stopped');
+    }
+  }
+
+  // =============================================================================
+  // RENDERING
+  // =============================================================================
+
+  /**
+   * Build the content for the current settings (restarts the timers)
+   * @private
+   * @param {Object} settings - Ambient settings
+   */
+  render(settings) {
+    clearTimeout(this.clockTimer);
+    clearInterval(this.driftTimer);
+    clearInterval(this.photoTimer);
+    clearInterval(this.dataTimer);
+
+    this.lastSettings = JSON.stringify(settings);
+
+    const container = this.container;
+    container.style.setProperty('--ambient-brightness', settings.brightness / 100);
+    container.innerHTML = `
+      ${settings.photos ? `
+        <div class="ambient-screen__photo"></div>
+        <div class="ambient-screen__photo"></div>
+      ` : ''}
+      <div class="ambient-screen__content">
+        ${settings.clock ? `
+          <div class="ambient-screen__time"></div>
+          <div class="ambient-screen__date"></div>
+        ` : ''}
+        ${settings.nextEvent ? '<div class="ambient-screen__event"></div>' : ''}
+        ${settings.weather ? '<div class="ambient-screen__weather"></div>' : ''}
+      </div>
+    `;
+
+    if (settings.clock) {
+      this.updateClock();
+    }
+
+    if (settings.nextEvent || settings.weather) {
+      this.updateData(settings);
+      this.dataTimer = setInterval(() => this.updateData(settings), DATA_REFRESH_MS);
+    }
+
+    if (settings.photos) {
+      this.showNextPhoto();
+      this.photoTimer = setInterval(() => this.showNextPhoto(), PHOTO_INTERVAL_MS);
+    }
+
+    this.drift();
+    this.driftTimer = setInterval(() => this.drift(), DRIFT_INTERVAL_MS);
+  }
+
+  /**
+   * Update the clock, then again at the start of the next minute
+   * @private
+   */
+  updateClock() {
+    const timeEl = this.container?.querySelector('.ambient-screen__time');
+    if (!timeEl) return;
+
+    const now = new Date();
+    timeEl.textContent = now.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    this.container.querySelector('.ambient-screen__date').textContent =
+      now.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+
+    this.clockTimer = setTimeout(() => this.updateClock(), 60000 - (now.getSeconds() * 1000 + now.getMilliseconds()));
+  }
+
+  /**
+   * Move the content to a new spot near the center (burn-in protection)
+   * @private
+   */
+  drift() {
+    const content = this.container?.querySelector('.ambient-screen__content');
+    if (!content) return;
+
+    const offset = () => Math.round((Math.random() * 2 - 1) * DRIFT_MAX_PX);
+    content.style.transform = `translate(${offset()}px, ${offset()}px)`;
+  }
+
+  /**
+   * Crossfade to the next photo (alternates between the two photo layers)
+   * @private
+   */
+  showNextPhoto() {
+    const layers = this.container?.querySelectorAll('.ambient-screen__photo');
+    const urls = window.widgetDataManager?.lastPhotosPayload?.urls || [];
+    if (!layers?.length || urls.length === 0) return;
+
+    const url = urls[this.photoIndex % urls.length];
+    const incoming = layers[this.photoIndex % 2];
+    const outgoing = layers[(this.photoIndex + 1) % 2];
+    this.photoIndex++;
+
+    // Fade in once loaded, so a slow image never shows half-drawn
+    const image = new Image();
+    image.onload = () => {
+      if (!incoming.isConnected) return;
+      incoming.style.backgroundImage = `url("${url.replace(/"/g, '%22')}")`;
+      incoming.classList.add('visible');
+      outgoing.classList.remove('visible');
+    };
+    image.src = url;
+  }
+
+  /**
+   * Fill in tomorrow's first event and tonight's low
+   * @private
+   * @param {Object} settings - Ambient settings
+   */
+  async updateData(settings) {
+    if (settings.nextEvent) {
+      const eventEl = this.container?.querySelector('.ambient-screen__event');
+      if (eventEl) {
+        eventEl.textContent = this.getTomorrowFirstEventText();
+      }
+    }
+
+    if (settings.weather) {
+      const low = await this.getTonightsLow();
+      const weatherEl = this.container?.querySelector('.ambient-screen__weather');
+      if (weatherEl) {
+        weatherEl.textContent = low !== null ? `Tonight's low ${low}°` : '';
+      }
+    }
+  }
+
+  // =============================================================================
+  // DATA
+  // =============================================================================
+
+  /**
+   * Tomorrow's first event (timed events before all-day ones)
+   * @private
+   * @returns {string} - e.g. "Tomorrow 8:30 AM · Dentist", or '' if none
+   */
+  getTomorrowFirstEventText() {
+    const dataManager = window.widgetDataManager;
+    const events = dataManager?.calendarDataCache?.events || [];
+
+    const tomorrow = new Date();
+    tomorrow.setHours(0, 0, 0, 0);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const dayAfter = new Date(tomorrow);
+    dayAfter.setDate(tomorrow.getDate() + 1);
+
+    let first = null;
+    events.forEach(event => {
+      const bounds = dataManager.getEventBounds(event);
+      if (!bounds) return;
+
+      // All-day events count if any of their days is tomorrow (bounds end at
+      // the midnight after the last day, so a one-day event covers its whole
+      // day even from a stale cache); timed ones only if they start then
+      const isAllDay = !event.start?.dateTime;
+      const isTomorrow = isAllDay
+        ? bounds.start < dayAfter && bounds.end > tomorrow
+        : bounds.start >= tomorrow && bounds.start < dayAfter;
+      if (!isTomorrow) return;
+
+      const candidate = { event, start: bounds.start, isAllDay };
+      if (!first ||
+        (first.isAllDay && !candidate.isAllDay) ||
+        (first.isAllDay === candidate.isAllDay && candidate.start < first.start)) {
+        first = candidate;
+      }
+    });
+
+    if (!first) return '';
+
+    const title = first.event.summary || 'Busy';
+    return first.isAllDay
+      ? `Tomorrow · ${title}`
+      : `Tomorrow ${first.start.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })} · ${title}`;
+  }
+
+  /**
+   * Lowest hourly temperature between now and tomorrow morning
+   * @private
+   * @returns {Promise<number|null>} - °F, or null if weather isn't available
+   */
+  async getTonightsLow() {
+    const zipCode = window.settingsStore?.get('family.zipCode');
+    const weatherService = window.weatherService;
+    if (!zipCode || !weatherService?.isReady()) return null;
+
+    try {
+      const forecast = await weatherService.getForecastForZipCode(zipCode);
+
+      // Forecast times are location-local 'YYYY-MM-DDTHH:mm' strings
+      const tomorrow = forecast.daily[1]?.date || toDateKey(new Date(Date.now() + 86400000));
+      const until = `${tomorrow}T${TONIGHT_ENDS_HOUR}`;
+      const temps = forecast.hourly
+        .filter(hour => hour.time < until)
+        .map(hour => hour.temperature);
+
+      if (temps.length > 0) return Math.min(...temps);
+      return forecast.daily[1]?.low ?? null;
+    } catch (error) {
+      logger.warn('Tonight\'s low unavailable', { error: error.message });
+      return null;
+    }
+  }
+}
+
+// Export singleton
+const modalsAmbientScreen = new ModalsAmbientScreen();
+export default modalsAmbientScreen;
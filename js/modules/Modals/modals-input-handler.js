@@ -59,25 +59,25 @@ class ModalsInputHandler {
 
     switch (action) {
       case 'up':
-        if (modalType === 'exit' || modalType === 'confirmation') {
+        if (modalType === 'exit' || modalType === 'confirmation' || modalType === 'update') {
           return this.handleUp();
         }
         return false;
 
       case 'down':
-        if (modalType === 'exit' || modalType === 'confirmation') {
+        if (modalType === 'exit' || modalType === 'confirmation' || modalType === 'update') {
           return this.handleDown();
         }
         return false;
 
       case 'left':
-        if (modalType === 'exit' || modalType === 'confirmation') {
+        if (modalType === 'exit' || modalType === 'confirmation' || modalType === 'update') {
           return this.handleLeft();
         }
         return false;
 
       case 'right':
-        if (modalType === 'exit' || modalType === 'confirmation') {
+        if (modalType === 'exit' || modalType === 'confirmation' || modalType === 'update') {
           return this.handleRight();
         }
         return false;
@@ -105,6 +105,8 @@ class ModalsInputHandler {
         modalsUIRenderer.updateExitHighlight(selectedOption);
       } else if (modalType === 'confirmation') {
         modalsUIRenderer.updateConfirmationHighlight(selectedOption);
+      } else if (modalType === 'update') {
+        modalsUIRenderer.updateUpdateHighlight(selectedOption);
       }
       return true;
     }
@@ -123,6 +125,8 @@ class ModalsInputHandler {
         modalsUIRenderer.updateExitHighlight(selectedOption);
       } else if (modalType === 'confirmation') {
         modalsUIRenderer.updateConfirmationHighlight(selectedOption);
+      } else if (modalType === 'update') {
+        modalsUIRenderer.updateUpdateHighlight(selectedOption);
       }
       return true;
     }
@@ -173,6 +177,14 @@ class ModalsInputHandler {
       return true;
     }
 
+    if (modalType === 'update') {
+      const selectedOption = modalsStateManager.getSelectedOption();
+      if (this.onConfirmCallback) {
+        this.onConfirmCallback(selectedOption);
+      }
+      return true;
+    }
+
     return false;
   }
 
@@ -8,12 +8,13 @@ const logger = createLogger('ModalsStateManager');
 class ModalsStateManager {
   constructor() {
     this.state = {
-      currentModal: null,        // 'sleep', 'exit', 'confirmation', null
+      currentModal: null,        // 'sleep', 'exit', 'confirmation', 'update', null
       isAuthenticated: false,
       selectedOption: null,       // Current highlighted option
       optionsList: [],            // Available options for current modal
       user: null,                 // User data for authenticated exit modal
-      confirmationData: null      // Data for generic confirmation modals
+      confirmationData: null,     // Data for generic confirmation modals
+      updateData: null            // Data for the app update prompt
     };
 
     this.initialized = false;
@@ -84,6 +85,36 @@ class ModalsStateManager {
     logger.debug('Confirmation modal state set', { title: config.title });
   }
 
+  /**
+   * Open app update prompt
+   * @param {object} config - Update configuration
+   * @param {string} config.version - Version to install
+   * @param {string} config.currentVersion - Running version
+   * @param {string} config.releaseNotes - Release notes (plain text, optional)
+   * @param {boolean} config.isRollback - Going back to an older version
+   * @param {string} config.tonightLabel - Label for the "while asleep" option (omit to hide it)
+   */
+  openUpdate(config) {
+    this.state.currentModal = 'update';
+    this.state.updateData = {
+      version: config.version,
+      currentVersion: config.currentVersion,
+      releaseNotes: config.releaseNotes || '',
+      isRollback: !!config.isRollback,
+      tonightLabel: config.tonightLabel || null
+    };
+
+    if (this.state.updateData.tonightLabel) {
+      this.state.optionsList = ['now', 'tonight', 'later'];
+      this.state.selectedOption = 'tonight'; // Default to not interrupting whoever is watching
+    } else {
+      this.state.optionsList = ['now', 'later'];
+      this.state.selectedOption = 'now';
+    }
+
+    logger.debug('Update modal state set', { version: config.version, optionsCount: this.state.optionsList.length });
+  }
+
   /**
    * Close current modal
    */
@@ -95,7 +126,8 @@ class ModalsStateManager {
       selectedOption: null,
       optionsList: [],
       user: null,
-      confirmationData: null
+      confirmationData: null,
+      updateData: null
     };
 
     if (wasOpen) {
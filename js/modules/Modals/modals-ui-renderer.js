@@ -1,5 +1,5 @@
 // js/modules/Modals/modals-ui-renderer.js
-// Modal UI rendering - handles sleep overlay, exit confirmation, and logout modal
+// Modal UI rendering - handles sleep overlay, exit confirmation, logout modal and app update prompt
 // Based on legacy js/ui/modals.js with exact styling
 
 import { createLogger } from '../../utils/logger.js';
@@ -195,6 +195,100 @@ class ModalsUIRenderer {
     }
   }
 
+  /**
+   * Show app update prompt
+   * Options stack vertically (update now / tonight while asleep / later)
+   * @param {object} data - Update data from the state manager
+   * @returns {Object} - { backdrop, dialog }
+   */
+  showUpdateModal(data) {
+    // Remove existing if present
+    this.hideUpdateModal();
+
+    const backdrop = document.createElement('div');
+    backdrop.id = 'update-backdrop';
+    backdrop.className = 'modal-backdrop';
+
+    const dialog = document.createElement('div');
+    dialog.id = 'update-dialog';
+    dialog.className = 'confirmation-dialog update-dialog';
+
+    dialog.innerHTML = `
+      <h2 class="confirmation-title"></h2>
+      <p class="confirmation-message update-versions"></p>
+      <div class="update-notes"></div>
+      <div class="update-options">
+        <button class="confirmation-button confirmation-button--primary" id="update-now" data-action="now"></button>
+        <button class="confirmation-button confirmation-button--secondary" id="update-tonight" data-action="tonight"></button>
+        <button class="confirmation-button confirmation-button--secondary" id="update-later" data-action="later">Remind me later</button>
+      </div>
+    `;
+
+    // Versions and notes come from the server - set as text, never as HTML
+    dialog.querySelector('.confirmation-title').textContent = data.isRollback
+      ? `Dashie needs to go back to v${data.version}`
+      : `Dashie v${data.version} is available`;
+
+    dialog.querySelector('.update-versions').textContent = data.isRollback
+      ? `v${data.currentVersion} was withdrawn. Going back takes a few seconds.`
+      : `You're running v${data.currentVersion}. Updating takes a few seconds.`;
+
+    const notes = dialog.querySelector('.update-notes');
+    if (data.releaseNotes) {
+      notes.textContent = data.releaseNotes;
+    } else {
+      notes.remove();
+    }
+
+    dialog.querySelector('#update-now').textContent = data.isRollback ? 'Go back now' : 'Update now';
+
+    const tonight = dialog.querySelector('#update-tonight');
+    if (data.tonightLabel) {
+      tonight.textContent = data.tonightLabel;
+    } else {
+      tonight.remove();
+    }
+
+    backdrop.appendChild(dialog);
+    document.body.appendChild(backdrop);
+
+    logger.debug('Update modal shown', { version: data.version });
+    return { backdrop, dialog };
+  }
+
+  /**
+   * Hide app update prompt
+   */
+  hideUpdateModal() {
+    const backdrop = document.getElementById('update-backdrop');
+    if (backdrop) {
+      backdrop.remove();
+      logger.debug('Update modal hidden');
+    }
+  }
+
+  /**
+   * Show the "Updating..." screen while the app reloads
+   * Covers the page without touching the dashboard underneath
+   * @param {string} version - Version being installed
+   */
+  showUpdatingOverlay(version) {
+    if (document.getElementById('update-overlay')) return;
+
+    const overlay = document.createElement('div');
+    overlay.id = 'update-overlay';
+    overlay.className = 'update-overlay';
+    overlay.innerHTML = `
+      <div class="update-overlay__icon">🔄</div>
+      <div class="update-overlay__title"></div>
+      <div class="update-overlay__subtitle">Refreshing...</div>
+    `;
+    overlay.querySelector('.update-overlay__title').textContent = `Updating Dashie to v${version}...`;
+
+    document.body.appendChild(overlay);
+    logger.debug('Updating overlay shown', { version });
+  }
+
   /**
    * Update button/option highlighting
    * @param {string} selectedOption - ID of selected option (e.g. 'logout', 'exit', 'cancel', 'yes', 'no')
@@ -241,6 +335,26 @@ class ModalsUIRenderer {
     logger.debug('Updated confirmation modal highlight', { selectedOption });
   }
 
+  /**
+   * Update app update option highlighting
+   * @param {string} selectedOption - 'now', 'tonight' or 'later'
+   */
+  updateUpdateHighlight(selectedOption) {
+    const dialog = document.getElementById('update-dialog');
+    if (!dialog) return;
+
+    dialog.querySelectorAll('.confirmation-button').forEach(btn => {
+      btn.classList.remove('selected');
+    });
+
+    const selectedElement = dialog.querySelector(`[data-action="${selectedOption}"]`);
+    if (selectedElement) {
+      selectedElement.classList.add('selected');
+    }
+
+    logger.debug('Updated update modal highlight', { selectedOption });
+  }
+
   /**
    * Clean up all modals
    */
@@ -248,6 +362,7 @@ class ModalsUIRenderer {
     this.hideSleepOverlay();
     this.hideExitModal();
     this.hideConfirmationModal();
+    this.hideUpdateModal();
     logger.debug('All modals cleaned up');
   }
 }
@@ -1,12 +1,17 @@
 // js/modules/Modals/modals.js
 // Modals Module - Public API for sleep overlay and exit/logout confirmations
 // Based on legacy js/ui/modals.js with modular architecture
+// v1.1 - 10/19/26 - Sleep overlay keeps AppStateManager.isSleeping in sync (SleepScheduler relies on it)
+// v1.2 - 10/19/26 - Ambient sleep screen (clock, next event, tonight's low, photo fade)
+// v1.3 - 10/19/26 - App update prompt (replaces window.confirm in HeartbeatService) and updating screen
 
 import { createLogger } from '../../utils/logger.js';
 import AppComms from '../../core/app-comms.js';
+import AppStateManager from '../../core/app-state-manager.js';
 import modalsStateManager from './modals-state-manager.js';
 import modalsUIRenderer from './modals-ui-renderer.js';
 import modalsInputHandler from './modals-input-handler.js';
+import modalsAmbientScreen from './modals-ambient-screen.js';
 
 const logger = createLogger('Modals');
 
@@ -15,14 +20,17 @@ const logger = createLogger('Modals');
  *
  * Public API:
  * - initialize() - One-time setup
- * - showSleep() - Enter sleep mode (black overlay)
+ * - showSleep() - Enter sleep mode (ambient sleep screen, or black overlay)
  * - showExitConfirmation() - Show exit/logout modal
+ * - showUpdatePrompt(config) - Ask to update now, while asleep, or later
+ * - showUpdating(version) - Cover the page while the app reloads for an update
  * - hide() - Hide current modal
  * - handleInput(action) - Process input events
  */
 class Modals {
   constructor() {
     this.isInitialized = false;
+    this.updateConfig = null; // Open update prompt's config (onChoice callback)
   }
 
   /**
@@ -49,7 +57,7 @@ class Modals {
   }
 
   /**
-   * Show sleep overlay (blank black screen)
+   * Show sleep overlay (ambient sleep screen per interface.ambient, otherwise blank black screen)
    * Wake up with any key or click
    */
   showSleep() {
@@ -60,11 +68,17 @@ class Modals {
 
     logger.debug('Showing sleep overlay');
 
+    // Nobody answered the update prompt - ask again later rather than leave it under the overlay
+    if (modalsStateManager.getCurrentModal() === 'update') {
+      this.handleUpdateChoice('later');
+    }
+
     // Update state
     modalsStateManager.openSleep();
 
     // Show UI
     const overlay = modalsUIRenderer.showSleepOverlay();
+    modalsAmbientScreen.start(overlay);
 
     // Enable input handling
     modalsInputHandler.enable(
@@ -84,20 +98,24 @@ class Modals {
     // Focus the overlay so it receives keyboard events
     overlay.focus();
 
-    AppComms.publish(AppComms.events.SLEEP_MODE_CHANGED, { isAsleep: true });
+    AppStateManager.setSleepMode(true);
   }
 
   /**
    * Hide sleep overlay
    */
   hideSleep() {
+    // Overlay key/click listeners and ActionRouter's wake request can both fire for one key press
+    if (modalsStateManager.getCurrentModal() !== 'sleep') return;
+
     logger.debug('Hiding sleep overlay');
 
     modalsStateManager.close();
+    modalsAmbientScreen.stop();
     modalsUIRenderer.hideSleepOverlay();
     modalsInputHandler.disable();
 
-    AppComms.publish(AppComms.events.SLEEP_MODE_CHANGED, { isAsleep: false });
+    AppStateManager.setSleepMode(false);
   }
 
   /**
@@ -384,6 +402,100 @@ class Modals {
     AppComms.publish('modal:closed', { type: 'confirmation' });
   }
 
+  /**
+   * Show app update prompt (D-pad navigable, no window.confirm)
+   * @param {object} config - Update configuration
+   * @param {string} config.version - Version to install
+   * @param {string} config.currentVersion - Running version
+   * @param {string} config.releaseNotes - Release notes (plain text, optional)
+   * @param {boolean} config.isRollback - Going back to an older version
+   * @param {string} config.tonightLabel - Label for the "while asleep" option (omit to hide it)
+   * @param {function} config.onChoice - Called with 'now', 'tonight' or 'later' (Back and backdrop clicks are 'later')
+   */
+  showUpdatePrompt(config) {
+    if (!this.isInitialized) {
+      logger.error('Cannot show update prompt - Modals not initialized');
+      return;
+    }
+
+    if (!config || !config.onChoice) {
+      logger.error('Cannot show update prompt - onChoice callback required');
+      return;
+    }
+
+    logger.debug('Showing update prompt', { version: config.version });
+
+    this.updateConfig = config;
+
+    // Update state
+    modalsStateManager.openUpdate(config);
+
+    // Show UI
+    const { backdrop } = modalsUIRenderer.showUpdateModal(modalsStateManager.getState().updateData);
+
+    // Update initial highlight
+    modalsUIRenderer.updateUpdateHighlight(modalsStateManager.getSelectedOption());
+
+    // Enable input handling
+    modalsInputHandler.enable(
+      (choice) => this.handleUpdateChoice(choice),
+      () => this.handleUpdateChoice('later')
+    );
+
+    // Add click listener to backdrop (later on backdrop click)
+    backdrop.addEventListener('click', (e) => {
+      if (e.target === backdrop) {
+        this.handleUpdateChoice('later');
+      }
+    });
+
+    // Add click listeners to options
+    backdrop.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.handleUpdateChoice(button.getAttribute('data-action'));
+      });
+    });
+
+    AppComms.publish('modal:opened', { type: 'update', version: config.version });
+  }
+
+  /**
+   * Handle update prompt choice
+   * @param {string} choice - 'now', 'tonight' or 'later'
+   */
+  handleUpdateChoice(choice) {
+    const config = this.updateConfig;
+    if (!config) return;
+
+    logger.debug('Update choice selected', { choice });
+
+    this.hideUpdatePrompt();
+    config.onChoice(choice);
+  }
+
+  /**
+   * Hide app update prompt
+   */
+  hideUpdatePrompt() {
+    logger.debug('Hiding update prompt');
+
+    this.updateConfig = null;
+
+    modalsStateManager.close();
+    modalsUIRenderer.hideUpdateModal();
+    modalsInputHandler.disable();
+
+    AppComms.publish('modal:closed', { type: 'update' });
+  }
+
+  /**
+   * Show the updating screen (stays until the page reloads)
+   * @param {string} version - Version being installed
+   */
+  showUpdating(version) {
+    modalsUIRenderer.showUpdatingOverlay(version);
+  }
+
   /**
    * Handle input action
    * @param {string} action - Action name (up, down, left, right, enter, escape)
@@ -471,9 +583,11 @@ class Modals {
     logger.debug('Destroying Modals module');
 
     modalsStateManager.close();
+    modalsAmbientScreen.stop();
     modalsUIRenderer.cleanup();
     modalsInputHandler.disable();
 
+    this.updateConfig = null;
     this.isInitialized = false;
   }
 }
@@ -1,11 +1,18 @@
 // js/modules/Settings/pages/settings-account-page.js
-// Account settings page - User account management and deletion
+// Account settings page - User account management, household sharing and deletion
 
 import { createLogger } from '../../../utils/logger.js';
 import DashieModal from '../../../utils/dashie-modal.js';
+import { showToast } from '../../../ui/toast.js';
 
 const logger = createLogger('SettingsAccountPage');
 
+const HOUSEHOLD_ROLE_LABELS = {
+    owner: 'Owner',
+    adult: 'Adult',
+    viewer: 'Viewer'
+};
+
 /**
  * Account Settings Page
  * Handles user account information display and deletion
@@ -14,6 +21,9 @@ export class SettingsAccountPage {
     constructor() {
         this.initialized = false;
         this.user = null;
+        this.householdLoading = false; // account-household screen is waiting for the household
+        this.householdError = null;
+        this.inviteRole = 'adult';
     }
 
     /**
@@ -83,11 +93,21 @@ export class SettingsAccountPage {
                 <!-- Account Actions -->
                 <div class="settings-modal__section">
                     <div class="settings-modal__section-content" style="padding: 0;">
+                        <!-- Household -->
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable"
+                             id="household-item"
+                             data-navigate="account-household"
+                             tabindex="1">
+                            <span class="settings-modal__menu-label">Household</span>
+                            <span class="settings-modal__cell-value">${this.getHouseholdSummary()}</span>
+                            <span class="settings-modal__menu-arrow">›</span>
+                        </div>
+
                         <!-- Manage Account -->
                         <div class="settings-modal__menu-item settings-modal__menu-item--selectable"
                              id="manage-account-item"
                              data-navigate="account-manage"
-                             tabindex="1">
+                             tabindex="2">
                             <span class="settings-modal__menu-label">Manage Account</span>
                             <span class="settings-modal__menu-arrow">›</span>
                         </div>
@@ -96,7 +116,7 @@ export class SettingsAccountPage {
                         <div class="settings-modal__menu-item settings-modal__menu-item--selectable"
                              id="erase-all-data-item"
                              data-navigate="account-erase"
-                             tabindex="2">
+                             tabindex="3">
                             <span class="settings-modal__menu-label">Erase All Data</span>
                             <span class="settings-modal__menu-arrow">›</span>
                         </div>
@@ -104,7 +124,7 @@ export class SettingsAccountPage {
                         <!-- Delete Account -->
                         <div class="settings-modal__menu-item settings-modal__menu-item--selectable settings-modal__menu-item--danger delete-account-item"
                              id="delete-account-item"
-                             tabindex="3">
+                             tabindex="4">
                             <span class="settings-modal__menu-label">Delete Account</span>
                             <span class="settings-modal__menu-arrow">›</span>
                         </div>
@@ -215,11 +235,13 @@ export class SettingsAccountPage {
             return elements;
         } else {
             // Main screen
+            const householdItem = document.getElementById('household-item');
             const manageItem = document.getElementById('manage-account-item');
             const eraseItem = document.getElementById('erase-all-data-item');
             const deleteItem = document.getElementById('delete-account-item');
 
             const elements = [];
+            if (householdItem) elements.push(householdItem);
             if (manageItem) elements.push(manageItem);
             if (eraseItem) elements.push(eraseItem);
             if (deleteItem) elements.push(deleteItem);
@@ -252,8 +274,49 @@ export class SettingsAccountPage {
             return { shouldNavigate: false };
         }
 
-        // Default: allow navigation
-        return { shouldNavigate: true };
+        if (item.dataset.navigate) {
+            return { shouldNavigate: true, navigateTo: item.dataset.navigate };
+        }
+
+        // Focus the invite email input (D-pad Enter)
+        if (item.classList.contains('household-invite-input-row')) {
+            document.getElementById(item.dataset.inputId)?.focus();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-invite-role')) {
+            this.inviteRole = this.inviteRole === 'adult' ? 'viewer' : 'adult';
+            const value = item.querySelector('.settings-modal__cell-value');
+            if (value) value.textContent = HOUSEHOLD_ROLE_LABELS[this.inviteRole];
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-invite-send')) {
+            await this.sendHouseholdInvitation();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-invitation-item')) {
+            await this.respondToInvitation(item.dataset.invitationId);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-revoke-item')) {
+            await this.revokeInvitation(item.dataset.invitationId);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-member-item')) {
+            await this.manageMember(item.dataset.memberId);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('household-leave-item')) {
+            await this.leaveHousehold();
+            return { shouldNavigate: false };
+        }
+
+        return { shouldNavigate: false };
     }
 
     /**
@@ -300,6 +363,413 @@ export class SettingsAccountPage {
         }, 50);
     }
 
+    // =========================================================================
+    // HOUSEHOLD
+    // =========================================================================
+
+    /**
+     * @private
+     * @returns {string} Role in the household for the main screen, e.g. "Owner" or "Not shared"
+     */
+    getHouseholdSummary() {
+        const role = window.householdService?.getRole();
+        return role ? HOUSEHOLD_ROLE_LABELS[role] : 'Not shared';
+    }
+
+    /**
+     * Render Household screen (rendered on entry; refreshed once the household loads)
+     * @returns {string} - HTML string
+     */
+    renderHouseholdScreen() {
+        const service = window.householdService;
+
+        if (!service) {
+            return `
+                <div class="settings-modal__list">
+                    <div class="settings-info-row">
+                        <span class="settings-info-label">Household sharing is unavailable offline</span>
+                    </div>
+                </div>
+            `;
+        }
+
+        const { household, role, members, invitations, my_invitations: myInvitations } = service.getHousehold();
+
+        return `
+            <div class="settings-modal__list">
+                ${this.householdLoading || this.householdError ? `
+                    <div class="settings-info-row">
+                        <span class="settings-info-label">${this.escapeHtml(this.householdError || 'Loading…')}</span>
+                    </div>
+                ` : ''}
+
+                ${myInvitations.length > 0 ? `
+                    <div class="settings-modal__section">
+                        <div class="settings-modal__section-header">Invitations</div>
+                        ${myInvitations.map(invitation => `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable household-invitation-item"
+                                 data-invitation-id="${this.escapeHtml(invitation.id)}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">Join ${this.escapeHtml(invitation.household_name || 'household')}</span>
+                                <span class="settings-modal__cell-value">${HOUSEHOLD_ROLE_LABELS[invitation.role]}${invitation.invited_by_name ? ` · from ${this.escapeHtml(invitation.invited_by_name)}` : ''}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">${this.escapeHtml(household?.name || 'Members')}</div>
+                    ${household ? members.map(member => this.renderHouseholdMember(member, role)).join('') : `
+                        <div class="settings-info-row">
+                            <span class="settings-info-label">Only you so far</span>
+                        </div>
+                    `}
+                </div>
+
+                ${service.canManage() ? `
+                    <div class="settings-modal__section">
+                        <div class="settings-modal__section-header">Invite</div>
+
+                        <div class="settings-modal__menu-item household-invite-input-row" data-input-id="household-invite-email">
+                            <input type="email"
+                                   class="settings-modal__text-input"
+                                   id="household-invite-email"
+                                   placeholder="Their Google account email"
+                                   maxlength="254"
+                                   autocomplete="off"
+                                   style="width: 100%;">
+                        </div>
+
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable household-invite-role"
+                             role="button"
+                             tabindex="0">
+                            <span class="settings-modal__menu-label">Role</span>
+                            <span class="settings-modal__cell-value">${HOUSEHOLD_ROLE_LABELS[this.inviteRole]}</span>
+                        </div>
+
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable household-invite-send"
+                             role="button"
+                             tabindex="0">
+                            <span class="settings-modal__menu-label">Send Invitation</span>
+                        </div>
+
+                        ${invitations.map(invitation => `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable household-revoke-item"
+                                 data-invitation-id="${this.escapeHtml(invitation.id)}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">${this.escapeHtml(invitation.email)}</span>
+                                <span class="settings-modal__cell-value">Invited · ${HOUSEHOLD_ROLE_LABELS[invitation.role]}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                ${household ? `
+                    <div class="settings-modal__section">
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable settings-modal__menu-item--danger household-leave-item"
+                             role="button"
+                             tabindex="0">
+                            <span class="settings-modal__menu-label">${role === 'owner' ? 'Stop Sharing' : 'Leave Household'}</span>
+                        </div>
+                    </div>
+                ` : ''}
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Everyone in the household shares these dashboards, photos, notes and settings, and signs in with their own Google account. Calendars stay with each person's own account. Adults can change things; viewers can only look${role === 'viewer' ? ' - changes you make in Settings only apply to this device' : ''}. Invitations show up here when the invited person signs in to Dashie.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     * @param {Object} member - household_members row (with is_you)
+     * @param {string} role - Signed-in user's role
+     * @returns {string} - HTML string
+     */
+    renderHouseholdMember(member, role) {
+        const manageable = role === 'owner' && !member.is_you && member.role !== 'owner';
+        const name = member.display_name || member.email;
+
+        return `
+            <div class="settings-modal__menu-item ${manageable ? 'settings-modal__menu-item--selectable household-member-item' : ''}"
+                 data-member-id="${this.escapeHtml(member.auth_user_id)}"
+                 role="button"
+                 tabindex="0">
+                <span class="settings-modal__menu-label">${this.escapeHtml(name)}${member.is_you ? ' (you)' : ''}</span>
+                <span class="settings-modal__cell-value">${HOUSEHOLD_ROLE_LABELS[member.role]}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Reload the household and show it
+     * Called by the modal renderer on entering the account-household screen
+     */
+    async loadHousehold() {
+        if (!window.householdService) return;
+
+        this.householdLoading = true;
+        this.householdError = null;
+        this.refreshHouseholdScreen();
+
+        try {
+            await window.householdService.refresh();
+        } catch (error) {
+            logger.error('Failed to load household', error);
+            this.householdError = 'Could not load your household';
+        }
+
+        this.householdLoading = false;
+        this.refreshHouseholdScreen();
+    }
+
+    /**
+     * Attach listeners to the invite email input
+     * Called by the modal renderer after rendering the account-household screen
+     */
+    attachHouseholdListeners() {
+        const input = document.getElementById('household-invite-email');
+        if (!input) return;
+
+        // Enter sends the invitation
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.keyCode === 13) {
+                e.preventDefault();
+                input.blur();
+                this.sendHouseholdInvitation();
+            }
+        });
+    }
+
+    /**
+     * Re-render the Household screen (keeps a typed email address)
+     * @private
+     */
+    refreshHouseholdScreen() {
+        const screen = document.querySelector('[data-screen="account-household"]');
+        if (!screen) return;
+
+        const email = document.getElementById('household-invite-email')?.value || '';
+
+        screen.innerHTML = this.renderHouseholdScreen();
+        this.attachHouseholdListeners();
+
+        const input = document.getElementById('household-invite-email');
+        if (input) input.value = email;
+
+        const summary = document.querySelector('#household-item .settings-modal__cell-value');
+        if (summary) summary.textContent = this.getHouseholdSummary();
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * Invite the entered email address with the chosen role
+     * @private
+     */
+    async sendHouseholdInvitation() {
+        const input = document.getElementById('household-invite-email');
+        const email = (input?.value || '').trim().toLowerCase();
+        const { members, invitations } = window.householdService.getHousehold();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            showToast('Enter an email address first', 'error');
+            return;
+        }
+        if (email === this.user?.email?.toLowerCase()) {
+            showToast('That\'s your own account', 'error');
+            return;
+        }
+        if (members.some(member => member.email?.toLowerCase() === email)) {
+            showToast('Already in your household', 'info');
+            return;
+        }
+        if (invitations.some(invitation => invitation.email === email)) {
+            showToast('Already invited', 'info');
+            return;
+        }
+
+        try {
+            await window.householdService.invite(email, this.inviteRole);
+            if (input) input.value = '';
+            showToast(`Invited ${email}`, 'success');
+        } catch (error) {
+            logger.error('Failed to send household invitation', error);
+            showToast('Could not send the invitation', 'error');
+        }
+
+        this.refreshHouseholdScreen();
+    }
+
+    /**
+     * Ask whether to join a household that invited this account
+     * Joining switches this device to the household's data, so the app reloads
+     * @private
+     * @param {string} invitationId - household_invitations id
+     */
+    async respondToInvitation(invitationId) {
+        const service = window.householdService;
+        const invitation = service.getHousehold().my_invitations.find(i => i.id === invitationId);
+        if (!invitation) return;
+
+        if (service.getRole()) {
+            await DashieModal.info('Already in a Household', 'Leave your current household before joining another one.');
+            return;
+        }
+
+        const choice = await DashieModal.show({
+            title: `Join ${invitation.household_name || 'Household'}?`,
+            message: `${invitation.invited_by_name || 'Someone'} invited you as ${invitation.role === 'viewer' ? 'a viewer' : 'an adult'}.\n\nYou'll see their dashboards, photos and settings instead of your own. Your calendars stay linked to your account.`,
+            type: 'info',
+            buttons: [
+                { text: 'Join', value: 'join', primary: true },
+                { text: 'Decline', value: 'decline' },
+                { text: 'Not Now', value: 'cancel' }
+            ]
+        });
+
+        if (choice !== 'join' && choice !== 'decline') return;
+
+        try {
+            await service.respond(invitationId, choice === 'join');
+        } catch (error) {
+            logger.error('Failed to respond to household invitation', error);
+            showToast('Could not answer the invitation', 'error');
+            this.refreshHouseholdScreen();
+            return;
+        }
+
+        if (choice === 'join') {
+            await DashieModal.info('Joined Household', 'Dashie will now reload with your household\'s dashboards, photos and settings.');
+            window.location.reload();
+            return;
+        }
+
+        showToast('Invitation declined', 'info');
+        this.refreshHouseholdScreen();
+    }
+
+    /**
+     * Withdraw a pending invitation
+     * @private
+     * @param {string} invitationId - household_invitations id
+     */
+    async revokeInvitation(invitationId) {
+        const invitation = window.householdService.getHousehold().invitations.find(i => i.id === invitationId);
+        if (!invitation) return;
+
+        const confirmed = await DashieModal.confirm('Cancel Invitation', `Cancel the invitation for ${invitation.email}?`);
+        if (confirmed !== true) return;
+
+        try {
+            await window.householdService.revoke(invitationId);
+            showToast('Invitation cancelled', 'success');
+        } catch (error) {
+            logger.error('Failed to revoke household invitation', error);
+            showToast('Could not cancel the invitation', 'error');
+        }
+
+        this.refreshHouseholdScreen();
+    }
+
+    /**
+     * Change a member's role or remove them (owner)
+     * @private
+     * @param {string} memberId - Member's user id
+     */
+    async manageMember(memberId) {
+        const member = window.householdService.getHousehold().members.find(m => m.auth_user_id === memberId);
+        if (!member) return;
+
+        const otherRole = member.role === 'adult' ? 'viewer' : 'adult';
+        const name = member.display_name || member.email;
+
+        const choice = await DashieModal.show({
+            title: name,
+            message: `${member.email}\n\n${HOUSEHOLD_ROLE_LABELS[member.role]} - ${member.role === 'adult' ? 'can change settings, photos and notes' : 'can only look'}`,
+            type: 'info',
+            buttons: [
+                { text: `Make ${HOUSEHOLD_ROLE_LABELS[otherRole]}`, value: 'role', primary: true },
+                { text: 'Remove', value: 'remove' },
+                { text: 'Cancel', value: 'cancel' }
+            ]
+        });
+
+        try {
+            if (choice === 'role') {
+                await window.householdService.setRole(memberId, otherRole);
+                showToast(`${name} is now ${otherRole === 'viewer' ? 'a viewer' : 'an adult'}`, 'success');
+            } else if (choice === 'remove') {
+                const confirmed = await DashieModal.confirm('Remove from Household', `Remove ${name}? They'll go back to their own dashboards and settings.`);
+                if (confirmed !== true) return;
+
+                await window.householdService.removeMember(memberId);
+                showToast(`${name} removed`, 'success');
+            } else {
+                return;
+            }
+        } catch (error) {
+            logger.error('Failed to update household member', error);
+            showToast('Could not update the household', 'error');
+        }
+
+        this.refreshHouseholdScreen();
+    }
+
+    /**
+     * Leave the household (the owner stops sharing once everyone else is removed)
+     * Leaving switches this device back to the user's own data, so the app reloads
+     * @private
+     */
+    async leaveHousehold() {
+        const service = window.householdService;
+        const { role, members } = service.getHousehold();
+
+        if (role === 'owner' && members.length > 1) {
+            await DashieModal.info('Stop Sharing', 'Remove the other members first. The dashboards, photos and settings stay with your account.');
+            return;
+        }
+
+        const confirmed = await DashieModal.confirm(
+            role === 'owner' ? 'Stop Sharing' : 'Leave Household',
+            role === 'owner'
+                ? 'Stop sharing and delete the household? Pending invitations are cancelled.'
+                : 'Leave the household? You\'ll go back to your own dashboards, photos and settings.'
+        );
+        if (confirmed !== true) return;
+
+        try {
+            await service.leave();
+        } catch (error) {
+            logger.error('Failed to leave household', error);
+            showToast('Could not leave the household', 'error');
+            return;
+        }
+
+        if (role === 'owner') {
+            showToast('Household deleted', 'success');
+            this.refreshHouseholdScreen();
+            return;
+        }
+
+        await DashieModal.info('Left Household', 'Dashie will now reload with your own dashboards, photos and settings.');
+        window.location.reload();
+    }
+
+    /**
+     * @private
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Handle deactivation (page hidden)
      */
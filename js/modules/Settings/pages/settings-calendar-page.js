@@ -7,6 +7,9 @@ import { getCalendarService } from '../../../data/services/calendar-service.js';
 import UIUpdateHelper from '../utils/ui-update-helper.js';
 import { SettingsPageBase } from '../core/settings-page-base.js';
 import DashieModal from '../../../utils/dashie-modal.js';
+import { ICS_ACCOUNT_TYPE } from '../../../data/services/calendar-services/ics-feed-manager.js';
+import { CALDAV_SERVER_PRESETS, isCalDAVAccountType } from '../../../data/auth/calendar-auth/caldav-calendar-auth.js';
+import { isMicrosoftAccountType } from '../../../data/auth/calendar-auth/microsoft-calendar-auth.js';
 
 const logger = createLogger('SettingsCalendarPage');
 
@@ -15,6 +18,8 @@ const logger = createLogger('SettingsCalendarPage');
  * Features:
  * - Main menu with sub-options
  * - Select Calendars sub-screen
+ * - Calendar Feeds sub-screen (subscribe/unsubscribe ICS URLs)
+ * - CalDAV sub-screen (iCloud, Fastmail, Nextcloud sign-in with an app-specific password)
  * - Calendar colors, sorting, dynamic counts
  * - Instant UI feedback using UIUpdateHelper
  * - Extends SettingsPageBase for standardized focus management
@@ -28,6 +33,9 @@ export class SettingsCalendarPage extends SettingsPageBase {
         this.currentSubScreen = null; // Track which sub-screen we're on
         this.accountsForRemoval = null; // Accounts available for removal
         this.isLoadingAccounts = false; // Loading state for account removal screen
+        this.isSavingFeed = false; // Guards double-submits while a feed is validated
+        this.caldavServerUrl = CALDAV_SERVER_PRESETS[0].url; // Selected CalDAV server preset
+        this.isConnectingCalDAV = false; // Guards double-submits while CalDAV discovery runs
     }
 
     /**
@@ -81,6 +89,15 @@ export class SettingsCalendarPage extends SettingsPageBase {
                         <span class="settings-modal__menu-label">Remove Calendar Accounts</span>
                         <span class="settings-modal__cell-chevron">›</span>
                     </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="calendar-feeds"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Calendar Feeds (ICS)</span>
+                        <span class="settings-modal__cell-value calendar-feed-count">${this.getFeeds().length}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
                 </div>
 
                 <!-- Display Options Section -->
@@ -113,6 +130,16 @@ export class SettingsCalendarPage extends SettingsPageBase {
                         <span class="settings-modal__cell-value">100%</span>
                         <span class="settings-modal__cell-chevron">›</span>
                     </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--toggle"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Collapse Repeating All-Day Events</span>
+                        <label class="settings-modal__toggle-switch">
+                            <input type="checkbox" ${this.getCollapseRecurringAllDay() ? 'checked' : ''} id="calendar-collapse-recurring-toggle" data-setting="calendar.collapseRecurringAllDay">
+                            <span class="settings-modal__toggle-slider"></span>
+                        </label>
+                    </div>
                 </div>
             </div>
         `;
@@ -218,10 +245,14 @@ export class SettingsCalendarPage extends SettingsPageBase {
             countText = `${enabledCount} active, ${hiddenCount} hidden`;
         }
 
+        const headerLabel = account.email
+            ? `${this.formatAccountDisplayLabel(accountType)}: ${account.email}`
+            : this.formatAccountDisplayLabel(accountType);
+
         return `
             <div class="settings-modal__section calendar-account-section" data-account="${accountType}">
                 <div class="settings-modal__section-header calendar-account-header">
-                    <span>${this.formatAccountDisplayLabel(accountType)}: ${account.email}</span>
+                    <span>${headerLabel}</span>
                     <span class="calendar-count">- ${countText}</span>
                 </div>
                 ${sortedCalendars.map(cal => this.renderCalendarItem(accountType, cal)).join('')}
@@ -247,7 +278,7 @@ export class SettingsCalendarPage extends SettingsPageBase {
                  style="opacity: ${isEnabled ? '1' : '0.4'}">
                 <span class="calendar-color-dot" style="background-color: ${color}; opacity: ${isEnabled ? '1' : '0.3'};"></span>
                 <div class="settings-modal__menu-content">
-                    <span class="settings-modal__menu-label">${calendar.summary || 'Unnamed Calendar'}</span>
+                    <span class="settings-modal__menu-label">${this.escapeHtml(calendar.summary || 'Unnamed Calendar')}</span>
                 </div>
                 <span class="settings-modal__cell-checkmark">${isEnabled ? '✓' : ''}</span>
             </div>
@@ -262,6 +293,22 @@ export class SettingsCalendarPage extends SettingsPageBase {
             return 'Primary';
         }
 
+        if (accountType === ICS_ACCOUNT_TYPE) {
+            return 'Subscribed Feeds';
+        }
+
+        // CalDAV accounts (caldav, caldav2, etc.)
+        if (isCalDAVAccountType(accountType)) {
+            const number = accountType.replace(/^\D+/, '');
+            return number ? `CalDAV ${number}` : 'CalDAV';
+        }
+
+        // Microsoft accounts (microsoft, microsoft2, etc.)
+        if (isMicrosoftAccountType(accountType)) {
+            const number = accountType.replace(/^\D+/, '');
+            return number ? `Outlook ${number}` : 'Outlook';
+        }
+
         // Handle numbered accounts (account2, account3, etc.)
         const match = accountType.match(/^account(\d+)$/);
         if (match) {
@@ -292,18 +339,31 @@ export class SettingsCalendarPage extends SettingsPageBase {
                         <span class="settings-modal__cell-chevron">›</span>
                     </div>
 
-                    <!-- Microsoft - Coming Soon (grayed out) -->
-                    <div class="settings-modal__menu-item coming-soon"
-                         style="opacity: 0.4; cursor: not-allowed;">
+                    <!-- ICS feed - read-only subscription by URL -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable add-account-provider"
+                         data-provider="ics"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">ICS / iCal Feed URL</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+
+                    <!-- Microsoft 365 / Outlook - device code sign-in -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable add-account-provider"
+                         data-provider="microsoft"
+                         role="button"
+                         tabindex="0">
                         <span class="settings-modal__menu-label">Microsoft Outlook</span>
-                        <span class="settings-modal__cell-status">Coming Soon</span>
+                        <span class="settings-modal__cell-chevron">›</span>
                     </div>
 
-                    <!-- Apple - Coming Soon (grayed out) -->
-                    <div class="settings-modal__menu-item coming-soon"
-                         style="opacity: 0.4; cursor: not-allowed;">
-                        <span class="settings-modal__menu-label">Apple iCloud</span>
-                        <span class="settings-modal__cell-status">Coming Soon</span>
+                    <!-- CalDAV - Apple iCloud, Fastmail, Nextcloud (app-specific password) -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable add-account-provider"
+                         data-provider="caldav"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Apple iCloud / CalDAV</span>
+                        <span class="settings-modal__cell-chevron">›</span>
                     </div>
                 </div>
 
@@ -316,6 +376,158 @@ export class SettingsCalendarPage extends SettingsPageBase {
         `;
     }
 
+    /**
+     * Render the Calendar Feeds screen
+     * Lists subscribed ICS feeds (select to remove) and a form to add one
+     * @returns {string} - HTML string
+     */
+    renderFeeds() {
+        const feeds = this.getFeeds();
+
+        const feedItems = feeds.length === 0
+            ? `
+                <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px;">
+                    No feeds yet
+                </div>
+            `
+            : feeds.map(feed => `
+                <div class="settings-modal__menu-item settings-modal__menu-item--selectable ics-feed-item"
+                     data-feed-id="${this.escapeHtml(feed.id)}"
+                     data-feed-name="${this.escapeHtml(feed.name)}"
+                     role="button"
+                     tabindex="0">
+                    <span class="calendar-color-dot" style="background-color: ${this.escapeHtml(feed.color)};"></span>
+                    <div class="settings-modal__menu-content">
+                        <span class="settings-modal__menu-label">${this.escapeHtml(feed.name)}</span>
+                        <span class="settings-modal__menu-sublabel" style="display: block; font-size: 12px; color: #6B7280; margin-top: 4px; word-break: break-all;">
+                            ${this.escapeHtml(feed.url)}
+                        </span>
+                    </div>
+                    <span class="settings-modal__cell-chevron">×</span>
+                </div>
+            `).join('');
+
+        return `
+            <div class="settings-modal__page-content">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Subscribed Feeds</div>
+                    ${feedItems}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Add Feed</div>
+
+                    <div class="settings-modal__menu-item ics-feed-input-row" data-input-id="ics-feed-url-input">
+                        <input type="url"
+                               class="settings-modal__text-input"
+                               id="ics-feed-url-input"
+                               placeholder="https:// or webcal:// feed URL"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item ics-feed-input-row" data-input-id="ics-feed-name-input">
+                        <input type="text"
+                               class="settings-modal__text-input"
+                               id="ics-feed-name-input"
+                               placeholder="Name (optional)"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable ics-feed-add"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">${this.isSavingFeed ? 'Checking feed...' : 'Subscribe'}</span>
+                        <span class="settings-modal__cell-chevron">+</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Feeds are read-only and refresh with your other calendars. Schools and sports leagues often publish these as .ics or webcal links.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the CalDAV sign-in screen
+     * Server presets (select one to fill in the URL), credentials and a Connect button
+     * @returns {string} - HTML string
+     */
+    renderCalDAV() {
+        const presetItems = CALDAV_SERVER_PRESETS.map(preset => {
+            const isSelected = preset.url === this.caldavServerUrl ||
+                (!preset.url && !CALDAV_SERVER_PRESETS.some(p => p.url && p.url === this.caldavServerUrl));
+
+            return `
+                <div class="settings-modal__menu-item settings-modal__menu-item--selectable caldav-preset"
+                     data-server-url="${this.escapeHtml(preset.url)}"
+                     role="button"
+                     tabindex="0">
+                    <span class="settings-modal__menu-label">${this.escapeHtml(preset.label)}</span>
+                    <span class="settings-modal__cell-checkmark">${isSelected ? '✓' : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="settings-modal__page-content">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Server</div>
+                    ${presetItems}
+
+                    <div class="settings-modal__menu-item caldav-input-row" data-input-id="caldav-server-input">
+                        <input type="url"
+                               class="settings-modal__text-input"
+                               id="caldav-server-input"
+                               placeholder="https://cloud.example.com/remote.php/dav/"
+                               value="${this.escapeHtml(this.caldavServerUrl)}"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Sign In</div>
+
+                    <div class="settings-modal__menu-item caldav-input-row" data-input-id="caldav-username-input">
+                        <input type="email"
+                               class="settings-modal__text-input"
+                               id="caldav-username-input"
+                               placeholder="Username or Apple ID email"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item caldav-input-row" data-input-id="caldav-password-input">
+                        <input type="password"
+                               class="settings-modal__text-input"
+                               id="caldav-password-input"
+                               placeholder="App-specific password"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable caldav-connect"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">${this.isConnectingCalDAV ? 'Connecting...' : 'Connect'}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Use an app-specific password, not your account password. For iCloud, create one at appleid.apple.com under Sign-In and Security. CalDAV calendars are read-only on the dashboard.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Render the Remove Account screen
      * Shows list of connected accounts (primary account is grayed out)
@@ -354,11 +566,12 @@ export class SettingsCalendarPage extends SettingsPageBase {
             return `
                 <div class="settings-modal__menu-item ${isDisabled ? 'coming-soon' : 'settings-modal__menu-item--selectable remove-account-item'}"
                      data-account-type="${account.accountType}"
-                     data-account-email="${account.email}"
+                     data-account-email="${this.escapeHtml(account.email)}"
+                     data-provider="${account.provider}"
                      ${isDisabled ? '' : 'role="button" tabindex="0"'}
                      style="${isDisabled ? 'opacity: 0.4; cursor: not-allowed;' : ''}">
                     <div class="settings-modal__menu-content">
-                        <span class="settings-modal__menu-label">${account.email}</span>
+                        <span class="settings-modal__menu-label">${this.escapeHtml(account.email)}</span>
                         <span class="settings-modal__menu-sublabel" style="display: block; font-size: 12px; color: #6B7280; margin-top: 4px;">
                             ${this.formatAccountDisplayLabel(account.accountType)}${isPrimary ? ' (Primary Account)' : ''}
                         </span>
@@ -386,7 +599,7 @@ export class SettingsCalendarPage extends SettingsPageBase {
 
     /**
      * Load accounts for removal screen
-     * Fetches all Google accounts from TokenStore
+     * Fetches all Google, CalDAV and Microsoft accounts from TokenStore
      */
     async loadAccountsForRemoval() {
         logger.info('Loading accounts for removal screen');
@@ -408,15 +621,19 @@ export class SettingsCalendarPage extends SettingsPageBase {
                 return;
             }
 
-            // Get all Google accounts
-            const accountsObj = await tokenStore.getProviderAccounts('google');
-
-            // Convert object to array with account type and email
-            const accounts = Object.entries(accountsObj || {}).map(([accountType, tokenData]) => ({
-                accountType,
-                email: tokenData.email || 'Unknown',
-                tokenData
-            }));
+            // Get all Google, CalDAV and Microsoft accounts
+            const accounts = [];
+            for (const provider of ['google', 'caldav', 'microsoft']) {
+                const accountsObj = await tokenStore.getProviderAccounts(provider);
+
+                // Convert object to array with account type and email
+                accounts.push(...Object.entries(accountsObj || {}).map(([accountType, tokenData]) => ({
+                    accountType,
+                    provider,
+                    email: tokenData.email || 'Unknown',
+                    tokenData
+                })));
+            }
 
             // Sort: primary first, then by account number
             const sortedAccounts = accounts.sort((a, b) => {
@@ -513,6 +730,35 @@ export class SettingsCalendarPage extends SettingsPageBase {
                 }
             }
 
+            // CalDAV (iCloud, Fastmail, ...) and Microsoft accounts follow the Google accounts
+            for (const provider of ['caldav', 'microsoft']) {
+                const providerAccounts = await tokenStore.getProviderAccounts(provider);
+                for (const [accountType, account] of Object.entries(providerAccounts || {})) {
+                    try {
+                        const calendars = await this.calendarService.getCalendars(accountType);
+
+                        this.calendarData[accountType] = {
+                            displayName: this.formatAccountDisplayLabel(accountType),
+                            email: account.email || 'Unknown',
+                            calendars: calendars
+                        };
+
+                    } catch (error) {
+                        logger.error(`Failed to load calendars from ${accountType}`, error);
+                    }
+                }
+            }
+
+            // Subscribed ICS feeds show up as their own section
+            const feedCalendars = await this.calendarService.getCalendars(ICS_ACCOUNT_TYPE);
+            if (feedCalendars.length > 0) {
+                this.calendarData[ICS_ACCOUNT_TYPE] = {
+                    displayName: this.formatAccountDisplayLabel(ICS_ACCOUNT_TYPE),
+                    email: '',
+                    calendars: feedCalendars
+                };
+            }
+
             const totalCalendars = Object.values(this.calendarData).reduce(
                 (sum, account) => sum + account.calendars.length,
                 0
@@ -577,6 +823,20 @@ export class SettingsCalendarPage extends SettingsPageBase {
             return { type: 'custom' };
         }
 
+        // Calendar feed items, inputs and subscribe button: custom behavior
+        if (item.classList.contains('ics-feed-item') ||
+            item.classList.contains('ics-feed-input-row') ||
+            item.classList.contains('ics-feed-add')) {
+            return { type: 'custom' };
+        }
+
+        // CalDAV presets, inputs and connect button: custom behavior
+        if (item.classList.contains('caldav-preset') ||
+            item.classList.contains('caldav-input-row') ||
+            item.classList.contains('caldav-connect')) {
+            return { type: 'custom' };
+        }
+
         // Calendar items: toggle behavior (multi-select)
         if (item.classList.contains('calendar-item')) {
             return { type: 'toggle' };
@@ -607,15 +867,47 @@ export class SettingsCalendarPage extends SettingsPageBase {
             const provider = item.dataset.provider;
             if (provider === 'google') {
                 await this.handleAddGoogleAccount();
+            } else if (provider === 'ics') {
+                return { shouldNavigate: true, navigateTo: 'calendar-feeds' };
+            } else if (provider === 'caldav') {
+                return { shouldNavigate: true, navigateTo: 'calendar-caldav' };
+            } else if (provider === 'microsoft') {
+                await this.handleAddMicrosoftAccount();
             }
             return { shouldNavigate: false };
         }
 
+        // Focus the text input inside an input row (D-pad Enter)
+        if (item.classList.contains('ics-feed-input-row') || item.classList.contains('caldav-input-row')) {
+            document.getElementById(item.dataset.inputId)?.focus();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('ics-feed-add')) {
+            await this.handleAddIcsFeed();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('ics-feed-item')) {
+            await this.handleRemoveIcsFeed(item.dataset.feedId, item.dataset.feedName);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('caldav-preset')) {
+            this.handleSelectCalDAVPreset(item.dataset.serverUrl);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('caldav-connect')) {
+            await this.handleConnectCalDAV();
+            return { shouldNavigate: false };
+        }
+
         // Handle remove account clicks
         if (item.classList.contains('remove-account-item')) {
             const accountType = item.dataset.accountType;
             const accountEmail = item.dataset.accountEmail;
-            await this.handleRemoveAccount(accountType, accountEmail);
+            await this.handleRemoveAccount(accountType, accountEmail, item.dataset.provider);
             return { shouldNavigate: false };
         }
 
@@ -692,13 +984,40 @@ export class SettingsCalendarPage extends SettingsPageBase {
         }
     }
 
+    /**
+     * Handle adding a Microsoft 365 / Outlook account
+     * Shows the device code overlay; the user signs in on their phone
+     */
+    async handleAddMicrosoftAccount() {
+        logger.info('Starting Microsoft account addition flow');
+
+        try {
+            const account = await this.calendarService.connectProviderAccount('microsoft');
+
+            await DashieModal.success(
+                'Account Connected',
+                `Connected ${account.email}\n\n${account.calendarCount} calendar${account.calendarCount !== 1 ? 's' : ''} added to your dashboard.`
+            );
+
+        } catch (error) {
+            if (error.message === 'Authentication cancelled by user') {
+                logger.info('Microsoft sign-in cancelled by user');
+                return;
+            }
+
+            logger.error('Failed to add Microsoft account', error);
+            await DashieModal.error('Failed to Add Account', `Unable to add Microsoft account:\n\n${error.message}`);
+        }
+    }
+
     /**
      * Handle removing a calendar account
      * Confirms with user and removes account tokens from database
      * @param {string} accountType - The account type to remove (e.g., 'account2')
      * @param {string} accountEmail - The account email for display
+     * @param {string} provider - Token store provider ('google', 'caldav' or 'microsoft')
      */
-    async handleRemoveAccount(accountType, accountEmail) {
+    async handleRemoveAccount(accountType, accountEmail, provider = 'google') {
         logger.info('Attempting to remove account', { accountType, accountEmail });
 
         // Prevent removal of primary account
@@ -740,13 +1059,18 @@ export class SettingsCalendarPage extends SettingsPageBase {
                 throw new Error('Token store not available');
             }
 
-            // Remove account tokens from database
-            await tokenStore.removeAccountTokens('google', accountType);
+            // CalDAV and Microsoft accounts: CalendarService removes tokens and hides the calendars
+            if (provider !== 'google') {
+                await this.calendarService.removeProviderAccount(accountType);
+            } else {
+                // Remove account tokens from database
+                await tokenStore.removeAccountTokens('google', accountType);
+            }
 
-            logger.success('Account removed successfully', { accountType });
+            logger.success('Account removed successfully', { accountType, provider });
 
             // Remove any calendars from this account from active calendars
-            if (this.calendarService) {
+            if (this.calendarService && provider === 'google') {
                 const activeCalendars = this.calendarService.activeCalendarIds || [];
                 const prefix = `${accountType}-`;
                 const filteredCalendars = activeCalendars.filter(id => !id.startsWith(prefix));
@@ -803,6 +1127,203 @@ export class SettingsCalendarPage extends SettingsPageBase {
         }
     }
 
+    /**
+     * Subscribe to the feed URL entered on the Calendar Feeds screen
+     */
+    async handleAddIcsFeed() {
+        if (this.isSavingFeed) return;
+
+        const url = document.getElementById('ics-feed-url-input')?.value.trim() || '';
+        const name = document.getElementById('ics-feed-name-input')?.value.trim() || '';
+
+        if (!url) {
+            await DashieModal.warning('Feed URL Required', 'Enter the .ics or webcal link for the calendar you want to add.');
+            return;
+        }
+
+        logger.info('Subscribing to ICS feed', { url });
+
+        try {
+            this.isSavingFeed = true;
+            this.refreshFeedsScreen();
+
+            const feed = await this.calendarService.addIcsFeed(url, name);
+
+            this.isSavingFeed = false;
+            this.refreshFeedsScreen();
+
+            await DashieModal.success('Feed Added', `Subscribed to:\n\n${feed.name}`);
+
+        } catch (error) {
+            logger.error('Failed to add ICS feed', { url, error });
+            this.isSavingFeed = false;
+            this.refreshFeedsScreen({ url, name });
+            await DashieModal.error('Unable to Add Feed', error.message);
+        }
+    }
+
+    /**
+     * Unsubscribe from a feed after confirmation
+     * @param {string} feedId - Feed ID
+     * @param {string} feedName - Feed name for display
+     */
+    async handleRemoveIcsFeed(feedId, feedName) {
+        const confirmed = await DashieModal.confirm(
+            'Remove Calendar Feed',
+            `Are you sure you want to remove this feed?\n\n${feedName}\n\nIts events will be removed from your dashboard.`
+        );
+
+        if (confirmed !== true) {
+            logger.info('Feed removal cancelled by user');
+            return;
+        }
+
+        try {
+            await this.calendarService.removeIcsFeed(feedId);
+            this.refreshFeedsScreen();
+            logger.success('ICS feed removed', { feedId });
+        } catch (error) {
+            logger.error('Failed to remove ICS feed', { feedId, error });
+            await DashieModal.error('Failed to Remove Feed', `Unable to remove feed:\n\n${error.message}`);
+        }
+    }
+
+    /**
+     * Re-render the Calendar Feeds screen and the feed count on the main menu
+     * @param {object} formValues - Optional {url, name} to restore in the form
+     */
+    refreshFeedsScreen(formValues = null) {
+        const feedsScreen = document.querySelector('[data-screen="calendar-feeds"]');
+        if (feedsScreen) {
+            feedsScreen.innerHTML = this.renderFeeds();
+
+            if (formValues) {
+                document.getElementById('ics-feed-url-input').value = formValues.url || '';
+                document.getElementById('ics-feed-name-input').value = formValues.name || '';
+            }
+        }
+
+        const countCell = document.querySelector('.calendar-feed-count');
+        if (countCell) {
+            UIUpdateHelper.updateCounter(countCell, String(this.getFeeds().length));
+        }
+
+        // Keep the highlighted row in range after a feed is removed
+        setTimeout(() => {
+            const settings = window.Settings;
+            if (!settings?.renderer || !settings?.stateManager) return;
+
+            const maxIndex = settings.renderer.getFocusableElements().length - 1;
+            if (settings.stateManager.getSelectedIndex() > maxIndex) {
+                settings.stateManager.setSelectedIndex(Math.max(0, maxIndex));
+            }
+            settings.renderer.updateSelection();
+        }, 100);
+    }
+
+    /**
+     * Select a CalDAV server preset (empty URL = enter your own)
+     * @param {string} serverUrl - Preset server URL
+     */
+    handleSelectCalDAVPreset(serverUrl) {
+        const typedUrl = document.getElementById('caldav-server-input')?.value.trim() || '';
+        const isPresetUrl = CALDAV_SERVER_PRESETS.some(preset => preset.url && preset.url === typedUrl);
+
+        // Keep a custom URL the user already typed when switching to "Other"
+        this.caldavServerUrl = serverUrl || (isPresetUrl ? '' : typedUrl);
+
+        this.refreshCalDAVScreen({
+            username: document.getElementById('caldav-username-input')?.value || '',
+            password: document.getElementById('caldav-password-input')?.value || ''
+        });
+
+        if (!serverUrl) {
+            document.getElementById('caldav-server-input')?.focus();
+        }
+    }
+
+    /**
+     * Connect the CalDAV account entered on the CalDAV screen
+     */
+    async handleConnectCalDAV() {
+        if (this.isConnectingCalDAV) return;
+
+        const serverUrl = document.getElementById('caldav-server-input')?.value.trim() || '';
+        const username = document.getElementById('caldav-username-input')?.value.trim() || '';
+        const password = document.getElementById('caldav-password-input')?.value.trim() || '';
+
+        if (!serverUrl || !username || !password) {
+            await DashieModal.warning('Details Required', 'Enter the server URL, your username and an app-specific password.');
+            return;
+        }
+
+        logger.info('Connecting CalDAV account', { serverUrl, username });
+
+        this.caldavServerUrl = serverUrl;
+
+        try {
+            this.isConnectingCalDAV = true;
+            this.refreshCalDAVScreen({ username, password });
+
+            const account = await this.calendarService.connectProviderAccount('caldav', { serverUrl, username, password });
+
+            this.isConnectingCalDAV = false;
+            this.refreshCalDAVScreen();
+
+            await DashieModal.success(
+                'Account Connected',
+                `Connected ${account.email}\n\n${account.calendarCount} calendar${account.calendarCount !== 1 ? 's' : ''} added to your dashboard.`
+            );
+
+        } catch (error) {
+            logger.error('Failed to connect CalDAV account', { serverUrl, error });
+            this.isConnectingCalDAV = false;
+            this.refreshCalDAVScreen({ username, password });
+            await DashieModal.error('Unable to Connect', error.message);
+        }
+    }
+
+    /**
+     * Re-render the CalDAV screen, keeping typed credentials
+     * @param {object} formValues - Optional {username, password} to restore in the form
+     */
+    refreshCalDAVScreen(formValues = null) {
+        const screen = document.querySelector('[data-screen="calendar-caldav"]');
+        if (!screen) return;
+
+        screen.innerHTML = this.renderCalDAV();
+
+        if (formValues) {
+            document.getElementById('caldav-username-input').value = formValues.username || '';
+            document.getElementById('caldav-password-input').value = formValues.password || '';
+        }
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * Get subscribed ICS feeds (empty before the service is available)
+     * @returns {Array}
+     */
+    getFeeds() {
+        return this.calendarService?.icsFeeds?.getFeeds() || [];
+    }
+
+    /**
+     * Escape user-provided text (feed names and URLs) for HTML
+     * @param {string} str - Raw text
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
     /**
      * Handle activation (page shown)
      */
@@ -840,12 +1361,48 @@ export class SettingsCalendarPage extends SettingsPageBase {
     /**
      * Attach event listeners
      * NOTE: Calendar items are handled by the global click handler via handleItemClick()
-     * No need for specific event listeners here
+     * Only the display option toggles need change listeners
      */
     attachEventListeners() {
         // Calendar items are handled by the renderer's global click handler
         // which calls handleItemClick() -> handleToggleItem() -> toggleCalendar()
-        // No specific listeners needed
+
+        // Collapse repeating all-day events toggle (renderer flips the checkbox and fires change)
+        const collapseToggle = document.getElementById('calendar-collapse-recurring-toggle');
+        if (collapseToggle && !collapseToggle.dataset.listenerAttached) {
+            collapseToggle.dataset.listenerAttached = 'true';
+            collapseToggle.addEventListener('change', async (e) => {
+                await this.saveCollapseRecurringAllDay(e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * Whether the month view collapses repeating all-day series
+     * @returns {boolean}
+     */
+    getCollapseRecurringAllDay() {
+        return window.settingsStore?.get('calendar.collapseRecurringAllDay') === true;
+    }
+
+    /**
+     * Save the collapse repeating all-day events option
+     * @param {boolean} enabled
+     */
+    async saveCollapseRecurringAllDay(enabled) {
+        const settingsStore = window.settingsStore;
+        if (!settingsStore) {
+            logger.error('Settings store not available');
+            return;
+        }
+
+        try {
+            settingsStore.set('calendar.collapseRecurringAllDay', enabled);
+            await settingsStore.save(true);
+            logger.info('Collapse repeating all-day events updated', { enabled });
+        } catch (error) {
+            logger.error('Failed to save collapse repeating all-day events', error);
+        }
     }
 
     /**
@@ -1,5 +1,9 @@
 // js/modules/Settings/pages/settings-display-page.js
 // Display settings page with theme, sleep/wake timer, and dynamic greeting
+// v2.1 - 10/19/26 - Dashboard layout editor (presets, grid tracks, widget placement)
+// v2.2 - 10/19/26 - Widget Plugins screen (install from manifest URL, remove)
+// v2.3 - 10/19/26 - Sleep schedule (weekday/weekend windows), vacation, re-sleep delay and wake on motion
+// v2.4 - 10/19/26 - Sleep Screen screen (ambient clock, next event, tonight's low, photos, brightness)
 // v2.0 - Updated to use theme family architecture
 
 import { createLogger } from '../../../utils/logger.js';
@@ -12,17 +16,57 @@ import {
     DEFAULT_THEME_FAMILY,
     DEFAULT_THEME_MODE
 } from '../../../ui/themes/theme-registry.js';
+import DashboardLayoutManager from '../../Dashboard/dashboard-layout-manager.js';
+import DashboardWidgetPlugins from '../../Dashboard/dashboard-widget-plugins.js';
+import { getWidgetDefinition, widgetDefinitions } from '../../Dashboard/dashboard-widget-config.js';
+import {
+    MAX_GRID_TRACKS,
+    TRACK_SIZE_OPTIONS,
+    findFreeCell,
+    isPlacementValid
+} from '../../Dashboard/dashboard-layout-presets.js';
+import { showToast } from '../../../ui/toast.js';
+import DashieModal from '../../../utils/dashie-modal.js';
+import { getSleepSchedule, getAmbientSettings, toDateKey, fromDateKey } from '../../../utils/sleep-schedule.js';
+import {
+    DEFAULT_SLEEP_TIME,
+    DEFAULT_WAKE_TIME,
+    DEFAULT_RESLEEP_DELAY,
+    RESLEEP_DELAY_OPTIONS,
+    DEFAULT_PRESENCE_WAKE,
+    MAX_SLEEP_WINDOWS_PER_DAY,
+    AMBIENT_BRIGHTNESS_OPTIONS
+} from '../../../../config.js';
 
 const logger = createLogger('SettingsDisplayPage');
 
+const SLEEP_DAY_LABELS = {
+    weekday: 'Weekdays (Mon–Fri)',
+    weekend: 'Weekends (Sat–Sun)'
+};
+
+const AMBIENT_ELEMENTS = [
+    { field: 'clock', label: 'Clock' },
+    { field: 'nextEvent', label: "Tomorrow's First Event" },
+    { field: 'weather', label: "Tonight's Low" },
+    { field: 'photos', label: 'Photo Fade' }
+];
+
+const VACATION_LENGTH_OPTIONS = [1, 2, 3, 4, 5, 7, 10, 14, 21, 28]; // days
+const VACATION_MAX_START_DAYS = 30; // Start date cycles from today to 30 days ahead
+
 /**
  * Display Settings Page
- * Handles UI theme, sleep/wake times, and display preferences
+ * Handles UI theme, Dashboard layout, sleep/wake times, and display preferences
  */
 export class SettingsDisplayPage extends SettingsPageBase {
     constructor() {
         super('display');
         this.timeHandler = new TimeSelectionHandler();
+        this.editingWidgetId = null; // Widget shown on the display-layout-widget screen
+        this.editingSleepWindow = null; // { dayType, index } shown on the display-sleep-window screen
+        this.editingTimePath = null; // Setting path the display-sleep-window-* time screens edit
+        this.isInstallingPlugin = false;
     }
 
     /**
@@ -41,14 +85,9 @@ export class SettingsDisplayPage extends SettingsPageBase {
      */
     render() {
         const currentTheme = this.getCurrentTheme();
-        const sleepTime = this.getSleepTime();
-        const wakeTime = this.getWakeTime();
         const dynamicGreeting = this.getDynamicGreeting();
         const sleepTimerEnabled = this.getSleepTimerEnabled();
-
-        // Format times for display
-        const sleepTimeDisplay = this.timeHandler.formatTime(sleepTime);
-        const wakeTimeDisplay = this.timeHandler.formatTime(wakeTime);
+        const presenceWake = this.getPresenceWake();
 
         // Add disabled class if sleep timer is off
         const timeDisabledClass = sleepTimerEnabled ? '' : 'settings-modal__menu-item--disabled';
@@ -66,6 +105,28 @@ export class SettingsDisplayPage extends SettingsPageBase {
                     </div>
                 </div>
 
+                <div class="settings-modal__section">
+                    <!-- Dashboard Layout -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="display-layout"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Dashboard Layout</span>
+                        <span class="settings-modal__cell-value" id="dashboard-layout-display">${this.getLayoutDisplayName()}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+
+                    <!-- Widget Plugins -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="display-widget-plugins"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Widget Plugins</span>
+                        <span class="settings-modal__cell-value" id="widget-plugins-display">${DashboardWidgetPlugins.getInstalled().length}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                </div>
+
                 <div class="settings-modal__section">
                     <!-- Sleep/Wake Timer Toggle -->
                     <div class="settings-modal__menu-item settings-modal__menu-item--toggle"
@@ -78,23 +139,52 @@ export class SettingsDisplayPage extends SettingsPageBase {
                         </label>
                     </div>
 
-                    <!-- Sleep Time -->
-                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable sleep-time-cell ${timeDisabledClass}"
-                         data-navigate="display-sleep-time-hour"
+                    <!-- Sleep Schedule -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable sleep-timer-option ${timeDisabledClass}"
+                         data-navigate="display-sleep-schedule"
                          role="button"
                          tabindex="0">
-                        <span class="settings-modal__menu-label">Sleep Time</span>
-                        <span class="settings-modal__cell-value" id="sleep-time-display">${sleepTimeDisplay}</span>
+                        <span class="settings-modal__menu-label">Sleep Schedule</span>
+                        <span class="settings-modal__cell-value" id="sleep-schedule-display">${this.getSleepScheduleSummary()}</span>
                         <span class="settings-modal__cell-chevron">›</span>
                     </div>
 
-                    <!-- Wake Time -->
-                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable wake-time-cell ${timeDisabledClass}"
-                         data-navigate="display-wake-time-hour"
+                    <!-- Vacation -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable sleep-timer-option ${timeDisabledClass}"
+                         data-navigate="display-vacation"
                          role="button"
                          tabindex="0">
-                        <span class="settings-modal__menu-label">Wake Time</span>
-                        <span class="settings-modal__cell-value" id="wake-time-display">${wakeTimeDisplay}</span>
+                        <span class="settings-modal__menu-label">Vacation</span>
+                        <span class="settings-modal__cell-value" id="vacation-display">${this.getVacationSummary()}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+
+                    <!-- Re-sleep Delay (Enter cycles) -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable resleep-delay-item sleep-timer-option ${timeDisabledClass}"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Back to Sleep After</span>
+                        <span class="settings-modal__cell-value" id="resleep-delay-display">${this.getReSleepDelay()} min</span>
+                    </div>
+
+                    <!-- Wake on Motion -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--toggle"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Wake on Motion</span>
+                        <label class="settings-modal__toggle-switch">
+                            <input type="checkbox" ${presenceWake ? 'checked' : ''} id="presence-wake-toggle" data-setting="interface.presenceWake">
+                            <span class="settings-modal__toggle-slider"></span>
+                        </label>
+                    </div>
+
+                    <!-- Sleep Screen (ambient mode) -->
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="display-ambient"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Sleep Screen</span>
+                        <span class="settings-modal__cell-value" id="ambient-display">${this.getAmbientSummary()}</span>
                         <span class="settings-modal__cell-chevron">›</span>
                     </div>
                 </div>
@@ -275,58 +365,127 @@ export class SettingsDisplayPage extends SettingsPageBase {
     }
 
     /**
-     * Render Sleep Time - Hour Selection Screen
+     * Render Dashboard Layout Screen
+     * Presets, grid tracks and the widgets in the active layout
      * @returns {string} - HTML string
      */
-    renderSleepTimeHourScreen() {
-        const sleepTime = this.getSleepTime();
-        const parsed = this.timeHandler.parseTime24(sleepTime);
-        const currentHour = parsed.hour12;
-
-        const hours = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+    renderLayoutScreen() {
+        const layout = DashboardLayoutManager.getLayout();
+        const presets = DashboardLayoutManager.getPresets();
 
         return `
             <div class="settings-modal__list">
                 <div class="settings-modal__section">
-                    ${hours.map(hour => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${hour === currentHour ? 'settings-modal__menu-item--checked' : ''}"
-                             data-hour="${hour}"
-                             data-navigate="display-sleep-time-min"
-                             data-setting="interface.sleepTime"
-                             role="button"
-                             tabindex="0">
-                            <span class="settings-modal__menu-label">${hour}</span>
-                            <span class="settings-modal__cell-checkmark">${hour === currentHour ? '✓' : ''}</span>
-                        </div>
-                    `).join('')}
+                    <div class="settings-modal__section-header">Presets</div>
+                    ${presets.map(preset => {
+                        const isCurrent = !layout.custom && layout.id === preset.id;
+                        return `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable layout-preset ${isCurrent ? 'settings-modal__menu-item--checked' : ''}"
+                                 data-preset-id="${preset.id}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">${preset.name}</span>
+                                <span class="settings-modal__cell-checkmark">${isCurrent ? '✓' : ''}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Grid</div>
+                    ${this.renderLayoutGridItem('columns-count', 'Columns', layout.columns.length)}
+                    ${this.renderLayoutGridItem('column-sizes', 'Column Widths', layout.columns.join(' / '))}
+                    ${this.renderLayoutGridItem('rows-count', 'Rows', layout.rows.length)}
+                    ${this.renderLayoutGridItem('row-sizes', 'Row Heights', layout.rows.join(' / '))}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Widgets</div>
+                    ${widgetDefinitions.map(definition => {
+                        const placement = layout.widgets.find(w => w.id === definition.id);
+                        return `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable layout-widget-item"
+                                 data-widget-id="${definition.id}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">${this.escapeHtml(definition.label)}</span>
+                                <span class="settings-modal__cell-value">${this.formatPlacement(placement)}</span>
+                                <span class="settings-modal__cell-chevron">›</span>
+                            </div>
+                        `;
+                    }).join('')}
                 </div>
             </div>
         `;
     }
 
     /**
-     * Render Sleep Time - Minute Selection Screen
+     * Render a grid setting row (Enter cycles its value)
+     * @private
+     * @param {string} field - columns-count, column-sizes, rows-count or row-sizes
+     * @param {string} label - Row label
+     * @param {string|number} value - Current value
      * @returns {string} - HTML string
      */
-    renderSleepTimeMinScreen() {
-        const sleepTime = this.getSleepTime();
-        const parsed = this.timeHandler.parseTime24(sleepTime);
-        const currentMinute = parsed.minute;
+    renderLayoutGridItem(field, label, value) {
+        return `
+            <div class="settings-modal__menu-item settings-modal__menu-item--selectable layout-grid-item"
+                 data-layout-field="${field}"
+                 role="button"
+                 tabindex="0">
+                <span class="settings-modal__menu-label">${label}</span>
+                <span class="settings-modal__cell-value">${value}</span>
+            </div>
+        `;
+    }
 
-        const minutes = [0, 15, 30, 45];
+    /**
+     * Render Layout Widget Screen
+     * Placement of the widget chosen on the layout screen (Enter cycles each value)
+     * @returns {string} - HTML string
+     */
+    renderLayoutWidgetScreen() {
+        const definition = getWidgetDefinition(this.editingWidgetId);
+        if (!definition) {
+            return `
+                <div class="settings-modal__list">
+                    <div class="settings-modal__empty">
+                        <div class="settings-modal__empty-text">No widget selected</div>
+                    </div>
+                </div>
+            `;
+        }
+
+        const placement = DashboardLayoutManager.getLayout().widgets.find(w => w.id === definition.id);
+        const disabledClass = placement ? '' : 'settings-modal__menu-item--disabled';
+
+        const fields = [
+            { field: 'row', label: 'Row' },
+            { field: 'col', label: 'Column' },
+            { field: 'rowSpan', label: 'Rows Tall' },
+            { field: 'colSpan', label: 'Columns Wide' }
+        ];
 
         return `
             <div class="settings-modal__list">
                 <div class="settings-modal__section">
-                    ${minutes.map(minute => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${minute === currentMinute ? 'settings-modal__menu-item--checked' : ''}"
-                             data-minute="${minute}"
-                             data-navigate="display-sleep-time-period"
-                             data-setting="interface.sleepTime"
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable layout-widget-field"
+                         data-field="visible"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Show ${this.escapeHtml(definition.label)}</span>
+                        <span class="settings-modal__cell-value">${placement ? 'On' : 'Off'}</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    ${fields.map(({ field, label }) => `
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable layout-widget-field ${disabledClass}"
+                             data-field="${field}"
                              role="button"
                              tabindex="0">
-                            <span class="settings-modal__menu-label">${minute.toString().padStart(2, '0')}</span>
-                            <span class="settings-modal__cell-checkmark">${minute === currentMinute ? '✓' : ''}</span>
+                            <span class="settings-modal__menu-label">${label}</span>
+                            <span class="settings-modal__cell-value">${placement ? placement[field] : '—'}</span>
                         </div>
                     `).join('')}
                 </div>
@@ -335,87 +494,244 @@ export class SettingsDisplayPage extends SettingsPageBase {
     }
 
     /**
-     * Render Sleep Time - AM/PM Selection Screen
+     * Render Widget Plugins Screen
+     * Installed plugins (select to remove) and install-from-URL form
      * @returns {string} - HTML string
      */
-    renderSleepTimePeriodScreen() {
-        const sleepTime = this.getSleepTime();
-        const parsed = this.timeHandler.parseTime24(sleepTime);
-        const currentPeriod = parsed.period;
+    renderWidgetPluginsScreen() {
+        const plugins = DashboardWidgetPlugins.getInstalled();
 
-        const periods = ['AM', 'PM'];
+        const pluginItems = plugins.length === 0
+            ? `
+                <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px;">
+                    No widget plugins installed
+                </div>
+            `
+            : plugins.map(plugin => `
+                <div class="settings-modal__menu-item settings-modal__menu-item--selectable widget-plugin-item"
+                     data-widget-id="${this.escapeHtml(plugin.id)}"
+                     role="button"
+                     tabindex="0">
+                    <div class="settings-modal__menu-content">
+                        <span class="settings-modal__menu-label">${this.escapeHtml(plugin.label)}${plugin.version ? ` <span style="color: #6B7280;">v${this.escapeHtml(plugin.version)}</span>` : ''}</span>
+                        <span class="settings-modal__menu-sublabel" style="display: block; font-size: 12px; color: #6B7280; margin-top: 4px; word-break: break-all;">
+                            ${this.escapeHtml(plugin.manifestUrl)}
+                        </span>
+                    </div>
+                    <span class="settings-modal__cell-chevron">×</span>
+                </div>
+            `).join('');
 
         return `
-            <div class="settings-modal__list">
+            <div class="settings-modal__page-content">
                 <div class="settings-modal__section">
-                    ${periods.map(period => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${period === currentPeriod ? 'settings-modal__menu-item--checked' : ''}"
-                             data-period="${period}"
-                             data-setting="interface.sleepTime"
-                             role="button"
-                             tabindex="0">
-                            <span class="settings-modal__menu-label">${period}</span>
-                            <span class="settings-modal__cell-checkmark">${period === currentPeriod ? '✓' : ''}</span>
-                        </div>
-                    `).join('')}
+                    <div class="settings-modal__section-header">Installed</div>
+                    ${pluginItems}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Install Widget</div>
+
+                    <div class="settings-modal__menu-item widget-plugin-input-row" data-input-id="widget-plugin-url-input">
+                        <input type="url"
+                               class="settings-modal__text-input"
+                               id="widget-plugin-url-input"
+                               placeholder="https:// link to widget.json"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable widget-plugin-install"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">${this.isInstallingPlugin ? 'Installing...' : 'Install'}</span>
+                        <span class="settings-modal__cell-chevron">+</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Widget plugins are web pages made for Dashie, described by a widget.json manifest. New widgets go in the first free spot of your layout; move or resize them under Dashboard Layout.
+                    </div>
                 </div>
             </div>
         `;
     }
 
     /**
-     * Render Wake Time - Hour Selection Screen
+     * Render the screen for a sleep sub-screen id (these screens are rendered on entry)
+     * @param {string} screenId - Screen id
+     * @returns {string|null} - HTML string, or null if not a sleep screen
+     */
+    renderSleepScreen(screenId) {
+        switch (screenId) {
+            case 'display-sleep-schedule': return this.renderSleepScheduleScreen();
+            case 'display-sleep-window': return this.renderSleepWindowScreen();
+            case 'display-sleep-window-hour': return this.renderSleepWindowHourScreen();
+            case 'display-sleep-window-min': return this.renderSleepWindowMinScreen();
+            case 'display-sleep-window-period': return this.renderSleepWindowPeriodScreen();
+            case 'display-vacation': return this.renderVacationScreen();
+            case 'display-ambient': return this.renderAmbientScreen();
+            default: return null;
+        }
+    }
+
+    /**
+     * Render Sleep Schedule Screen
+     * Sleep windows for weekdays and weekends
      * @returns {string} - HTML string
      */
-    renderWakeTimeHourScreen() {
-        const wakeTime = this.getWakeTime();
-        const parsed = this.timeHandler.parseTime24(wakeTime);
-        const currentHour = parsed.hour12;
+    renderSleepScheduleScreen() {
+        const schedule = getSleepSchedule(window.settingsStore);
 
-        const hours = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+        return `
+            <div class="settings-modal__list">
+                ${Object.entries(SLEEP_DAY_LABELS).map(([dayType, label]) => `
+                    <div class="settings-modal__section">
+                        <div class="settings-modal__section-header">${label}</div>
+                        ${schedule[dayType].map((sleepWindow, index) => `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable sleep-window-item"
+                                 data-day-type="${dayType}"
+                                 data-index="${index}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">${this.formatSleepWindow(sleepWindow)}</span>
+                                <span class="settings-modal__cell-chevron">›</span>
+                            </div>
+                        `).join('')}
+                        ${schedule[dayType].length < MAX_SLEEP_WINDOWS_PER_DAY ? `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable sleep-window-add"
+                                 data-day-type="${dayType}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">Add Sleep Window</span>
+                                <span class="settings-modal__cell-chevron">+</span>
+                            </div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        The screen sleeps during each window. A window that wakes earlier than it sleeps runs overnight, so Friday's 10:00 PM – 7:00 AM ends Saturday morning.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render Sleep Window Screen
+     * Sleep/wake times of the window chosen on the schedule screen
+     * @returns {string} - HTML string
+     */
+    renderSleepWindowScreen() {
+        const sleepWindow = this.getEditingSleepWindow();
+        if (!sleepWindow) {
+            return `
+                <div class="settings-modal__list">
+                    <div class="settings-modal__empty">
+                        <div class="settings-modal__empty-text">No sleep window selected</div>
+                    </div>
+                </div>
+            `;
+        }
 
         return `
             <div class="settings-modal__list">
                 <div class="settings-modal__section">
-                    ${hours.map(hour => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${hour === currentHour ? 'settings-modal__menu-item--checked' : ''}"
-                             data-hour="${hour}"
-                             data-navigate="display-wake-time-min"
-                             data-setting="interface.wakeTime"
-                             role="button"
-                             tabindex="0">
-                            <span class="settings-modal__menu-label">${hour}</span>
-                            <span class="settings-modal__cell-checkmark">${hour === currentHour ? '✓' : ''}</span>
-                        </div>
-                    `).join('')}
+                    <div class="settings-modal__section-header">${SLEEP_DAY_LABELS[this.editingSleepWindow.dayType]}</div>
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable sleep-window-time"
+                         data-field="sleep"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Sleep At</span>
+                        <span class="settings-modal__cell-value">${this.timeHandler.formatTime(sleepWindow.sleep)}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable sleep-window-time"
+                         data-field="wake"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Wake At</span>
+                        <span class="settings-modal__cell-value">${this.timeHandler.formatTime(sleepWindow.wake)}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable sleep-window-remove"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Remove Sleep Window</span>
+                    </div>
                 </div>
             </div>
         `;
     }
 
     /**
-     * Render Wake Time - Minute Selection Screen
+     * Render Sleep Window Time - Hour Selection Screen
      * @returns {string} - HTML string
      */
-    renderWakeTimeMinScreen() {
-        const wakeTime = this.getWakeTime();
-        const parsed = this.timeHandler.parseTime24(wakeTime);
-        const currentMinute = parsed.minute;
+    renderSleepWindowHourScreen() {
+        const parsed = this.timeHandler.parseTime24(this.getEditingTime());
+        const hours = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+        return this.renderTimeOptions(hours.map(hour => ({
+            attribute: `data-hour="${hour}" data-navigate="display-sleep-window-min" data-return-to="display-sleep-window"`,
+            label: hour,
+            checked: hour === parsed.hour12
+        })));
+    }
 
+    /**
+     * Render Sleep Window Time - Minute Selection Screen
+     * @returns {string} - HTML string
+     */
+    renderSleepWindowMinScreen() {
+        const parsed = this.timeHandler.parseTime24(this.getEditingTime());
         const minutes = [0, 15, 30, 45];
 
+        return this.renderTimeOptions(minutes.map(minute => ({
+            attribute: `data-minute="${minute}" data-navigate="display-sleep-window-period"`,
+            label: minute.toString().padStart(2, '0'),
+            checked: minute === parsed.minute
+        })));
+    }
+
+    /**
+     * Render Sleep Window Time - AM/PM Selection Screen
+     * @returns {string} - HTML string
+     */
+    renderSleepWindowPeriodScreen() {
+        const parsed = this.timeHandler.parseTime24(this.getEditingTime());
+
+        return this.renderTimeOptions(['AM', 'PM'].map(period => ({
+            attribute: `data-period="${period}"`,
+            label: period,
+            checked: period === parsed.period
+        })));
+    }
+
+    /**
+     * Render one step of the hour → minute → AM/PM flow for editingTimePath
+     * @private
+     * @param {Array<{attribute: string, label: string|number, checked: boolean}>} options - Options
+     * @returns {string} - HTML string
+     */
+    renderTimeOptions(options) {
         return `
             <div class="settings-modal__list">
                 <div class="settings-modal__section">
-                    ${minutes.map(minute => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${minute === currentMinute ? 'settings-modal__menu-item--checked' : ''}"
-                             data-minute="${minute}"
-                             data-navigate="display-wake-time-period"
-                             data-setting="interface.wakeTime"
+                    ${options.map(option => `
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${option.checked ? 'settings-modal__menu-item--checked' : ''}"
+                             ${option.attribute}
+                             data-setting="${this.editingTimePath || ''}"
                              role="button"
                              tabindex="0">
-                            <span class="settings-modal__menu-label">${minute.toString().padStart(2, '0')}</span>
-                            <span class="settings-modal__cell-checkmark">${minute === currentMinute ? '✓' : ''}</span>
+                            <span class="settings-modal__menu-label">${option.label}</span>
+                            <span class="settings-modal__cell-checkmark">${option.checked ? '✓' : ''}</span>
                         </div>
                     `).join('')}
                 </div>
@@ -424,29 +740,98 @@ export class SettingsDisplayPage extends SettingsPageBase {
     }
 
     /**
-     * Render Wake Time - AM/PM Selection Screen
+     * Render Vacation Screen (Enter cycles each value)
      * @returns {string} - HTML string
      */
-    renderWakeTimePeriodScreen() {
-        const wakeTime = this.getWakeTime();
-        const parsed = this.timeHandler.parseTime24(wakeTime);
-        const currentPeriod = parsed.period;
+    renderVacationScreen() {
+        const vacation = this.getVacation();
+        const disabledClass = vacation ? '' : 'settings-modal__menu-item--disabled';
+        const length = vacation ? this.getVacationLength(vacation) : null;
+
+        return `
+            <div class="settings-modal__list">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable vacation-field"
+                         data-field="enabled"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Vacation Mode</span>
+                        <span class="settings-modal__cell-value">${vacation ? 'On' : 'Off'}</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable vacation-field ${disabledClass}"
+                         data-field="start"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Starts</span>
+                        <span class="settings-modal__cell-value">${vacation ? this.formatDateKey(vacation.start) : '—'}</span>
+                    </div>
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable vacation-field ${disabledClass}"
+                         data-field="length"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Length</span>
+                        <span class="settings-modal__cell-value">${length ? `${length} day${length !== 1 ? 's' : ''}` : '—'}</span>
+                    </div>
+                </div>
 
-        const periods = ['AM', 'PM'];
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        ${vacation ? `Asleep all day through ${this.formatDateKey(vacation.end)}. ` : ''}Motion won't wake the screen on vacation days; the remote still does, and the screen goes back to sleep after the Back to Sleep delay.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render Sleep Screen (ambient mode) Screen (Enter cycles each value)
+     * @returns {string} - HTML string
+     */
+    renderAmbientScreen() {
+        const ambient = getAmbientSettings(window.settingsStore);
+        const disabledClass = ambient.enabled ? '' : 'settings-modal__menu-item--disabled';
 
         return `
             <div class="settings-modal__list">
                 <div class="settings-modal__section">
-                    ${periods.map(period => `
-                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ${period === currentPeriod ? 'settings-modal__menu-item--checked' : ''}"
-                             data-period="${period}"
-                             data-setting="interface.wakeTime"
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable ambient-field"
+                         data-field="enabled"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Ambient Mode</span>
+                        <span class="settings-modal__cell-value">${ambient.enabled ? 'On' : 'Off'}</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Show</div>
+                    ${AMBIENT_ELEMENTS.map(({ field, label }) => `
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable ambient-field ${disabledClass}"
+                             data-field="${field}"
                              role="button"
                              tabindex="0">
-                            <span class="settings-modal__menu-label">${period}</span>
-                            <span class="settings-modal__cell-checkmark">${period === currentPeriod ? '✓' : ''}</span>
+                            <span class="settings-modal__menu-label">${label}</span>
+                            <span class="settings-modal__cell-value">${ambient[field] ? 'On' : 'Off'}</span>
                         </div>
                     `).join('')}
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable ambient-field ${disabledClass}"
+                         data-field="brightness"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Brightness</span>
+                        <span class="settings-modal__cell-value">${ambient.brightness}%</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        ${ambient.enabled
+                            ? 'While asleep the screen shows a dim clock that moves slightly every few minutes to avoid burn-in.'
+                            : 'While asleep the screen is completely black.'}
+                    </div>
                 </div>
             </div>
         `;
@@ -496,28 +881,6 @@ export class SettingsDisplayPage extends SettingsPageBase {
         return buildThemeId(themeFamily, themeMode);
     }
 
-    /**
-     * Get sleep time setting
-     * @returns {string} - Time in 24-hour format "HH:MM"
-     */
-    getSleepTime() {
-        if (window.settingsStore) {
-            return window.settingsStore.get('interface.sleepTime') || '22:00';
-        }
-        return '22:00';
-    }
-
-    /**
-     * Get wake time setting
-     * @returns {string} - Time in 24-hour format "HH:MM"
-     */
-    getWakeTime() {
-        if (window.settingsStore) {
-            return window.settingsStore.get('interface.wakeTime') || '07:00';
-        }
-        return '07:00';
-    }
-
     /**
      * Get dynamic greeting setting
      * @returns {boolean}
@@ -541,6 +904,32 @@ export class SettingsDisplayPage extends SettingsPageBase {
         return true;
     }
 
+    /**
+     * Get wake on motion setting
+     * @returns {boolean}
+     */
+    getPresenceWake() {
+        const enabled = window.settingsStore?.get('interface.presenceWake');
+        return typeof enabled === 'boolean' ? enabled : DEFAULT_PRESENCE_WAKE;
+    }
+
+    /**
+     * Get re-sleep delay setting
+     * @returns {number} - Minutes
+     */
+    getReSleepDelay() {
+        return Number(window.settingsStore?.get('interface.reSleepDelay')) || DEFAULT_RESLEEP_DELAY;
+    }
+
+    /**
+     * Get vacation setting
+     * @returns {{start: string, end: string}|null}
+     */
+    getVacation() {
+        const vacation = window.settingsStore?.get('interface.vacation');
+        return vacation?.start && vacation?.end ? vacation : null;
+    }
+
     /**
      * Get theme animations enabled setting
      * @returns {boolean}
@@ -697,6 +1086,19 @@ export class SettingsDisplayPage extends SettingsPageBase {
         this.updateSleepTimerStates(enabled);
     }
 
+    /**
+     * Set wake on motion and persist
+     * @param {boolean} enabled
+     */
+    async setPresenceWake(enabled) {
+        logger.info('Setting wake on motion', { enabled });
+
+        if (window.settingsStore) {
+            window.settingsStore.set('interface.presenceWake', enabled);
+            await window.settingsStore.save();
+        }
+    }
+
     /**
      * Set theme animations enabled and persist
      * @param {boolean} enabled
@@ -748,20 +1150,13 @@ export class SettingsDisplayPage extends SettingsPageBase {
     }
 
     /**
-     * Update sleep/wake time cell states (enabled/disabled)
+     * Update sleep schedule cell states (enabled/disabled)
      * @param {boolean} enabled
      */
     updateSleepTimerStates(enabled) {
-        const sleepTimeCell = document.querySelector('.sleep-time-cell');
-        const wakeTimeCell = document.querySelector('.wake-time-cell');
-
-        if (enabled) {
-            sleepTimeCell?.classList.remove('settings-modal__menu-item--disabled');
-            wakeTimeCell?.classList.remove('settings-modal__menu-item--disabled');
-        } else {
-            sleepTimeCell?.classList.add('settings-modal__menu-item--disabled');
-            wakeTimeCell?.classList.add('settings-modal__menu-item--disabled');
-        }
+        document.querySelectorAll('.sleep-timer-option').forEach(cell => {
+            cell.classList.toggle('settings-modal__menu-item--disabled', !enabled);
+        });
 
         logger.debug('Sleep timer states updated', { enabled });
     }
@@ -797,19 +1192,15 @@ export class SettingsDisplayPage extends SettingsPageBase {
 
     /**
      * Update time display values after selection
-     * @param {string} settingKey - 'interface.sleepTime' or 'interface.wakeTime'
+     * (the sleep window screens re-render on entry; this updates the Display page summary)
+     * @param {string} settingKey - Sleep window time path (interface.sleepSchedule...)
      */
     updateTimeDisplay(settingKey) {
-        const timeValue = window.settingsStore?.get(settingKey);
-        if (!timeValue) return;
-
-        const formattedTime = this.timeHandler.formatTime(timeValue);
-        const displayId = settingKey.includes('sleepTime') ? 'sleep-time-display' : 'wake-time-display';
-        const displayElement = document.getElementById(displayId);
+        const displayElement = document.getElementById('sleep-schedule-display');
 
         if (displayElement) {
-            displayElement.textContent = formattedTime;
-            logger.debug('Updated time display', { settingKey, formattedTime });
+            displayElement.textContent = this.getSleepScheduleSummary();
+            logger.debug('Updated sleep schedule display', { settingKey });
         }
     }
 
@@ -853,6 +1244,14 @@ export class SettingsDisplayPage extends SettingsPageBase {
             });
         }
 
+        // Wake on Motion toggle
+        const presenceToggle = document.getElementById('presence-wake-toggle');
+        if (presenceToggle) {
+            presenceToggle.addEventListener('change', async (e) => {
+                await this.setPresenceWake(e.target.checked);
+            });
+        }
+
         // Dynamic Greeting toggle
         const greetingToggle = document.getElementById('dynamic-greeting-toggle');
         if (greetingToggle) {
@@ -923,20 +1322,26 @@ export class SettingsDisplayPage extends SettingsPageBase {
             logger.debug('Updated theme family display to', themeFamilyFormatted);
         }
 
-        // Update sleep time display
-        const sleepTimeDisplay = document.getElementById('sleep-time-display');
-        if (sleepTimeDisplay) {
-            const sleepTime = this.getSleepTime();
-            const sleepTimeFormatted = this.timeHandler.formatTime(sleepTime);
-            sleepTimeDisplay.textContent = sleepTimeFormatted;
+        // Update dashboard layout display
+        const layoutDisplay = document.getElementById('dashboard-layout-display');
+        if (layoutDisplay) {
+            layoutDisplay.textContent = this.getLayoutDisplayName();
+        }
+
+        // Update sleep schedule and vacation displays
+        const sleepScheduleDisplay = document.getElementById('sleep-schedule-display');
+        if (sleepScheduleDisplay) {
+            sleepScheduleDisplay.textContent = this.getSleepScheduleSummary();
         }
 
-        // Update wake time display
-        const wakeTimeDisplay = document.getElementById('wake-time-display');
-        if (wakeTimeDisplay) {
-            const wakeTime = this.getWakeTime();
-            const wakeTimeFormatted = this.timeHandler.formatTime(wakeTime);
-            wakeTimeDisplay.textContent = wakeTimeFormatted;
+        const vacationDisplay = document.getElementById('vacation-display');
+        if (vacationDisplay) {
+            vacationDisplay.textContent = this.getVacationSummary();
+        }
+
+        const ambientDisplay = document.getElementById('ambient-display');
+        if (ambientDisplay) {
+            ambientDisplay.textContent = this.getAmbientSummary();
         }
     }
 
@@ -955,6 +1360,523 @@ export class SettingsDisplayPage extends SettingsPageBase {
         return this.timeHandler;
     }
 
+    // =============================================================================
+    // DASHBOARD LAYOUT EDITOR
+    // =============================================================================
+
+    /**
+     * Name shown for the active layout on the main Display page
+     * @returns {string}
+     */
+    getLayoutDisplayName() {
+        const layout = DashboardLayoutManager.getLayout();
+        return layout.custom ? 'Custom' : layout.name;
+    }
+
+    /**
+     * Format a widget placement for the layout screen
+     * @private
+     * @param {Object|undefined} placement - { row, col, rowSpan, colSpan }
+     * @returns {string}
+     */
+    formatPlacement(placement) {
+        if (!placement) return 'Hidden';
+        return `Row ${placement.row}, Col ${placement.col} · ${placement.rowSpan}×${placement.colSpan}`;
+    }
+
+    /**
+     * Save an edited layout (applies to the Dashboard immediately)
+     * @private
+     * @param {Object} layout - Edited copy of the active layout
+     */
+    saveEditedLayout(layout) {
+        DashboardLayoutManager.setLayout({ ...layout, custom: true });
+    }
+
+    /**
+     * Cycle a grid setting (track count or track sizes)
+     * Changing the count resets sizes to the first option and fits widgets to the new grid
+     * @private
+     * @param {string} field - columns-count, column-sizes, rows-count or row-sizes
+     */
+    cycleGridField(field) {
+        const layout = DashboardLayoutManager.getLayout();
+        const axis = field.startsWith('column') ? 'columns' : 'rows';
+        const tracks = layout[axis];
+
+        if (field.endsWith('-count')) {
+            const count = tracks.length % MAX_GRID_TRACKS + 1;
+            const resized = { ...layout, [axis]: [...TRACK_SIZE_OPTIONS[count][0]] };
+            resized.widgets = this.fitWidgetsToGrid(resized);
+
+            if (resized.widgets.length === 0) {
+                showToast('No widgets would fit - move them first', 'error');
+                return;
+            }
+
+            this.saveEditedLayout(resized);
+            return;
+        }
+
+        const options = TRACK_SIZE_OPTIONS[tracks.length] || [];
+        const currentIndex = options.findIndex(option => option.join() === tracks.join());
+        const next = options[(currentIndex + 1) % options.length];
+        if (!next) return;
+
+        this.saveEditedLayout({ ...layout, [axis]: [...next] });
+    }
+
+    /**
+     * Clip widget spans to the layout's grid, dropping widgets that start outside it
+     * @private
+     * @param {Object} layout - Layout with the new track counts
+     * @returns {Array<Object>} Placements that fit
+     */
+    fitWidgetsToGrid(layout) {
+        const rows = layout.rows.length;
+        const cols = layout.columns.length;
+
+        return layout.widgets
+            .filter(w => w.row <= rows && w.col <= cols)
+            .map(w => ({
+                ...w,
+                rowSpan: Math.min(w.rowSpan, rows - w.row + 1),
+                colSpan: Math.min(w.colSpan, cols - w.col + 1)
+            }));
+    }
+
+    /**
+     * Cycle one placement value of the widget being edited to its next valid value
+     * (wraps around; values that overlap another widget or leave the grid are skipped)
+     * @private
+     * @param {string} field - visible, row, col, rowSpan or colSpan
+     */
+    cycleWidgetField(field) {
+        const layout = DashboardLayoutManager.getLayout();
+        const widgetId = this.editingWidgetId;
+        const placement = layout.widgets.find(w => w.id === widgetId);
+
+        if (field === 'visible') {
+            if (placement) {
+                if (layout.widgets.length === 1) {
+                    showToast('The Dashboard needs at least one widget', 'error');
+                    return;
+                }
+                layout.widgets = layout.widgets.filter(w => w.id !== widgetId);
+            } else {
+                const cell = findFreeCell(layout);
+                if (!cell) {
+                    showToast('No empty cell - hide or shrink a widget first', 'error');
+                    return;
+                }
+                layout.widgets.push({ id: widgetId, ...cell, rowSpan: 1, colSpan: 1 });
+            }
+
+            this.saveEditedLayout(layout);
+            return;
+        }
+
+        if (!placement) return;
+
+        const limits = {
+            row: layout.rows.length,
+            col: layout.columns.length,
+            rowSpan: layout.rows.length - placement.row + 1,
+            colSpan: layout.columns.length - placement.col + 1
+        };
+        const max = limits[field];
+
+        for (let step = 1; step < max; step++) {
+            const value = (placement[field] - 1 + step) % max + 1;
+            const candidate = { ...placement, [field]: value };
+
+            if (isPlacementValid(layout, candidate)) {
+                Object.assign(placement, candidate);
+                this.saveEditedLayout(layout);
+                return;
+            }
+        }
+
+        showToast('No room to move this widget', 'info');
+    }
+
+    /**
+     * Re-render the layout editor screen that is showing, keeping the highlighted row
+     * @private
+     */
+    refreshLayoutScreens() {
+        const layoutScreen = document.querySelector('[data-screen="display-layout"]');
+        if (layoutScreen) {
+            layoutScreen.innerHTML = this.renderLayoutScreen();
+        }
+
+        const widgetScreen = document.querySelector('[data-screen="display-layout-widget"]');
+        if (widgetScreen) {
+            widgetScreen.innerHTML = this.renderLayoutWidgetScreen();
+        }
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    // =============================================================================
+    // WIDGET PLUGINS
+    // =============================================================================
+
+    /**
+     * Install the widget plugin whose manifest URL is in the form
+     */
+    async handleInstallPlugin() {
+        if (this.isInstallingPlugin) return;
+
+        const url = document.getElementById('widget-plugin-url-input')?.value.trim() || '';
+        if (!url) {
+            await DashieModal.warning('Manifest URL Required', 'Enter the link to the widget\'s widget.json manifest.');
+            return;
+        }
+
+        try {
+            this.isInstallingPlugin = true;
+            this.refreshWidgetPluginsScreen();
+
+            const { definition, placed } = await DashboardWidgetPlugins.install(url);
+
+            this.isInstallingPlugin = false;
+            this.refreshWidgetPluginsScreen();
+
+            await DashieModal.success('Widget Installed', placed
+                ? `${definition.label} was added to your Dashboard.`
+                : `${definition.label} is installed, but your layout is full.\n\nPlace it under Dashboard Layout.`);
+
+        } catch (error) {
+            logger.error('Failed to install widget plugin', { url, error });
+            this.isInstallingPlugin = false;
+            this.refreshWidgetPluginsScreen(url);
+            await DashieModal.error('Unable to Install Widget', error.message);
+        }
+    }
+
+    /**
+     * Remove an installed widget plugin after confirmation
+     * @param {string} widgetId - Plugin widget ID
+     */
+    async handleRemovePlugin(widgetId) {
+        const plugin = DashboardWidgetPlugins.getInstalled().find(p => p.id === widgetId);
+        if (!plugin) return;
+
+        const confirmed = await DashieModal.confirm(
+            'Remove Widget',
+            `Remove this widget from your Dashboard?\n\n${plugin.label}`
+        );
+
+        if (confirmed !== true) {
+            logger.info('Widget plugin removal cancelled by user');
+            return;
+        }
+
+        DashboardWidgetPlugins.uninstall(widgetId);
+        this.refreshWidgetPluginsScreen();
+    }
+
+    /**
+     * Re-render the Widget Plugins screen and the count on the Display page
+     * @private
+     * @param {string} url - Optional manifest URL to restore in the form
+     */
+    refreshWidgetPluginsScreen(url = null) {
+        const screen = document.querySelector('[data-screen="display-widget-plugins"]');
+        if (screen) {
+            screen.innerHTML = this.renderWidgetPluginsScreen();
+
+            if (url) {
+                document.getElementById('widget-plugin-url-input').value = url;
+            }
+        }
+
+        const countDisplay = document.getElementById('widget-plugins-display');
+        if (countDisplay) {
+            countDisplay.textContent = DashboardWidgetPlugins.getInstalled().length;
+        }
+
+        // Keep the highlighted row in range after a plugin is removed
+        setTimeout(() => {
+            const settings = window.Settings;
+            if (!settings?.renderer || !settings?.stateManager) return;
+
+            const maxIndex = settings.renderer.getFocusableElements().length - 1;
+            if (settings.stateManager.getSelectedIndex() > maxIndex) {
+                settings.stateManager.setSelectedIndex(Math.max(0, maxIndex));
+            }
+            settings.renderer.updateSelection();
+        }, 50);
+    }
+
+    // =============================================================================
+    // SLEEP SCHEDULE
+    // =============================================================================
+
+    /**
+     * Sleep schedule summary for the Display page
+     * @returns {string} - e.g. "10:00 PM – 7:00 AM", "Custom" or "Off"
+     */
+    getSleepScheduleSummary() {
+        const schedule = getSleepSchedule(window.settingsStore);
+        const windows = [...schedule.weekday, ...schedule.weekend];
+
+        if (windows.length === 0) return 'Off';
+
+        const sameEveryDay = schedule.weekday.length === 1 && schedule.weekend.length === 1 &&
+            this.formatSleepWindow(schedule.weekday[0]) === this.formatSleepWindow(schedule.weekend[0]);
+
+        return sameEveryDay ? this.formatSleepWindow(schedule.weekday[0]) : 'Custom';
+    }
+
+    /**
+     * Vacation summary for the Display page
+     * @returns {string} - e.g. "Oct 20 – Oct 27" or "Off"
+     */
+    getVacationSummary() {
+        const vacation = this.getVacation();
+        if (!vacation || vacation.end < toDateKey(new Date())) return 'Off';
+
+        return `${this.formatDateKey(vacation.start, false)} – ${this.formatDateKey(vacation.end, false)}`;
+    }
+
+    /**
+     * Sleep screen summary for the Display page
+     * @returns {string} - "Ambient" or "Black"
+     */
+    getAmbientSummary() {
+        return getAmbientSettings(window.settingsStore).enabled ? 'Ambient' : 'Black';
+    }
+
+    /**
+     * @param {{sleep: string, wake: string}} sleepWindow - Sleep window
+     * @returns {string} - e.g. "10:00 PM – 7:00 AM"
+     */
+    formatSleepWindow(sleepWindow) {
+        return `${this.timeHandler.formatTime(sleepWindow.sleep)} – ${this.timeHandler.formatTime(sleepWindow.wake)}`;
+    }
+
+    /**
+     * @param {string} key - 'YYYY-MM-DD'
+     * @param {boolean} withWeekday - Include the weekday name
+     * @returns {string} - e.g. "Mon, Oct 19"
+     */
+    formatDateKey(key, withWeekday = true) {
+        return fromDateKey(key).toLocaleDateString(undefined, {
+            ...(withWeekday ? { weekday: 'short' } : {}),
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Save the sleep schedule
+     * @private
+     * @param {Object} schedule - Edited schedule
+     */
+    async saveSleepSchedule(schedule) {
+        if (!window.settingsStore) return;
+
+        window.settingsStore.set('interface.sleepSchedule', schedule);
+        await window.settingsStore.save();
+    }
+
+    /**
+     * Window chosen on the schedule screen
+     * @private
+     * @returns {{sleep: string, wake: string}|null}
+     */
+    getEditingSleepWindow() {
+        if (!this.editingSleepWindow) return null;
+
+        const { dayType, index } = this.editingSleepWindow;
+        return getSleepSchedule(window.settingsStore)[dayType]?.[index] || null;
+    }
+
+    /**
+     * Current value of the time being edited on the hour/minute/AM-PM screens
+     * @private
+     * @returns {string} - "HH:MM"
+     */
+    getEditingTime() {
+        const sleepWindow = this.getEditingSleepWindow();
+        const field = this.editingTimePath?.split('.').pop();
+        return sleepWindow?.[field] || (field === 'wake' ? DEFAULT_WAKE_TIME : DEFAULT_SLEEP_TIME);
+    }
+
+    /**
+     * Open a window's sleep or wake time in the hour → minute → AM/PM flow
+     * Saves the schedule first so the flow's setting path (interface.sleepSchedule.weekday.0.sleep) exists.
+     * @private
+     * @param {string} field - 'sleep' or 'wake'
+     */
+    async editSleepWindowTime(field) {
+        const { dayType, index } = this.editingSleepWindow;
+
+        if (!window.settingsStore?.get('interface.sleepSchedule')) {
+            await this.saveSleepSchedule(getSleepSchedule(window.settingsStore));
+        }
+
+        this.timeHandler.reset();
+        this.editingTimePath = `interface.sleepSchedule.${dayType}.${index}.${field}`;
+    }
+
+    /**
+     * Add a window to a day type (starts at the default sleep/wake times)
+     * @private
+     * @param {string} dayType - 'weekday' or 'weekend'
+     * @returns {Promise<number>} - Index of the new window
+     */
+    async addSleepWindow(dayType) {
+        const schedule = getSleepSchedule(window.settingsStore);
+        const windows = schedule[dayType];
+
+        windows.push({ sleep: DEFAULT_SLEEP_TIME, wake: DEFAULT_WAKE_TIME });
+        await this.saveSleepSchedule(schedule);
+
+        logger.info('Sleep window added', { dayType, count: windows.length });
+        return windows.length - 1;
+    }
+
+    /**
+     * Remove the window being edited
+     * @private
+     */
+    async removeSleepWindow() {
+        const { dayType, index } = this.editingSleepWindow;
+        const schedule = getSleepSchedule(window.settingsStore);
+
+        schedule[dayType].splice(index, 1);
+        this.editingSleepWindow = null;
+        await this.saveSleepSchedule(schedule);
+
+        logger.info('Sleep window removed', { dayType, index });
+    }
+
+    /**
+     * Cycle the re-sleep delay to its next option
+     * @private
+     */
+    async cycleReSleepDelay() {
+        const current = this.getReSleepDelay();
+        const index = RESLEEP_DELAY_OPTIONS.indexOf(current);
+        const next = RESLEEP_DELAY_OPTIONS[(index + 1) % RESLEEP_DELAY_OPTIONS.length];
+
+        const display = document.getElementById('resleep-delay-display');
+        if (display) display.textContent = `${next} min`;
+
+        if (window.settingsStore) {
+            window.settingsStore.set('interface.reSleepDelay', next);
+            await window.settingsStore.save();
+        }
+    }
+
+    /**
+     * Vacation length in days (both dates included)
+     * @private
+     */
+    getVacationLength(vacation) {
+        return Math.round((fromDateKey(vacation.end) - fromDateKey(vacation.start)) / 86400000) + 1;
+    }
+
+    /**
+     * Cycle one vacation value (Mode on/off, start date, length)
+     * @private
+     * @param {string} field - enabled, start or length
+     */
+    async cycleVacationField(field) {
+        const vacation = this.getVacation();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const buildVacation = (start, length) => {
+            const end = new Date(start);
+            end.setDate(start.getDate() + length - 1);
+            return { start: toDateKey(start), end: toDateKey(end) };
+        };
+
+        let next;
+        if (field === 'enabled') {
+            next = vacation ? null : buildVacation(today, 7);
+        } else if (!vacation) {
+            return;
+        } else if (field === 'start') {
+            const start = fromDateKey(vacation.start);
+            start.setDate(start.getDate() + 1);
+            const lastStart = new Date(today);
+            lastStart.setDate(today.getDate() + VACATION_MAX_START_DAYS);
+
+            next = buildVacation(start < today || start > lastStart ? today : start, this.getVacationLength(vacation));
+        } else if (field === 'length') {
+            const length = this.getVacationLength(vacation);
+            const nextLength = VACATION_LENGTH_OPTIONS.find(option => option > length) || VACATION_LENGTH_OPTIONS[0];
+            next = buildVacation(fromDateKey(vacation.start), nextLength);
+        }
+
+        logger.info('Vacation updated', { vacation: next });
+
+        if (window.settingsStore) {
+            window.settingsStore.set('interface.vacation', next);
+            await window.settingsStore.save();
+        }
+    }
+
+    /**
+     * Cycle one sleep screen value (on/off, or the next brightness)
+     * @private
+     * @param {string} field - enabled, clock, nextEvent, weather, photos or brightness
+     */
+    async cycleAmbientField(field) {
+        const ambient = getAmbientSettings(window.settingsStore);
+        if (field !== 'enabled' && !ambient.enabled) return;
+
+        if (field === 'brightness') {
+            const index = AMBIENT_BRIGHTNESS_OPTIONS.indexOf(ambient.brightness);
+            ambient.brightness = AMBIENT_BRIGHTNESS_OPTIONS[(index + 1) % AMBIENT_BRIGHTNESS_OPTIONS.length];
+        } else {
+            ambient[field] = !ambient[field];
+        }
+
+        logger.info('Sleep screen updated', { field, value: ambient[field] });
+
+        if (window.settingsStore) {
+            window.settingsStore.set('interface.ambient', ambient);
+            await window.settingsStore.save();
+        }
+    }
+
+    /**
+     * Re-render the sleep screens that are showing
+     * @private
+     */
+    refreshSleepScreens() {
+        ['display-sleep-schedule', 'display-sleep-window', 'display-vacation', 'display-ambient'].forEach(screenId => {
+            const screen = document.querySelector(`[data-screen="${screenId}"]`);
+            if (screen) {
+                screen.innerHTML = this.renderSleepScreen(screenId);
+            }
+        });
+
+        this.updateDisplayValues();
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * Escape third-party text (plugin names and URLs) for HTML
+     * @param {string} str - Raw text
+     * @returns {string}
+     */
+    escapeHtml(str) {
+        if (!str) return '';
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
     /**
      * Handle item click/selection
      * Overrides base class to handle theme family, theme, and animation level selection
@@ -962,6 +1884,88 @@ export class SettingsDisplayPage extends SettingsPageBase {
      * @returns {Promise<Object>} Action to take
      */
     async handleItemClick(item) {
+        // Sleep schedule
+        if (item.classList.contains('sleep-window-item')) {
+            this.editingSleepWindow = { dayType: item.dataset.dayType, index: parseInt(item.dataset.index, 10) };
+            return { shouldNavigate: true, navigateTo: 'display-sleep-window' };
+        }
+
+        if (item.classList.contains('sleep-window-add')) {
+            const dayType = item.dataset.dayType;
+            const index = await this.addSleepWindow(dayType);
+            this.editingSleepWindow = { dayType, index };
+            this.refreshSleepScreens();
+            return { shouldNavigate: true, navigateTo: 'display-sleep-window' };
+        }
+
+        if (item.classList.contains('sleep-window-time')) {
+            await this.editSleepWindowTime(item.dataset.field);
+            return { shouldNavigate: true, navigateTo: 'display-sleep-window-hour' };
+        }
+
+        if (item.classList.contains('sleep-window-remove')) {
+            await this.removeSleepWindow();
+            await window.Settings?.navigateBack();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('resleep-delay-item')) {
+            await this.cycleReSleepDelay();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('ambient-field')) {
+            await this.cycleAmbientField(item.dataset.field);
+            this.refreshSleepScreens();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('vacation-field')) {
+            await this.cycleVacationField(item.dataset.field);
+            this.refreshSleepScreens();
+            return { shouldNavigate: false };
+        }
+
+        // Dashboard layout editor
+        if (item.classList.contains('layout-preset')) {
+            logger.info('Layout preset selected', { presetId: item.dataset.presetId });
+            DashboardLayoutManager.applyPreset(item.dataset.presetId);
+            this.refreshLayoutScreens();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('layout-grid-item')) {
+            this.cycleGridField(item.dataset.layoutField);
+            this.refreshLayoutScreens();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('layout-widget-item')) {
+            this.editingWidgetId = item.dataset.widgetId;
+            return { shouldNavigate: true, navigateTo: 'display-layout-widget' };
+        }
+
+        if (item.classList.contains('widget-plugin-input-row')) {
+            document.getElementById(item.dataset.inputId)?.focus();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('widget-plugin-install')) {
+            await this.handleInstallPlugin();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('widget-plugin-item')) {
+            await this.handleRemovePlugin(item.dataset.widgetId);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('layout-widget-field')) {
+            this.cycleWidgetField(item.dataset.field);
+            this.refreshLayoutScreens();
+            return { shouldNavigate: false };
+        }
+
         // Handle theme family selection (new architecture)
         if (item.dataset.setting === 'interface.themeFamily' && item.dataset.value) {
             const value = item.dataset.value;
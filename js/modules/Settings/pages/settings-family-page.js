@@ -1,20 +1,33 @@
 // js/modules/Settings/pages/settings-family-page.js
-// Family settings page with family name and zip code inputs
+// Family settings page with family name and zip code inputs, plus family member profiles
 
 import { createLogger } from '../../../utils/logger.js';
 import { geocodeZipCodeCached } from '../../../utils/geocoding-helper.js';
+import { getCalendarService } from '../../../data/services/calendar-service.js';
+import DashieModal from '../../../utils/dashie-modal.js';
+import widgetProtocol from '../../../core/widget-protocol.js';
+import { FAMILY_MEMBER_COLORS, FAMILY_MEMBER_EMOJIS } from '../../../../config.js';
 
 const logger = createLogger('SettingsFamilyPage');
 
 /**
  * Family Settings Page
- * Handles family name and location settings
+ * Handles family name and location settings, and family member profiles
+ *
+ * Members are stored in family.members:
+ *   { id, name, color, emoji, photoUrl, birthday, calendarIds }
+ * calendarIds are account-prefixed calendar IDs (e.g. 'primary-user@gmail.com').
+ * Calendar and agenda widgets use them to label (and optionally tint) events.
+ *
+ * Sub-screens:
+ * - family-member: edit one member (opened from the member list or "Add Family Member")
  */
 export class SettingsFamilyPage {
     constructor() {
         this.initialized = false;
         this.familyNameInput = null;
         this.zipCodeInput = null;
+        this.editingMemberId = null; // Member shown on the family-member screen
     }
 
     /**
@@ -71,6 +84,163 @@ export class SettingsFamilyPage {
                         </div>
                     </div>
                 </div>
+
+                <!-- Family Members (re-rendered after edits) -->
+                <div class="settings-modal__section family-members-section">
+                    ${this.renderMembersList()}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--toggle family-color-toggle"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Color Events by Member</span>
+                        <label class="settings-modal__toggle-switch">
+                            <input type="checkbox" ${this.getColorEventsByMember() ? 'checked' : ''} id="family-color-by-member-toggle" data-setting="family.colorEventsByMember">
+                            <span class="settings-modal__toggle-slider"></span>
+                        </label>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the Family Members list (one row per member plus "Add Family Member")
+     * @returns {string} - HTML string
+     */
+    renderMembersList() {
+        const memberItems = this.getMembers().map(member => {
+            const calendarCount = member.calendarIds.length;
+
+            return `
+                <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-item"
+                     data-member-id="${this.escapeHtml(member.id)}"
+                     role="button"
+                     tabindex="0">
+                    <span class="calendar-color-dot" style="background-color: ${this.escapeHtml(member.color || '#6b7280')};"></span>
+                    <span class="settings-modal__menu-label">${this.escapeHtml(member.emoji)} ${this.escapeHtml(member.name || 'Unnamed')}</span>
+                    <span class="settings-modal__cell-value">${calendarCount} calendar${calendarCount === 1 ? '' : 's'}</span>
+                    <span class="settings-modal__cell-chevron">›</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="settings-modal__section-header">Family Members</div>
+            ${memberItems}
+            <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-add"
+                 role="button"
+                 tabindex="0">
+                <span class="settings-modal__menu-label">Add Family Member</span>
+                <span class="settings-modal__cell-chevron">+</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the family-member edit screen for this.editingMemberId
+     * Colour and avatar rows cycle through presets on Enter; calendars toggle on Enter
+     * @returns {string} - HTML string
+     */
+    renderMemberEditor() {
+        const member = this.getMember(this.editingMemberId);
+        if (!member) {
+            return `
+                <div class="settings-modal__page-content">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px;">
+                        No family member selected.
+                    </div>
+                </div>
+            `;
+        }
+
+        const calendarItems = this.getAssignableCalendars(member).map(calendar => {
+            const isAssigned = member.calendarIds.includes(calendar.id);
+
+            return `
+                <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-calendar ${isAssigned ? 'enabled' : ''}"
+                     data-calendar-id="${this.escapeHtml(calendar.id)}"
+                     role="button"
+                     tabindex="0">
+                    <span class="calendar-color-dot" style="background-color: ${this.escapeHtml(calendar.color)};"></span>
+                    <div class="settings-modal__menu-content">
+                        <span class="settings-modal__menu-label">${this.escapeHtml(calendar.name)}</span>
+                    </div>
+                    <span class="settings-modal__cell-checkmark">${isAssigned ? '✓' : ''}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="settings-modal__page-content">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Profile</div>
+
+                    <div class="settings-modal__menu-item family-member-input-row" data-input-id="family-member-name-input">
+                        <input type="text"
+                               class="settings-modal__text-input"
+                               id="family-member-name-input"
+                               data-field="name"
+                               value="${this.escapeHtml(member.name)}"
+                               placeholder="Name"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-color"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Color</span>
+                        <span class="calendar-color-dot" style="background-color: ${this.escapeHtml(member.color || '#6b7280')};"></span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-emoji"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Avatar</span>
+                        <span class="settings-modal__cell-value">${this.escapeHtml(member.emoji)}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+
+                    <div class="settings-modal__menu-item family-member-input-row" data-input-id="family-member-photo-input">
+                        <input type="url"
+                               class="settings-modal__text-input"
+                               id="family-member-photo-input"
+                               data-field="photoUrl"
+                               value="${this.escapeHtml(member.photoUrl)}"
+                               placeholder="Photo URL (optional, replaces avatar)"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    <div class="settings-modal__menu-item family-member-input-row" data-input-id="family-member-birthday-input">
+                        <label class="settings-modal__input-label" for="family-member-birthday-input">Birthday</label>
+                        <input type="date"
+                               class="settings-modal__text-input"
+                               id="family-member-birthday-input"
+                               data-field="birthday"
+                               value="${this.escapeHtml(member.birthday)}">
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Calendars</div>
+                    ${calendarItems || `
+                        <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px;">
+                            Turn on calendars in Calendar settings to assign them.
+                        </div>
+                    `}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable family-member-remove"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label" style="color: #EF4444;">Remove Family Member</span>
+                    </div>
+                </div>
             </div>
         `;
     }
@@ -88,15 +258,77 @@ export class SettingsFamilyPage {
         if (this.familyNameInput) elements.push(this.familyNameInput);
         if (this.zipCodeInput) elements.push(this.zipCodeInput);
 
+        const screen = document.querySelector('[data-screen="family"]');
+        if (screen) {
+            elements.push(...screen.querySelectorAll('.family-members-section .settings-modal__menu-item, .family-color-toggle'));
+        }
+
         return elements;
     }
 
+    /**
+     * Handle item click (member list and member edit screen)
+     * Called by the modal renderer for clicks and D-pad Enter
+     * @param {HTMLElement} item - The clicked item
+     * @returns {Object} Navigation result
+     */
+    async handleItemClick(item) {
+        if (item.classList.contains('family-member-item')) {
+            this.editingMemberId = item.dataset.memberId;
+            return { shouldNavigate: true, navigateTo: 'family-member' };
+        }
+
+        if (item.classList.contains('family-member-add')) {
+            const member = await this.addMember();
+            if (member) {
+                this.editingMemberId = member.id;
+                return { shouldNavigate: true, navigateTo: 'family-member' };
+            }
+            return { shouldNavigate: false };
+        }
+
+        // Focus the text input inside an input row (D-pad Enter)
+        if (item.classList.contains('family-member-input-row')) {
+            document.getElementById(item.dataset.inputId)?.focus();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('family-member-color')) {
+            const member = this.getMember(this.editingMemberId);
+            await this.updateMember(this.editingMemberId, { color: this.nextPreset(FAMILY_MEMBER_COLORS, member?.color) });
+            this.refreshMemberEditor();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('family-member-emoji')) {
+            const member = this.getMember(this.editingMemberId);
+            await this.updateMember(this.editingMemberId, { emoji: this.nextPreset(FAMILY_MEMBER_EMOJIS, member?.emoji) });
+            this.refreshMemberEditor();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('family-member-calendar')) {
+            await this.toggleMemberCalendar(item);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('family-member-remove')) {
+            await this.handleRemoveMember();
+            return { shouldNavigate: false };
+        }
+
+        return { shouldNavigate: false };
+    }
+
     /**
      * Handle activation (page shown)
      */
     activate() {
         logger.debug('Family page activated');
 
+        // Member names/counts may have changed on the family-member screen
+        this.refreshMembersList();
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -148,6 +380,14 @@ export class SettingsFamilyPage {
         this.familyNameInput = document.getElementById('family-name-input');
         this.zipCodeInput = document.getElementById('zip-code-input');
 
+        // activate() runs every time the page is shown (including back from a member) - attach once per render
+        if (this.familyNameInput?.dataset.listenersAttached === 'true') {
+            return;
+        }
+        if (this.familyNameInput) {
+            this.familyNameInput.dataset.listenersAttached = 'true';
+        }
+
         logger.debug('Setting up event listeners', {
             foundFamilyNameInput: !!this.familyNameInput,
             foundZipCodeInput: !!this.zipCodeInput
@@ -195,6 +435,42 @@ export class SettingsFamilyPage {
         } else {
             logger.error('Could not find zip-code-input element!');
         }
+
+        // Color events by member toggle (renderer flips the checkbox and fires change)
+        const colorToggle = document.getElementById('family-color-by-member-toggle');
+        if (colorToggle) {
+            colorToggle.addEventListener('change', async (e) => {
+                await this.saveColorEventsByMember(e.target.checked);
+            });
+        }
+    }
+
+    /**
+     * Attach change listeners to the member editor's text/date inputs
+     * Called by the modal renderer after rendering the family-member screen
+     */
+    attachMemberEditorListeners() {
+        const screen = document.querySelector('[data-screen="family-member"]');
+        if (!screen) return;
+
+        screen.querySelectorAll('input[data-field]').forEach(input => {
+            input.addEventListener('change', async () => {
+                const value = input.value.trim();
+                const member = this.getMember(this.editingMemberId);
+
+                if (member && member[input.dataset.field] !== value) {
+                    await this.updateMember(this.editingMemberId, { [input.dataset.field]: value });
+                }
+            });
+
+            // Enter confirms the field (blur fires change)
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.keyCode === 13) {
+                    e.preventDefault();
+                    input.blur();
+                }
+            });
+        });
     }
 
     /**
@@ -380,10 +656,10 @@ export class SettingsFamilyPage {
             headerWidgets.forEach((iframe, index) => {
                 if (iframe.contentWindow) {
                     try {
-                        iframe.contentWindow.postMessage({
+                        widgetProtocol.post(iframe.contentWindow, {
                             type: 'family-name-update',
                             familyName: familyName
-                        }, '*');
+                        });
                         logger.debug('Sent family name to header widget ' + (index + 1), { familyName });
                     } catch (error) {
                         logger.warn('Failed to send family name to header widget ' + (index + 1), error);
@@ -418,10 +694,10 @@ export class SettingsFamilyPage {
             clockWidgets.forEach((iframe, index) => {
                 if (iframe.contentWindow) {
                     try {
-                        iframe.contentWindow.postMessage({
+                        widgetProtocol.post(iframe.contentWindow, {
                             type: 'location-update',
                             payload: { zipCode }
-                        }, '*');
+                        });
                         logger.debug('Sent zip code to clock widget ' + (index + 1), { zipCode });
                     } catch (error) {
                         logger.warn('Failed to send zip code to clock widget ' + (index + 1), error);
@@ -436,6 +712,248 @@ export class SettingsFamilyPage {
         }
     }
 
+    /**
+     * Add a family member with the next unused colour and save
+     * @private
+     * @returns {Promise<Object|null>} New member, or null if settings are unavailable
+     */
+    async addMember() {
+        const members = this.getMembers();
+        const usedColors = members.map(member => member.color);
+
+        const member = {
+            id: `member-${Date.now()}`,
+            name: `Member ${members.length + 1}`,
+            color: FAMILY_MEMBER_COLORS.find(color => !usedColors.includes(color)) || FAMILY_MEMBER_COLORS[0],
+            emoji: FAMILY_MEMBER_EMOJIS[0],
+            photoUrl: '',
+            birthday: '',
+            calendarIds: []
+        };
+
+        const saved = await this.saveMembers([...members, member]);
+        if (!saved) return null;
+
+        logger.info('Family member added', { id: member.id });
+        this.refreshMembersList();
+        return member;
+    }
+
+    /**
+     * Apply changes to one member and save
+     * @private
+     * @param {string} memberId - Member ID
+     * @param {Object} changes - Fields to update
+     */
+    async updateMember(memberId, changes) {
+        const members = this.getMembers().map(member =>
+            member.id === memberId ? { ...member, ...changes } : member
+        );
+
+        await this.saveMembers(members);
+        logger.debug('Family member updated', { memberId, fields: Object.keys(changes) });
+    }
+
+    /**
+     * Assign or unassign a calendar for the member being edited
+     * Updates the checkmark first for instant feedback
+     * @private
+     * @param {HTMLElement} item - Calendar item on the family-member screen
+     */
+    async toggleMemberCalendar(item) {
+        const member = this.getMember(this.editingMemberId);
+        if (!member) return;
+
+        const calendarId = item.dataset.calendarId;
+        const isAssigned = member.calendarIds.includes(calendarId);
+        const calendarIds = isAssigned
+            ? member.calendarIds.filter(id => id !== calendarId)
+            : [...member.calendarIds, calendarId];
+
+        item.classList.toggle('enabled', !isAssigned);
+        const checkmark = item.querySelector('.settings-modal__cell-checkmark');
+        if (checkmark) checkmark.textContent = isAssigned ? '' : '✓';
+
+        await this.updateMember(member.id, { calendarIds });
+    }
+
+    /**
+     * Remove the member being edited after confirmation, then return to the Family page
+     * @private
+     */
+    async handleRemoveMember() {
+        const member = this.getMember(this.editingMemberId);
+        if (!member) return;
+
+        const confirmed = await DashieModal.confirm(
+            'Remove Family Member',
+            `Are you sure you want to remove ${member.name || 'this family member'}?\n\nTheir calendars stay on the dashboard.`
+        );
+
+        if (confirmed !== true) {
+            logger.info('Member removal cancelled by user');
+            return;
+        }
+
+        await this.saveMembers(this.getMembers().filter(m => m.id !== member.id));
+        this.editingMemberId = null;
+        logger.success('Family member removed', { id: member.id });
+
+        const settings = window.Settings;
+        if (settings?.stateManager && settings?.renderer) {
+            settings.stateManager.navigateBackToParent('family');
+            settings.renderer.showCurrentPage('backward');
+            settings.renderer.updateSelection();
+        }
+    }
+
+    /**
+     * Save family.members (settingsStore syncs to localStorage, database and other devices)
+     * @private
+     * @param {Array<Object>} members - Full member list
+     * @returns {Promise<boolean>} True if saved
+     */
+    async saveMembers(members) {
+        const settingsStore = window.settingsStore;
+        if (!settingsStore) {
+            logger.error('Settings store not available');
+            return false;
+        }
+
+        try {
+            settingsStore.set('family.members', members);
+            await settingsStore.save(false);
+            return true;
+        } catch (error) {
+            logger.error('Failed to save family members', error);
+            return false;
+        }
+    }
+
+    /**
+     * Save the "Color Events by Member" toggle
+     * @private
+     * @param {boolean} enabled - Toggle state
+     */
+    async saveColorEventsByMember(enabled) {
+        const settingsStore = window.settingsStore;
+        if (!settingsStore) {
+            logger.error('Settings store not available');
+            return;
+        }
+
+        try {
+            settingsStore.set('family.colorEventsByMember', enabled);
+            await settingsStore.save(true);
+            logger.info('Color events by member updated', { enabled });
+        } catch (error) {
+            logger.error('Failed to save color events by member', error);
+        }
+    }
+
+    /**
+     * Re-render the member list on the Family page
+     * @private
+     */
+    refreshMembersList() {
+        const section = document.querySelector('[data-screen="family"] .family-members-section');
+        if (section) {
+            section.innerHTML = this.renderMembersList();
+        }
+    }
+
+    /**
+     * Re-render the family-member screen, keeping the highlighted row
+     * @private
+     */
+    refreshMemberEditor() {
+        const screen = document.querySelector('[data-screen="family-member"]');
+        if (!screen) return;
+
+        screen.innerHTML = this.renderMemberEditor();
+        this.attachMemberEditorListeners();
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * Calendars that can be assigned to a member: active calendars plus any the member already has
+     * Names/colours come from the calendar service's calendar list cache when loaded
+     * @private
+     * @param {Object} member - Member being edited
+     * @returns {Array<Object>} { id, name, color }
+     */
+    getAssignableCalendars(member) {
+        let calendarService = null;
+        try {
+            calendarService = getCalendarService();
+        } catch (error) {
+            logger.debug('Calendar service not available for member calendars');
+        }
+
+        const knownCalendars = new Map(); // prefixedId → calendar
+        calendarService?.calendarListCache?.forEach(calendars => {
+            calendars.forEach(calendar => knownCalendars.set(calendar.prefixedId, calendar));
+        });
+
+        const activeIds = calendarService?.activeCalendarIds ||
+            window.settingsStore?.get('calendar.activeCalendarIds') || [];
+        const calendarIds = [...new Set([...activeIds, ...member.calendarIds])];
+
+        return calendarIds.map(id => {
+            const calendar = knownCalendars.get(id);
+            return {
+                id,
+                name: calendar?.summary || calendar?.name || id.substring(id.indexOf('-') + 1),
+                color: calendar?.backgroundColor || '#4285f4'
+            };
+        });
+    }
+
+    /**
+     * Next value in a preset list (wraps; unknown values start at the first preset)
+     * @private
+     */
+    nextPreset(presets, current) {
+        const index = presets.indexOf(current);
+        return presets[(index + 1) % presets.length];
+    }
+
+    /**
+     * Get family members from settings
+     * @private
+     * @returns {Array<Object>}
+     */
+    getMembers() {
+        const members = window.settingsStore?.get('family.members');
+        return Array.isArray(members) ? members.map(member => ({
+            ...member,
+            emoji: member.emoji || '',
+            photoUrl: member.photoUrl || '',
+            birthday: member.birthday || '',
+            calendarIds: member.calendarIds || []
+        })) : [];
+    }
+
+    /**
+     * Get a family member by ID
+     * @private
+     * @param {string} memberId - Member ID
+     * @returns {Object|undefined}
+     */
+    getMember(memberId) {
+        return this.getMembers().find(member => member.id === memberId);
+    }
+
+    /**
+     * Get "Color Events by Member" setting
+     * @private
+     * @returns {boolean}
+     */
+    getColorEventsByMember() {
+        return window.settingsStore?.get('family.colorEventsByMember') === true;
+    }
+
     /**
      * Get current family name from settings
      * @private
@@ -1,10 +1,22 @@
 // js/modules/Settings/pages/settings-system-page.js
 // System settings page
+// v1.1 - 10/19/26 - Remote & Keyboard screen (press a key to bind, long/double press, reset)
+// v1.2 - 10/19/26 - My Dashboards screen (name, per-dashboard theme/sleep, all dashboards with status)
 
 import { createLogger } from '../../../utils/logger.js';
+import { showToast } from '../../../ui/toast.js';
+import DashieModal from '../../../utils/dashie-modal.js';
+import KeyBindings from '../../../core/key-bindings.js';
+import DeviceProfile from '../../../core/device-profile.js';
+import { BINDABLE_ACTIONS, GESTURE_KEY_ACTIONS, DEVICE_OVERRIDE_GROUPS } from '../../../../config.js';
 
 const logger = createLogger('SettingsSystemPage');
 
+const GESTURE_LABELS = {
+    long: 'Hold',
+    double: 'Double-press'
+};
+
 /**
  * System Settings Page
  * Handles system preferences and device settings
@@ -12,6 +24,9 @@ const logger = createLogger('SettingsSystemPage');
 export class SettingsSystemPage {
     constructor() {
         this.initialized = false;
+        this.capturingAction = null; // Action waiting for a key on the system-key-bindings screen
+        this.dashboards = null; // Account's dashboards for the system-dashboards screen (null while loading)
+        this.dashboardsError = null;
     }
 
     /**
@@ -56,6 +71,36 @@ export class SettingsSystemPage {
                     </div>
                 </div>
 
+                <!-- Dashboards -->
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">
+                        <h3 class="settings-modal__section-title">Dashboards</h3>
+                    </div>
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="system-dashboards"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">My Dashboards</span>
+                        <span class="settings-modal__cell-value" id="dashboard-name-display">${this.escapeHtml(this.getDashboardName())}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                </div>
+
+                <!-- Remote & Keyboard -->
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">
+                        <h3 class="settings-modal__section-title">Remote & Keyboard</h3>
+                    </div>
+                    <div class="settings-modal__menu-item settings-modal__menu-item--navigable"
+                         data-navigate="system-key-bindings"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Key Bindings</span>
+                        <span class="settings-modal__cell-value" id="key-bindings-display">${KeyBindings.isCustomized() ? 'Custom' : 'Default'}</span>
+                        <span class="settings-modal__cell-chevron">›</span>
+                    </div>
+                </div>
+
                 <!-- Notifications -->
                 <div class="settings-modal__section">
                     <div class="settings-modal__section-header">
@@ -109,6 +154,429 @@ export class SettingsSystemPage {
         `;
     }
 
+    /**
+     * Render Key Bindings Screen (rendered on entry)
+     * @returns {string} - HTML string
+     */
+    renderKeyBindingsScreen() {
+        const actionLabel = (id) => BINDABLE_ACTIONS.find(action => action.id === id)?.label || 'None';
+
+        return `
+            <div class="settings-modal__list">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Select an action, then press a key</div>
+                    ${BINDABLE_ACTIONS.map(({ id, label }) => {
+                        const keys = KeyBindings.getKeyLabels(id);
+                        const value = this.capturingAction === id
+                            ? 'Press a key…'
+                            : (keys.length > 0 ? keys.join(', ') : 'None');
+
+                        return `
+                            <div class="settings-modal__menu-item settings-modal__menu-item--selectable key-binding-item ${this.capturingAction === id ? 'settings-modal__menu-item--checked' : ''}"
+                                 data-key-action="${id}"
+                                 role="button"
+                                 tabindex="0">
+                                <span class="settings-modal__menu-label">${label}</span>
+                                <span class="settings-modal__cell-value">${this.escapeHtml(value)}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">Extra Actions</div>
+                    ${GESTURE_KEY_ACTIONS.flatMap(action => ['long', 'double'].map(gesture => `
+                        <div class="settings-modal__menu-item settings-modal__menu-item--selectable key-gesture-item"
+                             data-key-action="${action}"
+                             data-gesture="${gesture}"
+                             role="button"
+                             tabindex="0">
+                            <span class="settings-modal__menu-label">${GESTURE_LABELS[gesture]} ${actionLabel(action)}</span>
+                            <span class="settings-modal__cell-value">${actionLabel(KeyBindings.getGestures(action)[gesture])}</span>
+                        </div>
+                    `)).join('')}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__menu-item settings-modal__menu-item--selectable key-bindings-reset"
+                         role="button"
+                         tabindex="0">
+                        <span class="settings-modal__menu-label">Reset to Defaults</span>
+                    </div>
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Bindings are saved on this device only. A new key is added to the action; the key stops doing what it did before. Hold only works with keyboards and remotes that report key release. Keys with a double-press action respond a moment later.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render My Dashboards Screen (rendered on entry; the list fills in when loaded)
+     * @returns {string} - HTML string
+     */
+    renderDashboardsScreen() {
+        return `
+            <div class="settings-modal__list">
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">This Dashboard</div>
+
+                    <div class="settings-modal__menu-item dashboard-name-input-row" data-input-id="dashboard-name-input">
+                        <input type="text"
+                               class="settings-modal__text-input"
+                               id="dashboard-name-input"
+                               value="${this.escapeHtml(DeviceProfile.getName() || '')}"
+                               placeholder="${this.escapeHtml(window.heartbeatService?.getDefaultDashboardName() || 'Dashboard name')}"
+                               maxlength="40"
+                               autocomplete="off"
+                               style="width: 100%;">
+                    </div>
+
+                    ${Object.entries(DEVICE_OVERRIDE_GROUPS).map(([group, { label }]) => `
+                        <div class="settings-modal__menu-item settings-modal__menu-item--toggle"
+                             role="button"
+                             tabindex="0">
+                            <span class="settings-modal__menu-label">Own ${label} Settings</span>
+                            <label class="settings-modal__toggle-switch">
+                                <input type="checkbox" ${DeviceProfile.isOverridden(group) ? 'checked' : ''} class="dashboard-override-toggle" data-group="${group}">
+                                <span class="settings-modal__toggle-slider"></span>
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__section-header">All Dashboards</div>
+                    ${this.renderDashboardsList()}
+                </div>
+
+                <div class="settings-modal__section">
+                    <div class="settings-modal__info-text" style="padding: 16px; color: #6B7280; font-size: 14px; line-height: 1.5;">
+                        Every dashboard keeps its own layout. With "Own" settings on, changes to them here only affect this dashboard; turn it off to go back to the settings shared by all your dashboards. Select an offline dashboard to remove it from the list.
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Rows for the account's dashboards
+     * @private
+     * @returns {string} - HTML string
+     */
+    renderDashboardsList() {
+        if (this.dashboardsError) {
+            return `
+                <div class="settings-info-row">
+                    <span class="settings-info-label">${this.escapeHtml(this.dashboardsError)}</span>
+                </div>
+            `;
+        }
+
+        if (!this.dashboards) {
+            return `
+                <div class="settings-info-row">
+                    <span class="settings-info-label">Loading…</span>
+                </div>
+            `;
+        }
+
+        return this.dashboards.map(dashboard => {
+            const name = dashboard.is_current ? this.getDashboardName() : (dashboard.dashboard_name || 'Dashboard');
+            const status = dashboard.is_online
+                ? 'Online'
+                : `Offline${dashboard.last_heartbeat_at ? ` · ${this.formatLastSeen(dashboard.last_heartbeat_at)}` : ''}`;
+            const removable = !dashboard.is_current && !dashboard.is_online;
+
+            return `
+                <div class="settings-modal__menu-item ${removable ? 'settings-modal__menu-item--selectable dashboard-remove-item' : ''}"
+                     data-dashboard-id="${this.escapeHtml(dashboard.id)}"
+                     role="button"
+                     tabindex="0">
+                    <span class="settings-modal__menu-label">${this.escapeHtml(name)}${dashboard.is_current ? ' (this dashboard)' : ''}</span>
+                    <span class="settings-modal__cell-value">${status}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Load the account's dashboards and show them
+     * Called by the modal renderer on entering the system-dashboards screen
+     */
+    async loadDashboards() {
+        this.dashboards = null;
+        this.dashboardsError = null;
+
+        try {
+            if (!window.heartbeatService) {
+                throw new Error('Dashboard list unavailable offline');
+            }
+
+            this.dashboards = await window.heartbeatService.listDashboards();
+        } catch (error) {
+            logger.error('Failed to load dashboards', error);
+            this.dashboardsError = 'Could not load dashboards';
+        }
+
+        this.refreshDashboardsScreen();
+    }
+
+    /**
+     * Attach listeners to the name input and override toggles
+     * Called by the modal renderer after rendering the system-dashboards screen
+     */
+    attachDashboardsListeners() {
+        const screen = document.querySelector('[data-screen="system-dashboards"]');
+        if (!screen) return;
+
+        const nameInput = screen.querySelector('#dashboard-name-input');
+        if (nameInput) {
+            nameInput.addEventListener('change', () => this.renameDashboard(nameInput.value));
+
+            // Enter confirms the name (blur fires change)
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.keyCode === 13) {
+                    e.preventDefault();
+                    nameInput.blur();
+                }
+            });
+        }
+
+        screen.querySelectorAll('.dashboard-override-toggle').forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                window.settingsStore?.setDeviceOverride(toggle.dataset.group, toggle.checked);
+                const label = DEVICE_OVERRIDE_GROUPS[toggle.dataset.group].label;
+                showToast(toggle.checked ? `${label} settings now apply to this dashboard only` : `${label} settings shared with all dashboards`, 'success');
+            });
+        });
+    }
+
+    /**
+     * Handle item click on the System page and its sub-screens
+     * @param {HTMLElement} item - Clicked item
+     * @returns {Promise<Object>} - {shouldNavigate, navigateTo?}
+     */
+    async handleItemClick(item) {
+        if (item.dataset.navigate) {
+            return { shouldNavigate: true, navigateTo: item.dataset.navigate };
+        }
+
+        if (item.classList.contains('key-binding-item')) {
+            this.startKeyCapture(item.dataset.keyAction);
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('key-gesture-item')) {
+            this.cycleGesture(item.dataset.keyAction, item.dataset.gesture);
+            this.refreshKeyBindingsScreen();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('key-bindings-reset')) {
+            await this.resetKeyBindings();
+            return { shouldNavigate: false };
+        }
+
+        // Focus the name input (D-pad Enter)
+        if (item.classList.contains('dashboard-name-input-row')) {
+            document.getElementById(item.dataset.inputId)?.focus();
+            return { shouldNavigate: false };
+        }
+
+        if (item.classList.contains('dashboard-remove-item')) {
+            await this.removeDashboard(item.dataset.dashboardId);
+            return { shouldNavigate: false };
+        }
+
+        return { shouldNavigate: false };
+    }
+
+    /**
+     * Save this dashboard's name
+     * @private
+     * @param {string} name - Entered name (empty goes back to the default)
+     */
+    async renameDashboard(name) {
+        if ((DeviceProfile.getName() || '') === name.trim()) return;
+
+        try {
+            if (window.heartbeatService) {
+                await window.heartbeatService.renameDashboard(name);
+            } else {
+                DeviceProfile.setName(name);
+            }
+            showToast('Dashboard renamed', 'success');
+        } catch (error) {
+            logger.error('Failed to rename dashboard', error);
+            showToast('Renamed on this dashboard; others will see it at the next check-in', 'info');
+        }
+
+        const summary = document.getElementById('dashboard-name-display');
+        if (summary) {
+            summary.textContent = this.getDashboardName();
+        }
+
+        if (this.dashboards) {
+            this.refreshDashboardsScreen();
+        }
+    }
+
+    /**
+     * Confirm and remove an offline dashboard from the account's list
+     * @private
+     * @param {string} dashboardId - dashboard_heartbeats id
+     */
+    async removeDashboard(dashboardId) {
+        const dashboard = this.dashboards?.find(d => d.id === dashboardId);
+        if (!dashboard) return;
+
+        const confirmed = await DashieModal.confirm(
+            'Remove Dashboard',
+            `Remove "${dashboard.dashboard_name || 'Dashboard'}" from your dashboards? It will come back if it connects again.`
+        );
+
+        if (confirmed !== true) return;
+
+        try {
+            await window.heartbeatService.removeDashboard(dashboardId);
+            this.dashboards = this.dashboards.filter(d => d.id !== dashboardId);
+            this.refreshDashboardsScreen();
+            showToast('Dashboard removed', 'success');
+        } catch (error) {
+            logger.error('Failed to remove dashboard', error);
+            showToast('Could not remove dashboard', 'error');
+        }
+    }
+
+    /**
+     * Re-render the dashboards list (the name input keeps focus and text)
+     * @private
+     */
+    refreshDashboardsScreen() {
+        const screen = document.querySelector('[data-screen="system-dashboards"]');
+        if (!screen) return;
+
+        const list = screen.querySelectorAll('.settings-modal__section')[1];
+        if (list) {
+            list.innerHTML = `
+                <div class="settings-modal__section-header">All Dashboards</div>
+                ${this.renderDashboardsList()}
+            `;
+        }
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * @private
+     * @returns {string} This dashboard's name (custom or device type default)
+     */
+    getDashboardName() {
+        return window.heartbeatService?.getDashboardName() || DeviceProfile.getName() || 'This Dashboard';
+    }
+
+    /**
+     * @private
+     * @param {string} timestamp - ISO timestamp
+     * @returns {string} e.g. "5 min ago", "3 h ago", "Oct 12"
+     */
+    formatLastSeen(timestamp) {
+        const minutes = Math.round((Date.now() - new Date(timestamp).getTime()) / 60000);
+        if (minutes < 60) return `${Math.max(minutes, 1)} min ago`;
+        if (minutes < 24 * 60) return `${Math.round(minutes / 60)} h ago`;
+        return new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Wait for the key to bind to an action
+     * @private
+     * @param {string} action - BINDABLE_ACTIONS id
+     */
+    startKeyCapture(action) {
+        this.capturingAction = action;
+        this.refreshKeyBindingsScreen();
+
+        KeyBindings.captureNextKey((key) => {
+            this.capturingAction = null;
+
+            if (key) {
+                const label = BINDABLE_ACTIONS.find(a => a.id === action)?.label;
+                const result = KeyBindings.bind(action, key.source, key.code);
+
+                if (result.success) {
+                    showToast(`${KeyBindings.describeKey(key.source, key.code)} → ${label}`, 'success');
+                } else {
+                    showToast(result.error, 'error');
+                }
+            }
+
+            this.refreshKeyBindingsScreen();
+        });
+    }
+
+    /**
+     * Step a long/double press to the next action (None → Up → Down → ... → None)
+     * @private
+     * @param {string} action - GESTURE_KEY_ACTIONS id
+     * @param {string} gesture - 'long' or 'double'
+     */
+    cycleGesture(action, gesture) {
+        const options = [null, ...BINDABLE_ACTIONS.map(a => a.id).filter(id => id !== action)];
+        const current = KeyBindings.getGestures(action)[gesture];
+        const next = options[(options.indexOf(current) + 1) % options.length];
+
+        KeyBindings.setGesture(action, gesture, next);
+    }
+
+    /**
+     * Confirm and restore the default key bindings for this device
+     * @private
+     */
+    async resetKeyBindings() {
+        const confirmed = await DashieModal.confirm(
+            'Reset Key Bindings',
+            'Go back to the default keys and remove all extra actions on this device?'
+        );
+
+        if (confirmed !== true) return;
+
+        KeyBindings.resetToDefaults();
+        this.refreshKeyBindingsScreen();
+        showToast('Key bindings reset', 'success');
+    }
+
+    /**
+     * Re-render the key bindings screen and the System page summary
+     * @private
+     */
+    refreshKeyBindingsScreen() {
+        const screen = document.querySelector('[data-screen="system-key-bindings"]');
+        if (screen) {
+            screen.innerHTML = this.renderKeyBindingsScreen();
+        }
+
+        const summary = document.getElementById('key-bindings-display');
+        if (summary) {
+            summary.textContent = KeyBindings.isCustomized() ? 'Custom' : 'Default';
+        }
+
+        setTimeout(() => window.Settings?.renderer?.updateSelection(), 50);
+    }
+
+    /**
+     * Escape key labels for HTML (a bound key can be '<' or '&')
+     * @private
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Get browser name from user agent
      */
@@ -126,8 +594,10 @@ export class SettingsSystemPage {
      * @returns {Array<HTMLElement>}
      */
     getFocusableElements() {
-        // No focusable elements yet (all coming soon)
-        return [];
+        const screen = document.querySelector('[data-screen="system"].settings-modal__screen--active');
+        if (!screen) return [];
+
+        return Array.from(screen.querySelectorAll('.settings-modal__menu-item'));
     }
 
     /**
@@ -142,5 +612,10 @@ export class SettingsSystemPage {
      */
     deactivate() {
         logger.debug('System page deactivated');
+
+        if (this.capturingAction) {
+            this.capturingAction = null;
+            KeyBindings.cancelCapture();
+        }
     }
 }
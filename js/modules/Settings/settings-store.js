@@ -6,6 +6,7 @@ import { getDefaultSettings } from '../../../config.js';
 import settingsService from '../../data/services/settings-service.js';
 import { showToast } from '../../ui/toast.js';
 import AppComms from '../../core/app-comms.js';
+import DeviceProfile from '../../core/device-profile.js';
 
 const logger = createLogger('SettingsStore');
 
@@ -13,6 +14,9 @@ const logger = createLogger('SettingsStore');
  * Settings Store
  * Wrapper around SettingsService for backward compatibility
  * Delegates all persistence operations to SettingsService
+ *
+ * Paths this dashboard overrides (DeviceProfile) are read from and written to
+ * its own copy; everything else is the shared account settings.
  */
 export class SettingsStore {
     constructor() {
@@ -105,7 +109,7 @@ export class SettingsStore {
             }
 
             // Publish settings changed event so widgets get updated
-            AppComms.publish(AppComms.events.SETTINGS_CHANGED, this.settings);
+            AppComms.publish(AppComms.events.SETTINGS_CHANGED, this.getAll());
             logger.debug('Published SETTINGS_CHANGED event to AppComms');
 
             return result;
@@ -124,7 +128,7 @@ export class SettingsStore {
      * @returns {*} - Setting value
      */
     get(path) {
-        return this.service.get(this.settings, path);
+        return DeviceProfile.resolve(path, this.service.get(this.settings, path));
     }
 
     /**
@@ -133,6 +137,11 @@ export class SettingsStore {
      * @param {*} value - New value
      */
     set(path, value) {
+        if (DeviceProfile.trySet(path, value)) {
+            logger.debug('Setting updated on this dashboard only', { path });
+            return;
+        }
+
         if (!this.settings) {
             this.settings = getDefaultSettings();
         }
@@ -142,10 +151,39 @@ export class SettingsStore {
 
     /**
      * Get all settings
-     * @returns {Object} - All settings
+     * @returns {Object} - All settings as this dashboard sees them (with its overrides)
      */
     getAll() {
-        return this.settings || getDefaultSettings();
+        return DeviceProfile.applyTo(this.settings || getDefaultSettings());
+    }
+
+    /**
+     * Keep a group of settings for this dashboard only, or go back to the account's
+     * @param {string} group - DEVICE_OVERRIDE_GROUPS key ('theme', 'sleep')
+     * @param {boolean} enabled - True to override on this dashboard
+     */
+    setDeviceOverride(group, enabled) {
+        if (enabled) {
+            DeviceProfile.enableOverride(group, (path) => this.service.get(this.settings, path));
+        } else {
+            DeviceProfile.disableOverride(group);
+        }
+
+        this.refreshDeviceOverrides();
+    }
+
+    /**
+     * Apply this dashboard's overrides after they changed (toggled here, or
+     * loaded from the dashboard's server row by HeartbeatService)
+     */
+    refreshDeviceOverrides() {
+        // Values may have switched back to the account's
+        const theme = this.get('interface.theme');
+        if (theme && window.themeApplier) {
+            window.themeApplier.applyTheme(theme, true);
+        }
+
+        AppComms.publish(AppComms.events.SETTINGS_CHANGED, this.getAll());
     }
 
     /**
@@ -251,7 +289,7 @@ export class SettingsStore {
                 }
 
                 // Publish settings changed event for widgets
-                AppComms.publish(AppComms.events.SETTINGS_CHANGED, this.settings);
+                AppComms.publish(AppComms.events.SETTINGS_CHANGED, this.getAll());
 
                 logger.success('Remote settings synchronized successfully');
             });
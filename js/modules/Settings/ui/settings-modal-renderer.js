@@ -152,6 +152,11 @@ export class SettingsModalRenderer {
                 </div>
             `;
 
+            // Add sub-screens for Family page
+            if (pageId === 'family') {
+                html += this.buildFamilySubScreens();
+            }
+
             // Add sub-screens for Display page
             if (pageId === 'display') {
                 html += this.buildDisplaySubScreens();
@@ -162,6 +167,11 @@ export class SettingsModalRenderer {
                 html += this.buildCalendarSubScreens();
             }
 
+            // Add sub-screens for System page
+            if (pageId === 'system') {
+                html += this.buildSystemSubScreens();
+            }
+
             // Add sub-screens for Account page
             if (pageId === 'account') {
                 html += this.buildAccountSubScreens();
@@ -196,34 +206,54 @@ export class SettingsModalRenderer {
                 ${displayPage.renderAnimationLevelScreen()}
             </div>
 
-            <!-- Sleep Timer - Hour Selection -->
-            <div class="settings-modal__screen" data-screen="display-sleep-time-hour" data-title="Sleep Timer" data-parent="display">
-                ${displayPage.renderSleepTimeHourScreen()}
+            <!-- Dashboard Layout (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="display-layout" data-title="Dashboard Layout" data-parent="display">
+                ${displayPage.renderLayoutScreen()}
+            </div>
+
+            <!-- Dashboard Layout - Widget Placement (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="display-layout-widget" data-title="Widget Placement" data-parent="display-layout">
+                ${displayPage.renderLayoutWidgetScreen()}
+            </div>
+
+            <!-- Widget Plugins -->
+            <div class="settings-modal__screen" data-screen="display-widget-plugins" data-title="Widget Plugins" data-parent="display">
+                ${displayPage.renderWidgetPluginsScreen()}
+            </div>
+
+            <!-- Sleep Schedule (sleep screens are rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="display-sleep-schedule" data-title="Sleep Schedule" data-parent="display">
+                ${displayPage.renderSleepScheduleScreen()}
             </div>
 
-            <!-- Sleep Timer - Minute Selection -->
-            <div class="settings-modal__screen" data-screen="display-sleep-time-min" data-title="Sleep Timer" data-parent="display">
-                ${displayPage.renderSleepTimeMinScreen()}
+            <!-- Sleep Schedule - Window -->
+            <div class="settings-modal__screen" data-screen="display-sleep-window" data-title="Sleep Window" data-parent="display-sleep-schedule">
+                ${displayPage.renderSleepWindowScreen()}
             </div>
 
-            <!-- Sleep Timer - Period Selection -->
-            <div class="settings-modal__screen" data-screen="display-sleep-time-period" data-title="Sleep Timer" data-parent="display">
-                ${displayPage.renderSleepTimePeriodScreen()}
+            <!-- Sleep Window - Hour Selection -->
+            <div class="settings-modal__screen" data-screen="display-sleep-window-hour" data-title="Hour" data-parent="display-sleep-window">
+                ${displayPage.renderSleepWindowHourScreen()}
             </div>
 
-            <!-- Wake Timer - Hour Selection -->
-            <div class="settings-modal__screen" data-screen="display-wake-time-hour" data-title="Wake Timer" data-parent="display">
-                ${displayPage.renderWakeTimeHourScreen()}
+            <!-- Sleep Window - Minute Selection -->
+            <div class="settings-modal__screen" data-screen="display-sleep-window-min" data-title="Minute" data-parent="display-sleep-window">
+                ${displayPage.renderSleepWindowMinScreen()}
             </div>
 
-            <!-- Wake Timer - Minute Selection -->
-            <div class="settings-modal__screen" data-screen="display-wake-time-min" data-title="Wake Timer" data-parent="display">
-                ${displayPage.renderWakeTimeMinScreen()}
+            <!-- Sleep Window - Period Selection -->
+            <div class="settings-modal__screen" data-screen="display-sleep-window-period" data-title="AM / PM" data-parent="display-sleep-window">
+                ${displayPage.renderSleepWindowPeriodScreen()}
             </div>
 
-            <!-- Wake Timer - Period Selection -->
-            <div class="settings-modal__screen" data-screen="display-wake-time-period" data-title="Wake Timer" data-parent="display">
-                ${displayPage.renderWakeTimePeriodScreen()}
+            <!-- Vacation -->
+            <div class="settings-modal__screen" data-screen="display-vacation" data-title="Vacation" data-parent="display">
+                ${displayPage.renderVacationScreen()}
+            </div>
+
+            <!-- Sleep Screen (ambient mode) -->
+            <div class="settings-modal__screen" data-screen="display-ambient" data-title="Sleep Screen" data-parent="display">
+                ${displayPage.renderAmbientScreen()}
             </div>
         `;
     }
@@ -256,6 +286,47 @@ export class SettingsModalRenderer {
             <div class="settings-modal__screen" data-screen="calendar-remove" data-title="Remove Calendar Accounts" data-parent="calendar">
                 ${calendarPage.renderRemoveAccount()}
             </div>
+
+            <!-- Calendar Feeds (ICS) -->
+            <div class="settings-modal__screen" data-screen="calendar-feeds" data-title="Calendar Feeds" data-parent="calendar">
+                ${calendarPage.renderFeeds()}
+            </div>
+
+            <!-- CalDAV (iCloud, Fastmail, Nextcloud) -->
+            <div class="settings-modal__screen" data-screen="calendar-caldav" data-title="Apple iCloud / CalDAV" data-parent="calendar-add">
+                ${calendarPage.renderCalDAV()}
+            </div>
+        `;
+    }
+
+    /**
+     * Build Family page sub-screens
+     * @returns {string} - HTML string
+     */
+    buildFamilySubScreens() {
+        return `
+            <!-- Edit Family Member (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="family-member" data-title="Family Member" data-parent="family">
+                ${this.pages.family.renderMemberEditor()}
+            </div>
+        `;
+    }
+
+    /**
+     * Build System page sub-screens
+     * @returns {string} - HTML string
+     */
+    buildSystemSubScreens() {
+        return `
+            <!-- My Dashboards (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="system-dashboards" data-title="My Dashboards" data-parent="system">
+                ${this.pages.system.renderDashboardsScreen()}
+            </div>
+
+            <!-- Key Bindings (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="system-key-bindings" data-title="Key Bindings" data-parent="system">
+                ${this.pages.system.renderKeyBindingsScreen()}
+            </div>
         `;
     }
 
@@ -267,6 +338,11 @@ export class SettingsModalRenderer {
         const accountPage = this.pages.account;
 
         return `
+            <!-- Household (content rendered on entry) -->
+            <div class="settings-modal__screen" data-screen="account-household" data-title="Household" data-parent="account">
+                ${accountPage.renderHouseholdScreen()}
+            </div>
+
             <!-- Manage Account -->
             <div class="settings-modal__screen" data-screen="account-manage" data-title="Manage Account" data-parent="account">
                 ${accountPage.renderManageAccountScreen()}
@@ -352,6 +428,19 @@ export class SettingsModalRenderer {
                     }
                 }
 
+                // Layout editor screens show the live layout (also refreshed on return from widget placement)
+                if ((screenId === 'display-layout' || screenId === 'display-layout-widget') && this.pages.display) {
+                    screen.innerHTML = screenId === 'display-layout'
+                        ? this.pages.display.renderLayoutScreen()
+                        : this.pages.display.renderLayoutWidgetScreen();
+                }
+
+                // Sleep schedule screens show the saved schedule and the window being edited
+                const sleepScreenHtml = this.pages.display?.renderSleepScreen(screenId);
+                if (sleepScreenHtml !== null && sleepScreenHtml !== undefined) {
+                    screen.innerHTML = sleepScreenHtml;
+                }
+
                 // Reset selection when navigating to Display sub-screens
                 if (screenId.startsWith('display-') && direction === 'forward') {
                     // Find the checked/current item and start selection there
@@ -457,12 +546,54 @@ export class SettingsModalRenderer {
                         }).catch(error => {
                             logger.error('Error loading accounts for removal:', error);
                         });
+                    } else if (screenId === 'calendar-feeds' && this.pages.calendar) {
+                        // Re-render with the current feed list (may have changed since modal was built)
+                        screen.innerHTML = this.pages.calendar.renderFeeds();
+                        this.stateManager.setSelectedIndex(0);
+                        setTimeout(() => this.updateSelection(), 50);
+                    } else if (screenId === 'calendar-caldav' && this.pages.calendar) {
+                        // Fresh form each visit (never keep a password around)
+                        screen.innerHTML = this.pages.calendar.renderCalDAV();
+                        this.stateManager.setSelectedIndex(0);
+                        setTimeout(() => this.updateSelection(), 50);
                     } else {
                         this.stateManager.setSelectedIndex(0);
                     }
                 }
 
-                // Handle Account sub-screens (account-manage, account-erase)
+                // Family member editor: render the member selected on the Family page
+                if (screenId === 'family-member' && direction === 'forward' && this.pages.family) {
+                    screen.innerHTML = this.pages.family.renderMemberEditor();
+                    this.pages.family.attachMemberEditorListeners();
+                    this.stateManager.setSelectedIndex(0);
+                    setTimeout(() => this.updateSelection(), 50);
+                }
+
+                // My Dashboards: this dashboard's settings now, the account's dashboards once loaded
+                if (screenId === 'system-dashboards' && direction === 'forward' && this.pages.system) {
+                    this.pages.system.dashboards = null;
+                    screen.innerHTML = this.pages.system.renderDashboardsScreen();
+                    this.pages.system.attachDashboardsListeners();
+                    this.pages.system.loadDashboards();
+                    this.stateManager.setSelectedIndex(0);
+                    setTimeout(() => this.updateSelection(), 50);
+                }
+
+                // Key bindings: show this device's current bindings
+                if (screenId === 'system-key-bindings' && direction === 'forward' && this.pages.system) {
+                    screen.innerHTML = this.pages.system.renderKeyBindingsScreen();
+                    this.stateManager.setSelectedIndex(0);
+                    setTimeout(() => this.updateSelection(), 50);
+                }
+
+                // Household: members and invitations as last loaded, then reloaded
+                if (screenId === 'account-household' && direction === 'forward' && this.pages.account) {
+                    screen.innerHTML = this.pages.account.renderHouseholdScreen();
+                    this.pages.account.attachHouseholdListeners();
+                    this.pages.account.loadHousehold();
+                }
+
+                // Handle Account sub-screens (account-household, account-manage, account-erase)
                 // Note: account-delete uses DashieModal.confirm() and doesn't have a sub-screen
                 if (screenId.startsWith('account-') && direction === 'forward') {
                     // Reset selection to first focusable element and update UI
@@ -514,8 +645,8 @@ export class SettingsModalRenderer {
                     selectedElement = menuItems[selectedIndex];
                 }
             }
-        } else if (currentPage.startsWith('calendar-')) {
-            // Calendar sub-screens: query the active screen directly (like display screens)
+        } else if (currentPage.startsWith('calendar-') || currentPage.startsWith('family-')) {
+            // Calendar/Family sub-screens: query the active screen directly (like display screens)
             const activeScreen = this.modalElement.querySelector(`[data-screen="${currentPage}"].settings-modal__screen--active`);
             if (activeScreen) {
                 const menuItems = activeScreen.querySelectorAll('.settings-modal__menu-item');
@@ -629,7 +760,9 @@ export class SettingsModalRenderer {
 
         if (currentPage === 'main') {
             return Array.from(this.modalElement.querySelectorAll('[data-screen="main"] .settings-modal__menu-item'));
-        } else if (currentPage.startsWith('display-') || currentPage.startsWith('calendar-') || currentPage.startsWith('account-')) {
+        } else if (currentPage.startsWith('display-') || currentPage.startsWith('calendar-') ||
+                   currentPage.startsWith('family-') || currentPage.startsWith('account-') ||
+                   currentPage.startsWith('system-')) {
             // Sub-screens: query the active screen directly
             const activeScreen = this.modalElement.querySelector(`[data-screen="${currentPage}"].settings-modal__screen--active`);
             if (activeScreen) {
@@ -689,7 +822,7 @@ export class SettingsModalRenderer {
             }
         }
 
-        const target = event.target.closest('[data-action], [data-page], [data-navigate], [data-setting][data-value], [data-hour], [data-minute], [data-period], [data-photos-action], .settings-modal__menu-item--selectable');
+        const target = event.target.closest('[data-action], [data-page], [data-navigate], [data-setting][data-value], [data-hour], [data-minute], [data-period], [data-photos-action], [data-input-id], .settings-modal__menu-item--selectable');
 
         if (!target) return;
 
@@ -807,13 +940,17 @@ export class SettingsModalRenderer {
                         // Time selection complete - save and navigate back
                         logger.info('Time selection complete', { setting: action.setting, value: action.value });
 
+                        // Set the value first so the screen we return to renders it
+                        if (window.settingsStore) {
+                            window.settingsStore.set(action.setting, action.value);
+                        }
+
                         // Update the display on the main Display screen
                         displayPage.updateTimeDisplay(action.setting);
 
-                        // Navigate back to Display screen using parent hierarchy (not stack)
-                        // Pop back through the stack until we reach 'display'
+                        // Pop back through the stack until we reach the screen the flow started from
                         let didNavigate = true;
-                        while (didNavigate && this.stateManager.getCurrentPage() !== 'display') {
+                        while (didNavigate && this.stateManager.getCurrentPage() !== action.navigateTo) {
                             didNavigate = this.stateManager.navigateBack();
                         }
 
@@ -822,7 +959,6 @@ export class SettingsModalRenderer {
 
                         // Save the time setting in the background (non-blocking for UI)
                         if (window.settingsStore) {
-                            window.settingsStore.set(action.setting, action.value);
                             await window.settingsStore.save();
                         }
 
@@ -1,6 +1,7 @@
 // js/modules/Settings/utils/time-selection-handler.js
 // Handles 3-step time selection flow: Hour → Minute → AM/PM
 // Adapted from legacy settings implementation
+// v1.1 - 10/19/26 - Return to the screen the flow started from (data-return-to), fresh selection per hour pick
 
 import { createLogger } from '../../../utils/logger.js';
 
@@ -8,12 +9,13 @@ const logger = createLogger('TimeSelectionHandler');
 
 /**
  * Time Selection Handler
- * Manages multi-step time selection for Sleep/Wake timers
+ * Manages multi-step time selection for sleep schedule windows
  *
  * Flow:
  * 1. User selects hour (1-12) → navigate to minute screen
  * 2. User selects minute (00/15/30/45) → navigate to AM/PM screen
- * 3. User selects AM/PM → save time, navigate back to Display
+ * 3. User selects AM/PM → save time, navigate back to the hour cell's
+ *    data-return-to screen (Display if not set)
  */
 export class TimeSelectionHandler {
     constructor() {
@@ -26,7 +28,7 @@ export class TimeSelectionHandler {
      * Returns an action object telling the caller what to do next
      *
      * @param {HTMLElement} cell - The clicked cell element
-     * @returns {Object} Action object {type, screenId?, setting?, value?, message?}
+     * @returns {Object} Action object {type, screenId?, setting?, value?, navigateTo?, message?}
      */
     handleSelection(cell) {
         const hour = cell.dataset.hour;
@@ -34,6 +36,7 @@ export class TimeSelectionHandler {
         const period = cell.dataset.period;
         const navigateTo = cell.dataset.navigate;
         const setting = cell.dataset.setting;
+        const returnTo = cell.dataset.returnTo;
 
         logger.debug('handleSelection', { hour, minute, period, navigateTo, setting });
 
@@ -42,10 +45,11 @@ export class TimeSelectionHandler {
             return { type: 'not-time-selection' };
         }
 
-        // Initialize pending selection if needed
-        if (!this.pendingTimeSelection) {
+        // Picking an hour starts a new selection (the last one may have been abandoned with Back)
+        if (hour || !this.pendingTimeSelection) {
             this.pendingTimeSelection = {
-                setting: setting // Store which setting this is for
+                setting: setting, // Store which setting this is for
+                returnTo: returnTo
             };
         }
 
@@ -86,8 +90,9 @@ export class TimeSelectionHandler {
                 time: finalTime
             });
 
-            // Store the setting path for the caller
+            // Store the setting path and return screen for the caller
             const settingPath = this.pendingTimeSelection.setting;
+            const returnScreen = this.pendingTimeSelection.returnTo || 'display';
 
             // Clear pending selection
             this.pendingTimeSelection = null;
@@ -96,7 +101,7 @@ export class TimeSelectionHandler {
                 type: 'complete',
                 setting: settingPath,
                 value: finalTime,
-                navigateTo: 'display', // Always return to Display screen
+                navigateTo: returnScreen,
                 message: `Time selected: ${finalTime}`
             };
         }
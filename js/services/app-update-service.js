@@ -0,0 +1,331 @@
+// js/services/app-update-service.js
+// In-app updates: asks with the Modals update prompt, installs now, later, or during the sleep window
+// HeartbeatService reports the version to run (staged rollouts and pins are decided by the heartbeat function)
+
+import { createLogger } from '../utils/logger.js';
+import AppComms from '../core/app-comms.js';
+import AppStateManager from '../core/app-state-manager.js';
+import SleepScheduler from '../core/sleep-scheduler.js';
+import { getSleepSchedule, getNextSleepStart } from '../utils/sleep-schedule.js';
+import {
+    APP_VERSION,
+    UPDATE_REMIND_LATER_MS,
+    UPDATE_SLEEP_DELAY_MS,
+    STORAGE_KEYS
+} from '../../config.js';
+
+const logger = createLogger('AppUpdate');
+
+/**
+ * AppUpdateService
+ *
+ * Update info (from the heartbeat response):
+ *   { version, releaseNotes, isRollback, url }
+ *   - url: same-site path the version is served from (null = the site root)
+ *
+ * Choices on the prompt:
+ * - now:     Reload into the new version
+ * - tonight: Saved in localStorage (STORAGE_KEYS.SCHEDULED_UPDATE); installed
+ *            UPDATE_SLEEP_DELAY_MS after the dashboard falls asleep in its sleep
+ *            window. After the reload SleepScheduler puts it straight back to sleep.
+ * - later:   Ask again after UPDATE_REMIND_LATER_MS
+ *
+ * The prompt waits until nobody is using Settings, another modal or the sleep
+ * overlay - the heartbeat reports the update again every minute.
+ */
+export class AppUpdateService {
+    constructor() {
+        this.available = null;      // Latest update info reported by the heartbeat
+        this.snoozedUntil = 0;      // "Later" - don't ask again before this time
+        this.allowSleepUpdates = false;
+        this.isUpdating = false;
+        this.sleepTimer = null;
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Start watching for the sleep window
+     * @param {Object} [options]
+     * @param {boolean} [options.allowSleepUpdates=false] - Offer "tonight" (dashboards, not the phone)
+     */
+    initialize({ allowSleepUpdates = false } = {}) {
+        this.allowSleepUpdates = allowSleepUpdates;
+
+        // Already installed - the scheduled update was for this version
+        const scheduled = this.getScheduled();
+        if (scheduled && scheduled.version === APP_VERSION) {
+            logger.info('Scheduled update installed', { version: APP_VERSION });
+            this.clearScheduled();
+        }
+
+        this.unsubscribers = [
+            AppComms.subscribe(AppComms.events.SLEEP_MODE_CHANGED, ({ isAsleep }) => this.handleSleepModeChanged(isAsleep))
+        ];
+
+        logger.verbose('AppUpdateService initialized', { allowSleepUpdates, scheduled: this.getScheduled()?.version || null });
+    }
+
+    /**
+     * Heartbeat says this dashboard should run another version
+     * @param {Object} update - Update info (see class comment)
+     */
+    handleUpdateAvailable(update) {
+        if (this.isUpdating || !update?.version) return;
+
+        this.available = update;
+
+        // Already agreed to update tonight - keep the newest version for it
+        const scheduled = this.getScheduled();
+        if (scheduled) {
+            if (scheduled.version !== update.version) {
+                logger.info('Scheduled update changed', { from: scheduled.version, to: update.version });
+                this.setScheduled(update);
+            }
+            return;
+        }
+
+        if (Date.now() < this.snoozedUntil || !this.isIdle()) return;
+
+        this.showPrompt();
+    }
+
+    /**
+     * Heartbeat says this dashboard runs the right version
+     * (also drops a scheduled update whose rollout was pulled)
+     */
+    handleUpToDate() {
+        this.available = null;
+
+        if (this.getScheduled()) {
+            logger.info('Scheduled update no longer needed');
+            this.clearScheduled();
+        }
+    }
+
+    /**
+     * Ask how to install the available update
+     * @private
+     */
+    showPrompt() {
+        const update = this.available;
+        logger.info('Showing update prompt', { from: APP_VERSION, to: update.version, isRollback: !!update.isRollback });
+
+        window.modals.showUpdatePrompt({
+            version: update.version,
+            currentVersion: APP_VERSION,
+            releaseNotes: update.releaseNotes,
+            isRollback: update.isRollback,
+            tonightLabel: this.getTonightLabel(),
+            onChoice: (choice) => this.handleChoice(choice, update)
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} choice - 'now', 'tonight' or 'later'
+     * @param {Object} update - Update info the prompt was shown for
+     */
+    handleChoice(choice, update) {
+        switch (choice) {
+            case 'now':
+                this.performUpdate(update);
+                break;
+
+            case 'tonight':
+                logger.info('Update scheduled for the sleep window', { version: update.version });
+                this.setScheduled(update);
+                break;
+
+            default:
+                logger.info('User postponed update');
+                this.snoozedUntil = Date.now() + UPDATE_REMIND_LATER_MS;
+        }
+    }
+
+    /**
+     * Whether nobody is busy with the dashboard (safe to show the prompt)
+     * @private
+     * @returns {boolean}
+     */
+    isIdle() {
+        return !!window.modals?.isInitialized
+            && !AppStateManager.isSleeping()
+            && !window.modals.isModalOpen()
+            && !window.Settings?.isVisible?.()
+            && !window.dashieModalManager?.hasActiveModal();
+    }
+
+    /**
+     * Label for the "while asleep" option, or null to leave it out
+     * @private
+     * @returns {string|null}
+     */
+    getTonightLabel() {
+        if (!this.allowSleepUpdates || !SleepScheduler.isTimerEnabled()) return null;
+
+        // Woken during the window or on vacation - the re-sleep countdown will put it back
+        if (SleepScheduler.isScheduledAsleep()) {
+            return 'Next time it goes to sleep';
+        }
+
+        const next = getNextSleepStart(getSleepSchedule(window.settingsStore));
+        if (!next) return null;
+
+        const time = next.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        return next.toDateString() === new Date().toDateString()
+            ? `Tonight while asleep (${time})`
+            : `While asleep (${next.toLocaleDateString([], { weekday: 'short' })} ${time})`;
+    }
+
+    // =========================================================================
+    // SLEEP WINDOW
+    // =========================================================================
+
+    /**
+     * Install a scheduled update once the dashboard has been asleep in its window a while
+     * @private
+     * @param {boolean} isAsleep - New sleep state
+     */
+    handleSleepModeChanged(isAsleep) {
+        clearTimeout(this.sleepTimer);
+        this.sleepTimer = null;
+
+        if (!isAsleep || !this.getScheduled()) return;
+
+        this.sleepTimer = setTimeout(() => {
+            this.sleepTimer = null;
+
+            const scheduled = this.getScheduled();
+            if (scheduled && AppStateManager.isSleeping() && SleepScheduler.isScheduledAsleep()) {
+                logger.info('Installing scheduled update', { version: scheduled.version });
+                this.performUpdate(scheduled);
+            }
+        }, UPDATE_SLEEP_DELAY_MS);
+    }
+
+    /**
+     * @returns {Object|null} Update waiting for the sleep window
+     */
+    getScheduled() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.SCHEDULED_UPDATE)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    setScheduled(update) {
+        try {
+            localStorage.setItem(STORAGE_KEYS.SCHEDULED_UPDATE, JSON.stringify({
+                version: update.version,
+                releaseNotes: update.releaseNotes || null,
+                isRollback: !!update.isRollback,
+                url: update.url || null,
+                scheduledAt: Date.now()
+            }));
+        } catch (error) {
+            logger.warn('Could not save scheduled update', error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    clearScheduled() {
+        try {
+            localStorage.removeItem(STORAGE_KEYS.SCHEDULED_UPDATE);
+        } catch (error) {
+            // Ignore localStorage errors
+        }
+    }
+
+    // =========================================================================
+    // INSTALL
+    // =========================================================================
+
+    /**
+     * Reload into the new version
+     * Settings, device data and sign-in stay in localStorage; only the Cache API
+     * (where stale app files live) and sessionStorage are cleared
+     * @param {Object} update - Update info (see class comment)
+     */
+    async performUpdate(update) {
+        if (this.isUpdating) return;
+        this.isUpdating = true;
+
+        logger.info(`Updating to version ${update.version}...`);
+
+        this.clearScheduled();
+        window.heartbeatService?.stopHeartbeat();
+
+        // Asleep: keep the screen dark
+        if (!AppStateManager.isSleeping()) {
+            window.modals?.showUpdating(update.version);
+        }
+
+        await this.clearCodeCaches();
+
+        setTimeout(() => {
+            window.location.href = this.getReloadUrl(update.url);
+        }, 1500);
+    }
+
+    /**
+     * @private
+     */
+    async clearCodeCaches() {
+        // Cache API (if available - not on all Fire TV browsers)
+        if ('caches' in window) {
+            try {
+                const cacheNames = await caches.keys();
+                await Promise.all(cacheNames.map(cacheName => caches.delete(cacheName)));
+                logger.debug(`Cleared ${cacheNames.length} caches from Cache API`);
+            } catch (error) {
+                logger.warn('Cache API clearing failed (may not be supported)', error);
+            }
+        }
+
+        try {
+            sessionStorage.clear();
+        } catch (error) {
+            // Ignore sessionStorage errors
+        }
+    }
+
+    /**
+     * Cache-busting URL for the version (timestamp forces a fresh fetch)
+     * @private
+     * @param {string|null} url - Same-site path the version is served from (null = site root)
+     * @returns {string}
+     */
+    getReloadUrl(url) {
+        const target = new URL(url || '/', window.location.origin);
+
+        if (target.origin !== window.location.origin) {
+            // Another origin would lose localStorage (settings, sign-in)
+            logger.warn('Ignoring release URL on another site', { url });
+            return `/?v=${Date.now()}${window.location.hash}`;
+        }
+
+        target.searchParams.set('v', Date.now());
+        target.hash = window.location.hash;
+        return target.toString();
+    }
+
+    /**
+     * Cleanup - stop timers and remove subscriptions
+     */
+    destroy() {
+        clearTimeout(this.sleepTimer);
+        this.sleepTimer = null;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+// Export singleton instance
+export const appUpdate = new AppUpdateService();
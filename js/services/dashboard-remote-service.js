@@ -0,0 +1,288 @@
+// js/services/dashboard-remote-service.js
+// Remote control of dashboards from the phone, over the per-user Supabase broadcast channel
+// The phone sends commands; each dashboard runs the ones addressed to it and acknowledges them
+
+import { createLogger } from '../utils/logger.js';
+import AppComms from '../core/app-comms.js';
+import widgetMessenger from '../core/widget-messenger.js';
+import DashieModal from '../utils/dashie-modal.js';
+import realtimeClient from '../data/services/realtime-broadcast-client.js';
+import heartbeatService from '../data/services/heartbeat-service.js';
+import { parseThemeId, buildThemeId, isValidThemeFamily, isValidThemeMode } from '../ui/themes/theme-registry.js';
+import {
+    BINDABLE_ACTIONS,
+    REMOTE_COMMAND_TIMEOUT_MS,
+    REMOTE_MESSAGE_MAX_LENGTH,
+    REMOTE_CALENDAR_VIEWS
+} from '../../config.js';
+
+const logger = createLogger('DashboardRemote');
+
+const COMMAND_EVENT = 'dashboard-command';
+const ACK_EVENT = 'dashboard-command-ack';
+
+/**
+ * DashboardRemoteService
+ * Shares the user_settings_<userId> broadcast channel with SettingsService sync
+ * (a private channel - only the signed-in account can send commands on it)
+ *
+ * Messages:
+ * - dashboard-command:     { id, dashboard_id, command, args, sentAt }
+ *                          dashboard_id is a dashboard_heartbeats id, or 'all'
+ * - dashboard-command-ack: { id, dashboard_id, dashboard_name, success, error }
+ *
+ * Commands:
+ * - sleep / wake:          Same as the sleep/wake key
+ * - refresh-calendar:      Reload calendar data now
+ * - calendar-view:         { view } - One of REMOTE_CALENDAR_VIEWS
+ * - show-message:          { text, from } - Wakes the dashboard and shows the text in a modal
+ * - set-theme:             { theme } - Theme id (e.g. 'halloween-dark'), saved like a theme
+ *                          picked in Settings on that dashboard (shared unless it has its own)
+ * - action:                { action } - A BINDABLE_ACTIONS id, routed like a key press
+ */
+export class DashboardRemoteService {
+    constructor() {
+        this.channel = null;
+        this.userId = null;
+        this.receiving = false;
+        this.pending = new Map(); // command id → { acks, expected, resolve, timer }
+    }
+
+    /**
+     * Join the user's broadcast channel
+     * @param {Object} options
+     * @param {string} options.userId - Authenticated user id
+     * @param {boolean} [options.receiveCommands=false] - Run commands sent to this dashboard (not on the phone)
+     */
+    initialize({ userId, receiveCommands = false }) {
+        if (!userId || !realtimeClient.isConfigured()) {
+            logger.warn('Dashboard remote disabled - missing userId or realtime client');
+            return;
+        }
+
+        this.userId = userId;
+        this.receiving = receiveCommands;
+
+        this.channel = realtimeClient
+            .channel(`user_settings_${userId}`)
+            .on('broadcast', { event: ACK_EVENT }, (message) => this.handleAck(message.payload));
+
+        if (receiveCommands) {
+            this.channel.on('broadcast', { event: COMMAND_EVENT }, (message) => this.handleCommand(message.payload));
+        }
+
+        this.channel.subscribe();
+
+        logger.success('Dashboard remote initialized', { receiveCommands });
+    }
+
+    // =========================================================================
+    // SENDING (phone)
+    // =========================================================================
+
+    /**
+     * Send a command and wait for acknowledgements
+     * @param {string} dashboardId - dashboard_heartbeats id, or 'all'
+     * @param {string} command - Command name (see class comment)
+     * @param {Object} [args={}] - Command arguments
+     * @param {number} [expected=1] - Acks to wait for (online dashboards for 'all')
+     * @returns {Promise<Array<Object>>} Acks received before all arrived or the timeout
+     */
+    async sendCommand(dashboardId, command, args = {}, expected = 1) {
+        if (!this.channel) {
+            throw new Error('Dashboard remote not initialized');
+        }
+
+        // Household viewers can't control the dashboards (the channel refuses their commands too)
+        if (window.householdService && !window.householdService.canEdit()) {
+            throw new Error('Viewers cannot control the dashboards');
+        }
+
+        const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+        const acks = new Promise((resolve) => {
+            const timer = setTimeout(() => this.finishCommand(id), REMOTE_COMMAND_TIMEOUT_MS);
+            this.pending.set(id, { acks: [], expected: Math.max(1, expected), resolve, timer });
+        });
+
+        const status = await this.channel.send({
+            type: 'broadcast',
+            event: COMMAND_EVENT,
+            payload: { id, dashboard_id: dashboardId, command, args, sentAt: Date.now() }
+        });
+
+        if (status !== 'ok') {
+            this.finishCommand(id);
+            throw new Error('Could not reach your dashboards');
+        }
+
+        logger.info('Command sent', { command, dashboardId });
+        return acks;
+    }
+
+    /**
+     * @private
+     */
+    handleAck(ack) {
+        const pending = this.pending.get(ack?.id);
+        if (!pending) return;
+
+        pending.acks.push(ack);
+        logger.debug('Command acknowledged', ack);
+
+        if (pending.acks.length >= pending.expected) {
+            this.finishCommand(ack.id);
+        }
+    }
+
+    /**
+     * @private
+     */
+    finishCommand(id) {
+        const pending = this.pending.get(id);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pending.delete(id);
+        pending.resolve(pending.acks);
+    }
+
+    // =========================================================================
+    // RECEIVING (dashboard)
+    // =========================================================================
+
+    /**
+     * Run a command if it's addressed to this dashboard, then acknowledge it
+     * @private
+     */
+    async handleCommand(message) {
+        const { id, dashboard_id: target, command, args = {} } = message || {};
+        if (!id || !command) return;
+
+        const dashboardId = heartbeatService.dashboardId;
+        if (target !== 'all' && (!dashboardId || target !== dashboardId)) return;
+
+        logger.info('Remote command received', { command, args });
+
+        let success = true;
+        let error = null;
+
+        try {
+            await this.executeCommand(command, args);
+        } catch (err) {
+            success = false;
+            error = err.message;
+            logger.warn('Remote command failed', { command, error });
+        }
+
+        await this.channel.send({
+            type: 'broadcast',
+            event: ACK_EVENT,
+            payload: {
+                id,
+                dashboard_id: dashboardId,
+                dashboard_name: heartbeatService.getDashboardName(),
+                success,
+                error
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    async executeCommand(command, args) {
+        switch (command) {
+            case 'sleep':
+                AppComms.publish('system:sleep-requested', {});
+                break;
+
+            case 'wake':
+                AppComms.publish('system:wake-requested', {});
+                break;
+
+            case 'refresh-calendar': {
+                const { getWidgetDataManager } = await import('../core/widget-data-manager.js');
+                await getWidgetDataManager().refreshCalendarData();
+                break;
+            }
+
+            case 'calendar-view':
+                if (!REMOTE_CALENDAR_VIEWS.some(view => view.id === args.view)) {
+                    throw new Error(`Unknown calendar view: ${args.view}`);
+                }
+                widgetMessenger.sendCommandToWidget('main', 'menu-item-selected', { itemId: args.view });
+                break;
+
+            case 'show-message': {
+                const text = String(args.text || '').trim().slice(0, REMOTE_MESSAGE_MAX_LENGTH);
+                if (!text) {
+                    throw new Error('Message is empty');
+                }
+                const from = String(args.from || '').trim().slice(0, 40);
+                AppComms.publish('system:wake-requested', {});
+                DashieModal.info(from ? `Message from ${from}` : 'Message', text);
+                break;
+            }
+
+            case 'set-theme':
+                await this.setTheme(args.theme);
+                break;
+
+            case 'action':
+                if (!BINDABLE_ACTIONS.some(action => action.id === args.action)) {
+                    throw new Error(`Unknown action: ${args.action}`);
+                }
+                AppComms.publish('input:action', {
+                    action: args.action,
+                    originalEvent: null,
+                    timestamp: Date.now()
+                });
+                break;
+
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async setTheme(themeId) {
+        const parsed = parseThemeId(themeId);
+        if (!parsed || !isValidThemeFamily(parsed.family) || !isValidThemeMode(parsed.mode)) {
+            throw new Error(`Unknown theme: ${themeId}`);
+        }
+
+        if (!window.settingsStore) {
+            throw new Error('Settings not loaded');
+        }
+
+        const theme = buildThemeId(parsed.family, parsed.mode);
+        window.settingsStore.set('interface.themeFamily', parsed.family);
+        window.settingsStore.set('interface.themeMode', parsed.mode);
+        window.settingsStore.set('interface.theme', theme);
+
+        if (window.themeApplier) {
+            window.themeApplier.applyTheme(theme, true);
+        }
+
+        await window.settingsStore.save(false);
+    }
+
+    /**
+     * Leave the broadcast channel
+     */
+    close() {
+        this.pending.forEach((_, id) => this.finishCommand(id));
+
+        if (this.channel) {
+            this.channel.unsubscribe();
+            this.channel = null;
+            logger.info('Dashboard remote closed');
+        }
+    }
+}
+
+// Export singleton instance
+export const dashboardRemote = new DashboardRemoteService();
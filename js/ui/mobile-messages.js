@@ -0,0 +1,185 @@
+// js/ui/mobile-messages.js
+// Phone message board: post notes to every dashboard and dismiss them
+// Notes are stored and pushed to the dashboards by MessageService
+
+import { createLogger } from '../utils/logger.js';
+import AppComms from '../core/app-comms.js';
+import { MESSAGE_PRIORITIES, MESSAGE_EXPIRY_OPTIONS, MESSAGE_MAX_LENGTH } from '../../config.js';
+
+const logger = createLogger('MobileMessages');
+
+/**
+ * Show the message board on the mobile landing page
+ * Needs window.messageService (set during service initialization)
+ */
+export function initializeMobileMessages() {
+  const container = document.getElementById('mobile-messages');
+
+  if (!container || !window.messageService) {
+    logger.debug('Mobile message board unavailable (no container or message service)');
+    return;
+  }
+
+  container.innerHTML = renderForm();
+  container.style.display = '';
+  document.getElementById('mobile-container')?.classList.add('remote-active');
+
+  container.addEventListener('click', handleClick);
+
+  renderList(window.messageService.getMessages());
+  AppComms.subscribe(AppComms.events.MESSAGES_UPDATED, ({ messages }) => renderList(messages));
+
+  logger.success('Mobile message board initialized');
+}
+
+/**
+ * @private
+ */
+async function handleClick(event) {
+  const button = event.target.closest('button');
+  if (!button || button.disabled) return;
+
+  if (button.hasAttribute('data-message-post')) {
+    await postMessage(button);
+    return;
+  }
+
+  const messageId = button.dataset.messageDismiss;
+  if (messageId) {
+    button.disabled = true;
+    try {
+      await window.messageService.dismiss(messageId);
+    } catch (error) {
+      logger.error('Failed to dismiss message', error);
+      button.disabled = false;
+      setStatus('Could not dismiss the note', 'error');
+    }
+  }
+}
+
+/**
+ * @private
+ */
+async function postMessage(button) {
+  const input = document.getElementById('mobile-messages-text');
+  const text = input.value.trim();
+
+  if (!text) {
+    setStatus('Type a note first', 'error');
+    return;
+  }
+
+  button.disabled = true;
+  setStatus('Posting…');
+
+  try {
+    await window.messageService.post({
+      text,
+      priority: document.getElementById('mobile-messages-priority').value,
+      expiresInMinutes: parseInt(document.getElementById('mobile-messages-expiry').value, 10),
+      authorName: window.sessionManager?.getUser()?.name?.split(' ')[0] || null
+    });
+
+    input.value = '';
+    setStatus('Posted to your dashboards', 'success');
+  } catch (error) {
+    logger.error('Failed to post message', error);
+    setStatus('Could not post the note', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * @private
+ * @param {Array<Object>} messages - Active notes (MessageService)
+ */
+function renderList(messages) {
+  const list = document.getElementById('mobile-messages-list');
+  if (!list) return;
+
+  list.innerHTML = '';
+
+  messages.forEach(message => {
+    const item = document.createElement('div');
+    item.className = `mobile-messages__item mobile-messages__item--${message.priority}`;
+
+    const text = document.createElement('div');
+    text.className = 'mobile-messages__item-text';
+    text.textContent = message.text;
+
+    const meta = document.createElement('div');
+    meta.className = 'mobile-messages__item-meta';
+    meta.textContent = [
+      message.author_name,
+      message.expires_at ? `until ${formatTime(message.expires_at)}` : null
+    ].filter(Boolean).join(' · ');
+
+    const dismiss = document.createElement('button');
+    dismiss.className = 'mobile-remote__button mobile-remote__button--icon';
+    dismiss.dataset.messageDismiss = message.id;
+    dismiss.setAttribute('aria-label', 'Dismiss note');
+    dismiss.textContent = '✕';
+
+    const body = document.createElement('div');
+    body.className = 'mobile-messages__item-body';
+    body.append(text, meta);
+
+    item.append(body, dismiss);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * @private
+ */
+function setStatus(message, type = '') {
+  const status = document.getElementById('mobile-messages-status');
+  if (!status) return;
+
+  status.textContent = message;
+  status.className = `mobile-remote__status${type ? ` mobile-remote__status--${type}` : ''}`;
+}
+
+/**
+ * @private
+ * @param {string} isoDate - Expiry timestamp
+ * @returns {string} e.g. "6:30 PM" today, "Tue 6:30 PM" otherwise
+ */
+function formatTime(isoDate) {
+  const date = new Date(isoDate);
+  const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  return date.toDateString() === new Date().toDateString()
+    ? time
+    : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+}
+
+/**
+ * @private
+ * @returns {string} Message board HTML
+ */
+function renderForm() {
+  const priorityOptions = MESSAGE_PRIORITIES
+    .map(({ id, label }) => `<option value="${id}">${label}</option>`)
+    .join('');
+
+  const expiryOptions = MESSAGE_EXPIRY_OPTIONS
+    .map(({ minutes, label }) => `<option value="${minutes}">${label}</option>`)
+    .join('');
+
+  return `
+    <div class="mobile-remote__section-title">Notes</div>
+    <div class="mobile-remote__row">
+      <input id="mobile-messages-text" class="mobile-remote__input" type="text"
+             maxlength="${MESSAGE_MAX_LENGTH}" placeholder="Leave a note on every dashboard">
+    </div>
+    <div class="mobile-remote__row">
+      <select id="mobile-messages-priority" class="mobile-remote__select" aria-label="Priority">${priorityOptions}</select>
+      <select id="mobile-messages-expiry" class="mobile-remote__select" aria-label="Show for">${expiryOptions}</select>
+      <button class="mobile-remote__button mobile-remote__button--icon" data-message-post>Post</button>
+    </div>
+    <div id="mobile-messages-status" class="mobile-remote__status"></div>
+    <div id="mobile-messages-list" class="mobile-messages__list"></div>
+  `;
+}
@@ -0,0 +1,235 @@
+// js/ui/mobile-remote.js
+// Phone remote control for the account's dashboards
+// Lists dashboards from heartbeats and sends commands through DashboardRemoteService
+
+import { createLogger } from '../utils/logger.js';
+import { getAllThemeFamilies, THEME_MODES, buildThemeId } from './themes/theme-registry.js';
+import { REMOTE_CALENDAR_VIEWS, REMOTE_MESSAGE_MAX_LENGTH } from '../../config.js';
+
+const logger = createLogger('MobileRemote');
+
+// Other dashboards on the account (this phone's own heartbeat row is left out)
+let dashboards = [];
+
+/**
+ * Show the remote on the mobile landing page
+ * Needs window.dashboardRemote and window.heartbeatService (set during core initialization)
+ */
+export async function initializeMobileRemote() {
+  const container = document.getElementById('mobile-remote');
+
+  if (!container || !window.dashboardRemote?.channel || !window.heartbeatService) {
+    logger.debug('Mobile remote unavailable (no container, remote service or heartbeat service)');
+    return;
+  }
+
+  if (window.householdService && !window.householdService.canEdit()) {
+    logger.debug('Mobile remote hidden for household viewers');
+    return;
+  }
+
+  container.innerHTML = renderRemote();
+  container.style.display = '';
+  document.getElementById('mobile-container')?.classList.add('remote-active');
+
+  container.addEventListener('click', handleClick);
+
+  await loadDashboards();
+  logger.success('Mobile remote initialized');
+}
+
+/**
+ * Fill the target picker with the account's dashboards
+ * @private
+ */
+async function loadDashboards() {
+  const select = document.getElementById('mobile-remote-target');
+
+  try {
+    const all = await window.heartbeatService.listDashboards();
+    dashboards = all.filter(dashboard => !dashboard.is_current);
+  } catch (error) {
+    logger.error('Failed to load dashboards', error);
+    setStatus('Could not load your dashboards', 'error');
+    return;
+  }
+
+  const selected = select.value;
+  select.innerHTML = '';
+  select.appendChild(new Option('All dashboards', 'all'));
+
+  dashboards.forEach(dashboard => {
+    const name = dashboard.dashboard_name || 'Dashboard';
+    select.appendChild(new Option(dashboard.is_online ? name : `${name} (offline)`, dashboard.id));
+  });
+
+  select.value = dashboards.some(dashboard => dashboard.id === selected) ? selected : 'all';
+
+  const online = dashboards.filter(dashboard => dashboard.is_online).length;
+  if (dashboards.length === 0) {
+    setStatus('No dashboards on this account yet', 'error');
+  } else {
+    setStatus(`${online} of ${dashboards.length} dashboard${dashboards.length === 1 ? '' : 's'} online`);
+  }
+
+  logger.debug('Dashboards loaded', { count: dashboards.length, online });
+}
+
+/**
+ * @private
+ */
+function handleClick(event) {
+  const button = event.target.closest('button');
+  if (!button || button.disabled) return;
+
+  if (button.hasAttribute('data-remote-refresh')) {
+    loadDashboards();
+    return;
+  }
+
+  if (button.hasAttribute('data-remote-theme')) {
+    sendCommand('set-theme', { theme: document.getElementById('mobile-remote-theme').value });
+    return;
+  }
+
+  if (button.hasAttribute('data-remote-message')) {
+    const input = document.getElementById('mobile-remote-message');
+    const text = input.value.trim();
+
+    if (!text) {
+      setStatus('Type a message first', 'error');
+      return;
+    }
+
+    const from = window.sessionManager?.getUser()?.name?.split(' ')[0] || '';
+    sendCommand('show-message', { text, from }).then(success => {
+      if (success) input.value = '';
+    });
+    return;
+  }
+
+  const { command, value } = button.dataset;
+  if (!command) return;
+
+  const args = command === 'action' ? { action: value }
+    : command === 'calendar-view' ? { view: value }
+    : {};
+
+  sendCommand(command, args);
+}
+
+/**
+ * Send a command to the picked dashboard(s) and show how it went
+ * @private
+ * @returns {Promise<boolean>} True if every dashboard that answered ran it
+ */
+async function sendCommand(command, args) {
+  const target = document.getElementById('mobile-remote-target').value;
+  const expected = target === 'all'
+    ? dashboards.filter(dashboard => dashboard.is_online).length
+    : 1;
+
+  if (expected === 0) {
+    setStatus('No dashboards online', 'error');
+    return false;
+  }
+
+  setStatus('Sending…');
+
+  try {
+    const acks = await window.dashboardRemote.sendCommand(target, command, args, expected);
+    const failed = acks.filter(ack => !ack.success);
+
+    if (acks.length === 0) {
+      setStatus('No answer - is the dashboard on?', 'error');
+      return false;
+    }
+
+    if (failed.length > 0) {
+      setStatus(`${failed[0].dashboard_name}: ${failed[0].error}`, 'error');
+      return false;
+    }
+
+    setStatus(expected > 1
+      ? `Done on ${acks.length} of ${expected} dashboards`
+      : `Done on ${acks[0].dashboard_name}`, 'success');
+    return true;
+  } catch (error) {
+    logger.error('Remote command failed', { command, error: error.message });
+    setStatus(error.message, 'error');
+    return false;
+  }
+}
+
+/**
+ * @private
+ * @param {string} message - Status text
+ * @param {string} [type] - 'success' or 'error'
+ */
+function setStatus(message, type = '') {
+  const status = document.getElementById('mobile-remote-status');
+  if (!status) return;
+
+  status.textContent = message;
+  status.className = `mobile-remote__status${type ? ` mobile-remote__status--${type}` : ''}`;
+}
+
+/**
+ * @private
+ * @returns {string} Remote HTML
+ */
+function renderRemote() {
+  const themeOptions = getAllThemeFamilies()
+    .flatMap(family => THEME_MODES.map(mode => {
+      const label = `${family.name} ${mode === 'dark' ? 'Dark' : 'Light'}`;
+      return `<option value="${buildThemeId(family.id, mode)}">${label}</option>`;
+    }))
+    .join('');
+
+  const viewButtons = REMOTE_CALENDAR_VIEWS
+    .map(({ id, label }) => `<button class="mobile-remote__button" data-command="calendar-view" data-value="${id}">${label}</button>`)
+    .join('');
+
+  return `
+    <div class="mobile-remote__row">
+      <select id="mobile-remote-target" class="mobile-remote__select" aria-label="Dashboard">
+        <option value="all">All dashboards</option>
+      </select>
+      <button class="mobile-remote__button mobile-remote__button--icon" data-remote-refresh aria-label="Refresh dashboards">↻</button>
+    </div>
+    <div id="mobile-remote-status" class="mobile-remote__status"></div>
+
+    <div class="mobile-remote__dpad">
+      <button class="mobile-remote__button mobile-remote__dpad-up" data-command="action" data-value="up" aria-label="Up">▲</button>
+      <button class="mobile-remote__button mobile-remote__dpad-left" data-command="action" data-value="left" aria-label="Left">◀</button>
+      <button class="mobile-remote__button mobile-remote__dpad-ok" data-command="action" data-value="enter">OK</button>
+      <button class="mobile-remote__button mobile-remote__dpad-right" data-command="action" data-value="right" aria-label="Right">▶</button>
+      <button class="mobile-remote__button mobile-remote__dpad-down" data-command="action" data-value="down" aria-label="Down">▼</button>
+    </div>
+    <div class="mobile-remote__row">
+      <button class="mobile-remote__button" data-command="action" data-value="escape">Back</button>
+      <button class="mobile-remote__button" data-command="action" data-value="menu">Menu</button>
+    </div>
+    <div class="mobile-remote__row">
+      <button class="mobile-remote__button" data-command="sleep">Sleep</button>
+      <button class="mobile-remote__button" data-command="wake">Wake</button>
+      <button class="mobile-remote__button" data-command="refresh-calendar">Refresh</button>
+    </div>
+
+    <div class="mobile-remote__section-title">Calendar View</div>
+    <div class="mobile-remote__row mobile-remote__row--wrap">${viewButtons}</div>
+
+    <div class="mobile-remote__section-title">Theme</div>
+    <div class="mobile-remote__row">
+      <select id="mobile-remote-theme" class="mobile-remote__select" aria-label="Theme">${themeOptions}</select>
+      <button class="mobile-remote__button" data-remote-theme>Apply</button>
+    </div>
+
+    <div class="mobile-remote__section-title">Message</div>
+    <div class="mobile-remote__row">
+      <input id="mobile-remote-message" class="mobile-remote__input" type="text"
+             maxlength="${REMOTE_MESSAGE_MAX_LENGTH}" placeholder="Show a message on the dashboard">
+      <button class="mobile-remote__button" data-remote-message>Send</button>
+    </div>
+  `;
+}
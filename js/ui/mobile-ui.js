@@ -2,6 +2,8 @@
 // Mobile UI helper functions for phone/tablet responsive interface
 
 import { createLogger } from '../utils/logger.js';
+import { initializeMobileRemote } from './mobile-remote.js';
+import { initializeMobileMessages } from './mobile-messages.js';
 
 const logger = createLogger('MobileUI');
 
@@ -272,6 +274,12 @@ export async function initializeMobileUI() {
     logoutBtn.disabled = false;
   }
 
+  // Remote control for the account's dashboards
+  await initializeMobileRemote();
+
+  // Family message board notes
+  initializeMobileMessages();
+
   logger.success('Mobile UI initialized');
 }
 
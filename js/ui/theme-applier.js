@@ -4,6 +4,7 @@
 
 import { createLogger } from '../utils/logger.js';
 import AppComms from '../core/app-comms.js';
+import widgetProtocol from '../core/widget-protocol.js';
 import {
   DEFAULT_THEME_ID,
   getTheme,
@@ -198,10 +199,10 @@ class ThemeApplier {
     const widgetIframes = document.querySelectorAll('.widget-iframe');
     widgetIframes.forEach(iframe => {
       if (iframe.contentWindow) {
-        iframe.contentWindow.postMessage({
+        widgetProtocol.post(iframe.contentWindow, {
           type: 'theme-change',
           theme: theme
-        }, '*');
+        });
       }
     });
 
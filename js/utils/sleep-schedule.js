@@ -0,0 +1,188 @@
+// js/utils/sleep-schedule.js
+// Sleep schedule format and pure schedule helpers (no timers, no DOM)
+// v1.0 - 10/19/26 - Initial implementation (weekday/weekend windows, vacation range)
+// v1.1 - 10/19/26 - Ambient sleep screen settings
+// v1.2 - 10/19/26 - getNextSleepStart (scheduled app updates)
+
+import {
+  DEFAULT_SLEEP_TIME,
+  DEFAULT_WAKE_TIME,
+  SLEEP_SCHEDULE_DAY_TYPES,
+  AMBIENT_BRIGHTNESS_OPTIONS,
+  DEFAULT_AMBIENT_SETTINGS
+} from '../../config.js';
+
+/**
+ * Schedule Format (interface.sleepSchedule)
+ *
+ *   {
+ *     weekday: [{ sleep: '22:00', wake: '07:00' }, { sleep: '09:00', wake: '15:00' }],
+ *     weekend: [{ sleep: '23:00', wake: '08:30' }]
+ *   }
+ *
+ * - Times are 24-hour "HH:MM" in local time
+ * - A window belongs to the day it starts on; if wake is not after sleep it runs
+ *   overnight (Friday's 22:00 → 07:00 window ends Saturday morning)
+ * - A day type with no windows never sleeps on schedule
+ *
+ * Vacation (interface.vacation): { start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' },
+ * asleep all day on both dates and every date between.
+ *
+ * Settings saved before schedules existed only have interface.sleepTime/wakeTime;
+ * getSleepSchedule() turns those into one window for every day.
+ */
+
+/**
+ * Sleep schedule from settings (falls back to sleepTime/wakeTime for every day)
+ * @param {Object} settingsStore - Settings store ({ get(path) })
+ * @returns {{weekday: Array<{sleep: string, wake: string}>, weekend: Array<{sleep: string, wake: string}>}} New object
+ */
+export function getSleepSchedule(settingsStore) {
+  const saved = settingsStore?.get('interface.sleepSchedule');
+
+  if (isValidSchedule(saved)) {
+    return Object.fromEntries(SLEEP_SCHEDULE_DAY_TYPES.map(dayType => [
+      dayType,
+      saved[dayType].filter(isValidWindow).map(window => ({ ...window }))
+    ]));
+  }
+
+  const window = {
+    sleep: settingsStore?.get('interface.sleepTime') || DEFAULT_SLEEP_TIME,
+    wake: settingsStore?.get('interface.wakeTime') || DEFAULT_WAKE_TIME
+  };
+
+  return Object.fromEntries(SLEEP_SCHEDULE_DAY_TYPES.map(dayType => [dayType, [{ ...window }]]));
+}
+
+/**
+ * Day type for a date
+ * @param {Date} date - Date
+ * @returns {'weekday'|'weekend'}
+ */
+export function getDayType(date) {
+  const day = date.getDay();
+  return day === 0 || day === 6 ? 'weekend' : 'weekday';
+}
+
+/**
+ * Whether a schedule window covers a moment
+ * @param {Object} schedule - Sleep schedule
+ * @param {Date} date - Moment to check (default now)
+ * @returns {boolean}
+ */
+export function isInSleepWindow(schedule, date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  const yesterday = new Date(date);
+  yesterday.setDate(date.getDate() - 1);
+
+  // Windows that started today
+  const today = (schedule[getDayType(date)] || []).some(window => {
+    const sleep = toMinutes(window.sleep);
+    const wake = toMinutes(window.wake);
+    return wake > sleep
+      ? minutes >= sleep && minutes < wake
+      : minutes >= sleep;
+  });
+
+  // Overnight windows that started yesterday
+  const overnight = (schedule[getDayType(yesterday)] || []).some(window => {
+    const sleep = toMinutes(window.sleep);
+    const wake = toMinutes(window.wake);
+    return wake <= sleep && minutes < wake;
+  });
+
+  return today || overnight;
+}
+
+/**
+ * When the next schedule window starts
+ * @param {Object} schedule - Sleep schedule
+ * @param {Date} date - Moment to search from (default now)
+ * @returns {Date|null} Start of the first window after date (within a week), or null if none
+ */
+export function getNextSleepStart(schedule, date = new Date()) {
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+
+    const starts = (schedule[getDayType(day)] || [])
+      .map(window => toMinutes(window.sleep))
+      .sort((a, b) => a - b)
+      .map(minutes => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes));
+
+    const next = starts.find(start => start > date);
+    if (next) return next;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a date falls in the vacation range
+ * @param {Object|null} vacation - { start, end } date keys
+ * @param {Date} date - Date to check (default now)
+ * @returns {boolean}
+ */
+export function isVacationDay(vacation, date = new Date()) {
+  if (!vacation?.start || !vacation?.end) return false;
+
+  const key = toDateKey(date);
+  return key >= vacation.start && key <= vacation.end;
+}
+
+/**
+ * Local date as 'YYYY-MM-DD' (sorts and compares as a string)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a 'YYYY-MM-DD' key as a local date
+ * @param {string} key - Date key
+ * @returns {Date}
+ */
+export function fromDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Ambient sleep screen settings (interface.ambient) with defaults for missing values
+ * @param {Object} settingsStore - Settings store ({ get(path) })
+ * @returns {{enabled: boolean, clock: boolean, nextEvent: boolean, weather: boolean, photos: boolean, brightness: number}} New object
+ */
+export function getAmbientSettings(settingsStore) {
+  const saved = settingsStore?.get('interface.ambient') || {};
+  const settings = { ...DEFAULT_AMBIENT_SETTINGS };
+
+  Object.keys(settings).forEach(key => {
+    if (typeof saved[key] === typeof settings[key]) {
+      settings[key] = saved[key];
+    }
+  });
+
+  if (!AMBIENT_BRIGHTNESS_OPTIONS.includes(settings.brightness)) {
+    settings.brightness = DEFAULT_AMBIENT_SETTINGS.brightness;
+  }
+
+  return settings;
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isValidWindow(window) {
+  return /^\d{2}:\d{2}$/.test(window?.sleep || '') && /^\d{2}:\d{2}$/.test(window?.wake || '');
+}
+
+function isValidSchedule(schedule) {
+  return !!schedule && SLEEP_SCHEDULE_DAY_TYPES.every(dayType => Array.isArray(schedule[dayType]));
+}
@@ -1,7 +1,11 @@
 // js/widgets/agenda/agenda-event.js - Event Modal for Agenda Widget
 // Displays detailed event information in a modal overlay
+// v1.3 - 10/19/26 - "Recurrence" row for recurring events (e.g. "Repeats weekly on Tue")
+// v1.2 - 10/19/26 - "Who" row listing the family members the event belongs to
+// v1.1 - 10/19/26 - Added Edit button that opens the shared event editor
 
 import { createLogger } from '/js/utils/logger.js';
+import { EventEditorModal } from '/js/widgets/shared/event-editor-modal.js';
 
 const logger = createLogger('AgendaEventModal');
 
@@ -11,6 +15,7 @@ export class AgendaEventModal {
     this.currentEvent = null;
     this.calendarColors = new Map();
     this.modalNavigation = null;
+    this.eventEditor = new EventEditorModal();
 
     logger.info('Agenda event modal initialized');
   }
@@ -75,6 +80,9 @@ export class AgendaEventModal {
       existingModal.remove();
     }
 
+    // Only offer editing when the event's calendar accepts writes
+    const canEdit = EventEditorModal.canEdit(this.currentEvent);
+
     // Create modal in parent window (outside iframe)
     const parentDoc = window.parent.document;
     const modal = parentDoc.createElement('div');
@@ -88,13 +96,14 @@ export class AgendaEventModal {
         <div class="modal-content" id="modalContent">
           <div class="modal-header">
             <h3 class="modal-title" id="modalTitle"></h3>
+            ${canEdit ? '<button class="modal-edit" id="modalEdit">Edit</button>' : ''}
             <button class="modal-close" id="modalClose">×</button>
           </div>
           <div class="modal-body" id="modalBody">
             <!-- Event details will be populated here -->
           </div>
           <div class="modal-footer">
-            <div class="modal-controls">Press Escape or Enter to close</div>
+            <div class="modal-controls">${canEdit ? '← Edit · ' : ''}Press Escape or Enter to close</div>
           </div>
         </div>
       </div>
@@ -114,6 +123,10 @@ export class AgendaEventModal {
       this.hideModal();
     });
 
+    modal.querySelector('#modalEdit')?.addEventListener('click', () => {
+      this.openEditor();
+    });
+
     parentDoc.body.appendChild(modal);
 
     // Set up modal navigation
@@ -130,11 +143,12 @@ export class AgendaEventModal {
       return;
     }
 
-    // Create modal navigation config
+    // Create modal navigation config (Edit sits left of Close when available)
+    const hasEdit = !!modal.querySelector('#modalEdit');
     const modalConfig = {
-      buttons: [{ id: 'modalClose' }],
-      horizontalNavigation: false,
-      initialFocus: 0,
+      buttons: hasEdit ? [{ id: 'modalEdit' }, { id: 'modalClose' }] : [{ id: 'modalClose' }],
+      horizontalNavigation: hasEdit,
+      initialFocus: hasEdit ? 1 : 0,
       onEscape: () => this.hideModal()
     };
 
@@ -153,6 +167,19 @@ export class AgendaEventModal {
     logger.debug('Event modal navigation set up with unified system');
   }
 
+  /**
+   * Close the details modal and open the editor for the current event
+   */
+  openEditor() {
+    const event = this.currentEvent;
+    if (!event) return;
+
+    logger.info('Opening event editor', { eventId: event.id });
+
+    this.hideModal();
+    this.eventEditor.openForEdit(event);
+  }
+
   addModalStyles(modal, parentDoc) {
     // Check if styles already exist in parent document
     const existingStyle = parentDoc.getElementById('agenda-event-modal-styles');
@@ -248,6 +275,24 @@ export class AgendaEventModal {
         box-shadow: 0 0 15px rgba(255, 170, 0, 0.5) !important;
       }
 
+      .modal-edit {
+        background: none;
+        border: 1px solid var(--text-muted, #666);
+        color: var(--text-secondary, #ccc);
+        font-size: 13px;
+        cursor: pointer;
+        padding: 4px 12px;
+        margin-right: 8px;
+        border-radius: 4px;
+      }
+
+      .modal-edit:focus {
+        outline: 3px solid #ffaa00 !important;
+        outline-offset: 2px;
+        box-shadow: 0 0 15px rgba(255, 170, 0, 0.5) !important;
+        color: var(--text-primary, #fff);
+      }
+
       .modal-body {
         padding: 20px;
       }
@@ -360,6 +405,16 @@ export class AgendaEventModal {
       </div>
     `;
 
+    // Recurrence - summary inferred by EventProcessor from the series' instances
+    if (event.recurrenceSummary) {
+      detailsHtml += `
+        <div class="event-detail-row">
+          <div class="event-detail-label">Recurrence:</div>
+          <div class="event-detail-value">${this.escapeHtml(event.recurrenceSummary)}</div>
+        </div>
+      `;
+    }
+
     // Calendar info - show all calendars if multi-calendar event
     if (event.calendars && event.calendars.length > 0) {
       const calendarsHtml = event.calendars.map(cal => `
@@ -392,6 +447,25 @@ export class AgendaEventModal {
       `;
     }
 
+    // Family members whose calendars the event is on
+    if (event.members?.length) {
+      const membersHtml = event.members.map(member => `
+        <div class="event-calendar-info" style="margin-bottom: 4px;">
+          <div class="event-calendar-dot" style="background-color: ${member.color || '#6b7280'}"></div>
+          <span>${member.emoji ? `${this.escapeHtml(member.emoji)} ` : ''}${this.escapeHtml(member.name || 'Family member')}</span>
+        </div>
+      `).join('');
+
+      detailsHtml += `
+        <div class="event-detail-row">
+          <div class="event-detail-label">Who:</div>
+          <div class="event-detail-value">
+            ${membersHtml}
+          </div>
+        </div>
+      `;
+    }
+
     // Location (if present)
     if (event.location && event.location.trim()) {
       detailsHtml += `
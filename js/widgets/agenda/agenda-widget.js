@@ -1,10 +1,13 @@
 // js/widgets/agenda/agenda-widget.js - Agenda Widget Implementation
 // Displays upcoming calendar events in a vertical list format
+// v2.2 - 10/19/26 - Recurring instances never merge with one-off events that share title/time
+// v2.1 - 10/19/26 - Family member avatars on events; optional member colour tint
 // v2.0 - 10/20/25 - Improved theme detection robustness
 
 import { createLogger } from '/js/utils/logger.js';
 import { AgendaEventModal } from './agenda-event.js';
 import { detectCurrentTheme, applyThemeToWidget } from '/js/widgets/shared/widget-theme-detector.js';
+import { applyFamilyMembers, renderMemberBadge } from '/js/widgets/shared/family-members.js';
 
 const logger = createLogger('AgendaWidget');
 
@@ -27,6 +30,9 @@ export class AgendaWidget {
     // Calendar color mapping
     this.calendarColors = new Map();
 
+    // Family members (sent with calendar data) for labelling events
+    this.family = { members: [], colorEventsByMember: false };
+
     // Initialize event modal
     this.eventModal = new AgendaEventModal();
 
@@ -66,6 +72,7 @@ export class AgendaWidget {
         this.handleCalendarData({
           events: event.data.payload.events || [],
           calendars: event.data.payload.calendars || [],
+          family: event.data.payload.family,
           lastUpdated: new Date().toISOString()
         });
         return;
@@ -197,7 +204,10 @@ export class AgendaWidget {
   handleCalendarData(data) {
     // Merge multi-calendar events (events on multiple calendars get combined)
     const rawEvents = data.events || [];
-    const mergedEvents = this.mergeMultiCalendarEvents(rawEvents);
+    if (data.family) {
+      this.family = data.family;
+    }
+    const mergedEvents = applyFamilyMembers(this.mergeMultiCalendarEvents(rawEvents), this.family);
 
     logger.debug('Event merge complete', {
       raw: rawEvents.length,
@@ -304,13 +314,15 @@ export class AgendaWidget {
    * Generate a unique identifier for an event
    * Based on event title, start time, and end time
    * This catches duplicates across different calendars/accounts
+   * Recurring instances and one-off events are kept apart (a series instance is not the same event)
    */
   generateEventIdentifier(event) {
     const title = (event.summary || '').toLowerCase().trim();
     const startTime = event.start?.dateTime || event.start?.date || '';
     const endTime = event.end?.dateTime || event.end?.date || '';
+    const kind = event.recurringEventId ? 'recurring' : 'single';
 
-    return `${title}::${startTime}::${endTime}`;
+    return `${title}::${startTime}::${endTime}::${kind}`;
   }
 
   renderAgenda() {
@@ -566,11 +578,16 @@ export class AgendaWidget {
       dotsHtml = `<div class="event-dots-container"><div class="event-dot" style="background-color: ${calendarColors.backgroundColor}"></div></div>`;
     }
 
+    const membersHtml = event.members?.length
+      ? `<div class="event-members">${event.members.map(member => renderMemberBadge(member, 'event-member-badge')).join('')}</div>`
+      : '';
+
     return `
       <div class="${eventClass}" data-event-id="${event.id}">
         <div class="event-time">${timeDisplay}</div>
         <div class="event-details">
           ${dotsHtml}
+          ${membersHtml}
           <div class="event-title">${this.escapeHtml(event.summary || 'No title')}</div>
         </div>
       </div>
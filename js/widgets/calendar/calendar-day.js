@@ -0,0 +1,52 @@
+// js/widgets/calendar/calendar-day.js - Day View Rendering Module
+// v1.0 - 10/19/26 - Single-day column with large type for across-the-room reading
+// CHANGE SUMMARY: N-day view fixed to one day; taller hours and larger text via #calendar[data-view="day"]
+
+import { createLogger } from '/js/utils/logger.js';
+import { CalendarNDay } from './calendar-nday.js';
+
+const logger = createLogger('CalendarDay');
+
+export class CalendarDay extends CalendarNDay {
+  constructor(calendars, settings = {}) {
+    super(calendars, settings, 1);
+
+    this.viewName = 'day';
+    this.hourHeight = 48; // pixels per hour (matches [data-view="day"] .hour-line height)
+
+    logger.debug('Day view created');
+  }
+
+  /**
+   * Full weekday name next to the date (there is room for it in a single column)
+   */
+  renderDayHeaders() {
+    const today = new Date();
+
+    return this.weekDates.map((date, index) => {
+      const isToday = date.toDateString() === today.toDateString();
+      const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
+      return `
+        <div class="day-header ${isToday ? 'today' : ''}" id="dayHeader${index}">
+          <div class="day-number">${date.getDate()}</div>
+          <div class="day-name">${dayName}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Title includes the weekday (e.g., "Monday, October 19")
+   */
+  getWeekTitle() {
+    if (this.weekDates.length === 0) return '';
+
+    const date = this.weekDates[0];
+    const options = { weekday: 'long', month: 'long', day: 'numeric' };
+    if (date.getFullYear() !== new Date().getFullYear()) {
+      options.year = 'numeric';
+    }
+
+    return date.toLocaleDateString('en-US', options);
+  }
+}
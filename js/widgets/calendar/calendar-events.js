@@ -1,5 +1,6 @@
 // js/widgets/calendar/calendar-events.js - Event Handling and Deduplication Module
 // Migrated from legacy dcal widget - Phase 4.5
+// v1.1 - 10/19/26 - Recurring instances never merge with one-off events that share title/time
 
 import { createLogger } from '/js/utils/logger.js';
 
@@ -162,13 +163,15 @@ export class CalendarEvents {
    * Based on event title, start time, and end time (not event ID or calendar ID)
    * This catches duplicates across different calendars/accounts
    * Uses lowercase title to handle case variations (e.g., "Birthday" vs "birthday")
+   * Recurring instances and one-off events are kept apart (a series instance is not the same event)
    */
   generateEventIdentifier(event) {
     const title = (event.summary || '').toLowerCase().trim();
     const startTime = event.start?.dateTime || event.start?.date || '';
     const endTime = event.end?.dateTime || event.end?.date || '';
+    const kind = event.recurringEventId ? 'recurring' : 'single';
 
-    return `${title}::${startTime}::${endTime}`;
+    return `${title}::${startTime}::${endTime}::${kind}`;
   }
 
   /**
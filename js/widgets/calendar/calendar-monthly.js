@@ -1,5 +1,7 @@
 // js/widgets/calendar/calendar-monthly.js - Monthly View Rendering Module
 // Migrated from legacy dcal widget - Phase 4.5
+// v1.2 - 10/19/26 - Optionally collapse a repeating all-day series on consecutive days into one spanning bar
+// v1.1 - 10/19/26 - Event colour prefers the event's own (member tint) over the calendar lookup
 // v1.0 - 10/10/25 7:15pm - Initial implementation for monthly calendar view
 // CHANGE SUMMARY: Created monthly view with CSS Grid, multi-day event spanning, up to 4 events per day
 
@@ -13,6 +15,7 @@ export class CalendarMonthly {
     this.currentDate = new Date();
     this.monthDates = []; // Array of 42 dates (6 weeks x 7 days)
     this.startWeekOn = settings.startWeekOn || 'sun'; // 'sun' or 'mon'
+    this.collapseRecurringAllDay = settings.collapseRecurringAllDay === true;
   }
 
   updateCalendars(calendars) {
@@ -45,6 +48,14 @@ export class CalendarMonthly {
     this.render();
   }
 
+  /**
+   * Toggle collapsing of repeating all-day series (takes effect on the next renderEvents)
+   * @param {boolean} enabled
+   */
+  setCollapseRecurringAllDay(enabled) {
+    this.collapseRecurringAllDay = enabled === true;
+  }
+
   /**
    * Calculate 6 weeks x 7 days grid for the month
    * Always shows 6 weeks to prevent height jumping between months
@@ -181,6 +192,10 @@ export class CalendarMonthly {
    * Render all-day events with multi-day spanning
    */
   renderAllDayEvents(allDayEvents) {
+    if (this.collapseRecurringAllDay) {
+      allDayEvents = this.collapseRecurringSeries(allDayEvents);
+    }
+
     // Group events by week
     const eventsByWeek = Array.from({ length: 6 }, () => []);
 
@@ -205,6 +220,53 @@ export class CalendarMonthly {
     });
   }
 
+  /**
+   * Merge all-day instances of the same series that fall on back-to-back days
+   * (e.g. a daily "School holiday" series) into one event spanning the run.
+   * Relies on seriesId set by EventProcessor; one-offs and gaps are left alone.
+   * @param {Array<Object>} allDayEvents
+   * @returns {Array<Object>} Events with consecutive series runs replaced by spanning copies
+   */
+  collapseRecurringSeries(allDayEvents) {
+    const result = [];
+    const runsBySeries = new Map(); // seriesId -> event copy for the run being extended
+
+    const sorted = [...allDayEvents].sort((a, b) => a.start.date.localeCompare(b.start.date));
+
+    sorted.forEach(event => {
+      if (!event.seriesId) {
+        result.push(event);
+        return;
+      }
+
+      const run = runsBySeries.get(event.seriesId);
+      // All-day end dates are inclusive (see EventProcessor.cleanEventData), so a
+      // run continues when the next instance starts the day after it ends
+      if (run && this.nextDateKey(run.end.date) === event.start.date) {
+        run.end = { ...run.end, date: event.end.date };
+        run.collapsedInstanceCount++;
+        return;
+      }
+
+      const copy = { ...event, end: { ...event.end }, collapsedInstanceCount: 1 };
+      runsBySeries.set(event.seriesId, copy);
+      result.push(copy);
+    });
+
+    return result;
+  }
+
+  /**
+   * Date key (YYYY-MM-DD) of the day after the given one
+   * @param {string} dateKey
+   * @returns {string}
+   */
+  nextDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const next = new Date(year, month - 1, day + 1);
+    return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-${String(next.getDate()).padStart(2, '0')}`;
+  }
+
   /**
    * Render timed events with time prefix
    */
@@ -348,9 +410,9 @@ export class CalendarMonthly {
   renderMonthEvent(weekElement, eventInfo, gridRow) {
     const { event, startDayIndex, spanDays, eventType } = eventInfo;
 
-    // Get calendar color
+    // Get event color (member tint when enabled), else calendar color
     const calendar = this.calendars.find(cal => cal.id === event.calendarId);
-    const backgroundColor = calendar?.backgroundColor || '#1976d2';
+    const backgroundColor = event.backgroundColor || calendar?.backgroundColor || '#1976d2';
 
     const eventElement = document.createElement('div');
     eventElement.className = `month-event ${eventType}`;
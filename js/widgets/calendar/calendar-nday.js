@@ -0,0 +1,116 @@
+// js/widgets/calendar/calendar-nday.js - N-Day View Rendering Module
+// v1.0 - 10/19/26 - Rolling 1-7 day view starting on the current date (not locked to the week start)
+// CHANGE SUMMARY: Reuses the weekly time grid; only date calculation, title and day count differ
+
+import { createLogger } from '/js/utils/logger.js';
+import { CalendarWeekly } from './calendar-weekly.js';
+
+const logger = createLogger('CalendarNDay');
+
+export const MIN_NDAY_COUNT = 1;
+export const MAX_NDAY_COUNT = 7;
+
+/**
+ * Parse an N-day view mode ('1'-'7') into a day count
+ * @param {string} viewMode - View mode ID
+ * @returns {number|null} Day count, or null if not an N-day mode
+ */
+export function parseNDayViewMode(viewMode) {
+  if (!/^\d$/.test(String(viewMode))) {
+    return null;
+  }
+
+  const dayCount = parseInt(viewMode, 10);
+  return dayCount >= MIN_NDAY_COUNT && dayCount <= MAX_NDAY_COUNT ? dayCount : null;
+}
+
+/**
+ * N-day view: the weekly time grid with a fixed number of columns that always
+ * starts on the current date. Left/right navigation moves by dayCount days.
+ */
+export class CalendarNDay extends CalendarWeekly {
+  constructor(calendars, settings = {}, dayCount = 3) {
+    super(calendars, settings);
+
+    this.dayCount = Math.min(MAX_NDAY_COUNT, Math.max(MIN_NDAY_COUNT, dayCount));
+
+    logger.debug('N-day view created', { dayCount: this.dayCount });
+  }
+
+  /**
+   * Rolling dates: currentDate plus the following (dayCount - 1) days
+   */
+  calculateWeekDates() {
+    const startDate = new Date(this.currentDate);
+    startDate.setHours(0, 0, 0, 0);
+
+    this.weekDates = [];
+    for (let i = 0; i < this.dayCount; i++) {
+      const date = new Date(startDate);
+      date.setDate(startDate.getDate() + i);
+      this.weekDates.push(date);
+    }
+  }
+
+  /**
+   * Focus today's column (or the first column when today isn't shown)
+   * Overrides the weekly fallback, which assumes 7 columns
+   */
+  setFocused(focused) {
+    this.isFocused = focused;
+
+    if (focused) {
+      const todayIndex = this.findTodayColumn();
+      this.focusedDayIndex = todayIndex >= 0 ? todayIndex : 0;
+      this.updateDayFocus();
+    } else {
+      this.focusedDayIndex = -1;
+      this.clearDayFocus();
+    }
+  }
+
+  /**
+   * Title with the actual date range (e.g., "Oct 19 - 21, 2026")
+   */
+  getWeekTitle() {
+    if (this.weekDates.length === 0) return '';
+
+    const startDate = this.weekDates[0];
+    const endDate = this.weekDates[this.weekDates.length - 1];
+
+    if (this.dayCount === 1) {
+      return startDate.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    }
+
+    const startMonth = startDate.toLocaleDateString('en-US', { month: 'short' });
+    const endMonth = endDate.toLocaleDateString('en-US', { month: 'short' });
+
+    if (startDate.getFullYear() !== endDate.getFullYear()) {
+      return `${startMonth} ${startDate.getDate()}, ${startDate.getFullYear()} - ${endMonth} ${endDate.getDate()}, ${endDate.getFullYear()}`;
+    }
+
+    if (startMonth === endMonth) {
+      return `${startMonth} ${startDate.getDate()} - ${endDate.getDate()}, ${endDate.getFullYear()}`;
+    }
+
+    return `${startMonth} ${startDate.getDate()} - ${endMonth} ${endDate.getDate()}, ${endDate.getFullYear()}`;
+  }
+
+  /**
+   * Update settings (day count is fixed per instance - the widget swaps renderers)
+   */
+  updateSettings(settings) {
+    const needsRerender = this.scrollTime !== (settings.scrollTime || 8);
+
+    this.startWeekOn = settings.startWeekOn || 'sun';
+    this.scrollTime = settings.scrollTime || 8;
+
+    if (needsRerender) {
+      this.userHasScrolled = false;
+      this.calculateWeekDates();
+      this.render();
+      this.setOptimalScrollPosition();
+      this.updateNowIndicator();
+    }
+  }
+}
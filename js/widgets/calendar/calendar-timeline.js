@@ -0,0 +1,461 @@
+// js/widgets/calendar/calendar-timeline.js - Timeline (Schedule) View Rendering Module
+// v1.1 - 10/19/26 - Lane labels show the member's avatar; members update live from calendar data
+// v1.0 - 10/19/26 - One horizontal lane per family member for a single day
+// CHANGE SUMMARY: Lanes from family.members calendar mapping (falls back to one lane per calendar); overlaps stack within a lane
+
+import { createLogger } from '/js/utils/logger.js';
+import { CalendarDay } from './calendar-day.js';
+import { groupOverlappingEvents } from './calendar-weekly.js';
+import { getEventCalendarIds, renderMemberBadge } from '/js/widgets/shared/family-members.js';
+
+const logger = createLogger('CalendarTimeline');
+
+const DEFAULT_VISIBLE_HOURS = 14; // Window shown when the day's events fit inside it
+const UNASSIGNED_LANE_ID = 'unassigned';
+
+/**
+ * Timeline view: time runs left to right, one lane per family member.
+ * Reuses the day view's date handling (left/right moves one day); UP/DOWN move the focused lane.
+ *
+ * Lanes come from settings.familyMembers ([{ id, name, color, calendarIds }], account-prefixed IDs).
+ * Events on calendars no member owns go to a shared "Family" lane. With no mapping at all,
+ * each calendar gets its own lane.
+ */
+export class CalendarTimeline extends CalendarDay {
+  constructor(calendars, settings = {}) {
+    super(calendars, settings);
+
+    this.viewName = 'timeline';
+    this.members = settings.familyMembers || [];
+    this.calendarData = null;
+    this.lanes = [];
+    this.focusedLaneIndex = -1;
+    this.startHour = 0;
+    this.endHour = 24;
+
+    logger.debug('Timeline view created', { members: this.members.length });
+  }
+
+  /**
+   * Build lanes (and the visible hour window) from current data, then render
+   */
+  render() {
+    const calendarContainer = document.getElementById('calendar');
+    if (!calendarContainer) return;
+
+    // Keep the monthly container - innerHTML below would otherwise destroy it
+    const monthGrid = calendarContainer.querySelector('.month-grid');
+
+    const dayEvents = this.getDayEvents();
+    this.lanes = this.buildLanes(dayEvents);
+    this.calculateVisibleHours(dayEvents);
+
+    calendarContainer.dataset.view = this.viewName;
+    calendarContainer.innerHTML = `
+      <div class="timeline">
+        <div class="timeline-header">
+          <div class="timeline-label-spacer"></div>
+          <div class="timeline-hours">${this.renderHourLabels()}</div>
+        </div>
+        <div class="timeline-lanes">
+          ${this.lanes.map((lane, index) => this.renderLane(lane, index)).join('')}
+        </div>
+      </div>
+    `;
+
+    if (monthGrid) {
+      calendarContainer.appendChild(monthGrid);
+    }
+
+    this.lanes.forEach((lane, index) => this.renderLaneEvents(lane, index));
+    this.setupSlotSelection();
+    this.updateNowIndicator();
+
+    if (this.isFocused) {
+      this.updateLaneFocus();
+    }
+  }
+
+  /**
+   * Events are laid out during render (lanes and hour window depend on them)
+   */
+  renderEvents(calendarData) {
+    if (!calendarData || !calendarData.events) {
+      logger.warn('No calendar data provided for rendering');
+      return;
+    }
+
+    this.calendarData = calendarData;
+    this.render();
+
+    logger.debug('Events rendered in timeline view', {
+      lanes: this.lanes.length,
+      eventCount: this.lanes.reduce((count, lane) => count + lane.timed.length + lane.allDay.length, 0)
+    });
+  }
+
+  /**
+   * Events that touch the displayed day, with minutes clamped to the day
+   * @private
+   * @returns {Array<Object>} { event, isAllDay, startMinutes, endMinutes, start, end }
+   */
+  getDayEvents() {
+    if (!this.calendarData?.events || this.weekDates.length === 0) return [];
+
+    const dayStart = new Date(this.weekDates[0]);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    const dayEvents = [];
+
+    this.calendarData.events.forEach(event => {
+      const isAllDay = !!(event.start?.date && !event.start?.dateTime);
+      const start = isAllDay ? this.parseAllDayDate(event.start.date) : new Date(event.start?.dateTime);
+      let end = isAllDay ? this.parseAllDayDate(event.end?.date || event.start.date) : new Date(event.end?.dateTime);
+
+      if (isNaN(start) || isNaN(end)) return;
+
+      // All-day end dates are the last day (EventProcessor makes them inclusive),
+      // so the event runs to the midnight after it - at least a full day
+      if (isAllDay) {
+        if (end < start) end = new Date(start);
+        end.setDate(end.getDate() + 1);
+      }
+
+      if (start >= dayEnd || end <= dayStart) return;
+
+      const startMinutes = Math.round((Math.max(start, dayStart) - dayStart) / 60000);
+      const endMinutes = Math.round((Math.min(end, dayEnd) - dayStart) / 60000);
+
+      dayEvents.push({
+        event,
+        isAllDay,
+        start,
+        end,
+        startMinutes,
+        endMinutes: Math.max(endMinutes, startMinutes + 15) // Keep zero-length events visible
+      });
+    });
+
+    return dayEvents;
+  }
+
+  /**
+   * Build lanes from the member → calendar mapping
+   * @private
+   * @param {Array<Object>} dayEvents - From getDayEvents()
+   * @returns {Array<Object>} { id, name, color, calendarIds: Set, timed: [], allDay: [] }
+   */
+  buildLanes(dayEvents) {
+    const memberLanes = this.members
+      .filter(member => member.calendarIds?.length)
+      .map(member => ({
+        id: member.id || member.name,
+        name: member.name || 'Member',
+        color: member.color || null,
+        member,
+        calendarIds: new Set(member.calendarIds)
+      }));
+
+    const lanes = memberLanes.length > 0 ? memberLanes : this.buildCalendarLanes();
+    lanes.forEach(lane => {
+      lane.timed = [];
+      lane.allDay = [];
+    });
+
+    const unassigned = { id: UNASSIGNED_LANE_ID, name: 'Family', color: null, calendarIds: new Set(), timed: [], allDay: [] };
+
+    dayEvents.forEach(dayEvent => {
+      const eventCalendarIds = getEventCalendarIds(dayEvent.event);
+      const matches = lanes.filter(lane => eventCalendarIds.some(id => lane.calendarIds.has(id)));
+      const targets = matches.length > 0 ? matches : [unassigned];
+
+      targets.forEach(lane => {
+        (dayEvent.isAllDay ? lane.allDay : lane.timed).push(dayEvent);
+      });
+    });
+
+    if (unassigned.timed.length > 0 || unassigned.allDay.length > 0) {
+      lanes.push(unassigned);
+    }
+
+    return lanes;
+  }
+
+  /**
+   * One lane per calendar seen in the loaded data (stable while navigating days)
+   * @private
+   */
+  buildCalendarLanes() {
+    const lanesById = new Map();
+
+    (this.calendarData?.events || []).forEach(event => {
+      const prefixedId = event.prefixedCalendarId || event.calendarId;
+      if (!prefixedId || lanesById.has(prefixedId)) return;
+
+      const calendar = this.calendars.find(cal => cal.id === event.calendarId);
+      lanesById.set(prefixedId, {
+        id: prefixedId,
+        name: calendar?.name || event.calendarId,
+        color: calendar?.backgroundColor || event.backgroundColor || null,
+        calendarIds: new Set([prefixedId])
+      });
+    });
+
+    return Array.from(lanesById.values());
+  }
+
+  /**
+   * Visible window: scrollTime plus DEFAULT_VISIBLE_HOURS, widened to fit the day's timed events
+   * @private
+   */
+  calculateVisibleHours(dayEvents) {
+    let startHour = Math.min(this.scrollTime, 24 - DEFAULT_VISIBLE_HOURS);
+    let endHour = startHour + DEFAULT_VISIBLE_HOURS;
+
+    dayEvents.filter(dayEvent => !dayEvent.isAllDay).forEach(dayEvent => {
+      startHour = Math.min(startHour, Math.floor(dayEvent.startMinutes / 60));
+      endHour = Math.max(endHour, Math.ceil(dayEvent.endMinutes / 60));
+    });
+
+    this.startHour = Math.max(0, startHour);
+    this.endHour = Math.min(24, endHour);
+  }
+
+  /**
+   * Convert minutes since midnight to a left offset (%) within the visible window
+   * @private
+   */
+  minutesToPercent(minutes) {
+    const windowMinutes = (this.endHour - this.startHour) * 60;
+    return ((minutes - this.startHour * 60) / windowMinutes) * 100;
+  }
+
+  renderHourLabels() {
+    const step = this.endHour - this.startHour > 16 ? 2 : 1;
+    const labels = [];
+
+    for (let hour = this.startHour; hour < this.endHour; hour += step) {
+      labels.push(`
+        <div class="timeline-hour" style="left: ${this.minutesToPercent(hour * 60)}%;">${this.formatTimeLabel(hour)}</div>
+      `);
+    }
+
+    return labels.join('');
+  }
+
+  renderLane(lane, index) {
+    const labelStyle = lane.color ? `style="border-left-color: ${lane.color};"` : '';
+    const allDayText = lane.allDay.map(dayEvent => dayEvent.event.summary || 'Untitled Event').join(', ');
+
+    return `
+      <div class="timeline-lane" id="timelineLane${index}" data-lane-id="${lane.id}">
+        <div class="timeline-lane-label" ${labelStyle}>
+          <div class="timeline-lane-name">${lane.member ? renderMemberBadge(lane.member, 'timeline-lane-avatar') : ''}${lane.name}</div>
+          ${allDayText ? `<div class="timeline-lane-allday" title="${allDayText}">${allDayText}</div>` : ''}
+        </div>
+        <div class="timeline-lane-track" id="timelineTrack${index}">
+          ${this.renderHourGridLines()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderHourGridLines() {
+    let lines = '';
+    for (let hour = this.startHour + 1; hour < this.endHour; hour++) {
+      lines += `<div class="timeline-hour-line" style="left: ${this.minutesToPercent(hour * 60)}%;"></div>`;
+    }
+    return lines;
+  }
+
+  /**
+   * Place timed events; overlapping events share the lane height in stacked rows
+   * @private
+   */
+  renderLaneEvents(lane, laneIndex) {
+    const track = document.getElementById(`timelineTrack${laneIndex}`);
+    if (!track || lane.timed.length === 0) return;
+
+    const rowByIndex = new Map();
+    const rowCountByIndex = new Map();
+
+    groupOverlappingEvents(lane.timed).forEach(group => {
+      group.sort((a, b) => lane.timed[a].startMinutes - lane.timed[b].startMinutes);
+
+      // Greedy row assignment: reuse the first row that is free again
+      const rowEnds = [];
+      group.forEach(index => {
+        let row = rowEnds.findIndex(end => end <= lane.timed[index].startMinutes);
+        if (row === -1) {
+          row = rowEnds.length;
+          rowEnds.push(0);
+        }
+        rowEnds[row] = lane.timed[index].endMinutes;
+        rowByIndex.set(index, row);
+      });
+
+      group.forEach(index => rowCountByIndex.set(index, rowEnds.length));
+    });
+
+    lane.timed.forEach((dayEvent, index) => {
+      const { event, start, end, startMinutes, endMinutes } = dayEvent;
+      const rowCount = rowCountByIndex.get(index) || 1;
+      const row = rowByIndex.get(index) || 0;
+
+      const eventElement = document.createElement('div');
+      eventElement.className = 'event timeline-event';
+      eventElement.style.left = `${this.minutesToPercent(startMinutes)}%`;
+      eventElement.style.width = `${this.minutesToPercent(endMinutes) - this.minutesToPercent(startMinutes)}%`;
+      eventElement.style.top = `${(row / rowCount) * 100}%`;
+      eventElement.style.height = `${100 / rowCount}%`;
+      eventElement.title = `${event.summary || 'Untitled Event'} (${this.formatTimeRange(start, end)})`;
+      eventElement.dataset.eventId = event.id;
+      eventElement.dataset.calendarId = event.calendarId || '';
+      eventElement.innerHTML = `
+        <div class="event-title">${event.summary || 'Untitled Event'}</div>
+        <div class="event-time">${this.formatTimeRange(start, end)}</div>
+      `;
+
+      // Apply dynamic colors (solid or split for multi-calendar events)
+      const backgroundStyle = this.getEventBackgroundStyle(event);
+      if (backgroundStyle.startsWith('linear-gradient')) {
+        eventElement.style.background = backgroundStyle;
+      } else {
+        eventElement.style.backgroundColor = backgroundStyle;
+      }
+
+      eventElement.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.selectEvent(event.id);
+      });
+
+      track.appendChild(eventElement);
+    });
+  }
+
+  /**
+   * Clicking an empty part of a lane selects that half-hour slot
+   */
+  setupSlotSelection() {
+    this.lanes.forEach((lane, index) => {
+      const track = document.getElementById(`timelineTrack${index}`);
+      if (!track) return;
+
+      track.addEventListener('click', (e) => {
+        if (e.target.closest('.event') || !this.onSlotSelected) return;
+
+        const rect = track.getBoundingClientRect();
+        const fraction = (e.clientX - rect.left) / rect.width;
+        const minutes = this.startHour * 60 + fraction * (this.endHour - this.startHour) * 60;
+
+        const slotDate = new Date(this.weekDates[0]);
+        slotDate.setHours(0, Math.floor(minutes / 30) * 30, 0, 0);
+        this.onSlotSelected(slotDate);
+      });
+    });
+  }
+
+  /**
+   * Slot for Enter: next half hour today, otherwise scrollTime on the shown day
+   */
+  getFocusedSlotDate() {
+    const slotDate = new Date(this.weekDates[0] || this.currentDate);
+    const now = new Date();
+
+    if (slotDate.toDateString() === now.toDateString()) {
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      slotDate.setHours(0, Math.ceil((minutes + 1) / 30) * 30, 0, 0);
+    } else {
+      slotDate.setHours(this.scrollTime, 0, 0, 0);
+    }
+
+    return slotDate;
+  }
+
+  /**
+   * UP/DOWN move the focused lane
+   */
+  scroll(direction) {
+    if (this.lanes.length === 0) return;
+
+    const delta = direction === 'up' ? -1 : 1;
+    this.focusedLaneIndex = Math.min(this.lanes.length - 1, Math.max(0, this.focusedLaneIndex + delta));
+    this.updateLaneFocus();
+  }
+
+  setFocused(focused) {
+    this.isFocused = focused;
+
+    if (focused) {
+      this.focusedLaneIndex = Math.max(0, Math.min(this.focusedLaneIndex, this.lanes.length - 1));
+      this.updateLaneFocus();
+    } else {
+      this.focusedLaneIndex = -1;
+      this.clearLaneFocus();
+    }
+  }
+
+  updateLaneFocus() {
+    this.clearLaneFocus();
+
+    const laneElement = document.getElementById(`timelineLane${this.focusedLaneIndex}`);
+    if (laneElement) {
+      laneElement.classList.add('focused');
+      laneElement.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  clearLaneFocus() {
+    document.querySelectorAll('.timeline-lane.focused').forEach(lane => {
+      lane.classList.remove('focused');
+    });
+  }
+
+  /**
+   * Vertical now line across every lane (today only)
+   */
+  updateNowIndicator() {
+    document.querySelectorAll('.timeline-now-indicator').forEach(el => el.remove());
+
+    const now = new Date();
+    if (this.findTodayColumn() === -1) return;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    if (minutes < this.startHour * 60 || minutes > this.endHour * 60) return;
+
+    const left = this.minutesToPercent(minutes);
+    document.querySelectorAll('.timeline-lane-track').forEach(track => {
+      const indicator = document.createElement('div');
+      indicator.className = 'timeline-now-indicator';
+      indicator.style.left = `${left}%`;
+      track.appendChild(indicator);
+    });
+  }
+
+  /**
+   * Whole day is visible - nothing to scroll to
+   */
+  setOptimalScrollPosition() {}
+
+  restoreScrollPosition() {}
+
+  /**
+   * Replace the member list (lanes rebuild on the next render)
+   * @param {Array<Object>} members - family.members
+   */
+  setFamilyMembers(members) {
+    this.members = members || [];
+  }
+
+  /**
+   * Update settings (members and scroll time change lanes / hour window)
+   */
+  updateSettings(settings) {
+    this.members = settings.familyMembers || [];
+    this.startWeekOn = settings.startWeekOn || 'sun';
+    this.scrollTime = settings.scrollTime || 8;
+
+    this.render();
+  }
+}
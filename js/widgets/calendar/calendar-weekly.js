@@ -1,13 +1,63 @@
 // js/widgets/calendar/calendar-weekly.js - Weekly View Rendering Module
 // Migrated from legacy dcal widget - Phase 4.5
+// v1.11 - 10/19/26 - Events show avatars of the family members whose calendars they are on
+// v1.10 - 10/19/26 - Overlap grouping extracted to groupOverlappingEvents() (shared with timeline view)
+// v1.9 - 10/19/26 - data-view attribute on #calendar so day/N-day subclasses can restyle the grid; render keeps .month-grid
+// v1.8 - 10/19/26 - Added empty-slot selection (click hour slot / Enter on focused day) for new events
 // v1.7 - 10/12/25 9:20pm - FIXED: Added user scroll detection to prevent auto-scroll from overwriting manual scrolls
 // v1.6 - 10/10/25 5:30pm - Added n-day view mode support with settings integration
 // CHANGE SUMMARY: User scroll tracking prevents auto-scroll conflicts; reset on initialize/updateSettings/resetScrollTracking
 
 import { createLogger } from '/js/utils/logger.js';
+import { renderMemberBadge } from '/js/widgets/shared/family-members.js';
 
 const logger = createLogger('CalendarWeekly');
 
+/**
+ * Group events whose time ranges overlap, directly or through a chain of overlaps
+ * @param {Array<{startMinutes: number, endMinutes: number}>} items - Events with minute ranges
+ * @returns {Array<Array<number>>} Collision groups as arrays of item indexes
+ */
+export function groupOverlappingEvents(items) {
+  const overlaps = items.map(() => []);
+
+  // Detect overlaps
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (items[i].startMinutes < items[j].endMinutes && items[j].startMinutes < items[i].endMinutes) {
+        overlaps[i].push(j);
+        overlaps[j].push(i);
+      }
+    }
+  }
+
+  // Group overlapping events into collision groups
+  const processed = new Set();
+  const collisionGroups = [];
+
+  for (let i = 0; i < items.length; i++) {
+    if (processed.has(i)) continue;
+
+    const group = new Set([i]);
+    const queue = [i];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      overlaps[current].forEach(overlappingIndex => {
+        if (!group.has(overlappingIndex)) {
+          group.add(overlappingIndex);
+          queue.push(overlappingIndex);
+        }
+      });
+    }
+
+    group.forEach(idx => processed.add(idx));
+    collisionGroups.push(Array.from(group));
+  }
+
+  return collisionGroups;
+}
+
 export class CalendarWeekly {
   constructor(calendars, settings = {}) {
     this.calendars = calendars;
@@ -24,9 +74,13 @@ export class CalendarWeekly {
     this.startWeekOn = settings.startWeekOn || 'sun'; // 'sun' or 'mon'
     this.scrollTime = settings.scrollTime || 8; // Default 8 AM
     
-    this.hourHeight = 30; // pixels per hour
+    this.viewName = 'week'; // Set on #calendar as data-view (styling hook for subclasses)
+    this.hourHeight = 30; // pixels per hour (must match .hour-line height in CSS)
     this.startHour = 0;
     this.endHour = 24;
+
+    // Called with a Date when the user picks an empty time slot (set by CalendarWidget)
+    this.onSlotSelected = null;
   }
 
   updateCalendars(calendars) {
@@ -160,7 +214,11 @@ export class CalendarWeekly {
     
     // Dynamic grid columns based on dayCount
     const gridStyle = `style="grid-template-columns: 60px repeat(${this.dayCount}, 1fr);"`;
-    
+
+    // Keep the monthly container - innerHTML below would otherwise destroy it
+    const monthGrid = calendarContainer.querySelector('.month-grid');
+
+    calendarContainer.dataset.view = this.viewName;
     calendarContainer.innerHTML = `
       <div class="allday-section">
         <div class="allday-header" ${gridStyle}>
@@ -186,9 +244,60 @@ export class CalendarWeekly {
         </div>
       </div>
     `;
+
+    if (monthGrid) {
+      calendarContainer.appendChild(monthGrid);
+    }
     
     // Update today column shading width for all-day section
     this.updateTodayColumnShading(todayIndex);
+
+    this.setupSlotSelection();
+  }
+
+  /**
+   * Clicking an empty part of a day column selects that half-hour slot
+   */
+  setupSlotSelection() {
+    this.weekDates.forEach((date, index) => {
+      const dayColumn = document.getElementById(`dayColumn${index}`);
+      if (!dayColumn) return;
+
+      dayColumn.addEventListener('click', (e) => {
+        const hourLine = e.target.closest('.hour-line');
+        if (!hourLine || e.target.closest('.event') || !this.onSlotSelected) return;
+
+        const hour = parseInt(hourLine.dataset.hour, 10);
+        const minutes = e.offsetY >= this.hourHeight / 2 ? 30 : 0;
+
+        const slotDate = new Date(date);
+        slotDate.setHours(hour, minutes, 0, 0);
+
+        logger.debug('Empty slot selected', { dayIndex: index, hour, minutes });
+        this.onSlotSelected(slotDate);
+      });
+    });
+  }
+
+  /**
+   * Start time for a new event from D-pad: focused day (or today) at the first visible hour
+   * @returns {Date}
+   */
+  getFocusedSlotDate() {
+    let dayIndex = this.focusedDayIndex;
+    if (dayIndex < 0 || dayIndex >= this.weekDates.length) {
+      const todayIndex = this.findTodayColumn();
+      dayIndex = todayIndex >= 0 ? todayIndex : 0;
+    }
+
+    const timeGrid = document.querySelector('.time-grid');
+    const firstVisibleHour = timeGrid
+      ? Math.min(23, Math.ceil(timeGrid.scrollTop / this.hourHeight))
+      : this.scrollTime;
+
+    const slotDate = new Date(this.weekDates[dayIndex]);
+    slotDate.setHours(firstVisibleHour, 0, 0, 0);
+    return slotDate;
   }
 
   renderDayHeaders() {
@@ -390,6 +499,7 @@ export class CalendarWeekly {
         const eventElement = document.createElement('div');
         eventElement.className = 'allday-event';
         eventElement.textContent = event.summary || 'Untitled Event';
+        eventElement.prepend(...this.createMemberBadges(event));
         eventElement.title = event.summary || 'Untitled Event';
         eventElement.dataset.eventId = event.id;
         eventElement.dataset.calendarId = event.calendarId || '';
@@ -465,6 +575,10 @@ export class CalendarWeekly {
       eventElement.style.padding = '0px 4px 2px 4px';
     }
 
+    // Member avatars lead the first line (title row for long events)
+    const firstLine = eventElement.querySelector('.event-title') || eventElement;
+    firstLine.prepend(...this.createMemberBadges(event));
+
     // Apply dynamic colors (solid or split for multi-calendar events)
     const backgroundStyle = this.getEventBackgroundStyle(event);
     if (backgroundStyle.startsWith('linear-gradient')) {
@@ -484,56 +598,32 @@ export class CalendarWeekly {
     this.handleEventCollisions(dayColumn);
   }
 
+  /**
+   * Avatar elements for the family members an event belongs to (set by applyFamilyMembers)
+   * @param {Object} event - Event object
+   * @returns {Array<HTMLElement>}
+   */
+  createMemberBadges(event) {
+    if (!event.members?.length) return [];
+
+    const template = document.createElement('template');
+    template.innerHTML = event.members.map(member => renderMemberBadge(member, 'event-member-badge')).join('');
+    return Array.from(template.content.children);
+  }
+
   handleEventCollisions(dayColumn) {
     const events = Array.from(dayColumn.querySelectorAll('.event'));
     if (events.length <= 1) return;
-    
-    // Build list of event data with overlap information
+
+    // Build list of event data
     const eventData = events.map(el => ({
       element: el,
       startMinutes: parseInt(el.dataset.startMinutes),
-      endMinutes: parseInt(el.dataset.endMinutes),
-      overlaps: []
+      endMinutes: parseInt(el.dataset.endMinutes)
     }));
-    
-    // Detect overlaps
-    for (let i = 0; i < eventData.length; i++) {
-      for (let j = i + 1; j < eventData.length; j++) {
-        const eventA = eventData[i];
-        const eventB = eventData[j];
-        
-        // Check if events overlap
-        if (eventA.startMinutes < eventB.endMinutes && eventB.startMinutes < eventA.endMinutes) {
-          eventA.overlaps.push(j);
-          eventB.overlaps.push(i);
-        }
-      }
-    }
-    
-    // Group overlapping events into collision groups
-    const processed = new Set();
-    const collisionGroups = [];
-    
-    for (let i = 0; i < eventData.length; i++) {
-      if (processed.has(i)) continue;
-      
-      const group = new Set([i]);
-      const queue = [i];
-      
-      while (queue.length > 0) {
-        const current = queue.shift();
-        eventData[current].overlaps.forEach(overlappingIndex => {
-          if (!group.has(overlappingIndex)) {
-            group.add(overlappingIndex);
-            queue.push(overlappingIndex);
-          }
-        });
-      }
-      
-      group.forEach(idx => processed.add(idx));
-      collisionGroups.push(Array.from(group));
-    }
-    
+
+    const collisionGroups = groupOverlappingEvents(eventData);
+
     // Apply positioning to each collision group
     collisionGroups.forEach(group => {
       if (group.length === 1) {
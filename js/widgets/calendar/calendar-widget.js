@@ -1,22 +1,56 @@
 // js/widgets/calendar/calendar-widget.js - Calendar Widget Class
 // Migrated from legacy dcal widget - Phase 4.5
+// v1.22 - 10/19/26 - Month view can collapse repeating all-day series (calendar.collapseRecurringAllDay)
+// v1.21 - 10/19/26 - Events labelled with (and optionally tinted by) their family member
+// v1.20 - 10/19/26 - Timeline view (one lane per family member) in the focus menu
+// v1.19 - 10/19/26 - Day and rolling N-day (1-7) views, selectable from the focus menu and persisted to settings
+// v1.18 - 10/19/26 - Enter / empty-slot click opens the event editor for a new event
 // v1.17 - 10/20/25 - Improved theme detection robustness
 // v1.16 - 10/12/25 10:30pm - FIXED: LEFT at home returns to menu without navigating (prevents going into past)
 // v1.15 - 10/12/25 10:25pm - FIXED: Simplified left navigation - returns to menu when arriving at home position
 // v1.14 - 10/12/25 9:45pm - FIXED: D-pad left navigation now only returns to menu when AT home position
 // v1.13 - 10/12/25 9:25pm - FIXED: Added scroll tracking reset on "Go to Today" and view mode switch
 // v1.12 - 10/11/25 - Updated to 3-state messaging protocol
-// CHANGE SUMMARY: Check isAtHome AFTER navigation, not wasAtHome before - simpler and correct
+// CHANGE SUMMARY: Time-grid renderer is swapped per view mode (CalendarWeekly / CalendarNDay / CalendarDay)
 
 import { createLogger } from '/js/utils/logger.js';
 import { detectCurrentTheme, applyThemeToWidget } from '/js/widgets/shared/widget-theme-detector.js';
 import { CalendarConfig } from './calendar-config.js';
 import { CalendarEvents } from './calendar-events.js';
 import { CalendarWeekly } from './calendar-weekly.js';
+import { CalendarNDay, parseNDayViewMode, MAX_NDAY_COUNT } from './calendar-nday.js';
+import { CalendarDay } from './calendar-day.js';
+import { CalendarTimeline } from './calendar-timeline.js';
 import { CalendarMonthly } from './calendar-monthly.js';
+import { EventEditorModal } from '/js/widgets/shared/event-editor-modal.js';
+import { applyFamilyMembers } from '/js/widgets/shared/family-members.js';
 
 const logger = createLogger('CalendarWidget');
 
+/**
+ * Normalize a persisted view mode ('monthly', 'week', 'timeline' or '1'-'7'), falling back to week
+ */
+function normalizeViewMode(viewMode) {
+  if (viewMode === 'monthly' || viewMode === 'timeline' || parseNDayViewMode(viewMode)) {
+    return String(viewMode);
+  }
+  return 'week';
+}
+
+/**
+ * Header/menu label for a view mode
+ */
+function getViewModeLabel(viewMode) {
+  if (viewMode === 'monthly') return 'Month';
+  if (viewMode === 'timeline') return 'Timeline';
+
+  const dayCount = parseNDayViewMode(viewMode);
+  if (dayCount === 1) return 'Day';
+  if (dayCount) return `${dayCount}-Day`;
+
+  return 'Week';
+}
+
 export class CalendarWidget {
   constructor() {
     // ============== CONFIG VARIABLES ==============
@@ -30,8 +64,10 @@ export class CalendarWidget {
 
     // Load settings and set initial view mode
     const settings = this.loadSettings();
-    this.currentView = settings.viewMode || 'week';
+    this.currentView = settings.viewMode;
     this.currentDate = new Date();
+    this.family = { members: settings.familyMembers, colorEventsByMember: settings.colorEventsByMember };
+    this.calendarOptions = { collapseRecurringAllDay: settings.collapseRecurringAllDay };
 
     this.calendarData = { events: [], calendars: [], lastUpdated: null };
     this.isDataLoaded = false;
@@ -53,7 +89,8 @@ export class CalendarWidget {
     // Initialize helper modules with settings
     this.config = new CalendarConfig(this.calendars);
     this.events = new CalendarEvents(this.calendars);
-    this.weekly = new CalendarWeekly(this.calendars, settings);
+    this.eventEditor = new EventEditorModal(); // Create events from empty slots
+    this.weekly = this.createTimeGridRenderer(this.currentView, settings); // Week, day or N-day
     this.monthly = null; // Monthly view renderer (lazy init)
 
     this.init();
@@ -65,9 +102,13 @@ export class CalendarWidget {
     this.setupKeyboardControls();
     this.setupUI();
 
-    // Initialize weekly view
+    // Initialize time grid (also builds the DOM the monthly view replaces)
     this.weekly.initialize(this.currentDate);
 
+    if (this.currentView === 'monthly') {
+      this.showMonthlyView();
+    }
+
     // NEW: Send focus menu configuration to parent
     this.sendMenuConfig();
 
@@ -250,6 +291,7 @@ export class CalendarWidget {
         this.handleCalendarData({
           events: event.data.payload.events || [],
           calendars: event.data.payload.calendars || [],
+          family: event.data.payload.family,
           lastUpdated: new Date().toISOString()
         });
         return;
@@ -299,7 +341,7 @@ export class CalendarWidget {
           widgetId: 'main', // Must match ID in dashboard-widget-config.js
           payload: {
             eventType: 'widget-ready',
-            data: { hasMenu: false }
+            data: { hasMenu: true }
           }
         }, '*');
         logger.debug('📤 Sent widget-ready message to parent');
@@ -358,8 +400,13 @@ export class CalendarWidget {
     case 'down':
       this.scrollCalendar('down');
       break;
+    case 'enter':
     case 'select':
-      logger.debug('Select pressed on weekly view');
+      if (this.currentView === 'monthly') {
+        logger.debug('Select pressed on monthly view');
+        break;
+      }
+      this.openNewEventEditor(this.weekly.getFocusedSlotDate());
       break;
     case 'back':
     case 'escape':
@@ -374,6 +421,20 @@ export class CalendarWidget {
   }
 }
 
+  /**
+   * Open the event editor for a new event starting at the given slot
+   * @param {Date} slotDate - Start date/time
+   */
+  openNewEventEditor(slotDate) {
+    if (!this.calendarService) {
+      logger.warn('CalendarService not available - cannot create event');
+      return;
+    }
+
+    logger.info('Opening event editor for new event', { start: slotDate.toISOString() });
+    this.eventEditor.openForCreate(slotDate);
+  }
+
   handleFocusChange(focused) {
     const wasFocused = this.isFocused;
     this.isFocused = focused;
@@ -438,15 +499,7 @@ export class CalendarWidget {
       modeEl.textContent = 'Month';
     } else {
       titleEl.textContent = this.weekly.getWeekTitle();
-      
-      const modeLabels = {
-        '1': 'Day',
-        '2': '2-Day',
-        '3': '3-Day',
-        '5': '5-Day',
-        'week': 'Week'
-      };
-      modeEl.textContent = modeLabels[this.currentView] || 'Week';
+      modeEl.textContent = getViewModeLabel(this.currentView);
     }
   }
 
@@ -481,9 +534,21 @@ export class CalendarWidget {
       return;
     }
 
+    // Family members arrive with calendar data (falls back to settings read at startup)
+    if (data.family) {
+      this.family = data.family;
+      this.weekly.setFamilyMembers?.(this.family.members);
+    }
+
+    // Display options also arrive with calendar data (applied when the month view renders below)
+    if (data.calendarOptions) {
+      this.calendarOptions = data.calendarOptions;
+      this.monthly?.setCollapseRecurringAllDay(this.calendarOptions.collapseRecurringAllDay);
+    }
+
     // Merge multi-calendar events (events on multiple calendars get combined with all colors)
     const rawEvents = data.events || [];
-    const events = this.events.mergeMultiCalendarEvents(rawEvents);
+    const events = applyFamilyMembers(this.events.mergeMultiCalendarEvents(rawEvents), this.family);
 
     logger.debug('Event merge complete', {
       raw: rawEvents.length,
@@ -517,14 +582,18 @@ export class CalendarWidget {
     // Set up midnight detection timer
     this.setupMidnightTimer();
 
-    // Render events in weekly view
-    this.weekly.renderEvents(this.calendarData);
-    
-    // v1.14 - 10/13/25 12:00am - FIXED: Trigger scroll positioning after first data load
-    // On first render (after welcome wizard), events weren't present during initialize,
-    // so we need to scroll again now that events have been loaded
-    this.weekly.setOptimalScrollPosition();
-    
+    if (this.currentView === 'monthly') {
+      this.monthly.renderEvents(this.calendarData);
+    } else {
+      // Render events in the time grid (week, day or N-day)
+      this.weekly.renderEvents(this.calendarData);
+
+      // v1.14 - 10/13/25 12:00am - FIXED: Trigger scroll positioning after first data load
+      // On first render (after welcome wizard), events weren't present during initialize,
+      // so we need to scroll again now that events have been loaded
+      this.weekly.setOptimalScrollPosition();
+    }
+
     this.showCalendar();
     this.updateCalendarHeader();
     
@@ -633,26 +702,104 @@ export class CalendarWidget {
 
   /**
    * Load settings from localStorage
+   * View mode prefers dashie-calendar-settings (written on every switch, even offline)
    */
   loadSettings() {
     try {
       const localStorage = window.parent?.localStorage || window.localStorage;
-      const settings = localStorage.getItem('dashie-settings');
-      
-      if (settings) {
-        const parsed = JSON.parse(settings);
-        return {
-          viewMode: parsed.calendar?.dcalViewMode || 'week',
-          startWeekOn: parsed.calendar?.startWeekOn || 'sun',
-          scrollTime: parsed.calendar?.scrollTime || 8
-        };
-      }
+      const parsed = JSON.parse(localStorage.getItem('dashie-settings') || '{}');
+      const calendarSettings = JSON.parse(localStorage.getItem('dashie-calendar-settings') || '{}');
+
+      return {
+        viewMode: normalizeViewMode(calendarSettings.dcalViewMode || parsed.calendar?.dcalViewMode),
+        startWeekOn: parsed.calendar?.startWeekOn || 'sun',
+        scrollTime: parsed.calendar?.scrollTime || 8,
+        familyMembers: parsed.family?.members || [], // Timeline lanes and event labels
+        colorEventsByMember: parsed.family?.colorEventsByMember === true,
+        collapseRecurringAllDay: parsed.calendar?.collapseRecurringAllDay === true // Month view only
+      };
     } catch (error) {
       logger.error('Failed to load calendar settings', error);
     }
     
     // Defaults
-    return { viewMode: 'week', startWeekOn: 'sun', scrollTime: 8 };
+    return { viewMode: 'week', startWeekOn: 'sun', scrollTime: 8, familyMembers: [], colorEventsByMember: false, collapseRecurringAllDay: false };
+  }
+
+  /**
+   * Create the time-grid renderer for a view mode
+   * @param {string} viewMode - 'week', 'timeline', '1' (day) or '2'-'7' (rolling N-day)
+   * @param {Object} settings - Settings from loadSettings()
+   * @returns {CalendarWeekly} Renderer (day, N-day and timeline renderers extend CalendarWeekly)
+   */
+  createTimeGridRenderer(viewMode, settings) {
+    const dayCount = parseNDayViewMode(viewMode);
+    const isTimeline = viewMode === 'timeline';
+    const rendererSettings = {
+      ...settings,
+      familyMembers: this.family?.members || settings.familyMembers,
+      viewMode: dayCount || isTimeline ? viewMode : 'week'
+    };
+
+    let renderer;
+    if (isTimeline) {
+      renderer = new CalendarTimeline(this.calendars, rendererSettings);
+    } else if (dayCount === 1) {
+      renderer = new CalendarDay(this.calendars, rendererSettings);
+    } else if (dayCount) {
+      renderer = new CalendarNDay(this.calendars, rendererSettings, dayCount);
+    } else {
+      renderer = new CalendarWeekly(this.calendars, rendererSettings);
+    }
+
+    renderer.viewMode = rendererSettings.viewMode;
+    renderer.onSlotSelected = (slotDate) => this.openNewEventEditor(slotDate);
+    return renderer;
+  }
+
+  /**
+   * Show the monthly grid (lazy-creates the monthly renderer)
+   */
+  showMonthlyView() {
+    if (!this.monthly) {
+      const settings = this.loadSettings();
+      this.monthly = new CalendarMonthly(this.calendars, { ...settings, ...this.calendarOptions });
+      this.monthly.initialize(this.currentDate);
+    }
+
+    document.querySelector('.allday-section')?.classList.add('hidden');
+    document.querySelector('.time-grid')?.classList.add('hidden');
+    document.querySelector('.timeline')?.classList.add('hidden');
+    document.querySelector('.month-grid')?.classList.remove('hidden');
+  }
+
+  /**
+   * Show the time grid (week, day, N-day or timeline)
+   */
+  showTimeGridView() {
+    document.querySelector('.month-grid')?.classList.add('hidden');
+    document.querySelector('.allday-section')?.classList.remove('hidden');
+    document.querySelector('.time-grid')?.classList.remove('hidden');
+    document.querySelector('.timeline')?.classList.remove('hidden');
+  }
+
+  /**
+   * Re-render whichever view is active for this.currentDate (go-to-today, midnight)
+   */
+  renderCurrentView() {
+    if (this.currentView === 'monthly') {
+      this.monthly.setDate(this.currentDate);
+      if (this.isDataLoaded) {
+        this.monthly.renderEvents(this.calendarData);
+      }
+    } else {
+      this.weekly.setDate(this.currentDate);
+      if (this.isDataLoaded) {
+        this.weekly.renderEvents(this.calendarData);
+      }
+    }
+
+    this.updateCalendarHeader();
   }
 
   /**
@@ -660,45 +807,16 @@ export class CalendarWidget {
    */
   sendMenuConfig() {
     if (window.parent !== window) {
-      const settings = this.loadSettings();
-      const currentViewMode = settings.viewMode || 'week';
+      const currentViewMode = this.currentView;
 
       window.parent.postMessage({
         type: 'widget-config',
         widget: 'calendar',
         focusMenu: {
-          enabled: false, // TODO: Re-enable when focus menu UI is implemented
+          enabled: true,
           defaultIndex: this.getMenuIndexForView(currentViewMode),
           currentView: currentViewMode, // Highlight active view
-          items: [
-            // Action button
-            { 
-              id: 'go-to-today', 
-              label: 'Go to Today', 
-              type: 'action' 
-            },
-            // View options (swapped 3-Day and Day order)
-            { 
-              id: 'monthly', 
-              label: 'Month',
-              type: 'view' 
-            },
-            { 
-              id: 'week', 
-              label: 'Week',
-              type: 'view' 
-            },
-            { 
-              id: '3', 
-              label: '3-Day',
-              type: 'view' 
-            },
-            { 
-              id: '1', 
-              label: 'Day',
-              type: 'view' 
-            }
-          ]
+          items: this.getMenuItems()
         }
       }, '*');
       
@@ -706,27 +824,45 @@ export class CalendarWidget {
     }
   }
 
+  /**
+   * Focus menu items: "Go to Today", then Month, Week, Timeline, 7-Day ... 2-Day, Day
+   */
+  getMenuItems() {
+    const items = [
+      // Action button
+      { id: 'go-to-today', label: 'Go to Today', type: 'action' },
+      // View options
+      { id: 'monthly', label: getViewModeLabel('monthly'), type: 'view' },
+      { id: 'week', label: getViewModeLabel('week'), type: 'view' },
+      { id: 'timeline', label: getViewModeLabel('timeline'), type: 'view' }
+    ];
+
+    for (let dayCount = MAX_NDAY_COUNT; dayCount >= 1; dayCount--) {
+      const id = String(dayCount);
+      items.push({ id, label: getViewModeLabel(id), type: 'view' });
+    }
+
+    return items;
+  }
+
   /**
    * Get menu index for current view mode (for default selection)
    */
   getMenuIndexForView(viewMode) {
-    const viewMap = {
-      'go-to-today': 0,
-      'monthly': 1,
-      'week': 2,
-      '3': 3,  // 3-Day now at index 3
-      '1': 4   // Day now at index 4
-    };
-    return viewMap[viewMode] || 2; // Default to week
+    const items = this.getMenuItems();
+    const index = items.findIndex(item => item.id === viewMode);
+    return index >= 0 ? index : items.findIndex(item => item.id === 'week'); // Default to week
   }
 
   /**
    * Handle menu-related actions from parent
    */
   handleMenuAction(data) {
+    const itemId = data.payload?.itemId ?? data.itemId;
+
     logger.debug('🎯 handleMenuAction called', {
       action: data.action,
-      itemId: data.itemId,
+      itemId,
       beforeState: { isFocused: this.isFocused, menuActive: this.menuActive, isAtHome: this.isAtHome }
     });
 
@@ -744,7 +880,7 @@ export class CalendarWidget {
 
       case 'menu-item-selected':
         // User pressed ENTER on menu item
-        if (data.itemId === 'go-to-today') {
+        if (itemId === 'go-to-today') {
           // Reset to today
           this.currentDate = new Date();
           this.homeDate = new Date();
@@ -754,19 +890,15 @@ export class CalendarWidget {
           // Reset scroll tracking to enable auto-scroll
           this.weekly.resetScrollTracking();
 
-          // Update weekly view
-          this.weekly.setDate(this.currentDate);
-          this.updateCalendarHeader();
-
-          // Re-render with current data
-          if (this.isDataLoaded) {
-            this.weekly.renderEvents(this.calendarData);
-          }
+          // Re-render active view with current data
+          this.renderCurrentView();
 
           logger.info('📅 Returned to today - scroll tracking reset');
+        } else if (normalizeViewMode(itemId) === itemId) {
+          // View mode change (monthly, week, timeline, 1-7)
+          this.switchViewMode(itemId);
         } else {
-          // View mode change (1, 2, 3, 5, week)
-          this.switchViewMode(data.itemId);
+          logger.warn('Unknown menu item', { itemId });
         }
         break;
 
@@ -864,7 +996,7 @@ export class CalendarWidget {
 
   /**
    * Switch to a new view mode and save to settings
-   * @param {string} viewMode - View mode ID ('1', '3', 'week', 'monthly')
+   * @param {string} viewMode - View mode ID ('1'-'7', 'week', 'timeline', 'monthly')
    */
   async switchViewMode(viewMode) {
     logger.debug('Switching view mode', { from: this.currentView, to: viewMode });
@@ -886,17 +1018,8 @@ export class CalendarWidget {
     await this.saveViewModeSetting(viewMode);
     
     if (viewMode === 'monthly') {
-      // Initialize monthly view if needed
-      if (!this.monthly) {
-        const settings = this.loadSettings();
-        this.monthly = new CalendarMonthly(this.calendars, settings);
-        this.monthly.initialize(this.currentDate);
-      }
-      
-      // Hide weekly, show monthly
-      document.querySelector('.allday-section')?.classList.add('hidden');
-      document.querySelector('.time-grid')?.classList.add('hidden');
-      document.querySelector('.month-grid')?.classList.remove('hidden');
+      // Hide time grid, show monthly
+      this.showMonthlyView();
       
       // Reset to today when switching to monthly
       this.currentDate = new Date();
@@ -910,14 +1033,13 @@ export class CalendarWidget {
         this.monthly.renderEvents(this.calendarData);
       }
     } else {
-      // Weekly/n-day mode
-      document.querySelector('.month-grid')?.classList.add('hidden');
-      document.querySelector('.allday-section')?.classList.remove('hidden');
-      document.querySelector('.time-grid')?.classList.remove('hidden');
-      
-      // Update weekly renderer with new settings
+      // Week/day/N-day/timeline mode: swap renderer when the grid shape changes
       const settings = this.loadSettings();
-      this.weekly.updateSettings(settings); // This calls resetScrollTracking internally
+      if (this.weekly.viewMode !== viewMode) {
+        this.weekly = this.createTimeGridRenderer(viewMode, settings);
+      } else {
+        this.weekly.updateSettings({ ...settings, familyMembers: this.family.members, viewMode });
+      }
       
       // Reset to today when changing views
       this.currentDate = new Date();
@@ -929,6 +1051,8 @@ export class CalendarWidget {
       this.weekly.resetScrollTracking();
       
       this.weekly.setDate(this.currentDate);
+      this.weekly.setFocused(this.isFocused);
+      this.showTimeGridView();
       
       if (this.isDataLoaded) {
         this.weekly.renderEvents(this.calendarData);
@@ -972,6 +1096,7 @@ export class CalendarWidget {
   /**
    * Save view mode setting to localStorage and database
    * v1.14 - 10/12/25 11:45pm - CRITICAL FIX: Use dashie-calendar-settings instead of dashie-settings
+   * v1.19 - 10/19/26 - Database write goes through the parent's SettingsStore (calendar.dcalViewMode)
    */
   async saveViewModeSetting(viewMode) {
     try {
@@ -995,10 +1120,11 @@ export class CalendarWidget {
       localStorage.setItem('dashie-calendar-settings', JSON.stringify(calendarSettings));
       logger.debug('✓ Saved viewMode to dashie-calendar-settings', { viewMode });
       
-      // Save to database
-      const settingsInstance = window.parent?.settingsInstance || window.settingsInstance;
-      if (settingsInstance && typeof settingsInstance.handleSettingChange === 'function') {
-        await settingsInstance.handleSettingChange('calendar', calendarSettings);
+      // Save to database (SettingsStore also updates dashie-settings)
+      const settingsStore = window.parent?.settingsStore || window.settingsStore;
+      if (settingsStore && typeof settingsStore.set === 'function') {
+        settingsStore.set('calendar.dcalViewMode', viewMode);
+        await settingsStore.save(false);
         logger.debug('✓ Saved viewMode to database', { viewMode });
       }
       
@@ -1039,7 +1165,7 @@ export class CalendarWidget {
       this.isAtHome = true;
 
       // Re-render calendar with new date
-      this.render();
+      this.renderCurrentView();
 
       // Refresh data for new day
       this.loadCalendarData();
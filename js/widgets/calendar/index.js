@@ -5,4 +5,7 @@ export { CalendarWidget } from './calendar-widget.js';
 export { CalendarConfig } from './calendar-config.js';
 export { CalendarEvents } from './calendar-events.js';
 export { CalendarWeekly } from './calendar-weekly.js';
+export { CalendarNDay } from './calendar-nday.js';
+export { CalendarDay } from './calendar-day.js';
+export { CalendarTimeline } from './calendar-timeline.js';
 export { CalendarMonthly } from './calendar-monthly.js';
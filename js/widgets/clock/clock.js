@@ -1,5 +1,6 @@
 // widgets/clock/clock.js
 // Clock widget with weather display
+// v2.1 - 10/19/26 - Focused mode shows the 24-hour / 7-day forecast sent by WidgetDataManager
 // v2.0 - 10/20/25 - Improved theme detection robustness
 
 import { createLogger } from '/js/utils/logger.js';
@@ -7,6 +8,7 @@ import { geocodeZipCodeCached } from '/js/utils/geocoding-helper.js';
 import { detectCurrentTheme, applyThemeToWidget } from '/js/widgets/shared/widget-theme-detector.js';
 
 const DEFAULT_THEME = 'dark'; // Local constant instead of importing from theme.js
+const HOURS_PER_PAGE = 6; // Hourly forecast cells visible at once (left/right pages through 24h)
 
 const logger = createLogger('ClockWidget');
 
@@ -22,6 +24,12 @@ class ClockWidget {
     // Weather update interval (starts when location is set)
     this.weatherInterval = null;
 
+    // Forecast (from WeatherService via WidgetDataManager) shown while the widget is focused
+    this.forecast = null;
+    this.isForecastMode = false;
+    this.forecastView = 'hourly'; // 'hourly' or 'daily'
+    this.hourlyPage = 0;
+
     // Weather icon mapping
     this.weatherIcons = {
       0: '☀️', 1: '🌤️', 2: '⛅', 3: '☁️',
@@ -91,16 +99,33 @@ class ClockWidget {
     });
   }
 
-  // Handle navigation commands (clock widget doesn't need navigation but keeping pattern)
+  // Handle navigation commands
+  // Focused: show forecast; up/down switch hourly/daily, left/right page through hours
   handleCommand(action) {
     logger.debug('Clock widget received command', { action });
 
-    // Clock widget doesn't have interactive navigation, but could be extended
     switch (action) {
+      case 'enter-focus':
+        this.showForecast();
+        break;
+      case 'exit-focus':
+        this.hideForecast();
+        break;
       case 'up':
       case 'down':
+        if (this.isForecastMode) {
+          this.forecastView = this.forecastView === 'hourly' ? 'daily' : 'hourly';
+          this.renderForecast();
+        }
+        break;
       case 'left':
       case 'right':
+        if (this.isForecastMode && this.forecastView === 'hourly') {
+          this.pageHourly(action === 'right' ? 1 : -1);
+        }
+        break;
+      case 'enter-active':
+      case 'exit-active':
       case 'select':
       case 'back':
         // No action needed for clock widget
@@ -135,11 +160,20 @@ class ClockWidget {
         this.applyTheme(data.theme);
         break;
 
+      case 'command':
+        // Focus state and D-pad commands from WidgetMessenger
+        this.handleCommand(data.payload?.action || data.action);
+        break;
+
       case 'weather-data':
         // New: Handle weather data from weather service
         this.handleWeatherData(data.payload);
         break;
 
+      case 'forecast-data':
+        this.handleForecastData(data.payload);
+        break;
+
       case 'location-update':
         // Fallback: Handle location updates (widget fetches weather itself)
         this.handleLocationUpdate(data.payload);
@@ -249,6 +283,120 @@ class ClockWidget {
     }
   }
 
+  /**
+   * Handle forecast data from weather service
+   * @param {Object} payload - { current, daily, hourly, timezone, zipCode, timestamp }
+   */
+  handleForecastData(payload) {
+    if (!Array.isArray(payload?.daily) || !Array.isArray(payload?.hourly)) {
+      logger.warn('Invalid forecast data received from service');
+      return;
+    }
+
+    this.forecast = payload;
+    logger.debug('Received forecast data from service', {
+      days: payload.daily.length,
+      hours: payload.hourly.length
+    });
+
+    if (this.isForecastMode) {
+      this.renderForecast();
+    }
+  }
+
+  showForecast() {
+    this.isForecastMode = true;
+    this.forecastView = 'hourly';
+    this.hourlyPage = 0;
+    this.renderForecast();
+    document.body.classList.add('forecast-mode');
+  }
+
+  hideForecast() {
+    this.isForecastMode = false;
+    document.body.classList.remove('forecast-mode');
+  }
+
+  pageHourly(direction) {
+    const pageCount = Math.ceil((this.forecast?.hourly.length || 0) / HOURS_PER_PAGE);
+    const nextPage = this.hourlyPage + direction;
+
+    if (nextPage >= 0 && nextPage < pageCount) {
+      this.hourlyPage = nextPage;
+      this.renderForecast();
+    }
+  }
+
+  renderForecast() {
+    const titleEl = document.getElementById('forecast-title');
+    const sunEl = document.getElementById('forecast-sun');
+    const cellsEl = document.getElementById('forecast-cells');
+    if (!titleEl || !sunEl || !cellsEl) return;
+
+    if (!this.forecast) {
+      titleEl.textContent = 'Forecast';
+      sunEl.textContent = '';
+      cellsEl.innerHTML = '<div class="forecast-empty">Forecast unavailable</div>';
+      return;
+    }
+
+    const today = this.forecast.daily[0];
+    sunEl.textContent = today
+      ? `🌅 ${this.formatLocalTime(today.sunrise)}  🌇 ${this.formatLocalTime(today.sunset)}`
+      : '';
+
+    if (this.forecastView === 'daily') {
+      titleEl.textContent = '7-Day Forecast';
+      cellsEl.innerHTML = this.forecast.daily.map((day, index) => this.renderForecastCell(
+        index === 0 ? 'Today' : this.formatLocalDay(day.date),
+        day.icon,
+        `${day.high}° <span class="forecast-low">${day.low}°</span>`,
+        day.precipitationProbability
+      )).join('');
+      return;
+    }
+
+    const start = this.hourlyPage * HOURS_PER_PAGE;
+    const hours = this.forecast.hourly.slice(start, start + HOURS_PER_PAGE);
+    titleEl.textContent = 'Next 24 Hours';
+    cellsEl.innerHTML = hours.map((hour, index) => this.renderForecastCell(
+      start + index === 0 ? 'Now' : this.formatLocalTime(hour.time, true),
+      hour.icon,
+      `${hour.temperature}°`,
+      hour.precipitationProbability
+    )).join('');
+  }
+
+  renderForecastCell(label, icon, temperature, precipitationProbability) {
+    const precipitation = precipitationProbability > 0 ? `💧${precipitationProbability}%` : '';
+    return `
+      <div class="forecast-cell">
+        <div class="forecast-label">${label}</div>
+        <div class="forecast-icon">${icon || '🌡️'}</div>
+        <div class="forecast-temp">${temperature}</div>
+        <div class="forecast-precip">${precipitation}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format a location-local 'YYYY-MM-DDTHH:mm' string as '3 PM' / '7:31 AM'
+   * (read from the string so the forecast location's time is shown, not the device's)
+   */
+  formatLocalTime(localTime, hourOnly = false) {
+    if (!localTime) return '--';
+    const hours = Number(localTime.slice(11, 13));
+    const minutes = localTime.slice(14, 16);
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 || 12;
+    return hourOnly ? `${displayHours} ${ampm}` : `${displayHours}:${minutes} ${ampm}`;
+  }
+
+  formatLocalDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', { weekday: 'short' });
+  }
+
   /**
    * Handle location updates from parent (FALLBACK - for backward compatibility)
    * @param {Object} payload - { zipCode: string } or { latitude: number, longitude: number }
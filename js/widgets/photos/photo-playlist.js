@@ -0,0 +1,240 @@
+// js/widgets/photos/photo-playlist.js
+// Play order for the photos slideshow
+// v1.0 - 10/19/26 - Initial implementation (shuffle deck, chronological, on this day)
+// v1.1 - 10/19/26 - On This Day (Memories) matches EXIF capture dates only
+// v1.2 - 10/19/26 - Shuffle rotates across photo sources
+
+import { PHOTO_ORDERS, DEFAULT_PHOTO_ORDER } from '/config.js';
+
+/**
+ * Photo Playlist
+ *
+ * Keeps the slideshow sequence separate from the photo data, so:
+ * - Shuffle shows every photo once before any repeats, then reshuffles
+ *   (never starting the new round with the photo just shown). With several
+ *   photo sources it takes one photo from each source in turn, so a large
+ *   source doesn't crowd out a small one.
+ * - Chronological shows the oldest photo first
+ * - On This Day (Memories) shows photos taken on today's date in earlier years
+ *   first (oldest first), then the rest shuffled. Only the EXIF capture date
+ *   counts - an upload date says nothing about when the moment happened.
+ * - Signed URL refreshes (same photo ids) keep the current position
+ *
+ * Photos: [{ id, url, takenAt?, uploadedAt?, filename?, folder?, placeName?, source? }]
+ */
+export class PhotoPlaylist {
+  constructor(order = DEFAULT_PHOTO_ORDER) {
+    this.order = Object.values(PHOTO_ORDERS).includes(order) ? order : DEFAULT_PHOTO_ORDER;
+    this.photos = new Map(); // id → photo
+    this.sequence = []; // photo ids in play order (current round)
+    this.position = 0;
+  }
+
+  /**
+   * Replace the photo list
+   * Photos already in the sequence keep their place; new photos are added to
+   * the current round, removed ones are dropped.
+   * @param {Array<Object>} photos - Photos
+   * @returns {boolean} True if the photo set changed (not just URLs)
+   */
+  setPhotos(photos) {
+    const previousIds = new Set(this.photos.keys());
+    this.photos = new Map(photos.map(photo => [photo.id, photo]));
+
+    const unchanged = previousIds.size === this.photos.size &&
+      Array.from(this.photos.keys()).every(id => previousIds.has(id));
+
+    if (unchanged && this.sequence.length > 0) {
+      return false;
+    }
+
+    const currentId = this.sequence[this.position];
+    const kept = this.sequence.filter(id => this.photos.has(id));
+    const added = Array.from(this.photos.keys()).filter(id => !previousIds.has(id));
+
+    if (kept.length === 0) {
+      this.buildSequence();
+      return true;
+    }
+
+    this.sequence = [...kept, ...this.arrange(added.map(id => this.photos.get(id))).map(p => p.id)];
+    const index = this.sequence.indexOf(currentId);
+    this.position = index !== -1 ? index : Math.min(this.position, this.sequence.length - 1);
+    return true;
+  }
+
+  /**
+   * Change the order and start a new round from the first photo
+   * @param {string} order - PHOTO_ORDERS value
+   */
+  setOrder(order) {
+    if (!Object.values(PHOTO_ORDERS).includes(order) || order === this.order) return;
+
+    this.order = order;
+    this.buildSequence();
+  }
+
+  /**
+   * @returns {Object|null} Current photo
+   */
+  current() {
+    return this.photos.get(this.sequence[this.position]) || null;
+  }
+
+  /**
+   * Advance to the next photo (starts a new round at the end)
+   * @returns {Object|null} Next photo
+   */
+  next() {
+    if (this.sequence.length === 0) return null;
+
+    if (this.position + 1 >= this.sequence.length) {
+      const lastId = this.sequence[this.position];
+      this.buildSequence();
+
+      // Don't show the same photo twice in a row across rounds
+      if (this.sequence.length > 1 && this.sequence[0] === lastId) {
+        this.sequence.push(this.sequence.shift());
+      }
+    } else {
+      this.position++;
+    }
+
+    return this.current();
+  }
+
+  /**
+   * Go back to the previous photo (wraps within the current round)
+   * @returns {Object|null} Previous photo
+   */
+  previous() {
+    if (this.sequence.length === 0) return null;
+
+    this.position = (this.position - 1 + this.sequence.length) % this.sequence.length;
+    return this.current();
+  }
+
+  /**
+   * Skip the current photo for the rest of the round (e.g. it failed to load)
+   * @returns {Object|null} Next photo
+   */
+  skip() {
+    return this.next();
+  }
+
+  get size() {
+    return this.photos.size;
+  }
+
+  // =============================================================================
+  // ORDERING
+  // =============================================================================
+
+  /**
+   * Build a new round from all photos
+   * @private
+   */
+  buildSequence() {
+    this.sequence = this.arrange(Array.from(this.photos.values())).map(photo => photo.id);
+    this.position = 0;
+  }
+
+  /**
+   * Put photos in play order for the current order setting
+   * @private
+   * @param {Array<Object>} photos - Photos
+   * @returns {Array<Object>} New array in play order
+   */
+  arrange(photos) {
+    switch (this.order) {
+      case PHOTO_ORDERS.CHRONOLOGICAL:
+        return this.sortByDate(photos);
+
+      case PHOTO_ORDERS.ON_THIS_DAY: {
+        const today = new Date();
+        const onThisDay = photos.filter(photo => getMemoryYears(photo, today) > 0);
+        const rest = photos.filter(photo => !onThisDay.includes(photo));
+        return [...this.sortByDate(onThisDay), ...shuffleBySource(rest)];
+      }
+
+      case PHOTO_ORDERS.SHUFFLE:
+      default:
+        return shuffleBySource(photos);
+    }
+  }
+
+  /**
+   * Oldest first; photos without a date go last
+   * @private
+   */
+  sortByDate(photos) {
+    return [...photos].sort((a, b) => {
+      const dateA = getPhotoDate(a);
+      const dateB = getPhotoDate(b);
+      if (!dateA || !dateB) return (dateA ? -1 : 0) + (dateB ? 1 : 0);
+      return dateA - dateB;
+    });
+  }
+}
+
+/**
+ * Date a photo was taken (falls back to upload date)
+ * @param {Object} photo - Photo
+ * @returns {Date|null}
+ */
+export function getPhotoDate(photo) {
+  const value = photo?.takenAt || photo?.uploadedAt;
+  if (!value) return null;
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * How many years ago a photo was taken, if it was taken on today's date
+ * @param {Object} photo - Photo
+ * @param {Date} today - Reference date (default now)
+ * @returns {number} Years ago, or 0 if not taken on this date in an earlier year (or no capture date)
+ */
+export function getMemoryYears(photo, today = new Date()) {
+  if (!photo?.takenAt) return 0;
+
+  const taken = new Date(photo.takenAt);
+  if (isNaN(taken) ||
+    taken.getMonth() !== today.getMonth() ||
+    taken.getDate() !== today.getDate()) {
+    return 0;
+  }
+
+  return Math.max(0, today.getFullYear() - taken.getFullYear());
+}
+
+/**
+ * Shuffle each source's photos, then take one from each source in turn
+ */
+function shuffleBySource(photos) {
+  const groups = new Map();
+  photos.forEach(photo => {
+    const key = photo.source || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(photo);
+  });
+
+  const decks = shuffle(Array.from(groups.values())).map(shuffle);
+  const result = [];
+  for (let i = 0; result.length < photos.length; i++) {
+    decks.forEach(deck => {
+      if (i < deck.length) result.push(deck[i]);
+    });
+  }
+  return result;
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
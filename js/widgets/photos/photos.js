@@ -1,48 +1,71 @@
 // js/widgets/photos/photos.js
 // Photos Widget - Ported from .legacy/widgets/photos
 // v2.1 - 10/20/25 - Improved theme detection robustness
+// v2.2 - 10/19/26 - Dashboard protocol (ready, focus states, theme, data) via shared WidgetClient
+// v2.3 - 10/19/26 - Transitions (crossfade, slide, Ken Burns), per-photo timer, pause, info overlay, play order
+// v2.4 - 10/19/26 - Memories caption ("3 years ago") and place name from photo EXIF data
 
 import { createLogger } from '/js/utils/logger.js';
-import { detectCurrentTheme, applyThemeToWidget } from '/js/widgets/shared/widget-theme-detector.js';
+import { WidgetClient } from '/js/widgets/shared/widget-client.js';
+import { PhotoPlaylist, getPhotoDate, getMemoryYears } from '/js/widgets/photos/photo-playlist.js';
+import {
+  DEFAULT_PHOTO_TRANSITION_TIME,
+  DEFAULT_PHOTO_TRANSITION,
+  DEFAULT_PHOTO_ORDER,
+  PHOTO_TRANSITIONS,
+  PHOTO_ORDERS
+} from '/config.js';
 
 const logger = createLogger('PhotosWidget');
 
+const TRANSITION_DURATION_MS = 1000; // Length of the crossfade / slide between photos
+const KEN_BURNS_MOTIONS = ['kb-zoom-in', 'kb-zoom-out', 'kb-pan-left', 'kb-pan-right'];
+
 class PhotosWidget {
   constructor() {
-    // Photo data
-    this.photoUrls = [];
-    this.currentPhotoIndex = 0;
+    // Photo data (play order lives in the playlist)
+    this.playlist = new PhotoPlaylist(DEFAULT_PHOTO_ORDER);
     this.currentFolder = null;
+    this.shownPhotoId = null;
 
     // Slideshow control
-    this.autoAdvanceInterval = null;
-    this.transitionTime = 5000; // 5 seconds default
-    this.isTransitioning = false;
+    this.advanceTimeout = null; // Per-photo timer, started once the photo has loaded
+    this.advanceDueAt = 0;
+    this.remainingTime = null; // Time left on the current photo while paused
+    this.transitionTime = DEFAULT_PHOTO_TRANSITION_TIME * 1000;
+    this.transition = DEFAULT_PHOTO_TRANSITION;
+    this.showInfo = false;
+    this.isPaused = false;
+    this.displayToken = 0; // Ignores loads that finish after a newer photo was requested
+    this.lastMotion = null;
 
     // Failure tracking (circuit breaker)
     this.consecutiveFailures = 0;
     this.maxConsecutiveFailures = 10; // Stop after 10 consecutive failures
     this.retryTimeout = null; // Timeout for retrying after circuit breaker
 
-    // Widget state (3-state model)
-    this.isFocused = false;   // Widget is centered/has attention
-    this.isActive = false;    // Widget is receiving commands
-
     // DOM references
     this.photoContainer = document.getElementById('photo-container');
     this.loadingDiv = document.getElementById('loading');
     this.emptyStateDiv = document.getElementById('empty-state');
-    this.photoImg = document.getElementById('photo-display');
-
-    // Focus menu configuration (optional for photos widget)
-    this.focusMenu = {
-      enabled: false // No focus menu for photos widget
-    };
-
-    this.detectAndApplyInitialTheme();
-    this.setupMessageListener();
+    this.layers = [
+      document.getElementById('photo-layer-a'),
+      document.getElementById('photo-layer-b')
+    ];
+    this.frontLayerIndex = 0;
+    this.infoOverlay = document.getElementById('photo-info');
+    this.infoDate = document.getElementById('photo-info-date');
+    this.infoDetails = document.getElementById('photo-info-details');
+    this.memoryCaption = document.getElementById('memory-caption');
+
+    this.photoContainer.style.setProperty('--transition-duration', `${TRANSITION_DURATION_MS}ms`);
+    this.setTransition(this.transition);
+
+    // Dashboard protocol: focus states, theme and data (no focus menu for photos widget)
+    this.client = new WidgetClient('photos', { defaultTheme: 'light' });
+    this.setupClientHandlers();
     this.setupEmptyStateHandler();
-    this.signalReady();
+    this.client.ready();
 
     logger.info('PhotosWidget initialized');
   }
@@ -66,101 +89,48 @@ class PhotosWidget {
   }
 
   /**
-   * Signal ready to parent
+   * Subscribe to Dashboard messages
    */
-  signalReady() {
-    if (window.parent !== window) {
-      window.parent.postMessage({
-        type: 'event',
-        widgetId: 'photos',
-        payload: {
-          eventType: 'widget-ready',
-          data: {
-            hasMenu: this.focusMenu.enabled
-          }
-        }
-      }, '*');
-      logger.info('Ready signal sent to parent');
-    }
-  }
+  setupClientHandlers() {
+    this.client.on('data', (dataType, payload) => {
+      if (dataType === 'photos') {
+        logger.info('Photos data message received', { count: payload?.urls?.length });
+        this.loadPhotosFromData(payload);
+      }
+    });
 
-  /**
-   * Set up message listener for parent communication
-   */
-  setupMessageListener() {
-    window.addEventListener('message', (event) => {
-      const data = event.data;
-      if (!data) return;
-
-      logger.debug('Photos widget received message', {
-        type: data.type,
-        action: data.action,
-        dataType: data.payload?.dataType,
-        widgetId: data.widgetId
-      });
+    // Navigation commands only arrive while the widget is active
+    this.client.on('command', (action) => this.handleCommand(action));
 
-      // Handle commands sent from dashboard (action at top level)
-      if (data.type === 'command' && data.action) {
-        this.handleCommand(data.action);
-        return;
-      }
+    this.client.on('activate', () => {
+      logger.debug('Photos entered ACTIVE state');
 
-      // Handle data updates (dataType inside payload)
-      if (data.type === 'data' && data.payload?.dataType === 'photos') {
-        logger.info('Photos data message received', { payload: data.payload.payload });
-        this.loadPhotosFromData(data.payload.payload);
-        return;
+      // If no photos, prompt to add them
+      if (this.playlist.size === 0) {
+        logger.info('Widget active with no photos - showing empty state');
       }
+    });
 
-      // Handle theme updates
-      if (data.type === 'theme-change' && data.theme) {
-        this.applyTheme(data.theme);
-        return;
+    // Pausing is an active-state action - leaving the widget resumes the slideshow
+    this.client.on('deactivate', () => {
+      if (this.isPaused) {
+        this.resume();
       }
+    });
 
-      // Handle settings updates
+    // Settings updates
+    this.client.on('message', (data) => {
       if (data.type === 'settings-update') {
-        if (data.transitionTime) {
-          this.updateTransitionTime(data.transitionTime);
-        }
-        return;
+        this.applySettings(data);
       }
     });
-
-    logger.info('Message listener set up');
   }
 
   /**
-   * Handle commands from dashboard
+   * Handle navigation commands from dashboard (widget is active)
    */
   handleCommand(action) {
-    logger.debug('Photos widget received command', {
-      action,
-      isFocused: this.isFocused,
-      isActive: this.isActive
-    });
-
-    // Handle state transitions
-    switch (action) {
-      case 'enter-focus':
-        this.handleEnterFocus();
-        return;
-      case 'enter-active':
-        this.handleEnterActive();
-        return;
-      case 'exit-active':
-        this.handleExitActive();
-        return;
-      case 'exit-focus':
-        this.handleExitFocus();
-        return;
-    }
-
-    // Handle navigation ONLY if active
-    if (!this.isActive) {
-      logger.debug('Navigation command ignored - widget not active', { action });
-      return;
-    }
+    logger.debug('Photos widget received command', { action });
 
     switch (action) {
       case 'left':
@@ -170,9 +140,13 @@ class PhotosWidget {
         this.nextPhoto();
         break;
       case 'enter':
-        // If no photos, open settings; otherwise could pause/play
-        if (this.photoUrls.length === 0) {
+        // If no photos, open settings; otherwise pause/play
+        if (this.playlist.size === 0) {
           this.emptyStateDiv.click();
+        } else if (this.isPaused) {
+          this.resume();
+        } else {
+          this.pause();
         }
         break;
       default:
@@ -181,67 +155,45 @@ class PhotosWidget {
     }
   }
 
-  /**
-   * State transition handlers
-   */
-  handleEnterFocus() {
-    logger.debug('Photos entered FOCUSED state');
-    this.isFocused = true;
-  }
-
-  handleEnterActive() {
-    logger.debug('Photos entered ACTIVE state');
-    this.isActive = true;
-
-    // If no photos, prompt to add them
-    if (this.photoUrls.length === 0) {
-      logger.info('Widget active with no photos - showing empty state');
-    }
-  }
-
-  handleExitActive() {
-    logger.debug('Photos exited ACTIVE state');
-    this.isActive = false;
-  }
-
-  handleExitFocus() {
-    logger.debug('Photos exited FOCUSED state');
-    this.isFocused = false;
-    this.isActive = false;
-  }
-
   /**
    * Load photos from data payload
+   * Payload: { urls, photos: [{ id, url, takenAt?, uploadedAt?, folder?, placeName? }], folder }
+   * A refresh with the same photos (new signed URLs) keeps the slideshow position.
    */
   loadPhotosFromData(payload) {
     try {
-      this.photoUrls = payload.urls || [];
+      const photos = payload.photos?.length
+        ? payload.photos
+        : (payload.urls || []).map(url => ({ id: url, url }));
       this.currentFolder = payload.folder || null;
 
       // Reset failure counter when loading new photos
       this.consecutiveFailures = 0;
       this.clearRetryTimeout();
 
-      if (this.photoUrls.length === 0) {
+      const changed = this.playlist.setPhotos(photos);
+
+      if (this.playlist.size === 0) {
         logger.warn('No photos available - showing empty state');
+        this.shownPhotoId = null;
+        this.stopAutoAdvance();
         this.showEmptyState();
         return;
       }
 
-      logger.success('Photos loaded', { count: this.photoUrls.length });
+      logger.success('Photos loaded', { count: this.playlist.size, changed });
 
       // Hide loading/empty, show photos
       this.loadingDiv.style.display = 'none';
       this.emptyStateDiv.style.display = 'none';
 
-      // Show first photo
-      this.currentPhotoIndex = 0;
-      this.showPhoto(0, false);
-
-      // Start auto-advance after a brief delay
-      setTimeout(() => {
-        this.startAutoAdvance();
-      }, 1000);
+      // Keep showing the current photo unless it was removed
+      const current = this.playlist.current();
+      if (!this.shownPhotoId || current?.id !== this.shownPhotoId) {
+        this.displayPhoto(current, 'next');
+      } else if (!this.advanceTimeout && !this.isPaused) {
+        this.scheduleNext();
+      }
 
     } catch (error) {
       logger.error('Failed to load photos', error);
@@ -249,12 +201,42 @@ class PhotosWidget {
     }
   }
 
+  /**
+   * Apply photos settings sent by the Dashboard
+   * @param {Object} settings - { transitionTime, transition, order, showInfo }
+   */
+  applySettings({ transitionTime, transition, order, showInfo }) {
+    if (transitionTime) {
+      this.updateTransitionTime(transitionTime);
+    }
+
+    if (transition) {
+      this.setTransition(transition);
+    }
+
+    if (order && order !== this.playlist.order) {
+      this.playlist.setOrder(order);
+      logger.info('Photo order updated', { order });
+
+      if (this.playlist.size > 0) {
+        this.displayPhoto(this.playlist.current(), 'next');
+      } else {
+        this.updateInfoOverlay(null);
+      }
+    }
+
+    if (typeof showInfo === 'boolean') {
+      this.showInfo = showInfo;
+      this.updateInfoOverlay(this.playlist.current());
+    }
+  }
+
   /**
    * Show empty state
    */
   showEmptyState() {
     this.loadingDiv.style.display = 'none';
-    this.photoImg.style.display = 'none';
+    this.hideLayers();
     this.emptyStateDiv.style.display = 'flex';
   }
 
@@ -265,16 +247,14 @@ class PhotosWidget {
     this.loadingDiv.innerHTML = `<div class="error-message">${message}</div>`;
     this.loadingDiv.style.display = 'block';
     this.emptyStateDiv.style.display = 'none';
-    this.photoImg.style.display = 'none';
+    this.hideLayers();
   }
 
   /**
    * Navigate to next photo
    */
   nextPhoto() {
-    this.stopAutoAdvance();
-    this.showPhoto(this.currentPhotoIndex + 1, true);
-    this.startAutoAdvance();
+    this.displayPhoto(this.playlist.next(), 'next');
     logger.debug('Manual navigation to next photo');
   }
 
@@ -282,128 +262,260 @@ class PhotosWidget {
    * Navigate to previous photo
    */
   previousPhoto() {
-    this.stopAutoAdvance();
-    this.showPhoto(this.currentPhotoIndex - 1, true);
-    this.startAutoAdvance();
+    this.displayPhoto(this.playlist.previous(), 'previous');
     logger.debug('Manual navigation to previous photo');
   }
 
+  // =============================================================================
+  // DISPLAY
+  // =============================================================================
+
+  /**
+   * Load a photo into the back layer, then transition to it
+   * @param {Object} photo - Photo from the playlist
+   * @param {string} direction - 'next' or 'previous' (slide direction)
+   */
+  displayPhoto(photo, direction) {
+    if (!photo) return;
+
+    this.stopAutoAdvance();
+
+    const token = ++this.displayToken;
+    const layer = this.layers[1 - this.frontLayerIndex];
+    const img = layer.querySelector('img');
+
+    img.onload = () => {
+      if (token !== this.displayToken) return;
+      this.onPhotoLoaded(photo, direction);
+    };
+
+    img.onerror = () => {
+      if (token !== this.displayToken) return;
+      this.onPhotoFailed(photo, direction);
+    };
+
+    img.src = photo.url;
+  }
+
   /**
-   * Show photo at index
+   * Swap layers with the configured transition and start the photo's timer
+   * @private
    */
-  showPhoto(index, smooth = true) {
-    if (this.photoUrls.length === 0) return;
-
-    // Handle index wrapping
-    if (index < 0) {
-      this.currentPhotoIndex = this.photoUrls.length - 1;
-    } else if (index >= this.photoUrls.length) {
-      this.currentPhotoIndex = 0;
+  onPhotoLoaded(photo, direction) {
+    // Reset failure counter on successful load
+    this.consecutiveFailures = 0;
+    this.clearRetryTimeout();
+
+    this.loadingDiv.style.display = 'none';
+    this.emptyStateDiv.style.display = 'none';
+
+    const leaving = this.layers[this.frontLayerIndex];
+    const entering = this.layers[1 - this.frontLayerIndex];
+    this.frontLayerIndex = 1 - this.frontLayerIndex;
+
+    this.photoContainer.dataset.direction = direction;
+
+    leaving.classList.remove('current');
+    leaving.classList.add('leaving');
+
+    // Restart the enter animation (and Ken Burns motion) on the entering layer
+    const img = entering.querySelector('img');
+    entering.classList.remove('leaving', 'current');
+    img.classList.remove(...KEN_BURNS_MOTIONS);
+    void entering.offsetWidth;
+    img.classList.add(this.pickMotion());
+    entering.classList.add('current');
+
+    const token = this.displayToken;
+    setTimeout(() => {
+      if (token === this.displayToken) {
+        leaving.classList.remove('leaving');
+      }
+    }, TRANSITION_DURATION_MS);
+
+    this.shownPhotoId = photo.id;
+    this.updateInfoOverlay(photo);
+
+    logger.debug('Photo displayed', {
+      id: photo.id,
+      total: this.playlist.size
+    });
+
+    if (!this.isPaused) {
+      this.scheduleNext();
     } else {
-      this.currentPhotoIndex = index;
+      this.remainingTime = this.transitionTime;
     }
+  }
 
-    const photoUrl = this.photoUrls[this.currentPhotoIndex];
+  /**
+   * Skip a photo that failed to load (circuit breaker after repeated failures)
+   * @private
+   */
+  onPhotoFailed(photo, direction) {
+    this.consecutiveFailures++;
+    logger.error('Failed to load photo', {
+      id: photo.id,
+      consecutiveFailures: this.consecutiveFailures,
+      maxFailures: this.maxConsecutiveFailures
+    });
 
-    // Handle transitions
-    if (smooth && this.photoImg.style.display !== 'none') {
-      this.isTransitioning = true;
-      this.photoImg.classList.add('transitioning');
+    // Circuit breaker: Stop if we've failed too many times
+    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+      logger.error('Too many consecutive photo load failures - stopping slideshow');
+      this.stopAutoAdvance();
+      this.showError('Unable to load photos. Please check your internet connection or photo storage.');
 
-      setTimeout(() => {
-        this.updatePhotoSrc(photoUrl);
-      }, 300);
-    } else {
-      this.updatePhotoSrc(photoUrl);
+      // Schedule a retry in 30 seconds
+      this.scheduleRetry();
+      return;
     }
+
+    // Try the next photo in the same direction
+    const nextPhoto = direction === 'previous' ? this.playlist.previous() : this.playlist.next();
+    this.displayPhoto(nextPhoto, direction);
   }
 
   /**
-   * Update photo source and handle display
+   * Hide both photo layers
+   * @private
    */
-  updatePhotoSrc(photoUrl) {
-    this.photoImg.src = photoUrl;
-    this.photoImg.onload = () => {
-      // Reset failure counter on successful load
-      this.consecutiveFailures = 0;
-      this.clearRetryTimeout();
+  hideLayers() {
+    this.layers.forEach(layer => layer.classList.remove('current', 'leaving'));
+    this.infoOverlay.classList.remove('visible');
+    this.memoryCaption.classList.remove('visible');
+    this.shownPhotoId = null;
+  }
 
-      this.loadingDiv.style.display = 'none';
-      this.emptyStateDiv.style.display = 'none';
-      this.photoImg.style.display = 'block';
+  /**
+   * Set transition style
+   * @param {string} transition - PHOTO_TRANSITIONS value
+   */
+  setTransition(transition) {
+    if (!Object.values(PHOTO_TRANSITIONS).includes(transition)) {
+      logger.warn('Unknown photo transition - ignoring', { transition });
+      return;
+    }
 
-      if (this.isTransitioning) {
-        setTimeout(() => {
-          this.photoImg.classList.remove('transitioning');
-          this.isTransitioning = false;
-        }, 50);
-      }
+    this.transition = transition;
+    this.photoContainer.dataset.transition = transition;
+    this.updateMotionDuration();
+    logger.info('Transition updated', { transition });
+  }
 
-      logger.debug('Photo displayed', {
-        index: this.currentPhotoIndex,
-        total: this.photoUrls.length
-      });
-    };
+  /**
+   * Pick a Ken Burns motion (never the same one twice in a row)
+   * @private
+   */
+  pickMotion() {
+    const options = KEN_BURNS_MOTIONS.filter(motion => motion !== this.lastMotion);
+    this.lastMotion = options[Math.floor(Math.random() * options.length)];
+    return this.lastMotion;
+  }
 
-    this.photoImg.onerror = () => {
-      this.consecutiveFailures++;
-      logger.error('Failed to load photo', {
-        url: photoUrl,
-        consecutiveFailures: this.consecutiveFailures,
-        maxFailures: this.maxConsecutiveFailures
-      });
+  /**
+   * Ken Burns motion runs for the whole time a photo is on screen, including its fade out
+   * @private
+   */
+  updateMotionDuration() {
+    this.photoContainer.style.setProperty(
+      '--display-duration',
+      `${this.transitionTime + TRANSITION_DURATION_MS * 2}ms`
+    );
+  }
 
-      // Circuit breaker: Stop if we've failed too many times
-      if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
-        logger.error('Too many consecutive photo load failures - stopping slideshow');
-        this.stopAutoAdvance();
-        this.showError('Unable to load photos. Please check your internet connection or photo storage.');
+  /**
+   * Show date, place and folder of the current photo (if enabled) and,
+   * in Memories order, how many years ago it was taken
+   * @private
+   */
+  updateInfoOverlay(photo) {
+    const date = getPhotoDate(photo);
+    const details = [photo?.placeName, photo?.folder].filter(Boolean).join(' · ');
 
-        // Schedule a retry in 30 seconds
-        this.scheduleRetry();
-        return;
-      }
+    this.infoDate.textContent = date
+      ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+      : '';
+    this.infoDetails.textContent = details;
 
-      // Try next photo
-      this.showPhoto(this.currentPhotoIndex + 1, false);
-    };
+    this.infoOverlay.classList.toggle('visible', this.showInfo && Boolean(date || details));
+
+    const years = this.playlist.order === PHOTO_ORDERS.ON_THIS_DAY ? getMemoryYears(photo) : 0;
+    this.memoryCaption.textContent = years === 1 ? '1 year ago' : `${years} years ago`;
+    this.memoryCaption.classList.toggle('visible', years > 0);
   }
 
+  // =============================================================================
+  // SLIDESHOW TIMER
+  // =============================================================================
+
   /**
-   * Start auto-advance timer
+   * Start the timer for the photo on screen
+   * @param {number} delay - Time until the next photo (default: transition time)
    */
-  startAutoAdvance() {
+  scheduleNext(delay = this.transitionTime) {
     this.stopAutoAdvance();
 
-    if (this.photoUrls.length <= 1) return;
-
-    this.autoAdvanceInterval = setInterval(() => {
-      this.showPhoto(this.currentPhotoIndex + 1, true);
-    }, this.transitionTime);
+    if (this.playlist.size <= 1) return;
 
-    logger.debug('Auto-advance started', { interval: this.transitionTime });
+    this.advanceDueAt = Date.now() + delay;
+    this.advanceTimeout = setTimeout(() => {
+      this.advanceTimeout = null;
+      this.displayPhoto(this.playlist.next(), 'next');
+    }, delay);
   }
 
   /**
    * Stop auto-advance timer
    */
   stopAutoAdvance() {
-    if (this.autoAdvanceInterval) {
-      clearInterval(this.autoAdvanceInterval);
-      this.autoAdvanceInterval = null;
-      logger.debug('Auto-advance stopped');
+    if (this.advanceTimeout) {
+      clearTimeout(this.advanceTimeout);
+      this.advanceTimeout = null;
     }
   }
 
+  /**
+   * Pause the slideshow (keeps the time left on the current photo)
+   */
+  pause() {
+    this.remainingTime = this.advanceTimeout
+      ? Math.max(0, this.advanceDueAt - Date.now())
+      : this.transitionTime;
+    this.stopAutoAdvance();
+
+    this.isPaused = true;
+    this.photoContainer.classList.add('paused');
+    logger.info('Slideshow paused');
+  }
+
+  /**
+   * Resume the slideshow
+   */
+  resume() {
+    this.isPaused = false;
+    this.photoContainer.classList.remove('paused');
+
+    if (this.shownPhotoId) {
+      this.scheduleNext(this.remainingTime ?? this.transitionTime);
+    }
+    this.remainingTime = null;
+    logger.info('Slideshow resumed');
+  }
+
   /**
    * Update transition time
    */
   updateTransitionTime(seconds) {
-    this.transitionTime = seconds * 1000;
+    const transitionTime = seconds * 1000;
+    if (transitionTime === this.transitionTime) return;
+
+    this.transitionTime = transitionTime;
+    this.updateMotionDuration();
     logger.info('Transition time updated', { seconds });
 
-    if (this.autoAdvanceInterval) {
-      this.startAutoAdvance();
+    if (this.advanceTimeout) {
+      this.scheduleNext();
     }
   }
 
@@ -418,11 +530,9 @@ class PhotosWidget {
       logger.info('Retrying photo load after circuit breaker cooldown');
       this.consecutiveFailures = 0;
 
-      // Try to show photos again if we have URLs
-      if (this.photoUrls.length > 0) {
-        this.currentPhotoIndex = 0;
-        this.showPhoto(0, false);
-        this.startAutoAdvance();
+      // Try to show photos again if we have any
+      if (this.playlist.size > 0) {
+        this.displayPhoto(this.playlist.next(), 'next');
       }
     }, 30000); // 30 seconds
   }
@@ -437,26 +547,6 @@ class PhotosWidget {
       logger.debug('Retry timeout cleared');
     }
   }
-
-  /**
-   * Detect and apply initial theme from parent or localStorage
-   */
-  detectAndApplyInitialTheme() {
-    const theme = detectCurrentTheme('light');
-    this.applyTheme(theme);
-    logger.debug('Initial theme detected and applied', { theme });
-  }
-
-  /**
-   * Apply theme to widget
-   * @param {string} theme - Theme name (e.g., 'light', 'dark', 'halloween-dark')
-   */
-  applyTheme(theme) {
-    // Use utility to apply theme classes (removes all existing theme classes automatically)
-    applyThemeToWidget(theme);
-
-    logger.debug('Theme applied to photos widget', { theme });
-  }
 }
 
 // Auto-initialize when module loads
@@ -0,0 +1,1041 @@
+// js/widgets/shared/event-editor-modal.js
+// D-pad friendly editor for creating, editing and deleting calendar events
+// v1.1 - 10/19/26 - Accounts without the calendar.events scope are asked to sign in again
+// v1.0 - 10/19/26 - Initial implementation (opened from agenda event modal and weekly calendar)
+
+import { createLogger } from '/js/utils/logger.js';
+
+const logger = createLogger('EventEditorModal');
+
+const TIME_STEP_MINUTES = 15;
+const DEFAULT_DURATION_MINUTES = 60;
+const READ_ONLY_ROLES = ['reader', 'freeBusyReader'];
+
+/**
+ * EventEditorModal - Create/edit/delete form rendered in the parent document
+ *
+ * Like AgendaEventModal, the modal lives outside the widget iframe and registers
+ * with the parent's dashieModalManager, so it receives D-pad input through the
+ * normal ActionRouter priority chain.
+ *
+ * Navigation:
+ * - UP/DOWN: move between fields
+ * - LEFT/RIGHT: change the focused value (calendar, date, all-day, start, end)
+ * - ENTER: next field / activate button
+ * - ESCAPE: cancel
+ *
+ * Writes go through the parent's CalendarService, which patches the widget
+ * data cache so every calendar widget updates immediately.
+ */
+export class EventEditorModal {
+  constructor() {
+    this.isVisible = false;
+    this.isSaving = false;
+    this.mode = 'create'; // 'create' | 'edit'
+    this.originalEvent = null;
+    this.state = null;
+    this.calendarOptions = [];
+    this.navConfig = null;
+    this.modalNavigation = null;
+    this.onClosed = null;
+  }
+
+  // ===========================================================================
+  // STATIC HELPERS
+  // ===========================================================================
+
+  /**
+   * Check whether an event's calendar accepts writes
+   * @param {Object} event - Processed event (needs prefixedCalendarId)
+   * @returns {boolean}
+   */
+  static canEdit(event) {
+    if (!event || !event.id || !event.prefixedCalendarId) {
+      return false;
+    }
+
+    const calendar = EventEditorModal.getCachedCalendars()
+      .find(cal => cal.prefixedId === event.prefixedCalendarId);
+
+    // Unknown calendar - let the API decide
+    if (!calendar || !calendar.accessRole) {
+      return true;
+    }
+
+    return !READ_ONLY_ROLES.includes(calendar.accessRole);
+  }
+
+  /**
+   * Calendars from the parent's widget data cache
+   * @returns {Array}
+   */
+  static getCachedCalendars() {
+    return window.parent?.widgetDataManager?.calendarDataCache?.calendars || [];
+  }
+
+  /**
+   * Account type of a calendar, e.g. 'primary' for 'primary-user@gmail.com'
+   * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+   * @returns {string}
+   */
+  static getAccountType(prefixedCalendarId) {
+    return prefixedCalendarId.slice(0, prefixedCalendarId.indexOf('-'));
+  }
+
+  /**
+   * Check whether the calendar's account granted the calendar.events scope
+   * @param {string} prefixedCalendarId - Account-prefixed calendar ID
+   * @returns {boolean}
+   */
+  static hasWriteScope(prefixedCalendarId) {
+    const calendarService = window.parent?.calendarService;
+    if (!calendarService?.hasWriteScope) {
+      return true;
+    }
+
+    return calendarService.hasWriteScope(EventEditorModal.getAccountType(prefixedCalendarId));
+  }
+
+  // ===========================================================================
+  // PUBLIC API
+  // ===========================================================================
+
+  /**
+   * Open the editor for a new event
+   * @param {Date} startDate - Start date/time (minutes are snapped to 15)
+   * @param {Object} options - {allDay, onClosed}
+   */
+  openForCreate(startDate = new Date(), options = {}) {
+    this.mode = 'create';
+    this.originalEvent = null;
+    this.onClosed = options.onClosed || null;
+    const writableCalendars = this.buildCalendarOptions();
+    this.calendarOptions = writableCalendars.filter(cal => EventEditorModal.hasWriteScope(cal.prefixedId));
+
+    if (this.calendarOptions.length === 0) {
+      if (writableCalendars.length > 0) {
+        logger.warn('Calendar accounts are missing the calendar.events scope');
+        this.promptReauthorization(EventEditorModal.getAccountType(writableCalendars[0].prefixedId));
+        return;
+      }
+
+      logger.warn('No writable calendars available for new event');
+      this.showParentAlert('No calendar available', 'Enable a calendar you can edit in Settings first.');
+      return;
+    }
+
+    const start = new Date(startDate);
+    const startMinutes = Math.floor((start.getHours() * 60 + start.getMinutes()) / TIME_STEP_MINUTES) * TIME_STEP_MINUTES;
+
+    this.state = {
+      summary: '',
+      location: '',
+      calendarIndex: 0,
+      dayStart: this.startOfDay(start),
+      allDay: !!options.allDay,
+      startMinutes: Math.min(startMinutes, 24 * 60 - TIME_STEP_MINUTES),
+      durationMinutes: DEFAULT_DURATION_MINUTES,
+      spanDays: 0
+    };
+
+    this.show();
+  }
+
+  /**
+   * Open the editor for an existing event
+   * @param {Object} event - Processed event from the widget data payload
+   * @param {Object} options - {onClosed}
+   */
+  openForEdit(event, options = {}) {
+    if (!EventEditorModal.hasWriteScope(event.prefixedCalendarId)) {
+      logger.warn('Calendar account is missing the calendar.events scope');
+      this.promptReauthorization(EventEditorModal.getAccountType(event.prefixedCalendarId));
+      return;
+    }
+
+    this.mode = 'edit';
+    this.originalEvent = event;
+    this.onClosed = options.onClosed || null;
+
+    const calendar = EventEditorModal.getCachedCalendars()
+      .find(cal => cal.prefixedId === event.prefixedCalendarId);
+
+    this.calendarOptions = [{
+      prefixedId: event.prefixedCalendarId,
+      name: calendar?.summary || event.calendarName || 'Calendar',
+      color: event.backgroundColor || calendar?.backgroundColor || '#1976d2'
+    }];
+
+    const isAllDay = !!event.start?.date;
+    let dayStart, startMinutes, durationMinutes, spanDays;
+
+    if (isAllDay) {
+      dayStart = this.parseDateOnly(event.start.date);
+      const lastDay = this.parseDateOnly(event.end?.date || event.start.date);
+      spanDays = Math.max(0, Math.round((lastDay - dayStart) / 86400000));
+      startMinutes = 9 * 60;
+      durationMinutes = DEFAULT_DURATION_MINUTES;
+    } else {
+      const start = new Date(event.start.dateTime);
+      const end = new Date(event.end.dateTime);
+      dayStart = this.startOfDay(start);
+      startMinutes = start.getHours() * 60 + start.getMinutes();
+      durationMinutes = Math.max(TIME_STEP_MINUTES, Math.round((end - start) / 60000));
+      spanDays = 0;
+    }
+
+    this.state = {
+      summary: event.summary || '',
+      location: event.location || '',
+      calendarIndex: 0,
+      dayStart,
+      allDay: isAllDay,
+      startMinutes,
+      durationMinutes,
+      spanDays
+    };
+
+    this.show();
+  }
+
+  /**
+   * Close the editor without saving
+   */
+  hideModal() {
+    this.isVisible = false;
+    this.isSaving = false;
+
+    if (this.modalNavigation) {
+      this.modalNavigation.destroy();
+      this.modalNavigation = null;
+    }
+
+    const modal = window.parent.document.getElementById('eventEditorModal');
+    if (modal) {
+      modal.remove();
+    }
+
+    logger.info('Event editor hidden');
+
+    window.dispatchEvent(new CustomEvent('modal-closed'));
+
+    if (this.onClosed) {
+      const callback = this.onClosed;
+      this.onClosed = null;
+      callback();
+    }
+  }
+
+  // ===========================================================================
+  // RENDERING
+  // ===========================================================================
+
+  show() {
+    this.isVisible = true;
+    this.isSaving = false;
+
+    this.createModal();
+    this.renderValues();
+    this.setupModalNavigation(window.parent.document.getElementById('eventEditorModal'));
+
+    logger.info('Event editor shown', {
+      mode: this.mode,
+      eventId: this.originalEvent?.id
+    });
+  }
+
+  createModal() {
+    const parentDoc = window.parent.document;
+
+    const existingModal = parentDoc.getElementById('eventEditorModal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const modal = parentDoc.createElement('div');
+    modal.id = 'eventEditorModal';
+    modal.className = 'event-editor-modal';
+    modal.tabIndex = -1;
+
+    const isEdit = this.mode === 'edit';
+
+    modal.innerHTML = `
+      <div class="event-editor-backdrop" id="eventEditorBackdrop">
+        <div class="event-editor-content">
+          <div class="event-editor-header">
+            <h3 class="event-editor-title">${isEdit ? 'Edit Event' : 'New Event'}</h3>
+          </div>
+          <div class="event-editor-body">
+            <label class="event-editor-row">
+              <span class="event-editor-label">Title</span>
+              <input class="event-editor-input" id="eventEditorSummary" type="text" placeholder="Event title" autocomplete="off">
+            </label>
+            ${this.renderStepper('eventEditorCalendar', 'Calendar', isEdit)}
+            ${this.renderStepper('eventEditorDate', 'Date')}
+            ${this.renderStepper('eventEditorAllDay', 'All day')}
+            ${this.renderStepper('eventEditorStart', 'Starts')}
+            ${this.renderStepper('eventEditorEnd', 'Ends')}
+            <label class="event-editor-row">
+              <span class="event-editor-label">Location</span>
+              <input class="event-editor-input" id="eventEditorLocation" type="text" placeholder="Optional" autocomplete="off">
+            </label>
+          </div>
+          <div class="event-editor-error" id="eventEditorError"></div>
+          <div class="event-editor-footer">
+            <button class="event-editor-button primary" id="eventEditorSave">Save</button>
+            ${isEdit ? '<button class="event-editor-button destructive" id="eventEditorDelete">Delete</button>' : ''}
+            <button class="event-editor-button" id="eventEditorCancel">Cancel</button>
+          </div>
+          <div class="event-editor-controls">↑↓ move · ←→ change · Enter select · Back cancel</div>
+        </div>
+      </div>
+    `;
+
+    this.addModalStyles(parentDoc);
+
+    // Text inputs keep state in sync as the user types
+    const summaryInput = modal.querySelector('#eventEditorSummary');
+    const locationInput = modal.querySelector('#eventEditorLocation');
+    summaryInput.value = this.state.summary;
+    locationInput.value = this.state.location;
+    summaryInput.addEventListener('input', () => { this.state.summary = summaryInput.value; });
+    locationInput.addEventListener('input', () => { this.state.location = locationInput.value; });
+
+    // Mouse/touch: arrows step values, clicking the row steps forward
+    modal.querySelectorAll('.event-editor-stepper').forEach(stepper => {
+      stepper.addEventListener('click', (e) => {
+        const arrow = e.target.closest('[data-step]');
+        const direction = arrow ? parseInt(arrow.dataset.step, 10) : 1;
+        this.adjustField(stepper.id, direction);
+      });
+    });
+
+    modal.querySelector('#eventEditorSave').addEventListener('click', () => this.save());
+    modal.querySelector('#eventEditorCancel').addEventListener('click', () => this.hideModal());
+    modal.querySelector('#eventEditorDelete')?.addEventListener('click', () => this.confirmDelete());
+
+    modal.addEventListener('click', (e) => {
+      if (e.target.id === 'eventEditorBackdrop') {
+        this.hideModal();
+      }
+    });
+
+    parentDoc.body.appendChild(modal);
+  }
+
+  renderStepper(id, label, isStatic = false) {
+    return `
+      <button class="event-editor-row event-editor-stepper${isStatic ? ' static' : ''}" id="${id}">
+        <span class="event-editor-label">${label}</span>
+        <span class="event-editor-arrow" data-step="-1">‹</span>
+        <span class="event-editor-value" id="${id}Value"></span>
+        <span class="event-editor-arrow" data-step="1">›</span>
+      </button>
+    `;
+  }
+
+  /**
+   * Refresh displayed values from state
+   */
+  renderValues() {
+    const parentDoc = window.parent.document;
+    const setValue = (id, text) => {
+      const el = parentDoc.getElementById(`${id}Value`);
+      if (el) el.textContent = text;
+    };
+
+    const calendar = this.calendarOptions[this.state.calendarIndex];
+    const calendarValue = parentDoc.getElementById('eventEditorCalendarValue');
+    if (calendarValue && calendar) {
+      calendarValue.innerHTML = '';
+      const dot = parentDoc.createElement('span');
+      dot.className = 'event-editor-dot';
+      dot.style.backgroundColor = calendar.color;
+      calendarValue.appendChild(dot);
+      calendarValue.appendChild(parentDoc.createTextNode(calendar.name));
+    }
+
+    setValue('eventEditorDate', this.formatDateLabel(this.state.dayStart, this.state.allDay ? this.state.spanDays : 0));
+    setValue('eventEditorAllDay', this.state.allDay ? 'Yes' : 'No');
+    setValue('eventEditorStart', this.formatMinutes(this.state.startMinutes));
+
+    const endMinutes = this.state.startMinutes + this.state.durationMinutes;
+    const endLabel = this.formatMinutes(endMinutes % (24 * 60));
+    setValue('eventEditorEnd', endMinutes >= 24 * 60 ? `${endLabel} (next day)` : endLabel);
+
+    // Time rows only apply to timed events
+    ['eventEditorStart', 'eventEditorEnd'].forEach(id => {
+      const row = parentDoc.getElementById(id);
+      if (row) row.style.display = this.state.allDay ? 'none' : '';
+    });
+  }
+
+  // ===========================================================================
+  // NAVIGATION
+  // ===========================================================================
+
+  /**
+   * Focusable element IDs in visual order (depends on mode and all-day state)
+   */
+  getFocusableIds() {
+    const ids = ['eventEditorSummary'];
+
+    if (this.mode === 'create' && this.calendarOptions.length > 1) {
+      ids.push('eventEditorCalendar');
+    }
+
+    ids.push('eventEditorDate', 'eventEditorAllDay');
+
+    if (!this.state.allDay) {
+      ids.push('eventEditorStart', 'eventEditorEnd');
+    }
+
+    ids.push('eventEditorLocation', 'eventEditorSave');
+
+    if (this.mode === 'edit') {
+      ids.push('eventEditorDelete');
+    }
+
+    ids.push('eventEditorCancel');
+    return ids;
+  }
+
+  setupModalNavigation(modal) {
+    const parentModalManager = window.parent.dashieModalManager;
+
+    if (!parentModalManager) {
+      logger.error('Parent window modal manager not found');
+      return;
+    }
+
+    this.navConfig = {
+      buttons: this.getFocusableIds().map(id => ({ id })),
+      horizontalNavigation: false,
+      initialFocus: 0,
+      onEscape: () => this.hideModal(),
+      customHandler: (action) => this.handleAction(action)
+    };
+
+    parentModalManager.registerModal(modal, this.navConfig);
+
+    this.modalNavigation = {
+      destroy: () => {
+        if (parentModalManager.activeModal === modal) {
+          parentModalManager.unregisterModal();
+        }
+      }
+    };
+
+    logger.debug('Event editor navigation set up with unified system');
+  }
+
+  /**
+   * Custom D-pad handling, called by dashieModalManager before its defaults
+   * @param {string} action - Normalized action
+   * @returns {boolean|undefined} true/false if handled here, undefined for default handling
+   */
+  handleAction(action) {
+    const parentModalManager = window.parent.dashieModalManager;
+
+    if (this.isSaving) {
+      return true;
+    }
+
+    const focused = parentModalManager.focusableElements[parentModalManager.currentIndex];
+    if (!focused) {
+      return undefined;
+    }
+
+    // Text inputs: let the keystroke reach the input (caret movement, typing)
+    if (focused.tagName === 'INPUT') {
+      if (['left', 'right', 'space', 'menu', 'prev', 'next'].includes(action)) {
+        return false;
+      }
+      if (action === 'enter') {
+        parentModalManager.moveFocus(1);
+        return true;
+      }
+      return undefined;
+    }
+
+    if (focused.classList.contains('event-editor-stepper')) {
+      if (action === 'left' || action === 'right') {
+        this.adjustField(focused.id, action === 'left' ? -1 : 1);
+        return true;
+      }
+      if (action === 'enter') {
+        if (focused.id === 'eventEditorAllDay') {
+          this.adjustField(focused.id, 1);
+        } else {
+          parentModalManager.moveFocus(1);
+        }
+        return true;
+      }
+      return undefined;
+    }
+
+    // Footer buttons sit in a row
+    if (action === 'left' || action === 'right') {
+      parentModalManager.moveFocus(action === 'left' ? -1 : 1);
+      return true;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Step a field value
+   * @param {string} fieldId - Stepper element ID
+   * @param {number} direction - -1 or 1
+   */
+  adjustField(fieldId, direction) {
+    const state = this.state;
+    const dayMinutes = 24 * 60;
+
+    switch (fieldId) {
+      case 'eventEditorCalendar':
+        if (this.mode !== 'create') return;
+        state.calendarIndex = (state.calendarIndex + direction + this.calendarOptions.length) % this.calendarOptions.length;
+        break;
+
+      case 'eventEditorDate': {
+        const day = new Date(state.dayStart);
+        day.setDate(day.getDate() + direction);
+        state.dayStart = day;
+        break;
+      }
+
+      case 'eventEditorAllDay':
+        state.allDay = !state.allDay;
+        this.updateFocusableElements('eventEditorAllDay');
+        break;
+
+      case 'eventEditorStart':
+        // Moving the start keeps the duration (end moves with it)
+        state.startMinutes = Math.min(
+          Math.max(0, state.startMinutes + direction * TIME_STEP_MINUTES),
+          dayMinutes - TIME_STEP_MINUTES
+        );
+        break;
+
+      case 'eventEditorEnd':
+        state.durationMinutes = Math.min(
+          Math.max(TIME_STEP_MINUTES, state.durationMinutes + direction * TIME_STEP_MINUTES),
+          dayMinutes
+        );
+        break;
+
+      default:
+        return;
+    }
+
+    this.clearError();
+    this.renderValues();
+  }
+
+  /**
+   * Rebuild focusable list after rows are shown/hidden, keeping focus on an element
+   * @param {string} keepFocusId - Element ID that should stay focused
+   */
+  updateFocusableElements(keepFocusId) {
+    const parentModalManager = window.parent.dashieModalManager;
+    if (!parentModalManager || !this.navConfig) return;
+
+    this.navConfig.buttons = this.getFocusableIds().map(id => ({ id }));
+    parentModalManager.updateFocusableElements();
+
+    const index = parentModalManager.focusableElements.findIndex(el => el.id === keepFocusId);
+    if (index >= 0) {
+      parentModalManager.currentIndex = index;
+      parentModalManager.updateFocus();
+    }
+  }
+
+  // ===========================================================================
+  // SAVE / DELETE
+  // ===========================================================================
+
+  /**
+   * Build Google Calendar event resource from editor state
+   * @returns {Object}
+   */
+  buildEventResource() {
+    const state = this.state;
+    const isEdit = this.mode === 'edit';
+    const resource = {
+      summary: state.summary.trim(),
+      location: state.location.trim()
+    };
+
+    if (state.allDay) {
+      // Google all-day end dates are exclusive
+      const endDay = new Date(state.dayStart);
+      endDay.setDate(endDay.getDate() + state.spanDays + 1);
+
+      resource.start = { date: this.formatDateKey(state.dayStart) };
+      resource.end = { date: this.formatDateKey(endDay) };
+
+      // PATCH needs the other form cleared when switching timed → all-day
+      if (isEdit) {
+        resource.start.dateTime = null;
+        resource.end.dateTime = null;
+      }
+    } else {
+      const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+      const start = new Date(state.dayStart);
+      start.setMinutes(state.startMinutes);
+      const end = new Date(start.getTime() + state.durationMinutes * 60000);
+
+      resource.start = { dateTime: start.toISOString(), timeZone };
+      resource.end = { dateTime: end.toISOString(), timeZone };
+
+      if (isEdit) {
+        resource.start.date = null;
+        resource.end.date = null;
+      }
+    }
+
+    return resource;
+  }
+
+  async save() {
+    if (this.isSaving) return;
+
+    if (!this.state.summary.trim()) {
+      this.showError('Please enter a title');
+      return;
+    }
+
+    const calendarService = window.parent.calendarService;
+    if (!calendarService) {
+      this.showError('Calendar service not available');
+      return;
+    }
+
+    const resource = this.buildEventResource();
+    this.setSaving(true, 'Saving…');
+
+    try {
+      if (this.mode === 'edit') {
+        await calendarService.updateEvent(this.originalEvent.prefixedCalendarId, this.originalEvent.id, resource);
+      } else {
+        const calendar = this.calendarOptions[this.state.calendarIndex];
+        await calendarService.createEvent(calendar.prefixedId, resource);
+      }
+
+      logger.success('Event saved', { mode: this.mode, summary: resource.summary });
+      this.hideModal();
+
+    } catch (error) {
+      logger.error('Failed to save event', error);
+      this.setSaving(false);
+      if (!this.handleScopeError(error)) {
+        this.showError(this.describeError(error));
+      }
+    }
+  }
+
+  confirmDelete() {
+    if (this.isSaving) return;
+
+    const modals = window.parent.modals;
+    // The dialog message is HTML - event and calendar names come from Google
+    const title = this.escapeHtml(this.originalEvent?.summary || 'this event');
+    const calendarName = this.escapeHtml(this.calendarOptions[0]?.name || 'the calendar');
+
+    if (!modals) {
+      this.deleteEvent();
+      return;
+    }
+
+    modals.showConfirmation({
+      title: 'Delete Event?',
+      message: `"${title}" will be removed from ${calendarName}.`,
+      confirmLabel: 'Delete',
+      cancelLabel: 'Keep',
+      confirmStyle: 'destructive',
+      onConfirm: () => this.deleteEvent(),
+      onCancel: () => window.parent.dashieModalManager?.updateFocus()
+    });
+  }
+
+  async deleteEvent() {
+    const calendarService = window.parent.calendarService;
+    if (!calendarService || !this.originalEvent) return;
+
+    this.setSaving(true, 'Deleting…');
+
+    try {
+      await calendarService.deleteEvent(this.originalEvent.prefixedCalendarId, this.originalEvent.id);
+      logger.success('Event deleted', { eventId: this.originalEvent.id });
+      this.hideModal();
+
+    } catch (error) {
+      logger.error('Failed to delete event', error);
+      this.setSaving(false);
+      if (!this.handleScopeError(error)) {
+        this.showError(this.describeError(error));
+      }
+    }
+  }
+
+  /**
+   * Close the editor and ask to sign in again if Google refused the write for
+   * a missing calendar.events scope
+   * @returns {boolean} True if handled
+   */
+  handleScopeError(error) {
+    if (error?.code !== 'CALENDAR_SCOPE_REQUIRED') {
+      return false;
+    }
+
+    this.hideModal();
+    this.promptReauthorization(error.accountType);
+    return true;
+  }
+
+  /**
+   * Explain that the account only allows reading calendars
+   * The main account can sign in again right away (the sign-in asks for
+   * calendar.events); other accounts are re-added in Settings.
+   * @param {string} accountType - Account type (e.g., 'primary', 'account2')
+   */
+  promptReauthorization(accountType) {
+    const modals = window.parent.modals;
+    if (!modals) return;
+
+    if (accountType !== 'primary') {
+      this.showParentAlert(
+        'Allow calendar editing',
+        'This calendar account only allows viewing events. Remove it in Settings → Calendar and add it again to allow editing.'
+      );
+      return;
+    }
+
+    modals.showConfirmation({
+      title: 'Allow calendar editing',
+      message: 'Your Google sign-in only allows viewing events. Sign in again and allow calendar access to add and change events.',
+      confirmLabel: 'Sign In Again',
+      cancelLabel: 'Not Now',
+      onConfirm: () => modals.handleLogout(),
+      onCancel: () => window.parent.dashieModalManager?.updateFocus()
+    });
+  }
+
+  describeError(error) {
+    const message = error?.message || '';
+    if (message.includes('HTTP 403')) {
+      return 'You don\'t have permission to change this calendar.';
+    }
+    if (message.includes('HTTP 404') || message.includes('HTTP 410')) {
+      return 'This event no longer exists.';
+    }
+    return 'Could not save changes. Please try again.';
+  }
+
+  setSaving(isSaving, message = '') {
+    this.isSaving = isSaving;
+
+    const content = window.parent.document.querySelector('#eventEditorModal .event-editor-content');
+    if (content) {
+      content.classList.toggle('saving', isSaving);
+    }
+
+    const errorEl = window.parent.document.getElementById('eventEditorError');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.remove('visible-error');
+    }
+  }
+
+  showError(message) {
+    const errorEl = window.parent.document.getElementById('eventEditorError');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.classList.add('visible-error');
+    }
+  }
+
+  clearError() {
+    const errorEl = window.parent.document.getElementById('eventEditorError');
+    if (errorEl) {
+      errorEl.textContent = '';
+      errorEl.classList.remove('visible-error');
+    }
+  }
+
+  showParentAlert(title, message) {
+    const modals = window.parent.modals;
+    if (modals) {
+      modals.showConfirmation({
+        title,
+        message,
+        confirmLabel: 'OK',
+        cancelLabel: 'Close',
+        onConfirm: () => {}
+      });
+    }
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Writable, active calendars for the new-event picker (primary first)
+   */
+  buildCalendarOptions() {
+    return EventEditorModal.getCachedCalendars()
+      .filter(cal => cal.isActive && !READ_ONLY_ROLES.includes(cal.accessRole))
+      .sort((a, b) => (b.primary ? 1 : 0) - (a.primary ? 1 : 0))
+      .map(cal => ({
+        prefixedId: cal.prefixedId,
+        name: cal.summary || 'Calendar',
+        color: cal.backgroundColor || '#1976d2'
+      }));
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  parseDateOnly(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(part => parseInt(part, 10));
+    return new Date(year, month - 1, day);
+  }
+
+  formatDateKey(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  formatDateLabel(date, spanDays = 0) {
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    const label = date.toLocaleDateString('en-US', options);
+
+    if (spanDays > 0) {
+      const lastDay = new Date(date);
+      lastDay.setDate(lastDay.getDate() + spanDays);
+      return `${label} – ${lastDay.toLocaleDateString('en-US', options)}`;
+    }
+
+    return label;
+  }
+
+  formatMinutes(totalMinutes) {
+    const hour = Math.floor(totalMinutes / 60);
+    const minute = totalMinutes % 60;
+    const period = hour >= 12 ? 'PM' : 'AM';
+    const displayHour = hour === 0 ? 12 : hour > 12 ? hour - 12 : hour;
+    return `${displayHour}:${String(minute).padStart(2, '0')} ${period}`;
+  }
+
+  addModalStyles(parentDoc) {
+    if (parentDoc.getElementById('event-editor-modal-styles')) {
+      return;
+    }
+
+    const style = parentDoc.createElement('style');
+    style.id = 'event-editor-modal-styles';
+    style.textContent = `
+      .event-editor-modal {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100vw;
+        height: 100vh;
+        z-index: 10000;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif;
+      }
+
+      .event-editor-backdrop {
+        position: absolute;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        padding: 20px;
+        box-sizing: border-box;
+      }
+
+      .event-editor-content {
+        background: var(--bg-secondary, #333);
+        border: 1px solid var(--text-muted, #666);
+        border-radius: 8px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.5);
+        max-width: 520px;
+        width: 100%;
+        max-height: 90vh;
+        overflow-y: auto;
+        color: var(--text-primary, #fff);
+      }
+
+      .event-editor-content.saving {
+        opacity: 0.7;
+        pointer-events: none;
+      }
+
+      .event-editor-header {
+        padding: 16px 20px;
+        border-bottom: 1px solid var(--text-muted, #666);
+      }
+
+      .event-editor-title {
+        margin: 0;
+        font-size: 16px;
+        font-weight: 600;
+      }
+
+      .event-editor-body {
+        padding: 12px 20px;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+      }
+
+      .event-editor-row {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        width: 100%;
+        padding: 8px 10px;
+        border-radius: 6px;
+        border: 2px solid transparent;
+        background: var(--bg-primary, #222);
+        color: inherit;
+        font: inherit;
+        font-size: 14px;
+        text-align: left;
+        box-sizing: border-box;
+        cursor: pointer;
+      }
+
+      .event-editor-label {
+        min-width: 80px;
+        font-weight: 600;
+        font-size: 13px;
+        color: var(--text-secondary, #ccc);
+      }
+
+      .event-editor-input {
+        flex: 1;
+        background: transparent;
+        border: none;
+        color: inherit;
+        font: inherit;
+        outline: none;
+      }
+
+      .event-editor-value {
+        flex: 1;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .event-editor-arrow {
+        color: var(--text-muted, #999);
+        font-size: 18px;
+        padding: 0 6px;
+        visibility: hidden;
+      }
+
+      .event-editor-stepper:focus .event-editor-arrow {
+        visibility: visible;
+      }
+
+      .event-editor-stepper.static {
+        cursor: default;
+      }
+
+      .event-editor-stepper.static .event-editor-arrow {
+        display: none;
+      }
+
+      .event-editor-dot {
+        width: 12px;
+        height: 12px;
+        border-radius: 50%;
+        flex-shrink: 0;
+      }
+
+      .event-editor-row:focus,
+      .event-editor-row:focus-within,
+      .event-editor-button:focus {
+        outline: none;
+        border-color: #ffaa00;
+        box-shadow: 0 0 15px rgba(255, 170, 0, 0.4);
+      }
+
+      .event-editor-error {
+        min-height: 18px;
+        padding: 0 20px;
+        font-size: 12px;
+        color: var(--text-secondary, #ccc);
+      }
+
+      .event-editor-error.visible-error {
+        color: #ff6b6b;
+      }
+
+      .event-editor-footer {
+        padding: 12px 20px;
+        border-top: 1px solid var(--text-muted, #666);
+        display: flex;
+        justify-content: flex-end;
+        gap: 10px;
+      }
+
+      .event-editor-button {
+        padding: 8px 18px;
+        border-radius: 6px;
+        border: 2px solid transparent;
+        background: var(--bg-primary, #222);
+        color: inherit;
+        font: inherit;
+        font-size: 14px;
+        cursor: pointer;
+      }
+
+      .event-editor-button.primary {
+        background: #1976d2;
+        color: #fff;
+      }
+
+      .event-editor-button.destructive {
+        background: #c62828;
+        color: #fff;
+      }
+
+      .event-editor-controls {
+        padding: 0 20px 12px;
+        font-size: 11px;
+        text-align: center;
+        color: var(--text-muted, #999);
+      }
+
+      /* Light theme overrides */
+      body.theme-light .event-editor-content {
+        background: var(--bg-secondary, #fcfcff);
+        color: var(--text-primary, #424242);
+      }
+
+      body.theme-light .event-editor-row,
+      body.theme-light .event-editor-button:not(.primary):not(.destructive) {
+        background: var(--bg-primary, #f0f0f5);
+      }
+    `;
+
+    parentDoc.head.appendChild(style);
+  }
+}
@@ -0,0 +1,102 @@
+// js/widgets/shared/family-members.js
+// Match calendar events to family members (family.members calendar assignments)
+// v1.0 - 10/19/26 - Initial implementation (used by calendar and agenda widgets)
+
+/**
+ * Family settings as sent with calendar data by WidgetDataManager:
+ *   { members: [{ id, name, color, emoji, photoUrl, birthday, calendarIds }], colorEventsByMember }
+ *
+ * calendarIds are account-prefixed (e.g. 'primary-user@gmail.com'), the same IDs
+ * events carry in prefixedCalendarId (or calendars[].id once merged).
+ */
+
+/**
+ * Account-prefixed calendar IDs an event belongs to (merged events list all of them)
+ * @param {Object} event - Raw or merged calendar event
+ * @returns {Array<string>}
+ */
+export function getEventCalendarIds(event) {
+  if (event.calendars?.length) {
+    return event.calendars.map(cal => cal.id);
+  }
+  return [event.prefixedCalendarId || event.calendarId].filter(Boolean);
+}
+
+/**
+ * Members who own any of the event's calendars
+ * @param {Object} event - Raw or merged calendar event
+ * @param {Array<Object>} members - family.members
+ * @returns {Array<Object>} Matching members (settings order)
+ */
+export function getEventMembers(event, members = []) {
+  const calendarIds = getEventCalendarIds(event);
+  return members.filter(member => member.calendarIds?.some(id => calendarIds.includes(id)));
+}
+
+/**
+ * Short avatar text for a member: emoji, else first letter of the name
+ * @param {Object} member - Family member
+ * @returns {string}
+ */
+export function getMemberInitial(member) {
+  return member.emoji || (member.name || '?').trim().charAt(0).toUpperCase() || '?';
+}
+
+/**
+ * Small round avatar (photo, emoji or initial) for labelling events
+ * @param {Object} member - Family member
+ * @param {string} className - CSS class for the badge
+ * @returns {string} HTML string
+ */
+export function renderMemberBadge(member, className = 'member-badge') {
+  const name = escapeAttribute(member.name || '');
+  const color = escapeAttribute(member.color || '#6b7280');
+
+  if (member.photoUrl) {
+    return `<span class="${className}" title="${name}" style="border-color: ${color};"><img src="${escapeAttribute(member.photoUrl)}" alt="${name}"></span>`;
+  }
+
+  return `<span class="${className}" title="${name}" style="background-color: ${color}; border-color: ${color};">${escapeAttribute(getMemberInitial(member))}</span>`;
+}
+
+/**
+ * Attach owning members to each event and, when enabled, replace calendar colours
+ * with member colours so every renderer (solid and split multi-calendar) picks them up.
+ * Calendars no member owns keep their own colour.
+ *
+ * @param {Array<Object>} events - Merged events (modified in place)
+ * @param {Object} family - { members, colorEventsByMember }
+ * @returns {Array<Object>} The same events
+ */
+export function applyFamilyMembers(events, family = {}) {
+  const members = family.members || [];
+
+  const memberColorFor = (calendarId) =>
+    members.find(member => member.color && member.calendarIds?.includes(calendarId))?.color;
+
+  events.forEach(event => {
+    event.members = getEventMembers(event, members);
+
+    if (!family.colorEventsByMember || event.members.length === 0) return;
+
+    const ownId = event.prefixedCalendarId || event.calendarId;
+    event.backgroundColor = memberColorFor(ownId) || event.backgroundColor;
+
+    if (event.calendars?.length) {
+      event.calendars = event.calendars.map(cal => ({
+        ...cal,
+        backgroundColor: memberColorFor(cal.id) || cal.backgroundColor
+      }));
+    }
+  });
+
+  return events;
+}
+
+function escapeAttribute(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
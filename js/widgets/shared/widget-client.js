@@ -0,0 +1,317 @@
+// js/widgets/shared/widget-client.js
+// Iframe side of the Dashboard widget protocol (built-in widgets and widget plugins)
+// v1.0 - 10/19/26 - Initial implementation
+// v1.1 - 10/19/26 - Protocol version on every message, request() with correlated responses
+
+import { createLogger } from '/js/utils/logger.js';
+import { detectCurrentTheme, applyThemeToWidget } from '/js/widgets/shared/widget-theme-detector.js';
+import { WIDGET_PROTOCOL_VERSION, WIDGET_MESSAGE_TYPES, WIDGET_COMMANDS, WIDGET_EVENT_TYPES } from '/config.js';
+
+const logger = createLogger('WidgetClient');
+
+// Focus menu actions sent by the Dashboard (see dashboard-focus-menu.js)
+const MENU_ITEM_SELECTED = 'menu-item-selected';
+const MENU_PREVIEW_ACTIONS = ['menu-active', 'menu-selection-changed'];
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Widget Client
+ *
+ * Handles everything a widget page needs to talk to the Dashboard, so widgets
+ * only implement what they show:
+ * - widget-ready / widget-config / return-to-menu messages
+ * - The 3-state focus model (unfocused → focused → active); navigation commands
+ *   are only delivered while the widget is active
+ * - Theme: initial detection and theme-change messages
+ * - Data messages: { type: 'data', payload: { dataType, payload } }
+ * - Requests: await client.request(method, params) (see js/core/widget-protocol.js)
+ *
+ * Usage:
+ *   const client = new WidgetClient('lunch-menu');
+ *   client.on('data', (dataType, payload) => { ... });
+ *   client.on('command', (action) => { ... });   // up/down/left/right/enter/escape
+ *   client.on('menu-item', (itemId) => { ... });
+ *   client.ready();
+ *
+ *   const { events } = await client.request('calendar.getEvents', { start, end });
+ *
+ * Events: data, command, focus, blur, activate, deactivate, menu-item, theme, message
+ * ('message' receives any other message from the Dashboard, unchanged)
+ */
+export class WidgetClient {
+  /**
+   * @param {string} widgetId - Widget ID (must match the widget definition / plugin manifest id)
+   * @param {Object} options
+   * @param {string} options.defaultTheme - Theme used when none can be detected (default 'dark')
+   * @param {boolean} options.applyTheme - Apply theme classes automatically (default true)
+   */
+  constructor(widgetId, { defaultTheme = 'dark', applyTheme = true } = {}) {
+    this.widgetId = widgetId;
+    this.autoApplyTheme = applyTheme;
+    this.handlers = new Map(); // event name → Set of handlers
+    this.pendingRequests = new Map(); // requestId → { resolve, reject, timer }
+    this.nextRequestId = 1;
+
+    // Widget state (3-state model)
+    this.isFocused = false;
+    this.isActive = false;
+    this.currentTheme = null;
+
+    this.setTheme(detectCurrentTheme(defaultTheme));
+    window.addEventListener('message', (event) => this.handleMessage(event));
+  }
+
+  /**
+   * Subscribe to a client event
+   * @param {string} eventName - Event name (see class docs)
+   * @param {Function} handler - Handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.handlers.has(eventName)) {
+      this.handlers.set(eventName, new Set());
+    }
+    this.handlers.get(eventName).add(handler);
+
+    return () => this.handlers.get(eventName)?.delete(handler);
+  }
+
+  /**
+   * Tell the Dashboard the widget is loaded (it then sends the widget its data)
+   * Call after subscribing to 'data'.
+   * @param {Object} data - Extra ready data (e.g. { hasMenu: true })
+   */
+  ready(data = {}) {
+    this.postToParent({
+      type: WIDGET_EVENT_TYPES.WIDGET_READY,
+      widgetId: this.widgetId,
+      data: { hasMenu: false, ...data }
+    });
+
+    logger.debug('Ready signal sent', { widgetId: this.widgetId });
+  }
+
+  /**
+   * Set (or replace) the focus menu shown beside the focused widget
+   * @param {Array<{id: string, label: string}>} items - Menu items
+   * @param {Object} options - { defaultIndex, currentView }
+   */
+  setMenu(items, { defaultIndex = 0, currentView = null } = {}) {
+    this.postToParent({
+      type: 'widget-config',
+      widget: this.widgetId,
+      focusMenu: {
+        enabled: items.length > 0,
+        defaultIndex,
+        currentView,
+        items: items.map(item => ({ type: 'action', ...item }))
+      }
+    });
+  }
+
+  /**
+   * Hand D-pad control back to the focus menu (e.g. LEFT at the widget's left edge)
+   */
+  returnToMenu() {
+    this.postToParent({ type: WIDGET_EVENT_TYPES.RETURN_TO_MENU });
+  }
+
+  /**
+   * Ask the Dashboard for data and wait for the answer
+   * Methods: 'calendar.getEvents' { start, end } → { start, end, calendars, events }
+   *          'data.get' { dataType } → current payload of that data type
+   * Widget plugins can only request the data types their manifest subscribes to.
+   * @param {string} method - Request method
+   * @param {Object} params - Method parameters (must be cloneable)
+   * @param {Object} options - { timeoutMs } (default 10s)
+   * @returns {Promise<*>} Result
+   * @throws {Error} With .code ('invalid-request', 'unknown-method', 'forbidden', 'failed', 'timeout')
+   */
+  request(method, params = {}, { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    const requestId = `${this.widgetId}-${this.nextRequestId++}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(this.createRequestError('timeout', `No response to "${method}" after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+      this.postToParent({
+        type: WIDGET_MESSAGE_TYPES.REQUEST,
+        widgetId: this.widgetId,
+        requestId,
+        method,
+        params
+      });
+    });
+  }
+
+  /**
+   * Apply a theme (also called for theme-change messages)
+   * @param {string} theme - Theme name (e.g. 'light', 'halloween-dark')
+   */
+  setTheme(theme) {
+    if (!theme || theme === this.currentTheme) return;
+
+    this.currentTheme = theme;
+    if (this.autoApplyTheme) {
+      applyThemeToWidget(theme);
+    }
+    this.emit('theme', theme);
+  }
+
+  // =============================================================================
+  // INCOMING MESSAGES
+  // =============================================================================
+
+  /**
+   * Route a message from the Dashboard
+   * @private
+   * @param {MessageEvent} event - Message event
+   */
+  handleMessage(event) {
+    // Only the Dashboard (parent window) may drive the widget
+    if (event.source !== window.parent || !event.data?.type) return;
+
+    const message = event.data;
+
+    if (message.v > WIDGET_PROTOCOL_VERSION) {
+      logger.warn('Ignoring message from newer protocol version', { v: message.v, type: message.type });
+      return;
+    }
+
+    switch (message.type) {
+      case WIDGET_MESSAGE_TYPES.COMMAND:
+        this.handleCommand(message.payload?.action || message.action, message.payload || {});
+        return;
+
+      case 'theme-change':
+        this.setTheme(message.theme);
+        return;
+
+      case WIDGET_MESSAGE_TYPES.RESPONSE:
+        this.handleResponse(message);
+        return;
+
+      case WIDGET_MESSAGE_TYPES.DATA:
+        if (message.payload?.dataType && 'payload' in message.payload) {
+          this.emit('data', message.payload.dataType, message.payload.payload);
+          return;
+        }
+        break;
+    }
+
+    this.emit('message', message);
+  }
+
+  /**
+   * Apply state transitions and deliver commands
+   * @private
+   * @param {string} action - Command action
+   * @param {Object} payload - Command payload (e.g. { itemId })
+   */
+  handleCommand(action, payload) {
+    if (!action) return;
+
+    switch (action) {
+      case WIDGET_COMMANDS.ENTER_FOCUS:
+        this.isFocused = true;
+        this.emit('focus');
+        return;
+
+      case WIDGET_COMMANDS.ENTER_ACTIVE:
+        this.isFocused = true;
+        this.isActive = true;
+        this.emit('activate');
+        return;
+
+      case WIDGET_COMMANDS.EXIT_ACTIVE:
+        this.isActive = false;
+        this.emit('deactivate');
+        return;
+
+      case WIDGET_COMMANDS.EXIT_FOCUS:
+        this.isFocused = false;
+        this.isActive = false;
+        this.emit('blur');
+        return;
+
+      case MENU_ITEM_SELECTED:
+        this.emit('menu-item', payload.itemId);
+        return;
+    }
+
+    if (MENU_PREVIEW_ACTIONS.includes(action)) return;
+
+    if (!this.isActive) {
+      logger.debug('Command ignored - widget not active', { widgetId: this.widgetId, action });
+      return;
+    }
+
+    this.emit('command', action, payload);
+  }
+
+  /**
+   * Settle the pending request a response belongs to
+   * @private
+   * @param {Object} message - { requestId, ok, result, error }
+   */
+  handleResponse(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (!pending) {
+      logger.debug('Response for unknown or timed out request', { requestId: message.requestId });
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(message.requestId);
+
+    if (message.ok) {
+      pending.resolve(message.result);
+    } else {
+      pending.reject(this.createRequestError(message.error?.code, message.error?.message));
+    }
+  }
+
+  // =============================================================================
+  // HELPERS
+  // =============================================================================
+
+  /**
+   * @private
+   * @returns {Error} Error with a .code
+   */
+  createRequestError(code, message) {
+    const error = new Error(message || 'Request failed');
+    error.code = code || 'failed';
+    return error;
+  }
+
+  /**
+   * Call handlers for an event (a failing handler doesn't stop the others)
+   * @private
+   */
+  emit(eventName, ...args) {
+    this.handlers.get(eventName)?.forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        logger.error(`Widget '${eventName}' handler failed`, error);
+      }
+    });
+  }
+
+  /**
+   * Post a message to the Dashboard
+   * @private
+   * @param {Object} message - Message
+   */
+  postToParent(message) {
+    if (window.parent !== window) {
+      window.parent.postMessage({ v: WIDGET_PROTOCOL_VERSION, ...message }, '*');
+    }
+  }
+}
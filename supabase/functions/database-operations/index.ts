@@ -6,17 +6,42 @@
 // CALENDAR OPERATIONS:
 // - save_calendar_config: Save active calendar IDs to user_calendar_config
 // - load_calendar_config: Load active calendar IDs from user_calendar_config
+// - fetch_ics_feed: Download a subscribed ICS feed (proxy - feed hosts rarely allow CORS)
+// - caldav_request: PROPFIND/REPORT against a connected CalDAV account (adds stored credentials)
 //
 // PHOTO STORAGE OPERATIONS:
 // - get_storage_quota: Get user's photo storage quota and usage from user_storage_quota
 // - init_storage_quota: Initialize storage quota for new user in user_storage_quota
-// - create_photo_record: Create database record for uploaded photo in user_photos
+// - create_photo_record: Create database record for uploaded photo in user_photos (with EXIF metadata)
 // - update_storage_quota: Update storage usage in user_storage_quota after upload/delete
 // - list_photos: List all photos for user from user_photos
+// - fetch_media_feed: Download a photo media feed (RSS/Atom/JSON/URL list) for the feed photo source (proxy)
 // - list_folders: List all photo folders for user from user_photos
 // - delete_photo: Delete a single photo record from user_photos
 // - delete_all_photos: Delete all photo records for user from user_photos
 //
+// DASHBOARD OPERATIONS:
+// - list_dashboards: List the user's dashboards with online status (check_dashboard_online_status)
+// - remove_dashboard: Forget a dashboard (its row in dashboard_heartbeats; it reappears if it sends a heartbeat)
+// - save_device_overrides: Save the settings a dashboard keeps for itself (dashboard_heartbeats.device_overrides)
+//
+// MESSAGE BOARD OPERATIONS:
+// - list_messages: List active notes from family_messages (deletes day-old dismissed/expired ones)
+// - post_message: Post a note with a priority and optional expiry
+// - dismiss_message: Dismiss a note on every dashboard
+//
+// HOUSEHOLD OPERATIONS:
+// - get_household: Household, members, pending invitations and invitations addressed to the caller
+// - invite_household_member: Invite an email address as adult or viewer (creates the household on first invite)
+// - respond_household_invitation: Accept or decline an invitation addressed to the caller
+// - revoke_household_invitation: Withdraw a pending invitation (owner)
+// - update_household_member: Change a member's role (owner)
+// - remove_household_member: Remove a member (owner), or leave the household
+//
+// Photo, dashboard and message operations act on the household's shared data
+// (keyed by the owner's auth_user_id) - see getHouseholdContext(). Calendar
+// operations always use the caller's own rows.
+//
 // ACCOUNT OPERATIONS:
 // - delete_account: Delete user account and all associated data
 // ============================================================================
@@ -57,6 +82,10 @@ if (!JWT_SECRET || !SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
  * - user_storage_quota: Storage usage tracking
  * - user_settings: General user settings (theme, etc.)
  * - dashboard_heartbeats: Dashboard activity tracking (optional)
+ * - family_messages: Message board notes
+ *
+ * Household tables cascade from auth.users (deleting the owner deletes the
+ * household and its invitations; deleting a member removes the membership).
  *
  * Tables with auth_user_id that should NOT be deleted:
  * - None currently (all user data should be removed)
@@ -74,6 +103,7 @@ const DELETION_CONFIG = {
     'user_auth_tokens',      // OAuth tokens
     'user_settings',         // User settings
     'dashboard_heartbeats',  // Activity tracking
+    'family_messages',       // Message board notes
     'user_profiles'          // Finally, user profile
     // Note: auth.users record deleted separately via supabase.auth.admin.deleteUser()
   ],
@@ -100,7 +130,7 @@ serve(async (req) => {
 
   try {
     const body = await req.json();
-    const { operation, data, active_calendar_ids } = body;
+    const { operation, data, active_calendar_ids, ics_feeds, url, account_type } = body;
 
     console.log(`📊 Database operation request: ${operation}`);
 
@@ -122,33 +152,79 @@ serve(async (req) => {
 
     const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
+    // ==================== HOUSEHOLD CONTEXT ====================
+
+    // Shared data belongs to the household owner (the caller, without a household)
+    const household = await getHouseholdContext(supabase, userId);
+    const dataUserId = household.dataUserId;
+
+    if (household.role === 'viewer' && SHARED_WRITE_OPERATIONS.includes(operation)) {
+      return jsonResponse({ error: 'Viewers cannot change household data' }, 403);
+    }
+
     // ==================== OPERATION ROUTING ====================
 
     let result;
 
     // Calendar operations
     if (operation === 'save_calendar_config') {
-      result = await handleSaveCalendarConfig(supabase, userId, active_calendar_ids);
+      result = await handleSaveCalendarConfig(supabase, userId, active_calendar_ids, ics_feeds);
     } else if (operation === 'load_calendar_config') {
       result = await handleLoadCalendarConfig(supabase, userId);
+    } else if (operation === 'fetch_ics_feed') {
+      result = await handleFetchIcsFeed(url);
+    } else if (operation === 'fetch_media_feed') {
+      result = await handleFetchMediaFeed(url);
+    } else if (operation === 'caldav_request') {
+      result = await handleCalDAVRequest(supabase, userId, account_type, data);
 
     // Photo storage operations
     } else if (operation === 'get_storage_quota') {
-      result = await handleGetStorageQuota(supabase, userId);
+      result = await handleGetStorageQuota(supabase, dataUserId);
     } else if (operation === 'init_storage_quota') {
-      result = await handleInitStorageQuota(supabase, userId);
+      result = await handleInitStorageQuota(supabase, dataUserId);
     } else if (operation === 'create_photo_record') {
-      result = await handleCreatePhotoRecord(supabase, userId, data);
+      result = await handleCreatePhotoRecord(supabase, dataUserId, data);
     } else if (operation === 'update_storage_quota') {
-      result = await handleUpdateStorageQuota(supabase, userId, data);
+      result = await handleUpdateStorageQuota(supabase, dataUserId, data);
     } else if (operation === 'list_photos') {
-      result = await handleListPhotos(supabase, userId, data);
+      result = await handleListPhotos(supabase, dataUserId, data);
     } else if (operation === 'list_folders') {
-      result = await handleListFolders(supabase, userId);
+      result = await handleListFolders(supabase, dataUserId);
     } else if (operation === 'delete_photo') {
-      result = await handleDeletePhoto(supabase, userId, data);
+      result = await handleDeletePhoto(supabase, dataUserId, data);
     } else if (operation === 'delete_all_photos') {
-      result = await handleDeleteAllPhotos(supabase, userId);
+      result = await handleDeleteAllPhotos(supabase, dataUserId);
+
+    // Dashboard operations
+    } else if (operation === 'list_dashboards') {
+      result = await handleListDashboards(supabase, dataUserId, data);
+    } else if (operation === 'remove_dashboard') {
+      result = await handleRemoveDashboard(supabase, dataUserId, data);
+    } else if (operation === 'save_device_overrides') {
+      result = await handleSaveDeviceOverrides(supabase, dataUserId, data);
+
+    // Message board operations
+    } else if (operation === 'list_messages') {
+      result = await handleListMessages(supabase, dataUserId);
+    } else if (operation === 'post_message') {
+      result = await handlePostMessage(supabase, dataUserId, data);
+    } else if (operation === 'dismiss_message') {
+      result = await handleDismissMessage(supabase, dataUserId, data);
+
+    // Household operations
+    } else if (operation === 'get_household') {
+      result = await handleGetHousehold(supabase, userId, supabaseJWT);
+    } else if (operation === 'invite_household_member') {
+      result = await handleInviteHouseholdMember(supabase, userId, supabaseJWT, data);
+    } else if (operation === 'respond_household_invitation') {
+      result = await handleRespondHouseholdInvitation(supabase, userId, supabaseJWT, data);
+    } else if (operation === 'revoke_household_invitation') {
+      result = await handleRevokeHouseholdInvitation(supabase, userId, data);
+    } else if (operation === 'update_household_member') {
+      result = await handleUpdateHouseholdMember(supabase, userId, data);
+    } else if (operation === 'remove_household_member') {
+      result = await handleRemoveHouseholdMember(supabase, userId, data);
 
     // Account operations
     } else if (operation === 'delete_account') {
@@ -176,26 +252,39 @@ serve(async (req) => {
 async function handleSaveCalendarConfig(
   supabase: any,
   authUserId: string,
-  activeCalendarIds: string[]
+  activeCalendarIds: string[],
+  icsFeeds?: any[]
 ) {
   try {
     console.log(`📅 Saving calendar config for user: ${authUserId}`, {
       count: activeCalendarIds?.length || 0,
-      ids: activeCalendarIds
+      ids: activeCalendarIds,
+      icsFeeds: icsFeeds?.length
     });
 
     if (!Array.isArray(activeCalendarIds)) {
       throw new Error('active_calendar_ids must be an array');
     }
 
+    if (icsFeeds !== undefined && !Array.isArray(icsFeeds)) {
+      throw new Error('ics_feeds must be an array');
+    }
+
+    const record: any = {
+      auth_user_id: authUserId,
+      active_calendar_ids: activeCalendarIds,
+      updated_at: new Date().toISOString()
+    };
+
+    // Only touch feeds when the client sent them (older clients don't)
+    if (icsFeeds !== undefined) {
+      record.ics_feeds = icsFeeds.map(sanitizeIcsFeed);
+    }
+
     // Upsert to user_calendar_config table
     const { data, error } = await supabase
       .from('user_calendar_config')
-      .upsert({
-        auth_user_id: authUserId,
-        active_calendar_ids: activeCalendarIds,
-        updated_at: new Date().toISOString()
-      }, {
+      .upsert(record, {
         onConflict: 'auth_user_id'
       })
       .select();
@@ -230,7 +319,7 @@ async function handleLoadCalendarConfig(
     // Load from user_calendar_config table
     const { data, error } = await supabase
       .from('user_calendar_config')
-      .select('active_calendar_ids')
+      .select('active_calendar_ids, ics_feeds')
       .eq('auth_user_id', authUserId)
       .single();
 
@@ -239,7 +328,8 @@ async function handleLoadCalendarConfig(
       if (error.code === 'PGRST116') {
         console.log(`📅 No calendar config found for user ${authUserId} (first time), returning empty array`);
         return {
-          active_calendar_ids: []
+          active_calendar_ids: [],
+          ics_feeds: []
         };
       }
 
@@ -255,7 +345,8 @@ async function handleLoadCalendarConfig(
     });
 
     return {
-      active_calendar_ids: activeCalendarIds
+      active_calendar_ids: activeCalendarIds,
+      ics_feeds: data?.ics_feeds || []
     };
 
   } catch (error) {
@@ -264,6 +355,402 @@ async function handleLoadCalendarConfig(
   }
 }
 
+/**
+ * Keep only the known feed fields (stored as JSONB, so guard the shape)
+ */
+function sanitizeIcsFeed(feed: any) {
+  return {
+    id: String(feed?.id || ''),
+    url: String(feed?.url || ''),
+    name: String(feed?.name || '').substring(0, 200),
+    color: String(feed?.color || ''),
+    created_at: feed?.created_at || new Date().toISOString()
+  };
+}
+
+// ============================================================================
+// FEED PROXY (ICS calendar feeds, photo media feeds)
+// ============================================================================
+
+const FEED_FETCH_TIMEOUT_MS = 15000;
+const FEED_MAX_REDIRECTS = 3;
+const ICS_MAX_BYTES = 5 * 1024 * 1024;
+const MEDIA_FEED_MAX_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Download a public http(s) URL as text (private/internal hosts are refused)
+ * Redirects are followed by hand so every hop is checked, and the body is cut off
+ * at maxBytes while it streams.
+ */
+async function fetchPublicText(feedUrl: string, accept: string, maxBytes: number) {
+  if (!feedUrl || typeof feedUrl !== 'string') {
+    throw new Error('url is required');
+  }
+
+  let target = new URL(feedUrl.trim().replace(/^webcals?:\/\//i, 'https://'));
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FEED_FETCH_TIMEOUT_MS);
+
+  try {
+    let response: Response | null = null;
+    for (let hop = 0; hop <= FEED_MAX_REDIRECTS; hop++) {
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        throw new Error('Only http and https feeds are supported');
+      }
+
+      if (isPrivateHost(target.hostname)) {
+        throw new Error('Feed host is not allowed');
+      }
+
+      response = await fetch(target.toString(), {
+        headers: { 'Accept': accept },
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        target = new URL(location, target);
+        continue;
+      }
+      break;
+    }
+
+    if (!response || (response.status >= 300 && response.status < 400)) {
+      throw new Error('Too many redirects from feed');
+    }
+
+    if (!response.ok) {
+      throw new Error(`Feed returned HTTP ${response.status}`);
+    }
+
+    const text = await readLimitedText(response, maxBytes, 'Feed is too large');
+
+    return { text, hostname: target.hostname, contentType: response.headers.get('content-type') || '' };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Read a response body as text, giving up as soon as it passes maxBytes
+ */
+async function readLimitedText(response: Response, maxBytes: number, tooLargeMessage: string) {
+  const declaredLength = parseInt(response.headers.get('content-length') || '0', 10);
+  if (declaredLength > maxBytes) {
+    await response.body?.cancel();
+    throw new Error(tooLargeMessage);
+  }
+
+  if (!response.body) return '';
+
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      throw new Error(tooLargeMessage);
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  return new TextDecoder().decode(bytes);
+}
+
+async function handleFetchIcsFeed(feedUrl: string) {
+  try {
+    console.log(`📅 Fetching ICS feed`);
+
+    const { text: ics, hostname } = await fetchPublicText(
+      feedUrl,
+      'text/calendar, text/plain;q=0.9, */*;q=0.8',
+      ICS_MAX_BYTES
+    );
+
+    if (!ics.includes('BEGIN:VCALENDAR')) {
+      throw new Error('URL did not return an iCalendar feed');
+    }
+
+    console.log(`✅ ICS feed fetched: ${hostname}`, { bytes: ics.length });
+
+    return { ics };
+
+  } catch (error) {
+    console.error('🚨 handleFetchIcsFeed error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Photo media feed: RSS/Atom with image enclosures, JSON or a plain list of image URLs
+ * (parsed in the browser - this only works around CORS). Goes through fetchPublicText,
+ * so it gets the same per-hop host checks and streaming size cap as ICS feeds.
+ */
+async function handleFetchMediaFeed(feedUrl: string) {
+  try {
+    console.log(`📸 Fetching media feed`);
+
+    const { text, hostname, contentType } = await fetchPublicText(
+      feedUrl,
+      'application/rss+xml, application/atom+xml, application/json, text/xml, text/plain;q=0.9, */*;q=0.8',
+      MEDIA_FEED_MAX_BYTES
+    );
+
+    console.log(`✅ Media feed fetched: ${hostname}`, { bytes: text.length });
+
+    return { body: text, content_type: contentType };
+
+  } catch (error) {
+    console.error('🚨 handleFetchMediaFeed error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Block internal targets (the proxy must only reach public feed hosts)
+ * Hostnames arrive as the URL parser left them: IPv4 in dotted decimal (even if
+ * written as one number or hex) and IPv6 compressed, e.g. [::ffff:7f00:1].
+ */
+function isPrivateHost(hostname: string) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+    return true;
+  }
+
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+    return isPrivateIPv4(host.split('.').map(part => parseInt(part, 10)));
+  }
+
+  if (host.includes(':')) {
+    const groups = expandIPv6(host);
+    return !groups || isPrivateIPv6(groups);
+  }
+
+  return false;
+}
+
+function isPrivateIPv4([a, b]: number[]) {
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19));
+}
+
+function isPrivateIPv6(groups: number[]) {
+  const embeddedIPv4 = (high: number, low: number) => [high >> 8, high & 0xff, low >> 8, low & 0xff];
+  const zeroPrefix = groups.slice(0, 5).every(group => group === 0);
+
+  // ::, ::1 and IPv4-compatible ::a.b.c.d
+  if (zeroPrefix && groups[5] === 0) {
+    return groups[6] === 0 || isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+  }
+
+  // IPv4-mapped ::ffff:a.b.c.d
+  if (zeroPrefix && groups[5] === 0xffff) {
+    return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+  }
+
+  // NAT64 64:ff9b::a.b.c.d
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    return isPrivateIPv4(embeddedIPv4(groups[6], groups[7]));
+  }
+
+  // 6to4 2002:aabb:ccdd::
+  if (groups[0] === 0x2002) {
+    return isPrivateIPv4(embeddedIPv4(groups[1], groups[2]));
+  }
+
+  return (groups[0] & 0xfe00) === 0xfc00 || // Unique local fc00::/7
+    (groups[0] & 0xffc0) === 0xfe80 ||       // Link-local fe80::/10
+    (groups[0] & 0xffc0) === 0xfec0 ||       // Site-local fec0::/10
+    (groups[0] & 0xff00) === 0xff00;         // Multicast ff00::/8
+}
+
+/**
+ * Eight 16-bit groups of an IPv6 literal, or null if it doesn't parse
+ */
+function expandIPv6(host: string) {
+  let address = host.split('%')[0];
+
+  // Trailing dotted IPv4 (::ffff:1.2.3.4) becomes two groups
+  const dotted = address.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(part => parseInt(part, 10));
+    address = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+  return groups.map(group => parseInt(group, 16));
+}
+
+// ============================================================================
+// CALDAV PROXY
+// ============================================================================
+
+const CALDAV_TIMEOUT_MS = 20000;
+const CALDAV_MAX_BYTES = 10 * 1024 * 1024;
+const CALDAV_MAX_REDIRECTS = 3;
+const CALDAV_METHODS = ['PROPFIND', 'REPORT']; // Read-only
+
+// Local test servers (Radicale, Baïkal) only: `supabase functions serve` with this set
+// (also allows plain http, which they usually run on)
+const CALDAV_ALLOW_PRIVATE_HOSTS = Deno.env.get('CALDAV_ALLOW_PRIVATE_HOSTS') === 'true';
+
+// Providers that move an account to another host under their own domain
+// (iCloud: caldav.icloud.com → p42-caldav.icloud.com). Other servers must keep their host.
+const CALDAV_PROVIDER_DOMAINS = ['icloud.com'];
+
+/**
+ * Forward a WebDAV request to a connected CalDAV account
+ * Credentials come from user_auth_tokens (stored by jwt-auth store_tokens, provider 'caldav')
+ * and requests may only target the account's own server over https (see assertCalDAVTarget)
+ */
+async function handleCalDAVRequest(supabase: any, authUserId: string, accountType: string, request: any) {
+  try {
+    const method = String(request?.method || '').toUpperCase();
+    if (!CALDAV_METHODS.includes(method)) {
+      throw new Error(`Unsupported CalDAV method: ${method}`);
+    }
+
+    const depth = String(request?.depth ?? '0');
+    if (!['0', '1'].includes(depth)) {
+      throw new Error('Depth must be 0 or 1');
+    }
+
+    const requestBody = String(request?.body || '');
+    if (requestBody.length > 64 * 1024) {
+      throw new Error('Request body is too large');
+    }
+
+    const { data: tokenData, error } = await supabase
+      .from('user_auth_tokens')
+      .select('tokens')
+      .eq('auth_user_id', authUserId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const account = tokenData?.tokens?.caldav?.[accountType];
+    if (!account?.server_url || !account?.username || !account?.app_password) {
+      throw new Error(`No CalDAV account found for ${accountType}`);
+    }
+
+    const serverUrl = new URL(account.server_url);
+    let target = new URL(String(request?.url || ''), serverUrl);
+
+    const authorization = 'Basic ' + btoa(
+      String.fromCharCode(...new TextEncoder().encode(`${account.username}:${account.app_password}`))
+    );
+
+    console.log(`📅 CalDAV ${method} ${target.hostname} (${accountType})`);
+
+    // Redirects are followed by hand so every hop is checked (and PROPFIND stays PROPFIND)
+    let response: Response | null = null;
+    for (let hop = 0; hop <= CALDAV_MAX_REDIRECTS; hop++) {
+      assertCalDAVTarget(target, serverUrl);
+
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), CALDAV_TIMEOUT_MS);
+
+      try {
+        response = await fetch(target.toString(), {
+          method,
+          headers: {
+            'Authorization': authorization,
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': depth
+          },
+          body: requestBody || undefined,
+          redirect: 'manual',
+          signal: controller.signal
+        });
+      } finally {
+        clearTimeout(timeout);
+      }
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        target = new URL(location, target);
+        continue;
+      }
+      break;
+    }
+
+    if (!response || (response.status >= 300 && response.status < 400)) {
+      throw new Error('Too many redirects from CalDAV server');
+    }
+
+    const body = await readLimitedText(response, CALDAV_MAX_BYTES, 'CalDAV response is too large');
+
+    console.log(`✅ CalDAV ${method} returned ${response.status}`, { bytes: body.length });
+
+    // Status is passed through - the client maps 401/403 to "re-enter password"
+    return {
+      status: response.status,
+      url: target.toString(),
+      body
+    };
+
+  } catch (error) {
+    console.error('🚨 handleCalDAVRequest error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Only the account's own host (or its provider's, see CALDAV_PROVIDER_DOMAINS) may be
+ * reached, over https since the Basic credentials go with every request
+ */
+function assertCalDAVTarget(target: URL, serverUrl: URL) {
+  const allowedProtocols = CALDAV_ALLOW_PRIVATE_HOSTS ? ['http:', 'https:'] : ['https:'];
+  if (!allowedProtocols.includes(target.protocol)) {
+    throw new Error('CalDAV servers must use https');
+  }
+
+  const host = target.hostname.toLowerCase();
+  const serverHost = serverUrl.hostname.toLowerCase();
+  const sameProvider = CALDAV_PROVIDER_DOMAINS.some(domain =>
+    (serverHost === domain || serverHost.endsWith(`.${domain}`)) && host.endsWith(`.${domain}`)
+  );
+
+  if (host !== serverHost && !sameProvider) {
+    throw new Error('CalDAV request must stay on the account\'s server');
+  }
+
+  if (!CALDAV_ALLOW_PRIVATE_HOSTS && isPrivateHost(target.hostname)) {
+    throw new Error('CalDAV host is not allowed');
+  }
+}
+
 // ============================================================================
 // PHOTO STORAGE OPERATIONS
 // ============================================================================
@@ -349,10 +836,14 @@ async function handleCreatePhotoRecord(supabase: any, authUserId: string, photoD
   try {
     const { storage_path, thumbnail_path, filename, folder_name, file_size, mime_type } = photoData;
 
+    // EXIF metadata (optional - older clients don't send it)
+    const { taken_at, orientation, latitude, longitude, place_name } = photoData;
+
     console.log(`📸 Creating photo record for user: ${authUserId}`, {
       filename,
       folder_name,
-      file_size
+      file_size,
+      has_taken_at: !!taken_at
     });
 
     const { data, error } = await supabase
@@ -365,6 +856,11 @@ async function handleCreatePhotoRecord(supabase: any, authUserId: string, photoD
         folder_name,
         file_size,
         mime_type,
+        taken_at: taken_at || null,
+        orientation: orientation || null,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        place_name: place_name || null,
         uploaded_at: new Date().toISOString()
       })
       .select()
@@ -595,6 +1091,719 @@ async function handleDeleteAllPhotos(supabase: any, authUserId: string) {
   }
 }
 
+// ============================================================================
+// DASHBOARD OPERATIONS
+// ============================================================================
+
+async function handleListDashboards(supabase: any, authUserId: string, listData: any) {
+  try {
+    console.log(`📺 Listing dashboards for user: ${authUserId}`);
+
+    // Marks stale dashboards offline first, so is_online is current
+    const { data, error } = await supabase
+      .rpc('check_dashboard_online_status', { p_auth_user_id: authUserId });
+
+    if (error) {
+      throw new Error(`Failed to list dashboards: ${error.message}`);
+    }
+
+    // The caller sends its raw fingerprint; heartbeats store it hashed
+    const currentHash = listData?.device_fingerprint
+      ? await hashString(listData.device_fingerprint)
+      : null;
+
+    const dashboards = (data || []).map((row: any) => ({
+      id: row.id,
+      dashboard_name: row.dashboard_name,
+      device_type: row.device_type,
+      is_online: row.is_online,
+      last_heartbeat_at: row.last_heartbeat_at,
+      current_version: row.current_version,
+      is_current: !!currentHash && row.device_fingerprint_hash === currentHash
+    }));
+
+    console.log(`✅ Dashboards listed for user: ${authUserId}`, {
+      count: dashboards.length,
+      online: dashboards.filter((d: any) => d.is_online).length
+    });
+
+    return { dashboards };
+  } catch (error) {
+    console.error('🚨 handleListDashboards error:', error);
+    throw error;
+  }
+}
+
+async function handleRemoveDashboard(supabase: any, authUserId: string, removeData: any) {
+  try {
+    const { dashboard_id } = removeData || {};
+
+    if (!dashboard_id) {
+      throw new Error('dashboard_id is required');
+    }
+
+    console.log(`📺 Removing dashboard for user: ${authUserId}`, { dashboard_id });
+
+    const { error } = await supabase
+      .from('dashboard_heartbeats')
+      .delete()
+      .eq('id', dashboard_id)
+      .eq('auth_user_id', authUserId);
+
+    if (error) {
+      throw new Error(`Failed to remove dashboard: ${error.message}`);
+    }
+
+    console.log(`✅ Dashboard removed for user: ${authUserId}`, { dashboard_id });
+
+    return { removed: true };
+  } catch (error) {
+    console.error('🚨 handleRemoveDashboard error:', error);
+    throw error;
+  }
+}
+
+const DEVICE_OVERRIDES_MAX_BYTES = 16 * 1024;
+
+async function handleSaveDeviceOverrides(supabase: any, authUserId: string, overridesData: any) {
+  try {
+    const { dashboard_id, overrides } = overridesData || {};
+
+    if (!dashboard_id) {
+      throw new Error('dashboard_id is required');
+    }
+
+    // { group: { settings path: value }, layout: { ... } } - the groups and layout format are defined by the app
+    const isObject = (value: any) => !!value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(overrides) || !Object.values(overrides).every(isObject)) {
+      throw new Error('overrides must be an object of setting groups and the layout');
+    }
+    if (JSON.stringify(overrides).length > DEVICE_OVERRIDES_MAX_BYTES) {
+      throw new Error(`overrides must be ${DEVICE_OVERRIDES_MAX_BYTES} bytes or fewer`);
+    }
+
+    console.log(`📺 Saving device overrides for user: ${authUserId}`, {
+      dashboard_id,
+      groups: Object.keys(overrides)
+    });
+
+    const { data, error } = await supabase
+      .from('dashboard_heartbeats')
+      .update({ device_overrides: overrides, updated_at: new Date().toISOString() })
+      .eq('id', dashboard_id)
+      .eq('auth_user_id', authUserId)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to save device overrides: ${error.message}`);
+    }
+    if (!data || data.length === 0) {
+      throw new Error('Dashboard not found');
+    }
+
+    console.log(`✅ Device overrides saved for user: ${authUserId}`, { dashboard_id });
+
+    return { saved: true };
+  } catch (error) {
+    console.error('🚨 handleSaveDeviceOverrides error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// MESSAGE BOARD OPERATIONS
+// ============================================================================
+
+const MESSAGE_PRIORITIES = ['normal', 'high', 'urgent'];
+const MESSAGE_MAX_LENGTH = 200;
+const MESSAGE_RETENTION_MS = 24 * 60 * 60 * 1000; // Dismissed/expired notes kept a day
+
+async function handleListMessages(supabase: any, authUserId: string) {
+  try {
+    console.log(`📝 Listing messages for user: ${authUserId}`);
+
+    const now = new Date();
+    const purgeBefore = new Date(now.getTime() - MESSAGE_RETENTION_MS).toISOString();
+
+    // Expire: delete notes dismissed or expired more than a day ago
+    const { error: purgeError } = await supabase
+      .from('family_messages')
+      .delete()
+      .eq('auth_user_id', authUserId)
+      .or(`dismissed_at.lt.${purgeBefore},expires_at.lt.${purgeBefore}`);
+
+    if (purgeError) {
+      console.warn('⚠️ Failed to purge old messages:', purgeError.message);
+    }
+
+    const { data, error } = await supabase
+      .from('family_messages')
+      .select('id, text, priority, author_name, expires_at, created_at')
+      .eq('auth_user_id', authUserId)
+      .is('dismissed_at', null)
+      .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw new Error(`Failed to list messages: ${error.message}`);
+    }
+
+    console.log(`✅ Messages listed for user: ${authUserId}`, { count: data?.length || 0 });
+
+    return { messages: data || [] };
+  } catch (error) {
+    console.error('🚨 handleListMessages error:', error);
+    throw error;
+  }
+}
+
+async function handlePostMessage(supabase: any, authUserId: string, postData: any) {
+  try {
+    const { text, priority = 'normal', author_name, expires_in_minutes } = postData || {};
+    const trimmed = String(text || '').trim();
+
+    if (!trimmed) {
+      throw new Error('text is required');
+    }
+    if (trimmed.length > MESSAGE_MAX_LENGTH) {
+      throw new Error(`text must be ${MESSAGE_MAX_LENGTH} characters or fewer`);
+    }
+    if (!MESSAGE_PRIORITIES.includes(priority)) {
+      throw new Error(`priority must be one of: ${MESSAGE_PRIORITIES.join(', ')}`);
+    }
+
+    const minutes = Number(expires_in_minutes);
+    const expiresAt = minutes > 0
+      ? new Date(Date.now() + minutes * 60 * 1000).toISOString()
+      : null;
+
+    console.log(`📝 Posting message for user: ${authUserId}`, { priority, expires_at: expiresAt });
+
+    const { data, error } = await supabase
+      .from('family_messages')
+      .insert({
+        auth_user_id: authUserId,
+        text: trimmed,
+        priority,
+        author_name: author_name ? String(author_name).slice(0, 40) : null,
+        expires_at: expiresAt
+      })
+      .select('id, text, priority, author_name, expires_at, created_at')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to post message: ${error.message}`);
+    }
+
+    console.log(`✅ Message posted for user: ${authUserId}`, { id: data.id });
+
+    return { message: data };
+  } catch (error) {
+    console.error('🚨 handlePostMessage error:', error);
+    throw error;
+  }
+}
+
+async function handleDismissMessage(supabase: any, authUserId: string, dismissData: any) {
+  try {
+    const { message_id } = dismissData || {};
+
+    if (!message_id) {
+      throw new Error('message_id is required');
+    }
+
+    console.log(`📝 Dismissing message for user: ${authUserId}`, { message_id });
+
+    const { error } = await supabase
+      .from('family_messages')
+      .update({ dismissed_at: new Date().toISOString() })
+      .eq('id', message_id)
+      .eq('auth_user_id', authUserId);
+
+    if (error) {
+      throw new Error(`Failed to dismiss message: ${error.message}`);
+    }
+
+    console.log(`✅ Message dismissed for user: ${authUserId}`, { message_id });
+
+    return { dismissed: true };
+  } catch (error) {
+    console.error('🚨 handleDismissMessage error:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// HOUSEHOLD OPERATIONS
+// ============================================================================
+
+const HOUSEHOLD_INVITE_ROLES = ['adult', 'viewer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Operations that change shared data (refused for viewers)
+const SHARED_WRITE_OPERATIONS = [
+  'init_storage_quota',
+  'create_photo_record',
+  'update_storage_quota',
+  'delete_photo',
+  'delete_all_photos',
+  'remove_dashboard',
+  'save_device_overrides',
+  'post_message',
+  'dismiss_message'
+];
+
+/**
+ * Which user's rows hold the caller's shared data
+ * Members of a household use the owner's settings, photos, dashboards and notes;
+ * without a household (or if the lookup fails) it's the caller's own rows.
+ */
+async function getHouseholdContext(supabase: any, authUserId: string) {
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('household_id, role, households(owner_user_id)')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Failed to look up household, using own data:', error.message);
+  }
+
+  if (error || !data) {
+    return { dataUserId: authUserId, role: null, householdId: null };
+  }
+
+  return {
+    dataUserId: data.households?.owner_user_id || authUserId,
+    role: data.role as string,
+    householdId: data.household_id as string
+  };
+}
+
+async function handleGetHousehold(supabase: any, authUserId: string, token: string) {
+  try {
+    console.log(`🏠 Getting household for user: ${authUserId}`);
+
+    const context = await getHouseholdContext(supabase, authUserId);
+    const email = await getUserEmailFromJWT(token);
+
+    let household = null;
+    let members: any[] = [];
+    let invitations: any[] = [];
+
+    if (context.householdId) {
+      const { data: householdRow, error: householdError } = await supabase
+        .from('households')
+        .select('id, name, owner_user_id, created_at')
+        .eq('id', context.householdId)
+        .single();
+
+      if (householdError) {
+        throw new Error(`Failed to load household: ${householdError.message}`);
+      }
+
+      const { data: memberRows, error: membersError } = await supabase
+        .from('household_members')
+        .select('auth_user_id, role, email, display_name, joined_at')
+        .eq('household_id', context.householdId)
+        .order('joined_at', { ascending: true });
+
+      if (membersError) {
+        throw new Error(`Failed to load household members: ${membersError.message}`);
+      }
+
+      household = householdRow;
+      members = (memberRows || []).map((member: any) => ({
+        ...member,
+        is_you: member.auth_user_id === authUserId
+      }));
+
+      // Only the owner manages invitations
+      if (context.role === 'owner') {
+        const { data: invitationRows, error: invitationsError } = await supabase
+          .from('household_invitations')
+          .select('id, email, role, expires_at, created_at')
+          .eq('household_id', context.householdId)
+          .eq('status', 'pending')
+          .gt('expires_at', new Date().toISOString())
+          .order('created_at', { ascending: false });
+
+        if (invitationsError) {
+          throw new Error(`Failed to load invitations: ${invitationsError.message}`);
+        }
+
+        invitations = invitationRows || [];
+      }
+    }
+
+    // Invitations addressed to the caller (from other households)
+    let myInvitations: any[] = [];
+
+    if (email) {
+      const { data: invitedRows, error: invitedError } = await supabase
+        .from('household_invitations')
+        .select('id, household_id, role, invited_by_name, expires_at, households(name)')
+        .eq('email', email.toLowerCase())
+        .eq('status', 'pending')
+        .gt('expires_at', new Date().toISOString());
+
+      if (invitedError) {
+        throw new Error(`Failed to load your invitations: ${invitedError.message}`);
+      }
+
+      myInvitations = (invitedRows || [])
+        .filter((invitation: any) => invitation.household_id !== context.householdId)
+        .map((invitation: any) => ({
+          id: invitation.id,
+          role: invitation.role,
+          invited_by_name: invitation.invited_by_name,
+          household_name: invitation.households?.name || null,
+          expires_at: invitation.expires_at
+        }));
+    }
+
+    console.log(`✅ Household loaded for user: ${authUserId}`, {
+      household_id: context.householdId,
+      role: context.role,
+      members: members.length,
+      my_invitations: myInvitations.length
+    });
+
+    return {
+      household,
+      role: context.role,
+      members,
+      invitations,
+      my_invitations: myInvitations
+    };
+  } catch (error) {
+    console.error('🚨 handleGetHousehold error:', error);
+    throw error;
+  }
+}
+
+async function handleInviteHouseholdMember(supabase: any, authUserId: string, token: string, inviteData: any) {
+  try {
+    const { role = 'adult', inviter_name, household_name } = inviteData || {};
+    const email = String(inviteData?.email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new Error('A valid email address is required');
+    }
+    if (!HOUSEHOLD_INVITE_ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${HOUSEHOLD_INVITE_ROLES.join(', ')}`);
+    }
+
+    const callerEmail = (await getUserEmailFromJWT(token)).toLowerCase();
+    if (email === callerEmail) {
+      throw new Error('You cannot invite yourself');
+    }
+
+    const context = await getHouseholdContext(supabase, authUserId);
+    let householdId = context.householdId;
+
+    if (householdId && context.role !== 'owner') {
+      throw new Error('Only the household owner can invite members');
+    }
+
+    // First invitation - the caller's data becomes the household's
+    if (!householdId) {
+      console.log(`🏠 Creating household for user: ${authUserId}`);
+
+      const { data: created, error: createError } = await supabase
+        .from('households')
+        .insert({
+          owner_user_id: authUserId,
+          name: String(household_name || 'Our Household').slice(0, 60)
+        })
+        .select('id')
+        .single();
+
+      if (createError) {
+        throw new Error(`Failed to create household: ${createError.message}`);
+      }
+
+      const { error: ownerError } = await supabase
+        .from('household_members')
+        .insert({
+          household_id: created.id,
+          auth_user_id: authUserId,
+          role: 'owner',
+          email: callerEmail,
+          display_name: inviter_name ? String(inviter_name).slice(0, 60) : null
+        });
+
+      if (ownerError) {
+        await supabase.from('households').delete().eq('id', created.id);
+        throw new Error(`Failed to add household owner: ${ownerError.message}`);
+      }
+
+      householdId = created.id;
+    }
+
+    const { data: existingMember } = await supabase
+      .from('household_members')
+      .select('auth_user_id')
+      .eq('household_id', householdId)
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingMember) {
+      throw new Error(`${email} is already in your household`);
+    }
+
+    console.log(`🏠 Inviting household member for user: ${authUserId}`, { email, role });
+
+    const { data, error } = await supabase
+      .from('household_invitations')
+      .insert({
+        household_id: householdId,
+        email,
+        role,
+        invited_by: authUserId,
+        invited_by_name: inviter_name ? String(inviter_name).slice(0, 60) : null
+      })
+      .select('id, email, role, expires_at, created_at')
+      .single();
+
+    if (error) {
+      // 23505 = unique violation (already a pending invitation)
+      if (error.code === '23505') {
+        throw new Error(`${email} has already been invited`);
+      }
+      throw new Error(`Failed to create invitation: ${error.message}`);
+    }
+
+    console.log(`✅ Household invitation created for user: ${authUserId}`, { id: data.id });
+
+    return { invitation: data, household_id: householdId };
+  } catch (error) {
+    console.error('🚨 handleInviteHouseholdMember error:', error);
+    throw error;
+  }
+}
+
+async function handleRespondHouseholdInvitation(supabase: any, authUserId: string, token: string, respondData: any) {
+  try {
+    const { invitation_id, accept, display_name } = respondData || {};
+
+    if (!invitation_id) {
+      throw new Error('invitation_id is required');
+    }
+
+    const email = (await getUserEmailFromJWT(token)).toLowerCase();
+
+    const { data: invitation, error: fetchError } = await supabase
+      .from('household_invitations')
+      .select('id, household_id, email, role, status, expires_at')
+      .eq('id', invitation_id)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(`Failed to load invitation: ${fetchError.message}`);
+    }
+
+    // Same error for someone else's invitation - don't reveal it exists
+    if (!invitation || invitation.email !== email || invitation.status !== 'pending'
+        || new Date(invitation.expires_at).getTime() < Date.now()) {
+      throw new Error('Invitation not found or no longer valid');
+    }
+
+    console.log(`🏠 ${accept ? 'Accepting' : 'Declining'} household invitation for user: ${authUserId}`, { invitation_id });
+
+    if (accept) {
+      const context = await getHouseholdContext(supabase, authUserId);
+      if (context.householdId) {
+        throw new Error('Leave your current household before joining another');
+      }
+
+      const { error: joinError } = await supabase
+        .from('household_members')
+        .insert({
+          household_id: invitation.household_id,
+          auth_user_id: authUserId,
+          role: invitation.role,
+          email,
+          display_name: display_name ? String(display_name).slice(0, 60) : null
+        });
+
+      if (joinError) {
+        throw new Error(`Failed to join household: ${joinError.message}`);
+      }
+    }
+
+    const { error: updateError } = await supabase
+      .from('household_invitations')
+      .update({
+        status: accept ? 'accepted' : 'declined',
+        responded_at: new Date().toISOString()
+      })
+      .eq('id', invitation_id);
+
+    if (updateError) {
+      console.warn('⚠️ Failed to update invitation status:', updateError.message);
+    }
+
+    console.log(`✅ Household invitation ${accept ? 'accepted' : 'declined'} for user: ${authUserId}`);
+
+    return {
+      accepted: !!accept,
+      household_id: accept ? invitation.household_id : null,
+      role: accept ? invitation.role : null
+    };
+  } catch (error) {
+    console.error('🚨 handleRespondHouseholdInvitation error:', error);
+    throw error;
+  }
+}
+
+async function handleRevokeHouseholdInvitation(supabase: any, authUserId: string, revokeData: any) {
+  try {
+    const { invitation_id } = revokeData || {};
+
+    if (!invitation_id) {
+      throw new Error('invitation_id is required');
+    }
+
+    const context = await getHouseholdContext(supabase, authUserId);
+    if (context.role !== 'owner') {
+      throw new Error('Only the household owner can revoke invitations');
+    }
+
+    console.log(`🏠 Revoking household invitation for user: ${authUserId}`, { invitation_id });
+
+    const { error } = await supabase
+      .from('household_invitations')
+      .update({ status: 'revoked', responded_at: new Date().toISOString() })
+      .eq('id', invitation_id)
+      .eq('household_id', context.householdId)
+      .eq('status', 'pending');
+
+    if (error) {
+      throw new Error(`Failed to revoke invitation: ${error.message}`);
+    }
+
+    console.log(`✅ Household invitation revoked for user: ${authUserId}`, { invitation_id });
+
+    return { revoked: true };
+  } catch (error) {
+    console.error('🚨 handleRevokeHouseholdInvitation error:', error);
+    throw error;
+  }
+}
+
+async function handleUpdateHouseholdMember(supabase: any, authUserId: string, updateData: any) {
+  try {
+    const { auth_user_id: memberId, role } = updateData || {};
+
+    if (!memberId) {
+      throw new Error('auth_user_id is required');
+    }
+    if (!HOUSEHOLD_INVITE_ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${HOUSEHOLD_INVITE_ROLES.join(', ')}`);
+    }
+
+    const context = await getHouseholdContext(supabase, authUserId);
+    if (context.role !== 'owner') {
+      throw new Error('Only the household owner can change roles');
+    }
+    if (memberId === authUserId) {
+      throw new Error('The owner role cannot be changed');
+    }
+
+    console.log(`🏠 Updating household member for user: ${authUserId}`, { member: memberId, role });
+
+    const { data, error } = await supabase
+      .from('household_members')
+      .update({ role })
+      .eq('household_id', context.householdId)
+      .eq('auth_user_id', memberId)
+      .select('auth_user_id, role');
+
+    if (error) {
+      throw new Error(`Failed to update member: ${error.message}`);
+    }
+    if (!data?.length) {
+      throw new Error('Member not found');
+    }
+
+    console.log(`✅ Household member updated for user: ${authUserId}`, { member: memberId, role });
+
+    return { member: data[0] };
+  } catch (error) {
+    console.error('🚨 handleUpdateHouseholdMember error:', error);
+    throw error;
+  }
+}
+
+async function handleRemoveHouseholdMember(supabase: any, authUserId: string, removeData: any) {
+  try {
+    // No auth_user_id = leave the household
+    const memberId = removeData?.auth_user_id || authUserId;
+
+    const context = await getHouseholdContext(supabase, authUserId);
+    if (!context.householdId) {
+      throw new Error('You are not in a household');
+    }
+
+    if (memberId === authUserId && context.role === 'owner') {
+      // The shared data is the owner's - they can only leave once everyone else has
+      const { count, error: countError } = await supabase
+        .from('household_members')
+        .select('auth_user_id', { count: 'exact', head: true })
+        .eq('household_id', context.householdId);
+
+      if (countError) {
+        throw new Error(`Failed to count members: ${countError.message}`);
+      }
+      if ((count || 0) > 1) {
+        throw new Error('Remove the other members before leaving your household');
+      }
+
+      console.log(`🏠 Deleting household for user: ${authUserId}`, { household_id: context.householdId });
+
+      const { error } = await supabase
+        .from('households')
+        .delete()
+        .eq('id', context.householdId);
+
+      if (error) {
+        throw new Error(`Failed to delete household: ${error.message}`);
+      }
+
+      return { removed: true, household_deleted: true };
+    }
+
+    if (memberId !== authUserId && context.role !== 'owner') {
+      throw new Error('Only the household owner can remove members');
+    }
+
+    console.log(`🏠 Removing household member for user: ${authUserId}`, { member: memberId });
+
+    const { data, error } = await supabase
+      .from('household_members')
+      .delete()
+      .eq('household_id', context.householdId)
+      .eq('auth_user_id', memberId)
+      .neq('role', 'owner')
+      .select('auth_user_id');
+
+    if (error) {
+      throw new Error(`Failed to remove member: ${error.message}`);
+    }
+    if (!data?.length) {
+      throw new Error('Member not found');
+    }
+
+    console.log(`✅ Household member removed for user: ${authUserId}`, { member: memberId });
+
+    return { removed: true, household_deleted: false };
+  } catch (error) {
+    console.error('🚨 handleRemoveHouseholdMember error:', error);
+    throw error;
+  }
+}
+
 // ============================================================================
 // ACCOUNT DELETION OPERATIONS
 // ============================================================================
@@ -784,10 +1993,40 @@ async function verifySupabaseJWT(token: string): Promise<string | null> {
   }
 }
 
+async function getUserEmailFromJWT(token: string): Promise<string> {
+  try {
+    const encoder = new TextEncoder();
+    const keyData = encoder.encode(JWT_SECRET);
+    const key = await crypto.subtle.importKey(
+      'raw',
+      keyData,
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+
+    const payload = await verify(token, key) as any;
+    return payload?.email || '';
+  } catch (error) {
+    console.error('🚨 Failed to extract email from JWT:', error);
+    return '';
+  }
+}
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
 
+/**
+ * SHA-256 hex digest (same hashing as the heartbeat function's device_fingerprint_hash)
+ */
+async function hashString(input: string): Promise<string> {
+  const msgUint8 = new TextEncoder().encode(input);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', msgUint8);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
 function jsonResponse(data: any, status: number) {
   return new Response(JSON.stringify(data), {
     status,
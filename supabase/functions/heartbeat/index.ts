@@ -9,8 +9,22 @@
 // - Session data
 //
 // Returns:
-// - needs_update flag (if new version available)
-// - latest_version string
+// - needs_update flag (if this dashboard should run another version)
+// - latest_version string (the version this dashboard should run)
+// - release_notes, app_url (from app_releases, null for the baseline version)
+// - is_rollback (going back from a rolled-back version, or to a pinned older one)
+// - dashboard_id (this device's dashboard_heartbeats row, targets remote commands)
+// - device_overrides (settings and layout this dashboard keeps for itself, see
+//   migrations/20261019100300_multi_dashboard_overrides.sql)
+//
+// Staged rollouts (see migrations/20261019100600_staged_rollouts.sql): the version is
+// the dashboard's pinned_version, else the newest active app_releases row the
+// account is in (allowlist or rollout percentage), else current_app_version.
+//
+// One dashboard_heartbeats row per device (auth_user_id + device_fingerprint_hash),
+// so several dashboards on one account each keep their own status and name.
+// Household members' dashboards are stored under the household owner's
+// auth_user_id, so every adult sees (and rolls out to) the same dashboards.
 // ============================================================================
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
@@ -74,34 +88,40 @@ serve(async (req) => {
       return jsonResponse({ error: 'version is required' }, 400);
     }
 
+    if (!device_fingerprint) {
+      return jsonResponse({ error: 'device_fingerprint is required' }, 400);
+    }
+
     console.log(`💓 Heartbeat from ${userEmail} - v${version} - ${device_type || 'unknown'}`);
 
+    // Dashboards belong to the household (the owner's rows)
+    const dataUserId = await getHouseholdOwnerId(supabaseClient, userId);
+
     const now = new Date().toISOString();
 
     // Hash device fingerprint and IP for privacy
-    const deviceFingerprintHash = device_fingerprint
-      ? await hashString(device_fingerprint)
-      : null;
+    const deviceFingerprintHash = await hashString(device_fingerprint);
     const ipHash = await hashString(
       req.headers.get('CF-Connecting-IP') ||
       req.headers.get('X-Forwarded-For') ||
       'unknown'
     );
 
-    // Get existing heartbeat to check if this is first heartbeat of session
+    // Get this device's existing heartbeat to check if this is first heartbeat of session
     const { data: existing } = await supabaseClient
       .from('dashboard_heartbeats')
-      .select('session_started_at, total_heartbeats')
-      .eq('auth_user_id', userId)
+      .select('session_started_at, total_heartbeats, pinned_version')
+      .eq('auth_user_id', dataUserId)
+      .eq('device_fingerprint_hash', deviceFingerprintHash)
       .maybeSingle();
 
     const isFirstHeartbeat = !existing;
 
     // Upsert heartbeat record
-    const { error: upsertError } = await supabaseClient
+    const { data: heartbeat, error: upsertError } = await supabaseClient
       .from('dashboard_heartbeats')
       .upsert({
-        auth_user_id: userId,
+        auth_user_id: dataUserId,
         dashboard_name: dashboard_name || null,
         device_type: device_type || null,
         device_fingerprint_hash: deviceFingerprintHash,
@@ -114,8 +134,10 @@ serve(async (req) => {
         total_heartbeats: (existing?.total_heartbeats || 0) + 1,
         updated_at: now
       }, {
-        onConflict: 'auth_user_id'
-      });
+        onConflict: 'auth_user_id,device_fingerprint_hash'
+      })
+      .select('id, device_overrides')
+      .single();
 
     if (upsertError) {
       console.error('🚨 Heartbeat upsert failed:', upsertError);
@@ -128,26 +150,24 @@ serve(async (req) => {
       .update({ last_seen_at: now })
       .eq('auth_user_id', userId);
 
-    // Check if update needed
-    const { data: config } = await supabaseClient
-      .from('access_control_config')
-      .select('value')
-      .eq('key', 'current_app_version')
-      .maybeSingle();
-
-    const latestVersion = config?.value || version;
-    const needsUpdate = compareVersions(version, latestVersion) < 0;
+    // Check if update needed (staged rollouts, pins and rollbacks)
+    const target = await resolveTargetVersion(supabaseClient, dataUserId, version, existing?.pinned_version || null);
 
-    if (needsUpdate) {
-      console.log(`🔄 Update available for ${userEmail}: ${version} → ${latestVersion}`);
+    if (target.needsUpdate) {
+      console.log(`🔄 ${target.isRollback ? 'Rollback' : 'Update'} available for ${userEmail}: ${version} → ${target.version} (${target.reason})`);
     }
 
     // Return response
     return jsonResponse({
       success: true,
       is_online: true,
-      needs_update: needsUpdate,
-      latest_version: latestVersion,
+      dashboard_id: heartbeat.id,
+      device_overrides: heartbeat.device_overrides || {},
+      needs_update: target.needsUpdate,
+      latest_version: target.version,
+      release_notes: target.releaseNotes,
+      app_url: target.appUrl,
+      is_rollback: target.isRollback,
       heartbeat_count: (existing?.total_heartbeats || 0) + 1,
       is_first_heartbeat: isFirstHeartbeat
     }, 200);
@@ -161,6 +181,114 @@ serve(async (req) => {
   }
 });
 
+// ============================================================================
+// HOUSEHOLDS
+// ============================================================================
+
+/**
+ * Owner of the user's household (the user themselves without one, or if the lookup fails)
+ */
+async function getHouseholdOwnerId(supabase: any, userId: string): Promise<string> {
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('households(owner_user_id)')
+    .eq('auth_user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Failed to look up household:', error.message);
+  }
+
+  return data?.households?.owner_user_id || userId;
+}
+
+// ============================================================================
+// STAGED ROLLOUTS
+// ============================================================================
+
+/**
+ * Pick the version a dashboard should run
+ * Pinned version → newest active release the account is in → current_app_version
+ */
+async function resolveTargetVersion(supabase: any, userId: string, currentVersion: string, pinnedVersion: string | null) {
+  const { data: releases, error } = await supabase
+    .from('app_releases')
+    .select('version, release_notes, app_url, rollout_percentage, allowlist_user_ids, status');
+
+  if (error) {
+    // Table missing or unreadable - fall back to the baseline version
+    console.error('🚨 Failed to load app releases:', error);
+  }
+
+  const releaseList = releases || [];
+  const findRelease = (v: string) => releaseList.find((release: any) => release.version === v) || null;
+  const isRolledBack = (v: string) => findRelease(v)?.status === 'rolled_back';
+
+  let targetVersion: string;
+  let reason: string;
+
+  if (pinnedVersion) {
+    targetVersion = pinnedVersion;
+    reason = 'pinned';
+  } else {
+    const { data: config } = await supabase
+      .from('access_control_config')
+      .select('value')
+      .eq('key', 'current_app_version')
+      .maybeSingle();
+
+    const candidates: string[] = [];
+
+    if (config?.value && !isRolledBack(config.value)) {
+      candidates.push(config.value);
+    }
+
+    for (const release of releaseList) {
+      if (release.status === 'active' && await isInRollout(userId, release)) {
+        candidates.push(release.version);
+      }
+    }
+
+    // Nothing to offer - stay on the running version
+    targetVersion = candidates.reduce(
+      (newest, v) => compareVersions(v, newest) > 0 ? v : newest,
+      candidates[0] || currentVersion
+    );
+    reason = findRelease(targetVersion) ? 'rollout' : 'baseline';
+  }
+
+  const comparison = compareVersions(currentVersion, targetVersion);
+
+  // Older versions are only offered to pinned dashboards and ones on a rolled-back release
+  const isRollback = comparison > 0 && (reason === 'pinned' || isRolledBack(currentVersion));
+  const needsUpdate = comparison < 0 || isRollback;
+
+  const release = findRelease(targetVersion);
+
+  return {
+    version: targetVersion,
+    needsUpdate,
+    isRollback,
+    reason,
+    releaseNotes: release?.release_notes || null,
+    appUrl: release?.app_url || null
+  };
+}
+
+/**
+ * Whether an account gets a release: on the allowlist, or its bucket (0-99,
+ * stable per account and version) is under the rollout percentage
+ */
+async function isInRollout(userId: string, release: any): Promise<boolean> {
+  if ((release.allowlist_user_ids || []).includes(userId)) return true;
+  if (release.rollout_percentage >= 100) return true;
+  if (release.rollout_percentage <= 0) return false;
+
+  const hash = await hashString(`${release.version}:${userId}`);
+  const bucket = parseInt(hash.slice(0, 8), 16) % 100;
+  return bucket < release.rollout_percentage;
+}
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
@@ -13,6 +13,14 @@
 // - refresh_token: Refresh expired tokens
 // - bootstrap_jwt: Exchange Google token for Supabase JWT
 // - store_tokens, load, save, etc.
+//
+// load/save use the household's shared settings (the owner's user_settings row)
+// for household members; viewers can't save. Linked accounts stay per user.
+//
+// MICROSOFT OPERATIONS (JWT-authenticated, proxied because login.microsoftonline.com
+// doesn't allow device code calls from a browser origin):
+// - microsoft_device_code: Start a Microsoft device code sign-in (calendar account)
+// - microsoft_poll_device_code: Poll for Microsoft tokens
 // ============================================================================
 
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
@@ -36,6 +44,11 @@ const GOOGLE_CLIENT_SECRET = Deno.env.get('GOOGLE_CLIENT_SECRET');
 const GOOGLE_DEVICE_CLIENT_ID = Deno.env.get('GOOGLE_DEVICE_CLIENT_ID');
 const GOOGLE_DEVICE_CLIENT_SECRET = Deno.env.get('GOOGLE_DEVICE_CLIENT_SECRET');
 
+// Microsoft OAuth credentials (public client; secret only needed for confidential app registrations)
+const MICROSOFT_CLIENT_ID = Deno.env.get('MICROSOFT_CLIENT_ID');
+const MICROSOFT_CLIENT_SECRET = Deno.env.get('MICROSOFT_CLIENT_SECRET');
+const MICROSOFT_TENANT = Deno.env.get('MICROSOFT_TENANT') || 'common';
+
 if (!JWT_SECRET || !SUPABASE_URL || !SUPABASE_ANON_KEY || !SUPABASE_SERVICE_ROLE_KEY) {
   throw new Error('Missing required environment variables');
 }
@@ -86,7 +99,8 @@ serve(async (req) => {
 
     if (operation === 'load' || operation === 'save' || operation === 'get_valid_token' ||
         operation === 'refresh_jwt' || operation === 'list_accounts' ||
-        operation === 'remove_account' || operation === 'store_tokens') {
+        operation === 'remove_account' || operation === 'store_tokens' ||
+        operation === 'microsoft_device_code' || operation === 'microsoft_poll_device_code') {
 
       const authHeader = req.headers.get('Authorization');
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -123,6 +137,10 @@ serve(async (req) => {
       } else if (operation === 'store_tokens') {
         const userEmail = await getUserEmailFromJWT(supabaseJWT);
         result = await handleStoreTokensOperation(supabaseAdmin, userId, userEmail, data, provider || 'google', account_type || 'primary');
+      } else if (operation === 'microsoft_device_code') {
+        result = await handleMicrosoftDeviceCode(data);
+      } else if (operation === 'microsoft_poll_device_code') {
+        result = await handleMicrosoftPollDeviceCode(data);
       }
 
       return jsonResponse({ success: true, ...result }, 200);
@@ -374,6 +392,11 @@ async function handleStoreTokensOperation(
   try {
     console.log(`🔐 Storing tokens for ${provider}:${accountType} - ${email}`);
 
+    // CalDAV accounts use an app-specific password instead of OAuth tokens
+    if (provider === 'caldav') {
+      return await handleStoreCalDAVCredentials(supabase, authUserId, tokenData, accountType);
+    }
+
     const { access_token, refresh_token, expires_in, scope, display_name, provider_info } = tokenData;
 
     if (!access_token || !refresh_token) {
@@ -444,6 +467,79 @@ async function handleStoreTokensOperation(
   }
 }
 
+async function handleStoreCalDAVCredentials(
+  supabase: any,
+  authUserId: string,
+  tokenData: any,
+  accountType: string
+) {
+  const { server_url, username, app_password, display_name } = tokenData || {};
+
+  if (!server_url || !username || !app_password) {
+    throw new Error('Missing required CalDAV data: server_url, username, app_password');
+  }
+
+  const serverUrl = new URL(server_url);
+  if (!['http:', 'https:'].includes(serverUrl.protocol)) {
+    throw new Error('CalDAV server_url must be http or https');
+  }
+
+  const { data: existingData } = await supabase
+    .from('user_auth_tokens')
+    .select('tokens')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle();
+
+  const existingTokens = existingData?.tokens || {};
+
+  // No expiry: app passwords stay valid until revoked by the user
+  const accountData = {
+    email: tokenData.email || username,
+    server_url: serverUrl.toString(),
+    username,
+    app_password,
+    expires_at: null,
+    scopes: [],
+    display_name: display_name || `${username} (${serverUrl.hostname})`,
+    provider_info: { type: 'caldav', server_url: serverUrl.toString() },
+    is_active: true,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  const updatedTokens = {
+    ...existingTokens,
+    caldav: {
+      ...existingTokens.caldav || {},
+      [accountType]: accountData
+    }
+  };
+
+  await supabase
+    .from('user_auth_tokens')
+    .upsert({
+      auth_user_id: authUserId,
+      tokens: updatedTokens,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'auth_user_id'
+    });
+
+  console.log(`✅ CalDAV credentials stored for caldav:${accountType} (${serverUrl.hostname})`);
+
+  return {
+    stored: true,
+    account: {
+      provider: 'caldav',
+      account_type: accountType,
+      email: accountData.email,
+      display_name: accountData.display_name,
+      expires_at: null,
+      scopes: []
+    }
+  };
+}
+
 async function handleGetValidTokenOperation(
   supabase: any,
   authUserId: string,
@@ -453,6 +549,10 @@ async function handleGetValidTokenOperation(
   try {
     console.log(`🎫 Getting valid token for ${provider}:${accountType} - user: ${authUserId}`);
 
+    if (provider === 'caldav') {
+      return { error: 'CalDAV accounts do not use access tokens', account_found: false };
+    }
+
     // Get tokens from user_auth_tokens
     const { data: tokenData } = await supabase
       .from('user_auth_tokens')
@@ -478,8 +578,13 @@ async function handleGetValidTokenOperation(
     if (now.getTime() >= expiresAt.getTime() - bufferTime) {
       console.log(`🔄 Token expired, refreshing for ${provider}:${accountType}`);
 
-      const { clientId, clientSecret } = getOAuthCredentials(account.provider_info);
-      const refreshResult = await refreshGoogleToken(account.refresh_token, clientId, clientSecret);
+      let refreshResult;
+      if (provider === 'microsoft') {
+        refreshResult = await refreshMicrosoftToken(account.refresh_token);
+      } else {
+        const { clientId, clientSecret } = getOAuthCredentials(account.provider_info);
+        refreshResult = await refreshGoogleToken(account.refresh_token, clientId, clientSecret);
+      }
 
       if (!refreshResult.success) {
         console.error(`❌ Token refresh failed:`, refreshResult.error);
@@ -494,6 +599,8 @@ async function handleGetValidTokenOperation(
       const updatedAccount = {
         ...account,
         access_token: refreshResult.access_token,
+        // Microsoft rotates refresh tokens on every refresh
+        refresh_token: refreshResult.refresh_token || account.refresh_token,
         expires_at: new Date(Date.now() + refreshResult.expires_in * 1000).toISOString(),
         updated_at: new Date().toISOString()
       };
@@ -631,18 +738,20 @@ async function handleLoadOperation(supabase: any, authUserId: string) {
   try {
     console.log(`📊 Loading settings for user: ${authUserId}`);
 
+    const household = await getHouseholdContext(supabase, authUserId);
+
     const { data, error } = await supabase
       .from('user_settings')
       .select('settings, updated_at')
-      .eq('auth_user_id', authUserId)
+      .eq('auth_user_id', household.dataUserId)
       .maybeSingle();
 
     if (error && error.code !== 'PGRST116') {
       throw error;
     }
 
-    console.log(`📊 ✅ Settings loaded for user: ${authUserId}`);
-    return { settings: data?.settings || null };
+    console.log(`📊 ✅ Settings loaded for user: ${authUserId}`, { household_role: household.role });
+    return { settings: data?.settings || null, household_role: household.role };
   } catch (error) {
     console.error('📊 ❌ Load operation failed:', error);
     throw error;
@@ -658,18 +767,29 @@ async function handleSaveOperation(
   try {
     console.log(`📊 Saving settings for user: ${authUserId}`);
 
+    const household = await getHouseholdContext(supabase, authUserId);
+    if (household.role === 'viewer') {
+      throw new Error('Viewers cannot change household settings');
+    }
+
     // Remove tokenAccounts if accidentally included (should use user_auth_tokens)
     const safeSettings = { ...settings };
     delete safeSettings.tokenAccounts;
 
+    const row: any = {
+      auth_user_id: household.dataUserId,
+      settings: safeSettings,
+      updated_at: new Date().toISOString()
+    };
+
+    // The shared row keeps the owner's email
+    if (household.dataUserId === authUserId) {
+      row.email = email;
+    }
+
     const { error } = await supabase
       .from('user_settings')
-      .upsert({
-        auth_user_id: authUserId,
-        email: email,
-        settings: safeSettings,
-        updated_at: new Date().toISOString()
-      }, {
+      .upsert(row, {
         onConflict: 'auth_user_id'
       });
 
@@ -683,6 +803,32 @@ async function handleSaveOperation(
   }
 }
 
+/**
+ * Which user's settings the caller uses
+ * Household members share the owner's row; otherwise (or if the lookup fails)
+ * it's the caller's own. Same lookup as the database-operations function.
+ */
+async function getHouseholdContext(supabase: any, authUserId: string) {
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('role, households(owner_user_id)')
+    .eq('auth_user_id', authUserId)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Failed to look up household, using own settings:', error.message);
+  }
+
+  if (error || !data) {
+    return { dataUserId: authUserId, role: null };
+  }
+
+  return {
+    dataUserId: data.households?.owner_user_id || authUserId,
+    role: data.role as string
+  };
+}
+
 // ============================================================================
 // AUTHENTICATION HELPERS
 // ============================================================================
@@ -1310,6 +1456,124 @@ async function refreshGoogleToken(refreshToken: string, clientId: string, client
   }
 }
 
+// ============================================================================
+// MICROSOFT OAUTH (calendar accounts)
+// ============================================================================
+
+function getMicrosoftEndpoint(path: string) {
+  return `https://login.microsoftonline.com/${MICROSOFT_TENANT}/oauth2/v2.0/${path}`;
+}
+
+function getMicrosoftClientParams() {
+  if (!MICROSOFT_CLIENT_ID) {
+    throw new Error('Microsoft sign-in is not configured (MICROSOFT_CLIENT_ID missing)');
+  }
+
+  const params: Record<string, string> = { client_id: MICROSOFT_CLIENT_ID };
+  if (MICROSOFT_CLIENT_SECRET) {
+    params.client_secret = MICROSOFT_CLIENT_SECRET;
+  }
+  return params;
+}
+
+async function handleMicrosoftDeviceCode(data: any) {
+  const scope = data?.scope || 'offline_access User.Read Calendars.Read';
+  console.log('📱 Requesting Microsoft device code');
+
+  const response = await fetch(getMicrosoftEndpoint('devicecode'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: getMicrosoftClientParams().client_id,
+      scope
+    })
+  });
+
+  const deviceData = await response.json();
+
+  if (!response.ok) {
+    console.error('❌ Microsoft device code request failed:', deviceData);
+    throw new Error(deviceData.error_description || `Microsoft device code request failed: ${response.status}`);
+  }
+
+  console.log('✅ Microsoft device code created');
+
+  return {
+    device_code: deviceData.device_code,
+    user_code: deviceData.user_code,
+    verification_uri: deviceData.verification_uri,
+    expires_in: deviceData.expires_in,
+    interval: deviceData.interval
+  };
+}
+
+async function handleMicrosoftPollDeviceCode(data: any) {
+  if (!data?.device_code) {
+    throw new Error('device_code is required');
+  }
+
+  const response = await fetch(getMicrosoftEndpoint('token'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      ...getMicrosoftClientParams(),
+      grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+      device_code: data.device_code
+    })
+  });
+
+  const tokenData = await response.json();
+
+  if (!response.ok) {
+    // authorization_pending / slow_down are expected while the user signs in
+    return {
+      status: tokenData.error || 'error',
+      error_description: tokenData.error_description
+    };
+  }
+
+  console.log('✅ Microsoft device code authorized');
+
+  return {
+    tokens: {
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      expires_in: tokenData.expires_in || 3600,
+      scope: tokenData.scope,
+      token_type: tokenData.token_type
+    }
+  };
+}
+
+async function refreshMicrosoftToken(refreshToken: string) {
+  try {
+    const response = await fetch(getMicrosoftEndpoint('token'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        ...getMicrosoftClientParams(),
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token'
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      return { success: false, error: `HTTP ${response.status}: ${errorData}` };
+    }
+
+    const tokenData = await response.json();
+    return {
+      success: true,
+      access_token: tokenData.access_token,
+      refresh_token: tokenData.refresh_token,
+      expires_in: tokenData.expires_in || 3600
+    };
+  } catch (error: any) {
+    return { success: false, error: error?.message || 'Unknown error' };
+  }
+}
+
 // ============================================================================
 // UTILITIES
 // ============================================================================
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- ICS Calendar Feeds
+-- ============================================================================
+-- Migration: 20261019100000_ics_calendar_feeds.sql
+-- Purpose: Store subscribed ICS/iCal feed URLs next to the Google calendar IDs
+--
+-- Feed calendars appear in active_calendar_ids as "ics-<feed id>", using the
+-- same account-prefixed format as Google calendars.
+-- ============================================================================
+
+ALTER TABLE user_calendar_config
+  ADD COLUMN IF NOT EXISTS ics_feeds JSONB NOT NULL DEFAULT '[]';
+
+COMMENT ON COLUMN user_calendar_config.ics_feeds IS 'Subscribed ICS feeds: [{ "id", "url", "name", "color", "created_at" }]';
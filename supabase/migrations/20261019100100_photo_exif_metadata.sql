@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Photo EXIF Metadata
+-- ============================================================================
+-- Migration: 20261019100100_photo_exif_metadata.sql
+-- Purpose: Store capture date, orientation and location read from EXIF at upload
+--
+-- Values are NULL when the photo has no EXIF data, and for photos uploaded
+-- before this migration. taken_at drives the photos widget's Memories order
+-- (photos taken on today's date in earlier years).
+-- ============================================================================
+
+ALTER TABLE user_photos
+  ADD COLUMN IF NOT EXISTS taken_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS orientation SMALLINT,
+  ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS place_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_photos_taken_at ON user_photos(auth_user_id, taken_at);
+
+COMMENT ON COLUMN user_photos.taken_at IS 'EXIF DateTimeOriginal (camera local time)';
+COMMENT ON COLUMN user_photos.orientation IS 'EXIF Orientation (1-8); stored files are already upright';
+COMMENT ON COLUMN user_photos.place_name IS 'Reverse geocoded from EXIF GPS at upload, e.g. "Seattle, WA"';
@@ -0,0 +1,58 @@
+-- ============================================================================
+-- Multiple Dashboards per Account
+-- ============================================================================
+-- Migration: 20261019100200_multi_dashboard.sql
+-- Purpose: One dashboard_heartbeats row per device instead of one per account
+--
+-- Heartbeats were keyed by auth_user_id alone, so a kitchen TV and an office
+-- monitor on the same account overwrote each other's row. Rows are now keyed
+-- by (auth_user_id, device_fingerprint_hash). Rows without a fingerprint can't
+-- be told apart and are removed; the next heartbeat from each device recreates it.
+--
+-- check_dashboard_online_status() still marks stale dashboards offline (cron),
+-- and given a user id it also returns that user's dashboards (My Dashboards screen).
+-- ============================================================================
+
+DELETE FROM dashboard_heartbeats WHERE device_fingerprint_hash IS NULL;
+
+ALTER TABLE dashboard_heartbeats
+  DROP CONSTRAINT IF EXISTS dashboard_heartbeats_auth_user_id_key;
+
+ALTER TABLE dashboard_heartbeats
+  ALTER COLUMN device_fingerprint_hash SET NOT NULL;
+
+ALTER TABLE dashboard_heartbeats
+  ADD CONSTRAINT dashboard_heartbeats_user_device_key UNIQUE (auth_user_id, device_fingerprint_hash);
+
+-- Return type changes, so the old function has to go first
+DROP FUNCTION IF EXISTS check_dashboard_online_status();
+
+-- Function: Mark dashboards offline if no heartbeat in 5 minutes, then list a user's dashboards
+CREATE OR REPLACE FUNCTION check_dashboard_online_status(p_auth_user_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  id UUID,
+  dashboard_name TEXT,
+  device_type TEXT,
+  device_fingerprint_hash TEXT,
+  is_online BOOLEAN,
+  last_heartbeat_at TIMESTAMPTZ,
+  current_version TEXT
+) AS $$
+BEGIN
+  UPDATE dashboard_heartbeats h
+  SET is_online = false
+  WHERE h.is_online = true
+    AND h.last_heartbeat_at < NOW() - INTERVAL '5 minutes';
+
+  RETURN QUERY
+  SELECT h.id, h.dashboard_name, h.device_type, h.device_fingerprint_hash,
+         h.is_online, h.last_heartbeat_at, h.current_version
+  FROM dashboard_heartbeats h
+  WHERE h.auth_user_id = p_auth_user_id
+  ORDER BY h.is_online DESC, h.last_heartbeat_at DESC NULLS LAST;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE dashboard_heartbeats IS 'Real-time dashboard status and version checking (one row per device)';
+COMMENT ON COLUMN dashboard_heartbeats.dashboard_name IS 'Name set on the dashboard (Settings → System → My Dashboards), or a device type default';
+COMMENT ON FUNCTION check_dashboard_online_status IS 'Mark dashboards offline if no heartbeat in 5 minutes (run via cron); returns the dashboards of p_auth_user_id if given';
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Per-Dashboard Setting Overrides
+-- ============================================================================
+-- Migration: 20261019100300_multi_dashboard_overrides.sql
+-- Purpose: Keep a dashboard's own theme/sleep settings and layout with its device row
+--
+-- A dashboard can keep groups of settings for itself (Settings → System → My
+-- Dashboards, DEVICE_OVERRIDE_GROUPS in config.js). They're stored on the
+-- dashboard's dashboard_heartbeats row (one per device, see
+-- 20261019100200_multi_dashboard.sql) so they survive a cleared browser:
+--   { "sleep": { "interface.sleepTimerEnabled": true, "interface.sleepTime": "22:00", ... },
+--     "layout": { "id": "classic", "columns": [...], "rows": [...], "widgets": [...] } }
+--
+-- The heartbeat function returns them with every heartbeat; the dashboard
+-- saves changes with the database-operations save_device_overrides operation.
+-- Removing a dashboard (remove_dashboard) drops its overrides with the row.
+-- ============================================================================
+
+ALTER TABLE dashboard_heartbeats
+  ADD COLUMN IF NOT EXISTS device_overrides JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN dashboard_heartbeats.device_overrides IS 'Settings and layout this dashboard keeps for itself: { group: { settings path: value }, layout: {...} }';
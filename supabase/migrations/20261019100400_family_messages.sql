@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Family Message Board
+-- ============================================================================
+-- Migration: 20261019100400_family_messages.sql
+-- Purpose: Notes posted to the account's dashboards ("Dog fed already", "Pizza night!")
+--
+-- A note shows on every dashboard until someone dismisses it or it expires.
+-- Dismissed and expired notes are deleted by the next list_messages call
+-- (database-operations) once they are a day old.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS family_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auth_user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  text TEXT NOT NULL CHECK (char_length(text) BETWEEN 1 AND 200),
+  priority TEXT NOT NULL DEFAULT 'normal' CHECK (priority IN ('normal', 'high', 'urgent')),
+  author_name TEXT,
+
+  expires_at TIMESTAMPTZ,       -- NULL = until dismissed
+  dismissed_at TIMESTAMPTZ,     -- Set when dismissed (row kept a day, then deleted)
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for family_messages
+CREATE INDEX idx_family_messages_user_created ON family_messages(auth_user_id, created_at DESC);
+
+-- Enable Row Level Security
+ALTER TABLE family_messages ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Users can manage their own messages
+CREATE POLICY "Users can manage own messages"
+  ON family_messages
+  FOR ALL
+  USING (auth.uid() = auth_user_id);
+
+-- Comments
+COMMENT ON TABLE family_messages IS 'Family message board notes shown on the account''s dashboards';
+COMMENT ON COLUMN family_messages.priority IS 'normal | high | urgent (urgent wakes sleeping dashboards)';
+COMMENT ON COLUMN family_messages.expires_at IS 'When the note stops showing; NULL keeps it until dismissed';
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Realtime Authorization for Broadcast Channels
+-- ============================================================================
+-- Migration: 20261019100500_realtime_authorization.sql
+-- Purpose: Only the signed-in user can listen on or send to their
+--          user_settings_<auth user id> broadcast channel
+--
+-- The channel carries settings sync, message board updates and phone remote
+-- commands (sleep, wake, theme, key actions). The app joins it as a private
+-- channel with the user's JWT (js/data/services/realtime-broadcast-client.js);
+-- Supabase Realtime checks these policies on join and on every send.
+--
+-- Also turn off "Allow public access" in the project's Realtime settings, so
+-- public (unauthorized) channels can't be used at all.
+-- ============================================================================
+
+-- Receive: join the channel and get its broadcasts
+CREATE POLICY "Users can receive own broadcasts"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() = 'user_settings_' || auth.uid()::text
+  );
+
+-- Send: broadcast on the channel (socket or REST)
+CREATE POLICY "Users can send own broadcasts"
+  ON realtime.messages
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() = 'user_settings_' || auth.uid()::text
+  );
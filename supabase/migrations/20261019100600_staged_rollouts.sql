@@ -0,0 +1,65 @@
+-- ============================================================================
+-- Staged Rollouts
+-- ============================================================================
+-- Migration: 20261019100600_staged_rollouts.sql
+-- Purpose: Roll a version out to some accounts first, pin a dashboard to a
+--          version, and roll a bad version back
+--
+-- The heartbeat function picks the version each dashboard should run:
+--   1. dashboard_heartbeats.pinned_version, if set
+--   2. Otherwise the newest 'active' app_releases row the account is in:
+--      on allowlist_user_ids, or in the first rollout_percentage of accounts
+--      (a stable hash of user id + version, so all of an account's dashboards
+--      move together and a growing percentage only ever adds accounts)
+--   3. access_control_config.current_app_version is the baseline everyone gets
+--      (unless that version is rolled back)
+--
+-- Dashboards on a 'rolled_back' version (or ahead of their pin) are offered the
+-- older version as a rollback. Other dashboards are never moved backwards.
+--
+-- Releases are managed with SQL (service role only), e.g.:
+--
+--   -- 10% of accounts plus two testers
+--   INSERT INTO app_releases (version, release_notes, rollout_percentage, allowlist_user_ids)
+--   VALUES ('2.1.0', 'Family message board', 10, ARRAY['<auth user id>', '<auth user id>']::UUID[]);
+--
+--   -- Everyone
+--   UPDATE app_releases SET rollout_percentage = 100 WHERE version = '2.1.0';
+--
+--   -- Roll back
+--   UPDATE app_releases SET status = 'rolled_back' WHERE version = '2.1.0';
+--
+--   -- Pin one dashboard (NULL unpins)
+--   UPDATE dashboard_heartbeats SET pinned_version = '2.0.0' WHERE id = '<dashboard id>';
+--
+-- The web app only serves one version at its root, so rolling back or pinning
+-- to an older version needs that build deployed somewhere on the site and its
+-- path in app_url (e.g. '/releases/2.0.0/').
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS app_releases (
+  version TEXT PRIMARY KEY,                    -- '2.1.0'
+  release_notes TEXT,                          -- Shown in the update prompt (plain text)
+  app_url TEXT,                                -- Same-site path the build is served from; NULL = site root
+
+  rollout_percentage INTEGER NOT NULL DEFAULT 0 CHECK (rollout_percentage BETWEEN 0 AND 100),
+  allowlist_user_ids UUID[] NOT NULL DEFAULT '{}', -- Accounts that get it whatever the percentage
+
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'rolled_back')),
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security (no policies - only the service role reads or changes releases)
+ALTER TABLE app_releases ENABLE ROW LEVEL SECURITY;
+
+-- Pin a dashboard to a version (NULL = follow the rollout)
+ALTER TABLE dashboard_heartbeats
+  ADD COLUMN IF NOT EXISTS pinned_version TEXT;
+
+-- Comments
+COMMENT ON TABLE app_releases IS 'App versions with staged rollout settings (read by the heartbeat function)';
+COMMENT ON COLUMN app_releases.rollout_percentage IS 'Share of accounts offered this version (0-100)';
+COMMENT ON COLUMN app_releases.allowlist_user_ids IS 'Accounts offered this version regardless of rollout_percentage';
+COMMENT ON COLUMN app_releases.status IS 'active | rolled_back (dashboards on it are sent back to the newest active version)';
+COMMENT ON COLUMN dashboard_heartbeats.pinned_version IS 'Version this dashboard always runs, overriding rollouts (NULL = follow the rollout)';
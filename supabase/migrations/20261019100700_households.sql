@@ -0,0 +1,312 @@
+-- ============================================================================
+-- Household Sharing
+-- ============================================================================
+-- Migration: 20261019100700_households.sql
+-- Purpose: Let more than one adult use the same family's dashboards, each with
+--          their own Google login
+--
+-- A household has one owner and any number of adults and viewers:
+-- - owner:  Invites and removes members, changes roles; everything an adult can do
+-- - adult:  Changes shared settings, photos, dashboards and message board notes
+-- - viewer: Sees the shared data but can't change it (grandparents, sitters)
+--
+-- Shared data stays keyed by the owner's auth_user_id (user_settings, user_photos,
+-- user_storage_quota, dashboard_heartbeats, family_messages); the edge functions
+-- read and write the owner's rows for every member. Linked calendar accounts are
+-- NOT shared - user_auth_tokens and user_calendar_config keep only their
+-- "own rows" policies, so each adult keeps their own calendars.
+--
+-- Invitations are addressed to an email address. The invitee sees pending
+-- invitations after signing in with that address (Settings → Account → Household)
+-- and accepts or declines them there. A user belongs to at most one household.
+--
+-- Deleting the owner's account deletes the household (members go back to their
+-- own, empty data); deleting a member's account removes their membership.
+-- ============================================================================
+
+-- ============================================================================
+-- TABLE 1: households
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS households (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  owner_user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(owner_user_id)
+);
+
+-- ============================================================================
+-- TABLE 2: household_members
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS household_members (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+  auth_user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+  role TEXT NOT NULL CHECK (role IN ('owner', 'adult', 'viewer')),
+  email TEXT NOT NULL,
+  display_name TEXT,
+
+  joined_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(auth_user_id) -- One household per user
+);
+
+CREATE INDEX idx_household_members_household ON household_members(household_id);
+
+-- ============================================================================
+-- TABLE 3: household_invitations
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS household_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  household_id UUID NOT NULL REFERENCES households(id) ON DELETE CASCADE,
+
+  email TEXT NOT NULL CHECK (email = lower(email)), -- Stored lowercase
+  role TEXT NOT NULL CHECK (role IN ('adult', 'viewer')),
+
+  invited_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  invited_by_name TEXT,
+
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '14 days',
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  responded_at TIMESTAMPTZ
+);
+
+-- One pending invitation per address per household
+CREATE UNIQUE INDEX idx_household_invitations_pending
+  ON household_invitations(household_id, email)
+  WHERE status = 'pending';
+
+CREATE INDEX idx_household_invitations_email ON household_invitations(email) WHERE status = 'pending';
+
+-- ============================================================================
+-- HELPER: household role
+-- ============================================================================
+
+-- Role of the signed-in user in the household p_user_id OWNS (NULL when
+-- p_user_id isn't the owner of the caller's household). Only the owner's rows
+-- are shared data - other members' own rows stay private. SECURITY DEFINER so
+-- policies on household_members don't recurse.
+CREATE OR REPLACE FUNCTION household_role_with(p_user_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT me.role
+  FROM household_members me
+  JOIN households h ON h.id = me.household_id
+  WHERE me.auth_user_id = auth.uid()
+    AND h.owner_user_id = p_user_id
+  LIMIT 1;
+$$;
+
+-- Household the signed-in user belongs to (NULL if none)
+CREATE OR REPLACE FUNCTION my_household_id()
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT household_id
+  FROM household_members
+  WHERE auth_user_id = auth.uid()
+  LIMIT 1;
+$$;
+
+-- ============================================================================
+-- RLS: household tables
+-- Writes go through the database-operations edge function (service role)
+-- ============================================================================
+
+ALTER TABLE households ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE household_invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Members can view their household"
+  ON households
+  FOR SELECT
+  USING (household_role_with(owner_user_id) IS NOT NULL);
+
+CREATE POLICY "Owners can update their household"
+  ON households
+  FOR UPDATE
+  USING (auth.uid() = owner_user_id);
+
+CREATE POLICY "Members can view household members"
+  ON household_members
+  FOR SELECT
+  USING (household_id = my_household_id());
+
+CREATE POLICY "Owners can view household invitations"
+  ON household_invitations
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM households h
+    WHERE h.id = household_invitations.household_id
+      AND h.owner_user_id = auth.uid()
+  ));
+
+CREATE POLICY "Invitees can view their invitations"
+  ON household_invitations
+  FOR SELECT
+  USING (email = lower(auth.jwt() ->> 'email'));
+
+-- ============================================================================
+-- RLS: shared data (added next to the existing "own rows" policies)
+-- ============================================================================
+
+-- Settings
+CREATE POLICY "Household members can view shared settings"
+  ON user_settings
+  FOR SELECT
+  USING (household_role_with(auth_user_id) IS NOT NULL);
+
+CREATE POLICY "Household adults can update shared settings"
+  ON user_settings
+  FOR UPDATE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'))
+  WITH CHECK (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+-- Photos
+CREATE POLICY "Household members can view shared photos"
+  ON user_photos
+  FOR SELECT
+  USING (household_role_with(auth_user_id) IS NOT NULL);
+
+CREATE POLICY "Household adults can add shared photos"
+  ON user_photos
+  FOR INSERT
+  WITH CHECK (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+CREATE POLICY "Household adults can update shared photos"
+  ON user_photos
+  FOR UPDATE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+CREATE POLICY "Household adults can delete shared photos"
+  ON user_photos
+  FOR DELETE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+CREATE POLICY "Household members can view shared storage quota"
+  ON user_storage_quota
+  FOR SELECT
+  USING (household_role_with(auth_user_id) IS NOT NULL);
+
+-- Photo files: {owner user id}/{folder}/{file} in the photos bucket
+-- (CASE so non-UUID folder names are never cast)
+CREATE POLICY "Household members can view shared photo files"
+  ON storage.objects
+  FOR SELECT
+  USING (
+    bucket_id = 'photos'
+    AND CASE WHEN (storage.foldername(name))[1] ~ '^[0-9a-fA-F-]{36}$'
+      THEN household_role_with(((storage.foldername(name))[1])::uuid) IS NOT NULL
+      ELSE false
+    END
+  );
+
+CREATE POLICY "Household adults can upload shared photo files"
+  ON storage.objects
+  FOR INSERT
+  WITH CHECK (
+    bucket_id = 'photos'
+    AND CASE WHEN (storage.foldername(name))[1] ~ '^[0-9a-fA-F-]{36}$'
+      THEN household_role_with(((storage.foldername(name))[1])::uuid) IN ('owner', 'adult')
+      ELSE false
+    END
+  );
+
+CREATE POLICY "Household adults can delete shared photo files"
+  ON storage.objects
+  FOR DELETE
+  USING (
+    bucket_id = 'photos'
+    AND CASE WHEN (storage.foldername(name))[1] ~ '^[0-9a-fA-F-]{36}$'
+      THEN household_role_with(((storage.foldername(name))[1])::uuid) IN ('owner', 'adult')
+      ELSE false
+    END
+  );
+
+-- Dashboards
+CREATE POLICY "Household members can view shared dashboards"
+  ON dashboard_heartbeats
+  FOR SELECT
+  USING (household_role_with(auth_user_id) IS NOT NULL);
+
+CREATE POLICY "Household adults can manage shared dashboards"
+  ON dashboard_heartbeats
+  FOR UPDATE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+CREATE POLICY "Household adults can remove shared dashboards"
+  ON dashboard_heartbeats
+  FOR DELETE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+-- Message board
+CREATE POLICY "Household members can view shared messages"
+  ON family_messages
+  FOR SELECT
+  USING (household_role_with(auth_user_id) IS NOT NULL);
+
+CREATE POLICY "Household adults can post shared messages"
+  ON family_messages
+  FOR INSERT
+  WITH CHECK (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+CREATE POLICY "Household adults can dismiss shared messages"
+  ON family_messages
+  FOR UPDATE
+  USING (household_role_with(auth_user_id) IN ('owner', 'adult'));
+
+-- Broadcast channel (settings sync, message board, phone remote)
+-- Members use the owner's user_settings_<owner id> channel (see
+-- 20261019100500_realtime_authorization.sql for the owner's own policies). Viewers
+-- only listen - the one thing they send is a dashboard's command acknowledgement,
+-- so they can't send remote commands (sleep, wake, theme, key actions).
+CREATE POLICY "Household members can receive shared broadcasts"
+  ON realtime.messages
+  FOR SELECT
+  TO authenticated
+  USING (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() LIKE 'user_settings_%'
+    AND CASE WHEN substring(realtime.topic() FROM 15) ~ '^[0-9a-fA-F-]{36}$'
+      THEN household_role_with(substring(realtime.topic() FROM 15)::uuid) IS NOT NULL
+      ELSE false
+    END
+  );
+
+CREATE POLICY "Household members can send shared broadcasts"
+  ON realtime.messages
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'broadcast'
+    AND realtime.topic() LIKE 'user_settings_%'
+    AND CASE WHEN substring(realtime.topic() FROM 15) ~ '^[0-9a-fA-F-]{36}$'
+      THEN household_role_with(substring(realtime.topic() FROM 15)::uuid) IN ('owner', 'adult')
+        OR (household_role_with(substring(realtime.topic() FROM 15)::uuid) = 'viewer'
+            AND realtime.messages.event = 'dashboard-command-ack')
+      ELSE false
+    END
+  );
+
+-- Comments
+COMMENT ON TABLE households IS 'Family sharing one set of dashboards, photos and settings (keyed by owner_user_id)';
+COMMENT ON TABLE household_members IS 'Users in a household and their role: owner | adult | viewer';
+COMMENT ON TABLE household_invitations IS 'Email invitations to join a household (accepted in the app after signing in)';
+COMMENT ON FUNCTION household_role_with(UUID) IS 'Role of auth.uid() in the household the given user owns, NULL if none';
+COMMENT ON FUNCTION my_household_id() IS 'Household auth.uid() belongs to, NULL if none';